@@ -0,0 +1,98 @@
+/**
+ * Balance Recalculation Script
+ * Rebuilds account, ledger, customer and supplier balances from the ledger
+ * through the admin API and prints a drift report before/after
+ *
+ * Usage:
+ *   API_TOKEN=<jwt> node scripts/recalculate-balances.js [--dry-run]
+ *   ADMIN_EMAIL=admin@example.com ADMIN_PASSWORD=secret node scripts/recalculate-balances.js
+ *
+ * APP_URL defaults to http://localhost:3000
+ */
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const dryRun = process.argv.includes('--dry-run');
+
+async function getToken() {
+  if (process.env.API_TOKEN) {
+    return process.env.API_TOKEN;
+  }
+
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    throw new Error('Set API_TOKEN or ADMIN_EMAIL and ADMIN_PASSWORD');
+  }
+
+  const response = await fetch(`${APP_URL}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD }),
+  });
+
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(`Login failed: ${data.message}`);
+  }
+
+  return data.data.token;
+}
+
+function printSection(title, section) {
+  console.log(`\n${title}: ${section.drifted} of ${section.checked} drifted`);
+
+  (section.items || []).slice(0, 50).forEach((item) => {
+    console.log(
+      `  ${String(item.code).padEnd(12)} ${String(item.name).slice(0, 30).padEnd(30)} ` +
+        `stored ${item.stored.toFixed(2).padStart(14)}  expected ${item.expected.toFixed(2).padStart(14)}  ` +
+        `diff ${item.difference.toFixed(2).padStart(12)}`
+    );
+  });
+
+  if ((section.items || []).length > 50) {
+    console.log(`  ... and ${section.items.length - 50} more`);
+  }
+}
+
+function printReport(label, report) {
+  console.log(`\n===== ${label} =====`);
+  printSection('Accounts', report.accounts);
+  printSection('Ledger entry running balances', report.ledgerEntries);
+  printSection('Customers', report.customers);
+  printSection('Suppliers', report.suppliers);
+}
+
+async function run() {
+  try {
+    console.log(`Recalculating balances on ${APP_URL}${dryRun ? ' (dry run)' : ''}...`);
+
+    const token = await getToken();
+
+    const response = await fetch(`${APP_URL}/api/accounts/recalculate-balances`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ dryRun }),
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message);
+    }
+
+    printReport('BEFORE', data.data.before);
+
+    if (data.data.after) {
+      printReport('AFTER', data.data.after);
+    }
+
+    console.log(`\n✅ ${data.message}\n`);
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Balance recalculation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
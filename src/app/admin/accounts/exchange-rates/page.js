@@ -0,0 +1,392 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import {
+  useExchangeRates,
+  useCreateExchangeRate,
+  useDeleteExchangeRate,
+  useFxRevaluation,
+  usePostFxRevaluation,
+} from '@/hooks/useExchangeRates';
+import { showPromise } from '@/utils/toast';
+
+const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'AED', 'SAR', 'CNY'];
+
+const initialForm = () => ({
+  currency: 'USD',
+  rate: '',
+  effectiveDate: format(new Date(), 'yyyy-MM-dd'),
+  source: 'manual',
+  notes: '',
+});
+
+export default function ExchangeRatesPage() {
+  const [filterCurrency, setFilterCurrency] = useState('');
+  const [formData, setFormData] = useState(initialForm());
+  const [asOfDate, setAsOfDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+
+  const { data, isLoading, isError, error } = useExchangeRates({ currency: filterCurrency });
+  const { data: revaluationData, isLoading: revaluationLoading } = useFxRevaluation(asOfDate);
+  const createExchangeRate = useCreateExchangeRate();
+  const deleteExchangeRate = useDeleteExchangeRate();
+  const postFxRevaluation = usePostFxRevaluation();
+
+  const rates = data?.rates || [];
+  const latest = data?.latest || [];
+  const baseCurrency = data?.baseCurrency || 'PKR';
+  const preview = revaluationData?.preview;
+  const revaluations = revaluationData?.revaluations || [];
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+
+  const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await showPromise(createExchangeRate.mutateAsync(formData), {
+        loading: 'Saving rate...',
+        success: 'Exchange rate added',
+        error: (err) => err.message || 'Failed to add exchange rate',
+      });
+
+      setFormData((prev) => ({ ...initialForm(), currency: prev.currency }));
+    } catch (err) {
+      console.error('Error adding exchange rate:', err);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!confirm(`Delete the ${rate.currency} rate of ${formatDate(rate.effectiveDate)}?`)) {
+      return;
+    }
+
+    await showPromise(deleteExchangeRate.mutateAsync(rate._id), {
+      loading: 'Deleting rate...',
+      success: 'Exchange rate deleted',
+      error: (err) => err.message || 'Failed to delete exchange rate',
+    });
+  };
+
+  const handleRevalue = async () => {
+    if (!confirm(`Post an FX revaluation voucher as at ${formatDate(asOfDate)}?`)) {
+      return;
+    }
+
+    try {
+      await showPromise(postFxRevaluation.mutateAsync({ asOfDate }), {
+        loading: 'Posting revaluation...',
+        success: (res) => res.message,
+        error: (err) => err.message || 'Failed to post FX revaluation',
+      });
+    } catch (err) {
+      console.error('Error posting FX revaluation:', err);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Exchange Rates</h1>
+              <p className="text-gray-600 mt-2">
+                Dated rates to {baseCurrency} and period-end revaluation of foreign-currency balances
+              </p>
+            </div>
+            <Link
+              href="/admin/accounts"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← Back to Accounts
+            </Link>
+          </div>
+        </div>
+
+        {data && !data.multiCurrency && (
+          <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-4 mb-6">
+            <p className="text-yellow-800 font-medium">
+              Multi-currency is not enabled for this organization. Rates can be viewed but not added.
+            </p>
+          </div>
+        )}
+
+        {isError && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error?.message}</p>
+          </div>
+        )}
+
+        {/* Current Rates */}
+        {latest.length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-6">
+            {latest.map((item) => (
+              <div key={item.currency} className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-600">1 {item.currency}</p>
+                <p className="text-xl font-bold text-gray-900">
+                  {formatAmount(item.rate)} {baseCurrency}
+                </p>
+                <p className="text-xs text-gray-500">since {formatDate(item.effectiveDate)}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+          {/* Add Rate */}
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900">Add Rate</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Currency *</label>
+                <input
+                  type="text"
+                  name="currency"
+                  list="currency-codes"
+                  value={formData.currency}
+                  onChange={handleChange}
+                  maxLength={3}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <datalist id="currency-codes">
+                  {COMMON_CURRENCIES.map((code) => (
+                    <option key={code} value={code} />
+                  ))}
+                </datalist>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Rate ({baseCurrency}) *</label>
+                <input
+                  type="number"
+                  name="rate"
+                  step="0.000001"
+                  min="0"
+                  value={formData.rate}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Effective Date *</label>
+                <input
+                  type="date"
+                  name="effectiveDate"
+                  value={formData.effectiveDate}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Source</label>
+                <select
+                  name="source"
+                  value={formData.source}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="manual">Manual</option>
+                  <option value="sbp">SBP</option>
+                  <option value="bank">Bank</option>
+                </select>
+              </div>
+            </div>
+            <input
+              type="text"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              placeholder="Notes"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={createExchangeRate.isPending || !data?.multiCurrency}
+              className="w-full px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+            >
+              {createExchangeRate.isPending ? 'Saving...' : 'Add Rate'}
+            </button>
+          </form>
+
+          {/* Rate History */}
+          <div className="lg:col-span-2 bg-white rounded-lg shadow overflow-hidden">
+            <div className="px-6 py-3 bg-gray-100 flex justify-between items-center">
+              <span className="font-semibold text-gray-900">Rate History</span>
+              <select
+                value={filterCurrency}
+                onChange={(e) => setFilterCurrency(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">All currencies</option>
+                {latest.map((item) => (
+                  <option key={item.currency} value={item.currency}>
+                    {item.currency}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+              {isLoading ? (
+                <p className="px-6 py-4 text-gray-600">Loading rates...</p>
+              ) : rates.length === 0 ? (
+                <p className="px-6 py-4 text-sm text-gray-500 italic">No exchange rates yet</p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {rates.map((rate) => (
+                      <tr key={rate._id}>
+                        <td className="px-4 py-2">{formatDate(rate.effectiveDate)}</td>
+                        <td className="px-4 py-2 font-medium">{rate.currency}</td>
+                        <td className="px-4 py-2 text-right">{rate.rate}</td>
+                        <td className="px-4 py-2 text-gray-600">{rate.source}</td>
+                        <td className="px-4 py-2 text-right">
+                          <button
+                            onClick={() => handleDelete(rate)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* FX Revaluation */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 bg-blue-600 text-white flex flex-wrap gap-4 justify-between items-center">
+            <div>
+              <h3 className="text-lg font-bold">FX Revaluation</h3>
+              <p className="text-xs text-blue-100">
+                Unrealized gain/loss on open foreign-currency invoices at the closing rate
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <input
+                type="date"
+                value={asOfDate}
+                onChange={(e) => setAsOfDate(e.target.value)}
+                className="px-3 py-2 rounded-lg text-gray-900"
+              />
+              <button
+                onClick={handleRevalue}
+                disabled={postFxRevaluation.isPending || !preview || preview.lines.length === 0 || preview.missingRates.length > 0}
+                className="px-4 py-2 bg-white text-blue-700 font-semibold rounded-lg hover:bg-blue-50 disabled:opacity-50"
+              >
+                {postFxRevaluation.isPending ? 'Posting...' : 'Post Revaluation'}
+              </button>
+            </div>
+          </div>
+
+          {revaluationLoading ? (
+            <p className="px-6 py-4 text-gray-600">Loading preview...</p>
+          ) : preview && (
+            <>
+              {preview.missingRates.length > 0 && (
+                <div className="px-6 py-3 bg-red-50 text-red-800 text-sm">
+                  Add a rate on or before this date for: {preview.missingRates.join(', ')}
+                </div>
+              )}
+              {preview.lines.length === 0 ? (
+                <p className="px-6 py-4 text-sm text-gray-500 italic">
+                  No open foreign-currency invoices need revaluation at this date
+                </p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Document</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Open Amount</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Carried At</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Closing Rate</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Gain / (Loss)</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {preview.lines.map((line) => (
+                      <tr key={line.documentId}>
+                        <td className="px-4 py-2">
+                          <span className="font-mono">{line.documentNumber}</span>
+                          <span className="ml-2 text-xs text-gray-500">
+                            {line.documentType === 'sales_invoice' ? 'Receivable' : 'Payable'}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 text-right">
+                          {line.currency} {formatAmount(line.openAmount)}
+                        </td>
+                        <td className="px-4 py-2 text-right">{line.previousRate}</td>
+                        <td className="px-4 py-2 text-right">{line.closingRate}</td>
+                        <td className={`px-4 py-2 text-right font-medium ${line.gainLoss >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                          {line.gainLoss >= 0 ? formatAmount(line.gainLoss) : `(${formatAmount(-line.gainLoss)})`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot className="bg-gray-50 font-semibold">
+                    <tr>
+                      <td className="px-4 py-2" colSpan={4}>
+                        Net unrealized {preview.netGainLoss >= 0 ? 'gain' : 'loss'} ({baseCurrency})
+                        <span className="ml-2 text-xs font-normal text-gray-500">
+                          Gain → {preview.gainAccount ? `${preview.gainAccount.code} ${preview.gainAccount.name}` : 'no account'} ·
+                          Loss → {preview.lossAccount ? `${preview.lossAccount.code} ${preview.lossAccount.name}` : 'no account'}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2 text-right">{formatAmount(preview.netGainLoss)}</td>
+                    </tr>
+                  </tfoot>
+                </table>
+              )}
+            </>
+          )}
+
+          {revaluations.length > 0 && (
+            <div className="border-t border-gray-200">
+              <div className="px-6 py-3 bg-gray-100 font-semibold text-gray-900">Past Revaluations</div>
+              {revaluations.map((revaluation) => (
+                <div key={revaluation._id} className="px-6 py-2 flex justify-between text-sm border-b border-gray-100">
+                  <span>
+                    {formatDate(revaluation.asOfDate)}
+                    <span className="ml-2 font-mono text-gray-600">{revaluation.voucherId?.voucherNumber}</span>
+                  </span>
+                  <span className={revaluation.netGainLoss >= 0 ? 'text-green-700' : 'text-red-700'}>
+                    {formatAmount(revaluation.netGainLoss)} {baseCurrency}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -110,6 +110,12 @@ export default function AccountsPage() {
               >
                 ← Back
               </Link>
+              <Link
+                href="/admin/accounts/exchange-rates"
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg transition"
+              >
+                💱 Exchange Rates
+              </Link>
               {accounts.length > 0 && (
                 <button
                   onClick={() => exportChartOfAccounts(accounts)}
@@ -0,0 +1,526 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { CustomerSelect } from '@/components/ui/SearchableSelect';
+import { DocumentTypeSelect } from '@/components/fbr/FBRDropdowns';
+import { useFBRDocumentTypes, useFBRDebitNoteType } from '@/hooks/useFBR';
+import {
+  useAdjustmentNotes,
+  usePostedInvoices,
+  useCreateAdjustmentNote,
+  usePostAdjustmentNote,
+  useDeleteAdjustmentNote,
+} from '@/hooks/useAdjustmentNotes';
+import { showPromise } from '@/utils/toast';
+
+const initialForm = () => ({
+  noteType: 'credit_note',
+  noteDate: format(new Date(), 'yyyy-MM-dd'),
+  invoiceId: '',
+  reason: 'return',
+  notes: '',
+});
+
+const REASONS = {
+  return: 'Goods returned',
+  price_adjustment: 'Price adjustment',
+  discount: 'Discount',
+  damaged: 'Damaged goods',
+  other: 'Other',
+};
+
+export default function AdjustmentNotesPage() {
+  const [showForm, setShowForm] = useState(false);
+  const [filterType, setFilterType] = useState('');
+  const [filterStatus, setFilterStatus] = useState('');
+  const [customerOption, setCustomerOption] = useState(null);
+  const [formData, setFormData] = useState(initialForm());
+  const [lines, setLines] = useState({});
+  const [fbrDocumentTypeId, setFbrDocumentTypeId] = useState(null);
+
+  const customerId = customerOption?.value || '';
+
+  const { data, isLoading, isError, error } = useAdjustmentNotes({
+    noteType: filterType,
+    status: filterStatus,
+    limit: 100,
+  });
+  const { data: invoices = [], isLoading: invoicesLoading } = usePostedInvoices(customerId);
+  const { data: docTypes } = useFBRDocumentTypes();
+  const { data: debitNoteType } = useFBRDebitNoteType();
+  const createNote = useCreateAdjustmentNote();
+  const postNote = usePostAdjustmentNote();
+  const deleteNote = useDeleteAdjustmentNote();
+
+  const notes = data?.notes || [];
+  const invoice = invoices.find((item) => item._id === formData.invoiceId);
+  const isReturn = formData.noteType === 'credit_note' && formData.reason === 'return';
+
+  // FBR reports notes under the Debit Note document type unless another is chosen
+  const documentTypeId = fbrDocumentTypeId ?? debitNoteType?.docTypeId ?? null;
+
+  const formatAmount = (value) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value || 0);
+  };
+
+  const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+  const getStatusBadge = (status) => {
+    const colors = {
+      draft: 'bg-gray-100 text-gray-800',
+      posted: 'bg-green-100 text-green-800',
+      cancelled: 'bg-red-100 text-red-800',
+    };
+    return colors[status] || 'bg-gray-100 text-gray-800';
+  };
+
+  // Line amount after the invoice discount, plus tax
+  const lineTotals = (item, line) => {
+    const quantity = parseFloat(line.quantity) || 0;
+    const rate = isReturn ? item.rate : parseFloat(line.rate) || 0;
+    const gross = quantity * rate;
+    const amount = gross - (gross * (item.discountRate || 0)) / 100;
+    const taxAmount = (amount * (item.taxRate || 0)) / 100;
+    return { amount, taxAmount, netAmount: amount + taxAmount };
+  };
+
+  const selectedItems = (invoice?.items || []).filter((item) => lines[item._id]?.selected);
+  const noteTotal = selectedItems.reduce((sum, item) => sum + lineTotals(item, lines[item._id]).netAmount, 0);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const updateLine = (itemId, changes) => {
+    setLines((prev) => ({ ...prev, [itemId]: { ...prev[itemId], ...changes } }));
+  };
+
+  const resetForm = () => {
+    setFormData(initialForm());
+    setCustomerOption(null);
+    setLines({});
+    setShowForm(false);
+  };
+
+  const handleSubmit = async (e, postNow = false) => {
+    e.preventDefault();
+
+    const noteData = {
+      ...formData,
+      items: selectedItems.map((item) => ({
+        invoiceItemId: item._id,
+        quantity: parseFloat(lines[item._id].quantity) || 0,
+        ...(!isReturn && { rate: parseFloat(lines[item._id].rate) || 0 }),
+      })),
+      fbrDocumentTypeId: documentTypeId,
+      fbrDocumentType: docTypes?.find((docType) => docType.docTypeId === documentTypeId)?.docDescription,
+    };
+
+    try {
+      const result = await showPromise(createNote.mutateAsync(noteData), {
+        loading: 'Saving note...',
+        success: 'Note saved',
+        error: (err) => err.message || 'Failed to save note',
+      });
+
+      if (postNow) {
+        await showPromise(postNote.mutateAsync(result.data.note._id), {
+          loading: 'Posting note...',
+          success: 'Note posted',
+          error: (err) => err.message || 'Failed to post note',
+        });
+      }
+
+      resetForm();
+    } catch (err) {
+      console.error('Error saving note:', err);
+    }
+  };
+
+  const handlePost = async (note) => {
+    if (!confirm(`Post ${note.noteNumber}? This creates the journal voucher and adjusts invoice ${note.invoiceNumber}.`)) {
+      return;
+    }
+
+    try {
+      await showPromise(postNote.mutateAsync(note._id), {
+        loading: 'Posting note...',
+        success: 'Note posted',
+        error: (err) => err.message || 'Failed to post note',
+      });
+    } catch (err) {
+      console.error('Error posting note:', err);
+    }
+  };
+
+  const handleDelete = async (note) => {
+    if (!confirm(`Delete draft ${note.noteNumber}?`)) {
+      return;
+    }
+
+    try {
+      await showPromise(deleteNote.mutateAsync(note._id), {
+        loading: 'Deleting note...',
+        success: 'Note deleted',
+        error: (err) => err.message || 'Failed to delete note',
+      });
+    } catch (err) {
+      console.error('Error deleting note:', err);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Credit & Debit Notes</h1>
+              <p className="text-gray-600 mt-2">Returns and price adjustments on posted sales invoices</p>
+            </div>
+            <div className="flex gap-3">
+              <Link
+                href="/admin/invoices"
+                className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+              >
+                ← Back to Invoices
+              </Link>
+              <button
+                onClick={() => setShowForm(!showForm)}
+                className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                {showForm ? 'Close' : '+ New Note'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {isError && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error?.message}</p>
+          </div>
+        )}
+
+        {/* New Note */}
+        {showForm && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-8 space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Note Type *</label>
+                <select
+                  name="noteType"
+                  value={formData.noteType}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="credit_note">Credit Note (reduce invoice)</option>
+                  <option value="debit_note">Debit Note (add to invoice)</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Customer *</label>
+                <CustomerSelect
+                  value={customerOption}
+                  onChange={(selectedOption) => {
+                    setCustomerOption(selectedOption);
+                    setFormData((prev) => ({ ...prev, invoiceId: '' }));
+                    setLines({});
+                  }}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Original Invoice *</label>
+                <select
+                  name="invoiceId"
+                  value={formData.invoiceId}
+                  onChange={(e) => {
+                    handleChange(e);
+                    setLines({});
+                  }}
+                  required
+                  disabled={!customerId || invoicesLoading}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+                >
+                  <option value="">{invoicesLoading ? 'Loading invoices...' : 'Select Invoice'}</option>
+                  {invoices.map((item) => (
+                    <option key={item._id} value={item._id}>
+                      {item.invoiceNumber} · {formatDate(item.invoiceDate)} · {item.currency}{' '}
+                      {formatAmount(item.totalAmount)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Note Date *</label>
+                <input
+                  type="date"
+                  name="noteDate"
+                  value={formData.noteDate}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+                <select
+                  name="reason"
+                  value={formData.reason}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                >
+                  {Object.entries(REASONS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">FBR Document Type</label>
+                <DocumentTypeSelect value={documentTypeId} onChange={setFbrDocumentTypeId} />
+              </div>
+            </div>
+
+            {/* Invoice lines */}
+            {invoice && (
+              <div className="border border-gray-200 rounded-lg overflow-hidden">
+                <div className="px-4 py-3 bg-gray-50 flex justify-between items-center">
+                  <span className="font-semibold text-gray-900">Invoice Lines</span>
+                  <span className="text-sm text-gray-600">
+                    Balance {invoice.currency} {formatAmount(invoice.balanceAmount)}
+                  </span>
+                </div>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead>
+                    <tr>
+                      <th className="w-10 px-4 py-2"></th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Invoiced</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                        {isReturn ? 'Rate' : 'Per Unit'}
+                      </th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Tax</th>
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {invoice.items.map((item) => {
+                      const line = lines[item._id] || {};
+                      const totals = lineTotals(item, line);
+
+                      return (
+                        <tr key={item._id}>
+                          <td className="px-4 py-2">
+                            <input
+                              type="checkbox"
+                              checked={!!line.selected}
+                              onChange={(e) =>
+                                updateLine(item._id, {
+                                  selected: e.target.checked,
+                                  quantity: line.quantity ?? item.quantity,
+                                  rate: line.rate ?? '',
+                                })
+                              }
+                              className="w-4 h-4 text-blue-600 border-gray-300 rounded"
+                            />
+                          </td>
+                          <td className="px-4 py-2">{item.description}</td>
+                          <td className="px-4 py-2 text-right">
+                            {item.quantity} {item.unit}
+                            <span className="block text-xs text-gray-500">@ {formatAmount(item.rate)}</span>
+                          </td>
+                          <td className="px-4 py-2 text-right">
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0.01"
+                              max={item.quantity}
+                              value={line.quantity ?? ''}
+                              onChange={(e) => updateLine(item._id, { quantity: e.target.value })}
+                              disabled={!line.selected}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded text-right disabled:bg-gray-100"
+                            />
+                          </td>
+                          <td className="px-4 py-2 text-right">
+                            {isReturn ? (
+                              formatAmount(item.rate)
+                            ) : (
+                              <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={line.rate ?? ''}
+                                onChange={(e) => updateLine(item._id, { rate: e.target.value })}
+                                disabled={!line.selected}
+                                className="w-28 px-2 py-1 border border-gray-300 rounded text-right disabled:bg-gray-100"
+                              />
+                            )}
+                          </td>
+                          <td className="px-4 py-2 text-right text-gray-600">
+                            {line.selected ? formatAmount(totals.taxAmount) : '-'}
+                          </td>
+                          <td className="px-4 py-2 text-right font-medium">
+                            {line.selected ? formatAmount(totals.netAmount) : '-'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <div className="px-4 py-3 bg-gray-50 flex justify-end gap-8 text-sm">
+                  <span>
+                    {formData.noteType === 'credit_note' ? 'Credit' : 'Debit'} total:{' '}
+                    <span className="font-semibold">
+                      {invoice.currency} {formatAmount(noteTotal)}
+                    </span>
+                  </span>
+                  {formData.noteType === 'credit_note' && noteTotal > invoice.balanceAmount + 0.005 && (
+                    <span className="text-amber-700">
+                      {formatAmount(noteTotal - invoice.balanceAmount)} will be kept as on-account credit
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <input
+              type="text"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              placeholder="Notes"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+            />
+
+            <div className="flex justify-end gap-3">
+              <button
+                type="submit"
+                disabled={createNote.isPending || selectedItems.length === 0}
+                className="px-6 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                Save Draft
+              </button>
+              <button
+                type="button"
+                onClick={(e) => handleSubmit(e, true)}
+                disabled={createNote.isPending || postNote.isPending || selectedItems.length === 0}
+                className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+              >
+                Save & Post
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-4 mb-6 flex gap-4 items-center">
+          <label className="text-sm font-medium text-gray-700">Type</label>
+          <select
+            value={filterType}
+            onChange={(e) => setFilterType(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">All</option>
+            <option value="credit_note">Credit Notes</option>
+            <option value="debit_note">Debit Notes</option>
+          </select>
+          <label className="text-sm font-medium text-gray-700">Status</label>
+          <select
+            value={filterStatus}
+            onChange={(e) => setFilterStatus(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">All</option>
+            <option value="draft">Draft</option>
+            <option value="posted">Posted</option>
+          </select>
+        </div>
+
+        {/* Notes List */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {isLoading ? (
+            <p className="px-6 py-4 text-gray-600">Loading notes...</p>
+          ) : notes.length === 0 ? (
+            <p className="px-6 py-8 text-center text-gray-500">No credit or debit notes yet</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Note #</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Invoice</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">FBR Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200 text-sm">
+                {notes.map((note) => (
+                  <tr key={note._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-3 font-mono">
+                      {note.noteNumber}
+                      {note.voucherId && (
+                        <span className="block text-xs text-gray-500">{note.voucherId.voucherNumber}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-3">{formatDate(note.noteDate)}</td>
+                    <td className="px-6 py-3">{note.customerId?.name}</td>
+                    <td className="px-6 py-3 font-mono">{note.invoiceNumber}</td>
+                    <td className="px-6 py-3">{REASONS[note.reason]}</td>
+                    <td
+                      className={`px-6 py-3 text-right font-medium ${note.noteType === 'credit_note' ? 'text-green-700' : 'text-red-700'}`}
+                    >
+                      {note.noteType === 'credit_note' ? '−' : '+'}
+                      {note.currency !== 'PKR' && `${note.currency} `}
+                      {formatAmount(note.totalAmount)}
+                      {note.unappliedAmount > 0 && (
+                        <span className="block text-xs text-gray-500">
+                          {formatAmount(note.unappliedAmount)} on account
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-3 text-gray-600">
+                      {note.fbrDocumentType || '-'}
+                      {note.fbrInvoiceRefNo && (
+                        <span className="block text-xs text-gray-500">Ref {note.fbrInvoiceRefNo}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-3">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadge(note.status)}`}>
+                        {note.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-3 text-right space-x-3">
+                      {note.status === 'draft' && (
+                        <>
+                          <button onClick={() => handlePost(note)} className="text-green-600 hover:text-green-900">
+                            Post
+                          </button>
+                          <button onClick={() => handleDelete(note)} className="text-red-600 hover:text-red-900">
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
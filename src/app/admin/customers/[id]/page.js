@@ -3,7 +3,12 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
-import { useCustomer, useUpdateCustomer } from '@/hooks/useCustomers';
+import { format } from 'date-fns';
+import { useCustomer, useUpdateCustomer, useCustomerStatement } from '@/hooks/useCustomers';
+import StatementPDF from '@/components/pdf/StatementPDF';
+import { exportCustomerStatement } from '@/utils/excelExport';
+import { downloadPDF } from '@/utils/pdfExport';
+import { showPromise } from '@/utils/toast';
 
 export default function EditCustomerPage({ params }) {
   const router = useRouter();
@@ -13,6 +18,39 @@ export default function EditCustomerPage({ params }) {
   const { data: customerData, isLoading, isError, error } = useCustomer(id);
   const updateCustomer = useUpdateCustomer();
 
+  // Statement of account period (defaults to the current month)
+  const today = new Date();
+  const [statementPeriod, setStatementPeriod] = useState({
+    startDate: format(new Date(today.getFullYear(), today.getMonth(), 1), 'yyyy-MM-dd'),
+    endDate: format(today, 'yyyy-MM-dd'),
+  });
+  const { data: statement, isLoading: statementLoading } = useCustomerStatement(id, statementPeriod);
+
+  const formatAmount = (value) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value || 0);
+  };
+
+  const handleStatementPDF = async () => {
+    try {
+      await showPromise(
+        downloadPDF(
+          <StatementPDF statement={statement} party="customer" />,
+          `Statement_${statement.customer.customerCode}_${statementPeriod.endDate}`
+        ),
+        {
+          loading: 'Generating statement...',
+          success: 'Statement downloaded',
+          error: 'Failed to generate statement',
+        }
+      );
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
   // Form state
   const [formData, setFormData] = useState({
     name: '',
@@ -57,6 +95,7 @@ export default function EditCustomerPage({ params }) {
     openingBalance: 0,
     paymentTerms: 'cash',
     paymentMethod: 'cash',
+    reminderOptOut: false,
 
     // Other
     notes: '',
@@ -105,6 +144,7 @@ export default function EditCustomerPage({ params }) {
         openingBalance: customer.openingBalance || 0,
         paymentTerms: customer.paymentTerms || 'cash',
         paymentMethod: customer.paymentMethod || 'cash',
+        reminderOptOut: customer.reminderOptOut || false,
 
         notes: customer.notes || '',
         isActive: customer.isActive ?? true,
@@ -168,6 +208,7 @@ export default function EditCustomerPage({ params }) {
       creditDays: parseInt(formData.creditDays) || 0,
       paymentTerms: formData.paymentTerms,
       paymentMethod: formData.paymentMethod,
+      reminderOptOut: formData.reminderOptOut,
 
       notes: formData.notes || undefined,
       isActive: formData.isActive,
@@ -523,6 +564,7 @@ export default function EditCustomerPage({ params }) {
                   step="0.01"
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg"
                 />
+                <p className="mt-1 text-xs text-gray-500">0 means no limit</p>
               </div>
 
               <div>
@@ -567,6 +609,17 @@ export default function EditCustomerPage({ params }) {
                 />
                 <label className="ml-2 text-sm text-gray-700">Active</label>
               </div>
+
+              <div className="flex items-center pt-8">
+                <input
+                  type="checkbox"
+                  name="reminderOptOut"
+                  checked={formData.reminderOptOut}
+                  onChange={handleChange}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <label className="ml-2 text-sm text-gray-700">Do not send payment reminder emails</label>
+              </div>
             </div>
           </div>
 
@@ -601,6 +654,114 @@ export default function EditCustomerPage({ params }) {
             </button>
           </div>
         </form>
+
+        {/* Statement of Account */}
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Statement of Account</h2>
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+                <input
+                  type="date"
+                  value={statementPeriod.startDate}
+                  onChange={(e) => setStatementPeriod((prev) => ({ ...prev, startDate: e.target.value }))}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+                <input
+                  type="date"
+                  value={statementPeriod.endDate}
+                  onChange={(e) => setStatementPeriod((prev) => ({ ...prev, endDate: e.target.value }))}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <button
+                type="button"
+                onClick={handleStatementPDF}
+                disabled={!statement}
+                className="px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 disabled:bg-gray-300"
+              >
+                📄 PDF
+              </button>
+              <button
+                type="button"
+                onClick={() => exportCustomerStatement(statement)}
+                disabled={!statement}
+                className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:bg-gray-300"
+              >
+                📥 Excel
+              </button>
+            </div>
+          </div>
+
+          {statementLoading ? (
+            <p className="text-gray-600">Loading statement...</p>
+          ) : !statement ? (
+            <p className="text-gray-500">Statement not available</p>
+          ) : (
+            <>
+              {statement.aging && (
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+                  {Object.entries(statement.aging.buckets).map(([bucket, value]) => (
+                    <div key={bucket} className="bg-gray-50 rounded-lg p-3">
+                      <p className="text-xs text-gray-500">{bucket} days</p>
+                      <p className="font-semibold text-gray-900">{formatAmount(value)}</p>
+                    </div>
+                  ))}
+                  <div className="bg-red-50 rounded-lg p-3">
+                    <p className="text-xs text-red-600">Overdue</p>
+                    <p className="font-semibold text-red-900">{formatAmount(statement.aging.overdue)}</p>
+                  </div>
+                  <div className="bg-blue-50 rounded-lg p-3">
+                    <p className="text-xs text-blue-600">Balance Due</p>
+                    <p className="font-semibold text-blue-900">{formatAmount(statement.closingBalance)}</p>
+                  </div>
+                </div>
+              )}
+
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead>
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Debit</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Credit</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  <tr className="bg-gray-50 font-medium">
+                    <td className="px-3 py-2">{format(new Date(statement.period.startDate), 'dd MMM yyyy')}</td>
+                    <td className="px-3 py-2" colSpan="5">Opening Balance</td>
+                    <td className="px-3 py-2 text-right">{formatAmount(statement.openingBalance)}</td>
+                  </tr>
+                  {statement.lines.map((line) => (
+                    <tr key={`${line.type}-${line.applicationId || line.documentId}`}>
+                      <td className="px-3 py-2">{format(new Date(line.date), 'dd MMM yyyy')}</td>
+                      <td className="px-3 py-2 capitalize">{line.description}</td>
+                      <td className="px-3 py-2 font-mono">{line.number}</td>
+                      <td className="px-3 py-2">{line.dueDate ? format(new Date(line.dueDate), 'dd MMM yyyy') : ''}</td>
+                      <td className="px-3 py-2 text-right">{line.debit ? formatAmount(line.debit) : ''}</td>
+                      <td className="px-3 py-2 text-right">{line.credit ? formatAmount(line.credit) : ''}</td>
+                      <td className="px-3 py-2 text-right font-medium">{formatAmount(line.balance)}</td>
+                    </tr>
+                  ))}
+                  <tr className="bg-gray-50 font-semibold">
+                    <td className="px-3 py-2" colSpan="4">Closing Balance</td>
+                    <td className="px-3 py-2 text-right">{formatAmount(statement.totals.debit)}</td>
+                    <td className="px-3 py-2 text-right">{formatAmount(statement.totals.credit)}</td>
+                    <td className="px-3 py-2 text-right">{formatAmount(statement.closingBalance)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -51,6 +51,7 @@ export default function NewCustomerPage() {
       openingBalance: 0,
       paymentTerms: 'cash',
       paymentMethod: 'cash',
+      reminderOptOut: false,
       notes: '',
       isActive: true,
     },
@@ -104,6 +105,7 @@ export default function NewCustomerPage() {
       openingBalance: parseFloat(formData.openingBalance) || 0,
       paymentTerms: formData.paymentTerms,
       paymentMethod: formData.paymentMethod,
+      reminderOptOut: formData.reminderOptOut,
 
       notes: formData.notes || undefined,
       isActive: formData.isActive,
@@ -490,6 +492,7 @@ export default function NewCustomerPage() {
                 {errors.creditLimit && (
                   <p className="mt-1 text-sm text-red-600">{errors.creditLimit.message}</p>
                 )}
+                <p className="mt-1 text-xs text-gray-500">0 means no limit</p>
               </div>
 
               <div>
@@ -578,6 +581,15 @@ export default function NewCustomerPage() {
                 />
                 <label className="ml-2 text-sm text-gray-700">Active</label>
               </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  {...register('reminderOptOut')}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <label className="ml-2 text-sm text-gray-700">Do not send payment reminder emails</label>
+              </div>
             </div>
           </div>
 
@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { format } from 'date-fns';
+import { showSuccess, showError } from '@/utils/toast';
 
 export default function ViewGRNPage({ params }) {
   const router = useRouter();
@@ -11,6 +12,7 @@ export default function ViewGRNPage({ params }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [grn, setGrn] = useState(null);
+  const [posting, setPosting] = useState(false);
 
   useEffect(() => {
     fetchGRN();
@@ -35,6 +37,38 @@ export default function ViewGRNPage({ params }) {
     }
   };
 
+  const handlePost = async () => {
+    if (
+      !confirm(
+        `Post this GRN?\n\nAccepted quantities will be added to stock in ${grn.warehouse || 'MAIN'}, ` +
+          'accrued to Goods Received Not Invoiced and marked received on the purchase order.'
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setPosting(true);
+
+      const response = await fetch(`/api/grn/${id}/post`, {
+        method: 'POST',
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to post GRN');
+      }
+
+      showSuccess(data.message);
+      fetchGRN();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setPosting(false);
+    }
+  };
+
   const getStatusBadge = (status) => {
     const colors = {
       draft: 'bg-gray-100 text-gray-800',
@@ -111,8 +145,17 @@ export default function ViewGRNPage({ params }) {
               Created on {format(new Date(grn.grnDate), 'dd/MM/yyyy')}
             </p>
           </div>
-          <div className="flex gap-2">
+          <div className="flex items-center gap-2">
             {getStatusBadge(grn.status)}
+            {grn.status === 'inspected' && (
+              <button
+                onClick={handlePost}
+                disabled={posting}
+                className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50"
+              >
+                {posting ? 'Posting...' : 'Post GRN'}
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -144,6 +187,10 @@ export default function ViewGRNPage({ params }) {
                 <span className="text-gray-600">Delivery Note:</span>
                 <div className="font-medium mt-1">{grn.deliveryNote || '-'}</div>
               </div>
+              <div>
+                <span className="text-gray-600">Warehouse:</span>
+                <div className="font-medium mt-1">{grn.warehouse || 'MAIN'}</div>
+              </div>
               <div>
                 <span className="text-gray-600">Vehicle:</span>
                 <div className="font-medium mt-1">{grn.vehicleNumber || '-'}</div>
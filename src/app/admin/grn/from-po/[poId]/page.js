@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { format } from 'date-fns';
+import { ProductSelect, productOption } from '@/components/ui/SearchableSelect';
 
 export default function CreateGRNFromPOPage({ params }) {
   const router = useRouter();
@@ -17,6 +18,7 @@ export default function CreateGRNFromPOPage({ params }) {
   const [formData, setFormData] = useState({
     grnDate: new Date().toISOString().split('T')[0],
     deliveryNote: '',
+    warehouse: 'MAIN',
     vehicleNumber: '',
     driverName: '',
     deliveredBy: '',
@@ -112,6 +114,7 @@ export default function CreateGRNFromPOPage({ params }) {
           ...formData,
           items: items.map((item) => ({
             poItemId: item.poItemId,
+            productId: item.productId?._id || item.productId,
             description: item.description,
             orderedQuantity: item.orderedQuantity,
             receivedQuantity: item.receivedQuantity,
@@ -271,6 +274,18 @@ export default function CreateGRNFromPOPage({ params }) {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Warehouse
+                </label>
+                <input
+                  type="text"
+                  name="warehouse"
+                  value={formData.warehouse}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Vehicle Number
@@ -312,6 +327,13 @@ export default function CreateGRNFromPOPage({ params }) {
                       Ordered: {item.orderedQuantity} {item.unit} |
                       Received: {item.receivedQuantity} {item.unit}
                     </div>
+                    <div className="mt-2 max-w-md">
+                      <ProductSelect
+                        value={productOption(item.productId)}
+                        onChange={(option) => handleItemChange(index, 'productId', option?.product || null)}
+                        placeholder="Product received (optional)"
+                      />
+                    </div>
                   </div>
 
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
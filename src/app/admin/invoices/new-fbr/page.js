@@ -9,7 +9,7 @@ import { ProvinceSelect, DocumentTypeSelect, TransactionTypeSelect, UOMSelect }
 import { NTNInput } from '@/components/fbr/CustomerNTNValidator';
 import { TaxRateSelector } from '@/components/fbr/TaxRateSelector';
 import { HSCodeSearch } from '@/components/fbr/HSCodeSearch';
-import { showSuccess, showError } from '@/utils/toast';
+import { showSuccess, showError, showWarning } from '@/utils/toast';
 
 export default function NewFBRInvoicePage() {
   const router = useRouter();
@@ -142,8 +142,11 @@ export default function NewFBRInvoicePage() {
     };
 
     createInvoice.mutate(invoiceData, {
-      onSuccess: () => {
+      onSuccess: (result) => {
         showSuccess('Invoice created successfully with FBR compliance');
+        if (result.data.creditCheck && !result.data.creditCheck.allowed) {
+          showWarning(`Credit check failed: ${result.data.creditCheck.violations.join('; ')}`);
+        }
         router.push('/admin/invoices');
       },
       onError: (error) => {
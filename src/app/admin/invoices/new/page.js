@@ -1,32 +1,80 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { useRouter } from 'next/navigation';
+import { useState, useEffect, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
 import Link from 'next/link';
-import { CustomerSelect } from '@/components/ui/SearchableSelect';
+import { CustomerSelect, ProductSelect } from '@/components/ui/SearchableSelect';
 import { useCreateInvoice } from '@/hooks/useInvoices';
+import { useQuotation } from '@/hooks/useQuotations';
+import { useSalesOrder } from '@/hooks/useSalesOrders';
+import { showWarning } from '@/utils/toast';
 
-export default function NewInvoicePage() {
+/**
+ * Lines to pre-fill from a quotation, or the still pending lines of a sales order
+ */
+function sourceItems(quotation, salesOrder) {
+  if (salesOrder) {
+    return salesOrder.items
+      .filter((item) => item.pendingQuantity > 0)
+      .map((item) => ({
+        description: item.description,
+        quantity: item.pendingQuantity,
+        unit: item.unit,
+        rate: item.rate,
+        taxRate: item.taxRate,
+        discountRate: item.discountRate,
+        productId: item.productId,
+        salesOrderItemId: item._id,
+      }));
+  }
+
+  return quotation.items.map((item) => ({
+    description: item.description,
+    quantity: item.quantity,
+    unit: item.unit,
+    rate: item.rate,
+    taxRate: item.taxRate,
+    discountRate: item.discountRate,
+    productId: item.productId,
+  }));
+}
+
+function NewInvoiceForm({ quotation, salesOrder }) {
   const router = useRouter();
-  const [customerOption, setCustomerOption] = useState(null);
+  const source = salesOrder || quotation;
+  const [customerOption, setCustomerOption] = useState(
+    source
+      ? {
+          value: source.customerId._id,
+          label: `${source.customerId.customerCode} - ${source.customerId.name}`,
+          customer: source.customerId,
+        }
+      : null
+  );
   const createInvoice = useCreateInvoice();
 
   const [formData, setFormData] = useState({
-    customerId: '',
+    customerId: source?.customerId._id || '',
     invoiceDate: new Date().toISOString().split('T')[0],
     dueDate: '',
-    notes: '',
-    terms: '',
-    referenceNumber: '',
+    notes: source?.notes || '',
+    terms: source?.terms || '',
+    referenceNumber: source?.referenceNumber || '',
+    warehouse: 'MAIN',
     taxType: 'exclusive',
     taxRate: 18,
-    shippingCharges: 0,
-    otherCharges: 0,
+    // Charges go on the first invoice against an order
+    shippingCharges: source && !salesOrder?.invoiceIds?.length ? source.shippingCharges : 0,
+    otherCharges: source && !salesOrder?.invoiceIds?.length ? source.otherCharges : 0,
+    currency: source?.currency || 'PKR',
+    exchangeRate: '',
   });
 
-  const [items, setItems] = useState([
-    { description: '', quantity: 1, unit: 'pcs', rate: 0, taxRate: 18, discountRate: 0 },
-  ]);
+  const [items, setItems] = useState(
+    source
+      ? sourceItems(quotation, salesOrder)
+      : [{ description: '', quantity: 1, unit: 'pcs', rate: 0, taxRate: 18, discountRate: 0 }]
+  );
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -39,6 +87,24 @@ export default function NewInvoicePage() {
     setItems(newItems);
   };
 
+  // Picking a product fills the line from its defaults
+  const handleProductSelect = (index, option) => {
+    const newItems = [...items];
+    const product = option?.product;
+    newItems[index] = {
+      ...newItems[index],
+      productOption: option,
+      productId: product?._id,
+      ...(product && {
+        description: product.name,
+        unit: product.unit || 'pcs',
+        rate: product.saleRate,
+        taxRate: product.taxRate,
+      }),
+    };
+    setItems(newItems);
+  };
+
   const addItem = () => {
     setItems([...items, { description: '', quantity: 1, unit: 'pcs', rate: 0, taxRate: 18, discountRate: 0 }]);
   };
@@ -79,8 +145,11 @@ export default function NewInvoicePage() {
 
     const invoiceData = {
       ...formData,
+      quotationId: quotation?._id,
+      salesOrderId: salesOrder?._id,
       items: items.map((item) => ({
         ...item,
+        productOption: undefined,
         quantity: parseFloat(item.quantity),
         rate: parseFloat(item.rate),
         taxRate: parseFloat(item.taxRate || 0),
@@ -94,10 +163,15 @@ export default function NewInvoicePage() {
       shippingCharges: parseFloat(formData.shippingCharges || 0),
       otherCharges: parseFloat(formData.otherCharges || 0),
       taxRate: parseFloat(formData.taxRate || 0),
+      currency: formData.currency.toUpperCase(),
+      exchangeRate: formData.exchangeRate ? parseFloat(formData.exchangeRate) : undefined,
     };
 
     createInvoice.mutate(invoiceData, {
-      onSuccess: () => {
+      onSuccess: (result) => {
+        if (result.data.creditCheck && !result.data.creditCheck.allowed) {
+          showWarning(`Credit check failed: ${result.data.creditCheck.violations.join('; ')}`);
+        }
         router.push('/admin/invoices');
       },
     });
@@ -106,7 +180,7 @@ export default function NewInvoicePage() {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-PK', {
       style: 'currency',
-      currency: 'PKR',
+      currency: /^[A-Za-z]{3}$/.test(formData.currency) ? formData.currency.toUpperCase() : 'PKR',
       minimumFractionDigits: 0,
     }).format(amount);
   };
@@ -126,6 +200,16 @@ export default function NewInvoicePage() {
           </div>
         </div>
 
+        {source && (
+          <div className="bg-blue-50 border-2 border-blue-200 rounded-lg p-4 mb-6">
+            <p className="text-blue-800 font-medium">
+              {salesOrder
+                ? `Invoicing sales order ${salesOrder.orderNumber} — lines show the quantities still pending`
+                : `Converting quotation ${quotation.quoteNumber} into an invoice`}
+            </p>
+          </div>
+        )}
+
         {createInvoice.isError && (
           <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
             <p className="text-red-800 font-medium">
@@ -186,6 +270,45 @@ export default function NewInvoicePage() {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg"
                 />
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Warehouse</label>
+                <input
+                  type="text"
+                  name="warehouse"
+                  value={formData.warehouse}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg uppercase"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Currency</label>
+                <input
+                  type="text"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleChange}
+                  maxLength={3}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg uppercase"
+                />
+              </div>
+
+              {formData.currency.toUpperCase() !== 'PKR' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Exchange Rate</label>
+                  <input
+                    type="number"
+                    name="exchangeRate"
+                    step="0.000001"
+                    min="0"
+                    value={formData.exchangeRate}
+                    onChange={handleChange}
+                    placeholder="Rate table on invoice date"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+              )}
             </div>
           </div>
 
@@ -226,7 +349,12 @@ export default function NewInvoicePage() {
 
                     return (
                       <tr key={index}>
-                        <td className="px-4 py-2">
+                        <td className="px-4 py-2 min-w-64 space-y-1">
+                          <ProductSelect
+                            value={item.productOption || null}
+                            onChange={(option) => handleProductSelect(index, option)}
+                            placeholder="Product (optional)"
+                          />
                           <input
                             type="text"
                             value={item.description}
@@ -418,3 +546,61 @@ export default function NewInvoicePage() {
     </div>
   );
 }
+
+function NewInvoiceLoader() {
+  const searchParams = useSearchParams();
+  const quotationId = searchParams.get('quotationId');
+  const salesOrderId = searchParams.get('salesOrderId');
+
+  const { data: quotationData, isLoading: quotationLoading, error: quotationError } = useQuotation(
+    salesOrderId ? null : quotationId
+  );
+  const { data: salesOrderData, isLoading: salesOrderLoading, error: salesOrderError } =
+    useSalesOrder(salesOrderId);
+
+  const error = quotationError || salesOrderError;
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-8">
+        <div className="max-w-6xl mx-auto bg-red-50 border-2 border-red-200 rounded-lg p-4">
+          <p className="text-red-800 font-medium">{error.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (quotationLoading || salesOrderLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-6 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <NewInvoiceForm
+      quotation={quotationData?.quotation}
+      salesOrder={salesOrderData?.salesOrder}
+    />
+  );
+}
+
+export default function NewInvoicePage() {
+  return (
+    <Suspense
+      fallback={
+        <div className="min-h-screen bg-gray-50 p-6 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading...</p>
+          </div>
+        </div>
+      }
+    >
+      <NewInvoiceLoader />
+    </Suspense>
+  );
+}
@@ -6,7 +6,7 @@ import { useRouter } from 'next/navigation';
 import { format } from 'date-fns';
 import { exportSalesReport } from '@/utils/excelExport';
 import { showPromise } from '@/utils/toast';
-import { useInvoices, usePostInvoice, useDeleteInvoice } from '@/hooks/useInvoices';
+import { useInvoices, usePostInvoice, useApplyInvoiceAdvances, useDeleteInvoice } from '@/hooks/useInvoices';
 
 export default function InvoicesPage() {
   const router = useRouter();
@@ -18,25 +18,58 @@ export default function InvoicesPage() {
   // React Query hooks
   const { data, isLoading, error: queryError } = useInvoices({ page, search, filterStatus, filterPayment });
   const postInvoice = usePostInvoice();
+  const applyAdvances = useApplyInvoiceAdvances();
   const deleteInvoice = useDeleteInvoice();
 
   const invoices = data?.invoices || [];
   const pagination = data?.pagination || null;
   const error = queryError?.message || null;
 
-  const handlePost = async (invoiceId) => {
-    if (!confirm('Are you sure you want to post this invoice? This will create accounting entries.')) {
+  const handlePost = async (invoiceId, creditOverrideReason) => {
+    if (
+      !creditOverrideReason &&
+      !confirm('Are you sure you want to post this invoice? This will create accounting entries.')
+    ) {
       return;
     }
 
-    await showPromise(
-      postInvoice.mutateAsync(invoiceId),
-      {
-        loading: 'Posting invoice...',
-        success: 'Invoice posted successfully!',
-        error: (err) => err.message || 'Failed to post invoice',
+    try {
+      const result = await showPromise(
+        postInvoice.mutateAsync({ invoiceId, creditOverrideReason }),
+        {
+          loading: 'Posting invoice...',
+          success: 'Invoice posted successfully!',
+          error: (err) => err.message || 'Failed to post invoice',
+        }
+      );
+
+      // Offer the customer's advances and on-account credit against the new invoice
+      const available = result.data.advances?.available;
+      if (
+        available?.total > 0 &&
+        confirm(
+          `This customer has ${result.data.invoice.currency} ${available.total.toFixed(2)} in advances or on-account credit ` +
+            `(${available.items.map((item) => item.number).join(', ')}). Apply it to this invoice?`
+        )
+      ) {
+        await showPromise(applyAdvances.mutateAsync({ invoiceId }), {
+          loading: 'Applying customer credit...',
+          success: (data) => data.message || 'Customer credit applied',
+          error: (err) => err.message || 'Failed to apply customer credit',
+        });
       }
-    );
+    } catch (err) {
+      // Credit check failed: users who may approve the exception are asked why
+      if (err.creditCheck && err.canOverride && !creditOverrideReason) {
+        const reason = prompt(
+          `${err.creditCheck.violations.join('\n')}\n\nReason for approving this credit exception:`
+        );
+
+        if (reason?.trim()) {
+          await handlePost(invoiceId, reason.trim());
+        }
+      }
+    }
   };
 
   const handleDelete = async (invoiceId) => {
@@ -113,6 +146,24 @@ export default function InvoicesPage() {
                   Export to Excel
                 </button>
               )}
+              <Link
+                href="/admin/receipts"
+                className="px-6 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Receipts
+              </Link>
+              <Link
+                href="/admin/adjustment-notes"
+                className="px-6 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Credit/Debit Notes
+              </Link>
+              <Link
+                href="/admin/invoices/reminders"
+                className="px-6 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                Reminders
+              </Link>
               <Link
                 href="/admin/invoices/new"
                 className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors"
@@ -162,6 +213,7 @@ export default function InvoicesPage() {
                 <option value="posted">Posted</option>
                 <option value="partially_paid">Partially Paid</option>
                 <option value="paid">Paid</option>
+                <option value="overdue">Overdue</option>
                 <option value="cancelled">Cancelled</option>
               </select>
             </div>
@@ -312,6 +364,11 @@ export default function InvoicesPage() {
                           >
                             {invoice.status.replace('_', ' ')}
                           </span>
+                          {invoice.creditOverride && (
+                            <div className="text-xs text-amber-600 mt-1" title={invoice.creditOverride.reason}>
+                              Credit override
+                            </div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-medium">
                           <div className="flex items-center justify-center gap-2">
@@ -0,0 +1,216 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { showPromise } from '@/utils/toast';
+import { usePaymentReminders, useUpdateReminderSettings, useRunPaymentReminders } from '@/hooks/useInvoices';
+
+const describeOffset = (offset) => {
+  if (offset < 0) return `${-offset} day${offset === -1 ? '' : 's'} before due`;
+  if (offset === 0) return 'On due date';
+  return `${offset} day${offset === 1 ? '' : 's'} overdue`;
+};
+
+export default function PaymentRemindersPage() {
+  const [status, setStatus] = useState('');
+  const { data, isLoading, error } = usePaymentReminders({ status });
+  const updateSettings = useUpdateReminderSettings();
+  const runReminders = useRunPaymentReminders();
+
+  // Edits to the settings; null until the user changes them
+  const [scheduleText, setScheduleText] = useState(null);
+  const [enabled, setEnabled] = useState(null);
+
+  const settings = data?.settings;
+  const log = data?.log || [];
+  const scheduleValue = scheduleText ?? settings?.schedule.join(', ') ?? '';
+  const enabledValue = enabled ?? settings?.enabled ?? true;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const schedule = scheduleValue
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map(Number);
+
+    try {
+      await showPromise(updateSettings.mutateAsync({ enabled: enabledValue, schedule }), {
+        loading: 'Saving settings...',
+        success: 'Reminder settings saved',
+        error: (err) => err.message || 'Failed to save settings',
+      });
+      setScheduleText(null);
+      setEnabled(null);
+    } catch (err) {
+      console.error('Error saving reminder settings:', err);
+    }
+  };
+
+  const handleRun = async () => {
+    try {
+      await showPromise(runReminders.mutateAsync(), {
+        loading: 'Checking due dates...',
+        success: (result) => result.message,
+        error: (err) => err.message || 'Failed to run reminders',
+      });
+    } catch (err) {
+      console.error('Error running reminders:', err);
+    }
+  };
+
+  const statusColors = {
+    sent: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    skipped: 'bg-gray-100 text-gray-800',
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-8 flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Payment Reminders</h1>
+            <p className="text-gray-600 mt-2">
+              Invoices past their due date are marked overdue and customers are emailed on the schedule below
+            </p>
+          </div>
+          <Link href="/admin/invoices" className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium">
+            ← Back to Invoices
+          </Link>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error.message}</p>
+          </div>
+        )}
+
+        {/* Settings */}
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Schedule</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Days relative to due date (negative = before)
+              </label>
+              <input
+                type="text"
+                value={scheduleValue}
+                onChange={(e) => setScheduleText(e.target.value)}
+                placeholder="-3, 0, 7, 30"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+              />
+              {settings && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Current: {settings.schedule.map(describeOffset).join(' · ')}
+                </p>
+              )}
+            </div>
+            <div className="flex items-center pb-2">
+              <input
+                type="checkbox"
+                checked={enabledValue}
+                onChange={(e) => setEnabled(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <label className="ml-2 text-sm text-gray-700">Send reminder emails</label>
+            </div>
+          </div>
+          <p className="text-sm text-gray-500 mt-4">
+            The job runs daily from the scheduler. Each invoice gets the latest step reached once; customers who
+            opted out are skipped.
+          </p>
+          <div className="flex justify-end gap-3 mt-4">
+            <button
+              type="button"
+              onClick={handleRun}
+              disabled={runReminders.isPending}
+              className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 disabled:opacity-50"
+            >
+              {runReminders.isPending ? 'Running...' : 'Run Now'}
+            </button>
+            <button
+              type="submit"
+              disabled={updateSettings.isPending}
+              className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+            >
+              Save Settings
+            </button>
+          </div>
+        </form>
+
+        {/* Log */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Reminder Log</h2>
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="">All</option>
+              <option value="sent">Sent</option>
+              <option value="failed">Failed</option>
+              <option value="skipped">Skipped</option>
+            </select>
+          </div>
+
+          {isLoading ? (
+            <p className="text-gray-500">Loading...</p>
+          ) : log.length === 0 ? (
+            <p className="text-gray-500">No reminders yet.</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Date</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Invoice</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Customer</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Step</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Status</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {log.map((row) => (
+                  <tr key={row._id}>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      {format(new Date(row.reminder.sentAt), 'dd/MM/yyyy HH:mm')}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <div className="font-medium text-gray-900">{row.invoiceNumber}</div>
+                      <div className="text-xs text-gray-500">
+                        Due {format(new Date(row.dueDate), 'dd/MM/yyyy')} · {row.currency}{' '}
+                        {row.balanceAmount.toFixed(2)}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2">
+                      {row.customer?.name}
+                      {row.customer?.reminderOptOut && (
+                        <span className="ml-2 text-xs text-gray-500">(opted out)</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">{describeOffset(row.reminder.offsetDays)}</td>
+                    <td className="px-4 py-2">
+                      <span
+                        className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${
+                          statusColors[row.reminder.status]
+                        }`}
+                      >
+                        {row.reminder.status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{row.reminder.message || row.reminder.sentTo}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
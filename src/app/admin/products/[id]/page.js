@@ -0,0 +1,111 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { useProduct, useUpdateProduct } from '@/hooks/useProducts';
+import ProductForm from '@/components/products/ProductForm';
+
+export default function EditProductPage({ params }) {
+  const router = useRouter();
+  const { id } = params;
+  const [errors, setErrors] = useState({});
+
+  const { data: productData, isLoading, isError, error } = useProduct(id);
+  const updateProduct = useUpdateProduct();
+
+  const product = productData?.product;
+
+  const handleSubmit = (data) => {
+    setErrors({});
+
+    updateProduct.mutate(
+      { productId: id, productData: data },
+      {
+        onSuccess: () => {
+          router.push('/admin/products');
+        },
+        onError: (error) => {
+          // Handle validation errors from API
+          if (error.errors) {
+            setErrors(error.errors);
+          }
+        },
+      }
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-8">
+        <div className="max-w-4xl mx-auto">
+          <div className="flex items-center justify-center py-12">
+            <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+            <p className="ml-4 text-gray-600">Loading product...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (isError || !product) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-8">
+        <div className="max-w-4xl mx-auto">
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4">
+            <p className="text-red-800 font-medium">
+              {error?.message || 'Failed to load product'}
+            </p>
+          </div>
+          <Link
+            href="/admin/products"
+            className="inline-block mt-4 px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+          >
+            ← Back to Products
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-4xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Edit Product</h1>
+              <p className="text-gray-600 mt-2">{product.sku} - {product.name}</p>
+            </div>
+            <Link
+              href="/admin/products"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← Back to Products
+            </Link>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {updateProduct.isError && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">
+              {updateProduct.error?.message || 'Failed to update product'}
+            </p>
+          </div>
+        )}
+
+        <ProductForm
+          key={product._id}
+          product={product}
+          onSubmit={handleSubmit}
+          isPending={updateProduct.isPending}
+          errors={errors}
+          submitLabel="Update Product"
+          cancelHref="/admin/products"
+        />
+      </div>
+    </div>
+  );
+}
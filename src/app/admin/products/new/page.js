@@ -0,0 +1,68 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { useCreateProduct } from '@/hooks/useProducts';
+import ProductForm from '@/components/products/ProductForm';
+
+export default function NewProductPage() {
+  const router = useRouter();
+  const [errors, setErrors] = useState({});
+  const createProduct = useCreateProduct();
+
+  const handleSubmit = (productData) => {
+    setErrors({});
+
+    createProduct.mutate(productData, {
+      onSuccess: () => {
+        router.push('/admin/products');
+      },
+      onError: (error) => {
+        // Handle validation errors from API
+        if (error.errors) {
+          setErrors(error.errors);
+        }
+      },
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-4xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Add Product</h1>
+              <p className="text-gray-600 mt-2">Create a new item for sales and purchase documents</p>
+            </div>
+            <Link
+              href="/admin/products"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← Back to Products
+            </Link>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {createProduct.isError && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">
+              {createProduct.error?.message || 'Failed to create product'}
+            </p>
+          </div>
+        )}
+
+        <ProductForm
+          onSubmit={handleSubmit}
+          isPending={createProduct.isPending}
+          errors={errors}
+          submitLabel="Create Product"
+          cancelHref="/admin/products"
+        />
+      </div>
+    </div>
+  );
+}
@@ -130,6 +130,28 @@ export default function ViewPurchaseInvoicePage({ params }) {
       showSuccess(
         `Invoice posted successfully! Voucher: ${data.data.voucher.voucherNumber}, Amount: Rs. ${data.data.voucher.totalDebit.toLocaleString()}`
       );
+
+      // Offer the supplier's advances against the new invoice
+      const available = data.data.advances?.available;
+      if (
+        available?.total > 0 &&
+        confirm(
+          `This supplier has ${invoice.currency || ''} ${available.total.toFixed(2)} in advances ` +
+            `(${available.items.map((item) => item.number).join(', ')}). Apply them to this invoice?`
+        )
+      ) {
+        const advanceResponse = await fetch(`/api/purchase-invoices/${id}/advances`, {
+          method: 'POST',
+        });
+        const advanceData = await advanceResponse.json();
+
+        if (advanceResponse.ok) {
+          showSuccess(advanceData.message);
+        } else {
+          showError(advanceData.message || 'Failed to apply supplier advances');
+        }
+      }
+
       fetchInvoice();
     } catch (err) {
       showError(err.message);
@@ -5,6 +5,7 @@ import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { format } from 'date-fns';
 import { showSuccess, showError } from '@/utils/toast';
+import { ProductSelect, productOption } from '@/components/ui/SearchableSelect';
 
 export default function NewPurchaseInvoicePage() {
   const router = useRouter();
@@ -26,6 +27,8 @@ export default function NewPurchaseInvoicePage() {
     otherCharges: 0,
     notes: '',
     internalNotes: '',
+    currency: 'PKR',
+    exchangeRate: '',
   });
 
   // Fetch inspected GRNs (ready for invoicing)
@@ -74,6 +77,7 @@ export default function NewPurchaseInvoicePage() {
         .map((item) => ({
           grnItemId: item._id,
           poItemId: item.poItemId,
+          productId: item.productId,
           description: item.description,
           poQuantity: item.orderedQuantity || 0,
           grnQuantity: item.acceptedQuantity,
@@ -107,6 +111,13 @@ export default function NewPurchaseInvoicePage() {
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
 
+  // Product billed on a line (carried from the GRN, can be changed)
+  const handleProductChange = (index, option) => {
+    const updatedItems = [...formData.items];
+    updatedItems[index] = { ...updatedItems[index], productId: option?.product || null };
+    setFormData((prev) => ({ ...prev, items: updatedItems }));
+  };
+
   // Handle item changes
   const handleItemChange = (index, field, value) => {
     const updatedItems = [...formData.items];
@@ -171,6 +182,7 @@ export default function NewPurchaseInvoicePage() {
 
       const payload = {
         ...formData,
+        items: formData.items.map((item) => ({ ...item, productId: item.productId?._id })),
         purchaseOrderId: selectedGrn.purchaseOrderId._id,
         grnId: selectedGrn._id,
         supplierId: selectedGrn.supplierId._id,
@@ -412,6 +424,32 @@ export default function NewPurchaseInvoicePage() {
                   className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                <input
+                  type="text"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleInputChange}
+                  maxLength={3}
+                  className="w-full px-3 py-2 border border-gray-300 rounded uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              {formData.currency.toUpperCase() !== 'PKR' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Exchange Rate</label>
+                  <input
+                    type="number"
+                    name="exchangeRate"
+                    step="0.000001"
+                    min="0"
+                    value={formData.exchangeRate}
+                    onChange={handleInputChange}
+                    placeholder="Rate table on invoice date"
+                    className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              )}
             </div>
           </div>
 
@@ -457,6 +495,13 @@ export default function NewPurchaseInvoicePage() {
                       <td className="px-3 py-2 text-sm">
                         <div className="font-medium text-gray-900">{item.description}</div>
                         <div className="text-gray-500 text-xs">{item.unit}</div>
+                        <div className="mt-1 min-w-56">
+                          <ProductSelect
+                            value={productOption(item.productId)}
+                            onChange={(option) => handleProductChange(index, option)}
+                            placeholder="Product (optional)"
+                          />
+                        </div>
                       </td>
                       <td className="px-3 py-2 text-center text-sm text-gray-600">
                         {item.poQuantity}
@@ -159,6 +159,12 @@ function PurchaseInvoicesList() {
             >
               + New Invoice
             </Link>
+            <Link
+              href="/admin/supplier-payments"
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Payments
+            </Link>
             <Link
               href="/dashboard"
               className="px-4 py-2 bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
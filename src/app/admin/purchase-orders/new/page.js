@@ -3,7 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
-import { SupplierSelect } from '@/components/ui/SearchableSelect';
+import { SupplierSelect, ProductSelect } from '@/components/ui/SearchableSelect';
 import { useCreatePurchaseOrder } from '@/hooks/usePurchaseOrders';
 
 export default function NewPurchaseOrderPage() {
@@ -61,6 +61,24 @@ export default function NewPurchaseOrderPage() {
     setItems(newItems);
   };
 
+  // Picking a product fills the line from its defaults
+  const handleProductSelect = (index, option) => {
+    const newItems = [...items];
+    const product = option?.product;
+    newItems[index] = {
+      ...newItems[index],
+      productOption: option,
+      productId: product?._id,
+      ...(product && {
+        description: product.name,
+        unit: product.unit || 'pcs',
+        rate: product.purchaseRate,
+        taxRate: product.taxRate,
+      }),
+    };
+    setItems(newItems);
+  };
+
   const addItem = () => {
     setItems([
       ...items,
@@ -149,6 +167,7 @@ export default function NewPurchaseOrderPage() {
       terms: formData.terms,
       deliveryAddress,
       items: items.map((item) => ({
+        productId: item.productId,
         description: item.description,
         quantity: parseFloat(item.quantity),
         unit: item.unit,
@@ -321,6 +340,15 @@ export default function NewPurchaseOrderPage() {
                     )}
 
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Product</label>
+                        <ProductSelect
+                          value={item.productOption || null}
+                          onChange={(option) => handleProductSelect(index, option)}
+                          placeholder="Select a product or enter a description below"
+                        />
+                      </div>
+
                       <div className="md:col-span-2">
                         <label className="block text-sm font-medium text-gray-700 mb-1">
                           Description <span className="text-red-500">*</span>
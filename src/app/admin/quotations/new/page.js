@@ -0,0 +1,49 @@
+'use client';
+
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import SalesDocumentForm from '@/components/sales/SalesDocumentForm';
+import { useCreateQuotation } from '@/hooks/useQuotations';
+
+export default function NewQuotationPage() {
+  const router = useRouter();
+  const createQuotation = useCreateQuotation();
+
+  const handleSubmit = (quotationData) => {
+    createQuotation.mutate(quotationData, {
+      onSuccess: () => {
+        router.push('/admin/quotations');
+      },
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">New Quotation</h1>
+              <p className="text-gray-600 mt-2">Offer prices to a customer until a validity date</p>
+            </div>
+            <Link href="/admin/quotations" className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium">
+              ← Back to Quotations
+            </Link>
+          </div>
+        </div>
+
+        <SalesDocumentForm
+          dateFields={{
+            primary: { name: 'quoteDate', label: 'Quotation Date' },
+            secondary: { name: 'validUntil', label: 'Valid Until', required: true },
+          }}
+          onSubmit={handleSubmit}
+          isPending={createQuotation.isPending}
+          error={createQuotation.error}
+          submitLabel="Create Quotation"
+          cancelHref="/admin/quotations"
+        />
+      </div>
+    </div>
+  );
+}
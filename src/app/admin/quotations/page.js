@@ -0,0 +1,313 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { showSuccess, showError } from '@/utils/toast';
+import {
+  useQuotations,
+  useSendQuotation,
+  useAcceptQuotation,
+  useConvertQuotation,
+  useDeleteQuotation,
+} from '@/hooks/useQuotations';
+
+export default function QuotationsPage() {
+  const router = useRouter();
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+
+  const { data: quotationData, isLoading, error } = useQuotations({ page, search, status });
+
+  const sendMutation = useSendQuotation();
+  const acceptMutation = useAcceptQuotation();
+  const convertMutation = useConvertQuotation();
+  const deleteMutation = useDeleteQuotation();
+
+  const quotations = quotationData?.quotations || [];
+  const pagination = quotationData?.pagination || { page: 1, limit: 50, total: 0, pages: 0 };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+  };
+
+  const handleAction = async (mutation, quotationId, successMessage) => {
+    try {
+      const result = await mutation.mutateAsync(quotationId);
+      showSuccess(result.message || successMessage);
+      return result;
+    } catch (err) {
+      showError(err.message);
+      return null;
+    }
+  };
+
+  const handleConvertToOrder = async (quotation) => {
+    if (!confirm(`Create a confirmed sales order from ${quotation.quoteNumber}?`)) {
+      return;
+    }
+
+    const result = await handleAction(convertMutation, quotation._id, 'Sales order created');
+    if (result) {
+      router.push('/admin/sales-orders');
+    }
+  };
+
+  const handleDelete = async (quotation) => {
+    if (!confirm(`Delete quotation ${quotation.quoteNumber}?`)) {
+      return;
+    }
+
+    await handleAction(deleteMutation, quotation._id, 'Quotation deleted successfully');
+  };
+
+  const formatCurrency = (amount, currency = 'PKR') => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+
+  const getStatusBadge = (statusValue) => {
+    const statusColors = {
+      draft: 'bg-gray-100 text-gray-800',
+      sent: 'bg-blue-100 text-blue-800',
+      accepted: 'bg-green-100 text-green-800',
+      expired: 'bg-yellow-100 text-yellow-800',
+      converted: 'bg-purple-100 text-purple-800',
+      cancelled: 'bg-red-100 text-red-800',
+    };
+
+    return (
+      <span
+        className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${
+          statusColors[statusValue] || 'bg-gray-100 text-gray-800'
+        }`}
+      >
+        {statusValue}
+      </span>
+    );
+  };
+
+  if (isLoading && quotations.length === 0) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Quotations</h1>
+          <p className="text-gray-600 mt-1">Price offers to customers, converted into sales orders or invoices</p>
+        </div>
+        <Link
+          href="/admin/quotations/new"
+          className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition"
+        >
+          + New Quotation
+        </Link>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg mb-4">
+          {error.message}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
+        <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Quotation number, reference..."
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+            <select
+              value={status}
+              onChange={(e) => {
+                setStatus(e.target.value);
+                setPage(1);
+              }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">All</option>
+              <option value="draft">Draft</option>
+              <option value="sent">Sent</option>
+              <option value="accepted">Accepted</option>
+              <option value="expired">Expired</option>
+              <option value="converted">Converted</option>
+            </select>
+          </div>
+          <div>
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition"
+            >
+              Search
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Quotations Table */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Quotation #
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Date
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Valid Until
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Customer
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Amount
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {quotations.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
+                    No quotations found. Click &quot;New Quotation&quot; to create one.
+                  </td>
+                </tr>
+              ) : (
+                quotations.map((quotation) => (
+                  <tr key={quotation._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                      {quotation.quoteNumber}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {format(new Date(quotation.quoteDate), 'dd/MM/yyyy')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {format(new Date(quotation.validUntil), 'dd/MM/yyyy')}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{quotation.customerId?.name || 'N/A'}</div>
+                      <div className="text-sm text-gray-500">{quotation.customerId?.customerCode || ''}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 text-right">
+                      {formatCurrency(quotation.totalAmount, quotation.currency)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {getStatusBadge(quotation.status)}
+                      {quotation.salesOrderId && (
+                        <div className="text-xs text-gray-500 mt-1">→ {quotation.salesOrderId.orderNumber}</div>
+                      )}
+                      {quotation.invoiceId && (
+                        <div className="text-xs text-gray-500 mt-1">→ {quotation.invoiceId.invoiceNumber}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex justify-end gap-2">
+                        {quotation.status === 'draft' && (
+                          <button
+                            onClick={() => handleAction(sendMutation, quotation._id, 'Quotation marked as sent')}
+                            className="text-blue-600 hover:text-blue-900"
+                          >
+                            Send
+                          </button>
+                        )}
+                        {['draft', 'sent'].includes(quotation.status) && (
+                          <button
+                            onClick={() => handleAction(acceptMutation, quotation._id, 'Quotation accepted')}
+                            className="text-green-600 hover:text-green-900"
+                          >
+                            Accept
+                          </button>
+                        )}
+                        {quotation.status === 'accepted' && (
+                          <>
+                            <button
+                              onClick={() => handleConvertToOrder(quotation)}
+                              className="text-purple-600 hover:text-purple-900"
+                            >
+                              Sales Order
+                            </button>
+                            <Link
+                              href={`/admin/invoices/new?quotationId=${quotation._id}`}
+                              className="text-blue-600 hover:text-blue-900"
+                            >
+                              Invoice
+                            </Link>
+                          </>
+                        )}
+                        {quotation.status !== 'converted' && (
+                          <button
+                            onClick={() => handleDelete(quotation)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="bg-gray-50 px-6 py-3 border-t border-gray-200 flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing {(pagination.page - 1) * pagination.limit + 1} to{' '}
+              {Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total} quotations
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 1}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,501 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { CustomerSelect, AccountSelect } from '@/components/ui/SearchableSelect';
+import {
+  useReceipts,
+  useOpenInvoices,
+  useCreateReceipt,
+  usePostReceipt,
+  useDeleteReceipt,
+} from '@/hooks/useReceipts';
+import { showPromise } from '@/utils/toast';
+
+const initialForm = () => ({
+  receiptType: 'payment',
+  receiptDate: format(new Date(), 'yyyy-MM-dd'),
+  amount: '',
+  paymentMethod: 'cash',
+  chequeNumber: '',
+  chequeDate: '',
+  bankName: '',
+  referenceNumber: '',
+  notes: '',
+});
+
+export default function ReceiptsPage() {
+  const [showForm, setShowForm] = useState(false);
+  const [filterStatus, setFilterStatus] = useState('');
+  const [customerOption, setCustomerOption] = useState(null);
+  const [depositAccount, setDepositAccount] = useState(null);
+  const [formData, setFormData] = useState(initialForm());
+  const [allocations, setAllocations] = useState({});
+
+  const customerId = customerOption?.value || '';
+
+  const { data, isLoading, isError, error } = useReceipts({ status: filterStatus, limit: 100 });
+  const { data: openInvoices = [], isLoading: invoicesLoading } = useOpenInvoices(customerId);
+  const createReceipt = useCreateReceipt();
+  const postReceipt = usePostReceipt();
+  const deleteReceipt = useDeleteReceipt();
+
+  const receipts = data?.receipts || [];
+  const amount = parseFloat(formData.amount) || 0;
+  const isAdvance = formData.receiptType === 'advance';
+  const allocatedAmount = isAdvance
+    ? 0
+    : Object.values(allocations).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+  const unallocatedAmount = amount - allocatedAmount;
+
+  const formatAmount = (value) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value || 0);
+  };
+
+  const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+  const getStatusBadge = (status) => {
+    const colors = {
+      draft: 'bg-gray-100 text-gray-800',
+      posted: 'bg-green-100 text-green-800',
+      cancelled: 'bg-red-100 text-red-800',
+    };
+    return colors[status] || 'bg-gray-100 text-gray-800';
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Spread the amount over open invoices, oldest first
+  const handleAutoAllocate = () => {
+    let remaining = amount;
+    const next = {};
+
+    openInvoices.forEach((invoice) => {
+      if (remaining < 0.01) return;
+      const allocation = Math.min(remaining, parseFloat(invoice.balanceAmount.toFixed(2)));
+      next[invoice._id] = allocation.toFixed(2);
+      remaining -= allocation;
+    });
+
+    setAllocations(next);
+  };
+
+  const resetForm = () => {
+    setFormData(initialForm());
+    setCustomerOption(null);
+    setAllocations({});
+    setShowForm(false);
+  };
+
+  const handleSubmit = async (e, postNow = false) => {
+    e.preventDefault();
+
+    const receiptData = {
+      ...formData,
+      customerId,
+      amount,
+      depositAccountId: depositAccount?.value,
+      allocations: isAdvance
+        ? []
+        : Object.entries(allocations)
+            .filter(([, value]) => parseFloat(value) > 0)
+            .map(([invoiceId, value]) => ({ invoiceId, amount: parseFloat(value) })),
+    };
+
+    try {
+      const result = await showPromise(createReceipt.mutateAsync(receiptData), {
+        loading: 'Saving receipt...',
+        success: 'Receipt saved',
+        error: (err) => err.message || 'Failed to save receipt',
+      });
+
+      if (postNow) {
+        await showPromise(postReceipt.mutateAsync(result.data.receipt._id), {
+          loading: 'Posting receipt...',
+          success: 'Receipt posted',
+          error: (err) => err.message || 'Failed to post receipt',
+        });
+      }
+
+      resetForm();
+    } catch (err) {
+      console.error('Error saving receipt:', err);
+    }
+  };
+
+  const handlePost = async (receipt) => {
+    if (!confirm(`Post receipt ${receipt.receiptNumber}? This creates the receipt voucher.`)) {
+      return;
+    }
+
+    try {
+      await showPromise(postReceipt.mutateAsync(receipt._id), {
+        loading: 'Posting receipt...',
+        success: 'Receipt posted',
+        error: (err) => err.message || 'Failed to post receipt',
+      });
+    } catch (err) {
+      console.error('Error posting receipt:', err);
+    }
+  };
+
+  const handleDelete = async (receipt) => {
+    if (!confirm(`Delete draft receipt ${receipt.receiptNumber}?`)) {
+      return;
+    }
+
+    try {
+      await showPromise(deleteReceipt.mutateAsync(receipt._id), {
+        loading: 'Deleting receipt...',
+        success: 'Receipt deleted',
+        error: (err) => err.message || 'Failed to delete receipt',
+      });
+    } catch (err) {
+      console.error('Error deleting receipt:', err);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Customer Receipts</h1>
+              <p className="text-gray-600 mt-2">Record payments from customers and allocate them to invoices</p>
+            </div>
+            <div className="flex gap-3">
+              <Link
+                href="/admin/invoices"
+                className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+              >
+                ← Back to Invoices
+              </Link>
+              <button
+                onClick={() => setShowForm(!showForm)}
+                className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                {showForm ? 'Close' : '+ New Receipt'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {isError && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error?.message}</p>
+          </div>
+        )}
+
+        {/* New Receipt */}
+        {showForm && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-8 space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Customer *</label>
+                <CustomerSelect
+                  value={customerOption}
+                  onChange={(selectedOption) => {
+                    setCustomerOption(selectedOption);
+                    setAllocations({});
+                  }}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Received In (Cash/Bank) *</label>
+                <AccountSelect value={depositAccount} onChange={setDepositAccount} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Receipt Date *</label>
+                <input
+                  type="date"
+                  name="receiptDate"
+                  value={formData.receiptDate}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Amount *</label>
+                <input
+                  type="number"
+                  name="amount"
+                  step="0.01"
+                  min="0.01"
+                  value={formData.amount}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Receipt Type</label>
+                <select
+                  name="receiptType"
+                  value={formData.receiptType}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="payment">Payment against invoices</option>
+                  <option value="advance">Advance</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Payment Method</label>
+                <select
+                  name="paymentMethod"
+                  value={formData.paymentMethod}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="cash">Cash</option>
+                  <option value="bank_transfer">Bank Transfer</option>
+                  <option value="cheque">Cheque</option>
+                  <option value="credit_card">Credit Card</option>
+                  <option value="online">Online</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Reference #</label>
+                <input
+                  type="text"
+                  name="referenceNumber"
+                  value={formData.referenceNumber}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              {formData.paymentMethod === 'cheque' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Cheque #</label>
+                    <input
+                      type="text"
+                      name="chequeNumber"
+                      value={formData.chequeNumber}
+                      onChange={handleChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Cheque Date</label>
+                    <input
+                      type="date"
+                      name="chequeDate"
+                      value={formData.chequeDate}
+                      onChange={handleChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Bank</label>
+                    <input
+                      type="text"
+                      name="bankName"
+                      value={formData.bankName}
+                      onChange={handleChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+
+            {isAdvance && (
+              <p className="px-4 py-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+                The advance is held in the customer advances account and offered against this customer&apos;s
+                invoices when they are posted.
+              </p>
+            )}
+
+            {/* Allocation */}
+            {customerId && !isAdvance && (
+              <div className="border border-gray-200 rounded-lg overflow-hidden">
+                <div className="px-4 py-3 bg-gray-50 flex justify-between items-center">
+                  <span className="font-semibold text-gray-900">Allocate to Invoices</span>
+                  <button
+                    type="button"
+                    onClick={handleAutoAllocate}
+                    disabled={amount <= 0 || openInvoices.length === 0}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                  >
+                    Allocate oldest first
+                  </button>
+                </div>
+                {invoicesLoading ? (
+                  <p className="px-4 py-3 text-gray-600">Loading invoices...</p>
+                ) : openInvoices.length === 0 ? (
+                  <p className="px-4 py-3 text-sm text-gray-500 italic">
+                    No open invoices. The full amount will be kept as on-account credit.
+                  </p>
+                ) : (
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead>
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoice</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Allocate</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {openInvoices.map((invoice) => (
+                        <tr key={invoice._id}>
+                          <td className="px-4 py-2 font-mono">{invoice.invoiceNumber}</td>
+                          <td className="px-4 py-2">{formatDate(invoice.invoiceDate)}</td>
+                          <td className="px-4 py-2 text-right">
+                            {invoice.currency !== 'PKR' && `${invoice.currency} `}
+                            {formatAmount(invoice.totalAmount)}
+                          </td>
+                          <td className="px-4 py-2 text-right">{formatAmount(invoice.balanceAmount)}</td>
+                          <td className="px-4 py-2 text-right">
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              max={invoice.balanceAmount.toFixed(2)}
+                              value={allocations[invoice._id] || ''}
+                              onChange={(e) =>
+                                setAllocations((prev) => ({ ...prev, [invoice._id]: e.target.value }))
+                              }
+                              className="w-32 px-2 py-1 border border-gray-300 rounded text-right"
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                <div className="px-4 py-3 bg-gray-50 flex justify-end gap-8 text-sm">
+                  <span>
+                    Allocated: <span className="font-semibold">{formatAmount(allocatedAmount)}</span>
+                  </span>
+                  <span className={unallocatedAmount < -0.005 ? 'text-red-700' : ''}>
+                    On account: <span className="font-semibold">{formatAmount(unallocatedAmount)}</span>
+                  </span>
+                </div>
+              </div>
+            )}
+
+            <input
+              type="text"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              placeholder="Notes"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+            />
+
+            <div className="flex justify-end gap-3">
+              <button
+                type="submit"
+                disabled={createReceipt.isPending || !customerId || unallocatedAmount < -0.005}
+                className="px-6 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                Save Draft
+              </button>
+              <button
+                type="button"
+                onClick={(e) => handleSubmit(e, true)}
+                disabled={createReceipt.isPending || postReceipt.isPending || !customerId || unallocatedAmount < -0.005}
+                className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+              >
+                Save & Post
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Filter */}
+        <div className="bg-white rounded-lg shadow p-4 mb-6 flex gap-4 items-center">
+          <label className="text-sm font-medium text-gray-700">Status</label>
+          <select
+            value={filterStatus}
+            onChange={(e) => setFilterStatus(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">All</option>
+            <option value="draft">Draft</option>
+            <option value="posted">Posted</option>
+          </select>
+        </div>
+
+        {/* Receipts List */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {isLoading ? (
+            <p className="px-6 py-4 text-gray-600">Loading receipts...</p>
+          ) : receipts.length === 0 ? (
+            <p className="px-6 py-8 text-center text-gray-500">No receipts yet</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Receipt #</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Unapplied</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200 text-sm">
+                {receipts.map((receipt) => (
+                  <tr key={receipt._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-3 font-mono">
+                      {receipt.receiptNumber}
+                      {receipt.voucherId && (
+                        <span className="block text-xs text-gray-500">{receipt.voucherId.voucherNumber}</span>
+                      )}
+                      {receipt.receiptType === 'advance' && (
+                        <span className="block text-xs font-sans text-blue-700">Advance</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-3">{formatDate(receipt.receiptDate)}</td>
+                    <td className="px-6 py-3">{receipt.customerId?.name}</td>
+                    <td className="px-6 py-3 capitalize">{receipt.paymentMethod.replace('_', ' ')}</td>
+                    <td className="px-6 py-3 text-right font-medium">
+                      {receipt.currency !== 'PKR' && `${receipt.currency} `}
+                      {formatAmount(receipt.amount)}
+                    </td>
+                    <td className="px-6 py-3 text-right">
+                      {formatAmount(receipt.unallocatedAmount - (receipt.appliedAmount || 0))}
+                    </td>
+                    <td className="px-6 py-3">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadge(receipt.status)}`}>
+                        {receipt.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-3 text-right space-x-3">
+                      {receipt.status === 'draft' && (
+                        <>
+                          <button onClick={() => handlePost(receipt)} className="text-green-600 hover:text-green-900">
+                            Post
+                          </button>
+                          <button onClick={() => handleDelete(receipt)} className="text-red-600 hover:text-red-900">
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+'use client';
+
+import { Fragment, useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { useApAging } from '@/hooks/useSuppliers';
+import { exportApAging } from '@/utils/excelExport';
+
+export default function ApAgingPage() {
+  const [asAt, setAsAt] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [basis, setBasis] = useState('due_date');
+  const [expanded, setExpanded] = useState(null);
+
+  const { data, isLoading, error } = useApAging({ asAt, basis });
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency: data?.currency || 'PKR',
+      minimumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+
+  const bucketColors = {
+    '0-30': 'bg-green-50 text-green-900',
+    '31-60': 'bg-yellow-50 text-yellow-900',
+    '61-90': 'bg-orange-50 text-orange-900',
+    '90+': 'bg-red-50 text-red-900',
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Payables Aging</h1>
+              <p className="text-gray-600 mt-2">Outstanding purchase invoices by age</p>
+            </div>
+            <div className="flex gap-4">
+              <Link
+                href="/admin/supplier-payments/proposal"
+                className="px-4 py-2 text-blue-600 hover:text-blue-800 font-medium"
+              >
+                💸 Payment Run
+              </Link>
+              <Link
+                href="/admin/reports"
+                className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+              >
+                ← Back to Reports
+              </Link>
+            </div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">As At *</label>
+              <input
+                type="date"
+                value={asAt}
+                onChange={(e) => setAsAt(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Age By</label>
+              <select
+                value={basis}
+                onChange={(e) => setBasis(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="due_date">Days past due date</option>
+                <option value="invoice_date">Days since invoice date</option>
+              </select>
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={() => exportApAging(data)}
+                disabled={!data || data.suppliers.length === 0}
+                className="w-full px-6 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+              >
+                📥 Export to Excel
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error.message}</p>
+          </div>
+        )}
+
+        {isLoading && (
+          <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">Loading...</div>
+        )}
+
+        {data && (
+          <div className="space-y-6">
+            {/* Bucket totals */}
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+              {data.buckets.map((bucket) => (
+                <div key={bucket} className={`${bucketColors[bucket]} rounded-lg p-4`}>
+                  <p className="text-sm font-medium">{bucket} days</p>
+                  <p className="text-xl font-bold mt-1">{formatCurrency(data.totals.buckets[bucket])}</p>
+                </div>
+              ))}
+              <div className="bg-red-100 rounded-lg p-4">
+                <p className="text-sm font-medium text-red-700">Overdue</p>
+                <p className="text-xl font-bold text-red-900 mt-1">{formatCurrency(data.totals.overdue)}</p>
+              </div>
+              <div className="bg-blue-50 rounded-lg p-4">
+                <p className="text-sm font-medium text-blue-600">Total Payable</p>
+                <p className="text-xl font-bold text-blue-900 mt-1">{formatCurrency(data.totals.total)}</p>
+              </div>
+            </div>
+
+            {/* Suppliers */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+                    {data.buckets.map((bucket) => (
+                      <th key={bucket} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                        {bucket}
+                      </th>
+                    ))}
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Opening</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Unapplied</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Credit Limit</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {data.suppliers.length === 0 ? (
+                    <tr>
+                      <td colSpan={data.buckets.length + 5} className="px-6 py-8 text-center text-gray-500">
+                        No outstanding payables
+                      </td>
+                    </tr>
+                  ) : (
+                    data.suppliers.map((row) => (
+                      <Fragment key={row.supplierId}>
+                        <tr
+                          onClick={() => setExpanded(expanded === row.supplierId ? null : row.supplierId)}
+                          className="hover:bg-gray-50 cursor-pointer"
+                        >
+                          <td className="px-4 py-3">
+                            <Link
+                              href={`/admin/suppliers/${row.supplierId}`}
+                              onClick={(e) => e.stopPropagation()}
+                              className="font-medium text-gray-900 hover:text-blue-600"
+                            >
+                              {row.name}
+                            </Link>
+                            <div className="text-xs text-gray-500">
+                              {row.supplierCode} · {row.creditDays || 0} days · {row.invoices.length} invoice(s)
+                            </div>
+                          </td>
+                          {data.buckets.map((bucket) => (
+                            <td key={bucket} className="px-4 py-3 text-right">
+                              {row.buckets[bucket] ? formatAmount(row.buckets[bucket]) : '-'}
+                            </td>
+                          ))}
+                          <td className="px-4 py-3 text-right">{row.opening ? formatAmount(row.opening) : '-'}</td>
+                          <td className="px-4 py-3 text-right text-green-700">
+                            {row.unapplied ? `(${formatAmount(row.unapplied)})` : '-'}
+                          </td>
+                          <td className="px-4 py-3 text-right font-semibold">{formatAmount(row.total)}</td>
+                          <td
+                            className={`px-4 py-3 text-right ${row.creditLimit > 0 && row.total > row.creditLimit ? 'text-red-700 font-semibold' : 'text-gray-600'}`}
+                          >
+                            {row.creditLimit ? formatAmount(row.creditLimit) : '-'}
+                          </td>
+                        </tr>
+                        {expanded === row.supplierId &&
+                          row.invoices.map((invoice) => (
+                            <tr key={invoice.invoiceId} className="bg-gray-50 text-xs text-gray-600">
+                              <td className="px-8 py-2 font-mono">
+                                {invoice.invoiceNumber}
+                                <span className="ml-2 font-sans">
+                                  due {format(new Date(invoice.dueDate), 'dd MMM yyyy')}
+                                  {invoice.daysOverdue > 0 && ` · ${invoice.daysOverdue} days overdue`}
+                                </span>
+                              </td>
+                              {data.buckets.map((bucket) => (
+                                <td key={bucket} className="px-4 py-2 text-right">
+                                  {invoice.bucket === bucket ? formatAmount(invoice.baseOutstanding) : ''}
+                                </td>
+                              ))}
+                              <td colSpan="4" className="px-4 py-2 text-right">
+                                {invoice.currency !== data.currency &&
+                                  `${invoice.currency} ${formatAmount(invoice.outstanding)}`}
+                              </td>
+                            </tr>
+                          ))}
+                      </Fragment>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,564 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import {
+  useBankAccounts,
+  useBankStatements,
+  useBankStatement,
+  useBankReconciliationReport,
+  useImportBankStatement,
+  useAutoMatchStatement,
+  useMatchStatementLine,
+  useDeleteBankStatement,
+} from '@/hooks/useBankReconciliation';
+import { showPromise, showError } from '@/utils/toast';
+
+export default function BankReconciliationPage() {
+  const [accountId, setAccountId] = useState('');
+  const [asOfDate, setAsOfDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [statementBalance, setStatementBalance] = useState('');
+  const [statementId, setStatementId] = useState(null);
+
+  // Import form
+  const [preset, setPreset] = useState('generic');
+  const [csvFile, setCsvFile] = useState(null);
+  const [closingBalance, setClosingBalance] = useState('');
+
+  // Manual matching
+  const [matchingLineId, setMatchingLineId] = useState(null);
+  const [selectedEntryIds, setSelectedEntryIds] = useState([]);
+
+  const { data: bankAccounts = [] } = useBankAccounts();
+  const { data: statementsData } = useBankStatements(accountId);
+  const { data: statementData } = useBankStatement(statementId);
+  const {
+    data: report,
+    isLoading: reportLoading,
+    isError: reportIsError,
+    error: reportError,
+  } = useBankReconciliationReport({ accountId, asOfDate, statementBalance });
+
+  const importStatement = useImportBankStatement();
+  const autoMatch = useAutoMatchStatement();
+  const matchLine = useMatchStatementLine();
+  const deleteStatement = useDeleteBankStatement();
+
+  const statements = statementsData?.statements || [];
+  const presets = statementsData?.presets || {};
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency: 'PKR',
+      minimumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+
+  const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+  const handleImport = async () => {
+    if (!csvFile) {
+      showError('Choose a CSV file to import');
+      return;
+    }
+
+    const csv = await csvFile.text();
+
+    try {
+      const result = await showPromise(
+        importStatement.mutateAsync({
+          accountId,
+          csv,
+          preset,
+          fileName: csvFile.name,
+          closingBalance: closingBalance === '' ? undefined : closingBalance,
+        }),
+        {
+          loading: 'Importing statement...',
+          success: (res) => res.message || 'Statement imported',
+          error: (err) => err.message || 'Failed to import statement',
+        }
+      );
+
+      setStatementId(result.data.statement._id);
+      setCsvFile(null);
+      setClosingBalance('');
+    } catch (err) {
+      console.error('Error importing statement:', err);
+    }
+  };
+
+  const handleAutoMatch = async () => {
+    await showPromise(autoMatch.mutateAsync({ statementId }), {
+      loading: 'Matching...',
+      success: (res) => res.message,
+      error: (err) => err.message || 'Failed to auto-match statement',
+    });
+  };
+
+  const handleLineAction = async (lineId, action, ledgerEntryIds = []) => {
+    try {
+      await showPromise(matchLine.mutateAsync({ statementId, lineId, action, ledgerEntryIds }), {
+        loading: 'Saving...',
+        success: (res) => res.message,
+        error: (err) => err.message || 'Failed to update statement line',
+      });
+
+      setMatchingLineId(null);
+      setSelectedEntryIds([]);
+    } catch (err) {
+      console.error('Error updating statement line:', err);
+    }
+  };
+
+  const handleDeleteStatement = async (statement) => {
+    if (!confirm(`Delete statement ${statement.fileName || formatDate(statement.statementDate)}? Its matches will be cleared.`)) {
+      return;
+    }
+
+    await showPromise(deleteStatement.mutateAsync(statement._id), {
+      loading: 'Deleting statement...',
+      success: 'Statement deleted',
+      error: (err) => err.message || 'Failed to delete statement',
+    });
+
+    if (statementId === statement._id) setStatementId(null);
+  };
+
+  const toggleEntry = (entryId) => {
+    setSelectedEntryIds((prev) =>
+      prev.includes(entryId) ? prev.filter((id) => id !== entryId) : [...prev, entryId]
+    );
+  };
+
+  const renderEntryList = (title, items, total, emptyText) => (
+    <div className="bg-white rounded-lg shadow overflow-hidden">
+      <div className="px-6 py-3 bg-gray-100 flex justify-between font-semibold text-gray-900">
+        <span>{title}</span>
+        <span>{formatCurrency(total)}</span>
+      </div>
+      <div className="max-h-72 overflow-y-auto">
+        {items.length === 0 ? (
+          <p className="px-6 py-4 text-sm text-gray-500 italic">{emptyText}</p>
+        ) : (
+          items.map((item) => (
+            <div key={item._id || item.lineId} className="px-6 py-2 flex justify-between text-sm border-b border-gray-100">
+              <div>
+                <span className="text-gray-600">{formatDate(item.entryDate || item.date)}</span>
+                <span className="ml-2 font-mono text-gray-600">{item.voucherNumber || item.reference}</span>
+                <span className="ml-2 text-gray-900">{item.description || item.narration}</span>
+              </div>
+              <div className="font-medium text-gray-900">
+                {formatCurrency(item.amount ?? (item.deposit || -item.withdrawal))}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+
+  const statement = statementData?.statement;
+  const matchingLine = statement?.lines.find((line) => line._id === matchingLineId);
+  const candidateEntries = (statementData?.unmatchedEntries || []).filter(
+    (entry) => !matchingLine || entry.type === (matchingLine.deposit > 0 ? 'debit' : 'credit')
+  );
+  const selectedTotal = candidateEntries
+    .filter((entry) => selectedEntryIds.includes(entry._id))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Bank Reconciliation</h1>
+              <p className="text-gray-600 mt-2">
+                Match bank statements to the books and explain the difference
+              </p>
+            </div>
+            <Link
+              href="/admin/reports"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← Back to Reports
+            </Link>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Bank Account *</label>
+              <select
+                value={accountId}
+                onChange={(e) => {
+                  setAccountId(e.target.value);
+                  setStatementId(null);
+                }}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Select bank account</option>
+                {bankAccounts.map((account) => (
+                  <option key={account._id} value={account._id}>
+                    {account.code} - {account.name}
+                  </option>
+                ))}
+              </select>
+              {bankAccounts.length === 0 && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Mark accounts as bank accounts in the chart of accounts.
+                </p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">As of Date</label>
+              <input
+                type="date"
+                value={asOfDate}
+                onChange={(e) => setAsOfDate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Statement Balance (override)
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                value={statementBalance}
+                onChange={(e) => setStatementBalance(e.target.value)}
+                placeholder="From latest imported statement"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+        </div>
+
+        {reportIsError && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{reportError?.message}</p>
+          </div>
+        )}
+
+        {accountId && reportLoading && (
+          <p className="text-gray-600 mb-6">Loading reconciliation...</p>
+        )}
+
+        {/* Reconciliation Report */}
+        {report && (
+          <div className="space-y-6 mb-8">
+            <div className={`${report.isReconciled ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'} border-2 rounded-lg p-6`}>
+              <h3 className={`text-xl font-bold ${report.isReconciled ? 'text-green-900' : 'text-yellow-900'}`}>
+                {report.statementBalance === null
+                  ? 'No statement balance – import a statement or enter the balance'
+                  : report.isReconciled
+                    ? '✓ Bank and books reconcile'
+                    : `⚠️ Unexplained difference: ${formatCurrency(report.difference)}`}
+              </h3>
+              <p className="text-sm text-gray-600 mt-1">
+                As of {formatDate(report.asOfDate)}
+                {report.statement && ` · Latest statement ${formatDate(report.statement.statementDate)} (${report.statement.matched}/${report.statement.lines} lines matched)`}
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="bg-white rounded-lg shadow p-6 space-y-2 text-sm">
+                <h4 className="font-bold text-gray-900 mb-2">Per Bank</h4>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Balance per bank statement</span>
+                  <span className="font-medium">
+                    {report.statementBalance === null ? '-' : formatCurrency(report.statementBalance)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Add: deposits in transit</span>
+                  <span className="font-medium">{formatCurrency(report.depositsInTransit.total)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Less: uncleared cheques</span>
+                  <span className="font-medium">({formatCurrency(report.unclearedCheques.total)})</span>
+                </div>
+                <div className="flex justify-between border-t border-gray-200 pt-2 font-bold">
+                  <span>Adjusted bank balance</span>
+                  <span>
+                    {report.adjustedBankBalance === null ? '-' : formatCurrency(report.adjustedBankBalance)}
+                  </span>
+                </div>
+              </div>
+
+              <div className="bg-white rounded-lg shadow p-6 space-y-2 text-sm">
+                <h4 className="font-bold text-gray-900 mb-2">Per Books</h4>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Balance per books</span>
+                  <span className="font-medium">{formatCurrency(report.bookBalance)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Add: bank credits not in books</span>
+                  <span className="font-medium">{formatCurrency(report.unrecorded.deposits)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Less: bank charges/debits not in books</span>
+                  <span className="font-medium">({formatCurrency(report.unrecorded.withdrawals)})</span>
+                </div>
+                <div className="flex justify-between border-t border-gray-200 pt-2 font-bold">
+                  <span>Adjusted book balance</span>
+                  <span>{formatCurrency(report.adjustedBookBalance)}</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              {renderEntryList(
+                'Uncleared Cheques',
+                report.unclearedCheques.items,
+                report.unclearedCheques.total,
+                'No uncleared cheques'
+              )}
+              {renderEntryList(
+                'Deposits in Transit',
+                report.depositsInTransit.items,
+                report.depositsInTransit.total,
+                'No deposits in transit'
+              )}
+              {renderEntryList(
+                'Bank Items Not in Books',
+                report.unrecorded.items,
+                report.unrecorded.deposits - report.unrecorded.withdrawals,
+                'All statement lines are matched'
+              )}
+            </div>
+          </div>
+        )}
+
+        {accountId && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Import & Statements */}
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg shadow p-6 space-y-4">
+                <h3 className="text-lg font-semibold text-gray-900">Import Statement (CSV)</h3>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Bank Format</label>
+                  <select
+                    value={preset}
+                    onChange={(e) => setPreset(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {Object.entries(presets).map(([key, mapping]) => (
+                      <option key={key} value={key}>
+                        {mapping.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => setCsvFile(e.target.files?.[0] || null)}
+                  className="w-full text-sm"
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  value={closingBalance}
+                  onChange={(e) => setClosingBalance(e.target.value)}
+                  placeholder="Closing balance (if no balance column)"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  onClick={handleImport}
+                  disabled={importStatement.isPending || !csvFile}
+                  className="w-full px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                >
+                  {importStatement.isPending ? 'Importing...' : 'Import & Auto-Match'}
+                </button>
+              </div>
+
+              <div className="bg-white rounded-lg shadow overflow-hidden">
+                <div className="px-6 py-3 bg-gray-100 font-semibold text-gray-900">Statements</div>
+                {statements.length === 0 ? (
+                  <p className="px-6 py-4 text-sm text-gray-500 italic">No statements imported</p>
+                ) : (
+                  statements.map((item) => (
+                    <div
+                      key={item._id}
+                      className={`px-6 py-3 border-b border-gray-100 text-sm cursor-pointer ${statementId === item._id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                      onClick={() => setStatementId(item._id)}
+                    >
+                      <div className="flex justify-between">
+                        <span className="font-medium text-gray-900">
+                          {formatDate(item.periodStart)} – {formatDate(item.statementDate)}
+                        </span>
+                        <span className={item.status === 'reconciled' ? 'text-green-700' : 'text-yellow-700'}>
+                          {item.matched + item.ignored}/{item.lines}
+                        </span>
+                      </div>
+                      <div className="flex justify-between text-xs text-gray-500 mt-1">
+                        <span>{item.fileName}</span>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleDeleteStatement(item);
+                          }}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+
+            {/* Statement Lines */}
+            <div className="lg:col-span-2">
+              {!statement ? (
+                <div className="bg-white rounded-lg shadow p-12 text-center text-gray-500">
+                  Select or import a statement to match its lines
+                </div>
+              ) : (
+                <div className="bg-white rounded-lg shadow overflow-hidden">
+                  <div className="px-6 py-4 bg-blue-600 text-white flex justify-between items-center">
+                    <div>
+                      <h3 className="text-lg font-bold">Statement Lines</h3>
+                      <p className="text-xs text-blue-100">
+                        Opening {formatCurrency(statement.openingBalance)} · Closing {formatCurrency(statement.closingBalance)}
+                      </p>
+                    </div>
+                    <button
+                      onClick={handleAutoMatch}
+                      disabled={autoMatch.isPending || statementData.summary.unmatched === 0}
+                      className="px-4 py-2 bg-white text-blue-700 font-semibold rounded-lg hover:bg-blue-50 disabled:opacity-50"
+                    >
+                      Auto-Match
+                    </button>
+                  </div>
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Withdrawal</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Deposit</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Matched To</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {statement.lines.map((line) => (
+                        <tr key={line._id} className={line.status === 'unmatched' ? 'bg-yellow-50' : ''}>
+                          <td className="px-4 py-2 whitespace-nowrap">{formatDate(line.date)}</td>
+                          <td className="px-4 py-2">
+                            <div className="text-gray-900">{line.description}</div>
+                            {line.reference && <div className="text-xs text-gray-500 font-mono">{line.reference}</div>}
+                          </td>
+                          <td className="px-4 py-2 text-right">{line.withdrawal ? formatCurrency(line.withdrawal) : ''}</td>
+                          <td className="px-4 py-2 text-right">{line.deposit ? formatCurrency(line.deposit) : ''}</td>
+                          <td className="px-4 py-2 text-xs">
+                            {line.status === 'matched' &&
+                              line.ledgerEntryIds.map((entry) => (
+                                <div key={entry._id}>
+                                  {entry.voucherNumber} <span className="text-gray-500">({line.matchType})</span>
+                                </div>
+                              ))}
+                            {line.status === 'ignored' && <span className="text-gray-500">ignored</span>}
+                          </td>
+                          <td className="px-4 py-2 text-right whitespace-nowrap">
+                            {line.status === 'unmatched' ? (
+                              <>
+                                <button
+                                  onClick={() => {
+                                    setMatchingLineId(line._id);
+                                    setSelectedEntryIds([]);
+                                  }}
+                                  className="text-blue-600 hover:text-blue-900"
+                                >
+                                  Match
+                                </button>
+                                <button
+                                  onClick={() => handleLineAction(line._id, 'ignore')}
+                                  className="ml-3 text-gray-600 hover:text-gray-900"
+                                >
+                                  Ignore
+                                </button>
+                              </>
+                            ) : (
+                              <button
+                                onClick={() => handleLineAction(line._id, 'unmatch')}
+                                className="text-orange-600 hover:text-orange-900"
+                              >
+                                Undo
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {/* Manual Match Panel */}
+              {matchingLine && (
+                <div className="bg-white rounded-lg shadow mt-6 overflow-hidden">
+                  <div className="px-6 py-3 bg-gray-100 flex justify-between items-center">
+                    <div className="font-semibold text-gray-900">
+                      Match {formatDate(matchingLine.date)} ·{' '}
+                      {formatCurrency(matchingLine.deposit || matchingLine.withdrawal)}{' '}
+                      {matchingLine.deposit ? 'deposit' : 'withdrawal'}
+                    </div>
+                    <button onClick={() => setMatchingLineId(null)} className="text-gray-600 hover:text-gray-900">
+                      ✕
+                    </button>
+                  </div>
+                  <div className="max-h-80 overflow-y-auto">
+                    {candidateEntries.length === 0 ? (
+                      <p className="px-6 py-4 text-sm text-gray-500 italic">No uncleared book entries of this type</p>
+                    ) : (
+                      candidateEntries.map((entry) => (
+                        <label
+                          key={entry._id}
+                          className="px-6 py-2 flex items-center gap-3 text-sm border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={selectedEntryIds.includes(entry._id)}
+                            onChange={() => toggleEntry(entry._id)}
+                          />
+                          <span className="text-gray-600">{formatDate(entry.entryDate)}</span>
+                          <span className="font-mono text-gray-600">{entry.voucherNumber}</span>
+                          <span className="flex-1 text-gray-900 truncate">{entry.description || entry.narration}</span>
+                          <span className="font-medium">{formatCurrency(entry.amount)}</span>
+                        </label>
+                      ))
+                    )}
+                  </div>
+                  <div className="px-6 py-3 bg-gray-50 flex justify-between items-center text-sm">
+                    <span>
+                      Selected {formatCurrency(selectedTotal)} of{' '}
+                      {formatCurrency(matchingLine.deposit || matchingLine.withdrawal)}
+                    </span>
+                    <button
+                      onClick={() => handleLineAction(matchingLine._id, 'match', selectedEntryIds)}
+                      disabled={matchLine.isPending || selectedEntryIds.length === 0}
+                      className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+                    >
+                      Match Selected
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,299 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+
+export default function CashFlowPage() {
+  const today = new Date();
+  const [startDate, setStartDate] = useState(
+    format(new Date(today.getFullYear(), today.getMonth(), 1), 'yyyy-MM-dd')
+  );
+  const [endDate, setEndDate] = useState(
+    format(new Date(today.getFullYear(), today.getMonth() + 1, 0), 'yyyy-MM-dd')
+  );
+  const [cashFlowData, setCashFlowData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchCashFlow = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams();
+      if (startDate) params.append('startDate', startDate);
+      if (endDate) params.append('endDate', endDate);
+
+      const response = await fetch(`/api/reports/cash-flow?${params.toString()}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setCashFlowData(data.data);
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Failed to load cash flow statement');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [startDate, endDate]);
+
+  // Load cash flow on mount and when the dates change
+  useEffect(() => {
+    fetchCashFlow();
+  }, [fetchCashFlow]);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency: 'PKR',
+      minimumFractionDigits: 2,
+    }).format(amount);
+  };
+
+  const amountClass = (amount) => (amount < 0 ? 'text-red-700' : 'text-gray-900');
+
+  const renderActivity = (title, activity, colorClass, leadingRow = null) => (
+    <div className="mb-6">
+      <div className={`${colorClass} px-4 py-2 font-semibold text-gray-900 border-l-4 border-gray-600`}>
+        {title}
+      </div>
+      <div className="pl-6">
+        {leadingRow}
+        {activity.items.length > 0 ? (
+          activity.items.map((item) => (
+            <div
+              key={item._id}
+              className="flex justify-between py-2 border-b border-gray-100 hover:bg-gray-50"
+            >
+              <div className="text-sm">
+                <span className="text-gray-600 font-mono">{item.code}</span>
+                <span className="ml-2 text-gray-900">{item.description}</span>
+              </div>
+              <div className={`text-sm font-medium ${amountClass(item.amount)}`}>
+                {formatCurrency(item.amount)}
+              </div>
+            </div>
+          ))
+        ) : (
+          !leadingRow && <div className="py-2 text-sm text-gray-500 italic">No movements</div>
+        )}
+      </div>
+      <div className="flex justify-between py-2 px-4 bg-gray-100 font-semibold text-gray-900 mt-2">
+        <div>Net Cash from {title}</div>
+        <div className={amountClass(activity.total)}>{formatCurrency(activity.total)}</div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Cash Flow Statement</h1>
+              <p className="text-gray-600 mt-2">
+                Indirect method: net profit adjusted for balance sheet movements
+              </p>
+            </div>
+            <Link
+              href="/admin/reports"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← Back to Reports
+            </Link>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Filters</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Start Date *
+              </label>
+              <input
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                End Date *
+              </label>
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={fetchCashFlow}
+                disabled={loading}
+                className="w-full px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? 'Loading...' : 'Generate Report'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error}</p>
+          </div>
+        )}
+
+        {/* Cash Flow Report */}
+        {cashFlowData && (
+          <div className="space-y-6">
+            {/* Reconciliation Status */}
+            <div className={`${cashFlowData.reconciliation.isReconciled ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'} border-2 rounded-lg p-6`}>
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className={`text-xl font-bold ${cashFlowData.reconciliation.isReconciled ? 'text-green-900' : 'text-red-900'}`}>
+                    {cashFlowData.reconciliation.isReconciled
+                      ? '✓ Reconciled with Cash & Bank'
+                      : '⚠️ Does NOT Reconcile with Cash & Bank'}
+                  </h3>
+                  <p className={`mt-1 ${cashFlowData.reconciliation.isReconciled ? 'text-green-700' : 'text-red-700'}`}>
+                    {cashFlowData.reconciliation.isReconciled
+                      ? 'Net change in cash equals the movement in cash and bank accounts'
+                      : `Difference: ${formatCurrency(Math.abs(cashFlowData.reconciliation.difference))}`}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="text-sm text-gray-600">Period</p>
+                  <p className="text-lg font-bold text-gray-900">
+                    {format(new Date(cashFlowData.period.startDate), 'dd MMM yyyy')} -{' '}
+                    {format(new Date(cashFlowData.period.endDate), 'dd MMM yyyy')}
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Summary */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="bg-blue-50 rounded-lg p-6">
+                <p className="text-sm text-blue-600 font-medium">Operating</p>
+                <p className="text-2xl font-bold text-blue-900 mt-2">
+                  {formatCurrency(cashFlowData.operating.total)}
+                </p>
+              </div>
+              <div className="bg-purple-50 rounded-lg p-6">
+                <p className="text-sm text-purple-600 font-medium">Investing</p>
+                <p className="text-2xl font-bold text-purple-900 mt-2">
+                  {formatCurrency(cashFlowData.investing.total)}
+                </p>
+              </div>
+              <div className="bg-orange-50 rounded-lg p-6">
+                <p className="text-sm text-orange-600 font-medium">Financing</p>
+                <p className="text-2xl font-bold text-orange-900 mt-2">
+                  {formatCurrency(cashFlowData.financing.total)}
+                </p>
+              </div>
+              <div className="bg-green-50 rounded-lg p-6">
+                <p className="text-sm text-green-600 font-medium">Net Change in Cash</p>
+                <p className="text-2xl font-bold text-green-900 mt-2">
+                  {formatCurrency(cashFlowData.netChange)}
+                </p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              {/* Statement */}
+              <div className="lg:col-span-2 bg-white rounded-lg shadow overflow-hidden">
+                <div className="px-6 py-4 bg-blue-600 text-white">
+                  <h3 className="text-xl font-bold">CASH FLOW STATEMENT</h3>
+                </div>
+                <div className="p-6">
+                  {renderActivity(
+                    'Operating Activities',
+                    cashFlowData.operating,
+                    'bg-blue-50',
+                    <div className="flex justify-between py-2 border-b border-gray-100 font-medium">
+                      <div className="text-sm text-gray-900">Net Profit for the Period</div>
+                      <div className={`text-sm ${amountClass(cashFlowData.operating.netProfit)}`}>
+                        {formatCurrency(cashFlowData.operating.netProfit)}
+                      </div>
+                    </div>
+                  )}
+                  {renderActivity('Investing Activities', cashFlowData.investing, 'bg-purple-50')}
+                  {renderActivity('Financing Activities', cashFlowData.financing, 'bg-orange-50')}
+
+                  <div className="flex justify-between py-4 px-4 bg-green-100 font-bold text-green-900 text-lg mt-4 rounded">
+                    <div>NET CHANGE IN CASH</div>
+                    <div>{formatCurrency(cashFlowData.netChange)}</div>
+                  </div>
+                </div>
+              </div>
+
+              {/* Cash & Bank Reconciliation */}
+              <div className="bg-white rounded-lg shadow overflow-hidden">
+                <div className="px-6 py-4 bg-green-600 text-white">
+                  <h3 className="text-xl font-bold">CASH & BANK</h3>
+                </div>
+                <div className="p-6 space-y-3">
+                  {cashFlowData.cash.accounts.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">
+                      No cash or bank accounts found. Mark bank accounts with “This is a bank account”.
+                    </p>
+                  ) : (
+                    cashFlowData.cash.accounts.map((account) => (
+                      <div key={account._id} className="border-b border-gray-100 pb-2">
+                        <div className="text-sm font-medium text-gray-900">
+                          <span className="text-gray-600 font-mono">{account.code}</span>
+                          <span className="ml-2">{account.name}</span>
+                        </div>
+                        <div className="flex justify-between text-xs text-gray-600 mt-1">
+                          <span>Opening {formatCurrency(account.openingBalance)}</span>
+                          <span>Closing {formatCurrency(account.closingBalance)}</span>
+                        </div>
+                      </div>
+                    ))
+                  )}
+
+                  <div className="pt-2 space-y-2 text-sm">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Opening Cash</span>
+                      <span className="font-medium">{formatCurrency(cashFlowData.cash.openingBalance)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Actual Movement</span>
+                      <span className="font-medium">{formatCurrency(cashFlowData.reconciliation.actual)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Closing Cash</span>
+                      <span className="font-medium">{formatCurrency(cashFlowData.cash.closingBalance)}</span>
+                    </div>
+                    <div className="flex justify-between border-t border-gray-200 pt-2">
+                      <span className="text-gray-600">Per Statement</span>
+                      <span className="font-medium">{formatCurrency(cashFlowData.reconciliation.calculated)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Difference</span>
+                      <span className={`font-bold ${cashFlowData.reconciliation.isReconciled ? 'text-green-700' : 'text-red-700'}`}>
+                        {formatCurrency(cashFlowData.reconciliation.difference)}
+                      </span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { useInventoryValuation, useCostingMethod, useUpdateCostingMethod } from '@/hooks/useProducts';
+import { showSuccess, showError } from '@/utils/toast';
+
+const COSTING_LABELS = {
+  weighted_average: 'Moving weighted average',
+  fifo: 'FIFO (first in, first out)',
+};
+
+export default function InventoryValuationPage() {
+  const [asAt, setAsAt] = useState(format(new Date(), 'yyyy-MM-dd'));
+
+  const { data, isLoading, error } = useInventoryValuation({ asAt });
+  const { data: costing } = useCostingMethod();
+  const updateCosting = useUpdateCostingMethod();
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency: data?.currency || 'PKR',
+      minimumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+
+  const formatAmount = (amount, digits = 2) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(amount || 0);
+  };
+
+  const handleCostingChange = async (costingMethod) => {
+    try {
+      await updateCosting.mutateAsync(costingMethod);
+      showSuccess('Costing method updated');
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Inventory Valuation</h1>
+              <p className="text-gray-600 mt-2">Stock on hand at cost, reconciled to the inventory accounts</p>
+            </div>
+            <Link
+              href="/admin/reports"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← Back to Reports
+            </Link>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">As At *</label>
+              <input
+                type="date"
+                value={asAt}
+                onChange={(e) => setAsAt(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Costing Method</label>
+              <select
+                value={costing?.costingMethod || 'weighted_average'}
+                onChange={(e) => handleCostingChange(e.target.value)}
+                disabled={!costing?.canChange || updateCosting.isPending}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+              >
+                {(costing?.methods || Object.keys(COSTING_LABELS)).map((method) => (
+                  <option key={method} value={method}>
+                    {COSTING_LABELS[method] || method}
+                  </option>
+                ))}
+              </select>
+              {costing && !costing.canChange && (
+                <p className="text-xs text-gray-500 mt-1">Fixed once stock has been issued</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error.message}</p>
+          </div>
+        )}
+
+        {isLoading && (
+          <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">Loading...</div>
+        )}
+
+        {data && (
+          <div className="space-y-6">
+            {/* Totals */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-blue-50 rounded-lg p-4">
+                <p className="text-sm font-medium text-blue-600">Stock Value</p>
+                <p className="text-xl font-bold text-blue-900 mt-1">{formatCurrency(data.totals.value)}</p>
+              </div>
+              <div className="bg-gray-100 rounded-lg p-4">
+                <p className="text-sm font-medium text-gray-600">Inventory Account Balance</p>
+                <p className="text-xl font-bold text-gray-900 mt-1">{formatCurrency(data.totals.ledgerBalance)}</p>
+              </div>
+              <div className={`${data.isReconciled ? 'bg-green-50' : 'bg-red-50'} rounded-lg p-4`}>
+                <p className={`text-sm font-medium ${data.isReconciled ? 'text-green-600' : 'text-red-600'}`}>
+                  Difference
+                </p>
+                <p className={`text-xl font-bold mt-1 ${data.isReconciled ? 'text-green-900' : 'text-red-900'}`}>
+                  {formatCurrency(data.totals.difference)}
+                </p>
+              </div>
+            </div>
+
+            {/* Inventory accounts */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Inventory Account</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Stock Value</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Ledger Balance</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Difference</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {data.accounts.length === 0 ? (
+                    <tr>
+                      <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
+                        No inventory account found
+                      </td>
+                    </tr>
+                  ) : (
+                    data.accounts.map((account) => (
+                      <tr key={account.accountId}>
+                        <td className="px-4 py-3">
+                          <span className="font-mono text-gray-500 mr-2">{account.code}</span>
+                          {account.name}
+                        </td>
+                        <td className="px-4 py-3 text-right">{formatAmount(account.stockValue)}</td>
+                        <td className="px-4 py-3 text-right">{formatAmount(account.ledgerBalance)}</td>
+                        <td
+                          className={`px-4 py-3 text-right font-semibold ${Math.abs(account.difference) < 0.01 ? 'text-green-700' : 'text-red-700'}`}
+                        >
+                          {formatAmount(account.difference)}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Stock items */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Warehouse</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Average Cost</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Value</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {data.items.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
+                        No stock on hand
+                      </td>
+                    </tr>
+                  ) : (
+                    data.items.map((item) => (
+                      <tr key={`${item.productId}-${item.warehouse}`} className="hover:bg-gray-50">
+                        <td className="px-4 py-3">
+                          <div className="font-medium text-gray-900">{item.name}</div>
+                          <div className="text-xs text-gray-500 font-mono">{item.sku}</div>
+                        </td>
+                        <td className="px-4 py-3 text-gray-600">{item.warehouse}</td>
+                        <td className="px-4 py-3 text-right">
+                          {formatAmount(item.quantity, 2)} {item.unit}
+                        </td>
+                        <td className="px-4 py-3 text-right">{formatAmount(item.averageCost, 4)}</td>
+                        <td className="px-4 py-3 text-right font-semibold">{formatAmount(item.value)}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -35,6 +35,69 @@ export default function ReportsPage() {
       color: 'bg-purple-50 hover:bg-purple-100 border-purple-200',
       iconColor: 'text-purple-600',
     },
+    {
+      id: 'profit-loss',
+      title: 'Profit & Loss',
+      description: 'Income statement with gross, operating and net profit and period comparisons',
+      icon: '💹',
+      href: '/admin/reports/profit-loss',
+      color: 'bg-orange-50 hover:bg-orange-100 border-orange-200',
+      iconColor: 'text-orange-600',
+    },
+    {
+      id: 'cash-flow',
+      title: 'Cash Flow Statement',
+      description: 'Operating, investing and financing cash flows reconciled to cash and bank',
+      icon: '💵',
+      href: '/admin/reports/cash-flow',
+      color: 'bg-teal-50 hover:bg-teal-100 border-teal-200',
+      iconColor: 'text-teal-600',
+    },
+    {
+      id: 'bank-reconciliation',
+      title: 'Bank Reconciliation',
+      description: 'Import bank statements, match them to the books and list uncleared items',
+      icon: '🏦',
+      href: '/admin/reports/bank-reconciliation',
+      color: 'bg-indigo-50 hover:bg-indigo-100 border-indigo-200',
+      iconColor: 'text-indigo-600',
+    },
+    {
+      id: 'wht',
+      title: 'Withholding Tax',
+      description: 'Monthly income tax and sales tax withheld from suppliers, with certificates',
+      icon: '🧾',
+      href: '/admin/reports/wht',
+      color: 'bg-rose-50 hover:bg-rose-100 border-rose-200',
+      iconColor: 'text-rose-600',
+    },
+    {
+      id: 'ar-aging',
+      title: 'Receivables Aging',
+      description: 'Outstanding customer invoices in 0-30, 31-60, 61-90 and 90+ day buckets',
+      icon: '⏳',
+      href: '/admin/reports/ar-aging',
+      color: 'bg-amber-50 hover:bg-amber-100 border-amber-200',
+      iconColor: 'text-amber-600',
+    },
+    {
+      id: 'ap-aging',
+      title: 'Payables Aging',
+      description: 'Outstanding supplier invoices by age, with the weekly payment run',
+      icon: '📆',
+      href: '/admin/reports/ap-aging',
+      color: 'bg-cyan-50 hover:bg-cyan-100 border-cyan-200',
+      iconColor: 'text-cyan-600',
+    },
+    {
+      id: 'inventory-valuation',
+      title: 'Inventory Valuation',
+      description: 'Stock on hand at cost as at any date, tied to the inventory account',
+      icon: '📦',
+      href: '/admin/reports/inventory-valuation',
+      color: 'bg-lime-50 hover:bg-lime-100 border-lime-200',
+      iconColor: 'text-lime-600',
+    },
   ];
 
   return (
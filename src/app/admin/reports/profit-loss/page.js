@@ -0,0 +1,367 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { exportProfitLoss } from '@/utils/excelExport';
+
+export default function ProfitLossPage() {
+  const today = new Date();
+  const [startDate, setStartDate] = useState(
+    format(new Date(today.getFullYear(), today.getMonth(), 1), 'yyyy-MM-dd')
+  );
+  const [endDate, setEndDate] = useState(
+    format(new Date(today.getFullYear(), today.getMonth() + 1, 0), 'yyyy-MM-dd')
+  );
+  const [comparison, setComparison] = useState('both');
+  const [profitLossData, setProfitLossData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchProfitLoss = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams();
+      if (startDate) params.append('startDate', startDate);
+      if (endDate) params.append('endDate', endDate);
+
+      const response = await fetch(`/api/reports/profit-loss?${params.toString()}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setProfitLossData(data.data);
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Failed to load profit & loss');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [startDate, endDate]);
+
+  // Load report on mount and when the dates change
+  useEffect(() => {
+    fetchProfitLoss();
+  }, [fetchProfitLoss]);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency: 'PKR',
+      minimumFractionDigits: 2,
+    }).format(amount);
+  };
+
+  const formatPeriod = (period) =>
+    `${format(new Date(period.startDate), 'dd MMM yyyy')} - ${format(new Date(period.endDate), 'dd MMM yyyy')}`;
+
+  const showPrevious = comparison === 'previous' || comparison === 'both';
+  const showLastYear = comparison === 'lastYear' || comparison === 'both';
+
+  const renderChange = (change, percent) => (
+    <span className={change > 0 ? 'text-green-700' : change < 0 ? 'text-red-700' : 'text-gray-400'}>
+      {change === 0 ? '-' : formatCurrency(change)}
+      {percent !== null && change !== 0 && (
+        <span className="ml-1 text-xs">({percent > 0 ? '+' : ''}{percent}%)</span>
+      )}
+    </span>
+  );
+
+  const renderAmountCells = (amounts, className = '') => (
+    <>
+      <td className={`px-4 py-3 whitespace-nowrap text-sm text-right ${className}`}>
+        {formatCurrency(amounts.current)}
+      </td>
+      {showPrevious && (
+        <>
+          <td className={`px-4 py-3 whitespace-nowrap text-sm text-right text-gray-600 ${className}`}>
+            {formatCurrency(amounts.previous)}
+          </td>
+          <td className={`px-4 py-3 whitespace-nowrap text-sm text-right ${className}`}>
+            {renderChange(amounts.previousChange, amounts.previousChangePercent)}
+          </td>
+        </>
+      )}
+      {showLastYear && (
+        <>
+          <td className={`px-4 py-3 whitespace-nowrap text-sm text-right text-gray-600 ${className}`}>
+            {formatCurrency(amounts.lastYear)}
+          </td>
+          <td className={`px-4 py-3 whitespace-nowrap text-sm text-right ${className}`}>
+            {renderChange(amounts.lastYearChange, amounts.lastYearChangePercent)}
+          </td>
+        </>
+      )}
+    </>
+  );
+
+  const renderProfitRow = (label, amounts, colorClass) => (
+    <tr className={`${colorClass} font-bold`}>
+      <td className="px-4 py-3 text-sm" colSpan="2">
+        {label}
+      </td>
+      {renderAmountCells(amounts, 'font-bold')}
+    </tr>
+  );
+
+  // Profit subtotal rows that close a section
+  const subtotals = profitLossData
+    ? {
+        costOfSales: ['GROSS PROFIT', profitLossData.summary.grossProfit, 'bg-blue-50 text-blue-900'],
+        operatingExpenses: ['OPERATING PROFIT', profitLossData.summary.operatingProfit, 'bg-purple-50 text-purple-900'],
+        otherExpenses: [
+          'NET PROFIT',
+          profitLossData.summary.netProfit,
+          profitLossData.summary.netProfit.current >= 0 ? 'bg-green-100 text-green-900' : 'bg-red-100 text-red-900',
+        ],
+      }
+    : {};
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Profit & Loss</h1>
+              <p className="text-gray-600 mt-2">
+                Income statement: Revenue - Expenses = Net Profit
+              </p>
+            </div>
+            <Link
+              href="/admin/reports"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← Back to Reports
+            </Link>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Filters</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Start Date *
+              </label>
+              <input
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                End Date *
+              </label>
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Compare With
+              </label>
+              <select
+                value={comparison}
+                onChange={(e) => setComparison(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="both">Previous Period & Last Year</option>
+                <option value="previous">Previous Period</option>
+                <option value="lastYear">Same Period Last Year</option>
+                <option value="none">No Comparison</option>
+              </select>
+            </div>
+            <div className="flex items-end gap-2">
+              <button
+                onClick={fetchProfitLoss}
+                disabled={loading}
+                className="flex-1 px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? 'Loading...' : 'Generate Report'}
+              </button>
+              {profitLossData && (
+                <button
+                  onClick={() => exportProfitLoss(profitLossData, { startDate, endDate })}
+                  className="px-4 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 transition-colors"
+                  title="Export to Excel"
+                >
+                  Excel
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error}</p>
+          </div>
+        )}
+
+        {/* Profit & Loss Report */}
+        {profitLossData && (
+          <div className="space-y-6">
+            {/* Summary Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="bg-blue-50 rounded-lg p-6">
+                <p className="text-sm text-blue-600 font-medium">Revenue</p>
+                <p className="text-2xl font-bold text-blue-900 mt-2">
+                  {formatCurrency(profitLossData.summary.revenue.current)}
+                </p>
+              </div>
+              <div className="bg-purple-50 rounded-lg p-6">
+                <p className="text-sm text-purple-600 font-medium">Gross Profit</p>
+                <p className="text-2xl font-bold text-purple-900 mt-2">
+                  {formatCurrency(profitLossData.summary.grossProfit.current)}
+                </p>
+                {profitLossData.summary.margins.gross.current !== null && (
+                  <p className="text-sm text-purple-700 mt-1">
+                    {profitLossData.summary.margins.gross.current}% margin
+                  </p>
+                )}
+              </div>
+              <div className="bg-orange-50 rounded-lg p-6">
+                <p className="text-sm text-orange-600 font-medium">Operating Profit</p>
+                <p className="text-2xl font-bold text-orange-900 mt-2">
+                  {formatCurrency(profitLossData.summary.operatingProfit.current)}
+                </p>
+                {profitLossData.summary.margins.operating.current !== null && (
+                  <p className="text-sm text-orange-700 mt-1">
+                    {profitLossData.summary.margins.operating.current}% margin
+                  </p>
+                )}
+              </div>
+              <div className={`${profitLossData.summary.netProfit.current >= 0 ? 'bg-green-50' : 'bg-red-50'} rounded-lg p-6`}>
+                <p className={`text-sm font-medium ${profitLossData.summary.netProfit.current >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {profitLossData.summary.netProfit.current >= 0 ? 'Net Profit' : 'Net Loss'}
+                </p>
+                <p className={`text-2xl font-bold mt-2 ${profitLossData.summary.netProfit.current >= 0 ? 'text-green-900' : 'text-red-900'}`}>
+                  {formatCurrency(profitLossData.summary.netProfit.current)}
+                </p>
+                {profitLossData.summary.margins.net.current !== null && (
+                  <p className={`text-sm mt-1 ${profitLossData.summary.netProfit.current >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {profitLossData.summary.margins.net.current}% margin
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Statement Table */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              <div className="px-6 py-4 bg-gray-50 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-900">Income Statement</h3>
+                <p className="text-sm text-gray-600 mt-1">
+                  {formatPeriod(profitLossData.periods.current)}
+                </p>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50 border-b border-gray-200">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Code
+                      </th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Account
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Current
+                      </th>
+                      {showPrevious && (
+                        <>
+                          <th
+                            className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider"
+                            title={formatPeriod(profitLossData.periods.previous)}
+                          >
+                            Previous Period
+                          </th>
+                          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Change
+                          </th>
+                        </>
+                      )}
+                      {showLastYear && (
+                        <>
+                          <th
+                            className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider"
+                            title={formatPeriod(profitLossData.periods.lastYear)}
+                          >
+                            Last Year
+                          </th>
+                          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Change
+                          </th>
+                        </>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {profitLossData.sections.map((section) => (
+                      <SectionRows
+                        key={section.key}
+                        section={section}
+                        subtotal={subtotals[section.key]}
+                        renderAmountCells={renderAmountCells}
+                        renderProfitRow={renderProfitRow}
+                      />
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SectionRows({ section, subtotal, renderAmountCells, renderProfitRow }) {
+  return (
+    <>
+      <tr className="bg-gray-100">
+        <td className="px-4 py-2 text-sm font-semibold text-gray-900" colSpan="7">
+          {section.title}
+        </td>
+      </tr>
+      {section.accounts.length === 0 ? (
+        <tr>
+          <td className="px-4 py-2 pl-8 text-sm text-gray-500 italic" colSpan="7">
+            No activity
+          </td>
+        </tr>
+      ) : (
+        section.accounts.map((account) => (
+          <tr key={account._id} className="hover:bg-gray-50">
+            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600 font-mono">
+              {account.code}
+            </td>
+            <td className="px-4 py-3 text-sm text-gray-900">{account.name}</td>
+            {renderAmountCells(account.amounts)}
+          </tr>
+        ))
+      )}
+      <tr className="bg-gray-50 font-semibold">
+        <td className="px-4 py-3 text-sm text-gray-900" colSpan="2">
+          Total {section.title}
+        </td>
+        {renderAmountCells(section.total, 'font-semibold')}
+      </tr>
+      {subtotal && renderProfitRow(subtotal[0], subtotal[1], subtotal[2])}
+    </>
+  );
+}
@@ -54,14 +54,33 @@ export default function TrialBalancePage() {
     }).format(amount);
   };
 
+  // Opening balance shown with its side (Dr/Cr)
+  const formatOpening = (item) => {
+    if (item.openingDebit > 0) return `${formatCurrency(item.openingDebit)} Dr`;
+    if (item.openingCredit > 0) return `${formatCurrency(item.openingCredit)} Cr`;
+    return '-';
+  };
+
   const renderAccountRow = (item, index) => (
-    <tr key={index} className="hover:bg-gray-50">
+    <tr key={index} className={item.account.isGroup ? 'bg-gray-50 font-semibold' : 'hover:bg-gray-50'}>
       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-medium">
         {item.account.code}
       </td>
-      <td className="px-6 py-4 text-sm text-gray-900">
+      <td
+        className="px-6 py-4 text-sm text-gray-900"
+        style={groupByType ? undefined : { paddingLeft: `${1.5 + ((item.account.level || 1) - 1) * 1.25}rem` }}
+      >
         {item.account.name}
       </td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-700">
+        {formatOpening(item)}
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-700">
+        {item.debitTotal > 0 ? formatCurrency(item.debitTotal) : '-'}
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-700">
+        {item.creditTotal > 0 ? formatCurrency(item.creditTotal) : '-'}
+      </td>
       <td className="px-6 py-4 whitespace-nowrap text-sm text-right">
         {item.netDebit > 0 ? (
           <span className="text-blue-600 font-medium">
@@ -98,6 +117,8 @@ export default function TrialBalancePage() {
       const items = trialBalanceData.groupedByType[group.key];
       if (!items || items.length === 0) return null;
 
+      const groupPeriodDebit = items.reduce((sum, item) => sum + item.debitTotal, 0);
+      const groupPeriodCredit = items.reduce((sum, item) => sum + item.creditTotal, 0);
       const groupDebitTotal = items.reduce((sum, item) => sum + item.netDebit, 0);
       const groupCreditTotal = items.reduce((sum, item) => sum + item.netCredit, 0);
 
@@ -107,12 +128,29 @@ export default function TrialBalancePage() {
             {group.title}
           </div>
           <table className="w-full">
+            <thead className="border-b border-gray-200">
+              <tr>
+                <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-6 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account Name</th>
+                <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Opening</th>
+                <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Debits</th>
+                <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Credits</th>
+                <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Closing Debit</th>
+                <th className="px-6 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Closing Credit</th>
+              </tr>
+            </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {items.map((item, index) => renderAccountRow(item, `${group.key}-${index}`))}
               <tr className="bg-gray-50 font-semibold">
-                <td className="px-6 py-3 text-sm text-gray-900" colSpan="2">
+                <td className="px-6 py-3 text-sm text-gray-900" colSpan="3">
                   Total {group.title}
                 </td>
+                <td className="px-6 py-3 text-sm text-right text-gray-900">
+                  {groupPeriodDebit > 0 ? formatCurrency(groupPeriodDebit) : '-'}
+                </td>
+                <td className="px-6 py-3 text-sm text-right text-gray-900">
+                  {groupPeriodCredit > 0 ? formatCurrency(groupPeriodCredit) : '-'}
+                </td>
                 <td className="px-6 py-3 text-sm text-right text-blue-900">
                   {groupDebitTotal > 0 ? formatCurrency(groupDebitTotal) : '-'}
                 </td>
@@ -256,7 +294,7 @@ export default function TrialBalancePage() {
                 <div className="text-right">
                   <p className="text-sm text-gray-600">Total Accounts</p>
                   <p className="text-2xl font-bold text-gray-900">
-                    {trialBalanceData.trialBalance.length}
+                    {trialBalanceData.trialBalance.filter((item) => !item.account.isGroup).length}
                   </p>
                 </div>
               </div>
@@ -265,13 +303,13 @@ export default function TrialBalancePage() {
             {/* Totals Summary */}
             <div className="grid grid-cols-2 gap-4">
               <div className="bg-blue-50 rounded-lg p-6">
-                <p className="text-sm text-blue-600 font-medium">Total Debits</p>
+                <p className="text-sm text-blue-600 font-medium">Total Closing Debits</p>
                 <p className="text-3xl font-bold text-blue-900 mt-2">
                   {formatCurrency(trialBalanceData.totals.debit)}
                 </p>
               </div>
               <div className="bg-green-50 rounded-lg p-6">
-                <p className="text-sm text-green-600 font-medium">Total Credits</p>
+                <p className="text-sm text-green-600 font-medium">Total Closing Credits</p>
                 <p className="text-3xl font-bold text-green-900 mt-2">
                   {formatCurrency(trialBalanceData.totals.credit)}
                 </p>
@@ -306,10 +344,19 @@ export default function TrialBalancePage() {
                           Account Name
                         </th>
                         <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Debit
+                          Opening
                         </th>
                         <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Credit
+                          Debits
+                        </th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Credits
+                        </th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Closing Debit
+                        </th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Closing Credit
                         </th>
                       </tr>
                     </thead>
@@ -318,9 +365,15 @@ export default function TrialBalancePage() {
                         renderAccountRow(item, index)
                       )}
                       <tr className="bg-gray-100 font-bold border-t-2 border-gray-300">
-                        <td className="px-6 py-4" colSpan="2">
+                        <td className="px-6 py-4" colSpan="3">
                           GRAND TOTAL
                         </td>
+                        <td className="px-6 py-4 text-right text-gray-900">
+                          {formatCurrency(trialBalanceData.totals.periodDebit)}
+                        </td>
+                        <td className="px-6 py-4 text-right text-gray-900">
+                          {formatCurrency(trialBalanceData.totals.periodCredit)}
+                        </td>
                         <td className="px-6 py-4 text-right text-blue-900">
                           {formatCurrency(trialBalanceData.totals.debit)}
                         </td>
@@ -0,0 +1,265 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import WHTCertificatePDF from '@/components/pdf/WHTCertificatePDF';
+import { useWithholdingTaxSummary, useWithholdingTaxCertificate } from '@/hooks/useWithholdingTax';
+import { exportWhtSummary } from '@/utils/excelExport';
+import { downloadPDF } from '@/utils/pdfExport';
+import { showPromise } from '@/utils/toast';
+
+const TAX_LABELS = {
+  income_tax: 'Income Tax',
+  sales_tax: 'Sales Tax',
+};
+
+export default function WithholdingTaxReportPage() {
+  const [month, setMonth] = useState(format(new Date(), 'yyyy-MM'));
+  const [certificateFor, setCertificateFor] = useState(null);
+
+  const { data, isLoading, error } = useWithholdingTaxSummary(month);
+  const certificateMutation = useWithholdingTaxCertificate();
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency: data?.currency || 'PKR',
+      minimumFractionDigits: 2,
+    }).format(amount || 0);
+  };
+
+  // Suppliers with tax withheld this month (details are per section)
+  const suppliers = data
+    ? [...new Map(data.details.map((row) => [row.supplierId, row])).values()]
+    : [];
+
+  const handleCertificate = async (supplier) => {
+    setCertificateFor(supplier.supplierId);
+
+    try {
+      await showPromise(
+        (async () => {
+          const certificate = await certificateMutation.mutateAsync({
+            supplierId: supplier.supplierId,
+            month,
+          });
+
+          await downloadPDF(
+            <WHTCertificatePDF certificate={certificate} />,
+            `WHT_Certificate_${supplier.supplierCode || supplier.supplierId}_${month}`
+          );
+        })(),
+        {
+          loading: 'Generating certificate...',
+          success: 'Certificate downloaded',
+          error: (err) => err.message || 'Failed to generate certificate',
+        }
+      );
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setCertificateFor(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Withholding Tax</h1>
+              <p className="text-gray-600 mt-2">
+                Income tax (section 153) and sales tax withheld from supplier payments
+              </p>
+            </div>
+            <div className="flex gap-4">
+              <Link
+                href="/admin/settings/withholding-tax"
+                className="px-4 py-2 text-blue-600 hover:text-blue-800 font-medium"
+              >
+                ⚙️ Rates
+              </Link>
+              <Link
+                href="/admin/reports"
+                className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+              >
+                ← Back to Reports
+              </Link>
+            </div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Month *</label>
+              <input
+                type="month"
+                value={month}
+                onChange={(e) => setMonth(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={() => exportWhtSummary(data)}
+                disabled={!data || data.summary.length === 0}
+                className="w-full px-6 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+              >
+                📥 Export to Excel
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error.message}</p>
+          </div>
+        )}
+
+        {isLoading && (
+          <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">Loading...</div>
+        )}
+
+        {data && (
+          <div className="space-y-6">
+            {/* Totals */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="bg-blue-50 rounded-lg p-6">
+                <p className="text-sm text-blue-600 font-medium">Income Tax Withheld</p>
+                <p className="text-2xl font-bold text-blue-900 mt-2">{formatCurrency(data.totals.incomeTax)}</p>
+              </div>
+              <div className="bg-purple-50 rounded-lg p-6">
+                <p className="text-sm text-purple-600 font-medium">Sales Tax Withheld</p>
+                <p className="text-2xl font-bold text-purple-900 mt-2">{formatCurrency(data.totals.salesTax)}</p>
+              </div>
+              <div className="bg-green-50 rounded-lg p-6">
+                <p className="text-sm text-green-600 font-medium">Total to Deposit</p>
+                <p className="text-2xl font-bold text-green-900 mt-2">{formatCurrency(data.totals.total)}</p>
+              </div>
+              <div className="bg-gray-100 rounded-lg p-6">
+                <p className="text-sm text-gray-600 font-medium">Suppliers / Payments</p>
+                <p className="text-2xl font-bold text-gray-900 mt-2">
+                  {data.totals.suppliers} / {data.totals.payments}
+                </p>
+              </div>
+            </div>
+
+            {/* Summary by section */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              <div className="px-6 py-4 bg-blue-600 text-white">
+                <h3 className="text-xl font-bold">SUMMARY BY SECTION</h3>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tax</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Section</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Suppliers</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Payments</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Taxable Amount</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tax Withheld</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {data.summary.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
+                        No tax was withheld in this month
+                      </td>
+                    </tr>
+                  ) : (
+                    data.summary.map((row) => (
+                      <tr key={`${row.taxType}-${row.section}-${row.rate}`} className="hover:bg-gray-50">
+                        <td className="px-6 py-3 text-sm text-gray-900">{TAX_LABELS[row.taxType]}</td>
+                        <td className="px-6 py-3 text-sm font-mono text-gray-900">{row.section}</td>
+                        <td className="px-6 py-3 text-sm text-right">{row.rate}%</td>
+                        <td className="px-6 py-3 text-sm text-right">{row.suppliers}</td>
+                        <td className="px-6 py-3 text-sm text-right">{row.payments}</td>
+                        <td className="px-6 py-3 text-sm text-right">{formatCurrency(row.baseAmount)}</td>
+                        <td className="px-6 py-3 text-sm text-right font-semibold">{formatCurrency(row.amount)}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Supplier detail */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              <div className="px-6 py-4 bg-gray-800 text-white">
+                <h3 className="text-xl font-bold">SUPPLIER DETAIL</h3>
+              </div>
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">NTN</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tax / Section</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Taxable Amount</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tax Withheld</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {data.details.map((row) => (
+                    <tr key={`${row.supplierId}-${row.taxType}-${row.section}-${row.rate}`} className="hover:bg-gray-50">
+                      <td className="px-6 py-3 text-sm">
+                        <div className="font-medium text-gray-900">{row.companyName}</div>
+                        <div className="text-xs text-gray-500">
+                          {row.supplierCode} · {row.filerStatus === 'non_filer' ? 'Non-filer' : 'Filer'}
+                        </div>
+                      </td>
+                      <td className="px-6 py-3 text-sm font-mono text-gray-700">{row.ntn || '-'}</td>
+                      <td className="px-6 py-3 text-sm text-gray-900">
+                        {TAX_LABELS[row.taxType]} {row.section}
+                        <div className="text-xs text-gray-500">{row.payments.join(', ')}</div>
+                      </td>
+                      <td className="px-6 py-3 text-sm text-right">{row.rate}%</td>
+                      <td className="px-6 py-3 text-sm text-right">{formatCurrency(row.baseAmount)}</td>
+                      <td className="px-6 py-3 text-sm text-right font-semibold">{formatCurrency(row.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Certificates */}
+            {suppliers.length > 0 && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Certificates</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {suppliers.map((supplier) => (
+                    <div
+                      key={supplier.supplierId}
+                      className="flex items-center justify-between border border-gray-200 rounded-lg px-4 py-3"
+                    >
+                      <div className="text-sm">
+                        <div className="font-medium text-gray-900">{supplier.companyName}</div>
+                        <div className="text-xs text-gray-500">{supplier.supplierCode}</div>
+                      </div>
+                      <button
+                        onClick={() => handleCertificate(supplier)}
+                        disabled={certificateFor === supplier.supplierId}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+                      >
+                        {certificateFor === supplier.supplierId ? 'Generating...' : '📄 PDF'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+'use client';
+
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import SalesDocumentForm from '@/components/sales/SalesDocumentForm';
+import { useCreateSalesOrder } from '@/hooks/useSalesOrders';
+
+export default function NewSalesOrderPage() {
+  const router = useRouter();
+  const createSalesOrder = useCreateSalesOrder();
+
+  const handleSubmit = (salesOrderData) => {
+    createSalesOrder.mutate(salesOrderData, {
+      onSuccess: () => {
+        router.push('/admin/sales-orders');
+      },
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-6xl mx-auto">
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">New Sales Order</h1>
+              <p className="text-gray-600 mt-2">Record a customer order to invoice in one or more deliveries</p>
+            </div>
+            <Link href="/admin/sales-orders" className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium">
+              ← Back to Sales Orders
+            </Link>
+          </div>
+        </div>
+
+        <SalesDocumentForm
+          dateFields={{
+            primary: { name: 'orderDate', label: 'Order Date' },
+            secondary: { name: 'deliveryDate', label: 'Delivery Date', required: false },
+          }}
+          onSubmit={handleSubmit}
+          isPending={createSalesOrder.isPending}
+          error={createSalesOrder.error}
+          submitLabel="Create Sales Order"
+          cancelHref="/admin/sales-orders"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,299 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { showSuccess, showError } from '@/utils/toast';
+import {
+  useSalesOrders,
+  useConfirmSalesOrder,
+  useCancelSalesOrder,
+  useDeleteSalesOrder,
+} from '@/hooks/useSalesOrders';
+
+export default function SalesOrdersPage() {
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+
+  const { data: salesOrderData, isLoading, error } = useSalesOrders({ page, search, status });
+
+  const confirmMutation = useConfirmSalesOrder();
+  const cancelMutation = useCancelSalesOrder();
+  const deleteMutation = useDeleteSalesOrder();
+
+  const salesOrders = salesOrderData?.salesOrders || [];
+  const pagination = salesOrderData?.pagination || { page: 1, limit: 50, total: 0, pages: 0 };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+  };
+
+  const handleAction = async (mutation, order, prompt) => {
+    if (prompt && !confirm(prompt)) {
+      return;
+    }
+
+    try {
+      const result = await mutation.mutateAsync(order._id);
+      showSuccess(result.message);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const formatCurrency = (amount, currency = 'PKR') => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(amount);
+  };
+
+  const getStatusBadge = (statusValue) => {
+    const statusColors = {
+      draft: 'bg-gray-100 text-gray-800',
+      confirmed: 'bg-blue-100 text-blue-800',
+      partially_invoiced: 'bg-yellow-100 text-yellow-800',
+      invoiced: 'bg-green-100 text-green-800',
+      cancelled: 'bg-red-100 text-red-800',
+    };
+
+    const statusLabels = {
+      draft: 'Draft',
+      confirmed: 'Confirmed',
+      partially_invoiced: 'Partially Invoiced',
+      invoiced: 'Invoiced',
+      cancelled: 'Cancelled',
+    };
+
+    return (
+      <span
+        className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+          statusColors[statusValue] || 'bg-gray-100 text-gray-800'
+        }`}
+      >
+        {statusLabels[statusValue] || statusValue}
+      </span>
+    );
+  };
+
+  const completion = (order) => {
+    const ordered = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    const invoiced = order.items.reduce((sum, item) => sum + item.invoicedQuantity, 0);
+    return ordered > 0 ? Math.round((invoiced / ordered) * 100) : 0;
+  };
+
+  if (isLoading && salesOrders.length === 0) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Sales Orders</h1>
+          <p className="text-gray-600 mt-1">Confirmed customer orders, invoiced in full or in parts</p>
+        </div>
+        <Link
+          href="/admin/sales-orders/new"
+          className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition"
+        >
+          + New Sales Order
+        </Link>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg mb-4">
+          {error.message}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
+        <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Order number, reference..."
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+            <select
+              value={status}
+              onChange={(e) => {
+                setStatus(e.target.value);
+                setPage(1);
+              }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">All</option>
+              <option value="draft">Draft</option>
+              <option value="confirmed">Confirmed</option>
+              <option value="partially_invoiced">Partially Invoiced</option>
+              <option value="invoiced">Invoiced</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+          </div>
+          <div>
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition"
+            >
+              Search
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Sales Orders Table */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Order #
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Date
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Customer
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Amount
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Invoiced
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {salesOrders.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
+                    No sales orders found. Click &quot;New Sales Order&quot; or convert an accepted quotation.
+                  </td>
+                </tr>
+              ) : (
+                salesOrders.map((order) => (
+                  <tr key={order._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium text-gray-900">{order.orderNumber}</div>
+                      {order.quotationId && (
+                        <div className="text-xs text-gray-500">from {order.quotationId.quoteNumber}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {format(new Date(order.orderDate), 'dd/MM/yyyy')}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{order.customerId?.name || 'N/A'}</div>
+                      <div className="text-sm text-gray-500">{order.customerId?.customerCode || ''}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 text-right">
+                      {formatCurrency(order.totalAmount, order.currency)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="w-32 bg-gray-200 rounded-full h-2">
+                        <div className="bg-green-600 h-2 rounded-full" style={{ width: `${completion(order)}%` }}></div>
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {completion(order)}%
+                        {order.invoiceIds?.length > 0 &&
+                          ` · ${order.invoiceIds.map((invoice) => invoice.invoiceNumber).join(', ')}`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{getStatusBadge(order.status)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex justify-end gap-2">
+                        {order.status === 'draft' && (
+                          <button
+                            onClick={() => handleAction(confirmMutation, order)}
+                            className="text-green-600 hover:text-green-900"
+                          >
+                            Confirm
+                          </button>
+                        )}
+                        {['confirmed', 'partially_invoiced'].includes(order.status) && (
+                          <Link
+                            href={`/admin/invoices/new?salesOrderId=${order._id}`}
+                            className="text-blue-600 hover:text-blue-900"
+                          >
+                            Invoice
+                          </Link>
+                        )}
+                        {order.status !== 'cancelled' && !order.invoiceIds?.length && (
+                          <button
+                            onClick={() => handleAction(cancelMutation, order, `Cancel sales order ${order.orderNumber}?`)}
+                            className="text-yellow-600 hover:text-yellow-900"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                        {order.status === 'draft' && (
+                          <button
+                            onClick={() => handleAction(deleteMutation, order, `Delete sales order ${order.orderNumber}?`)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        {pagination.pages > 1 && (
+          <div className="bg-gray-50 px-6 py-3 border-t border-gray-200 flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing {(pagination.page - 1) * pagination.limit + 1} to{' '}
+              {Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total} sales orders
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 1}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { format } from 'date-fns';
+import { ProductSelect } from '@/components/ui/SearchableSelect';
 
 export default function QuickSalePage() {
   const router = useRouter();
@@ -39,6 +40,23 @@ export default function QuickSalePage() {
     setItems(newItems);
   };
 
+  const handleProductSelect = (index, option) => {
+    const newItems = [...items];
+    const product = option?.product;
+    newItems[index] = {
+      ...newItems[index],
+      productOption: option,
+      productId: product?._id,
+      ...(product && {
+        description: product.name,
+        unit: product.unit || 'pcs',
+        rate: product.saleRate,
+        taxRate: product.taxRate,
+      }),
+    };
+    setItems(newItems);
+  };
+
   const addItem = () => {
     setItems([...items, { description: '', quantity: 1, unit: 'pcs', rate: 0, taxRate: 18, discountRate: 0 }]);
   };
@@ -87,6 +105,7 @@ export default function QuickSalePage() {
         ...formData,
         items: items.map((item) => ({
           ...item,
+          productOption: undefined,
           quantity: parseFloat(item.quantity),
           rate: parseFloat(item.rate),
           taxRate: parseFloat(item.taxRate || 0),
@@ -290,7 +309,12 @@ export default function QuickSalePage() {
                 <div className="space-y-3">
                   {items.map((item, index) => (
                     <div key={index} className="grid grid-cols-12 gap-2 items-center">
-                      <div className="col-span-4">
+                      <div className="col-span-4 space-y-1">
+                        <ProductSelect
+                          value={item.productOption || null}
+                          onChange={(option) => handleProductSelect(index, option)}
+                          placeholder="Product (optional)"
+                        />
                         <input
                           type="text"
                           value={item.description}
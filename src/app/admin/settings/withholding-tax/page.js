@@ -0,0 +1,360 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { AccountSelect } from '@/components/ui/SearchableSelect';
+import {
+  useWithholdingTaxRates,
+  useSaveWithholdingTaxRate,
+  useDeleteWithholdingTaxRate,
+  useSeedWithholdingTaxRates,
+} from '@/hooks/useWithholdingTax';
+import { showPromise } from '@/utils/toast';
+
+const TAX_TYPES = [
+  { value: 'income_tax', label: 'Income Tax' },
+  { value: 'sales_tax', label: 'Sales Tax' },
+];
+
+const CATEGORIES = [
+  { value: 'all', label: 'All Categories' },
+  { value: 'raw_material', label: 'Raw Material' },
+  { value: 'finished_goods', label: 'Finished Goods' },
+  { value: 'services', label: 'Services' },
+  { value: 'utilities', label: 'Utilities' },
+  { value: 'other', label: 'Other' },
+];
+
+const FILER_STATUSES = [
+  { value: 'all', label: 'All' },
+  { value: 'filer', label: 'Filer (ATL)' },
+  { value: 'non_filer', label: 'Non-filer' },
+];
+
+const labelOf = (options, value) => options.find((option) => option.value === value)?.label || value;
+
+const emptyForm = {
+  taxType: 'income_tax',
+  section: '',
+  supplierCategory: 'all',
+  filerStatus: 'all',
+  rate: '',
+  description: '',
+};
+
+export default function WithholdingTaxSettingsPage() {
+  const [formData, setFormData] = useState(emptyForm);
+  const [liabilityAccount, setLiabilityAccount] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const { data: rates = [], isLoading, error } = useWithholdingTaxRates(true);
+  const saveMutation = useSaveWithholdingTaxRate();
+  const deleteMutation = useDeleteWithholdingTaxRate();
+  const seedMutation = useSeedWithholdingTaxRates();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setLiabilityAccount(null);
+    setEditingId(null);
+  };
+
+  const handleEdit = (rate) => {
+    setEditingId(rate._id);
+    setFormData({
+      taxType: rate.taxType,
+      section: rate.section,
+      supplierCategory: rate.supplierCategory,
+      filerStatus: rate.filerStatus,
+      rate: rate.rate,
+      description: rate.description || '',
+    });
+    setLiabilityAccount(
+      rate.liabilityAccountId
+        ? { value: rate.liabilityAccountId._id, label: `${rate.liabilityAccountId.code} - ${rate.liabilityAccountId.name}` }
+        : null
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await showPromise(
+        saveMutation.mutateAsync({
+          id: editingId,
+          ...formData,
+          rate: parseFloat(formData.rate),
+          liabilityAccountId: liabilityAccount?.value || null,
+        }),
+        {
+          loading: 'Saving rate...',
+          success: 'Rate saved',
+          error: (err) => err.message || 'Failed to save rate',
+        }
+      );
+      resetForm();
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleToggleActive = async (rate) => {
+    try {
+      await showPromise(saveMutation.mutateAsync({ id: rate._id, isActive: !rate.isActive }), {
+        loading: 'Updating rate...',
+        success: rate.isActive ? 'Rate deactivated' : 'Rate activated',
+        error: (err) => err.message || 'Failed to update rate',
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!confirm(`Delete the ${rate.section} rate for ${labelOf(CATEGORIES, rate.supplierCategory)}?`)) return;
+
+    try {
+      await showPromise(deleteMutation.mutateAsync(rate._id), {
+        loading: 'Deleting rate...',
+        success: 'Rate deleted',
+        error: (err) => err.message || 'Failed to delete rate',
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleSeed = async () => {
+    try {
+      await showPromise(seedMutation.mutateAsync(), {
+        loading: 'Adding default rates...',
+        success: 'Default rates added',
+        error: (err) => err.message || 'Failed to add default rates',
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Withholding Tax Rates</h1>
+              <p className="text-gray-600 mt-2">
+                Rates deducted from supplier payments. The most specific rate for the supplier&apos;s
+                category and filer status applies.
+              </p>
+            </div>
+            <Link
+              href="/admin/reports/wht"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← WHT Report
+            </Link>
+          </div>
+        </div>
+
+        {/* Rate form */}
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">{editingId ? 'Edit Rate' : 'Add Rate'}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Tax *</label>
+              <select
+                name="taxType"
+                value={formData.taxType}
+                onChange={handleChange}
+                disabled={!!editingId}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              >
+                {TAX_TYPES.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Section *</label>
+              <input
+                type="text"
+                name="section"
+                value={formData.section}
+                onChange={handleChange}
+                required
+                placeholder="153(1)(a)"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Supplier Category</label>
+              <select
+                name="supplierCategory"
+                value={formData.supplierCategory}
+                onChange={handleChange}
+                disabled={!!editingId}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              >
+                {CATEGORIES.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Filer Status</label>
+              <select
+                name="filerStatus"
+                value={formData.filerStatus}
+                onChange={handleChange}
+                disabled={!!editingId}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              >
+                {FILER_STATUSES.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Rate % * {formData.taxType === 'sales_tax' && <span className="text-gray-500">(of sales tax)</span>}
+              </label>
+              <input
+                type="number"
+                name="rate"
+                value={formData.rate}
+                onChange={handleChange}
+                required
+                min="0"
+                max="100"
+                step="0.01"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Liability Account <span className="text-gray-500">(default: tax withheld payable)</span>
+              </label>
+              <AccountSelect value={liabilityAccount} onChange={setLiabilityAccount} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+              <input
+                type="text"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-3 mt-4">
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saveMutation.isPending}
+              className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+            >
+              {editingId ? 'Update Rate' : 'Add Rate'}
+            </button>
+          </div>
+        </form>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error.message}</p>
+          </div>
+        )}
+
+        {/* Rates */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tax / Section</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Filer Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Account</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {isLoading ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-500">Loading...</td>
+                </tr>
+              ) : rates.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
+                    <p className="mb-4">No withholding tax rates configured. Payments are made without deductions.</p>
+                    <button
+                      onClick={handleSeed}
+                      disabled={seedMutation.isPending}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+                    >
+                      Add Default Rates
+                    </button>
+                  </td>
+                </tr>
+              ) : (
+                rates.map((rate) => (
+                  <tr key={rate._id} className={`hover:bg-gray-50 ${rate.isActive ? '' : 'opacity-50'}`}>
+                    <td className="px-6 py-3 text-sm">
+                      <div className="font-medium text-gray-900">
+                        {labelOf(TAX_TYPES, rate.taxType)} {rate.section}
+                      </div>
+                      {rate.description && <div className="text-xs text-gray-500">{rate.description}</div>}
+                    </td>
+                    <td className="px-6 py-3 text-sm text-gray-700">{labelOf(CATEGORIES, rate.supplierCategory)}</td>
+                    <td className="px-6 py-3 text-sm text-gray-700">{labelOf(FILER_STATUSES, rate.filerStatus)}</td>
+                    <td className="px-6 py-3 text-sm text-right font-semibold">{rate.rate}%</td>
+                    <td className="px-6 py-3 text-sm text-gray-700">
+                      {rate.liabilityAccountId
+                        ? `${rate.liabilityAccountId.code} - ${rate.liabilityAccountId.name}`
+                        : 'Default'}
+                    </td>
+                    <td className="px-6 py-3 text-sm">
+                      <span
+                        className={`px-2 py-1 text-xs rounded-full ${rate.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}
+                      >
+                        {rate.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-3 text-sm text-right space-x-3">
+                      <button onClick={() => handleEdit(rate)} className="text-blue-600 hover:text-blue-800">
+                        Edit
+                      </button>
+                      <button onClick={() => handleToggleActive(rate)} className="text-gray-600 hover:text-gray-900">
+                        {rate.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                      <button onClick={() => handleDelete(rate)} className="text-red-600 hover:text-red-800">
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
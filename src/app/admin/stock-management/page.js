@@ -19,6 +19,9 @@ const stockSchema = z.object({
   uoM: z.string().min(1, 'Unit of measurement is required'),
   quantity: z.coerce.number().nonnegative('Quantity must be 0 or greater'),
   rate: z.coerce.number().nonnegative('Rate must be 0 or greater'),
+  warehouse: z.string().optional(),
+  unitCost: z.coerce.number().nonnegative('Unit cost must be 0 or greater').optional(),
+  reason: z.string().optional(),
 });
 
 export default function StockManagementPage() {
@@ -26,6 +29,7 @@ export default function StockManagementPage() {
   const [loading, setLoading] = useState(true);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingStock, setEditingStock] = useState(null);
+  const [warehouse, setWarehouse] = useState('');
 
   // Fetch FBR reference data
   const { hsCodes, saleTypes, uomList, loading: fbrLoading } = useFBRData();
@@ -48,6 +52,9 @@ export default function StockManagementPage() {
       uoM: '',
       quantity: 0,
       rate: 0,
+      warehouse: 'MAIN',
+      unitCost: 0,
+      reason: '',
     },
   });
 
@@ -68,11 +75,12 @@ export default function StockManagementPage() {
     fetchStocks();
   }, []);
 
-  const fetchStocks = async () => {
+  const fetchStocks = async (warehouseFilter = '') => {
     setLoading(true);
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch('/api/stocks', {
+      const query = warehouseFilter ? `?warehouse=${encodeURIComponent(warehouseFilter)}` : '';
+      const response = await fetch(`/api/stocks${query}`, {
         headers: {
           Authorization: `Bearer ${token}`,
         },
@@ -116,7 +124,7 @@ export default function StockManagementPage() {
         setIsModalOpen(false);
         reset();
         setEditingStock(null);
-        fetchStocks();
+        fetchStocks(warehouse);
       } else {
         toast.error(result.message || 'Failed to save stock', { id: loadingToast });
       }
@@ -127,6 +135,8 @@ export default function StockManagementPage() {
   };
 
   const handleEdit = (stock) => {
+    // Counts are entered per warehouse
+    const countWarehouse = warehouse.toUpperCase() || 'MAIN';
     setEditingStock(stock);
     reset({
       stockName: stock.stockName,
@@ -134,8 +144,11 @@ export default function StockManagementPage() {
       description: stock.description,
       saleType: stock.saleType,
       uoM: stock.uoM,
-      quantity: stock.quantity,
+      quantity: stock.warehouses.find((level) => level.warehouse === countWarehouse)?.onHand || 0,
       rate: stock.rate,
+      warehouse: countWarehouse,
+      unitCost: stock.purchaseRate || 0,
+      reason: '',
     });
     setIsModalOpen(true);
   };
@@ -157,7 +170,7 @@ export default function StockManagementPage() {
 
       if (response.ok && result.success) {
         toast.success('Stock deleted successfully!', { id: loadingToast });
-        fetchStocks();
+        fetchStocks(warehouse);
       } else {
         toast.error(result.message || 'Failed to delete stock', { id: loadingToast });
       }
@@ -211,6 +224,35 @@ export default function StockManagementPage() {
           </div>
         </div>
 
+        {/* Warehouse Filter */}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            fetchStocks(warehouse);
+          }}
+          className="bg-white rounded-lg shadow-md p-4 mb-6 flex items-end gap-4"
+        >
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Warehouse</label>
+            <input
+              type="text"
+              value={warehouse}
+              onChange={(e) => setWarehouse(e.target.value)}
+              placeholder="All warehouses"
+              className="px-4 py-2 border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            type="submit"
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Apply
+          </button>
+          <p className="text-sm text-gray-500 ml-auto">
+            Available = on hand less quantities reserved by confirmed sales orders and draft invoices
+          </p>
+        </form>
+
         {/* Stock Table */}
         <div className="bg-white rounded-lg shadow-md overflow-hidden">
           {loading ? (
@@ -254,7 +296,13 @@ export default function StockManagementPage() {
                       UoM
                     </th>
                     <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Quantity
+                      On Hand
+                    </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Reserved
+                    </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Available
                     </th>
                     <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Rate
@@ -269,6 +317,7 @@ export default function StockManagementPage() {
                     <tr key={stock._id} className="hover:bg-gray-50 transition">
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm font-medium text-gray-900">{stock.stockName}</div>
+                        <div className="text-xs text-gray-500">{stock.sku}</div>
                         <div className="text-sm text-gray-500 truncate max-w-xs">
                           {stock.description}
                         </div>
@@ -283,7 +332,22 @@ export default function StockManagementPage() {
                         <span className="text-sm text-gray-900">{stock.uoM}</span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right">
-                        <span className="text-sm text-gray-900">{stock.quantity}</span>
+                        <span className="text-sm text-gray-900">{stock.onHand}</span>
+                        {stock.warehouses.length > 1 && (
+                          <div className="text-xs text-gray-500">
+                            {stock.warehouses.map((level) => `${level.warehouse}: ${level.onHand}`).join(', ')}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <span className="text-sm text-gray-600">{stock.reserved}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <span
+                          className={`text-sm font-medium ${stock.available < 0 ? 'text-red-600' : 'text-gray-900'}`}
+                        >
+                          {stock.available}
+                        </span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right">
                         <span className="text-sm text-gray-900">Rs. {stock.rate}</span>
@@ -465,7 +529,7 @@ export default function StockManagementPage() {
                   control={control}
                   render={({ field }) => (
                     <NumberInput
-                      label="Quantity"
+                      label={editingStock ? 'Counted Quantity' : 'Opening Quantity'}
                       name="quantity"
                       value={field.value}
                       onChange={field.onChange}
@@ -491,6 +555,51 @@ export default function StockManagementPage() {
                 />
               </div>
 
+              {/* Warehouse & Unit Cost */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Warehouse</label>
+                  <input
+                    type="text"
+                    {...register('warehouse')}
+                    className="w-full rounded-xl border-2 border-gray-200 px-4 py-3 uppercase outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+
+                <Controller
+                  name="unitCost"
+                  control={control}
+                  render={({ field }) => (
+                    <NumberInput
+                      label="Unit Cost (Rs.)"
+                      name="unitCost"
+                      value={field.value}
+                      onChange={field.onChange}
+                      error={errors.unitCost?.message}
+                      placeholder="0.00"
+                    />
+                  )}
+                />
+              </div>
+
+              {/* Adjustment Reason */}
+              {editingStock && (
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Adjustment Reason
+                  </label>
+                  <input
+                    type="text"
+                    {...register('reason')}
+                    className="w-full rounded-xl border-2 border-gray-200 px-4 py-3 outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Stock count adjustment"
+                  />
+                  <p className="mt-1.5 text-xs text-gray-500">
+                    A change in quantity is booked to the stock ledger as an adjustment.
+                  </p>
+                </div>
+              )}
+
               {/* Buttons */}
               <div className="flex items-center gap-4 pt-4">
                 <button
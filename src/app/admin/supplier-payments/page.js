@@ -0,0 +1,549 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { SupplierSelect, AccountSelect } from '@/components/ui/SearchableSelect';
+import {
+  useSupplierPayments,
+  useOpenPurchaseInvoices,
+  useCreateSupplierPayment,
+  usePostSupplierPayment,
+  useDeleteSupplierPayment,
+} from '@/hooks/useSupplierPayments';
+import { usePurchaseOrders } from '@/hooks/usePurchaseOrders';
+import { showPromise } from '@/utils/toast';
+
+const initialForm = () => ({
+  paymentType: 'invoice',
+  purchaseOrderId: '',
+  amount: '',
+  paymentDate: format(new Date(), 'yyyy-MM-dd'),
+  paymentMethod: 'bank_transfer',
+  chequeNumber: '',
+  chequeDate: '',
+  referenceNumber: '',
+  notes: '',
+  applyWithholding: true,
+});
+
+export default function SupplierPaymentsPage() {
+  const [showForm, setShowForm] = useState(false);
+  const [filterStatus, setFilterStatus] = useState('');
+  const [supplierOption, setSupplierOption] = useState(null);
+  const [paymentAccount, setPaymentAccount] = useState(null);
+  const [formData, setFormData] = useState(initialForm());
+  const [allocations, setAllocations] = useState({});
+
+  const supplierId = supplierOption?.value || '';
+
+  const { data, isLoading, isError, error } = useSupplierPayments({ status: filterStatus, limit: 100 });
+  const { data: openInvoices = [], isLoading: invoicesLoading } = useOpenPurchaseInvoices(supplierId);
+  const { data: orderData } = usePurchaseOrders({ supplierId });
+  const createPayment = useCreateSupplierPayment();
+  const postPayment = usePostSupplierPayment();
+  const deletePayment = useDeleteSupplierPayment();
+
+  const payments = data?.payments || [];
+  const isAdvance = formData.paymentType === 'advance';
+  const totalPayment = isAdvance
+    ? parseFloat(formData.amount) || 0
+    : Object.values(allocations).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+  const purchaseOrders = supplierId
+    ? (orderData?.purchaseOrders || []).filter((order) => !['draft', 'cancelled'].includes(order.status))
+    : [];
+
+  const formatAmount = (value) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value || 0);
+  };
+
+  const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+  const getStatusBadge = (status) => {
+    const colors = {
+      draft: 'bg-gray-100 text-gray-800',
+      posted: 'bg-green-100 text-green-800',
+      cancelled: 'bg-red-100 text-red-800',
+    };
+    return colors[status] || 'bg-gray-100 text-gray-800';
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handlePayInFull = () => {
+    const next = {};
+    openInvoices.forEach((invoice) => {
+      next[invoice._id] = invoice.balanceAmount.toFixed(2);
+    });
+    setAllocations(next);
+  };
+
+  const resetForm = () => {
+    setFormData(initialForm());
+    setSupplierOption(null);
+    setAllocations({});
+    setShowForm(false);
+  };
+
+  const handleSubmit = async (e, postNow = false) => {
+    e.preventDefault();
+
+    const paymentData = {
+      ...formData,
+      supplierId,
+      paymentAccountId: paymentAccount?.value,
+      amount: isAdvance ? totalPayment : undefined,
+      purchaseOrderId: isAdvance ? formData.purchaseOrderId || null : null,
+      allocations: isAdvance
+        ? []
+        : Object.entries(allocations)
+            .filter(([, value]) => parseFloat(value) > 0)
+            .map(([purchaseInvoiceId, value]) => ({ purchaseInvoiceId, amount: parseFloat(value) })),
+    };
+
+    try {
+      const result = await showPromise(createPayment.mutateAsync(paymentData), {
+        loading: 'Saving payment...',
+        success: 'Payment saved',
+        error: (err) => err.message || 'Failed to save payment',
+      });
+
+      if (postNow) {
+        await showPromise(postPayment.mutateAsync(result.data.payment._id), {
+          loading: 'Posting payment...',
+          success: 'Payment posted',
+          error: (err) => err.message || 'Failed to post payment',
+        });
+      }
+
+      resetForm();
+    } catch (err) {
+      console.error('Error saving payment:', err);
+    }
+  };
+
+  const handlePost = async (payment) => {
+    if (!confirm(`Post payment ${payment.paymentNumber}? This creates the payment voucher.`)) {
+      return;
+    }
+
+    try {
+      await showPromise(postPayment.mutateAsync(payment._id), {
+        loading: 'Posting payment...',
+        success: 'Payment posted',
+        error: (err) => err.message || 'Failed to post payment',
+      });
+    } catch (err) {
+      console.error('Error posting payment:', err);
+    }
+  };
+
+  const handleDelete = async (payment) => {
+    if (!confirm(`Delete draft payment ${payment.paymentNumber}?`)) {
+      return;
+    }
+
+    try {
+      await showPromise(deletePayment.mutateAsync(payment._id), {
+        loading: 'Deleting payment...',
+        success: 'Payment deleted',
+        error: (err) => err.message || 'Failed to delete payment',
+      });
+    } catch (err) {
+      console.error('Error deleting payment:', err);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Supplier Payments</h1>
+              <p className="text-gray-600 mt-2">Pay posted purchase invoices from cash or bank</p>
+            </div>
+            <div className="flex gap-3">
+              <Link
+                href="/admin/purchase-invoices"
+                className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+              >
+                ← Back to Purchase Invoices
+              </Link>
+              <Link
+                href="/admin/supplier-payments/proposal"
+                className="px-4 py-2 text-blue-600 hover:text-blue-800 font-medium"
+              >
+                💸 Payment Run
+              </Link>
+              <button
+                onClick={() => setShowForm(!showForm)}
+                className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                {showForm ? 'Close' : '+ New Payment'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {isError && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error?.message}</p>
+          </div>
+        )}
+
+        {/* New Payment */}
+        {showForm && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-8 space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Supplier *</label>
+                <SupplierSelect
+                  value={supplierOption}
+                  onChange={(selectedOption) => {
+                    setSupplierOption(selectedOption);
+                    setAllocations({});
+                    setFormData((prev) => ({ ...prev, purchaseOrderId: '' }));
+                  }}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Paid From (Cash/Bank) *</label>
+                <AccountSelect value={paymentAccount} onChange={setPaymentAccount} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Payment Date *</label>
+                <input
+                  type="date"
+                  name="paymentDate"
+                  value={formData.paymentDate}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Payment Type</label>
+                <select
+                  name="paymentType"
+                  value={formData.paymentType}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="invoice">Against invoices</option>
+                  <option value="advance">Advance</option>
+                </select>
+              </div>
+              {isAdvance && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Amount *</label>
+                    <input
+                      type="number"
+                      name="amount"
+                      step="0.01"
+                      min="0.01"
+                      value={formData.amount}
+                      onChange={handleChange}
+                      required
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Purchase Order</label>
+                    <select
+                      name="purchaseOrderId"
+                      value={formData.purchaseOrderId}
+                      onChange={handleChange}
+                      disabled={!supplierId}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    >
+                      <option value="">Not linked to an order</option>
+                      {purchaseOrders.map((order) => (
+                        <option key={order._id} value={order._id}>
+                          {order.poNumber}
+                          {order.paymentTerms === 'advance' ? ' (advance terms)' : ''} - {formatAmount(order.totalAmount)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Payment Method</label>
+                <select
+                  name="paymentMethod"
+                  value={formData.paymentMethod}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                >
+                  <option value="bank_transfer">Bank Transfer</option>
+                  <option value="cheque">Cheque</option>
+                  <option value="cash">Cash</option>
+                  <option value="online">Online</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Reference #</label>
+                <input
+                  type="text"
+                  name="referenceNumber"
+                  value={formData.referenceNumber}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              {formData.paymentMethod === 'cheque' && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Cheque #</label>
+                    <input
+                      type="text"
+                      name="chequeNumber"
+                      value={formData.chequeNumber}
+                      onChange={handleChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Cheque Date</label>
+                    <input
+                      type="date"
+                      name="chequeDate"
+                      value={formData.chequeDate}
+                      onChange={handleChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {isAdvance && supplierId && (
+              <div className="px-4 py-3 bg-blue-50 border border-blue-200 rounded-lg flex justify-between items-center text-sm">
+                <span className="text-blue-800">
+                  The advance is held in the supplier advances account and offered against the supplier&apos;s
+                  invoices (for the selected order only, if one is linked) when they are posted.
+                </span>
+                <label className="flex items-center gap-2 text-gray-700 whitespace-nowrap ml-4">
+                  <input
+                    type="checkbox"
+                    name="applyWithholding"
+                    checked={formData.applyWithholding}
+                    onChange={handleChange}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  Deduct withholding tax
+                </label>
+              </div>
+            )}
+
+            {/* Invoices */}
+            {supplierId && !isAdvance && (
+              <div className="border border-gray-200 rounded-lg overflow-hidden">
+                <div className="px-4 py-3 bg-gray-50 flex justify-between items-center">
+                  <span className="font-semibold text-gray-900">Invoices to Pay</span>
+                  <button
+                    type="button"
+                    onClick={handlePayInFull}
+                    disabled={openInvoices.length === 0}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                  >
+                    Pay all in full
+                  </button>
+                </div>
+                {invoicesLoading ? (
+                  <p className="px-4 py-3 text-gray-600">Loading invoices...</p>
+                ) : openInvoices.length === 0 ? (
+                  <p className="px-4 py-3 text-sm text-gray-500 italic">No posted invoices awaiting payment</p>
+                ) : (
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead>
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoice</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Pay</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {openInvoices.map((invoice) => (
+                        <tr key={invoice._id}>
+                          <td className="px-4 py-2 font-mono">{invoice.invoiceNumber}</td>
+                          <td className="px-4 py-2">{formatDate(invoice.invoiceDate)}</td>
+                          <td className="px-4 py-2">{formatDate(invoice.dueDate)}</td>
+                          <td className="px-4 py-2 text-right">
+                            {invoice.currency !== 'PKR' && `${invoice.currency} `}
+                            {formatAmount(invoice.balanceAmount)}
+                          </td>
+                          <td className="px-4 py-2 text-right">
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              max={invoice.balanceAmount.toFixed(2)}
+                              value={allocations[invoice._id] || ''}
+                              onChange={(e) =>
+                                setAllocations((prev) => ({ ...prev, [invoice._id]: e.target.value }))
+                              }
+                              className="w-32 px-2 py-1 border border-gray-300 rounded text-right"
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                <div className="px-4 py-3 bg-gray-50 flex justify-between items-center text-sm">
+                  <label className="flex items-center gap-2 text-gray-700">
+                    <input
+                      type="checkbox"
+                      name="applyWithholding"
+                      checked={formData.applyWithholding}
+                      onChange={handleChange}
+                      className="w-4 h-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    Deduct withholding tax (calculated on save)
+                  </label>
+                  <span>
+                    Total payment: <span className="font-semibold">{formatAmount(totalPayment)}</span>
+                  </span>
+                </div>
+              </div>
+            )}
+
+            <input
+              type="text"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+              placeholder="Notes"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+            />
+
+            <div className="flex justify-end gap-3">
+              <button
+                type="submit"
+                disabled={createPayment.isPending || !supplierId || totalPayment <= 0}
+                className="px-6 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                Save Draft
+              </button>
+              <button
+                type="button"
+                onClick={(e) => handleSubmit(e, true)}
+                disabled={createPayment.isPending || postPayment.isPending || !supplierId || totalPayment <= 0}
+                className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+              >
+                Save & Post
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Filter */}
+        <div className="bg-white rounded-lg shadow p-4 mb-6 flex gap-4 items-center">
+          <label className="text-sm font-medium text-gray-700">Status</label>
+          <select
+            value={filterStatus}
+            onChange={(e) => setFilterStatus(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">All</option>
+            <option value="draft">Draft</option>
+            <option value="posted">Posted</option>
+          </select>
+        </div>
+
+        {/* Payments List */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {isLoading ? (
+            <p className="px-6 py-4 text-gray-600">Loading payments...</p>
+          ) : payments.length === 0 ? (
+            <p className="px-6 py-8 text-center text-gray-500">No supplier payments yet</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payment #</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Invoices</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200 text-sm">
+                {payments.map((payment) => (
+                  <tr key={payment._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-3 font-mono">
+                      {payment.paymentNumber}
+                      {payment.voucherId && (
+                        <span className="block text-xs text-gray-500">{payment.voucherId.voucherNumber}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-3">{formatDate(payment.paymentDate)}</td>
+                    <td className="px-6 py-3">
+                      <Link href={`/admin/suppliers/${payment.supplierId?._id}`} className="hover:text-blue-600">
+                        {payment.supplierId?.companyName}
+                      </Link>
+                    </td>
+                    <td className="px-6 py-3 text-gray-600">
+                      {payment.paymentType === 'advance' ? (
+                        <span className="text-blue-700">
+                          Advance{payment.purchaseOrderNumber && ` - ${payment.purchaseOrderNumber}`}
+                          {payment.status === 'posted' && (
+                            <span className="block text-xs text-gray-500">
+                              Unapplied {formatAmount(payment.amount - (payment.appliedAmount || 0))}
+                            </span>
+                          )}
+                        </span>
+                      ) : (
+                        payment.allocations.map((allocation) => allocation.invoiceNumber).join(', ')
+                      )}
+                    </td>
+                    <td className="px-6 py-3 text-right font-medium">
+                      {payment.currency !== 'PKR' && `${payment.currency} `}
+                      {formatAmount(payment.amount)}
+                      {payment.whtAmount > 0 && (
+                        <span className="block text-xs text-gray-500">
+                          WHT {formatAmount(payment.whtAmount)} · Net {formatAmount(payment.netAmount)}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-3">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadge(payment.status)}`}>
+                        {payment.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-3 text-right space-x-3">
+                      {payment.status === 'draft' && (
+                        <>
+                          <button onClick={() => handlePost(payment)} className="text-green-600 hover:text-green-900">
+                            Post
+                          </button>
+                          <button onClick={() => handleDelete(payment)} className="text-red-600 hover:text-red-900">
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
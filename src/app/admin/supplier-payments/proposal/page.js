@@ -0,0 +1,307 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { format, endOfWeek } from 'date-fns';
+import { AccountSelect } from '@/components/ui/SearchableSelect';
+import { usePaymentProposal, useCreateSupplierPayment } from '@/hooks/useSupplierPayments';
+import { exportPaymentProposal } from '@/utils/excelExport';
+import { showPromise } from '@/utils/toast';
+
+export default function PaymentRunPage() {
+  const [dueBy, setDueBy] = useState(format(endOfWeek(new Date(), { weekStartsOn: 1 }), 'yyyy-MM-dd'));
+  const [paymentAccount, setPaymentAccount] = useState(null);
+  const [paymentMethod, setPaymentMethod] = useState('bank_transfer');
+  const [selected, setSelected] = useState({});
+  const [creating, setCreating] = useState(false);
+
+  const { data, isLoading, error } = usePaymentProposal({ dueBy });
+  const createPayment = useCreateSupplierPayment();
+
+  const suppliers = data?.suppliers || [];
+
+  // Every proposed invoice starts selected
+  useEffect(() => {
+    if (data) {
+      setSelected(Object.fromEntries(data.invoices.map((invoice) => [invoice.invoiceId, true])));
+    }
+  }, [data]);
+
+  const formatAmount = (value) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value || 0);
+  };
+
+  const formatDate = (date) => (date ? format(new Date(date), 'dd MMM yyyy') : '-');
+
+  const selectedInvoices = (group) => group.invoices.filter((invoice) => selected[invoice.invoiceId]);
+
+  const selectedTotal = suppliers.reduce(
+    (sum, group) => sum + selectedInvoices(group).reduce((total, invoice) => total + invoice.baseProposedAmount, 0),
+    0
+  );
+
+  const toggleSupplier = (group, checked) => {
+    setSelected((prev) => ({
+      ...prev,
+      ...Object.fromEntries(group.invoices.map((invoice) => [invoice.invoiceId, checked])),
+    }));
+  };
+
+  const handleCreatePayments = async () => {
+    if (!paymentAccount) {
+      alert('Select the cash or bank account to pay from');
+      return;
+    }
+
+    const groups = suppliers.filter((group) => selectedInvoices(group).length > 0);
+
+    if (!confirm(`Create ${groups.length} draft payment(s)? Review and post them from Supplier Payments.`)) {
+      return;
+    }
+
+    setCreating(true);
+
+    try {
+      await showPromise(
+        (async () => {
+          for (const group of groups) {
+            await createPayment.mutateAsync({
+              supplierId: group.supplierId,
+              paymentDate: format(new Date(), 'yyyy-MM-dd'),
+              paymentMethod,
+              paymentAccountId: paymentAccount.value,
+              currency: group.currency,
+              allocations: selectedInvoices(group).map((invoice) => ({
+                purchaseInvoiceId: invoice.invoiceId,
+                amount: invoice.proposedAmount,
+              })),
+            });
+          }
+        })(),
+        {
+          loading: 'Creating draft payments...',
+          success: 'Draft payments created',
+          error: (err) => err.message || 'Failed to create payments',
+        }
+      );
+    } catch (err) {
+      console.error('Error creating payments:', err);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Payment Run</h1>
+              <p className="text-gray-600 mt-2">Purchase invoices due for payment, most overdue first</p>
+            </div>
+            <Link
+              href="/admin/supplier-payments"
+              className="px-4 py-2 text-gray-600 hover:text-gray-900 font-medium"
+            >
+              ← Back to Supplier Payments
+            </Link>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Due By *</label>
+              <input
+                type="date"
+                value={dueBy}
+                onChange={(e) => setDueBy(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Pay From *</label>
+              <AccountSelect value={paymentAccount} onChange={setPaymentAccount} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Payment Method</label>
+              <select
+                value={paymentMethod}
+                onChange={(e) => setPaymentMethod(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="bank_transfer">Bank Transfer</option>
+                <option value="cheque">Cheque</option>
+                <option value="online">Online</option>
+                <option value="cash">Cash</option>
+              </select>
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={() => exportPaymentProposal(data)}
+                disabled={suppliers.length === 0}
+                className="w-full px-6 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+              >
+                📥 Export to Excel
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 font-medium">{error.message}</p>
+          </div>
+        )}
+
+        {isLoading && (
+          <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">Loading...</div>
+        )}
+
+        {data && (
+          <div className="space-y-6">
+            {/* Totals */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="bg-gray-100 rounded-lg p-6">
+                <p className="text-sm text-gray-600 font-medium">Suppliers / Invoices</p>
+                <p className="text-2xl font-bold text-gray-900 mt-2">
+                  {data.totals.suppliers} / {data.totals.invoices}
+                </p>
+              </div>
+              <div className="bg-red-50 rounded-lg p-6">
+                <p className="text-sm text-red-600 font-medium">Already Overdue</p>
+                <p className="text-2xl font-bold text-red-900 mt-2">
+                  {data.currency} {formatAmount(data.totals.overdue)}
+                </p>
+              </div>
+              <div className="bg-blue-50 rounded-lg p-6">
+                <p className="text-sm text-blue-600 font-medium">Total Due</p>
+                <p className="text-2xl font-bold text-blue-900 mt-2">
+                  {data.currency} {formatAmount(data.totals.total)}
+                </p>
+              </div>
+              <div className="bg-green-50 rounded-lg p-6">
+                <p className="text-sm text-green-600 font-medium">Selected to Pay</p>
+                <p className="text-2xl font-bold text-green-900 mt-2">
+                  {data.currency} {formatAmount(selectedTotal)}
+                </p>
+              </div>
+            </div>
+
+            {suppliers.length === 0 ? (
+              <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+                Nothing is due by {formatDate(data.dueBy)}
+              </div>
+            ) : (
+              suppliers.map((group) => {
+                const groupSelected = selectedInvoices(group);
+
+                return (
+                  <div key={`${group.supplierId}-${group.currency}`} className="bg-white rounded-lg shadow overflow-hidden">
+                    <div className="flex flex-wrap items-center justify-between gap-4 px-6 py-4 bg-gray-50 border-b border-gray-200">
+                      <label className="flex items-center gap-3">
+                        <input
+                          type="checkbox"
+                          checked={groupSelected.length === group.invoices.length}
+                          onChange={(e) => toggleSupplier(group, e.target.checked)}
+                          className="w-4 h-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        <span>
+                          <Link
+                            href={`/admin/suppliers/${group.supplierId}`}
+                            className="font-semibold text-gray-900 hover:text-blue-600"
+                          >
+                            {group.name}
+                          </Link>
+                          <span className="block text-xs text-gray-500">
+                            {group.supplierCode}
+                            {group.bankName && ` · ${group.bankName}`}
+                            {(group.iban || group.accountNumber) && ` · ${group.iban || group.accountNumber}`}
+                          </span>
+                        </span>
+                      </label>
+                      <div className="text-right">
+                        <p className="text-xs text-gray-500">Selected</p>
+                        <p className="font-semibold text-gray-900">
+                          {group.currency}{' '}
+                          {formatAmount(groupSelected.reduce((sum, invoice) => sum + invoice.proposedAmount, 0))}
+                        </p>
+                      </div>
+                    </div>
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                      <thead>
+                        <tr>
+                          <th className="w-10 px-6 py-2"></th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoice #</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoice Date</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due Date</th>
+                          <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                          <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">On Drafts</th>
+                          <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">To Pay</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {group.invoices.map((invoice) => (
+                          <tr key={invoice.invoiceId} className="hover:bg-gray-50">
+                            <td className="px-6 py-2">
+                              <input
+                                type="checkbox"
+                                checked={!!selected[invoice.invoiceId]}
+                                onChange={(e) =>
+                                  setSelected((prev) => ({ ...prev, [invoice.invoiceId]: e.target.checked }))
+                                }
+                                className="w-4 h-4 text-blue-600 border-gray-300 rounded"
+                              />
+                            </td>
+                            <td className="px-3 py-2 font-mono">{invoice.invoiceNumber}</td>
+                            <td className="px-3 py-2">{formatDate(invoice.invoiceDate)}</td>
+                            <td className="px-3 py-2">
+                              {formatDate(invoice.dueDate)}
+                              <span
+                                className={`block text-xs ${invoice.daysOverdue > 0 ? 'text-red-600' : 'text-gray-500'}`}
+                              >
+                                {invoice.daysOverdue > 0
+                                  ? `${invoice.daysOverdue} days overdue`
+                                  : invoice.daysOverdue === 0
+                                    ? 'Due today'
+                                    : `Due in ${-invoice.daysOverdue} days`}
+                              </span>
+                            </td>
+                            <td className="px-3 py-2 text-right">{formatAmount(invoice.balanceAmount)}</td>
+                            <td className="px-3 py-2 text-right text-gray-500">
+                              {invoice.scheduled ? formatAmount(invoice.scheduled) : '-'}
+                            </td>
+                            <td className="px-3 py-2 text-right font-medium">{formatAmount(invoice.proposedAmount)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                );
+              })
+            )}
+
+            {suppliers.length > 0 && (
+              <div className="flex justify-end">
+                <button
+                  onClick={handleCreatePayments}
+                  disabled={creating || selectedTotal === 0}
+                  className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                >
+                  {creating ? 'Creating...' : 'Create Draft Payments'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -3,7 +3,13 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
-import { useSupplier, useUpdateSupplier } from '@/hooks/useSuppliers';
+import { format } from 'date-fns';
+import { useSupplier, useUpdateSupplier, useSupplierStatement } from '@/hooks/useSuppliers';
+import { useSupplierPayments } from '@/hooks/useSupplierPayments';
+import StatementPDF from '@/components/pdf/StatementPDF';
+import { exportSupplierStatement } from '@/utils/excelExport';
+import { downloadPDF } from '@/utils/pdfExport';
+import { showPromise } from '@/utils/toast';
 
 export default function EditSupplierPage({ params }) {
   const router = useRouter();
@@ -12,6 +18,41 @@ export default function EditSupplierPage({ params }) {
 
   const { data: supplierData, isLoading, isError, error } = useSupplier(id);
   const updateSupplier = useUpdateSupplier();
+  const { data: paymentsData, isLoading: paymentsLoading } = useSupplierPayments({ supplierId: id, limit: 50 });
+  const payments = paymentsData?.payments || [];
+
+  // Statement period (defaults to the current month)
+  const today = new Date();
+  const [statementPeriod, setStatementPeriod] = useState({
+    startDate: format(new Date(today.getFullYear(), today.getMonth(), 1), 'yyyy-MM-dd'),
+    endDate: format(today, 'yyyy-MM-dd'),
+  });
+  const { data: statement, isLoading: statementLoading } = useSupplierStatement(id, statementPeriod);
+
+  const formatAmount = (value) => {
+    return new Intl.NumberFormat('en-PK', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value || 0);
+  };
+
+  const handleStatementPDF = async () => {
+    try {
+      await showPromise(
+        downloadPDF(
+          <StatementPDF statement={statement} party="supplier" />,
+          `Statement_${statement.supplier.supplierCode}_${statementPeriod.endDate}`
+        ),
+        {
+          loading: 'Generating statement...',
+          success: 'Statement downloaded',
+          error: 'Failed to generate statement',
+        }
+      );
+    } catch (err) {
+      console.error(err);
+    }
+  };
 
   const [formData, setFormData] = useState({
     supplierCode: '',
@@ -24,6 +65,8 @@ export default function EditSupplierPage({ params }) {
     ntn: '',
     strn: '',
     gstRegistered: false,
+    filerStatus: 'filer',
+    whtExempt: false,
     paymentTerms: 'credit',
     creditDays: 30,
     creditLimit: 0,
@@ -60,6 +103,8 @@ export default function EditSupplierPage({ params }) {
         ntn: supplier.ntn || '',
         strn: supplier.strn || '',
         gstRegistered: supplier.gstRegistered || false,
+        filerStatus: supplier.filerStatus || 'filer',
+        whtExempt: supplier.whtExempt || false,
         paymentTerms: supplier.paymentTerms || 'credit',
         creditDays: supplier.creditDays || 30,
         creditLimit: supplier.creditLimit || 0,
@@ -119,6 +164,8 @@ export default function EditSupplierPage({ params }) {
       ntn: formData.ntn,
       strn: formData.strn,
       gstRegistered: formData.gstRegistered,
+      filerStatus: formData.filerStatus,
+      whtExempt: formData.whtExempt,
       paymentTerms: formData.paymentTerms,
       creditDays: parseInt(formData.creditDays) || 0,
       creditLimit: parseFloat(formData.creditLimit) || 0,
@@ -379,6 +426,36 @@ export default function EditSupplierPage({ params }) {
                 </span>
               </label>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Income Tax Status
+              </label>
+              <select
+                name="filerStatus"
+                value={formData.filerStatus}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="filer">Filer (Active Taxpayer)</option>
+                <option value="non_filer">Non-filer</option>
+              </select>
+            </div>
+
+            <div className="flex items-end">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  name="whtExempt"
+                  checked={formData.whtExempt}
+                  onChange={handleChange}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  Exempt from income tax withholding
+                </span>
+              </label>
+            </div>
           </div>
         </div>
 
@@ -659,6 +736,167 @@ export default function EditSupplierPage({ params }) {
           </Link>
         </div>
       </form>
+
+      {/* Payment History */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Payment History</h2>
+          <Link href="/admin/supplier-payments" className="text-sm text-blue-600 hover:text-blue-800">
+            + New Payment
+          </Link>
+        </div>
+        {paymentsLoading ? (
+          <p className="text-gray-600">Loading payments...</p>
+        ) : payments.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">No payments to this supplier yet</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Payment #</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoices</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Tax Withheld</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {payments.map((payment) => (
+                <tr key={payment._id}>
+                  <td className="px-3 py-2 font-mono">
+                    {payment.paymentNumber}
+                    {payment.voucherId && (
+                      <span className="block text-xs text-gray-500">{payment.voucherId.voucherNumber}</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">{format(new Date(payment.paymentDate), 'dd MMM yyyy')}</td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {payment.allocations.map((allocation) => allocation.invoiceNumber).join(', ')}
+                  </td>
+                  <td className="px-3 py-2 capitalize">{payment.paymentMethod.replace('_', ' ')}</td>
+                  <td className="px-3 py-2 text-right font-medium">
+                    {payment.currency} {payment.amount.toLocaleString()}
+                  </td>
+                  <td className="px-3 py-2 text-right text-gray-600">
+                    {payment.whtAmount > 0 ? payment.whtAmount.toLocaleString() : '-'}
+                  </td>
+                  <td className="px-3 py-2 capitalize">{payment.status}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Supplier Statement */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-6">
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Supplier Statement</h2>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+              <input
+                type="date"
+                value={statementPeriod.startDate}
+                onChange={(e) => setStatementPeriod((prev) => ({ ...prev, startDate: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+              <input
+                type="date"
+                value={statementPeriod.endDate}
+                onChange={(e) => setStatementPeriod((prev) => ({ ...prev, endDate: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <button
+              type="button"
+              onClick={handleStatementPDF}
+              disabled={!statement}
+              className="px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 disabled:bg-gray-300"
+            >
+              📄 PDF
+            </button>
+            <button
+              type="button"
+              onClick={() => exportSupplierStatement(statement)}
+              disabled={!statement}
+              className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:bg-gray-300"
+            >
+              📥 Excel
+            </button>
+          </div>
+        </div>
+
+        {statementLoading ? (
+          <p className="text-gray-600">Loading statement...</p>
+        ) : !statement ? (
+          <p className="text-sm text-gray-500 italic">Statement not available</p>
+        ) : (
+          <>
+            {statement.aging && (
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+                {Object.entries(statement.aging.buckets).map(([bucket, value]) => (
+                  <div key={bucket} className="bg-gray-50 rounded-lg p-3">
+                    <p className="text-xs text-gray-500">{bucket} days</p>
+                    <p className="font-semibold text-gray-900">{formatAmount(value)}</p>
+                  </div>
+                ))}
+                <div className="bg-red-50 rounded-lg p-3">
+                  <p className="text-xs text-red-600">Overdue</p>
+                  <p className="font-semibold text-red-900">{formatAmount(statement.aging.overdue)}</p>
+                </div>
+                <div className="bg-blue-50 rounded-lg p-3">
+                  <p className="text-xs text-blue-600">Balance Payable</p>
+                  <p className="font-semibold text-blue-900">{formatAmount(statement.closingBalance)}</p>
+                </div>
+              </div>
+            )}
+
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead>
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Number</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Debit</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Credit</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                <tr className="bg-gray-50 font-medium">
+                  <td className="px-3 py-2">{format(new Date(statement.period.startDate), 'dd MMM yyyy')}</td>
+                  <td className="px-3 py-2" colSpan="5">Opening Balance</td>
+                  <td className="px-3 py-2 text-right">{formatAmount(statement.openingBalance)}</td>
+                </tr>
+                {statement.lines.map((line) => (
+                  <tr key={`${line.type}-${line.applicationId || line.documentId}`}>
+                    <td className="px-3 py-2">{format(new Date(line.date), 'dd MMM yyyy')}</td>
+                    <td className="px-3 py-2">{line.description}</td>
+                    <td className="px-3 py-2 font-mono">{line.number}</td>
+                    <td className="px-3 py-2">{line.dueDate ? format(new Date(line.dueDate), 'dd MMM yyyy') : ''}</td>
+                    <td className="px-3 py-2 text-right">{line.debit ? formatAmount(line.debit) : ''}</td>
+                    <td className="px-3 py-2 text-right">{line.credit ? formatAmount(line.credit) : ''}</td>
+                    <td className="px-3 py-2 text-right font-medium">{formatAmount(line.balance)}</td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-semibold">
+                  <td className="px-3 py-2" colSpan="4">Closing Balance</td>
+                  <td className="px-3 py-2 text-right">{formatAmount(statement.totals.debit)}</td>
+                  <td className="px-3 py-2 text-right">{formatAmount(statement.totals.credit)}</td>
+                  <td className="px-3 py-2 text-right">{formatAmount(statement.closingBalance)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
     </div>
   );
 }
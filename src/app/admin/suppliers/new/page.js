@@ -29,6 +29,8 @@ export default function NewSupplierPage() {
       ntn: '',
       strn: '',
       gstRegistered: false,
+      filerStatus: 'filer',
+      whtExempt: false,
       paymentTerms: 'credit',
       creditDays: 30,
       creditLimit: 0,
@@ -73,6 +75,8 @@ export default function NewSupplierPage() {
       ntn: formData.ntn,
       strn: formData.strn,
       gstRegistered: formData.gstRegistered,
+      filerStatus: formData.filerStatus,
+      whtExempt: formData.whtExempt,
       paymentTerms: formData.paymentTerms,
       creditDays: parseInt(formData.creditDays) || 0,
       creditLimit: parseFloat(formData.creditLimit) || 0,
@@ -290,6 +294,32 @@ export default function NewSupplierPage() {
                 </span>
               </label>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Income Tax Status
+              </label>
+              <select
+                {...register('filerStatus')}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="filer">Filer (Active Taxpayer)</option>
+                <option value="non_filer">Non-filer</option>
+              </select>
+            </div>
+
+            <div className="flex items-end">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  {...register('whtExempt')}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  Exempt from income tax withholding
+                </span>
+              </label>
+            </div>
           </div>
         </div>
 
@@ -4,7 +4,8 @@ import React from 'react';
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
-import { useVouchers } from '@/hooks/useVouchers';
+import { useVouchers, useReverseVoucher } from '@/hooks/useVouchers';
+import { showPromise } from '@/utils/toast';
 
 export default function VouchersPage() {
   const router = useRouter();
@@ -13,6 +14,7 @@ export default function VouchersPage() {
   const [searchTerm, setSearchTerm] = useState('');
 
   const { data, isLoading, isError, error } = useVouchers({ voucherType: filterType, status: filterStatus });
+  const reverseVoucher = useReverseVoucher();
 
   const vouchers = data?.vouchers || [];
   const summary = data?.summary || null;
@@ -28,6 +30,20 @@ export default function VouchersPage() {
     return true;
   });
 
+  const handleReverse = async (voucher) => {
+    const reason = prompt(`Reason for reversing ${voucher.voucherNumber}:`);
+    if (!reason) return;
+
+    await showPromise(
+      reverseVoucher.mutateAsync({ voucherId: voucher._id, reason }),
+      {
+        loading: 'Reversing voucher...',
+        success: (result) => result.message || 'Voucher reversed successfully!',
+        error: (err) => err.message || 'Failed to reverse voucher',
+      }
+    );
+  };
+
   const getTypeColor = (type) => {
     switch (type) {
       case 'JV':
@@ -96,6 +112,12 @@ export default function VouchersPage() {
               >
                 ← Back
               </Link>
+              <Link
+                href="/admin/vouchers/recurring"
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg transition"
+              >
+                🔁 Recurring
+              </Link>
               <Link
                 href="/admin/vouchers/new"
                 className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg transition"
@@ -270,6 +292,16 @@ export default function VouchersPage() {
                         >
                           {voucher.status}
                         </span>
+                        {voucher.reversedBy && (
+                          <span className="ml-2 inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                            reversed
+                          </span>
+                        )}
+                        {voucher.reversalOf && (
+                          <span className="ml-2 inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                            reversal
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <Link
@@ -278,6 +310,15 @@ export default function VouchersPage() {
                         >
                           View
                         </Link>
+                        {voucher.status === 'posted' && !voucher.reversedBy && !voucher.reversalOf && (
+                          <button
+                            onClick={() => handleReverse(voucher)}
+                            disabled={reverseVoucher.isPending}
+                            className="ml-4 text-orange-600 hover:text-orange-900 disabled:opacity-50"
+                          >
+                            Reverse
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))
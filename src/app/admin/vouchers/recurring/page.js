@@ -0,0 +1,603 @@
+'use client';
+
+import React from 'react';
+import { useState } from 'react';
+import Link from 'next/link';
+import {
+  useRecurringVouchers,
+  useCreateRecurringVoucher,
+  useUpdateRecurringVoucher,
+  useDeleteRecurringVoucher,
+  useGenerateRecurringVouchers,
+} from '@/hooks/useRecurringVouchers';
+import { showPromise, showError } from '@/utils/toast';
+import { AccountSelect } from '@/components/ui/SearchableSelect';
+
+const emptyEntries = () => [
+  { accountId: '', accountOption: null, type: 'debit', amount: '', description: '' },
+  { accountId: '', accountOption: null, type: 'credit', amount: '', description: '' },
+];
+
+const initialForm = () => ({
+  name: '',
+  voucherType: 'JV',
+  narration: '',
+  frequency: 'monthly',
+  dayOfMonth: '',
+  startDate: new Date().toISOString().split('T')[0],
+  endDate: '',
+  autoPost: false,
+});
+
+export default function RecurringVouchersPage() {
+  const [filterActive, setFilterActive] = useState('all');
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(initialForm());
+  const [entries, setEntries] = useState(emptyEntries());
+
+  const { data, isLoading, isError, error } = useRecurringVouchers({ isActive: filterActive });
+  const createRecurringVoucher = useCreateRecurringVoucher();
+  const updateRecurringVoucher = useUpdateRecurringVoucher();
+  const deleteRecurringVoucher = useDeleteRecurringVoucher();
+  const generateRecurringVouchers = useGenerateRecurringVouchers();
+
+  const recurringVouchers = data?.recurringVouchers || [];
+  const upcoming = data?.upcoming || [];
+  const summary = data?.summary || null;
+
+  const totals = entries.reduce(
+    (acc, entry) => {
+      acc[entry.type] += parseFloat(entry.amount) || 0;
+      return acc;
+    },
+    { debit: 0, credit: 0 }
+  );
+  const isBalanced = totals.debit > 0 && Math.abs(totals.debit - totals.credit) < 0.01;
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  const handleEntryChange = (index, field, value) => {
+    const newEntries = [...entries];
+    newEntries[index][field] = value;
+    setEntries(newEntries);
+  };
+
+  const removeEntry = (index) => {
+    if (entries.length <= 2) {
+      showError('Template must have at least 2 entries');
+      return;
+    }
+    setEntries(entries.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isBalanced) {
+      showError('Debit and Credit must be equal');
+      return;
+    }
+
+    try {
+      await showPromise(
+        createRecurringVoucher.mutateAsync({
+          ...formData,
+          dayOfMonth: formData.dayOfMonth || undefined,
+          endDate: formData.endDate || undefined,
+          entries: entries.map((entry) => ({
+            accountId: entry.accountId,
+            type: entry.type,
+            amount: parseFloat(entry.amount),
+            description: entry.description || '',
+          })),
+        }),
+        {
+          loading: 'Creating recurring voucher...',
+          success: (result) => result.message || 'Recurring voucher created successfully!',
+          error: (err) => err.message || 'Failed to create recurring voucher',
+        }
+      );
+
+      setFormData(initialForm());
+      setEntries(emptyEntries());
+      setShowForm(false);
+    } catch (err) {
+      // Error already shown by the toast; keep the form for correction
+      console.error('Error creating recurring voucher:', err);
+    }
+  };
+
+  const handleGenerate = async (recurringVoucherId) => {
+    await showPromise(generateRecurringVouchers.mutateAsync({ recurringVoucherId }), {
+      loading: 'Generating due vouchers...',
+      success: (result) => result.message || 'Recurring vouchers generated',
+      error: (err) => err.message || 'Failed to generate recurring vouchers',
+    });
+  };
+
+  const handleToggleActive = async (template) => {
+    await showPromise(
+      updateRecurringVoucher.mutateAsync({
+        recurringVoucherId: template._id,
+        recurringVoucherData: { isActive: !template.isActive },
+      }),
+      {
+        loading: template.isActive ? 'Pausing...' : 'Resuming...',
+        success: template.isActive ? 'Recurring voucher paused' : 'Recurring voucher resumed',
+        error: (err) => err.message || 'Failed to update recurring voucher',
+      }
+    );
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete recurring voucher "${template.name}"? Vouchers already generated are kept.`)) {
+      return;
+    }
+
+    await showPromise(deleteRecurringVoucher.mutateAsync(template._id), {
+      loading: 'Deleting...',
+      success: 'Recurring voucher deleted',
+      error: (err) => err.message || 'Failed to delete recurring voucher',
+    });
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+  const frequencyLabel = {
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    yearly: 'Yearly',
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading recurring vouchers...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Recurring Vouchers</h1>
+              <p className="mt-1 text-sm text-gray-600">
+                Templates generated monthly, quarterly or yearly
+              </p>
+            </div>
+            <div className="flex gap-3">
+              <Link
+                href="/admin/vouchers"
+                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg transition"
+              >
+                ← Back
+              </Link>
+              <button
+                onClick={() => handleGenerate()}
+                disabled={generateRecurringVouchers.isPending || !summary?.due}
+                className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Generate Due ({summary?.due || 0})
+              </button>
+              <button
+                onClick={() => setShowForm(!showForm)}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg transition"
+              >
+                {showForm ? 'Cancel' : '+ New Template'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {isError && (
+          <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg mb-6">
+            {error?.message}
+          </div>
+        )}
+
+        {/* Summary Cards */}
+        {summary && (
+          <div className="grid grid-cols-3 gap-4 mb-6">
+            <div className="bg-white rounded-lg shadow p-4 text-center">
+              <div className="text-2xl font-bold text-gray-900">{summary.total}</div>
+              <div className="text-sm text-gray-600">Templates</div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4 text-center">
+              <div className="text-2xl font-bold text-green-600">{summary.active}</div>
+              <div className="text-sm text-gray-600">Active</div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-4 text-center">
+              <div className="text-2xl font-bold text-yellow-600">{summary.due}</div>
+              <div className="text-sm text-gray-600">Runs Due</div>
+            </div>
+          </div>
+        )}
+
+        {/* Create Form */}
+        {showForm && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg p-6 mb-6 space-y-6">
+            <h3 className="text-lg font-semibold text-gray-900">New Recurring Voucher</h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Template Name <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="e.g., Office rent"
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Voucher Type <span className="text-red-500">*</span>
+                </label>
+                <select
+                  name="voucherType"
+                  value={formData.voucherType}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="JV">JV - Journal Voucher</option>
+                  <option value="PV">PV - Payment Voucher</option>
+                  <option value="RV">RV - Receipt Voucher</option>
+                  <option value="CV">CV - Contra Voucher</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Frequency <span className="text-red-500">*</span>
+                </label>
+                <select
+                  name="frequency"
+                  value={formData.frequency}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="monthly">Monthly</option>
+                  <option value="quarterly">Quarterly</option>
+                  <option value="yearly">Yearly</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Start Date <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="date"
+                  name="startDate"
+                  value={formData.startDate}
+                  onChange={handleChange}
+                  required
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
+                <input
+                  type="date"
+                  name="endDate"
+                  value={formData.endDate}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Day of Month</label>
+                <input
+                  type="number"
+                  name="dayOfMonth"
+                  min="1"
+                  max="31"
+                  value={formData.dayOfMonth}
+                  onChange={handleChange}
+                  placeholder="Same as start date"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div className="flex items-end">
+                <label className="flex items-center gap-2 pb-2">
+                  <input
+                    type="checkbox"
+                    name="autoPost"
+                    checked={formData.autoPost}
+                    onChange={handleChange}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="text-sm font-medium text-gray-700">Post automatically</span>
+                </label>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Narration <span className="text-red-500">*</span>
+              </label>
+              <textarea
+                name="narration"
+                value={formData.narration}
+                onChange={handleChange}
+                rows="2"
+                required
+                minLength={5}
+                placeholder="Narration used on every generated voucher..."
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+
+            {/* Entries */}
+            <div>
+              <div className="flex justify-between items-center mb-3">
+                <h4 className="text-sm font-semibold text-gray-900">Entries</h4>
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setEntries([...entries, { accountId: '', accountOption: null, type: 'debit', amount: '', description: '' }])}
+                    className="text-sm bg-blue-50 hover:bg-blue-100 text-blue-700 font-medium py-1 px-3 rounded-lg transition"
+                  >
+                    + Add Debit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEntries([...entries, { accountId: '', accountOption: null, type: 'credit', amount: '', description: '' }])}
+                    className="text-sm bg-green-50 hover:bg-green-100 text-green-700 font-medium py-1 px-3 rounded-lg transition"
+                  >
+                    + Add Credit
+                  </button>
+                </div>
+              </div>
+
+              <div className="space-y-3">
+                {entries.map((entry, index) => (
+                  <div
+                    key={index}
+                    className={`flex items-start gap-3 border-2 rounded-lg p-3 ${
+                      entry.type === 'debit' ? 'border-blue-200 bg-blue-50' : 'border-green-200 bg-green-50'
+                    }`}
+                  >
+                    <div className="flex-1 grid grid-cols-1 md:grid-cols-4 gap-3">
+                      <div className="md:col-span-2">
+                        <AccountSelect
+                          value={entry.accountOption}
+                          onChange={(selectedOption) => {
+                            const newEntries = [...entries];
+                            newEntries[index].accountId = selectedOption?.value || '';
+                            newEntries[index].accountOption = selectedOption;
+                            setEntries(newEntries);
+                          }}
+                        />
+                      </div>
+                      <select
+                        value={entry.type}
+                        onChange={(e) => handleEntryChange(index, 'type', e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="debit">Debit (Dr)</option>
+                        <option value="credit">Credit (Cr)</option>
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={entry.amount}
+                        onChange={(e) => handleEntryChange(index, 'amount', e.target.value)}
+                        placeholder="0.00"
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    {entries.length > 2 && (
+                      <button
+                        type="button"
+                        onClick={() => removeEntry(index)}
+                        className="mt-2 text-red-600 hover:text-red-800 font-medium"
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="mt-3 flex justify-end gap-6 text-sm">
+                <span className="text-blue-600 font-semibold">Dr ₨ {totals.debit.toFixed(2)}</span>
+                <span className="text-green-600 font-semibold">Cr ₨ {totals.credit.toFixed(2)}</span>
+                <span className={`font-semibold ${isBalanced ? 'text-green-600' : 'text-red-600'}`}>
+                  {isBalanced ? '✓ Balanced' : `Difference ₨ ${Math.abs(totals.debit - totals.credit).toFixed(2)}`}
+                </span>
+              </div>
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={createRecurringVoucher.isPending || !isBalanced}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {createRecurringVoucher.isPending ? 'Saving...' : 'Save Template'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Templates */}
+          <div className="lg:col-span-2">
+            <div className="bg-white rounded-lg shadow p-4 mb-4 flex justify-between items-center">
+              <h3 className="text-lg font-semibold text-gray-900">Templates</h3>
+              <select
+                value={filterActive}
+                onChange={(e) => setFilterActive(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="all">All</option>
+                <option value="true">Active</option>
+                <option value="false">Paused</option>
+              </select>
+            </div>
+
+            {recurringVouchers.length === 0 ? (
+              <div className="bg-white rounded-lg shadow-lg p-12 text-center">
+                <div className="text-6xl mb-4">🔁</div>
+                <h3 className="text-xl font-semibold text-gray-900 mb-2">No Recurring Vouchers</h3>
+                <p className="text-gray-600">
+                  Create a template for rent, depreciation or other repeating entries
+                </p>
+              </div>
+            ) : (
+              <div className="bg-white rounded-lg shadow overflow-hidden">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Template
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Schedule
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Amount
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Next Run
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {recurringVouchers.map((template) => (
+                      <tr key={template._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 text-sm">
+                          <div className="font-medium text-gray-900">
+                            {template.name}
+                            <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                              {template.voucherType}
+                            </span>
+                            {!template.isActive && (
+                              <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                                paused
+                              </span>
+                            )}
+                          </div>
+                          <div className="text-gray-500 max-w-xs truncate">{template.narration}</div>
+                          {template.generatedRuns.length > 0 && (
+                            <div className="text-xs text-gray-500 mt-1">
+                              Last: {template.generatedRuns[0].voucherNumber} ({template.generatedRuns[0].status})
+                              {template.generatedRuns[0].message && (
+                                <span className="text-red-600"> – {template.generatedRuns[0].message}</span>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          <div>{frequencyLabel[template.frequency]}</div>
+                          <div className="text-xs text-gray-500">
+                            {formatDate(template.startDate)} – {template.endDate ? formatDate(template.endDate) : 'open'}
+                          </div>
+                          {template.autoPost && (
+                            <div className="text-xs text-green-700">Auto-post</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          ₨ {template.amount.toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <div className="text-gray-900">{formatDate(template.nextRunDate)}</div>
+                          {template.dueCount > 0 && (
+                            <span className="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              {template.dueCount} due
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                          {template.isActive && template.dueCount > 0 && (
+                            <button
+                              onClick={() => handleGenerate(template._id)}
+                              disabled={generateRecurringVouchers.isPending}
+                              className="text-green-600 hover:text-green-900 disabled:opacity-50"
+                            >
+                              Generate
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleToggleActive(template)}
+                            disabled={updateRecurringVoucher.isPending}
+                            className="ml-4 text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                          >
+                            {template.isActive ? 'Pause' : 'Resume'}
+                          </button>
+                          <button
+                            onClick={() => handleDelete(template)}
+                            disabled={deleteRecurringVoucher.isPending}
+                            className="ml-4 text-red-600 hover:text-red-900 disabled:opacity-50"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Upcoming Runs */}
+          <div className="bg-white rounded-lg shadow overflow-hidden h-fit">
+            <div className="px-6 py-4 bg-blue-600 text-white">
+              <h3 className="text-lg font-bold">Upcoming Runs</h3>
+            </div>
+            <div className="p-4">
+              {upcoming.length === 0 ? (
+                <p className="text-sm text-gray-500 italic">No upcoming runs</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {upcoming.map((run) => {
+                    const isDue = new Date(run.runDate) <= new Date();
+                    return (
+                      <li key={`${run.recurringVoucherId}-${run.runKey}`} className="py-2 flex justify-between text-sm">
+                        <div>
+                          <div className="font-medium text-gray-900">{run.name}</div>
+                          <div className={isDue ? 'text-yellow-700' : 'text-gray-500'}>
+                            {formatDate(run.runDate)}
+                            {isDue && ' · due'}
+                          </div>
+                        </div>
+                        <div className="text-right">
+                          <div className="text-gray-900">₨ {run.amount.toLocaleString()}</div>
+                          <div className="text-xs text-gray-500">
+                            {run.voucherType} · {run.autoPost ? 'post' : 'draft'}
+                          </div>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
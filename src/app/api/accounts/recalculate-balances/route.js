@@ -0,0 +1,87 @@
+/**
+ * Recalculate Balances API
+ * Rebuilds account, ledger running, customer and supplier balances from the ledger
+ */
+
+import connectDB from '@/lib/mongodb';
+import { getBalanceDriftReport, recalculateBalances } from '@/services/balance-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAdmin } from '@/middleware/auth';
+
+/**
+ * GET /api/accounts/recalculate-balances
+ * Drift report only (stored vs recomputed balances)
+ */
+export async function GET(request) {
+  return withAdmin(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { report } = await getBalanceDriftReport(request.user.organizationId);
+
+      logger.info('Balance drift report generated', {
+        hasDrift: report.hasDrift,
+        userId: request.user._id,
+      });
+
+      return successResponse({ report });
+    } catch (error) {
+      logger.error('Error generating balance drift report', error);
+
+      return errorResponse(
+        'Failed to generate balance drift report',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/accounts/recalculate-balances
+ * Recalculate cached balances. Body: { dryRun?: boolean }
+ * Only admins can recalculate balances
+ */
+export async function POST(request) {
+  return withAdmin(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json().catch(() => ({}));
+      const dryRun = body.dryRun === true;
+
+      logger.info('Recalculating balances', {
+        dryRun,
+        userId: request.user._id,
+        organizationId: request.user.organizationId._id,
+      });
+
+      const result = await recalculateBalances(request.user.organizationId, { dryRun });
+
+      logger.success('Balance recalculation completed', {
+        dryRun,
+        accountsFixed: dryRun ? 0 : result.before.accounts.drifted,
+        entriesFixed: dryRun ? 0 : result.before.ledgerEntries.drifted,
+        customersFixed: dryRun ? 0 : result.before.customers.drifted,
+        suppliersFixed: dryRun ? 0 : result.before.suppliers.drifted,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        result,
+        dryRun
+          ? 'Dry run completed. No balances were changed.'
+          : 'Balances recalculated successfully'
+      );
+    } catch (error) {
+      logger.error('Error recalculating balances', error);
+
+      return errorResponse(
+        'Failed to recalculate balances',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -17,6 +17,7 @@ import { withAuth } from '@/middleware/auth';
  * - type: Filter by account type (asset, liability, equity, revenue, expense)
  * - category: Filter by category
  * - isActive: Filter by active status
+ * - isBankAccount: Only bank accounts (true)
  * - search: Search by name or code
  * - tree: Return hierarchical tree structure (true/false)
  */
@@ -32,6 +33,7 @@ export async function GET(request) {
       const search = searchParams.get('search');
       const tree = searchParams.get('tree') === 'true';
       const includeInactive = searchParams.get('includeInactive') === 'true';
+      const isBankAccount = searchParams.get('isBankAccount') === 'true';
 
       // Build query
       const query = {
@@ -51,6 +53,10 @@ export async function GET(request) {
         query.isActive = isActive === 'true';
       }
 
+      if (isBankAccount) {
+        query.isBankAccount = true;
+      }
+
       if (search) {
         query.$or = [
           { name: { $regex: search, $options: 'i' } },
@@ -0,0 +1,254 @@
+/**
+ * Post Credit/Debit Note API
+ * Posts a note, creates the journal voucher (JV) reversing or adding to the
+ * invoice's revenue, sales tax and receivable, and adjusts the invoice balance
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import AdjustmentNote from '@/models/AdjustmentNote';
+import Voucher from '@/models/Voucher';
+import LedgerEntry from '@/models/LedgerEntry';
+import Customer from '@/models/Customer';
+import Account from '@/models/Account';
+import ExchangeRate from '@/models/ExchangeRate';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/adjustment-notes/[id]/post
+ * Post note and create accounting voucher
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+
+      // Find note
+      const note = await AdjustmentNote.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!note) {
+        await session.abortTransaction();
+        return errorResponse('Note not found', 404);
+      }
+
+      if (note.isPosted) {
+        await session.abortTransaction();
+        return errorResponse('Note is already posted', 400);
+      }
+
+      if (note.status === 'cancelled') {
+        await session.abortTransaction();
+        return errorResponse('Cannot post cancelled note', 400);
+      }
+
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        note.noteDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
+      // Re-check lines and quantities against the invoice as it stands now
+      let invoice;
+      try {
+        invoice = await note.loadInvoice(session);
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      const customer = await Customer.findById(note.customerId).session(session);
+      if (!customer) {
+        await session.abortTransaction();
+        return errorResponse('Customer not found', 404);
+      }
+
+      // Same accounts the invoice was posted to
+      const receivableAccount = invoice.receivableAccountId
+        ? await Account.findById(invoice.receivableAccountId).session(session)
+        : await Account.findOne({
+            organizationId: request.user.organizationId,
+            code: '1003001', // Accounts Receivable
+            isDeleted: false,
+          }).session(session);
+
+      const revenueAccount = invoice.revenueAccountId
+        ? await Account.findById(invoice.revenueAccountId).session(session)
+        : await Account.findOne({
+            organizationId: request.user.organizationId,
+            code: '4001001', // Sales Revenue
+            isDeleted: false,
+          }).session(session);
+
+      if (!receivableAccount) {
+        await session.abortTransaction();
+        return errorResponse('Accounts Receivable account not found. Please set up chart of accounts.', 400);
+      }
+
+      if (!revenueAccount) {
+        await session.abortTransaction();
+        return errorResponse('Sales Revenue account not found. Please set up chart of accounts.', 400);
+      }
+
+      let taxAccount = null;
+      if (note.totalTax > 0) {
+        taxAccount = invoice.taxAccountId
+          ? await Account.findById(invoice.taxAccountId).session(session)
+          : await Account.findOne({
+              organizationId: request.user.organizationId,
+              code: '2004001', // Sales Tax Payable
+              isDeleted: false,
+            }).session(session);
+
+        if (!taxAccount) {
+          await session.abortTransaction();
+          return errorResponse('Sales Tax account not found. Please set up chart of accounts.', 400);
+        }
+      }
+
+      // Credit note reverses the sale; debit note adds to it
+      const isCreditNote = note.noteType === 'credit_note';
+      const label = isCreditNote ? 'Credit note' : 'Debit note';
+      const saleSide = isCreditNote ? 'debit' : 'credit';
+      const receivableSide = isCreditNote ? 'credit' : 'debit';
+
+      const voucherNumber = await Voucher.generateVoucherNumber(
+        request.user.organizationId,
+        'JV',
+        note.fiscalYear
+      );
+
+      const voucherEntries = [];
+
+      // Accounts Receivable (customer owes less / more)
+      voucherEntries.push({
+        accountId: receivableAccount._id,
+        type: receivableSide,
+        amount: note.totalAmount,
+        description: `${label} ${note.noteNumber} - ${customer.name}`,
+        partyType: 'customer',
+        partyId: customer._id,
+      });
+
+      // Sales Revenue
+      voucherEntries.push({
+        accountId: revenueAccount._id,
+        type: saleSide,
+        amount: note.subtotal,
+        description: `Sales revenue - ${label} ${note.noteNumber} (Invoice ${note.invoiceNumber})`,
+      });
+
+      // Sales Tax Payable (if applicable)
+      if (note.totalTax > 0 && taxAccount) {
+        voucherEntries.push({
+          accountId: taxAccount._id,
+          type: saleSide,
+          amount: note.totalTax,
+          description: `Sales tax - ${label} ${note.noteNumber} (Invoice ${note.invoiceNumber})`,
+        });
+      }
+
+      // Foreign-currency invoice: entries keep the note amount, the ledger gets the base amount
+      const isForeignCurrency = note.currency !== ExchangeRate.getBaseCurrency(request.user.organizationId);
+      if (isForeignCurrency) {
+        voucherEntries.forEach((entry) => {
+          entry.foreignAmount = entry.amount;
+        });
+      }
+
+      // Create voucher
+      const voucher = new Voucher({
+        voucherNumber,
+        voucherType: 'JV',
+        voucherDate: note.noteDate,
+        narration: `${label} ${note.noteNumber} - ${customer.name} - Invoice ${note.invoiceNumber} - ${note.reason.replace('_', ' ')}`,
+        entries: voucherEntries,
+        organizationId: request.user.organizationId,
+        fiscalYear: note.fiscalYear,
+        fiscalPeriod: note.fiscalPeriod,
+        referenceType: note.noteType,
+        referenceId: note._id,
+        currency: note.currency,
+        exchangeRate: note.exchangeRate,
+        status: 'draft',
+        createdBy: request.user._id,
+      });
+
+      voucher.applyExchangeRate();
+
+      // Validate double-entry
+      const validation = voucher.validateDoubleEntry();
+      if (!validation.isValid) {
+        await session.abortTransaction();
+        return errorResponse('Voucher validation failed: ' + validation.errors.join(', '), 400);
+      }
+
+      await voucher.save({ session });
+
+      // Post voucher and create ledger entries
+      await voucher.post(request.user._id, { canOverrideLock });
+      await LedgerEntry.createFromVoucher(voucher, request.user._id, session);
+
+      // Adjust the invoice balance
+      note.appliedAmount = await invoice.applyAdjustment(note.noteType, note.totalAmount, request.user._id);
+      note.unappliedAmount = parseFloat((note.totalAmount - note.appliedAmount).toFixed(2));
+
+      // Update customer balance (base currency)
+      await customer.updateBalance(voucher.entries[0].amount, receivableSide);
+      await customer.save({ session });
+
+      // Post note and link voucher
+      note.voucherId = voucher._id;
+      await note.post(request.user._id);
+      await note.save({ session });
+
+      await session.commitTransaction();
+
+      await note.populate('customerId', 'name companyName customerCode');
+      await note.populate('voucherId', 'voucherNumber voucherType');
+      await note.populate('postedBy', 'name email');
+
+      logger.info('Adjustment note posted', {
+        noteId: note._id,
+        noteNumber: note.noteNumber,
+        invoiceNumber: note.invoiceNumber,
+        voucherId: voucher._id,
+        voucherNumber: voucher.voucherNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { note, voucher },
+        `${label} posted successfully and accounting entries created`
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error posting adjustment note', error);
+
+      return errorResponse(
+        'Failed to post note',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
@@ -0,0 +1,197 @@
+/**
+ * Single Credit/Debit Note API
+ * Handles get, update, delete operations for a specific note
+ */
+
+import connectDB from '@/lib/mongodb';
+import AdjustmentNote from '@/models/AdjustmentNote';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/adjustment-notes/[id]
+ * Get a single note by ID
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const note = await AdjustmentNote.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      })
+        .populate('customerId', 'name companyName email phone customerCode ntn')
+        .populate('invoiceId', 'invoiceNumber invoiceDate totalAmount creditedAmount debitedAmount balanceAmount status')
+        .populate('voucherId', 'voucherNumber voucherType voucherDate status')
+        .populate('createdBy', 'name email')
+        .populate('postedBy', 'name email')
+        .lean();
+
+      if (!note) {
+        return errorResponse('Note not found', 404);
+      }
+
+      return successResponse({ note });
+    } catch (error) {
+      logger.error('Error fetching adjustment note', error);
+
+      return errorResponse(
+        'Failed to fetch note',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/adjustment-notes/[id]
+ * Update a draft note
+ */
+export async function PUT(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const body = await request.json();
+
+      const note = await AdjustmentNote.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!note) {
+        return errorResponse('Note not found', 404);
+      }
+
+      if (note.isPosted) {
+        return errorResponse('Cannot edit posted note', 400);
+      }
+
+      if (note.status === 'cancelled') {
+        return errorResponse('Cannot edit cancelled note', 400);
+      }
+
+      // Fields that should not be updated directly
+      const protectedFields = [
+        '_id',
+        'noteNumber',
+        'noteType',
+        'organizationId',
+        'invoiceId',
+        'invoiceNumber',
+        'customerId',
+        'currency',
+        'exchangeRate',
+        'createdBy',
+        'createdAt',
+        'status',
+        'isPosted',
+        'postedAt',
+        'postedBy',
+        'voucherId',
+        'appliedAmount',
+        'unappliedAmount',
+        'isDeleted',
+        'deletedAt',
+        'deletedBy',
+      ];
+
+      protectedFields.forEach((field) => delete body[field]);
+
+      Object.assign(note, body);
+      note.updatedBy = request.user._id;
+
+      try {
+        await note.loadInvoice();
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      await note.save();
+
+      await note.populate('customerId', 'name companyName customerCode');
+
+      logger.info('Adjustment note updated', {
+        noteId: note._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ note }, 'Note updated successfully');
+    } catch (error) {
+      logger.error('Error updating adjustment note', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      return errorResponse(
+        'Failed to update note',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/adjustment-notes/[id]
+ * Soft delete a draft note
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const note = await AdjustmentNote.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!note) {
+        return errorResponse('Note not found', 404);
+      }
+
+      if (note.isPosted) {
+        return errorResponse('Cannot delete posted note', 400);
+      }
+
+      note.isDeleted = true;
+      note.deletedAt = new Date();
+      note.deletedBy = request.user._id;
+      note.status = 'cancelled';
+
+      await note.save();
+
+      logger.info('Adjustment note deleted', {
+        noteId: note._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ note }, 'Note deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting adjustment note', error);
+
+      return errorResponse(
+        'Failed to delete note',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
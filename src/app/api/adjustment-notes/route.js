@@ -0,0 +1,186 @@
+/**
+ * Credit & Debit Notes API
+ * Handles listing and creating notes against posted sales invoices
+ */
+
+import connectDB from '@/lib/mongodb';
+import AdjustmentNote from '@/models/AdjustmentNote';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/adjustment-notes
+ * List credit and debit notes
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const page = parseInt(searchParams.get('page')) || 1;
+      const limit = parseInt(searchParams.get('limit')) || 50;
+      const search = searchParams.get('search') || '';
+      const noteType = searchParams.get('noteType');
+      const status = searchParams.get('status');
+      const customerId = searchParams.get('customerId');
+      const invoiceId = searchParams.get('invoiceId');
+      const startDate = searchParams.get('startDate');
+      const endDate = searchParams.get('endDate');
+
+      // Build query
+      const query = {
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      };
+
+      if (noteType) {
+        query.noteType = noteType;
+      }
+
+      if (status) {
+        query.status = status;
+      }
+
+      if (customerId) {
+        query.customerId = customerId;
+      }
+
+      if (invoiceId) {
+        query.invoiceId = invoiceId;
+      }
+
+      // Date range filter
+      if (startDate || endDate) {
+        query.noteDate = {};
+        if (startDate) query.noteDate.$gte = new Date(startDate);
+        if (endDate) query.noteDate.$lte = new Date(endDate);
+      }
+
+      // Search functionality
+      if (search) {
+        query.$or = [
+          { noteNumber: { $regex: search, $options: 'i' } },
+          { invoiceNumber: { $regex: search, $options: 'i' } },
+        ];
+      }
+
+      const total = await AdjustmentNote.countDocuments(query);
+
+      const notes = await AdjustmentNote.find(query)
+        .populate('customerId', 'name companyName customerCode')
+        .populate('voucherId', 'voucherNumber')
+        .sort({ noteDate: -1, noteNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+      logger.info('Adjustment notes listed', {
+        count: notes.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        notes,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing adjustment notes', error);
+
+      return errorResponse(
+        'Failed to fetch notes',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/adjustment-notes
+ * Create a draft credit or debit note
+ * Body: { noteType, invoiceId, noteDate, reason, notes,
+ *         items: [{ invoiceItemId, quantity, rate }],
+ *         fbrDocumentTypeId, fbrDocumentType }
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+
+      const note = new AdjustmentNote({
+        noteType: body.noteType,
+        noteDate: body.noteDate,
+        invoiceId: body.invoiceId,
+        reason: body.reason,
+        notes: body.notes,
+        items: body.items || [],
+        fbrDocumentTypeId: body.fbrDocumentTypeId || undefined,
+        fbrDocumentType: body.fbrDocumentType,
+        organizationId: request.user.organizationId,
+        createdBy: request.user._id,
+      });
+
+      if (!['credit_note', 'debit_note'].includes(note.noteType)) {
+        return errorResponse('Note type must be credit_note or debit_note', 400);
+      }
+
+      // Check the invoice, lines and quantities
+      try {
+        await note.loadInvoice();
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      note.noteNumber = await AdjustmentNote.generateNoteNumber(
+        request.user.organizationId,
+        note.noteType,
+        note.noteDate ? new Date(note.noteDate).getFullYear().toString() : undefined
+      );
+
+      await note.save();
+
+      await note.populate('customerId', 'name companyName customerCode');
+
+      logger.info('Adjustment note created', {
+        noteId: note._id,
+        noteNumber: note.noteNumber,
+        invoiceNumber: note.invoiceNumber,
+        totalAmount: note.totalAmount,
+        userId: request.user._id,
+      });
+
+      return successResponse({ note }, 'Note created successfully', 201);
+    } catch (error) {
+      logger.error('Error creating adjustment note', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return errorResponse('Note number already exists', 400);
+      }
+
+      return errorResponse(
+        'Failed to create note',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
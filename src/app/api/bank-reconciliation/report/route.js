@@ -0,0 +1,68 @@
+/**
+ * Bank Reconciliation Report API
+ * Book balance vs statement balance with uncleared cheques, deposits in
+ * transit and bank items not yet recorded in the books
+ */
+
+import connectDB from '@/lib/mongodb';
+import BankStatement from '@/models/BankStatement';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+/**
+ * GET /api/bank-reconciliation/report
+ * Query: accountId (required), asOfDate (default today), statementBalance (optional override)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const accountId = searchParams.get('accountId');
+      const asOfDate = searchParams.get('asOfDate') ? new Date(searchParams.get('asOfDate')) : new Date();
+      const statementBalance = searchParams.get('statementBalance');
+
+      if (!accountId || !mongoose.Types.ObjectId.isValid(accountId)) {
+        return errorResponse('Bank account is required', 400);
+      }
+
+      if (isNaN(asOfDate.getTime())) {
+        return errorResponse('Invalid as-of date', 400);
+      }
+
+      if (statementBalance && isNaN(parseFloat(statementBalance))) {
+        return errorResponse('Invalid statement balance', 400);
+      }
+
+      let report;
+      try {
+        report = await BankStatement.getReconciliationReport(request.user.organizationId, accountId, {
+          asOfDate,
+          statementBalance,
+        });
+      } catch (error) {
+        return errorResponse(error.message, 404);
+      }
+
+      logger.info('Bank reconciliation report generated', {
+        accountId,
+        asOfDate,
+        isReconciled: report.isReconciled,
+        userId: request.user._id,
+      });
+
+      return successResponse(report);
+    } catch (error) {
+      logger.error('Error generating bank reconciliation report', error);
+
+      return errorResponse(
+        'Failed to generate bank reconciliation report',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
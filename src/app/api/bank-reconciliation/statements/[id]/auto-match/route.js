@@ -0,0 +1,69 @@
+/**
+ * Bank Statement Auto-Match API
+ * Re-runs automatic matching for lines that are still unmatched
+ */
+
+import connectDB from '@/lib/mongodb';
+import BankStatement from '@/models/BankStatement';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+/**
+ * POST /api/bank-reconciliation/statements/[id]/auto-match
+ * Body (optional): { dateWindowDays }
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid statement ID', 400);
+      }
+
+      const body = await request.json().catch(() => ({}));
+      const dateWindowDays = body.dateWindowDays ? parseInt(body.dateWindowDays) : undefined;
+
+      if (dateWindowDays !== undefined && (isNaN(dateWindowDays) || dateWindowDays < 0 || dateWindowDays > 60)) {
+        return errorResponse('Date window must be between 0 and 60 days', 400);
+      }
+
+      const statement = await BankStatement.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+      });
+
+      if (!statement) {
+        return errorResponse('Bank statement not found', 404);
+      }
+
+      const matched = await statement.autoMatch(request.user._id, { dateWindowDays });
+
+      logger.success('Bank statement auto-matched', {
+        statementId: statement._id,
+        matched,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        {
+          matched,
+          summary: statement.getSummary(),
+        },
+        matched > 0 ? `${matched} line(s) matched` : 'No further matches found'
+      );
+    } catch (error) {
+      logger.error('Error auto-matching bank statement', error);
+
+      return errorResponse(
+        'Failed to auto-match bank statement',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
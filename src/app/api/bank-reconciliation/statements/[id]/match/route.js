@@ -0,0 +1,99 @@
+/**
+ * Bank Statement Manual Match API
+ * Match, unmatch or ignore a single statement line
+ */
+
+import connectDB from '@/lib/mongodb';
+import BankStatement from '@/models/BankStatement';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+const ACTIONS = ['match', 'unmatch', 'ignore'];
+
+/**
+ * POST /api/bank-reconciliation/statements/[id]/match
+ * Body: { lineId, action: 'match' | 'unmatch' | 'ignore', ledgerEntryIds: [] }
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid statement ID', 400);
+      }
+
+      const { lineId, action = 'match', ledgerEntryIds = [] } = await request.json();
+
+      const errors = {};
+      if (!lineId || !mongoose.Types.ObjectId.isValid(lineId)) {
+        errors.lineId = 'Statement line is required';
+      }
+      if (!ACTIONS.includes(action)) {
+        errors.action = 'Action must be match, unmatch or ignore';
+      }
+      if (action === 'match' && !ledgerEntryIds.every((entryId) => mongoose.Types.ObjectId.isValid(entryId))) {
+        errors.ledgerEntryIds = 'Invalid ledger entry ID';
+      }
+
+      if (Object.keys(errors).length > 0) {
+        return validationError(errors);
+      }
+
+      const statement = await BankStatement.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+      });
+
+      if (!statement) {
+        return errorResponse('Bank statement not found', 404);
+      }
+
+      try {
+        if (action === 'match') {
+          await statement.matchLine(lineId, ledgerEntryIds, request.user._id);
+        } else if (action === 'unmatch') {
+          await statement.unmatchLine(lineId);
+        } else {
+          await statement.ignoreLine(lineId, request.user._id);
+        }
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      logger.success('Bank statement line updated', {
+        statementId: statement._id,
+        lineId,
+        action,
+        userId: request.user._id,
+      });
+
+      const messages = {
+        match: 'Statement line matched',
+        unmatch: 'Statement line unmatched',
+        ignore: 'Statement line ignored',
+      };
+
+      return successResponse(
+        {
+          line: statement.lines.id(lineId),
+          summary: statement.getSummary(),
+          status: statement.status,
+        },
+        messages[action]
+      );
+    } catch (error) {
+      logger.error('Error matching bank statement line', error);
+
+      return errorResponse(
+        'Failed to update statement line',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
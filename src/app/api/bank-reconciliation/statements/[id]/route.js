@@ -0,0 +1,125 @@
+/**
+ * Individual Bank Statement API
+ * Statement lines with their matches, and the uncleared ledger entries
+ * available for manual matching
+ */
+
+import connectDB from '@/lib/mongodb';
+import BankStatement from '@/models/BankStatement';
+import LedgerEntry from '@/models/LedgerEntry';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+/**
+ * GET /api/bank-reconciliation/statements/[id]
+ * Get a statement with matched ledger entries and unmatched book entries
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid statement ID', 400);
+      }
+
+      const statement = await BankStatement.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+      })
+        .populate('accountId', 'code name bankDetails')
+        .populate('importedBy', 'name email')
+        .populate(
+          'lines.ledgerEntryIds',
+          'entryDate voucherId voucherNumber type amount description narration referenceNumber'
+        );
+
+      if (!statement) {
+        return errorResponse('Bank statement not found', 404);
+      }
+
+      // Uncleared book entries up to a month past the statement, for manual matching
+      const windowEnd = new Date(statement.statementDate);
+      windowEnd.setMonth(windowEnd.getMonth() + 1);
+
+      const unmatchedEntries = await LedgerEntry.find({
+        organizationId: request.user.organizationId,
+        accountId: statement.accountId._id,
+        status: 'active',
+        bankStatementLineId: null,
+        entryDate: { $lte: windowEnd },
+      })
+        .select('entryDate voucherId voucherNumber type amount description narration referenceNumber')
+        .sort({ entryDate: 1 })
+        .lean();
+
+      return successResponse({
+        statement,
+        summary: statement.getSummary(),
+        unmatchedEntries,
+      });
+    } catch (error) {
+      logger.error('Error fetching bank statement', error);
+
+      return errorResponse(
+        'Failed to fetch bank statement',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/bank-reconciliation/statements/[id]
+ * Delete an imported statement and clear its matches from the ledger
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid statement ID', 400);
+      }
+
+      const statement = await BankStatement.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+      });
+
+      if (!statement) {
+        return errorResponse('Bank statement not found', 404);
+      }
+
+      const cleared = await LedgerEntry.updateMany(
+        { organizationId: request.user.organizationId, bankStatementId: statement._id },
+        { $unset: { bankStatementId: 1, bankStatementLineId: 1, clearedDate: 1 } }
+      );
+
+      await statement.deleteOne();
+
+      logger.success('Bank statement deleted', {
+        statementId: statement._id,
+        entriesCleared: cleared.modifiedCount,
+        userId: request.user._id,
+      });
+
+      return successResponse(null, 'Bank statement deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting bank statement', error);
+
+      return errorResponse(
+        'Failed to delete bank statement',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
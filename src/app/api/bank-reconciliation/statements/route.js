@@ -0,0 +1,186 @@
+/**
+ * Bank Statements API
+ * Imports CSV bank statements for reconciliation and lists past imports
+ */
+
+import connectDB from '@/lib/mongodb';
+import BankStatement from '@/models/BankStatement';
+import { BANK_STATEMENT_PRESETS, parseBankStatement } from '@/utils/bankStatementParser';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+// Largest CSV accepted in one import (characters)
+const MAX_CSV_LENGTH = 2 * 1024 * 1024;
+
+/**
+ * GET /api/bank-reconciliation/statements
+ * List imported statements (optionally for one bank account) and the column presets
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const accountId = searchParams.get('accountId');
+
+      const query = { organizationId: request.user.organizationId };
+
+      if (accountId) {
+        if (!mongoose.Types.ObjectId.isValid(accountId)) {
+          return errorResponse('Invalid account ID', 400);
+        }
+        query.accountId = accountId;
+      }
+
+      const statements = await BankStatement.find(query)
+        .populate('accountId', 'code name bankDetails')
+        .populate('importedBy', 'name email')
+        .sort({ statementDate: -1, createdAt: -1 });
+
+      return successResponse({
+        statements: statements.map((statement) => ({
+          _id: statement._id,
+          account: statement.accountId,
+          fileName: statement.fileName,
+          preset: statement.preset,
+          periodStart: statement.periodStart,
+          statementDate: statement.statementDate,
+          openingBalance: statement.openingBalance,
+          closingBalance: statement.closingBalance,
+          status: statement.status,
+          importedBy: statement.importedBy,
+          createdAt: statement.createdAt,
+          ...statement.getSummary(),
+        })),
+        presets: BANK_STATEMENT_PRESETS,
+      });
+    } catch (error) {
+      logger.error('Error fetching bank statements', error);
+
+      return errorResponse(
+        'Failed to fetch bank statements',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/bank-reconciliation/statements
+ * Import a CSV statement and auto-match it against the bank account's ledger
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+      const {
+        accountId,
+        csv,
+        preset = 'generic',
+        mapping: customMapping,
+        fileName,
+        openingBalance,
+        closingBalance,
+        statementDate,
+        notes,
+        autoMatch = true,
+        dateWindowDays,
+      } = body;
+
+      const errors = {};
+
+      if (!accountId || !mongoose.Types.ObjectId.isValid(accountId)) {
+        errors.accountId = 'Bank account is required';
+      }
+
+      if (!csv || typeof csv !== 'string') {
+        errors.csv = 'CSV content is required';
+      } else if (csv.length > MAX_CSV_LENGTH) {
+        errors.csv = 'CSV file is too large (max 2 MB)';
+      }
+
+      if (!customMapping && !BANK_STATEMENT_PRESETS[preset]) {
+        errors.preset = 'Unknown column mapping preset';
+      }
+
+      if (Object.keys(errors).length > 0) {
+        return validationError(errors);
+      }
+
+      // Custom mapping overrides the preset column by column
+      const mapping = { ...(BANK_STATEMENT_PRESETS[preset] || {}), ...(customMapping || {}) };
+
+      const parsed = parseBankStatement(csv, mapping);
+
+      if (parsed.lines.length === 0) {
+        return errorResponse('No statement lines could be read from the file', 400, {
+          errors: parsed.errors,
+          columns: parsed.columns,
+        });
+      }
+
+      let result;
+      try {
+        result = await BankStatement.importStatement(
+          request.user.organizationId,
+          accountId,
+          parsed.lines,
+          {
+            fileName,
+            preset: customMapping ? 'custom' : preset,
+            openingBalance,
+            closingBalance,
+            statementDate,
+            notes,
+            userId: request.user._id,
+          }
+        );
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      const { statement, duplicates } = result;
+
+      let matched = 0;
+      if (autoMatch) {
+        matched = await statement.autoMatch(request.user._id, {
+          dateWindowDays: dateWindowDays ? parseInt(dateWindowDays) : undefined,
+        });
+      }
+
+      logger.success('Bank statement imported', {
+        statementId: statement._id,
+        lines: statement.lines.length,
+        duplicates,
+        matched,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        {
+          statement,
+          summary: statement.getSummary(),
+          duplicates,
+          autoMatched: matched,
+          warnings: parsed.errors,
+        },
+        `Imported ${statement.lines.length} line(s), ${matched} matched automatically`,
+        201
+      );
+    } catch (error) {
+      logger.error('Error importing bank statement', error);
+
+      return errorResponse(
+        'Failed to import bank statement',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
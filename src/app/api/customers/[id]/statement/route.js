@@ -0,0 +1,95 @@
+/**
+ * Customer Statement API
+ * Statement of account: opening balance, invoices, receipts and running
+ * balance for a period, with the aging at the period end
+ */
+
+import connectDB from '@/lib/mongodb';
+import Customer from '@/models/Customer';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/customers/[id]/statement?startDate=2024-07-01&endDate=2024-09-30
+ * Defaults to the current month
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const { searchParams } = new URL(request.url);
+      const now = new Date();
+      let startDate = searchParams.get('startDate') || new Date(now.getFullYear(), now.getMonth(), 1);
+      let endDate = searchParams.get('endDate') || now;
+
+      if (typeof endDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        // Include the whole end day
+        endDate = `${endDate}T23:59:59.999`;
+      }
+
+      startDate = new Date(startDate);
+      endDate = new Date(endDate);
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+        return errorResponse('Invalid date range', 400);
+      }
+
+      const customer = await Customer.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!customer) {
+        return errorResponse('Customer not found', 404);
+      }
+
+      const [statement, aging] = await Promise.all([
+        customer.getStatement({ startDate, endDate }),
+        Customer.getAgingReport(request.user.organizationId._id, {
+          asAt: endDate,
+          customerId: customer._id,
+        }),
+      ]);
+
+      const organization = request.user.organizationId;
+
+      return successResponse({
+        organization: {
+          name: organization.name,
+          ntn: organization.ntn,
+          strn: organization.strn,
+          phone: organization.phone,
+          email: organization.email,
+          address: [organization.address?.street, organization.address?.area, organization.address?.city]
+            .filter(Boolean)
+            .join(', '),
+        },
+        customer: {
+          _id: customer._id,
+          customerCode: customer.customerCode,
+          name: customer.companyName || customer.name,
+          address: customer.billingFullAddress,
+          ntn: customer.ntn,
+          creditLimit: customer.creditLimit,
+          creditDays: customer.creditDays,
+        },
+        currency: ExchangeRate.getBaseCurrency(organization),
+        ...statement,
+        aging: aging.customers[0] || null,
+      });
+    } catch (error) {
+      logger.error('Error generating customer statement', error);
+
+      return errorResponse(
+        'Failed to generate customer statement',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Exchange Rate API
+ * Update or delete a single dated rate. Documents keep the rate they were
+ * created with, so changes only affect new documents and revaluations.
+ */
+
+import connectDB from '@/lib/mongodb';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+/**
+ * PUT /api/exchange-rates/[id]
+ * Body: { rate, source, notes }
+ */
+export async function PUT(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid exchange rate ID', 400);
+      }
+
+      const exchangeRate = await ExchangeRate.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+      });
+
+      if (!exchangeRate) {
+        return errorResponse('Exchange rate not found', 404);
+      }
+
+      const { rate, source, notes } = await request.json();
+
+      if (rate !== undefined) {
+        if (isNaN(parseFloat(rate)) || parseFloat(rate) <= 0) {
+          return validationError({ rate: 'Rate must be greater than 0' });
+        }
+        exchangeRate.rate = parseFloat(rate);
+      }
+      if (source !== undefined) exchangeRate.source = source;
+      if (notes !== undefined) exchangeRate.notes = notes;
+      exchangeRate.updatedBy = request.user._id;
+
+      await exchangeRate.save();
+
+      logger.info('Exchange rate updated', {
+        exchangeRateId: exchangeRate._id,
+        currency: exchangeRate.currency,
+        rate: exchangeRate.rate,
+        userId: request.user._id,
+      });
+
+      return successResponse({ exchangeRate }, 'Exchange rate updated successfully');
+    } catch (error) {
+      logger.error('Error updating exchange rate', error);
+
+      return errorResponse(
+        'Failed to update exchange rate',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/exchange-rates/[id]
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid exchange rate ID', 400);
+      }
+
+      const exchangeRate = await ExchangeRate.findOneAndDelete({
+        _id: id,
+        organizationId: request.user.organizationId,
+      });
+
+      if (!exchangeRate) {
+        return errorResponse('Exchange rate not found', 404);
+      }
+
+      logger.info('Exchange rate deleted', {
+        exchangeRateId: exchangeRate._id,
+        currency: exchangeRate.currency,
+        userId: request.user._id,
+      });
+
+      return successResponse(null, 'Exchange rate deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting exchange rate', error);
+
+      return errorResponse(
+        'Failed to delete exchange rate',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
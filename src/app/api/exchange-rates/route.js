@@ -0,0 +1,154 @@
+/**
+ * Exchange Rates API
+ * Dated rates used to convert foreign-currency documents to the base currency
+ */
+
+import connectDB from '@/lib/mongodb';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/exchange-rates
+ * Query: currency, startDate, endDate, asOfDate (latest rate per currency on that date)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const currency = searchParams.get('currency');
+      const startDate = searchParams.get('startDate');
+      const endDate = searchParams.get('endDate');
+      const asOfDate = searchParams.get('asOfDate');
+
+      const organization = request.user.organizationId;
+      const query = { organizationId: organization._id };
+
+      if (currency) {
+        query.currency = currency.toUpperCase();
+      }
+
+      if (startDate || endDate) {
+        query.effectiveDate = {};
+        if (startDate) query.effectiveDate.$gte = new Date(startDate);
+        if (endDate) query.effectiveDate.$lte = new Date(endDate);
+      }
+
+      const rates = await ExchangeRate.find(query)
+        .populate('createdBy', 'name email')
+        .sort({ effectiveDate: -1, currency: 1 })
+        .limit(500)
+        .lean();
+
+      const currencies = await ExchangeRate.distinct('currency', { organizationId: organization._id });
+
+      // Rate in effect per currency on the as-of date (default today)
+      const latest = [];
+      for (const code of currencies.sort()) {
+        const rate = await ExchangeRate.getRate(
+          organization._id,
+          code,
+          asOfDate ? new Date(asOfDate) : new Date()
+        );
+        if (rate) {
+          latest.push({ currency: code, rate: rate.rate, effectiveDate: rate.effectiveDate });
+        }
+      }
+
+      return successResponse({
+        rates,
+        latest,
+        baseCurrency: ExchangeRate.getBaseCurrency(organization),
+        multiCurrency: !!organization.subscription?.features?.multiCurrency,
+      });
+    } catch (error) {
+      logger.error('Error fetching exchange rates', error);
+
+      return errorResponse(
+        'Failed to fetch exchange rates',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/exchange-rates
+ * Add a dated rate: { currency, rate, effectiveDate, source, notes }
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const organization = request.user.organizationId;
+
+      if (!organization.subscription?.features?.multiCurrency) {
+        return errorResponse('Multi-currency is not enabled for this organization', 403);
+      }
+
+      const { currency, rate, effectiveDate, source, notes } = await request.json();
+      const baseCurrency = ExchangeRate.getBaseCurrency(organization);
+
+      const errors = {};
+      if (!currency || !/^[A-Za-z]{3}$/.test(currency.trim())) {
+        errors.currency = 'Currency must be a 3-letter ISO code';
+      } else if (currency.trim().toUpperCase() === baseCurrency) {
+        errors.currency = `${baseCurrency} is the base currency`;
+      }
+      if (!rate || isNaN(parseFloat(rate)) || parseFloat(rate) <= 0) {
+        errors.rate = 'Rate must be greater than 0';
+      }
+      if (!effectiveDate || isNaN(new Date(effectiveDate).getTime())) {
+        errors.effectiveDate = 'Effective date is required';
+      }
+
+      if (Object.keys(errors).length > 0) {
+        return validationError(errors);
+      }
+
+      const exchangeRate = await ExchangeRate.create({
+        organizationId: organization._id,
+        currency: currency.trim(),
+        rate: parseFloat(rate),
+        effectiveDate: new Date(effectiveDate),
+        source,
+        notes,
+        createdBy: request.user._id,
+      });
+
+      logger.success('Exchange rate added', {
+        exchangeRateId: exchangeRate._id,
+        currency: exchangeRate.currency,
+        rate: exchangeRate.rate,
+        userId: request.user._id,
+      });
+
+      return successResponse({ exchangeRate }, 'Exchange rate added successfully', 201);
+    } catch (error) {
+      logger.error('Error adding exchange rate', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return validationError(errors);
+      }
+
+      if (error.code === 11000) {
+        return errorResponse('A rate for this currency and date already exists', 409);
+      }
+
+      return errorResponse(
+        'Failed to add exchange rate',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
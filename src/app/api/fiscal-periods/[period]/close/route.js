@@ -0,0 +1,77 @@
+/**
+ * Close Fiscal Period API
+ * Soft-closes or hard-locks a fiscal period
+ */
+
+import connectDB from '@/lib/mongodb';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import Voucher from '@/models/Voucher';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withPermission } from '@/middleware/auth';
+
+/**
+ * POST /api/fiscal-periods/[period]/close
+ * Close a period ("2024-01"). Body: { lock: boolean, reason: string }
+ */
+export async function POST(request, { params }) {
+  return withPermission(request, PERIOD_OVERRIDE_PERMISSION, async (request) => {
+    try {
+      await connectDB();
+
+      const { period } = params;
+
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+        return errorResponse('Fiscal period must be in format YYYY-MM', 400);
+      }
+
+      const body = await request.json().catch(() => ({}));
+      const lock = body.lock === true;
+      const reason = body.reason?.trim();
+
+      // Draft vouchers in the period would be stranded once it is closed
+      const draftVouchers = await Voucher.countDocuments({
+        organizationId: request.user.organizationId,
+        fiscalPeriod: period,
+        status: 'draft',
+        isDeleted: false,
+      });
+
+      if (draftVouchers > 0 && !body.ignoreDrafts) {
+        return errorResponse(
+          `Fiscal period ${period} has ${draftVouchers} draft voucher(s). Post or delete them first, or pass ignoreDrafts.`,
+          400,
+          { draftVouchers }
+        );
+      }
+
+      const fiscalPeriod = await FiscalPeriod.findOrInit(request.user.organizationId, period);
+
+      try {
+        await fiscalPeriod.close(request.user._id, { lock, reason });
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      logger.info('Fiscal period closed', {
+        fiscalPeriod: period,
+        status: fiscalPeriod.status,
+        reason,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { fiscalPeriod },
+        lock ? `Fiscal period ${period} locked successfully` : `Fiscal period ${period} closed successfully`
+      );
+    } catch (error) {
+      logger.error('Error closing fiscal period', error);
+
+      return errorResponse(
+        'Failed to close fiscal period',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
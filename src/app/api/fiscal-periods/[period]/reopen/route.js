@@ -0,0 +1,68 @@
+/**
+ * Reopen Fiscal Period API
+ * Reopens a soft-closed or locked fiscal period
+ */
+
+import connectDB from '@/lib/mongodb';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withPermission } from '@/middleware/auth';
+
+/**
+ * POST /api/fiscal-periods/[period]/reopen
+ * Reopen a period ("2024-01"). Body: { reason: string }
+ */
+export async function POST(request, { params }) {
+  return withPermission(request, PERIOD_OVERRIDE_PERMISSION, async (request) => {
+    try {
+      await connectDB();
+
+      const { period } = params;
+
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+        return errorResponse('Fiscal period must be in format YYYY-MM', 400);
+      }
+
+      const body = await request.json().catch(() => ({}));
+      const reason = body.reason?.trim();
+
+      // Validation
+      if (!reason || reason.length < 5) {
+        return validationError({
+          reason: 'Reopen reason must be at least 5 characters',
+        });
+      }
+
+      const fiscalPeriod = await FiscalPeriod.findOne({
+        organizationId: request.user.organizationId,
+        fiscalPeriod: period,
+      });
+
+      if (!fiscalPeriod || fiscalPeriod.status === 'open') {
+        return errorResponse(`Fiscal period ${period} is already open`, 400);
+      }
+
+      await fiscalPeriod.reopen(request.user._id, reason);
+
+      logger.info('Fiscal period reopened', {
+        fiscalPeriod: period,
+        reason,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { fiscalPeriod },
+        `Fiscal period ${period} reopened successfully`
+      );
+    } catch (error) {
+      logger.error('Error reopening fiscal period', error);
+
+      return errorResponse(
+        'Failed to reopen fiscal period',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
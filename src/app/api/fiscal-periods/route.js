@@ -0,0 +1,97 @@
+/**
+ * Fiscal Periods API
+ * Lists the close/lock status of each month of a fiscal year
+ */
+
+import connectDB from '@/lib/mongodb';
+import FiscalPeriod from '@/models/FiscalPeriod';
+import Voucher from '@/models/Voucher';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/fiscal-periods?fiscalYear=2024
+ * List all 12 periods of a fiscal year (months without a record are open)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const fiscalYear = searchParams.get('fiscalYear') || new Date().getFullYear().toString();
+
+      if (!/^\d{4}$/.test(fiscalYear)) {
+        return errorResponse('Fiscal year must be in format YYYY', 400);
+      }
+
+      // Stored periods for the year
+      const storedPeriods = await FiscalPeriod.find({
+        organizationId: request.user.organizationId,
+        fiscalYear,
+      })
+        .populate('closedBy', 'name email')
+        .populate('lockedBy', 'name email')
+        .populate('reopenedBy', 'name email')
+        .lean();
+
+      const periodMap = new Map(storedPeriods.map((p) => [p.fiscalPeriod, p]));
+
+      // Draft vouchers still sitting in each period
+      const draftCounts = await Voucher.aggregate([
+        {
+          $match: {
+            organizationId: request.user.organizationId._id,
+            fiscalYear,
+            status: 'draft',
+            isDeleted: false,
+          },
+        },
+        { $group: { _id: '$fiscalPeriod', count: { $sum: 1 } } },
+      ]);
+
+      const draftMap = new Map(draftCounts.map((d) => [d._id, d.count]));
+
+      const periods = [];
+      for (let month = 1; month <= 12; month++) {
+        const fiscalPeriod = `${fiscalYear}-${String(month).padStart(2, '0')}`;
+        const stored = periodMap.get(fiscalPeriod);
+        const { startDate, endDate } = FiscalPeriod.getPeriodRange(fiscalPeriod);
+
+        periods.push({
+          ...(stored || {}),
+          fiscalYear,
+          fiscalPeriod,
+          startDate: stored?.startDate || startDate,
+          endDate: stored?.endDate || endDate,
+          status: stored?.status || 'open',
+          draftVouchers: draftMap.get(fiscalPeriod) || 0,
+        });
+      }
+
+      logger.info('Fiscal periods retrieved', {
+        fiscalYear,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        fiscalYear,
+        periods,
+        summary: {
+          open: periods.filter((p) => p.status === 'open').length,
+          softClosed: periods.filter((p) => p.status === 'soft_closed').length,
+          locked: periods.filter((p) => p.status === 'locked').length,
+        },
+      });
+    } catch (error) {
+      logger.error('Error retrieving fiscal periods', error);
+
+      return errorResponse(
+        'Failed to retrieve fiscal periods',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
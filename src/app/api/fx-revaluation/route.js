@@ -0,0 +1,139 @@
+/**
+ * FX Revaluation API
+ * Period-end revaluation of open foreign-currency receivables and payables
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import FxRevaluation from '@/models/FxRevaluation';
+import { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/fx-revaluation
+ * Preview the revaluation as at ?asOfDate (default today) and list past runs
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const asOfDate = searchParams.get('asOfDate') ? new Date(searchParams.get('asOfDate')) : new Date();
+
+      if (isNaN(asOfDate.getTime())) {
+        return errorResponse('Invalid as-of date', 400);
+      }
+
+      const organization = request.user.organizationId;
+
+      const preview = await FxRevaluation.buildRevaluationPlan(organization, asOfDate);
+
+      const { gainAccount, lossAccount } = await FxRevaluation.findFxAccounts(organization._id, {
+        gainAccountId: searchParams.get('gainAccountId'),
+        lossAccountId: searchParams.get('lossAccountId'),
+      });
+
+      const revaluations = await FxRevaluation.find({ organizationId: organization._id })
+        .populate('voucherId', 'voucherNumber voucherDate status')
+        .populate('createdBy', 'name email')
+        .select('-lines')
+        .sort({ asOfDate: -1 })
+        .limit(24)
+        .lean();
+
+      return successResponse({
+        preview: {
+          ...preview,
+          gainAccount: gainAccount && { _id: gainAccount._id, code: gainAccount.code, name: gainAccount.name },
+          lossAccount: lossAccount && { _id: lossAccount._id, code: lossAccount.code, name: lossAccount.name },
+        },
+        revaluations,
+      });
+    } catch (error) {
+      logger.error('Error previewing FX revaluation', error);
+
+      return errorResponse(
+        'Failed to preview FX revaluation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/fx-revaluation
+ * Post the revaluation JV
+ * Body: { asOfDate, gainAccountId?, lossAccountId?, notes? }
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const body = await request.json().catch(() => ({}));
+      const asOfDate = body.asOfDate ? new Date(body.asOfDate) : null;
+
+      if (!asOfDate || isNaN(asOfDate.getTime())) {
+        await session.abortTransaction();
+        return errorResponse('Revaluation date is required', 400);
+      }
+
+      if (asOfDate > new Date()) {
+        await session.abortTransaction();
+        return errorResponse('Revaluation date cannot be in the future', 400);
+      }
+
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+
+      // Voucher, ledger entries, invoice rates and party balances commit together
+      let revaluation;
+      try {
+        revaluation = await FxRevaluation.revalue(request.user.organizationId, asOfDate, {
+          userId: request.user._id,
+          gainAccountId: body.gainAccountId || null,
+          lossAccountId: body.lossAccountId || null,
+          canOverrideLock,
+          notes: body.notes,
+          session,
+        });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      await session.commitTransaction();
+
+      await revaluation.populate('voucherId', 'voucherNumber voucherDate status');
+
+      logger.success('FX revaluation posted', {
+        revaluationId: revaluation._id,
+        voucherId: revaluation.voucherId._id,
+        netGainLoss: revaluation.netGainLoss,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { revaluation },
+        `Revaluation posted: ${revaluation.voucherId.voucherNumber}`,
+        201
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error posting FX revaluation', error);
+
+      return errorResponse(
+        'Failed to post FX revaluation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
@@ -6,14 +6,13 @@
 import mongoose from 'mongoose';
 import connectDB from '@/lib/mongodb';
 import GoodsReceiptNote from '@/models/GoodsReceiptNote';
-import PurchaseOrder from '@/models/PurchaseOrder';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
 
 /**
  * POST /api/grn/[id]/inspect
- * Complete inspection for GRN and update PO
+ * Complete inspection for GRN (the PO is updated when the GRN is posted)
  */
 export async function POST(request, { params }) {
   return withAuth(request, async (request) => {
@@ -53,28 +52,6 @@ export async function POST(request, { params }) {
       await grn.completeInspection(request.user._id);
       await grn.save({ session });
 
-      // Update PO received quantities
-      const po = await PurchaseOrder.findOne({
-        _id: grn.purchaseOrderId,
-        organizationId: request.user.organizationId,
-        isDeleted: false,
-      }).session(session);
-
-      if (po) {
-        // Update received quantities in PO based on accepted quantities
-        grn.items.forEach((grnItem) => {
-          const poItem = po.items.id(grnItem.poItemId);
-          if (poItem) {
-            // Add accepted quantity to received quantity
-            poItem.receivedQuantity += grnItem.acceptedQuantity;
-            // Update pending quantity
-            poItem.pendingQuantity = poItem.quantity - poItem.receivedQuantity;
-          }
-        });
-
-        await po.save({ session });
-      }
-
       await session.commitTransaction();
 
       // Populate and return
@@ -90,7 +67,7 @@ export async function POST(request, { params }) {
 
       return successResponse(
         { grn },
-        'Inspection completed successfully and purchase order updated'
+        'Inspection completed successfully'
       );
     } catch (error) {
       await session.abortTransaction();
@@ -0,0 +1,150 @@
+/**
+ * Post GRN API
+ * Posts an inspected GRN: brings the accepted quantities into stock, accrues
+ * them to Goods Received Not Invoiced and updates the purchase order
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import GoodsReceiptNote from '@/models/GoodsReceiptNote';
+import PurchaseOrder from '@/models/PurchaseOrder';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { recordGoodsReceipt } from '@/services/stock-service';
+import { postGoodsReceiptVoucher } from '@/services/grni-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/grn/[id]/post
+ * Post GRN, record stock received into its warehouse and create the
+ * Dr Inventory / Cr GRNI voucher
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+
+      // Find GRN
+      const grn = await GoodsReceiptNote.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!grn) {
+        await session.abortTransaction();
+        return errorResponse('Goods receipt note not found', 404);
+      }
+
+      // Check if already posted
+      if (grn.isPosted) {
+        await session.abortTransaction();
+        return errorResponse('GRN is already posted', 400);
+      }
+
+      // Only inspected GRNs can be posted
+      if (grn.status !== 'inspected') {
+        await session.abortTransaction();
+        return errorResponse('Only inspected GRNs can be posted', 400);
+      }
+
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        grn.grnDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
+      const po = await PurchaseOrder.findOne({
+        _id: grn.purchaseOrderId,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!po) {
+        await session.abortTransaction();
+        return errorResponse('Purchase order not found', 404);
+      }
+
+      // Add the accepted quantities to the PO before anything is posted
+      try {
+        po.recordReceipt(grn.items, request.user._id);
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      // Bring accepted quantities into stock
+      const stockMovements = await recordGoodsReceipt({
+        grn,
+        userId: request.user._id,
+        session,
+      });
+
+      // Accrue the goods received: Dr Inventory, Cr GRNI
+      let voucher;
+      try {
+        voucher = await postGoodsReceiptVoucher({
+          grn,
+          stockMovements,
+          userId: request.user._id,
+          canOverrideLock,
+          session,
+        });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      await po.save({ session });
+
+      await grn.post(request.user._id);
+      await grn.save({ session });
+
+      await session.commitTransaction();
+
+      // Populate and return
+      await grn.populate('supplierId', 'supplierCode companyName email');
+      await grn.populate('purchaseOrderId', 'poNumber poDate');
+      await grn.populate('postedBy', 'name email');
+      await grn.populate('voucherId', 'voucherNumber voucherType');
+
+      logger.info('GRN posted', {
+        grnId: grn._id,
+        grnNumber: grn.grnNumber,
+        warehouse: grn.warehouse,
+        stockMovements: stockMovements.length,
+        voucherNumber: voucher?.voucherNumber,
+        purchaseOrderStatus: po.status,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { grn, voucher, stockMovements, purchaseOrder: { _id: po._id, poNumber: po.poNumber, status: po.status } },
+        'GRN posted successfully, stock and accounts updated'
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error posting GRN', error);
+
+      return errorResponse(
+        'Failed to post GRN',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
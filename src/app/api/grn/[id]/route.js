@@ -6,7 +6,6 @@
 import mongoose from 'mongoose';
 import connectDB from '@/lib/mongodb';
 import GoodsReceiptNote from '@/models/GoodsReceiptNote';
-import PurchaseOrder from '@/models/PurchaseOrder';
 import Organization from '@/models/Organization';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
@@ -30,6 +29,7 @@ export async function GET(request, { params }) {
       })
         .populate('supplierId', 'supplierCode companyName contactPerson email phone')
         .populate('purchaseOrderId', 'poNumber poDate deliveryDate')
+        .populate('items.productId', 'sku name hsCode')
         .populate('createdBy', 'name email')
         .populate('updatedBy', 'name email')
         .populate('inspectedBy', 'name email')
@@ -121,26 +121,6 @@ export async function PUT(request, { params }) {
 
       await grn.save({ session });
 
-      // Update PO received quantities if items changed
-      if (body.items && grn.purchaseOrderId) {
-        const po = await PurchaseOrder.findById(grn.purchaseOrderId).session(session);
-
-        if (po) {
-          // Update received quantities in PO
-          grn.items.forEach((grnItem) => {
-            const poItem = po.items.id(grnItem.poItemId);
-            if (poItem) {
-              // Calculate total received for this PO item from all GRNs
-              // For now, we'll just add the accepted quantity
-              // In production, you'd want to query all GRNs for this PO item
-              poItem.receivedQuantity = grnItem.acceptedQuantity;
-            }
-          });
-
-          await po.save({ session });
-        }
-      }
-
       await session.commitTransaction();
 
       // Populate references
@@ -57,6 +57,7 @@ export async function POST(request, { params }) {
         .filter((item) => item.pendingQuantity > 0)
         .map((item) => ({
           poItemId: item._id,
+          productId: item.productId,
           description: item.description,
           orderedQuantity: item.quantity,
           receivedQuantity: item.pendingQuantity, // Default to all pending
@@ -90,6 +91,7 @@ export async function POST(request, { params }) {
       // Populate references
       await grn.populate('supplierId', 'supplierCode companyName email phone');
       await grn.populate('purchaseOrderId', 'poNumber poDate');
+      await grn.populate('items.productId', 'sku name hsCode');
       await grn.populate('createdBy', 'name email');
 
       logger.info('GRN created from PO', {
@@ -0,0 +1,188 @@
+/**
+ * Invoice Advances API
+ * Customer advances and on-account credit available for a posted invoice,
+ * and applying them through a clearing voucher
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import SalesInvoice from '@/models/SalesInvoice';
+import CustomerReceipt from '@/models/CustomerReceipt';
+import { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { applyCustomerCredit, autoApplyCustomerCredits, summarizeAvailable } from '@/services/advance-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/invoices/[id]/advances
+ * Credit available to the invoice and credit already applied to it
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const invoice = await SalesInvoice.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!invoice) {
+        return errorResponse('Invoice not found', 404);
+      }
+
+      const [available, appliedFrom] = await Promise.all([
+        CustomerReceipt.findAvailableCredits(request.user.organizationId, invoice.customerId, invoice.currency),
+        CustomerReceipt.find({
+          organizationId: request.user.organizationId,
+          'applications.invoiceId': invoice._id,
+        }).populate('applications.voucherId', 'voucherNumber voucherDate'),
+      ]);
+
+      const applied = appliedFrom.flatMap((receipt) =>
+        receipt.applications
+          .filter((application) => application.invoiceId.equals(invoice._id))
+          .map((application) => ({
+            receiptId: receipt._id,
+            receiptNumber: receipt.receiptNumber,
+            receiptType: receipt.receiptType,
+            amount: application.amount,
+            appliedAt: application.appliedAt,
+            voucher: application.voucherId,
+          }))
+      );
+
+      return successResponse({
+        invoice: {
+          _id: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          currency: invoice.currency,
+          isPosted: invoice.isPosted,
+          balanceAmount: invoice.balanceAmount,
+        },
+        available: summarizeAvailable(available),
+        applied,
+      });
+    } catch (error) {
+      logger.error('Error fetching invoice advances', error);
+
+      return errorResponse(
+        'Failed to fetch advances',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/invoices/[id]/advances
+ * Apply customer credit to a posted invoice
+ * Body (optional): { receiptId, amount } - apply one receipt (amount defaults
+ * to what the receipt and the invoice balance allow); without receiptId all
+ * available credit is applied, oldest first
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+      const body = await request.json().catch(() => ({}));
+
+      const invoice = await SalesInvoice.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!invoice) {
+        await session.abortTransaction();
+        return errorResponse('Invoice not found', 404);
+      }
+
+      if (!invoice.isPosted || invoice.status === 'cancelled') {
+        await session.abortTransaction();
+        return errorResponse('Credit can only be applied to posted invoices', 400);
+      }
+
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      let applications;
+
+      try {
+        if (body.receiptId) {
+          const receipt = await CustomerReceipt.findOne({
+            _id: body.receiptId,
+            organizationId: request.user.organizationId,
+          }).session(session);
+
+          if (!receipt) {
+            await session.abortTransaction();
+            return errorResponse('Receipt not found', 404);
+          }
+
+          const amount = body.amount ?? Math.min(receipt.availableAmount, invoice.balanceAmount);
+          applications = [
+            await applyCustomerCredit({
+              receipt,
+              invoice,
+              amount: parseFloat(amount),
+              userId: request.user._id,
+              canOverrideLock,
+              session,
+            }),
+          ];
+        } else {
+          applications = await autoApplyCustomerCredits({
+            invoice,
+            userId: request.user._id,
+            canOverrideLock,
+            session,
+          });
+        }
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      if (applications.length === 0) {
+        await session.abortTransaction();
+        return errorResponse('No customer credit available for this invoice', 400);
+      }
+
+      await session.commitTransaction();
+
+      const total = parseFloat(applications.reduce((sum, application) => sum + application.amount, 0).toFixed(2));
+
+      logger.info('Customer credit applied to invoice', {
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        receipts: applications.map((application) => application.receiptNumber),
+        amount: total,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { invoice, applications },
+        `${invoice.currency} ${total.toFixed(2)} applied to invoice ${invoice.invoiceNumber}`
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error applying customer credit', error);
+
+      return errorResponse(
+        'Failed to apply customer credit',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
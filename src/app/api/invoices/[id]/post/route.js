@@ -8,9 +8,14 @@ import connectDB from '@/lib/mongodb';
 import SalesInvoice from '@/models/SalesInvoice';
 import Voucher from '@/models/Voucher';
 import LedgerEntry from '@/models/LedgerEntry';
-import Customer from '@/models/Customer';
+import Customer, { CREDIT_OVERRIDE_PERMISSION } from '@/models/Customer';
 import Account from '@/models/Account';
 import Organization from '@/models/Organization';
+import ExchangeRate from '@/models/ExchangeRate';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import CustomerReceipt from '@/models/CustomerReceipt';
+import { autoApplyCustomerCredits, summarizeAvailable } from '@/services/advance-service';
+import { buildCostOfSalesEntries, recordSaleIssue } from '@/services/stock-service';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -18,6 +23,10 @@ import { withAuth } from '@/middleware/auth';
 /**
  * POST /api/invoices/[id]/post
  * Post invoice and create accounting voucher
+ * Body (optional): { creditOverrideReason } - approve posting an invoice that
+ * fails the customer's credit check (requires invoices.approve)
+ * { applyAdvances: true } - settle the invoice from the customer's advances and
+ * on-account credit; otherwise the credit available is returned as an offer
  */
 export async function POST(request, { params }) {
   return withAuth(request, async (request) => {
@@ -27,6 +36,7 @@ export async function POST(request, { params }) {
       await session.startTransaction();
 
       const { id } = params;
+      const body = await request.json().catch(() => ({}));
 
       // Find invoice
       const invoice = await SalesInvoice.findOne({
@@ -52,6 +62,19 @@ export async function POST(request, { params }) {
         return errorResponse('Cannot post cancelled invoice', 400);
       }
 
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        invoice.invoiceDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
       // Get customer
       const customer = await Customer.findById(invoice.customerId).session(session);
       if (!customer) {
@@ -59,6 +82,64 @@ export async function POST(request, { params }) {
         return errorResponse('Customer not found', 404);
       }
 
+      // Credit control: over the limit or with overdue invoices needs an approved exception
+      const creditCheck = await customer.checkCredit(invoice.baseTotalAmount, { excludeInvoiceId: invoice._id });
+
+      if (!creditCheck.allowed) {
+        const reason = body.creditOverrideReason?.trim();
+        const canOverrideCredit = await request.user.hasPermission(CREDIT_OVERRIDE_PERMISSION);
+
+        if (!canOverrideCredit || !reason) {
+          await session.abortTransaction();
+          return errorResponse(
+            `Credit check failed: ${creditCheck.violations.join('; ')}. ` +
+              (canOverrideCredit
+                ? 'Give a reason to approve the exception.'
+                : `Posting requires the '${CREDIT_OVERRIDE_PERMISSION}' permission.`),
+            403,
+            { creditCheck, canOverride: canOverrideCredit }
+          );
+        }
+
+        invoice.creditOverride = {
+          reason,
+          violations: creditCheck.violations,
+          outstanding: creditCheck.outstanding,
+          creditLimit: creditCheck.creditLimit,
+          overdueAmount: creditCheck.overdueAmount,
+          approvedBy: request.user._id,
+          approvedAt: new Date(),
+        };
+      }
+
+      // Issue stock for product lines from the invoice's warehouse
+      let stockMovements;
+      try {
+        stockMovements = await recordSaleIssue({
+          document: invoice,
+          movementType: 'sales_invoice',
+          userId: request.user._id,
+          session,
+        });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      // Cost of the stock issued: Dr COGS, Cr Inventory
+      let costEntries;
+      try {
+        costEntries = await buildCostOfSalesEntries({
+          organizationId: request.user.organizationId,
+          movements: stockMovements,
+          reference: `Invoice ${invoice.invoiceNumber}`,
+          session,
+        });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
       // Find or get default accounts
       let receivableAccount = invoice.receivableAccountId
         ? await Account.findById(invoice.receivableAccountId).session(session)
@@ -119,6 +200,8 @@ export async function POST(request, { params }) {
         type: 'debit',
         amount: invoice.totalAmount,
         description: `Sales invoice ${invoice.invoiceNumber} - ${customer.name}`,
+        partyType: 'customer',
+        partyId: customer._id,
       });
 
       // Credit: Sales Revenue
@@ -140,6 +223,17 @@ export async function POST(request, { params }) {
         });
       }
 
+      // Foreign-currency invoice: entries keep the invoice amount, the ledger gets the base amount
+      const isForeignCurrency = invoice.currency !== ExchangeRate.getBaseCurrency(request.user.organizationId);
+      if (isForeignCurrency) {
+        voucherEntries.forEach((entry) => {
+          entry.foreignAmount = entry.amount;
+        });
+      }
+
+      // Cost of sales lines are already in base currency
+      voucherEntries.push(...costEntries);
+
       // Create voucher
       const voucher = new Voucher({
         voucherNumber,
@@ -152,10 +246,14 @@ export async function POST(request, { params }) {
         fiscalPeriod: invoice.fiscalPeriod,
         referenceType: 'invoice',
         referenceId: invoice._id,
+        currency: invoice.currency,
+        exchangeRate: invoice.exchangeRate,
         status: 'draft',
         createdBy: request.user._id,
       });
 
+      voucher.applyExchangeRate();
+
       // Validate double-entry
       const validation = voucher.validateDoubleEntry();
       if (!validation.isValid) {
@@ -166,11 +264,11 @@ export async function POST(request, { params }) {
       await voucher.save({ session });
 
       // Post voucher and create ledger entries
-      await voucher.post(request.user._id, session);
+      await voucher.post(request.user._id, { canOverrideLock });
       await LedgerEntry.createFromVoucher(voucher, request.user._id, session);
 
-      // Update customer balance
-      await customer.updateBalance(invoice.totalAmount, 'debit');
+      // Update customer balance (base currency)
+      await customer.updateBalance(voucher.entries[0].amount, 'debit');
       await customer.save({ session });
 
       // Post invoice and link voucher
@@ -183,6 +281,34 @@ export async function POST(request, { params }) {
       await invoice.post(request.user._id);
       await invoice.save({ session });
 
+      // Customer advances and on-account credit: apply them, or offer them
+      const advances = { applied: [], available: null };
+
+      if (body.applyAdvances) {
+        try {
+          advances.applied = await autoApplyCustomerCredits({
+            invoice,
+            userId: request.user._id,
+            canOverrideLock,
+            session,
+          });
+        } catch (error) {
+          await session.abortTransaction();
+          return errorResponse(error.message, 400);
+        }
+      }
+
+      if (invoice.balanceAmount > 0.005) {
+        advances.available = summarizeAvailable(
+          await CustomerReceipt.findAvailableCredits(
+            request.user.organizationId,
+            invoice.customerId,
+            invoice.currency,
+            session
+          )
+        );
+      }
+
       await session.commitTransaction();
 
       // Populate and return
@@ -195,11 +321,15 @@ export async function POST(request, { params }) {
         invoiceNumber: invoice.invoiceNumber,
         voucherId: voucher._id,
         voucherNumber: voucher.voucherNumber,
+        creditOverride: !!invoice.creditOverride,
+        advancesApplied: advances.applied.length,
+        stockMovements: stockMovements.length,
+        costEntries: costEntries.length,
         userId: request.user._id,
       });
 
       return successResponse(
-        { invoice, voucher },
+        { invoice, voucher, advances },
         'Invoice posted successfully and accounting entries created'
       );
     } catch (error) {
@@ -6,6 +6,9 @@
 import connectDB from '@/lib/mongodb';
 import SalesInvoice from '@/models/SalesInvoice';
 import Customer from '@/models/Customer';
+import Quotation from '@/models/Quotation';
+import SalesOrder from '@/models/SalesOrder';
+import ExchangeRate from '@/models/ExchangeRate';
 import Organization from '@/models/Organization';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
@@ -31,10 +34,13 @@ export async function GET(request, { params }) {
         .populate('createdBy', 'name email')
         .populate('updatedBy', 'name email')
         .populate('postedBy', 'name email')
+        .populate('creditOverride.approvedBy', 'name email')
         .populate('voucherId', 'voucherNumber voucherType voucherDate status')
         .populate('revenueAccountId', 'code name')
         .populate('receivableAccountId', 'code name')
         .populate('taxAccountId', 'code name')
+        .populate('quotationId', 'quoteNumber quoteDate')
+        .populate('salesOrderId', 'orderNumber orderDate')
         .lean();
 
       if (!invoice) {
@@ -104,6 +110,25 @@ export async function PUT(request, { params }) {
         }
       }
 
+      // Re-resolve the exchange rate when the currency changes or a rate is given
+      const currencyChanged =
+        body.currency !== undefined && String(body.currency).toUpperCase() !== invoice.currency;
+
+      if (currencyChanged || body.exchangeRate !== undefined) {
+        try {
+          Object.assign(
+            body,
+            await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+              currency: body.currency || invoice.currency,
+              exchangeRate: body.exchangeRate,
+              date: body.invoiceDate || invoice.invoiceDate,
+            })
+          );
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      }
+
       // Fields that should not be updated directly
       const protectedFields = [
         '_id',
@@ -115,6 +140,16 @@ export async function PUT(request, { params }) {
         'postedAt',
         'postedBy',
         'voucherId',
+        'quotationId',
+        'salesOrderId',
+        'creditOverride',
+        'overdueAt',
+        'reminders',
+        'creditedAmount',
+        'debitedAmount',
+        'baseTotalAmount',
+        'revaluationRate',
+        'lastRevaluedAt',
         'isDeleted',
         'deletedAt',
         'deletedBy',
@@ -123,12 +158,31 @@ export async function PUT(request, { params }) {
       // Remove protected fields from update
       protectedFields.forEach((field) => delete body[field]);
 
+      // Give the old quantities back to the sales order before re-taking the new ones
+      const salesOrder = invoice.salesOrderId ? await SalesOrder.findById(invoice.salesOrderId) : null;
+      if (salesOrder) {
+        salesOrder.releaseInvoiced(invoice);
+      }
+
       // Update invoice
       Object.assign(invoice, body);
       invoice.updatedBy = request.user._id;
 
+      if (salesOrder) {
+        try {
+          salesOrder.recordInvoiced(invoice);
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      }
+
       await invoice.save();
 
+      if (salesOrder) {
+        salesOrder.updatedBy = request.user._id;
+        await salesOrder.save();
+      }
+
       // Populate references
       await invoice.populate('customerId', 'name companyName email customerCode');
       await invoice.populate('createdBy', 'name email');
@@ -200,6 +254,22 @@ export async function DELETE(request, { params }) {
 
       await invoice.save();
 
+      // Release the sales order quantities and reopen the quotation it was converted from
+      if (invoice.salesOrderId) {
+        const salesOrder = await SalesOrder.findById(invoice.salesOrderId);
+        if (salesOrder) {
+          salesOrder.releaseInvoiced(invoice);
+          salesOrder.updatedBy = request.user._id;
+          await salesOrder.save();
+        }
+      } else if (invoice.quotationId) {
+        const quotation = await Quotation.findById(invoice.quotationId);
+        if (quotation && quotation.invoiceId?.equals(invoice._id)) {
+          quotation.reopen(request.user._id);
+          await quotation.save();
+        }
+      }
+
       logger.info('Invoice deleted', {
         invoiceId: invoice._id,
         userId: request.user._id,
@@ -0,0 +1,162 @@
+/**
+ * Payment Reminders API
+ * Reminder schedule settings and the log of reminders sent for the organization
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import Organization from '@/models/Organization';
+import SalesInvoice from '@/models/SalesInvoice';
+import { DEFAULT_REMINDER_SCHEDULE } from '@/services/reminder-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+const SETTINGS_PERMISSION = 'settings.edit';
+
+function currentSettings(organization) {
+  const settings = organization.settings?.paymentReminders;
+  return {
+    enabled: settings?.enabled !== false,
+    schedule: settings?.schedule?.length ? settings.schedule : DEFAULT_REMINDER_SCHEDULE,
+  };
+}
+
+/**
+ * GET /api/invoices/reminders
+ * Reminder settings and the latest reminder log entries
+ * Query: status (sent|failed|skipped), customerId, limit (default 100)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const status = searchParams.get('status');
+      const customerId = searchParams.get('customerId');
+      const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 500);
+
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+      const organization = await Organization.findById(organizationId).select('settings.paymentReminders');
+
+      const match = {
+        organizationId,
+        isDeleted: false,
+        'reminders.0': { $exists: true },
+      };
+
+      if (customerId) {
+        if (!mongoose.Types.ObjectId.isValid(customerId)) {
+          return errorResponse('Invalid customer ID', 400);
+        }
+        match.customerId = new mongoose.Types.ObjectId(customerId);
+      }
+
+      const log = await SalesInvoice.aggregate([
+        { $match: match },
+        { $unwind: '$reminders' },
+        ...(status ? [{ $match: { 'reminders.status': status } }] : []),
+        { $sort: { 'reminders.sentAt': -1 } },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'customers',
+            localField: 'customerId',
+            foreignField: '_id',
+            as: 'customer',
+            pipeline: [{ $project: { name: 1, customerCode: 1, reminderOptOut: 1 } }],
+          },
+        },
+        {
+          $project: {
+            _id: '$reminders._id',
+            invoiceId: '$_id',
+            invoiceNumber: 1,
+            dueDate: 1,
+            status: 1,
+            balanceAmount: 1,
+            currency: 1,
+            customer: { $arrayElemAt: ['$customer', 0] },
+            reminder: '$reminders',
+          },
+        },
+      ]);
+
+      return successResponse({
+        settings: currentSettings(organization),
+        log,
+      });
+    } catch (error) {
+      logger.error('Error fetching payment reminders', error);
+
+      return errorResponse(
+        'Failed to fetch payment reminders',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/invoices/reminders
+ * Update the reminder settings
+ * Body: { enabled, schedule } - schedule is days relative to the due date, e.g. [-3, 0, 7, 30]
+ */
+export async function PUT(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      if (!(await request.user.hasPermission(SETTINGS_PERMISSION))) {
+        return errorResponse('You do not have permission to change reminder settings', 403);
+      }
+
+      const body = await request.json();
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+      const organization = await Organization.findById(organizationId);
+
+      if (!organization) {
+        return errorResponse('Organization not found', 404);
+      }
+
+      const update = currentSettings(organization);
+
+      if (body.enabled !== undefined) {
+        update.enabled = Boolean(body.enabled);
+      }
+
+      if (body.schedule !== undefined) {
+        if (
+          !Array.isArray(body.schedule) ||
+          body.schedule.length === 0 ||
+          !body.schedule.every((offset) => Number.isInteger(Number(offset)) && Math.abs(offset) <= 365)
+        ) {
+          return errorResponse('Schedule must be a list of whole days between -365 and 365', 400);
+        }
+
+        update.schedule = [...new Set(body.schedule.map(Number))].sort((a, b) => a - b);
+      }
+
+      organization.set('settings.paymentReminders', update);
+      await organization.save();
+
+      logger.info('Payment reminder settings updated', {
+        organizationId,
+        ...update,
+        userId: request.user._id,
+      });
+
+      return successResponse({ settings: update }, 'Reminder settings updated successfully');
+    } catch (error) {
+      logger.error('Error updating payment reminder settings', error);
+
+      return errorResponse(
+        'Failed to update reminder settings',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
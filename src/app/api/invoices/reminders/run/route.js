@@ -0,0 +1,91 @@
+/**
+ * Payment Reminder Job API
+ * Flags posted invoices past their due date as overdue, expires lapsed
+ * quotations and sends the reminder emails that are due. Called daily by a scheduler (cron) with CRON_SECRET for
+ * every organization, or by a signed-in user for their own organization.
+ */
+
+import connectDB from '@/lib/mongodb';
+import { runPaymentReminders } from '@/services/reminder-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import { isCronRequest } from '@/utils/cron';
+
+function summarize(results) {
+  return ['flagged', 'expired', 'sent', 'skipped', 'failed'].reduce(
+    (summary, key) => ({ ...summary, [key]: results.reduce((sum, result) => sum + result[key], 0) }),
+    { organizations: results.length }
+  );
+}
+
+/**
+ * POST /api/invoices/reminders/run
+ * Run the overdue and reminder job for asOfDate (default today)
+ * Body (optional): { asOfDate }
+ */
+export async function POST(request) {
+  const body = await request.json().catch(() => ({}));
+  const asOfDate = body.asOfDate ? new Date(body.asOfDate) : new Date();
+
+  if (isNaN(asOfDate.getTime())) {
+    return errorResponse('Invalid as-of date', 400);
+  }
+
+  // Scheduled run across all organizations
+  if (isCronRequest(request)) {
+    try {
+      await connectDB();
+
+      const results = await runPaymentReminders(asOfDate);
+      const summary = summarize(results);
+
+      logger.success('Scheduled payment reminder run completed', summary);
+
+      return successResponse(
+        { asOfDate, results, summary },
+        `${summary.flagged} invoice(s) flagged overdue, ${summary.sent} reminder(s) sent`
+      );
+    } catch (error) {
+      logger.error('Error in scheduled payment reminder run', error);
+
+      return errorResponse(
+        'Failed to run payment reminders',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  }
+
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+      const results = await runPaymentReminders(asOfDate, { organizationId });
+      const summary = summarize(results);
+
+      if (results[0]?.error) {
+        return errorResponse(results[0].error, 500);
+      }
+
+      logger.success('Payment reminders run', {
+        ...summary,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { asOfDate, results, summary },
+        `${summary.flagged} invoice(s) flagged overdue, ${summary.sent} reminder(s) sent`
+      );
+    } catch (error) {
+      logger.error('Error running payment reminders', error);
+
+      return errorResponse(
+        'Failed to run payment reminders',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -6,6 +6,9 @@
 import connectDB from '@/lib/mongodb';
 import SalesInvoice from '@/models/SalesInvoice';
 import Customer from '@/models/Customer';
+import Quotation from '@/models/Quotation';
+import SalesOrder from '@/models/SalesOrder';
+import ExchangeRate from '@/models/ExchangeRate';
 import Account from '@/models/Account';
 import Organization from '@/models/Organization';
 import { successResponse, errorResponse } from '@/utils/response';
@@ -28,6 +31,7 @@ export async function GET(request) {
       const status = searchParams.get('status');
       const paymentStatus = searchParams.get('paymentStatus');
       const customerId = searchParams.get('customerId');
+      const salesOrderId = searchParams.get('salesOrderId');
       const startDate = searchParams.get('startDate');
       const endDate = searchParams.get('endDate');
 
@@ -50,6 +54,10 @@ export async function GET(request) {
         query.customerId = customerId;
       }
 
+      if (salesOrderId) {
+        query.salesOrderId = salesOrderId;
+      }
+
       // Date range filter
       if (startDate || endDate) {
         query.invoiceDate = {};
@@ -73,6 +81,8 @@ export async function GET(request) {
         .populate('customerId', 'name companyName email customerCode')
         .populate('createdBy', 'name email')
         .populate('voucherId', 'voucherNumber')
+        .populate('salesOrderId', 'orderNumber')
+        .populate('quotationId', 'quoteNumber')
         .sort({ invoiceDate: -1, invoiceNumber: -1 })
         .skip((page - 1) * limit)
         .limit(limit)
@@ -107,6 +117,8 @@ export async function GET(request) {
 /**
  * POST /api/invoices
  * Create a new invoice
+ * Runs the customer's credit check and returns it with the draft as a warning;
+ * posting enforces it
  */
 export async function POST(request) {
   return withAuth(request, async (request) => {
@@ -126,6 +138,55 @@ export async function POST(request) {
         return errorResponse('Customer not found', 404);
       }
 
+      // Currency and exchange rate (defaults to the rate in effect on the invoice date)
+      try {
+        Object.assign(
+          body,
+          await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+            currency: body.currency,
+            exchangeRate: body.exchangeRate,
+            date: body.invoiceDate || new Date(),
+          })
+        );
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      // Source document the invoice is converted from
+      let quotation = null;
+      let salesOrder = null;
+
+      if (body.salesOrderId) {
+        salesOrder = await SalesOrder.findOne({
+          _id: body.salesOrderId,
+          organizationId: request.user.organizationId,
+          isDeleted: false,
+        });
+
+        if (!salesOrder) {
+          return errorResponse('Sales order not found', 404);
+        }
+
+        // Keep the chain back to the quotation the order came from
+        body.quotationId = salesOrder.quotationId;
+      } else if (body.quotationId) {
+        quotation = await Quotation.findOne({
+          _id: body.quotationId,
+          organizationId: request.user.organizationId,
+          isDeleted: false,
+        });
+
+        if (!quotation) {
+          return errorResponse('Quotation not found', 404);
+        }
+
+        try {
+          quotation.checkConvertible(customer._id);
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      }
+
       // Generate invoice number if not provided
       if (!body.invoiceNumber) {
         body.invoiceNumber = await SalesInvoice.generateInvoiceNumber(
@@ -134,6 +195,9 @@ export async function POST(request) {
         );
       }
 
+      // Credit overrides are only recorded on posting
+      delete body.creditOverride;
+
       // Create invoice
       const invoice = new SalesInvoice({
         ...body,
@@ -141,8 +205,29 @@ export async function POST(request) {
         createdBy: request.user._id,
       });
 
+      // Take the invoiced quantities off the sales order
+      if (salesOrder) {
+        try {
+          salesOrder.recordInvoiced(invoice);
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      }
+
       await invoice.save();
 
+      if (salesOrder) {
+        salesOrder.updatedBy = request.user._id;
+        await salesOrder.save();
+      }
+
+      if (quotation) {
+        quotation.markConverted({ invoiceId: invoice._id }, request.user._id);
+        await quotation.save();
+      }
+
+      const creditCheck = await customer.checkCredit(invoice.baseTotalAmount);
+
       // Populate references
       await invoice.populate('customerId', 'name companyName email customerCode');
       await invoice.populate('createdBy', 'name email');
@@ -150,10 +235,19 @@ export async function POST(request) {
       logger.info('Invoice created', {
         invoiceId: invoice._id,
         invoiceNumber: invoice.invoiceNumber,
+        salesOrderId: invoice.salesOrderId,
+        quotationId: invoice.quotationId,
+        creditCheckPassed: creditCheck.allowed,
         userId: request.user._id,
       });
 
-      return successResponse({ invoice }, 'Invoice created successfully', 201);
+      return successResponse(
+        { invoice, creditCheck },
+        creditCheck.allowed
+          ? 'Invoice created successfully'
+          : `Invoice created. Credit check failed: ${creditCheck.violations.join('; ')}`,
+        201
+      );
     } catch (error) {
       logger.error('Error creating invoice', error);
 
@@ -0,0 +1,189 @@
+/**
+ * Single Product API
+ * Handles get, update, delete operations for a specific product
+ */
+
+import connectDB from '@/lib/mongodb';
+import Product from '@/models/Product';
+import StockMovement from '@/models/StockMovement';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth, withPermission } from '@/middleware/auth';
+
+/**
+ * GET /api/products/[id]
+ * Get a single product by ID
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const product = await Product.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      })
+        .populate('revenueAccountId', 'code name type')
+        .populate('cogsAccountId', 'code name type')
+        .populate('inventoryAccountId', 'code name type')
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email')
+        .lean();
+
+      if (!product) {
+        return errorResponse('Product not found', 404);
+      }
+
+      return successResponse({ product });
+    } catch (error) {
+      logger.error('Error fetching product', error);
+
+      return errorResponse(
+        'Failed to fetch product',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/products/[id]
+ * Update a product
+ */
+export async function PUT(request, { params }) {
+  return withPermission(request, 'products.edit', async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const body = await request.json();
+
+      // Find product
+      const product = await Product.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!product) {
+        return errorResponse('Product not found', 404);
+      }
+
+      // Fields that should not be updated directly
+      const protectedFields = [
+        '_id',
+        'organizationId',
+        'createdBy',
+        'createdAt',
+        'isDeleted',
+        'deletedAt',
+        'deletedBy',
+      ];
+
+      // Remove protected fields from update
+      protectedFields.forEach((field) => delete body[field]);
+
+      // Update product
+      Object.assign(product, body);
+      product.updatedBy = request.user._id;
+
+      await product.save();
+
+      // Populate references
+      await product.populate('revenueAccountId', 'code name type');
+      await product.populate('cogsAccountId', 'code name type');
+      await product.populate('inventoryAccountId', 'code name type');
+
+      logger.info('Product updated', {
+        productId: product._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ product }, 'Product updated successfully');
+    } catch (error) {
+      logger.error('Error updating product', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return errorResponse('A product with this SKU already exists', 400);
+      }
+
+      return errorResponse(
+        'Failed to update product',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/products/[id]
+ * Soft delete a product (lines already using it keep their reference)
+ */
+export async function DELETE(request, { params }) {
+  return withPermission(request, 'products.delete', async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      // Find product
+      const product = await Product.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!product) {
+        return errorResponse('Product not found', 404);
+      }
+
+      // Stock on hand must be adjusted out first
+      const balances = await StockMovement.getBalances(request.user.organizationId, {
+        productIds: [product._id],
+      });
+      const onHand = balances.reduce((sum, balance) => sum + balance.onHand, 0);
+
+      if (Math.abs(onHand) > 0.0001) {
+        return errorResponse(`Cannot delete ${product.sku} with ${onHand} on hand. Adjust the stock to zero first.`, 400);
+      }
+
+      // Soft delete
+      product.isDeleted = true;
+      product.deletedAt = new Date();
+      product.deletedBy = request.user._id;
+      product.isActive = false;
+
+      await product.save();
+
+      logger.info('Product deleted', {
+        productId: product._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ product }, 'Product deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting product', error);
+
+      return errorResponse(
+        'Failed to delete product',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
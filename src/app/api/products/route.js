@@ -0,0 +1,158 @@
+/**
+ * Products API
+ * Handles listing and creating products
+ */
+
+import connectDB from '@/lib/mongodb';
+import Product from '@/models/Product';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth, withPermission } from '@/middleware/auth';
+
+/**
+ * GET /api/products
+ * List all products
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const page = parseInt(searchParams.get('page')) || 1;
+      const limit = parseInt(searchParams.get('limit')) || 50;
+      const search = searchParams.get('search') || '';
+      const isActive = searchParams.get('isActive');
+      const productType = searchParams.get('productType');
+      const category = searchParams.get('category');
+
+      // Build query
+      const query = {
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      };
+
+      // Add filters
+      if (isActive !== null && isActive !== undefined && isActive !== '') {
+        query.isActive = isActive === 'true';
+      }
+
+      if (productType) {
+        query.productType = productType;
+      }
+
+      if (category) {
+        query.category = category;
+      }
+
+      // Search functionality
+      if (search) {
+        query.$or = [
+          { sku: { $regex: search, $options: 'i' } },
+          { name: { $regex: search, $options: 'i' } },
+          { hsCode: { $regex: search, $options: 'i' } },
+          { category: { $regex: search, $options: 'i' } },
+        ];
+      }
+
+      // Get total count
+      const total = await Product.countDocuments(query);
+
+      // Get products with pagination
+      const products = await Product.find(query)
+        .populate('revenueAccountId', 'code name')
+        .populate('cogsAccountId', 'code name')
+        .populate('inventoryAccountId', 'code name')
+        .sort({ sku: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+      logger.info('Products listed', {
+        count: products.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        products,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing products', error);
+
+      return errorResponse(
+        'Failed to fetch products',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/products
+ * Create a new product
+ */
+export async function POST(request) {
+  return withPermission(request, 'products.create', async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+
+      // Generate SKU if not provided
+      if (!body.sku) {
+        body.sku = await Product.generateSku(request.user.organizationId);
+      }
+
+      // Create product
+      const product = new Product({
+        ...body,
+        organizationId: request.user.organizationId,
+        createdBy: request.user._id,
+      });
+
+      await product.save();
+
+      // Populate references
+      await product.populate('revenueAccountId', 'code name');
+      await product.populate('cogsAccountId', 'code name');
+      await product.populate('inventoryAccountId', 'code name');
+
+      logger.info('Product created', {
+        productId: product._id,
+        sku: product.sku,
+        userId: request.user._id,
+      });
+
+      return successResponse({ product }, 'Product created successfully', 201);
+    } catch (error) {
+      logger.error('Error creating product', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return errorResponse('A product with this SKU already exists', 400);
+      }
+
+      return errorResponse(
+        'Failed to create product',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
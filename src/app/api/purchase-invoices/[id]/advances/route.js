@@ -0,0 +1,191 @@
+/**
+ * Purchase Invoice Advances API
+ * Supplier advances available for a posted purchase invoice, and applying
+ * them through a clearing voucher
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import PurchaseInvoice from '@/models/PurchaseInvoice';
+import SupplierPayment from '@/models/SupplierPayment';
+import { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { applySupplierAdvance, autoApplySupplierAdvances, summarizeAvailable } from '@/services/advance-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/purchase-invoices/[id]/advances
+ * Advances available to the invoice and advances already applied to it
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const invoice = await PurchaseInvoice.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!invoice) {
+        return errorResponse('Purchase invoice not found', 404);
+      }
+
+      const [available, appliedFrom] = await Promise.all([
+        SupplierPayment.findAvailableAdvances(request.user.organizationId, invoice.supplierId, {
+          currency: invoice.currency,
+          purchaseOrderId: invoice.purchaseOrderId,
+        }),
+        SupplierPayment.find({
+          organizationId: request.user.organizationId,
+          'applications.purchaseInvoiceId': invoice._id,
+        }).populate('applications.voucherId', 'voucherNumber voucherDate'),
+      ]);
+
+      const applied = appliedFrom.flatMap((payment) =>
+        payment.applications
+          .filter((application) => application.purchaseInvoiceId.equals(invoice._id))
+          .map((application) => ({
+            paymentId: payment._id,
+            paymentNumber: payment.paymentNumber,
+            purchaseOrderNumber: payment.purchaseOrderNumber,
+            amount: application.amount,
+            appliedAt: application.appliedAt,
+            voucher: application.voucherId,
+          }))
+      );
+
+      return successResponse({
+        invoice: {
+          _id: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          currency: invoice.currency,
+          isPosted: invoice.isPosted,
+          balanceAmount: invoice.balanceAmount,
+        },
+        available: summarizeAvailable(available),
+        applied,
+      });
+    } catch (error) {
+      logger.error('Error fetching purchase invoice advances', error);
+
+      return errorResponse(
+        'Failed to fetch advances',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/purchase-invoices/[id]/advances
+ * Apply supplier advances to a posted purchase invoice
+ * Body (optional): { paymentId, amount } - apply one advance (amount defaults
+ * to what the advance and the invoice balance allow); without paymentId all
+ * available advances are applied, those against the invoice's order first
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+      const body = await request.json().catch(() => ({}));
+
+      const invoice = await PurchaseInvoice.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!invoice) {
+        await session.abortTransaction();
+        return errorResponse('Purchase invoice not found', 404);
+      }
+
+      if (!invoice.isPosted || invoice.status === 'cancelled') {
+        await session.abortTransaction();
+        return errorResponse('Advances can only be applied to posted invoices', 400);
+      }
+
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      let applications;
+
+      try {
+        if (body.paymentId) {
+          const payment = await SupplierPayment.findOne({
+            _id: body.paymentId,
+            organizationId: request.user.organizationId,
+          }).session(session);
+
+          if (!payment) {
+            await session.abortTransaction();
+            return errorResponse('Payment not found', 404);
+          }
+
+          const amount = body.amount ?? Math.min(payment.availableAmount, invoice.balanceAmount);
+          applications = [
+            await applySupplierAdvance({
+              payment,
+              invoice,
+              amount: parseFloat(amount),
+              userId: request.user._id,
+              canOverrideLock,
+              session,
+            }),
+          ];
+        } else {
+          applications = await autoApplySupplierAdvances({
+            invoice,
+            userId: request.user._id,
+            canOverrideLock,
+            session,
+          });
+        }
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      if (applications.length === 0) {
+        await session.abortTransaction();
+        return errorResponse('No supplier advances available for this invoice', 400);
+      }
+
+      await session.commitTransaction();
+
+      const total = parseFloat(applications.reduce((sum, application) => sum + application.amount, 0).toFixed(2));
+
+      logger.info('Supplier advances applied to purchase invoice', {
+        purchaseInvoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        payments: applications.map((application) => application.paymentNumber),
+        amount: total,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { purchaseInvoice: invoice, applications },
+        `${invoice.currency} ${total.toFixed(2)} applied to purchase invoice ${invoice.invoiceNumber}`
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error applying supplier advances', error);
+
+      return errorResponse(
+        'Failed to apply supplier advances',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
@@ -4,7 +4,7 @@
  */
 
 import connectDB from '@/lib/mongodb';
-import PurchaseInvoice from '@/models/PurchaseInvoice';
+import PurchaseInvoice, { MATCHING_OVERRIDE_PERMISSION } from '@/models/PurchaseInvoice';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -12,6 +12,8 @@ import { withAuth } from '@/middleware/auth';
 /**
  * POST /api/purchase-invoices/[id]/approve
  * Approve purchase invoice
+ * Body (optional): { approvalReason } - approve an invoice that failed 3-way
+ * matching (requires purchase_orders.approve)
  */
 export async function POST(request, { params }) {
   return withAuth(request, async (request) => {
@@ -19,6 +21,7 @@ export async function POST(request, { params }) {
       await connectDB();
 
       const { id } = params;
+      const body = await request.json().catch(() => ({}));
 
       // Find purchase invoice
       const purchaseInvoice = await PurchaseInvoice.findOne({
@@ -31,8 +34,30 @@ export async function POST(request, { params }) {
         return errorResponse('Purchase invoice not found', 404);
       }
 
+      // Variances outside tolerance need an approved exception
+      const reason = body.approvalReason?.trim();
+
+      if (purchaseInvoice.matchingStatus === 'mismatched') {
+        const canOverrideMatching = await request.user.hasPermission(MATCHING_OVERRIDE_PERMISSION);
+
+        if (!canOverrideMatching || !reason) {
+          return errorResponse(
+            'Invoice does not match the purchase order and GRN within tolerance. ' +
+              (canOverrideMatching
+                ? 'Give a reason to approve the exception.'
+                : `Approval requires the '${MATCHING_OVERRIDE_PERMISSION}' permission.`),
+            403,
+            {
+              quantityVariance: purchaseInvoice.quantityVariance,
+              amountVariance: purchaseInvoice.amountVariance,
+              canOverride: canOverrideMatching,
+            }
+          );
+        }
+      }
+
       // Approve using model method
-      await purchaseInvoice.approve(request.user._id);
+      await purchaseInvoice.approve(request.user._id, reason);
 
       // Populate and return
       await purchaseInvoice.populate('supplierId', 'supplierCode companyName');
@@ -43,6 +68,7 @@ export async function POST(request, { params }) {
       logger.info('Purchase invoice approved', {
         purchaseInvoiceId: purchaseInvoice._id,
         invoiceNumber: purchaseInvoice.invoiceNumber,
+        matchingOverride: !!purchaseInvoice.matchingOverride,
         userId: request.user._id,
       });
 
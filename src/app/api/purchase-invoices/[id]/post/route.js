@@ -7,15 +7,25 @@ import mongoose from 'mongoose';
 import connectDB from '@/lib/mongodb';
 import PurchaseInvoice from '@/models/PurchaseInvoice';
 import Voucher from '@/models/Voucher';
+import LedgerEntry from '@/models/LedgerEntry';
 import Account from '@/models/Account';
 import Supplier from '@/models/Supplier';
+import ExchangeRate from '@/models/ExchangeRate';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import SupplierPayment from '@/models/SupplierPayment';
+import { autoApplySupplierAdvances, summarizeAvailable } from '@/services/advance-service';
+import { clearGoodsReceived } from '@/services/grni-service';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
 
 /**
  * POST /api/purchase-invoices/[id]/post
- * Post purchase invoice to accounts (creates Journal Voucher with double-entry)
+ * Post purchase invoice to accounts (creates Journal Voucher with double-entry).
+ * Goods received on a posted GRN are cleared from Goods Received Not Invoiced
+ * at the GRN value; the rest of the purchase value goes to the expense account.
+ * Body (optional): { applyAdvances: true } - settle the invoice from the
+ * supplier's advances; otherwise the advances available are returned as an offer
  */
 export async function POST(request, { params }) {
   return withAuth(request, async (request) => {
@@ -25,6 +35,7 @@ export async function POST(request, { params }) {
       await session.startTransaction();
 
       const { id } = params;
+      const body = await request.json().catch(() => ({}));
 
       // Find purchase invoice
       const purchaseInvoice = await PurchaseInvoice.findOne({
@@ -38,6 +49,19 @@ export async function POST(request, { params }) {
         return errorResponse('Purchase invoice not found', 404);
       }
 
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        purchaseInvoice.invoiceDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
       // Post using model method (validates status)
       await purchaseInvoice.post(request.user._id);
 
@@ -54,7 +78,8 @@ export async function POST(request, { params }) {
           organizationId: request.user.organizationId,
           code: '5-100',
           name: 'Purchases',
-          accountType: 'expense',
+          type: 'expense',
+          normalBalance: 'debit',
           category: 'operating_expense',
           isActive: true,
           level: 2,
@@ -75,7 +100,8 @@ export async function POST(request, { params }) {
           organizationId: request.user.organizationId,
           code: '2-100',
           name: 'Accounts Payable',
-          accountType: 'liability',
+          type: 'liability',
+          normalBalance: 'credit',
           category: 'current_liability',
           isActive: true,
           level: 2,
@@ -98,7 +124,8 @@ export async function POST(request, { params }) {
             organizationId: request.user.organizationId,
             code: '1-140',
             name: 'Input Tax / Tax Paid',
-            accountType: 'asset',
+            type: 'asset',
+            normalBalance: 'debit',
             category: 'current_asset',
             isActive: true,
             level: 2,
@@ -108,6 +135,9 @@ export async function POST(request, { params }) {
         }
       }
 
+      // Goods received not invoiced to clear for this invoice (base currency)
+      const grni = await clearGoodsReceived({ purchaseInvoice, session });
+
       // Update invoice with account references
       purchaseInvoice.expenseAccountId = expenseAccount._id;
       purchaseInvoice.payableAccountId = payableAccount._id;
@@ -122,35 +152,79 @@ export async function POST(request, { params }) {
         purchaseInvoice.fiscalYear
       );
 
+      const isForeignCurrency =
+        purchaseInvoice.currency !== ExchangeRate.getBaseCurrency(request.user.organizationId);
+      const rate = isForeignCurrency ? purchaseInvoice.exchangeRate || 1 : 1;
+
       // Prepare voucher entries for double-entry accounting
       const entries = [];
 
-      // Debit: Expense Account (for goods/services purchased)
-      entries.push({
-        accountId: expenseAccount._id,
-        description: `Purchase Invoice ${purchaseInvoice.invoiceNumber}`,
-        debit: purchaseInvoice.taxableAmount,
-        credit: 0,
-      });
+      const purchaseValue =
+        purchaseInvoice.taxableAmount + purchaseInvoice.shippingCharges + purchaseInvoice.otherCharges;
+
+      // Entries already in base currency (not converted at the invoice rate)
+      const baseEntries = [];
+
+      // Debit: GRNI cleared at the GRN value
+      if (grni.amount > 0) {
+        entries.push({
+          accountId: grni.accountId,
+          type: 'debit',
+          amount: grni.amount,
+          description: `Goods received not invoiced cleared - GRN ${grni.grn.grnNumber}`,
+        });
+        baseEntries.push(entries[entries.length - 1]);
+      }
+
+      // Expense Account: the purchase value not cleared from GRNI (price
+      // differences, charges, goods not received), in base currency once GRNI
+      // is cleared; a credit when the GRN value exceeds the invoice
+      const expenseAmount =
+        grni.amount > 0
+          ? parseFloat((parseFloat((purchaseValue * rate).toFixed(2)) - grni.amount).toFixed(2))
+          : purchaseValue;
+
+      if (expenseAmount !== 0) {
+        entries.push({
+          accountId: expenseAccount._id,
+          type: expenseAmount > 0 ? 'debit' : 'credit',
+          amount: Math.abs(expenseAmount),
+          description: `Purchase Invoice ${purchaseInvoice.invoiceNumber}`,
+        });
+        if (grni.amount > 0) {
+          baseEntries.push(entries[entries.length - 1]);
+        }
+      }
 
       // Debit: Input Tax Account (if tax exists)
       if (purchaseInvoice.totalTax > 0 && taxAccount) {
         entries.push({
           accountId: taxAccount._id,
+          type: 'debit',
+          amount: purchaseInvoice.totalTax,
           description: `Input Tax - Invoice ${purchaseInvoice.invoiceNumber}`,
-          debit: purchaseInvoice.totalTax,
-          credit: 0,
         });
       }
 
       // Credit: Accounts Payable (total amount we owe supplier)
       entries.push({
         accountId: payableAccount._id,
+        type: 'credit',
+        amount: purchaseInvoice.totalAmount,
         description: `Supplier Invoice ${purchaseInvoice.invoiceNumber}`,
-        debit: 0,
-        credit: purchaseInvoice.totalAmount,
+        partyType: 'supplier',
+        partyId: purchaseInvoice.supplierId,
       });
 
+      // Foreign-currency invoice: entries keep the invoice amount, the ledger gets the base amount
+      if (isForeignCurrency) {
+        entries
+          .filter((entry) => !baseEntries.includes(entry))
+          .forEach((entry) => {
+            entry.foreignAmount = entry.amount;
+          });
+      }
+
       // Create Journal Voucher
       const voucher = new Voucher({
         organizationId: request.user.organizationId,
@@ -158,31 +232,64 @@ export async function POST(request, { params }) {
         voucherType: 'JV',
         voucherDate: purchaseInvoice.invoiceDate,
         entries,
-        description: `Auto-generated for Purchase Invoice ${purchaseInvoice.invoiceNumber}`,
-        referenceType: 'PurchaseInvoice',
+        narration: `Auto-generated for Purchase Invoice ${purchaseInvoice.invoiceNumber}`,
+        referenceType: 'purchase',
         referenceId: purchaseInvoice._id,
-        status: 'posted',
-        isPosted: true,
-        postedAt: new Date(),
-        postedBy: request.user._id,
+        currency: purchaseInvoice.currency,
+        exchangeRate: purchaseInvoice.exchangeRate,
+        status: 'draft',
         fiscalYear: purchaseInvoice.fiscalYear,
         fiscalPeriod: purchaseInvoice.fiscalPeriod,
         createdBy: request.user._id,
       });
 
+      voucher.applyExchangeRate();
+
       await voucher.save({ session });
 
+      // Post voucher and create ledger entries
+      await voucher.post(request.user._id, { canOverrideLock });
+      await LedgerEntry.createFromVoucher(voucher, request.user._id, session);
+
       // Link voucher to invoice
       purchaseInvoice.voucherId = voucher._id;
       await purchaseInvoice.save({ session });
 
-      // Update supplier balance
+      // Update supplier balance (base currency)
       const supplier = await Supplier.findById(purchaseInvoice.supplierId).session(session);
       if (supplier) {
-        await supplier.updateBalance(purchaseInvoice.totalAmount, 'credit');
+        await supplier.updateBalance(voucher.entries[voucher.entries.length - 1].amount, 'credit');
         await supplier.save({ session });
       }
 
+      // Supplier advances: apply them, or offer them
+      const advances = { applied: [], available: null };
+
+      if (body.applyAdvances) {
+        try {
+          advances.applied = await autoApplySupplierAdvances({
+            invoice: purchaseInvoice,
+            userId: request.user._id,
+            canOverrideLock,
+            session,
+          });
+        } catch (error) {
+          await session.abortTransaction();
+          return errorResponse(error.message, 400);
+        }
+      }
+
+      if (purchaseInvoice.balanceAmount > 0.005) {
+        advances.available = summarizeAvailable(
+          await SupplierPayment.findAvailableAdvances(
+            request.user.organizationId,
+            purchaseInvoice.supplierId,
+            { currency: purchaseInvoice.currency, purchaseOrderId: purchaseInvoice.purchaseOrderId },
+            session
+          )
+        );
+      }
+
       await session.commitTransaction();
 
       // Populate and return
@@ -196,6 +303,8 @@ export async function POST(request, { params }) {
         voucherId: voucher._id,
         voucherNumber: voucher.voucherNumber,
         totalAmount: purchaseInvoice.totalAmount,
+        grniCleared: grni.amount,
+        advancesApplied: advances.applied.length,
         userId: request.user._id,
       });
 
@@ -209,6 +318,7 @@ export async function POST(request, { params }) {
             totalDebit: voucher.totalDebit,
             totalCredit: voucher.totalCredit,
           },
+          advances,
         },
         'Purchase invoice posted to accounts successfully'
       );
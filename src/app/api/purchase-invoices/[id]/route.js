@@ -5,6 +5,7 @@
 
 import connectDB from '@/lib/mongodb';
 import PurchaseInvoice from '@/models/PurchaseInvoice';
+import ExchangeRate from '@/models/ExchangeRate';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -28,6 +29,7 @@ export async function GET(request, { params }) {
         .populate('supplierId', 'supplierCode companyName contactPerson email phone address')
         .populate('purchaseOrderId', 'poNumber poDate status deliveryDate')
         .populate('grnId', 'grnNumber grnDate inspectionStatus')
+        .populate('items.productId', 'sku name hsCode')
         .populate('createdBy', 'name email')
         .populate('updatedBy', 'name email')
         .populate('matchedBy', 'name email')
@@ -105,6 +107,25 @@ export async function PUT(request, { params }) {
         }
       });
 
+      // Re-resolve the exchange rate when the currency changes or a rate is given
+      const currencyChanged =
+        body.currency !== undefined && String(body.currency).toUpperCase() !== purchaseInvoice.currency;
+
+      if (currencyChanged || body.exchangeRate !== undefined) {
+        try {
+          Object.assign(
+            purchaseInvoice,
+            await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+              currency: body.currency || purchaseInvoice.currency,
+              exchangeRate: body.exchangeRate,
+              date: purchaseInvoice.invoiceDate,
+            })
+          );
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      }
+
       purchaseInvoice.updatedBy = request.user._id;
 
       await purchaseInvoice.save();
@@ -5,13 +5,18 @@
 
 import connectDB from '@/lib/mongodb';
 import PurchaseInvoice from '@/models/PurchaseInvoice';
+import Organization from '@/models/Organization';
+import Supplier from '@/models/Supplier';
+import { resolveTolerance } from '@/utils/matching';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
 
 /**
  * POST /api/purchase-invoices/[id]/verify
- * Verify 3-way matching for purchase invoice
+ * Verify 3-way matching for purchase invoice: quantity against the GRN, and
+ * price, tax and total against the PO, within the supplier's tolerances (else
+ * the organization's, else the defaults)
  */
 export async function POST(request, { params }) {
   return withAuth(request, async (request) => {
@@ -36,8 +41,20 @@ export async function POST(request, { params }) {
         return errorResponse('Only draft invoices can be verified', 400);
       }
 
+      const [organization, supplier] = await Promise.all([
+        Organization.findById(purchaseInvoice.organizationId).select('settings.matchingTolerance').lean(),
+        Supplier.findById(purchaseInvoice.supplierId).select('matchingTolerance').lean(),
+      ]);
+      const tolerance = resolveTolerance(organization?.settings?.matchingTolerance, supplier?.matchingTolerance);
+
       // Perform 3-way matching
-      const isMatched = await purchaseInvoice.verify3WayMatching();
+      let matching;
+      try {
+        matching = await purchaseInvoice.verify3WayMatching(tolerance);
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+      const { isMatched } = matching;
 
       // Update status
       purchaseInvoice.status = 'verified';
@@ -67,8 +84,10 @@ export async function POST(request, { params }) {
           matchingResult: {
             isMatched,
             matchingStatus: purchaseInvoice.matchingStatus,
-            quantityVariance: purchaseInvoice.quantityVariance,
-            amountVariance: purchaseInvoice.amountVariance,
+            quantityVariance: matching.quantityVariance,
+            amountVariance: matching.amountVariance,
+            lines: matching.lines,
+            tolerance: matching.tolerance,
           },
         },
         isMatched
@@ -0,0 +1,112 @@
+/**
+ * Purchase Invoice Matching Tolerance API
+ * The organization's three-way matching tolerances; suppliers can override
+ * them through their own matchingTolerance
+ */
+
+import connectDB from '@/lib/mongodb';
+import Organization from '@/models/Organization';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import { MATCHING_CHECKS, DEFAULT_MATCHING_TOLERANCE, resolveTolerance } from '@/utils/matching';
+
+const SETTINGS_PERMISSION = 'settings.edit';
+
+/**
+ * GET /api/purchase-invoices/matching-tolerance
+ * Organization tolerances as set, and as applied with the defaults filled in
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+      const organization = await Organization.findById(organizationId).select('settings.matchingTolerance').lean();
+      const matchingTolerance = organization?.settings?.matchingTolerance || {};
+
+      return successResponse({
+        matchingTolerance,
+        effective: resolveTolerance(matchingTolerance),
+        defaults: DEFAULT_MATCHING_TOLERANCE,
+      });
+    } catch (error) {
+      logger.error('Error fetching matching tolerance', error);
+
+      return errorResponse(
+        'Failed to fetch matching tolerance',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/purchase-invoices/matching-tolerance
+ * Update the organization tolerances; null clears a limit back to the default
+ * Body: { matchingTolerance: { quantity, price, tax, total } } each { absolute, percent }
+ */
+export async function PUT(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      if (!(await request.user.hasPermission(SETTINGS_PERMISSION))) {
+        return errorResponse('You do not have permission to change matching tolerances', 403);
+      }
+
+      const body = await request.json();
+      const matchingTolerance = body.matchingTolerance || {};
+
+      const unknown = Object.keys(matchingTolerance).filter((check) => !MATCHING_CHECKS.includes(check));
+      if (unknown.length > 0) {
+        return errorResponse(`Tolerance checks must be among: ${MATCHING_CHECKS.join(', ')}`, 400);
+      }
+
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+      const organization = await Organization.findById(organizationId);
+
+      if (!organization) {
+        return errorResponse('Organization not found', 404);
+      }
+
+      for (const [check, limit] of Object.entries(matchingTolerance)) {
+        for (const key of ['absolute', 'percent']) {
+          if (limit?.[key] === undefined) continue;
+
+          const value = limit[key] === null ? undefined : Number(limit[key]);
+          if (value !== undefined && (isNaN(value) || value < 0 || (key === 'percent' && value > 100))) {
+            return errorResponse(`Invalid ${check} ${key} tolerance`, 400);
+          }
+
+          organization.set(`settings.matchingTolerance.${check}.${key}`, value);
+        }
+      }
+
+      await organization.save();
+
+      logger.info('Matching tolerance updated', {
+        organizationId,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        {
+          matchingTolerance: organization.settings.matchingTolerance,
+          effective: resolveTolerance(organization.settings.matchingTolerance),
+        },
+        'Matching tolerance updated successfully'
+      );
+    } catch (error) {
+      logger.error('Error updating matching tolerance', error);
+
+      return errorResponse(
+        'Failed to update matching tolerance',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
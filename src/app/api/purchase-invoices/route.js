@@ -5,6 +5,7 @@
 
 import connectDB from '@/lib/mongodb';
 import PurchaseInvoice from '@/models/PurchaseInvoice';
+import ExchangeRate from '@/models/ExchangeRate';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -129,6 +130,20 @@ export async function POST(request) {
         return errorResponse('At least one item is required', 400);
       }
 
+      // Currency and exchange rate (defaults to the rate in effect on the invoice date)
+      try {
+        Object.assign(
+          body,
+          await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+            currency: body.currency,
+            exchangeRate: body.exchangeRate,
+            date: body.invoiceDate || new Date(),
+          })
+        );
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
       // Create purchase invoice
       const purchaseInvoice = new PurchaseInvoice({
         ...body,
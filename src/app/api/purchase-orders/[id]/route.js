@@ -34,6 +34,7 @@ export async function GET(request, { params }) {
         .populate('confirmedBy', 'name email')
         .populate('postedBy', 'name email')
         .populate('voucherId', 'voucherNumber voucherType voucherDate status')
+        .populate('items.productId', 'sku name hsCode')
         .lean();
 
       if (!purchaseOrder) {
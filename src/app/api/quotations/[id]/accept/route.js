@@ -0,0 +1,59 @@
+/**
+ * Accept Quotation API
+ * Records the customer's acceptance of a quotation within its validity
+ */
+
+import connectDB from '@/lib/mongodb';
+import Quotation from '@/models/Quotation';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/quotations/[id]/accept
+ * Mark quotation as accepted
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      // Find quotation
+      const quotation = await Quotation.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!quotation) {
+        return errorResponse('Quotation not found', 404);
+      }
+
+      try {
+        await quotation.accept(request.user._id);
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      await quotation.populate('customerId', 'name companyName email customerCode');
+
+      logger.info('Quotation accepted', {
+        quotationId: quotation._id,
+        quoteNumber: quotation.quoteNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse({ quotation }, 'Quotation accepted');
+    } catch (error) {
+      logger.error('Error accepting quotation', error);
+
+      return errorResponse(
+        'Failed to accept quotation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * Convert Quotation API
+ * Turns an accepted quotation into a confirmed sales order.
+ * Converting straight to an invoice goes through POST /api/invoices with quotationId.
+ */
+
+import connectDB from '@/lib/mongodb';
+import Quotation from '@/models/Quotation';
+import SalesOrder from '@/models/SalesOrder';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/quotations/[id]/convert
+ * Create a sales order from the quotation
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const body = await request.json().catch(() => ({}));
+
+      // Find quotation
+      const quotation = await Quotation.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!quotation) {
+        return errorResponse('Quotation not found', 404);
+      }
+
+      try {
+        quotation.checkConvertible();
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      const orderNumber = await SalesOrder.generateOrderNumber(request.user.organizationId);
+
+      // Copy the accepted terms onto the order
+      const salesOrder = new SalesOrder({
+        organizationId: request.user.organizationId,
+        orderNumber,
+        orderDate: body.orderDate || new Date(),
+        deliveryDate: body.deliveryDate,
+        customerId: quotation.customerId,
+        referenceNumber: body.referenceNumber || quotation.referenceNumber,
+        quotationId: quotation._id,
+        items: quotation.items.map((item) => ({
+          description: item.description,
+          quantity: item.quantity,
+          unit: item.unit,
+          rate: item.rate,
+          productId: item.productId,
+          taxRate: item.taxRate,
+          discountRate: item.discountRate,
+        })),
+        shippingCharges: quotation.shippingCharges,
+        otherCharges: quotation.otherCharges,
+        currency: quotation.currency,
+        notes: quotation.notes,
+        terms: quotation.terms,
+        status: 'confirmed',
+        confirmedAt: new Date(),
+        confirmedBy: request.user._id,
+        createdBy: request.user._id,
+      });
+
+      await salesOrder.save();
+
+      quotation.markConverted({ salesOrderId: salesOrder._id }, request.user._id);
+      await quotation.save();
+
+      await salesOrder.populate('customerId', 'name companyName email customerCode');
+
+      logger.info('Quotation converted to sales order', {
+        quotationId: quotation._id,
+        quoteNumber: quotation.quoteNumber,
+        salesOrderId: salesOrder._id,
+        orderNumber: salesOrder.orderNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { quotation, salesOrder },
+        `Quotation converted to sales order ${salesOrder.orderNumber}`,
+        201
+      );
+    } catch (error) {
+      logger.error('Error converting quotation', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      return errorResponse(
+        'Failed to convert quotation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,210 @@
+/**
+ * Single Quotation API
+ * Handles get, update, delete operations for a specific quotation
+ */
+
+import connectDB from '@/lib/mongodb';
+import Quotation from '@/models/Quotation';
+import Customer from '@/models/Customer';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/quotations/[id]
+ * Get a single quotation by ID
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const quotation = await Quotation.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      })
+        .populate('customerId', 'name companyName email phone mobile customerCode billingAddress')
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email')
+        .populate('salesOrderId', 'orderNumber orderDate status')
+        .populate('invoiceId', 'invoiceNumber invoiceDate status');
+
+      if (!quotation) {
+        return errorResponse('Quotation not found', 404);
+      }
+
+      logger.info('Quotation retrieved', {
+        quotationId: quotation._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ quotation });
+    } catch (error) {
+      logger.error('Error fetching quotation', error);
+
+      return errorResponse(
+        'Failed to fetch quotation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/quotations/[id]
+ * Update a draft or sent quotation
+ */
+export async function PUT(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const body = await request.json();
+
+      // Find quotation
+      const quotation = await Quotation.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!quotation) {
+        return errorResponse('Quotation not found', 404);
+      }
+
+      // Only open offers can be revised
+      if (!['draft', 'sent'].includes(quotation.status)) {
+        return errorResponse(`Cannot edit ${quotation.status} quotation`, 400);
+      }
+
+      // Validate customer if being changed
+      if (body.customerId && body.customerId !== quotation.customerId.toString()) {
+        const customer = await Customer.findOne({
+          _id: body.customerId,
+          organizationId: request.user.organizationId,
+          isDeleted: false,
+        });
+
+        if (!customer) {
+          return errorResponse('Customer not found', 404);
+        }
+      }
+
+      // Fields that should not be updated directly
+      const protectedFields = [
+        '_id',
+        'quoteNumber',
+        'organizationId',
+        'status',
+        'sentAt',
+        'acceptedAt',
+        'salesOrderId',
+        'invoiceId',
+        'convertedAt',
+        'createdBy',
+        'createdAt',
+        'isDeleted',
+        'deletedAt',
+        'deletedBy',
+      ];
+
+      // Remove protected fields from update
+      protectedFields.forEach((field) => delete body[field]);
+
+      // Update quotation
+      Object.assign(quotation, body);
+      quotation.updatedBy = request.user._id;
+
+      await quotation.save();
+
+      // Populate references
+      await quotation.populate('customerId', 'name companyName email customerCode');
+      await quotation.populate('updatedBy', 'name email');
+
+      logger.info('Quotation updated', {
+        quotationId: quotation._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ quotation }, 'Quotation updated successfully');
+    } catch (error) {
+      logger.error('Error updating quotation', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      if (error.message === 'Validity date cannot be before the quotation date') {
+        return errorResponse(error.message, 400);
+      }
+
+      return errorResponse(
+        'Failed to update quotation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/quotations/[id]
+ * Soft delete a quotation that has not been converted
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      // Find quotation
+      const quotation = await Quotation.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!quotation) {
+        return errorResponse('Quotation not found', 404);
+      }
+
+      if (quotation.status === 'converted') {
+        return errorResponse('Cannot delete converted quotation', 400);
+      }
+
+      // Soft delete
+      quotation.isDeleted = true;
+      quotation.deletedAt = new Date();
+      quotation.deletedBy = request.user._id;
+      quotation.status = 'cancelled';
+
+      await quotation.save();
+
+      logger.info('Quotation deleted', {
+        quotationId: quotation._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ quotation }, 'Quotation deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting quotation', error);
+
+      return errorResponse(
+        'Failed to delete quotation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,59 @@
+/**
+ * Send Quotation API
+ * Marks a draft quotation as sent to the customer
+ */
+
+import connectDB from '@/lib/mongodb';
+import Quotation from '@/models/Quotation';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/quotations/[id]/send
+ * Mark quotation as sent
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      // Find quotation
+      const quotation = await Quotation.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!quotation) {
+        return errorResponse('Quotation not found', 404);
+      }
+
+      if (quotation.status !== 'draft') {
+        return errorResponse('Only draft quotations can be sent', 400);
+      }
+
+      await quotation.send(request.user._id);
+
+      await quotation.populate('customerId', 'name companyName email customerCode');
+
+      logger.info('Quotation sent', {
+        quotationId: quotation._id,
+        quoteNumber: quotation.quoteNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse({ quotation }, 'Quotation marked as sent');
+    } catch (error) {
+      logger.error('Error sending quotation', error);
+
+      return errorResponse(
+        error.message || 'Failed to send quotation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
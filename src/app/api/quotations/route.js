@@ -0,0 +1,180 @@
+/**
+ * Quotations API
+ * Handles listing and creating quotations
+ */
+
+import connectDB from '@/lib/mongodb';
+import Quotation from '@/models/Quotation';
+import Customer from '@/models/Customer';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/quotations
+ * List all quotations
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const page = parseInt(searchParams.get('page')) || 1;
+      const limit = parseInt(searchParams.get('limit')) || 50;
+      const search = searchParams.get('search') || '';
+      const status = searchParams.get('status');
+      const customerId = searchParams.get('customerId');
+      const startDate = searchParams.get('startDate');
+      const endDate = searchParams.get('endDate');
+
+      // Build query
+      const query = {
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      };
+
+      // Add filters
+      if (status) {
+        query.status = status;
+      }
+
+      if (customerId) {
+        query.customerId = customerId;
+      }
+
+      // Date range filter
+      if (startDate || endDate) {
+        query.quoteDate = {};
+        if (startDate) query.quoteDate.$gte = new Date(startDate);
+        if (endDate) query.quoteDate.$lte = new Date(endDate);
+      }
+
+      // Search functionality
+      if (search) {
+        query.$or = [
+          { quoteNumber: { $regex: search, $options: 'i' } },
+          { referenceNumber: { $regex: search, $options: 'i' } },
+        ];
+      }
+
+      // Get total count
+      const total = await Quotation.countDocuments(query);
+
+      // Get quotations with pagination
+      const quotations = await Quotation.find(query)
+        .populate('customerId', 'name companyName email customerCode')
+        .populate('createdBy', 'name email')
+        .populate('salesOrderId', 'orderNumber')
+        .populate('invoiceId', 'invoiceNumber')
+        .sort({ quoteDate: -1, quoteNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+      logger.info('Quotations listed', {
+        count: quotations.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        quotations,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing quotations', error);
+
+      return errorResponse(
+        'Failed to fetch quotations',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/quotations
+ * Create a new draft quotation
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+
+      // Validate customer exists
+      const customer = await Customer.findOne({
+        _id: body.customerId,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!customer) {
+        return errorResponse('Customer not found', 404);
+      }
+
+      // Generate quotation number if not provided
+      if (!body.quoteNumber) {
+        body.quoteNumber = await Quotation.generateQuoteNumber(
+          request.user.organizationId,
+          body.fiscalYear
+        );
+      }
+
+      // Create quotation
+      const quotation = new Quotation({
+        ...body,
+        organizationId: request.user.organizationId,
+        createdBy: request.user._id,
+        status: 'draft',
+      });
+
+      await quotation.save();
+
+      // Populate references
+      await quotation.populate('customerId', 'name companyName email customerCode');
+      await quotation.populate('createdBy', 'name email');
+
+      logger.info('Quotation created', {
+        quotationId: quotation._id,
+        quoteNumber: quotation.quoteNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse({ quotation }, 'Quotation created successfully', 201);
+    } catch (error) {
+      logger.error('Error creating quotation', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return errorResponse('Quotation number already exists', 400);
+      }
+
+      if (error.message === 'Validity date cannot be before the quotation date') {
+        return errorResponse(error.message, 400);
+      }
+
+      return errorResponse(
+        'Failed to create quotation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
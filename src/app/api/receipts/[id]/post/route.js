@@ -0,0 +1,291 @@
+/**
+ * Post Customer Receipt API
+ * Posts a receipt, creates the receipt voucher (RV) with ledger entries and
+ * records the allocated payments against the invoices. Advance receipts are
+ * credited to the customer advance liability account.
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import CustomerReceipt from '@/models/CustomerReceipt';
+import Voucher from '@/models/Voucher';
+import LedgerEntry from '@/models/LedgerEntry';
+import Customer from '@/models/Customer';
+import Account from '@/models/Account';
+import ExchangeRate from '@/models/ExchangeRate';
+import FxRevaluation from '@/models/FxRevaluation';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+const toBase = (amount, rate) => parseFloat((amount * rate).toFixed(2));
+
+/**
+ * POST /api/receipts/[id]/post
+ * Post receipt and create accounting voucher
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+
+      // Find receipt
+      const receipt = await CustomerReceipt.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!receipt) {
+        await session.abortTransaction();
+        return errorResponse('Receipt not found', 404);
+      }
+
+      if (receipt.isPosted) {
+        await session.abortTransaction();
+        return errorResponse('Receipt is already posted', 400);
+      }
+
+      if (receipt.status === 'cancelled') {
+        await session.abortTransaction();
+        return errorResponse('Cannot post cancelled receipt', 400);
+      }
+
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        receipt.receiptDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
+      // Get customer
+      const customer = await Customer.findById(receipt.customerId).session(session);
+      if (!customer) {
+        await session.abortTransaction();
+        return errorResponse('Customer not found', 404);
+      }
+
+      // Re-check allocations against current invoice balances
+      let invoices;
+      try {
+        invoices = await receipt.loadAllocatedInvoices(session);
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      const depositAccount = await Account.findById(receipt.depositAccountId).session(session);
+      if (!depositAccount) {
+        await session.abortTransaction();
+        return errorResponse('Cash or bank account not found', 400);
+      }
+
+      // Receivable account for on-account credit and invoices posted without one
+      const receivableAccount = await CustomerReceipt.findReceivableAccount(
+        request.user.organizationId,
+        receipt.receivableAccountId
+      );
+
+      const isForeignCurrency = receipt.currency !== ExchangeRate.getBaseCurrency(request.user.organizationId);
+
+      // Credit each receivable account with the base amount the invoices are carried at
+      const receivableCredits = new Map();
+      const addReceivableCredit = (accountId, foreignAmount, baseAmount) => {
+        const key = accountId.toString();
+        const credit = receivableCredits.get(key) || { accountId, foreignAmount: 0, amount: 0 };
+        credit.foreignAmount += foreignAmount;
+        credit.amount += baseAmount;
+        receivableCredits.set(key, credit);
+      };
+
+      for (const allocation of receipt.allocations) {
+        const invoice = invoices.get(allocation.invoiceId.toString());
+        const accountId = invoice.receivableAccountId || receivableAccount?._id;
+
+        if (!accountId) {
+          await session.abortTransaction();
+          return errorResponse('Accounts Receivable account not found. Please set up chart of accounts.', 400);
+        }
+
+        allocation.carryingRate = invoice.revaluationRate || invoice.exchangeRate || 1;
+        allocation.baseAmount = toBase(allocation.amount, allocation.carryingRate);
+        addReceivableCredit(accountId, allocation.amount, allocation.baseAmount);
+      }
+
+      // Advances are owed back to the customer until applied, on-account credit stays in receivables
+      const isAdvance = receipt.receiptType === 'advance';
+      const creditAccount = isAdvance
+        ? await CustomerReceipt.findAdvanceAccount(request.user.organizationId, receipt.advanceAccountId)
+        : receivableAccount;
+
+      if (receipt.unallocatedAmount > 0) {
+        if (!creditAccount) {
+          await session.abortTransaction();
+          return errorResponse(
+            `${isAdvance ? 'Customer advance' : 'Accounts Receivable'} account not found. Please set up chart of accounts.`,
+            400
+          );
+        }
+
+        addReceivableCredit(
+          creditAccount._id,
+          receipt.unallocatedAmount,
+          toBase(receipt.unallocatedAmount, receipt.exchangeRate)
+        );
+      }
+
+      // Generate voucher number
+      const voucherNumber = await Voucher.generateVoucherNumber(
+        request.user.organizationId,
+        'RV',
+        receipt.fiscalYear
+      );
+
+      const voucherEntries = [];
+      const depositAmount = toBase(receipt.amount, receipt.exchangeRate);
+
+      // Debit: Cash/Bank (money received)
+      voucherEntries.push({
+        accountId: depositAccount._id,
+        type: 'debit',
+        amount: depositAmount,
+        ...(isForeignCurrency && { foreignAmount: receipt.amount }),
+        description: `Receipt ${receipt.receiptNumber} - ${customer.name}`,
+      });
+
+      // Credit: Accounts Receivable (customer owes less), or Customer Advances for an advance
+      let receivableTotal = 0;
+      receivableCredits.forEach((credit) => {
+        receivableTotal += credit.amount;
+        voucherEntries.push({
+          accountId: credit.accountId,
+          type: 'credit',
+          amount: credit.amount,
+          ...(isForeignCurrency && { foreignAmount: credit.foreignAmount }),
+          description: `Receipt ${receipt.receiptNumber} - ${customer.name}`,
+          partyType: 'customer',
+          partyId: customer._id,
+        });
+      });
+      receivableTotal = parseFloat(receivableTotal.toFixed(2));
+
+      // Realized exchange difference between the receipt rate and the invoice rates
+      const gainLoss = parseFloat((depositAmount - receivableTotal).toFixed(2));
+
+      if (gainLoss !== 0) {
+        const { gainAccount, lossAccount } = await FxRevaluation.findFxAccounts(request.user.organizationId);
+        const fxAccount = gainLoss > 0 ? gainAccount : lossAccount;
+
+        if (!fxAccount) {
+          await session.abortTransaction();
+          return errorResponse(
+            `Exchange ${gainLoss > 0 ? 'gain' : 'loss'} account not found. Please set up chart of accounts.`,
+            400
+          );
+        }
+
+        voucherEntries.push({
+          accountId: fxAccount._id,
+          type: gainLoss > 0 ? 'credit' : 'debit',
+          amount: Math.abs(gainLoss),
+          description: `Realized exchange ${gainLoss > 0 ? 'gain' : 'loss'} - Receipt ${receipt.receiptNumber}`,
+        });
+      }
+
+      const allocatedNumbers = receipt.allocations.map((allocation) => allocation.invoiceNumber);
+
+      // Create voucher
+      const voucher = new Voucher({
+        voucherNumber,
+        voucherType: 'RV',
+        voucherDate: receipt.receiptDate,
+        narration: `Receipt ${receipt.receiptNumber} - ${customer.name} - ${receipt.paymentMethod}${
+          allocatedNumbers.length > 0 ? ` - ${allocatedNumbers.join(', ')}` : isAdvance ? ' - advance' : ' - on account'
+        }`.slice(0, 1000),
+        entries: voucherEntries,
+        organizationId: request.user.organizationId,
+        fiscalYear: receipt.fiscalYear,
+        fiscalPeriod: receipt.fiscalPeriod,
+        referenceType: 'receipt',
+        referenceId: receipt._id,
+        currency: receipt.currency,
+        exchangeRate: receipt.exchangeRate,
+        status: 'draft',
+        createdBy: request.user._id,
+      });
+
+      // Validate double-entry
+      const validation = voucher.validateDoubleEntry();
+      if (!validation.isValid) {
+        await session.abortTransaction();
+        return errorResponse('Voucher validation failed: ' + validation.errors.join(', '), 400);
+      }
+
+      await voucher.save({ session });
+
+      // Post voucher and create ledger entries
+      await voucher.post(request.user._id, { canOverrideLock });
+      await LedgerEntry.createFromVoucher(voucher, request.user._id, session);
+
+      // Record payments on the invoices
+      for (const allocation of receipt.allocations) {
+        const invoice = invoices.get(allocation.invoiceId.toString());
+        await invoice.recordPayment(allocation.amount, request.user._id);
+      }
+
+      // Update customer balance (base currency)
+      await customer.updateBalance(receivableTotal, 'credit');
+
+      // Post receipt and link voucher
+      receipt.voucherId = voucher._id;
+      receipt.receivableAccountId = receipt.receivableAccountId || receivableAccount?._id;
+      if (isAdvance) {
+        receipt.advanceAccountId = creditAccount._id;
+      }
+      receipt.realizedGainLoss = gainLoss;
+      await receipt.post(request.user._id);
+      await receipt.save({ session });
+
+      await session.commitTransaction();
+
+      await receipt.populate('customerId', 'name companyName customerCode');
+      await receipt.populate('voucherId', 'voucherNumber voucherType');
+      await receipt.populate('postedBy', 'name email');
+
+      logger.info('Receipt posted', {
+        receiptId: receipt._id,
+        receiptNumber: receipt.receiptNumber,
+        voucherId: voucher._id,
+        voucherNumber: voucher.voucherNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { receipt, voucher },
+        'Receipt posted successfully and accounting entries created'
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error posting receipt', error);
+
+      return errorResponse(
+        'Failed to post receipt',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
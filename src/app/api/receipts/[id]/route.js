@@ -0,0 +1,265 @@
+/**
+ * Single Customer Receipt API
+ * Handles get, update, delete operations for a specific receipt
+ */
+
+import connectDB from '@/lib/mongodb';
+import CustomerReceipt from '@/models/CustomerReceipt';
+import Account from '@/models/Account';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/receipts/[id]
+ * Get a single receipt by ID
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const receipt = await CustomerReceipt.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      })
+        .populate('customerId', 'name companyName email phone customerCode currentBalance balanceType')
+        .populate('allocations.invoiceId', 'invoiceNumber invoiceDate dueDate totalAmount balanceAmount status')
+        .populate('depositAccountId', 'code name')
+        .populate('receivableAccountId', 'code name')
+        .populate('advanceAccountId', 'code name')
+        .populate('voucherId', 'voucherNumber voucherType voucherDate status')
+        .populate('applications.voucherId', 'voucherNumber voucherDate')
+        .populate('createdBy', 'name email')
+        .populate('postedBy', 'name email')
+        .lean();
+
+      if (!receipt) {
+        return errorResponse('Receipt not found', 404);
+      }
+
+      return successResponse({ receipt });
+    } catch (error) {
+      logger.error('Error fetching receipt', error);
+
+      return errorResponse(
+        'Failed to fetch receipt',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/receipts/[id]
+ * Update a draft receipt
+ */
+export async function PUT(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const body = await request.json();
+
+      const receipt = await CustomerReceipt.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!receipt) {
+        return errorResponse('Receipt not found', 404);
+      }
+
+      if (receipt.isPosted) {
+        return errorResponse('Cannot edit posted receipt', 400);
+      }
+
+      if (receipt.status === 'cancelled') {
+        return errorResponse('Cannot edit cancelled receipt', 400);
+      }
+
+      if (body.depositAccountId && body.depositAccountId !== receipt.depositAccountId.toString()) {
+        const depositAccount = await Account.findOne({
+          _id: body.depositAccountId,
+          organizationId: request.user.organizationId,
+          type: 'asset',
+          isGroup: false,
+          isDeleted: false,
+        });
+
+        if (!depositAccount) {
+          return errorResponse('Cash or bank account not found', 400);
+        }
+      }
+
+      // Re-resolve the exchange rate when the currency changes or a rate is given
+      const currencyChanged =
+        body.currency !== undefined && String(body.currency).toUpperCase() !== receipt.currency;
+
+      if (currencyChanged || body.exchangeRate !== undefined) {
+        try {
+          Object.assign(
+            body,
+            await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+              currency: body.currency || receipt.currency,
+              exchangeRate: body.exchangeRate,
+              date: body.receiptDate || receipt.receiptDate,
+            })
+          );
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      }
+
+      // Fields that should not be updated directly
+      const protectedFields = [
+        '_id',
+        'receiptNumber',
+        'organizationId',
+        'customerId',
+        'createdBy',
+        'createdAt',
+        'status',
+        'isPosted',
+        'postedAt',
+        'postedBy',
+        'voucherId',
+        'allocatedAmount',
+        'unallocatedAmount',
+        'applications',
+        'appliedAmount',
+        'realizedGainLoss',
+        'isDeleted',
+        'deletedAt',
+        'deletedBy',
+      ];
+
+      protectedFields.forEach((field) => delete body[field]);
+
+      const autoAllocate = body.autoAllocate;
+      delete body.autoAllocate;
+
+      if (body.receiptType !== undefined && !['payment', 'advance'].includes(body.receiptType)) {
+        return errorResponse('Invalid receipt type', 400);
+      }
+
+      Object.assign(receipt, body);
+      receipt.updatedBy = request.user._id;
+
+      // Advances are held in the customer advance liability account until applied
+      if (receipt.receiptType === 'advance') {
+        const advanceAccount = await CustomerReceipt.findAdvanceAccount(
+          request.user.organizationId,
+          receipt.advanceAccountId
+        );
+
+        if (!advanceAccount) {
+          return errorResponse('Customer advance account not found. Please set up chart of accounts.', 400);
+        }
+
+        receipt.advanceAccountId = advanceAccount._id;
+        receipt.allocations = [];
+      }
+
+      try {
+        if (autoAllocate && receipt.receiptType !== 'advance') {
+          await receipt.autoAllocate();
+        } else {
+          await receipt.loadAllocatedInvoices();
+        }
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      await receipt.save();
+
+      await receipt.populate('customerId', 'name companyName customerCode');
+      await receipt.populate('depositAccountId', 'code name');
+
+      logger.info('Receipt updated', {
+        receiptId: receipt._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ receipt }, 'Receipt updated successfully');
+    } catch (error) {
+      logger.error('Error updating receipt', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      if (error.message === 'Allocated amount cannot exceed the receipt amount') {
+        return errorResponse(error.message, 400);
+      }
+
+      return errorResponse(
+        'Failed to update receipt',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/receipts/[id]
+ * Soft delete a draft receipt
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const receipt = await CustomerReceipt.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!receipt) {
+        return errorResponse('Receipt not found', 404);
+      }
+
+      if (receipt.isPosted) {
+        return errorResponse('Cannot delete posted receipt', 400);
+      }
+
+      receipt.isDeleted = true;
+      receipt.deletedAt = new Date();
+      receipt.deletedBy = request.user._id;
+      receipt.status = 'cancelled';
+
+      await receipt.save();
+
+      logger.info('Receipt deleted', {
+        receiptId: receipt._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ receipt }, 'Receipt deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting receipt', error);
+
+      return errorResponse(
+        'Failed to delete receipt',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
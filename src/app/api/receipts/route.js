@@ -0,0 +1,255 @@
+/**
+ * Customer Receipts API
+ * Handles listing and creating receipts from customers
+ */
+
+import connectDB from '@/lib/mongodb';
+import CustomerReceipt from '@/models/CustomerReceipt';
+import Customer from '@/models/Customer';
+import Account from '@/models/Account';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/receipts
+ * List customer receipts
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const page = parseInt(searchParams.get('page')) || 1;
+      const limit = parseInt(searchParams.get('limit')) || 50;
+      const search = searchParams.get('search') || '';
+      const status = searchParams.get('status');
+      const customerId = searchParams.get('customerId');
+      const receiptType = searchParams.get('receiptType');
+      const invoiceId = searchParams.get('invoiceId');
+      const startDate = searchParams.get('startDate');
+      const endDate = searchParams.get('endDate');
+
+      // Build query
+      const query = {
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      };
+
+      if (status) {
+        query.status = status;
+      }
+
+      if (customerId) {
+        query.customerId = customerId;
+      }
+
+      if (receiptType) {
+        query.receiptType = receiptType;
+      }
+
+      // Receipts allocated or applied to the invoice
+      if (invoiceId) {
+        query.$and = [{ $or: [{ 'allocations.invoiceId': invoiceId }, { 'applications.invoiceId': invoiceId }] }];
+      }
+
+      // Date range filter
+      if (startDate || endDate) {
+        query.receiptDate = {};
+        if (startDate) query.receiptDate.$gte = new Date(startDate);
+        if (endDate) query.receiptDate.$lte = new Date(endDate);
+      }
+
+      // Search functionality
+      if (search) {
+        query.$or = [
+          { receiptNumber: { $regex: search, $options: 'i' } },
+          { referenceNumber: { $regex: search, $options: 'i' } },
+          { chequeNumber: { $regex: search, $options: 'i' } },
+        ];
+      }
+
+      const total = await CustomerReceipt.countDocuments(query);
+
+      const receipts = await CustomerReceipt.find(query)
+        .populate('customerId', 'name companyName customerCode')
+        .populate('depositAccountId', 'code name')
+        .populate('voucherId', 'voucherNumber')
+        .sort({ receiptDate: -1, receiptNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+      logger.info('Receipts listed', {
+        count: receipts.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        receipts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing receipts', error);
+
+      return errorResponse(
+        'Failed to fetch receipts',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/receipts
+ * Create a draft receipt
+ * Body: { customerId, receiptDate, amount, paymentMethod, depositAccountId,
+ *         allocations: [{ invoiceId, amount }], autoAllocate, currency, exchangeRate, ... }
+ * Advances: { receiptType: 'advance', advanceAccountId } - held as a liability
+ * and applied to the customer's invoices once they are posted
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+
+      // Validate customer exists
+      const customer = await Customer.findOne({
+        _id: body.customerId,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!customer) {
+        return errorResponse('Customer not found', 404);
+      }
+
+      // Money must land in a cash or bank account
+      const depositAccount = body.depositAccountId
+        ? await Account.findOne({
+            _id: body.depositAccountId,
+            organizationId: request.user.organizationId,
+            type: 'asset',
+            isGroup: false,
+            isDeleted: false,
+          })
+        : null;
+
+      if (!depositAccount) {
+        return errorResponse('Cash or bank account not found', 400);
+      }
+
+      const isAdvance = body.receiptType === 'advance';
+
+      // Advances are held in the customer advance liability account
+      const advanceAccount = isAdvance
+        ? await CustomerReceipt.findAdvanceAccount(request.user.organizationId, body.advanceAccountId)
+        : null;
+
+      if (isAdvance && !advanceAccount) {
+        return errorResponse('Customer advance account not found. Please set up chart of accounts.', 400);
+      }
+
+      // Currency and exchange rate (defaults to the rate in effect on the receipt date)
+      try {
+        Object.assign(
+          body,
+          await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+            currency: body.currency,
+            exchangeRate: body.exchangeRate,
+            date: body.receiptDate || new Date(),
+          })
+        );
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      const receipt = new CustomerReceipt({
+        customerId: customer._id,
+        receiptType: isAdvance ? 'advance' : 'payment',
+        receiptDate: body.receiptDate,
+        paymentMethod: body.paymentMethod || customer.paymentMethod,
+        amount: body.amount,
+        currency: body.currency,
+        exchangeRate: body.exchangeRate,
+        chequeNumber: body.chequeNumber,
+        chequeDate: body.chequeDate,
+        bankName: body.bankName,
+        referenceNumber: body.referenceNumber,
+        notes: body.notes,
+        allocations: body.autoAllocate || isAdvance ? [] : body.allocations || [],
+        depositAccountId: depositAccount._id,
+        receivableAccountId: body.receivableAccountId || undefined,
+        advanceAccountId: advanceAccount?._id,
+        organizationId: request.user.organizationId,
+        createdBy: request.user._id,
+      });
+
+      // Allocate oldest invoices first, or check the given allocations
+      try {
+        if (body.autoAllocate && !isAdvance) {
+          await receipt.autoAllocate();
+        } else {
+          await receipt.loadAllocatedInvoices();
+        }
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      receipt.receiptNumber = await CustomerReceipt.generateReceiptNumber(
+        request.user.organizationId,
+        receipt.receiptDate ? new Date(receipt.receiptDate).getFullYear().toString() : undefined
+      );
+
+      await receipt.save();
+
+      await receipt.populate('customerId', 'name companyName customerCode');
+      await receipt.populate('depositAccountId', 'code name');
+
+      logger.info('Receipt created', {
+        receiptId: receipt._id,
+        receiptNumber: receipt.receiptNumber,
+        amount: receipt.amount,
+        userId: request.user._id,
+      });
+
+      return successResponse({ receipt }, 'Receipt created successfully', 201);
+    } catch (error) {
+      logger.error('Error creating receipt', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      if (error.message === 'Allocated amount cannot exceed the receipt amount') {
+        return errorResponse(error.message, 400);
+      }
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return errorResponse('Receipt number already exists', 400);
+      }
+
+      return errorResponse(
+        'Failed to create receipt',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
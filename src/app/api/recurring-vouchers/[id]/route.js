@@ -0,0 +1,195 @@
+/**
+ * Individual Recurring Voucher API
+ * View, update and delete a recurring voucher template
+ */
+
+import connectDB from '@/lib/mongodb';
+import RecurringVoucher from '@/models/RecurringVoucher';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+/**
+ * GET /api/recurring-vouchers/[id]
+ * Get a template with its schedule and generated runs
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid recurring voucher ID', 400);
+      }
+
+      const recurringVoucher = await RecurringVoucher.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      })
+        .populate('entries.accountId', 'code name type')
+        .populate('generatedRuns.voucherId', 'voucherNumber voucherDate status')
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email');
+
+      if (!recurringVoucher) {
+        return errorResponse('Recurring voucher not found', 404);
+      }
+
+      return successResponse({
+        recurringVoucher,
+        upcomingRuns: recurringVoucher.isActive ? recurringVoucher.getUpcomingRuns(12) : [],
+        dueRuns: recurringVoucher.isActive ? recurringVoucher.getRuns({ to: new Date() }) : [],
+      });
+    } catch (error) {
+      logger.error('Error fetching recurring voucher', error);
+
+      return errorResponse(
+        'Failed to fetch recurring voucher',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/recurring-vouchers/[id]
+ * Update a template (already generated runs are kept and not regenerated)
+ */
+export async function PUT(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid recurring voucher ID', 400);
+      }
+
+      const recurringVoucher = await RecurringVoucher.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!recurringVoucher) {
+        return errorResponse('Recurring voucher not found', 404);
+      }
+
+      const body = await request.json();
+
+      const errors = await RecurringVoucher.validateInput(request.user.organizationId, body, {
+        partial: true,
+      });
+
+      if (Object.keys(errors).length > 0) {
+        return validationError(errors);
+      }
+
+      if (body.name !== undefined) recurringVoucher.name = body.name.trim();
+      if (body.voucherType !== undefined) recurringVoucher.voucherType = body.voucherType;
+      if (body.narration !== undefined) recurringVoucher.narration = body.narration.trim();
+      if (body.frequency !== undefined) recurringVoucher.frequency = body.frequency;
+      if (body.startDate !== undefined) recurringVoucher.startDate = new Date(body.startDate);
+      if (body.endDate !== undefined) {
+        recurringVoucher.endDate = body.endDate ? new Date(body.endDate) : undefined;
+      }
+      if (body.dayOfMonth !== undefined) {
+        recurringVoucher.dayOfMonth = body.dayOfMonth ? parseInt(body.dayOfMonth) : undefined;
+      }
+      if (body.autoPost !== undefined) recurringVoucher.autoPost = !!body.autoPost;
+      if (body.isActive !== undefined) recurringVoucher.isActive = !!body.isActive;
+
+      if (body.entries !== undefined) {
+        recurringVoucher.entries = body.entries.map((entry) => ({
+          accountId: entry.accountId,
+          type: entry.type,
+          amount: parseFloat(entry.amount),
+          description: entry.description || '',
+        }));
+      }
+
+      const validation = recurringVoucher.validateTemplate();
+      if (!validation.isValid) {
+        return errorResponse('Template validation failed', 400, { errors: validation.errors });
+      }
+
+      recurringVoucher.updatedBy = request.user._id;
+      await recurringVoucher.save();
+
+      logger.success('Recurring voucher updated', {
+        recurringVoucherId: recurringVoucher._id,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        {
+          recurringVoucher,
+          upcomingRuns: recurringVoucher.isActive ? recurringVoucher.getUpcomingRuns() : [],
+        },
+        'Recurring voucher updated successfully'
+      );
+    } catch (error) {
+      logger.error('Error updating recurring voucher', error);
+
+      return errorResponse(
+        'Failed to update recurring voucher',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/recurring-vouchers/[id]
+ * Soft delete a template (vouchers already generated are not touched)
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid recurring voucher ID', 400);
+      }
+
+      const recurringVoucher = await RecurringVoucher.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!recurringVoucher) {
+        return errorResponse('Recurring voucher not found', 404);
+      }
+
+      recurringVoucher.isDeleted = true;
+      recurringVoucher.isActive = false;
+      recurringVoucher.updatedBy = request.user._id;
+      await recurringVoucher.save();
+
+      logger.success('Recurring voucher deleted', {
+        recurringVoucherId: recurringVoucher._id,
+        userId: request.user._id,
+      });
+
+      return successResponse(null, 'Recurring voucher deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting recurring voucher', error);
+
+      return errorResponse(
+        'Failed to delete recurring voucher',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Recurring Voucher Generator API
+ * Creates the vouchers for all runs that are due. Called by a scheduler
+ * (cron) with CRON_SECRET for every organization, or by a signed-in user
+ * for their own organization.
+ */
+
+import connectDB from '@/lib/mongodb';
+import RecurringVoucher from '@/models/RecurringVoucher';
+import { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import { isCronRequest } from '@/utils/cron';
+import mongoose from 'mongoose';
+
+function summarize(results) {
+  return {
+    templates: results.length,
+    generated: results.reduce((sum, result) => sum + result.generated.length, 0),
+    posted: results.reduce(
+      (sum, result) => sum + result.generated.filter((run) => run.status === 'posted').length,
+      0
+    ),
+    failed: results.filter((result) => result.error).length,
+  };
+}
+
+/**
+ * POST /api/recurring-vouchers/generate
+ * Generate every due run up to asOfDate (default today)
+ * Body (optional): { asOfDate, recurringVoucherId }
+ */
+export async function POST(request) {
+  const body = await request.json().catch(() => ({}));
+  const asOfDate = body.asOfDate ? new Date(body.asOfDate) : new Date();
+
+  if (isNaN(asOfDate.getTime())) {
+    return errorResponse('Invalid as-of date', 400);
+  }
+
+  // Scheduled run across all organizations
+  if (isCronRequest(request)) {
+    try {
+      await connectDB();
+
+      const results = await RecurringVoucher.generateAllDue(asOfDate);
+      const summary = summarize(results);
+
+      logger.success('Scheduled recurring voucher generation completed', summary);
+
+      return successResponse(
+        { asOfDate, results, summary },
+        `${summary.generated} voucher(s) generated from ${summary.templates} template(s)`
+      );
+    } catch (error) {
+      logger.error('Error in scheduled recurring voucher generation', error);
+
+      return errorResponse(
+        'Failed to generate recurring vouchers',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  }
+
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+
+      let results;
+
+      if (body.recurringVoucherId) {
+        if (!mongoose.Types.ObjectId.isValid(body.recurringVoucherId)) {
+          return errorResponse('Invalid recurring voucher ID', 400);
+        }
+
+        const recurringVoucher = await RecurringVoucher.findOne({
+          _id: body.recurringVoucherId,
+          organizationId,
+          isDeleted: false,
+        });
+
+        if (!recurringVoucher) {
+          return errorResponse('Recurring voucher not found', 404);
+        }
+
+        try {
+          const generated = await recurringVoucher.generateDue(asOfDate, request.user._id, {
+            canOverrideLock,
+          });
+
+          results = [
+            {
+              recurringVoucherId: recurringVoucher._id,
+              name: recurringVoucher.name,
+              organizationId,
+              generated,
+            },
+          ];
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      } else {
+        results = await RecurringVoucher.generateAllDue(asOfDate, {
+          organizationId,
+          userId: request.user._id,
+          canOverrideLock,
+        });
+      }
+
+      const summary = summarize(results);
+
+      logger.success('Recurring vouchers generated', {
+        ...summary,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { asOfDate, results, summary },
+        summary.generated > 0
+          ? `${summary.generated} voucher(s) generated`
+          : 'No recurring vouchers were due'
+      );
+    } catch (error) {
+      logger.error('Error generating recurring vouchers', error);
+
+      return errorResponse(
+        'Failed to generate recurring vouchers',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
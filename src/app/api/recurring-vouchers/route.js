@@ -0,0 +1,172 @@
+/**
+ * Recurring Vouchers API
+ * Templates for vouchers generated on a monthly, quarterly or yearly schedule
+ */
+
+import connectDB from '@/lib/mongodb';
+import RecurringVoucher from '@/models/RecurringVoucher';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/recurring-vouchers
+ * List recurring voucher templates with their upcoming runs
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const isActive = searchParams.get('isActive');
+      const upcomingCount = Math.min(parseInt(searchParams.get('upcoming')) || 3, 12);
+
+      const query = {
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      };
+
+      if (isActive === 'true' || isActive === 'false') {
+        query.isActive = isActive === 'true';
+      }
+
+      const templates = await RecurringVoucher.find(query)
+        .populate('entries.accountId', 'code name type')
+        .populate('createdBy', 'name email')
+        .sort({ isActive: -1, nextRunDate: 1, name: 1 });
+
+      const now = new Date();
+
+      const recurringVouchers = templates.map((template) => {
+        const dueRuns = template.isActive ? template.getRuns({ to: now }) : [];
+
+        return {
+          ...template.toObject(),
+          amount: template.entries
+            .filter((entry) => entry.type === 'debit')
+            .reduce((sum, entry) => sum + entry.amount, 0),
+          upcomingRuns: template.isActive ? template.getUpcomingRuns(upcomingCount) : [],
+          dueCount: dueRuns.length,
+          generatedRuns: template.generatedRuns.slice(-5).reverse(),
+          generatedCount: template.generatedRuns.length,
+        };
+      });
+
+      // Next runs across all active templates
+      const upcoming = recurringVouchers
+        .flatMap((template) =>
+          template.upcomingRuns.map((run) => ({
+            ...run,
+            recurringVoucherId: template._id,
+            name: template.name,
+            voucherType: template.voucherType,
+            amount: template.amount,
+            autoPost: template.autoPost,
+          }))
+        )
+        .sort((a, b) => new Date(a.runDate) - new Date(b.runDate))
+        .slice(0, 20);
+
+      logger.info('Recurring vouchers fetched', {
+        count: recurringVouchers.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        recurringVouchers,
+        upcoming,
+        summary: {
+          total: recurringVouchers.length,
+          active: recurringVouchers.filter((template) => template.isActive).length,
+          due: recurringVouchers.reduce((sum, template) => sum + template.dueCount, 0),
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching recurring vouchers', error);
+
+      return errorResponse(
+        'Failed to fetch recurring vouchers',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/recurring-vouchers
+ * Create a recurring voucher template
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+
+      logger.info('Creating recurring voucher', {
+        userId: request.user._id,
+        name: body.name,
+      });
+
+      const errors = await RecurringVoucher.validateInput(request.user.organizationId, body);
+
+      if (Object.keys(errors).length > 0) {
+        logger.warning('Recurring voucher validation failed', { errors });
+        return validationError(errors);
+      }
+
+      const recurringVoucher = new RecurringVoucher({
+        organizationId: request.user.organizationId,
+        name: body.name.trim(),
+        voucherType: body.voucherType,
+        narration: body.narration.trim(),
+        entries: body.entries.map((entry) => ({
+          accountId: entry.accountId,
+          type: entry.type,
+          amount: parseFloat(entry.amount),
+          description: entry.description || '',
+        })),
+        frequency: body.frequency,
+        dayOfMonth: body.dayOfMonth ? parseInt(body.dayOfMonth) : undefined,
+        startDate: new Date(body.startDate),
+        endDate: body.endDate ? new Date(body.endDate) : undefined,
+        autoPost: !!body.autoPost,
+        isActive: body.isActive !== false,
+        createdBy: request.user._id,
+        updatedBy: request.user._id,
+      });
+
+      const validation = recurringVoucher.validateTemplate();
+      if (!validation.isValid) {
+        return errorResponse('Template validation failed', 400, { errors: validation.errors });
+      }
+
+      await recurringVoucher.save();
+
+      logger.success('Recurring voucher created', {
+        recurringVoucherId: recurringVoucher._id,
+        nextRunDate: recurringVoucher.nextRunDate,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        {
+          recurringVoucher,
+          upcomingRuns: recurringVoucher.getUpcomingRuns(),
+        },
+        'Recurring voucher created successfully',
+        201
+      );
+    } catch (error) {
+      logger.error('Error creating recurring voucher', error);
+
+      return errorResponse(
+        'Failed to create recurring voucher',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
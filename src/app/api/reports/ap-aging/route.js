@@ -0,0 +1,62 @@
+/**
+ * Accounts Payable Aging API
+ * Outstanding purchase invoices in 0-30 / 31-60 / 61-90 / 90+ day buckets
+ * per supplier as at any date
+ */
+
+import connectDB from '@/lib/mongodb';
+import Supplier from '@/models/Supplier';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/reports/ap-aging?asAt=2024-09-30&supplierId=xxx&basis=due_date
+ * asAt defaults to today; basis is due_date (days past due, default) or
+ * invoice_date (days since the invoice)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const asAtParam = searchParams.get('asAt');
+      const supplierId = searchParams.get('supplierId');
+      const basis = searchParams.get('basis') || 'due_date';
+
+      if (!['due_date', 'invoice_date'].includes(basis)) {
+        return errorResponse('Basis must be due_date or invoice_date', 400);
+      }
+
+      // Include the whole as-at day
+      const asAt = asAtParam
+        ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(asAtParam) ? `${asAtParam}T23:59:59.999` : asAtParam)
+        : new Date();
+
+      if (isNaN(asAt.getTime())) {
+        return errorResponse('Invalid as-at date', 400);
+      }
+
+      const aging = await Supplier.getAgingReport(request.user.organizationId._id, {
+        asAt,
+        supplierId,
+        basis,
+      });
+
+      return successResponse({
+        ...aging,
+        currency: ExchangeRate.getBaseCurrency(request.user.organizationId),
+      });
+    } catch (error) {
+      logger.error('Error generating AP aging', error);
+
+      return errorResponse(
+        'Failed to generate payables aging',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,217 @@
+/**
+ * Cash Flow Statement API (indirect method)
+ * Derives operating, investing and financing cash flows from net profit and
+ * balance-sheet movements between two dates, reconciled against the actual
+ * movement in cash/bank accounts. Depreciation is added back to operating
+ * activities as a non-cash item.
+ */
+
+import connectDB from '@/lib/mongodb';
+import Account, { ACCUMULATED_DEPRECIATION_CODE, CASH_ACCOUNT_CODES } from '@/models/Account';
+import LedgerEntry from '@/models/LedgerEntry';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+// Balance-sheet categories by activity (cash accounts are taken out first)
+const ACTIVITY_BY_CATEGORY = {
+  current_asset: 'operating',
+  current_liability: 'operating',
+  fixed_asset: 'investing',
+  other_asset: 'investing',
+  long_term_liability: 'financing',
+  other_liability: 'financing',
+  owner_equity: 'financing',
+  retained_earnings: 'financing',
+};
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+// Cash and cash equivalents: bank accounts plus cash in hand / petty cash
+const isCashAccount = (account) =>
+  account.type === 'asset' &&
+  account.category === 'current_asset' &&
+  (account.isBankAccount || CASH_ACCOUNT_CODES.includes(account.code));
+
+// Accumulated depreciation / amortization: contra fixed-asset accounts (credit
+// normal balance) whose movement is the non-cash charge already deducted in
+// net profit
+const isAccumulatedDepreciation = (account) =>
+  account.type === 'asset' &&
+  account.category === 'fixed_asset' &&
+  (account.normalBalance === 'credit' || account.code === ACCUMULATED_DEPRECIATION_CODE);
+
+/**
+ * GET /api/reports/cash-flow?startDate=xxx&endDate=xxx
+ * Get cash flow statement (defaults to the current month)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const today = new Date();
+
+      const startDate = searchParams.get('startDate')
+        ? new Date(`${searchParams.get('startDate')}T00:00:00`)
+        : new Date(today.getFullYear(), today.getMonth(), 1);
+      const endDate = searchParams.get('endDate')
+        ? new Date(`${searchParams.get('endDate')}T23:59:59.999`)
+        : new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59, 999);
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        return errorResponse('Invalid date range', 400);
+      }
+
+      if (startDate > endDate) {
+        return errorResponse('Start date must be before end date', 400);
+      }
+
+      // All posting accounts
+      const accounts = await Account.find({
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+        isGroup: false,
+      })
+        .select('code name type category normalBalance openingBalance isBankAccount')
+        .sort({ code: 1 })
+        .lean();
+
+      const cashAccounts = accounts.filter(isCashAccount);
+
+      // Period movements. Closing entries only move profit into retained earnings,
+      // which is already covered by net profit.
+      const periodTotals = await LedgerEntry.getTotalsByAccount(request.user.organizationId, {
+        startDate,
+        endDate,
+        excludeReferenceTypes: ['closing'],
+      });
+
+      // Cash balances before the period
+      const openingCashTotals = await LedgerEntry.getTotalsByAccount(request.user.organizationId, {
+        endDate: new Date(startDate.getTime() - 1),
+        accountIds: cashAccounts.map((account) => account._id),
+      });
+
+      const activities = {
+        operating: { netProfit: 0, items: [], total: 0 },
+        investing: { items: [], total: 0 },
+        financing: { items: [], total: 0 },
+      };
+
+      const cash = {
+        accounts: [],
+        openingBalance: 0,
+        closingBalance: 0,
+        movement: 0,
+      };
+
+      for (const account of accounts) {
+        const totals = periodTotals.get(account._id.toString()) || { debit: 0, credit: 0 };
+
+        if (isCashAccount(account)) {
+          const opening = openingCashTotals.get(account._id.toString()) || { debit: 0, credit: 0 };
+          const openingBalance = round((account.openingBalance || 0) + opening.debit - opening.credit);
+          const movement = round(totals.debit - totals.credit);
+
+          cash.accounts.push({
+            _id: account._id,
+            code: account.code,
+            name: account.name,
+            isBankAccount: account.isBankAccount,
+            openingBalance,
+            movement,
+            closingBalance: round(openingBalance + movement),
+          });
+          cash.openingBalance += openingBalance;
+          cash.movement += movement;
+          continue;
+        }
+
+        // Cash effect of every non-cash account is its net credit movement
+        const effect = totals.credit - totals.debit;
+
+        if (account.type === 'revenue' || account.type === 'expense') {
+          activities.operating.netProfit += effect;
+          continue;
+        }
+
+        if (Math.abs(effect) < 0.01) continue;
+
+        if (isAccumulatedDepreciation(account)) {
+          activities.operating.items.push({
+            _id: account._id,
+            code: account.code,
+            name: account.name,
+            type: account.type,
+            category: account.category,
+            description: effect > 0 ? `Add back: ${account.name} (non-cash)` : `Decrease in ${account.name}`,
+            amount: round(effect),
+            nonCash: true,
+          });
+          activities.operating.total += effect;
+          continue;
+        }
+
+        const activity = ACTIVITY_BY_CATEGORY[account.category] || (account.type === 'asset' ? 'investing' : 'financing');
+        const increased = account.type === 'asset' ? effect < 0 : effect > 0;
+
+        activities[activity].items.push({
+          _id: account._id,
+          code: account.code,
+          name: account.name,
+          type: account.type,
+          category: account.category,
+          description: `${increased ? 'Increase' : 'Decrease'} in ${account.name}`,
+          amount: round(effect),
+        });
+        activities[activity].total += effect;
+      }
+
+      activities.operating.netProfit = round(activities.operating.netProfit);
+      activities.operating.total = round(activities.operating.netProfit + activities.operating.total);
+      activities.investing.total = round(activities.investing.total);
+      activities.financing.total = round(activities.financing.total);
+
+      cash.openingBalance = round(cash.openingBalance);
+      cash.movement = round(cash.movement);
+      cash.closingBalance = round(cash.openingBalance + cash.movement);
+
+      const netChange = round(
+        activities.operating.total + activities.investing.total + activities.financing.total
+      );
+      const difference = round(netChange - cash.movement);
+
+      logger.info('Cash flow statement retrieved', {
+        startDate,
+        endDate,
+        netChange,
+        isReconciled: Math.abs(difference) < 0.01,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        period: { startDate, endDate },
+        ...activities,
+        netChange,
+        cash,
+        reconciliation: {
+          calculated: netChange,
+          actual: cash.movement,
+          difference,
+          isReconciled: Math.abs(difference) < 0.01,
+        },
+        generatedAt: new Date(),
+      });
+    } catch (error) {
+      logger.error('Error generating cash flow statement', error);
+
+      return errorResponse(
+        'Failed to generate cash flow statement',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,146 @@
+/**
+ * Inventory Valuation API
+ * Quantity and value of stock per product and warehouse as at any date,
+ * from the stock ledger, tied to the inventory account balances
+ */
+
+import connectDB from '@/lib/mongodb';
+import StockMovement from '@/models/StockMovement';
+import Product from '@/models/Product';
+import Account from '@/models/Account';
+import LedgerEntry from '@/models/LedgerEntry';
+import ExchangeRate from '@/models/ExchangeRate';
+import { getCostingMethod } from '@/services/stock-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * GET /api/reports/inventory-valuation?asAt=2024-09-30
+ * asAt defaults to today. Each inventory account's stock value is compared
+ * with its ledger balance; a difference means stock moved without a posting
+ * to that account (or the account was posted to directly).
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const asAtParam = searchParams.get('asAt');
+
+      // Include the whole as-at day
+      const asAt = asAtParam
+        ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(asAtParam) ? `${asAtParam}T23:59:59.999` : asAtParam)
+        : new Date();
+
+      if (isNaN(asAt.getTime())) {
+        return errorResponse('Invalid as-at date', 400);
+      }
+
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+
+      const balances = (await StockMovement.getBalances(organizationId, { asOf: asAt })).filter(
+        (balance) => balance.onHand !== 0 || balance.value !== 0
+      );
+
+      const products = await Product.find({
+        _id: { $in: balances.map((balance) => balance.productId) },
+        organizationId,
+      })
+        .setOptions({ includeDeleted: true })
+        .select('sku name unit inventoryAccountId');
+      const productMap = new Map(products.map((product) => [String(product._id), product]));
+
+      const { inventoryAccount } = await StockMovement.findInventoryAccounts(organizationId);
+      const stockByAccount = new Map();
+
+      if (inventoryAccount) {
+        stockByAccount.set(String(inventoryAccount._id), 0);
+      }
+
+      const items = balances
+        .map((balance) => {
+          const product = productMap.get(String(balance.productId));
+          const accountId = product?.inventoryAccountId || inventoryAccount?._id || null;
+
+          if (accountId) {
+            const key = String(accountId);
+            stockByAccount.set(key, round((stockByAccount.get(key) || 0) + balance.value));
+          }
+
+          return {
+            productId: balance.productId,
+            sku: product?.sku,
+            name: product?.name,
+            unit: product?.unit,
+            warehouse: balance.warehouse,
+            quantity: balance.onHand,
+            value: balance.value,
+            averageCost: balance.onHand > 0 ? parseFloat((balance.value / balance.onHand).toFixed(4)) : 0,
+            inventoryAccountId: accountId,
+          };
+        })
+        .sort((a, b) => (a.sku || '').localeCompare(b.sku || '') || a.warehouse.localeCompare(b.warehouse));
+
+      // Ledger balance of each inventory account as at the date
+      const accountIds = [...stockByAccount.keys()];
+      const [accountDocs, ledgerTotals] = await Promise.all([
+        Account.find({ _id: { $in: accountIds }, organizationId }).select('code name openingBalance'),
+        LedgerEntry.getTotalsByAccount(organizationId, { endDate: asAt, accountIds }),
+      ]);
+
+      const accounts = accountDocs
+        .map((account) => {
+          const totals = ledgerTotals.get(String(account._id)) || { debit: 0, credit: 0 };
+          const stockValue = stockByAccount.get(String(account._id)) || 0;
+          const ledgerBalance = round((account.openingBalance || 0) + totals.debit - totals.credit);
+
+          return {
+            accountId: account._id,
+            code: account.code,
+            name: account.name,
+            stockValue,
+            ledgerBalance,
+            difference: round(stockValue - ledgerBalance),
+          };
+        })
+        .sort((a, b) => a.code.localeCompare(b.code));
+
+      const totals = {
+        value: round(items.reduce((sum, item) => sum + item.value, 0)),
+        ledgerBalance: round(accounts.reduce((sum, account) => sum + account.ledgerBalance, 0)),
+      };
+      totals.difference = round(totals.value - totals.ledgerBalance);
+
+      logger.info('Inventory valuation retrieved', {
+        asAt,
+        items: items.length,
+        value: totals.value,
+        difference: totals.difference,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        asAt,
+        costingMethod: await getCostingMethod(organizationId),
+        currency: ExchangeRate.getBaseCurrency(request.user.organizationId),
+        items,
+        accounts,
+        totals,
+        isReconciled: accounts.every((account) => Math.abs(account.difference) < 0.01),
+        generatedAt: new Date(),
+      });
+    } catch (error) {
+      logger.error('Error generating inventory valuation', error);
+
+      return errorResponse(
+        'Failed to generate inventory valuation',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
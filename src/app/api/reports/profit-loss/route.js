@@ -0,0 +1,217 @@
+/**
+ * Profit & Loss API
+ * Returns income statement (gross, operating and net profit) with
+ * previous-period and same-period-last-year comparison columns
+ */
+
+import connectDB from '@/lib/mongodb';
+import Account from '@/models/Account';
+import LedgerEntry from '@/models/LedgerEntry';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import { getComparisonPeriods } from '@/utils/reportPeriods';
+
+// Statement sections in presentation order
+const SECTIONS = [
+  { key: 'revenue', title: 'Revenue', type: 'revenue', categories: ['sales_revenue'] },
+  { key: 'costOfSales', title: 'Cost of Goods Sold', type: 'expense', categories: ['cost_of_goods_sold'] },
+  { key: 'operatingExpenses', title: 'Operating Expenses', type: 'expense', categories: ['operating_expense'] },
+  { key: 'otherIncome', title: 'Other Income', type: 'revenue', categories: ['other_revenue'] },
+  { key: 'financeCosts', title: 'Finance Costs', type: 'expense', categories: ['financial_expense'] },
+  { key: 'otherExpenses', title: 'Other Expenses', type: 'expense', categories: ['other_expense'] },
+];
+
+const COLUMNS = ['current', 'previous', 'lastYear'];
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Add change and change % against the comparison columns
+ */
+function withVariance(amounts) {
+  const variance = (base) => ({
+    change: round(amounts.current - base),
+    percent: Math.abs(base) >= 0.01 ? round(((amounts.current - base) / Math.abs(base)) * 100) : null,
+  });
+
+  const previous = variance(amounts.previous);
+  const lastYear = variance(amounts.lastYear);
+
+  return {
+    current: round(amounts.current),
+    previous: round(amounts.previous),
+    lastYear: round(amounts.lastYear),
+    previousChange: previous.change,
+    previousChangePercent: previous.percent,
+    lastYearChange: lastYear.change,
+    lastYearChangePercent: lastYear.percent,
+  };
+}
+
+const combine = (operation, ...terms) =>
+  COLUMNS.reduce((result, column) => {
+    result[column] = terms.reduce(
+      (sum, term, index) => (index === 0 ? term[column] : operation(sum, term[column])),
+      0
+    );
+    return result;
+  }, {});
+
+/**
+ * GET /api/reports/profit-loss?startDate=xxx&endDate=xxx
+ * Get profit & loss statement (defaults to the current month)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const today = new Date();
+
+      const startDate = searchParams.get('startDate')
+        ? new Date(`${searchParams.get('startDate')}T00:00:00`)
+        : new Date(today.getFullYear(), today.getMonth(), 1);
+      const endDate = searchParams.get('endDate')
+        ? new Date(`${searchParams.get('endDate')}T23:59:59.999`)
+        : new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59, 999);
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        return errorResponse('Invalid date range', 400);
+      }
+
+      if (startDate > endDate) {
+        return errorResponse('Start date must be before end date', 400);
+      }
+
+      const periods = {
+        current: { startDate, endDate },
+        ...getComparisonPeriods(startDate, endDate),
+      };
+
+      // Posting revenue and expense accounts
+      const accounts = await Account.find({
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+        isGroup: false,
+        type: { $in: ['revenue', 'expense'] },
+      })
+        .select('code name type category')
+        .sort({ code: 1 })
+        .lean();
+
+      const accountIds = accounts.map((account) => account._id);
+
+      // Year-end closing entries would zero out revenue/expense for the year
+      const totalsByPeriod = {};
+      for (const column of COLUMNS) {
+        totalsByPeriod[column] = await LedgerEntry.getTotalsByAccount(request.user.organizationId, {
+          ...periods[column],
+          accountIds,
+          excludeReferenceTypes: ['closing'],
+        });
+      }
+
+      // Build sections
+      const sections = SECTIONS.map((section) => ({ ...section, accounts: [] }));
+      const sectionByCategory = new Map();
+      sections.forEach((section) => {
+        section.categories.forEach((category) => sectionByCategory.set(category, section));
+      });
+
+      for (const account of accounts) {
+        const section =
+          sectionByCategory.get(account.category)?.type === account.type
+            ? sectionByCategory.get(account.category)
+            : sections.find((s) => s.key === (account.type === 'revenue' ? 'otherIncome' : 'otherExpenses'));
+
+        const amounts = {};
+        for (const column of COLUMNS) {
+          const totals = totalsByPeriod[column].get(account._id.toString()) || { debit: 0, credit: 0 };
+          amounts[column] = account.type === 'revenue' ? totals.credit - totals.debit : totals.debit - totals.credit;
+        }
+
+        if (COLUMNS.every((column) => Math.abs(amounts[column]) < 0.01)) continue;
+
+        section.accounts.push({
+          _id: account._id,
+          code: account.code,
+          name: account.name,
+          category: account.category,
+          amounts: withVariance(amounts),
+        });
+      }
+
+      const sectionTotals = {};
+      sections.forEach((section) => {
+        const total = COLUMNS.reduce((result, column) => {
+          result[column] = section.accounts.reduce((sum, account) => sum + account.amounts[column], 0);
+          return result;
+        }, {});
+
+        sectionTotals[section.key] = total;
+        section.total = withVariance(total);
+        delete section.categories;
+      });
+
+      // Gross -> operating -> net profit
+      const subtract = (a, b) => a - b;
+      const add = (a, b) => a + b;
+
+      const grossProfit = combine(subtract, sectionTotals.revenue, sectionTotals.costOfSales);
+      const operatingProfit = combine(subtract, grossProfit, sectionTotals.operatingExpenses);
+      const netProfit = combine(
+        subtract,
+        combine(add, operatingProfit, sectionTotals.otherIncome),
+        combine(add, sectionTotals.financeCosts, sectionTotals.otherExpenses)
+      );
+
+      const margin = (profit) =>
+        COLUMNS.reduce((result, column) => {
+          const revenue = sectionTotals.revenue[column];
+          result[column] = Math.abs(revenue) >= 0.01 ? round((profit[column] / revenue) * 100) : null;
+          return result;
+        }, {});
+
+      const summary = {
+        revenue: withVariance(sectionTotals.revenue),
+        costOfSales: withVariance(sectionTotals.costOfSales),
+        grossProfit: withVariance(grossProfit),
+        operatingExpenses: withVariance(sectionTotals.operatingExpenses),
+        operatingProfit: withVariance(operatingProfit),
+        otherIncome: withVariance(sectionTotals.otherIncome),
+        financeCosts: withVariance(sectionTotals.financeCosts),
+        otherExpenses: withVariance(sectionTotals.otherExpenses),
+        netProfit: withVariance(netProfit),
+        margins: {
+          gross: margin(grossProfit),
+          operating: margin(operatingProfit),
+          net: margin(netProfit),
+        },
+      };
+
+      logger.info('Profit & loss retrieved', {
+        startDate,
+        endDate,
+        netProfit: summary.netProfit.current,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        periods,
+        sections,
+        summary,
+        generatedAt: new Date(),
+      });
+    } catch (error) {
+      logger.error('Error generating profit & loss', error);
+
+      return errorResponse(
+        'Failed to generate profit & loss',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -1,12 +1,12 @@
 /**
  * Trial Balance API
- * Returns trial balance showing all accounts with debit/credit totals
+ * Returns trial balance showing opening, period and closing balances per account
  */
 
 import connectDB from '@/lib/mongodb';
-import Account from '@/models/Account';
 import LedgerEntry from '@/models/LedgerEntry';
-import Organization from '@/models/Organization';
+import FiscalPeriod from '@/models/FiscalPeriod';
+import FiscalYearClosing from '@/models/FiscalYearClosing';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -14,6 +14,10 @@ import { withAuth } from '@/middleware/auth';
 /**
  * GET /api/reports/trial-balance?startDate=xxx&endDate=xxx&fiscalYear=xxx&fiscalPeriod=xxx
  * Get trial balance
+ * fiscalPeriod ("2024-01") or fiscalYear ("2024") are converted to a date range
+ * when startDate/endDate are not given. When the range starts on the first day
+ * of a fiscal year whose previous year is closed, the opening balances are
+ * checked against the balances carried forward by that closing.
  */
 export async function GET(request) {
   return withAuth(request, async (request) => {
@@ -21,139 +25,92 @@ export async function GET(request) {
       await connectDB();
 
       const { searchParams } = new URL(request.url);
-      const startDate = searchParams.get('startDate');
-      const endDate = searchParams.get('endDate');
+      let startDate = searchParams.get('startDate');
+      let endDate = searchParams.get('endDate');
       const fiscalYear = searchParams.get('fiscalYear');
       const fiscalPeriod = searchParams.get('fiscalPeriod');
 
-      // Get all active accounts
-      const accounts = await Account.find({
-        organizationId: request.user.organizationId,
-        isDeleted: false,
-        isActive: true,
-        isGroup: false, // Only leaf accounts
-      }).sort({ code: 1 });
-
-      const trialBalanceData = [];
-      let grandTotalDebit = 0;
-      let grandTotalCredit = 0;
-
-      // For each account, calculate debit and credit totals
-      for (const account of accounts) {
-        // Build query for ledger entries
-        const query = {
-          organizationId: request.user.organizationId,
-          accountId: account._id,
-          status: 'active',
-        };
-
-        // Date range filter
-        if (startDate || endDate) {
-          query.entryDate = {};
-          if (startDate) query.entryDate.$gte = new Date(startDate);
-          if (endDate) query.entryDate.$lte = new Date(endDate);
-        }
-
-        // Fiscal period filter
-        if (fiscalYear) {
-          query.fiscalYear = fiscalYear;
-        }
+      if (!startDate && !endDate) {
         if (fiscalPeriod) {
-          query.fiscalPeriod = fiscalPeriod;
-        }
-
-        // Get all entries for this account
-        const entries = await LedgerEntry.find(query);
-
-        let debitTotal = 0;
-        let creditTotal = 0;
-
-        entries.forEach(entry => {
-          if (entry.type === 'debit') {
-            debitTotal += entry.amount;
-          } else if (entry.type === 'credit') {
-            creditTotal += entry.amount;
+          if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(fiscalPeriod)) {
+            return errorResponse('Fiscal period must be in format YYYY-MM', 400);
           }
-        });
-
-        // Calculate net balance
-        let netDebit = 0;
-        let netCredit = 0;
-
-        if (account.normalBalance === 'debit') {
-          // For debit normal balance accounts (Assets, Expenses)
-          const balance = (account.openingBalance || 0) + debitTotal - creditTotal;
-          if (balance >= 0) {
-            netDebit = balance;
-          } else {
-            netCredit = Math.abs(balance);
-          }
-        } else {
-          // For credit normal balance accounts (Liabilities, Equity, Revenue)
-          const balance = (account.openingBalance || 0) + creditTotal - debitTotal;
-          if (balance >= 0) {
-            netCredit = balance;
-          } else {
-            netDebit = Math.abs(balance);
+          ({ startDate, endDate } = FiscalPeriod.getPeriodRange(fiscalPeriod));
+        } else if (fiscalYear) {
+          if (!/^\d{4}$/.test(fiscalYear)) {
+            return errorResponse('Fiscal year must be in format YYYY', 400);
           }
+          startDate = FiscalPeriod.getPeriodRange(`${fiscalYear}-01`).startDate;
+          endDate = FiscalPeriod.getPeriodRange(`${fiscalYear}-12`).endDate;
         }
+      } else if (endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        // Include the whole end day
+        endDate = new Date(`${endDate}T23:59:59.999`);
+      }
+
+      if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+        return errorResponse('Invalid date range', 400);
+      }
 
-        // Only include accounts with activity
-        if (debitTotal > 0 || creditTotal > 0 || account.openingBalance !== 0) {
-          trialBalanceData.push({
-            account: {
-              _id: account._id,
-              code: account.code,
-              name: account.name,
-              type: account.type,
-              category: account.category,
-              normalBalance: account.normalBalance,
-            },
-            openingBalance: account.openingBalance || 0,
-            debitTotal: parseFloat(debitTotal.toFixed(2)),
-            creditTotal: parseFloat(creditTotal.toFixed(2)),
-            netDebit: parseFloat(netDebit.toFixed(2)),
-            netCredit: parseFloat(netCredit.toFixed(2)),
-            currentBalance: account.currentBalance || 0,
-          });
+      const { trialBalance, totals, isBalanced } = await LedgerEntry.getTrialBalance(
+        request.user.organizationId,
+        { startDate, endDate }
+      );
 
-          grandTotalDebit += netDebit;
-          grandTotalCredit += netCredit;
+      // Balances brought forward by the previous year's closing
+      let broughtForward = null;
+      if (startDate) {
+        const organization = request.user.organizationId;
+        // Date-only values are the local day, as fiscal years are
+        const from = /^\d{4}-\d{2}-\d{2}$/.test(startDate)
+          ? new Date(`${startDate}T00:00:00`)
+          : new Date(startDate);
+
+        if (organization.getFiscalYear(from).startDate.getTime() === from.getTime()) {
+          const closing = await FiscalYearClosing.findForOpeningYear(organization, from);
+
+          if (closing) {
+            const differences = (await closing.getOpeningBalances()).filter(
+              (item) => Math.abs(item.difference) >= 0.01
+            );
+
+            broughtForward = {
+              closingId: closing._id,
+              fiscalYear: closing.fiscalYear,
+              matchesLedger: differences.length === 0,
+              differences,
+            };
+          }
         }
       }
 
-      // Group by account type
+      // Group posting accounts by account type
+      const postingAccounts = trialBalance.filter(item => !item.account.isGroup);
       const groupedByType = {
-        asset: trialBalanceData.filter(item => item.account.type === 'asset'),
-        liability: trialBalanceData.filter(item => item.account.type === 'liability'),
-        equity: trialBalanceData.filter(item => item.account.type === 'equity'),
-        revenue: trialBalanceData.filter(item => item.account.type === 'revenue'),
-        expense: trialBalanceData.filter(item => item.account.type === 'expense'),
+        asset: postingAccounts.filter(item => item.account.type === 'asset'),
+        liability: postingAccounts.filter(item => item.account.type === 'liability'),
+        equity: postingAccounts.filter(item => item.account.type === 'equity'),
+        revenue: postingAccounts.filter(item => item.account.type === 'revenue'),
+        expense: postingAccounts.filter(item => item.account.type === 'expense'),
       };
 
-      const isBalanced = Math.abs(grandTotalDebit - grandTotalCredit) < 0.01;
-      const difference = grandTotalDebit - grandTotalCredit;
-
       logger.info('Trial balance retrieved', {
-        accountsCount: trialBalanceData.length,
-        grandTotalDebit,
-        grandTotalCredit,
+        accountsCount: trialBalance.length,
+        grandTotalDebit: totals.debit,
+        grandTotalCredit: totals.credit,
         isBalanced,
         userId: request.user._id,
       });
 
       return successResponse({
-        trialBalance: trialBalanceData,
+        trialBalance,
         groupedByType,
-        totals: {
-          debit: parseFloat(grandTotalDebit.toFixed(2)),
-          credit: parseFloat(grandTotalCredit.toFixed(2)),
-          difference: parseFloat(difference.toFixed(2)),
-        },
+        totals,
         isBalanced,
+        broughtForward,
         period: {
-          startDate: startDate || null,
-          endDate: endDate || null,
+          startDate: startDate ? new Date(startDate) : null,
+          endDate: endDate ? new Date(endDate) : null,
           fiscalYear: fiscalYear || null,
           fiscalPeriod: fiscalPeriod || null,
         },
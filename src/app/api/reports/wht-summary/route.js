@@ -0,0 +1,144 @@
+/**
+ * Withholding Tax Summary API
+ * Monthly summary of income tax and sales tax withheld from supplier
+ * payments, for filing the withholding statements and deposit challans
+ */
+
+import connectDB from '@/lib/mongodb';
+import SupplierPayment from '@/models/SupplierPayment';
+import Supplier from '@/models/Supplier';
+import ExchangeRate from '@/models/ExchangeRate';
+import FiscalPeriod from '@/models/FiscalPeriod';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * GET /api/reports/wht-summary?month=2024-01
+ * Defaults to the current month
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const now = new Date();
+      const month =
+        searchParams.get('month') || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        return errorResponse('Month must be in format YYYY-MM', 400);
+      }
+
+      const { startDate, endDate } = FiscalPeriod.getPeriodRange(month);
+
+      const lines = await SupplierPayment.getWithholdingLines(request.user.organizationId, {
+        startDate,
+        endDate,
+      });
+
+      const suppliers = await Supplier.find({
+        _id: { $in: [...new Set(lines.map((line) => line.supplierId.toString()))] },
+      })
+        .select('supplierCode companyName ntn strn filerStatus')
+        .lean();
+
+      const supplierMap = new Map(suppliers.map((supplier) => [supplier._id.toString(), supplier]));
+
+      // Totals per tax type, section and rate (one row per return line)
+      const sectionMap = new Map();
+      // Per supplier, tax type, section and rate (statement detail)
+      const detailMap = new Map();
+
+      for (const line of lines) {
+        const sectionKey = `${line.taxType}|${line.section}|${line.rate}`;
+        const section = sectionMap.get(sectionKey) || {
+          taxType: line.taxType,
+          section: line.section,
+          rate: line.rate,
+          payments: new Set(),
+          suppliers: new Set(),
+          baseAmount: 0,
+          amount: 0,
+        };
+        section.payments.add(line.paymentId.toString());
+        section.suppliers.add(line.supplierId.toString());
+        section.baseAmount += line.baseAmount;
+        section.amount += line.amount;
+        sectionMap.set(sectionKey, section);
+
+        const detailKey = `${line.supplierId}|${sectionKey}`;
+        const supplier = supplierMap.get(line.supplierId.toString()) || {};
+        const detail = detailMap.get(detailKey) || {
+          supplierId: line.supplierId,
+          supplierCode: supplier.supplierCode,
+          companyName: supplier.companyName,
+          ntn: supplier.ntn,
+          strn: supplier.strn,
+          filerStatus: supplier.filerStatus || 'filer',
+          taxType: line.taxType,
+          section: line.section,
+          rate: line.rate,
+          payments: new Set(),
+          baseAmount: 0,
+          amount: 0,
+        };
+        detail.payments.add(line.paymentNumber);
+        detail.baseAmount += line.baseAmount;
+        detail.amount += line.amount;
+        detailMap.set(detailKey, detail);
+      }
+
+      const summary = [...sectionMap.values()]
+        .map((section) => ({
+          ...section,
+          payments: section.payments.size,
+          suppliers: section.suppliers.size,
+          baseAmount: round(section.baseAmount),
+          amount: round(section.amount),
+        }))
+        .sort((a, b) => a.taxType.localeCompare(b.taxType) || a.section.localeCompare(b.section) || a.rate - b.rate);
+
+      const details = [...detailMap.values()]
+        .map((detail) => ({
+          ...detail,
+          payments: [...detail.payments],
+          baseAmount: round(detail.baseAmount),
+          amount: round(detail.amount),
+        }))
+        .sort((a, b) => (a.companyName || '').localeCompare(b.companyName || '') || a.taxType.localeCompare(b.taxType));
+
+      const totalOf = (type) =>
+        round(summary.filter((row) => row.taxType === type).reduce((sum, row) => sum + row.amount, 0));
+
+      const incomeTax = totalOf('income_tax');
+      const salesTax = totalOf('sales_tax');
+
+      return successResponse({
+        month,
+        period: { startDate, endDate },
+        currency: ExchangeRate.getBaseCurrency(request.user.organizationId),
+        summary,
+        details,
+        totals: {
+          incomeTax,
+          salesTax,
+          total: round(incomeTax + salesTax),
+          suppliers: supplierMap.size,
+          payments: new Set(lines.map((line) => line.paymentId.toString())).size,
+        },
+      });
+    } catch (error) {
+      logger.error('Error generating withholding tax summary', error);
+
+      return errorResponse(
+        'Failed to generate withholding tax summary',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,72 @@
+/**
+ * Cancel Sales Order API
+ * Cancels a sales order that has not been invoiced
+ */
+
+import connectDB from '@/lib/mongodb';
+import SalesOrder from '@/models/SalesOrder';
+import Quotation from '@/models/Quotation';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/sales-orders/[id]/cancel
+ * Cancel sales order
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      // Find sales order
+      const salesOrder = await SalesOrder.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!salesOrder) {
+        return errorResponse('Sales order not found', 404);
+      }
+
+      if (salesOrder.status === 'cancelled') {
+        return errorResponse('Sales order is already cancelled', 400);
+      }
+
+      // Draft invoices also hold quantities on the order
+      if (salesOrder.invoiceIds.length > 0) {
+        return errorResponse('Cannot cancel sales order that has invoices', 400);
+      }
+
+      await salesOrder.cancel(request.user._id);
+
+      // Reopen the quotation the order was converted from
+      if (salesOrder.quotationId) {
+        const quotation = await Quotation.findById(salesOrder.quotationId);
+        if (quotation && quotation.salesOrderId?.equals(salesOrder._id)) {
+          quotation.reopen(request.user._id);
+          await quotation.save();
+        }
+      }
+
+      logger.info('Sales order cancelled', {
+        salesOrderId: salesOrder._id,
+        orderNumber: salesOrder.orderNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse({ salesOrder }, 'Sales order cancelled successfully');
+    } catch (error) {
+      logger.error('Error cancelling sales order', error);
+
+      return errorResponse(
+        error.message || 'Failed to cancel sales order',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * Confirm Sales Order API
+ * Confirms a draft sales order so it can be invoiced
+ */
+
+import connectDB from '@/lib/mongodb';
+import SalesOrder from '@/models/SalesOrder';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/sales-orders/[id]/confirm
+ * Confirm sales order
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      // Find sales order
+      const salesOrder = await SalesOrder.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!salesOrder) {
+        return errorResponse('Sales order not found', 404);
+      }
+
+      if (salesOrder.status !== 'draft') {
+        return errorResponse('Only draft sales orders can be confirmed', 400);
+      }
+
+      await salesOrder.confirm(request.user._id);
+
+      await salesOrder.populate('customerId', 'name companyName email customerCode');
+      await salesOrder.populate('confirmedBy', 'name email');
+
+      logger.info('Sales order confirmed', {
+        salesOrderId: salesOrder._id,
+        orderNumber: salesOrder.orderNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse({ salesOrder }, 'Sales order confirmed successfully');
+    } catch (error) {
+      logger.error('Error confirming sales order', error);
+
+      return errorResponse(
+        error.message || 'Failed to confirm sales order',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Single Sales Order API
+ * Handles get, update, delete operations for a specific sales order
+ */
+
+import connectDB from '@/lib/mongodb';
+import SalesOrder from '@/models/SalesOrder';
+import Quotation from '@/models/Quotation';
+import Customer from '@/models/Customer';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/sales-orders/[id]
+ * Get a single sales order by ID
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const salesOrder = await SalesOrder.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      })
+        .populate('customerId', 'name companyName email phone mobile customerCode billingAddress')
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email')
+        .populate('confirmedBy', 'name email')
+        .populate('quotationId', 'quoteNumber quoteDate')
+        .populate('invoiceIds', 'invoiceNumber invoiceDate totalAmount status')
+        .lean();
+
+      if (!salesOrder) {
+        return errorResponse('Sales order not found', 404);
+      }
+
+      logger.info('Sales order retrieved', {
+        salesOrderId: salesOrder._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ salesOrder });
+    } catch (error) {
+      logger.error('Error fetching sales order', error);
+
+      return errorResponse(
+        'Failed to fetch sales order',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/sales-orders/[id]
+ * Update a sales order that has not been invoiced yet
+ */
+export async function PUT(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const body = await request.json();
+
+      // Find sales order
+      const salesOrder = await SalesOrder.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!salesOrder) {
+        return errorResponse('Sales order not found', 404);
+      }
+
+      // Check if sales order can be edited
+      if (salesOrder.status === 'cancelled') {
+        return errorResponse('Cannot edit cancelled sales order', 400);
+      }
+
+      if (salesOrder.invoiceIds.length > 0) {
+        return errorResponse('Cannot edit sales order that has invoices', 400);
+      }
+
+      // Validate customer if being changed
+      if (body.customerId && body.customerId !== salesOrder.customerId.toString()) {
+        const customer = await Customer.findOne({
+          _id: body.customerId,
+          organizationId: request.user.organizationId,
+          isDeleted: false,
+        });
+
+        if (!customer) {
+          return errorResponse('Customer not found', 404);
+        }
+      }
+
+      // Fields that should not be updated directly
+      const protectedFields = [
+        '_id',
+        'orderNumber',
+        'organizationId',
+        'status',
+        'quotationId',
+        'invoiceIds',
+        'confirmedAt',
+        'confirmedBy',
+        'createdBy',
+        'createdAt',
+        'isDeleted',
+        'deletedAt',
+        'deletedBy',
+      ];
+
+      // Remove protected fields from update
+      protectedFields.forEach((field) => delete body[field]);
+      (body.items || []).forEach((item) => delete item.invoicedQuantity);
+
+      // Update sales order
+      Object.assign(salesOrder, body);
+      salesOrder.updatedBy = request.user._id;
+
+      await salesOrder.save();
+
+      // Populate references
+      await salesOrder.populate('customerId', 'name companyName email customerCode');
+      await salesOrder.populate('updatedBy', 'name email');
+
+      logger.info('Sales order updated', {
+        salesOrderId: salesOrder._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ salesOrder }, 'Sales order updated successfully');
+    } catch (error) {
+      logger.error('Error updating sales order', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      return errorResponse(
+        'Failed to update sales order',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/sales-orders/[id]
+ * Soft delete a sales order that has not been invoiced
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      // Find sales order
+      const salesOrder = await SalesOrder.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!salesOrder) {
+        return errorResponse('Sales order not found', 404);
+      }
+
+      if (salesOrder.invoiceIds.length > 0) {
+        return errorResponse('Cannot delete sales order that has invoices', 400);
+      }
+
+      // Soft delete
+      salesOrder.isDeleted = true;
+      salesOrder.deletedAt = new Date();
+      salesOrder.deletedBy = request.user._id;
+      salesOrder.status = 'cancelled';
+
+      await salesOrder.save();
+
+      // Reopen the quotation the order was converted from
+      if (salesOrder.quotationId) {
+        const quotation = await Quotation.findById(salesOrder.quotationId);
+        if (quotation && quotation.salesOrderId?.equals(salesOrder._id)) {
+          quotation.reopen(request.user._id);
+          await quotation.save();
+        }
+      }
+
+      logger.info('Sales order deleted', {
+        salesOrderId: salesOrder._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ salesOrder }, 'Sales order deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting sales order', error);
+
+      return errorResponse(
+        'Failed to delete sales order',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
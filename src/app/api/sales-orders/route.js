@@ -0,0 +1,182 @@
+/**
+ * Sales Orders API
+ * Handles listing and creating sales orders
+ */
+
+import connectDB from '@/lib/mongodb';
+import SalesOrder from '@/models/SalesOrder';
+import Customer from '@/models/Customer';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/sales-orders
+ * List all sales orders
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const page = parseInt(searchParams.get('page')) || 1;
+      const limit = parseInt(searchParams.get('limit')) || 50;
+      const search = searchParams.get('search') || '';
+      const status = searchParams.get('status');
+      const customerId = searchParams.get('customerId');
+      const startDate = searchParams.get('startDate');
+      const endDate = searchParams.get('endDate');
+
+      // Build query
+      const query = {
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      };
+
+      // Add filters
+      if (status) {
+        query.status = status;
+      }
+
+      if (customerId) {
+        query.customerId = customerId;
+      }
+
+      // Date range filter
+      if (startDate || endDate) {
+        query.orderDate = {};
+        if (startDate) query.orderDate.$gte = new Date(startDate);
+        if (endDate) query.orderDate.$lte = new Date(endDate);
+      }
+
+      // Search functionality
+      if (search) {
+        query.$or = [
+          { orderNumber: { $regex: search, $options: 'i' } },
+          { referenceNumber: { $regex: search, $options: 'i' } },
+        ];
+      }
+
+      // Get total count
+      const total = await SalesOrder.countDocuments(query);
+
+      // Get sales orders with pagination
+      const salesOrders = await SalesOrder.find(query)
+        .populate('customerId', 'name companyName email customerCode')
+        .populate('createdBy', 'name email')
+        .populate('quotationId', 'quoteNumber')
+        .populate('invoiceIds', 'invoiceNumber status')
+        .sort({ orderDate: -1, orderNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+      logger.info('Sales orders listed', {
+        count: salesOrders.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        salesOrders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing sales orders', error);
+
+      return errorResponse(
+        'Failed to fetch sales orders',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/sales-orders
+ * Create a new draft sales order
+ * (orders from a quotation are created by POST /api/quotations/[id]/convert)
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+
+      // Validate customer exists
+      const customer = await Customer.findOne({
+        _id: body.customerId,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!customer) {
+        return errorResponse('Customer not found', 404);
+      }
+
+      // Generate order number if not provided
+      if (!body.orderNumber) {
+        body.orderNumber = await SalesOrder.generateOrderNumber(
+          request.user.organizationId,
+          body.fiscalYear
+        );
+      }
+
+      // Invoicing is tracked by the invoices raised against the order
+      delete body.quotationId;
+      delete body.invoiceIds;
+      (body.items || []).forEach((item) => delete item.invoicedQuantity);
+
+      // Create sales order
+      const salesOrder = new SalesOrder({
+        ...body,
+        organizationId: request.user.organizationId,
+        createdBy: request.user._id,
+        status: 'draft',
+      });
+
+      await salesOrder.save();
+
+      // Populate references
+      await salesOrder.populate('customerId', 'name companyName email customerCode');
+      await salesOrder.populate('createdBy', 'name email');
+
+      logger.info('Sales order created', {
+        salesOrderId: salesOrder._id,
+        orderNumber: salesOrder.orderNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse({ salesOrder }, 'Sales order created successfully', 201);
+    } catch (error) {
+      logger.error('Error creating sales order', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return errorResponse('Sales order number already exists', 400);
+      }
+
+      return errorResponse(
+        'Failed to create sales order',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
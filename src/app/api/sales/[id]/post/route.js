@@ -10,6 +10,8 @@ import Voucher from '@/models/Voucher';
 import LedgerEntry from '@/models/LedgerEntry';
 import Account from '@/models/Account';
 import Organization from '@/models/Organization';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { buildCostOfSalesEntries, recordSaleIssue } from '@/services/stock-service';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -51,6 +53,47 @@ export async function POST(request, { params }) {
         return errorResponse('Cannot post cancelled sale', 400);
       }
 
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        sale.saleDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
+      // Issue stock for product lines from the sale's warehouse
+      let stockMovements;
+      try {
+        stockMovements = await recordSaleIssue({
+          document: sale,
+          movementType: 'walk_in_sale',
+          userId: request.user._id,
+          session,
+        });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      // Cost of the stock issued: Dr COGS, Cr Inventory
+      let costEntries;
+      try {
+        costEntries = await buildCostOfSalesEntries({
+          organizationId: request.user.organizationId,
+          movements: stockMovements,
+          reference: `Receipt ${sale.receiptNumber}`,
+          session,
+        });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
       // Find or get default accounts
       // Cash Account (Debit - we received cash)
       let cashAccount = sale.cashAccountId
@@ -134,6 +177,9 @@ export async function POST(request, { params }) {
         });
       }
 
+      // Debit: Cost of Goods Sold, Credit: Inventory
+      voucherEntries.push(...costEntries);
+
       // Create voucher
       const voucher = new Voucher({
         voucherNumber,
@@ -160,7 +206,7 @@ export async function POST(request, { params }) {
       await voucher.save({ session });
 
       // Post voucher and create ledger entries
-      await voucher.post(request.user._id, session);
+      await voucher.post(request.user._id, { canOverrideLock });
       await LedgerEntry.createFromVoucher(voucher, request.user._id, session);
 
       // Post sale and link voucher
@@ -184,6 +230,8 @@ export async function POST(request, { params }) {
         receiptNumber: sale.receiptNumber,
         voucherId: voucher._id,
         voucherNumber: voucher.voucherNumber,
+        stockMovements: stockMovements.length,
+        costEntries: costEntries.length,
         userId: request.user._id,
       });
 
@@ -0,0 +1,251 @@
+/**
+ * Stock Item API
+ * Stock levels and ledger for one product, updating it (a changed quantity
+ * is booked as an adjustment) and removing it
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import Product from '@/models/Product';
+import StockMovement, { DEFAULT_WAREHOUSE } from '@/models/StockMovement';
+import { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { getStockLevels, recordAdjustment, toStockRow } from '@/services/stock-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth, withPermission } from '@/middleware/auth';
+
+/**
+ * GET /api/stocks/[id]
+ * Stock levels for a product and its movements, newest first
+ * Query: warehouse, limit (default 100)
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const { searchParams } = new URL(request.url);
+      const warehouse = searchParams.get('warehouse');
+      const limit = parseInt(searchParams.get('limit')) || 100;
+
+      const product = await Product.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        productType: 'goods',
+        isDeleted: false,
+      }).lean();
+
+      if (!product) {
+        return errorResponse('Stock item not found', 404);
+      }
+
+      const movementQuery = {
+        organizationId: request.user.organizationId,
+        productId: product._id,
+      };
+
+      if (warehouse) {
+        movementQuery.warehouse = warehouse.toUpperCase();
+      }
+
+      const [levels, movements] = await Promise.all([
+        getStockLevels(request.user.organizationId, [product], { warehouse }),
+        StockMovement.find(movementQuery)
+          .populate('createdBy', 'name email')
+          .sort({ movementDate: -1, createdAt: -1 })
+          .limit(limit)
+          .lean(),
+      ]);
+
+      return successResponse({
+        stock: toStockRow(product, levels.get(String(product._id))),
+        movements,
+      });
+    } catch (error) {
+      logger.error('Error fetching stock item', error);
+
+      return errorResponse(
+        'Failed to fetch stock item',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/stocks/[id]
+ * Update the product's stock fields. When quantity differs from the stock
+ * on hand in the warehouse, the difference is booked as an adjustment.
+ * Body: { stockName, hsCode, description, saleType, uoM, rate, quantity,
+ *   warehouse, unitCost, reason }
+ */
+export async function PUT(request, { params }) {
+  return withPermission(request, 'products.edit', async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+      const body = await request.json();
+
+      const product = await Product.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        productType: 'goods',
+        isDeleted: false,
+      }).session(session);
+
+      if (!product) {
+        await session.abortTransaction();
+        return errorResponse('Stock item not found', 404);
+      }
+
+      // Stock screen field names on the product
+      const fields = {
+        stockName: 'name',
+        hsCode: 'hsCode',
+        description: 'description',
+        saleType: 'saleType',
+        uoM: 'fbrUom',
+      };
+
+      for (const [field, path] of Object.entries(fields)) {
+        if (body[field] !== undefined) product[path] = body[field];
+      }
+
+      if (body.rate !== undefined) {
+        product.saleRate = parseFloat(body.rate) || 0;
+      }
+
+      product.updatedBy = request.user._id;
+      await product.save({ session });
+
+      // Book a counted quantity as an adjustment
+      let adjustment = null;
+      if (body.quantity !== undefined && body.quantity !== '') {
+        const warehouse = (body.warehouse || DEFAULT_WAREHOUSE).toUpperCase();
+        const [balance] = await StockMovement.getBalances(
+          request.user.organizationId,
+          { productIds: [product._id], warehouse },
+          session
+        );
+        const difference = parseFloat(((parseFloat(body.quantity) || 0) - (balance?.onHand || 0)).toFixed(4));
+
+        if (difference !== 0) {
+          try {
+            adjustment = await recordAdjustment({
+              organizationId: request.user.organizationId,
+              product,
+              warehouse,
+              quantity: difference,
+              unitCost: body.unitCost !== undefined ? parseFloat(body.unitCost) : undefined,
+              reason: body.reason || 'Stock count adjustment',
+              userId: request.user._id,
+              canOverrideLock: await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION),
+              session,
+            });
+          } catch (error) {
+            await session.abortTransaction();
+            return errorResponse(error.message, 400);
+          }
+        }
+      }
+
+      await session.commitTransaction();
+
+      const levels = await getStockLevels(request.user.organizationId, [product]);
+
+      logger.info('Stock item updated', {
+        productId: product._id,
+        sku: product.sku,
+        adjustment: adjustment?.quantity,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { ...toStockRow(product, levels.get(String(product._id))), adjustment },
+        'Stock item updated successfully'
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error updating stock item', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      return errorResponse(
+        'Failed to update stock item',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
+
+/**
+ * DELETE /api/stocks/[id]
+ * Soft delete the product once it has no stock on hand
+ */
+export async function DELETE(request, { params }) {
+  return withPermission(request, 'products.delete', async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const product = await Product.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        productType: 'goods',
+        isDeleted: false,
+      });
+
+      if (!product) {
+        return errorResponse('Stock item not found', 404);
+      }
+
+      const balances = await StockMovement.getBalances(request.user.organizationId, {
+        productIds: [product._id],
+      });
+      const onHand = balances.reduce((sum, balance) => sum + balance.onHand, 0);
+
+      if (Math.abs(onHand) > 0.0001) {
+        return errorResponse(`Cannot delete ${product.sku} with ${onHand} on hand. Adjust the stock to zero first.`, 400);
+      }
+
+      // Soft delete
+      product.isDeleted = true;
+      product.deletedAt = new Date();
+      product.deletedBy = request.user._id;
+      product.isActive = false;
+
+      await product.save();
+
+      logger.info('Stock item deleted', {
+        productId: product._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ product }, 'Stock item deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting stock item', error);
+
+      return errorResponse(
+        'Failed to delete stock item',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Stock Adjustments API
+ * Manual corrections to the stock ledger (counts, damage, write-offs),
+ * posted to the inventory and inventory adjustments accounts
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import Product from '@/models/Product';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { DEFAULT_WAREHOUSE } from '@/models/StockMovement';
+import { recordAdjustment } from '@/services/stock-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withPermission } from '@/middleware/auth';
+
+/**
+ * POST /api/stocks/adjustments
+ * Adjust a product's stock in a warehouse
+ * Body: { productId, warehouse, quantity (positive adds, negative removes),
+ *   unitCost (for additions, defaults to the purchase rate), reason, date }
+ */
+export async function POST(request) {
+  return withPermission(request, 'products.edit', async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const body = await request.json();
+      const date = body.date ? new Date(body.date) : new Date();
+
+      const product = await Product.findOne({
+        _id: body.productId,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!product) {
+        await session.abortTransaction();
+        return errorResponse('Product not found', 404);
+      }
+
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(request.user.organizationId, date, {
+        canOverride: canOverrideLock,
+      });
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
+      let movement;
+      try {
+        movement = await recordAdjustment({
+          organizationId: request.user.organizationId,
+          product,
+          warehouse: body.warehouse || DEFAULT_WAREHOUSE,
+          quantity: parseFloat(body.quantity),
+          unitCost: body.unitCost !== undefined && body.unitCost !== '' ? parseFloat(body.unitCost) : undefined,
+          reason: body.reason,
+          date,
+          userId: request.user._id,
+          canOverrideLock,
+          session,
+        });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      await session.commitTransaction();
+
+      logger.info('Stock adjusted', {
+        productId: product._id,
+        sku: product.sku,
+        warehouse: movement.warehouse,
+        quantity: movement.quantity,
+        totalCost: movement.totalCost,
+        userId: request.user._id,
+      });
+
+      return successResponse({ movement }, 'Stock adjusted successfully', 201);
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error adjusting stock', error);
+
+      return errorResponse(
+        'Failed to adjust stock',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * Inventory Costing API
+ * The organization's costing method for stock issues: moving weighted
+ * average or FIFO layers
+ */
+
+import connectDB from '@/lib/mongodb';
+import Organization from '@/models/Organization';
+import StockMovement from '@/models/StockMovement';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+const SETTINGS_PERMISSION = 'settings.edit';
+
+const COSTING_METHODS = Organization.schema.path('settings.costingMethod').enumValues;
+
+// Once stock has been issued the method is fixed, so past issues and the
+// remaining layers stay consistent with the inventory account
+async function hasIssuedStock(organizationId) {
+  return !!(await StockMovement.exists({ organizationId, quantity: { $lt: 0 } }));
+}
+
+/**
+ * GET /api/stocks/costing
+ * Current costing method and whether it can still be changed
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+      const organization = await Organization.findById(organizationId).select('settings.costingMethod');
+
+      return successResponse({
+        costingMethod: organization?.settings?.costingMethod || 'weighted_average',
+        methods: COSTING_METHODS,
+        canChange: !(await hasIssuedStock(organizationId)),
+      });
+    } catch (error) {
+      logger.error('Error fetching costing method', error);
+
+      return errorResponse(
+        'Failed to fetch costing method',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/stocks/costing
+ * Change the costing method (only before any stock has been issued)
+ * Body: { costingMethod: 'weighted_average' | 'fifo' }
+ */
+export async function PUT(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      if (!(await request.user.hasPermission(SETTINGS_PERMISSION))) {
+        return errorResponse('You do not have permission to change the costing method', 403);
+      }
+
+      const body = await request.json();
+
+      if (!COSTING_METHODS.includes(body.costingMethod)) {
+        return errorResponse(`Costing method must be one of: ${COSTING_METHODS.join(', ')}`, 400);
+      }
+
+      const organizationId = request.user.organizationId._id || request.user.organizationId;
+      const organization = await Organization.findById(organizationId);
+
+      if (!organization) {
+        return errorResponse('Organization not found', 404);
+      }
+
+      const current = organization.settings?.costingMethod || 'weighted_average';
+
+      if (body.costingMethod !== current) {
+        if (await hasIssuedStock(organizationId)) {
+          return errorResponse('The costing method cannot be changed once stock has been issued', 400);
+        }
+
+        organization.set('settings.costingMethod', body.costingMethod);
+        await organization.save();
+      }
+
+      logger.info('Costing method updated', {
+        organizationId,
+        costingMethod: body.costingMethod,
+        userId: request.user._id,
+      });
+
+      return successResponse({ costingMethod: body.costingMethod }, 'Costing method updated successfully');
+    } catch (error) {
+      logger.error('Error updating costing method', error);
+
+      return errorResponse(
+        'Failed to update costing method',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
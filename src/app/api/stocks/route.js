@@ -0,0 +1,162 @@
+/**
+ * Stocks API
+ * Stock levels per product from the stock ledger, and creating stock items
+ * with their opening quantity
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import Product from '@/models/Product';
+import { DEFAULT_WAREHOUSE } from '@/models/StockMovement';
+import { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { getStockLevels, recordAdjustment, toStockRow } from '@/services/stock-service';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth, withPermission } from '@/middleware/auth';
+
+/**
+ * GET /api/stocks
+ * On-hand, reserved and available quantities for goods products
+ * Query: search, warehouse (on hand in one warehouse only), isActive
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const search = searchParams.get('search') || '';
+      const warehouse = searchParams.get('warehouse');
+      const isActive = searchParams.get('isActive');
+
+      // Build query
+      const query = {
+        organizationId: request.user.organizationId,
+        productType: 'goods',
+        isDeleted: false,
+      };
+
+      if (isActive !== null && isActive !== '') {
+        query.isActive = isActive === 'true';
+      }
+
+      // Search functionality
+      if (search) {
+        query.$or = [
+          { sku: { $regex: search, $options: 'i' } },
+          { name: { $regex: search, $options: 'i' } },
+          { hsCode: { $regex: search, $options: 'i' } },
+        ];
+      }
+
+      const products = await Product.find(query).sort({ name: 1 }).lean();
+      const levels = await getStockLevels(request.user.organizationId, products, { warehouse });
+
+      return successResponse(products.map((product) => toStockRow(product, levels.get(String(product._id)))));
+    } catch (error) {
+      logger.error('Error fetching stocks', error);
+
+      return errorResponse(
+        'Failed to fetch stocks',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/stocks
+ * Create a goods product and book its opening quantity as an adjustment
+ * Body: { stockName, hsCode, description, saleType, uoM, rate, quantity,
+ *   unitCost, warehouse }
+ */
+export async function POST(request) {
+  return withPermission(request, 'products.create', async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const body = await request.json();
+      const quantity = parseFloat(body.quantity) || 0;
+
+      const product = new Product({
+        organizationId: request.user.organizationId,
+        sku: body.sku || (await Product.generateSku(request.user.organizationId)),
+        name: body.stockName,
+        productType: 'goods',
+        hsCode: body.hsCode,
+        description: body.description,
+        saleType: body.saleType,
+        fbrUom: body.uoM,
+        saleRate: parseFloat(body.rate) || 0,
+        purchaseRate: parseFloat(body.unitCost) || 0,
+        createdBy: request.user._id,
+      });
+
+      await product.save({ session });
+
+      if (quantity > 0) {
+        try {
+          await recordAdjustment({
+            organizationId: request.user.organizationId,
+            product,
+            warehouse: body.warehouse || DEFAULT_WAREHOUSE,
+            quantity,
+            unitCost: product.purchaseRate,
+            reason: 'Opening stock',
+            userId: request.user._id,
+            canOverrideLock: await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION),
+            session,
+          });
+        } catch (error) {
+          await session.abortTransaction();
+          return errorResponse(error.message, 400);
+        }
+      }
+
+      await session.commitTransaction();
+
+      const levels = await getStockLevels(request.user.organizationId, [product]);
+
+      logger.info('Stock item created', {
+        productId: product._id,
+        sku: product.sku,
+        openingQuantity: quantity,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        toStockRow(product, levels.get(String(product._id))),
+        'Stock item created successfully',
+        201
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error creating stock item', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return errorResponse('A product with this SKU already exists', 400);
+      }
+
+      return errorResponse(
+        'Failed to create stock item',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
@@ -0,0 +1,322 @@
+/**
+ * Post Supplier Payment API
+ * Posts a payment, creates the payment voucher (PV) with ledger entries and
+ * records the amounts paid against the purchase invoices. Tax withheld is
+ * credited to the withholding tax liability accounts instead of the bank.
+ * Advances are debited to the supplier advance asset account.
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import SupplierPayment from '@/models/SupplierPayment';
+import Voucher from '@/models/Voucher';
+import LedgerEntry from '@/models/LedgerEntry';
+import Supplier from '@/models/Supplier';
+import Account from '@/models/Account';
+import ExchangeRate from '@/models/ExchangeRate';
+import FxRevaluation from '@/models/FxRevaluation';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+const toBase = (amount, rate) => parseFloat((amount * rate).toFixed(2));
+
+/**
+ * POST /api/supplier-payments/[id]/post
+ * Post payment and create accounting voucher
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+
+      // Find payment
+      const payment = await SupplierPayment.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!payment) {
+        await session.abortTransaction();
+        return errorResponse('Payment not found', 404);
+      }
+
+      if (payment.isPosted) {
+        await session.abortTransaction();
+        return errorResponse('Payment is already posted', 400);
+      }
+
+      if (payment.status === 'cancelled') {
+        await session.abortTransaction();
+        return errorResponse('Cannot post cancelled payment', 400);
+      }
+
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        payment.paymentDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
+      // Get supplier
+      const supplier = await Supplier.findById(payment.supplierId).session(session);
+      if (!supplier) {
+        await session.abortTransaction();
+        return errorResponse('Supplier not found', 404);
+      }
+
+      // Re-check against current invoice balances and withholding rates
+      let invoices;
+      try {
+        invoices = await payment.loadAllocatedInvoices(session);
+        const purchaseOrder = await payment.loadPurchaseOrder(session);
+        await payment.calculateWithholding(supplier, invoices, purchaseOrder);
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      const paymentAccount = await Account.findById(payment.paymentAccountId).session(session);
+      if (!paymentAccount) {
+        await session.abortTransaction();
+        return errorResponse('Cash or bank account not found', 400);
+      }
+
+      // Payable account for invoices posted without one
+      const payableAccount = await SupplierPayment.findPayableAccount(
+        request.user.organizationId,
+        payment.payableAccountId
+      );
+
+      const isForeignCurrency = payment.currency !== ExchangeRate.getBaseCurrency(request.user.organizationId);
+
+      // Debit each payable account with the base amount the invoices are carried at
+      const payableDebits = new Map();
+
+      for (const allocation of payment.allocations) {
+        const invoice = invoices.get(allocation.purchaseInvoiceId.toString());
+        const accountId = invoice.payableAccountId || payableAccount?._id;
+
+        if (!accountId) {
+          await session.abortTransaction();
+          return errorResponse('Accounts Payable account not found. Please set up chart of accounts.', 400);
+        }
+
+        allocation.carryingRate = invoice.revaluationRate || invoice.exchangeRate || 1;
+        allocation.baseAmount = toBase(allocation.amount, allocation.carryingRate);
+
+        const key = accountId.toString();
+        const debit = payableDebits.get(key) || { accountId, foreignAmount: 0, amount: 0 };
+        debit.foreignAmount += allocation.amount;
+        debit.amount += allocation.baseAmount;
+        payableDebits.set(key, debit);
+      }
+
+      // Advances are recovered from the supplier's invoices once they are posted
+      const isAdvance = payment.paymentType === 'advance';
+
+      if (isAdvance) {
+        const advanceAccount = await SupplierPayment.findAdvanceAccount(
+          request.user.organizationId,
+          payment.advanceAccountId
+        );
+
+        if (!advanceAccount) {
+          await session.abortTransaction();
+          return errorResponse('Supplier advance account not found. Please set up chart of accounts.', 400);
+        }
+
+        payment.advanceAccountId = advanceAccount._id;
+        payableDebits.set(advanceAccount._id.toString(), {
+          accountId: advanceAccount._id,
+          foreignAmount: payment.amount,
+          amount: toBase(payment.amount, payment.exchangeRate),
+        });
+      }
+
+      // Generate voucher number
+      const voucherNumber = await Voucher.generateVoucherNumber(
+        request.user.organizationId,
+        'PV',
+        payment.fiscalYear
+      );
+
+      const voucherEntries = [];
+
+      // Debit: Accounts Payable (we owe the supplier less), or Supplier Advances for an advance
+      let payableTotal = 0;
+      payableDebits.forEach((debit) => {
+        payableTotal += debit.amount;
+        voucherEntries.push({
+          accountId: debit.accountId,
+          type: 'debit',
+          amount: debit.amount,
+          ...(isForeignCurrency && { foreignAmount: debit.foreignAmount }),
+          description: `Payment ${payment.paymentNumber} - ${supplier.companyName}`,
+          partyType: 'supplier',
+          partyId: supplier._id,
+        });
+      });
+      payableTotal = parseFloat(payableTotal.toFixed(2));
+
+      // Credit: Withholding tax payable (tax deducted, owed to FBR)
+      const whtCredits = new Map();
+
+      for (const withholding of payment.withholdings) {
+        const key = withholding.liabilityAccountId.toString();
+        const credit = whtCredits.get(key) || {
+          accountId: withholding.liabilityAccountId,
+          foreignAmount: 0,
+          sections: new Set(),
+        };
+        credit.foreignAmount += withholding.amount;
+        credit.sections.add(withholding.section);
+        whtCredits.set(key, credit);
+      }
+
+      let whtTotal = 0;
+      whtCredits.forEach((credit) => {
+        const amount = toBase(credit.foreignAmount, payment.exchangeRate);
+        whtTotal += amount;
+        voucherEntries.push({
+          accountId: credit.accountId,
+          type: 'credit',
+          amount,
+          ...(isForeignCurrency && { foreignAmount: parseFloat(credit.foreignAmount.toFixed(2)) }),
+          description: `Tax withheld u/s ${[...credit.sections].join(', ')} - ${supplier.companyName}`,
+        });
+      });
+
+      // Credit: Cash/Bank (money paid out, net of tax withheld)
+      const withheld = payment.withholdings.reduce((sum, withholding) => sum + withholding.amount, 0);
+      const netAmount = parseFloat((payment.amount - withheld).toFixed(2));
+      const paidAmount = toBase(netAmount, payment.exchangeRate);
+
+      if (paidAmount > 0) {
+        voucherEntries.push({
+          accountId: paymentAccount._id,
+          type: 'credit',
+          amount: paidAmount,
+          ...(isForeignCurrency && { foreignAmount: netAmount }),
+          description: `Payment ${payment.paymentNumber} - ${supplier.companyName}`,
+        });
+      }
+
+      // Realized exchange difference between the payment rate and the invoice rates
+      const gainLoss = parseFloat((payableTotal - paidAmount - whtTotal).toFixed(2));
+
+      if (gainLoss !== 0) {
+        const { gainAccount, lossAccount } = await FxRevaluation.findFxAccounts(request.user.organizationId);
+        const fxAccount = gainLoss > 0 ? gainAccount : lossAccount;
+
+        if (!fxAccount) {
+          await session.abortTransaction();
+          return errorResponse(
+            `Exchange ${gainLoss > 0 ? 'gain' : 'loss'} account not found. Please set up chart of accounts.`,
+            400
+          );
+        }
+
+        voucherEntries.push({
+          accountId: fxAccount._id,
+          type: gainLoss > 0 ? 'credit' : 'debit',
+          amount: Math.abs(gainLoss),
+          description: `Realized exchange ${gainLoss > 0 ? 'gain' : 'loss'} - Payment ${payment.paymentNumber}`,
+        });
+      }
+
+      const paidNumbers = isAdvance
+        ? [`advance${payment.purchaseOrderNumber ? ` against ${payment.purchaseOrderNumber}` : ''}`]
+        : payment.allocations.map((allocation) => allocation.invoiceNumber);
+
+      // Create voucher
+      const voucher = new Voucher({
+        voucherNumber,
+        voucherType: 'PV',
+        voucherDate: payment.paymentDate,
+        narration: `Payment ${payment.paymentNumber} - ${supplier.companyName} - ${payment.paymentMethod} - ${paidNumbers.join(', ')}`.slice(0, 1000),
+        entries: voucherEntries,
+        organizationId: request.user.organizationId,
+        fiscalYear: payment.fiscalYear,
+        fiscalPeriod: payment.fiscalPeriod,
+        referenceType: 'payment',
+        referenceId: payment._id,
+        currency: payment.currency,
+        exchangeRate: payment.exchangeRate,
+        status: 'draft',
+        createdBy: request.user._id,
+      });
+
+      // Validate double-entry
+      const validation = voucher.validateDoubleEntry();
+      if (!validation.isValid) {
+        await session.abortTransaction();
+        return errorResponse('Voucher validation failed: ' + validation.errors.join(', '), 400);
+      }
+
+      await voucher.save({ session });
+
+      // Post voucher and create ledger entries
+      await voucher.post(request.user._id, { canOverrideLock });
+      await LedgerEntry.createFromVoucher(voucher, request.user._id, session);
+
+      // Record payments on the invoices (settled invoices become paid)
+      for (const allocation of payment.allocations) {
+        const invoice = invoices.get(allocation.purchaseInvoiceId.toString());
+        await invoice.recordPayment(allocation.amount, request.user._id);
+      }
+
+      // Update supplier balance (base currency)
+      await supplier.updateBalance(payableTotal, 'debit');
+
+      // Post payment and link voucher
+      payment.voucherId = voucher._id;
+      payment.payableAccountId = payment.payableAccountId || payableAccount?._id;
+      payment.realizedGainLoss = gainLoss;
+      await payment.post(request.user._id);
+      await payment.save({ session });
+
+      await session.commitTransaction();
+
+      await payment.populate('supplierId', 'supplierCode companyName');
+      await payment.populate('voucherId', 'voucherNumber voucherType');
+      await payment.populate('postedBy', 'name email');
+
+      logger.info('Supplier payment posted', {
+        paymentId: payment._id,
+        paymentNumber: payment.paymentNumber,
+        voucherId: voucher._id,
+        voucherNumber: voucher.voucherNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { payment, voucher },
+        'Payment posted successfully and accounting entries created'
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error posting supplier payment', error);
+
+      return errorResponse(
+        'Failed to post payment',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
@@ -0,0 +1,274 @@
+/**
+ * Single Supplier Payment API
+ * Handles get, update, delete operations for a specific payment
+ */
+
+import connectDB from '@/lib/mongodb';
+import SupplierPayment from '@/models/SupplierPayment';
+import Supplier from '@/models/Supplier';
+import Account from '@/models/Account';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/supplier-payments/[id]
+ * Get a single payment by ID
+ */
+export async function GET(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const payment = await SupplierPayment.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      })
+        .populate('supplierId', 'supplierCode companyName email phone currentBalance balanceType')
+        .populate('allocations.purchaseInvoiceId', 'invoiceNumber invoiceDate dueDate totalAmount balanceAmount status')
+        .populate('paymentAccountId', 'code name')
+        .populate('payableAccountId', 'code name')
+        .populate('advanceAccountId', 'code name')
+        .populate('purchaseOrderId', 'poNumber poDate totalAmount paymentTerms')
+        .populate('withholdings.liabilityAccountId', 'code name')
+        .populate('voucherId', 'voucherNumber voucherType voucherDate status')
+        .populate('applications.voucherId', 'voucherNumber voucherDate')
+        .populate('createdBy', 'name email')
+        .populate('postedBy', 'name email')
+        .lean();
+
+      if (!payment) {
+        return errorResponse('Payment not found', 404);
+      }
+
+      return successResponse({ payment });
+    } catch (error) {
+      logger.error('Error fetching supplier payment', error);
+
+      return errorResponse(
+        'Failed to fetch payment',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * PUT /api/supplier-payments/[id]
+ * Update a draft payment
+ */
+export async function PUT(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+      const body = await request.json();
+
+      const payment = await SupplierPayment.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!payment) {
+        return errorResponse('Payment not found', 404);
+      }
+
+      if (payment.isPosted) {
+        return errorResponse('Cannot edit posted payment', 400);
+      }
+
+      if (payment.status === 'cancelled') {
+        return errorResponse('Cannot edit cancelled payment', 400);
+      }
+
+      if (body.paymentAccountId && body.paymentAccountId !== payment.paymentAccountId.toString()) {
+        const paymentAccount = await Account.findOne({
+          _id: body.paymentAccountId,
+          organizationId: request.user.organizationId,
+          type: 'asset',
+          isGroup: false,
+          isDeleted: false,
+        });
+
+        if (!paymentAccount) {
+          return errorResponse('Cash or bank account not found', 400);
+        }
+      }
+
+      // Re-resolve the exchange rate when the currency changes or a rate is given
+      const currencyChanged =
+        body.currency !== undefined && String(body.currency).toUpperCase() !== payment.currency;
+
+      if (currencyChanged || body.exchangeRate !== undefined) {
+        try {
+          Object.assign(
+            body,
+            await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+              currency: body.currency || payment.currency,
+              exchangeRate: body.exchangeRate,
+              date: body.paymentDate || payment.paymentDate,
+            })
+          );
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      }
+
+      // Advances take their amount as given, invoice payments total their allocations
+      const advanceAmount = body.amount;
+
+      // Fields that should not be updated directly
+      const protectedFields = [
+        '_id',
+        'paymentNumber',
+        'organizationId',
+        'supplierId',
+        'paymentType',
+        'purchaseOrderNumber',
+        'createdBy',
+        'createdAt',
+        'amount',
+        'status',
+        'isPosted',
+        'postedAt',
+        'postedBy',
+        'voucherId',
+        'withholdings',
+        'whtAmount',
+        'netAmount',
+        'applications',
+        'appliedAmount',
+        'realizedGainLoss',
+        'isDeleted',
+        'deletedAt',
+        'deletedBy',
+      ];
+
+      protectedFields.forEach((field) => delete body[field]);
+
+      Object.assign(payment, body);
+      payment.updatedBy = request.user._id;
+
+      if (payment.paymentType === 'advance') {
+        if (advanceAmount !== undefined) {
+          if (!(parseFloat(advanceAmount) > 0)) {
+            return errorResponse('Advance amount must be greater than 0', 400);
+          }
+          payment.amount = advanceAmount;
+        }
+
+        const advanceAccount = await SupplierPayment.findAdvanceAccount(
+          request.user.organizationId,
+          payment.advanceAccountId
+        );
+
+        if (!advanceAccount) {
+          return errorResponse('Supplier advance account not found. Please set up chart of accounts.', 400);
+        }
+
+        payment.advanceAccountId = advanceAccount._id;
+        payment.allocations = [];
+      }
+
+      const supplier = await Supplier.findById(payment.supplierId);
+      if (!supplier) {
+        return errorResponse('Supplier not found', 404);
+      }
+
+      // Re-check the invoices or order and recalculate the tax to withhold
+      try {
+        const invoices = await payment.loadAllocatedInvoices();
+        const purchaseOrder = await payment.loadPurchaseOrder();
+        await payment.calculateWithholding(supplier, invoices, purchaseOrder);
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      await payment.save();
+
+      await payment.populate('supplierId', 'supplierCode companyName');
+      await payment.populate('paymentAccountId', 'code name');
+
+      logger.info('Supplier payment updated', {
+        paymentId: payment._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ payment }, 'Payment updated successfully');
+    } catch (error) {
+      logger.error('Error updating supplier payment', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      return errorResponse(
+        'Failed to update payment',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/supplier-payments/[id]
+ * Soft delete a draft payment
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      const payment = await SupplierPayment.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!payment) {
+        return errorResponse('Payment not found', 404);
+      }
+
+      if (payment.isPosted) {
+        return errorResponse('Cannot delete posted payment', 400);
+      }
+
+      payment.isDeleted = true;
+      payment.deletedAt = new Date();
+      payment.deletedBy = request.user._id;
+      payment.status = 'cancelled';
+
+      await payment.save();
+
+      logger.info('Supplier payment deleted', {
+        paymentId: payment._id,
+        userId: request.user._id,
+      });
+
+      return successResponse({ payment }, 'Payment deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting supplier payment', error);
+
+      return errorResponse(
+        'Failed to delete payment',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
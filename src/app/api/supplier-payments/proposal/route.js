@@ -0,0 +1,60 @@
+/**
+ * Payment Run Proposal API
+ * Open purchase invoices due by a date, ranked by due date and grouped into
+ * one proposed payment per supplier
+ */
+
+import connectDB from '@/lib/mongodb';
+import Supplier from '@/models/Supplier';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/supplier-payments/proposal?dueBy=2024-09-29&supplierId=xxx
+ * dueBy defaults to the end of the current week (Sunday)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const dueByParam = searchParams.get('dueBy');
+      const supplierId = searchParams.get('supplierId');
+
+      let dueBy;
+      if (dueByParam) {
+        // Include the whole day
+        dueBy = new Date(/^\d{4}-\d{2}-\d{2}$/.test(dueByParam) ? `${dueByParam}T23:59:59.999` : dueByParam);
+      } else {
+        dueBy = new Date();
+        dueBy.setDate(dueBy.getDate() + ((7 - dueBy.getDay()) % 7));
+        dueBy.setHours(23, 59, 59, 999);
+      }
+
+      if (isNaN(dueBy.getTime())) {
+        return errorResponse('Invalid due-by date', 400);
+      }
+
+      const proposal = await Supplier.getPaymentProposal(request.user.organizationId._id, {
+        dueBy,
+        supplierId,
+      });
+
+      return successResponse({
+        ...proposal,
+        currency: ExchangeRate.getBaseCurrency(request.user.organizationId),
+      });
+    } catch (error) {
+      logger.error('Error generating payment proposal', error);
+
+      return errorResponse(
+        'Failed to generate payment proposal',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,267 @@
+/**
+ * Supplier Payments API
+ * Handles listing and creating payments to suppliers
+ */
+
+import connectDB from '@/lib/mongodb';
+import SupplierPayment from '@/models/SupplierPayment';
+import Supplier from '@/models/Supplier';
+import Account from '@/models/Account';
+import ExchangeRate from '@/models/ExchangeRate';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/supplier-payments
+ * List supplier payments
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const page = parseInt(searchParams.get('page')) || 1;
+      const limit = parseInt(searchParams.get('limit')) || 50;
+      const search = searchParams.get('search') || '';
+      const status = searchParams.get('status');
+      const supplierId = searchParams.get('supplierId');
+      const paymentType = searchParams.get('paymentType');
+      const purchaseOrderId = searchParams.get('purchaseOrderId');
+      const purchaseInvoiceId = searchParams.get('purchaseInvoiceId');
+      const startDate = searchParams.get('startDate');
+      const endDate = searchParams.get('endDate');
+
+      // Build query
+      const query = {
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      };
+
+      if (status) {
+        query.status = status;
+      }
+
+      if (supplierId) {
+        query.supplierId = supplierId;
+      }
+
+      if (paymentType) {
+        query.paymentType = paymentType;
+      }
+
+      if (purchaseOrderId) {
+        query.purchaseOrderId = purchaseOrderId;
+      }
+
+      // Payments made or advances applied to the invoice
+      if (purchaseInvoiceId) {
+        query.$and = [
+          {
+            $or: [
+              { 'allocations.purchaseInvoiceId': purchaseInvoiceId },
+              { 'applications.purchaseInvoiceId': purchaseInvoiceId },
+            ],
+          },
+        ];
+      }
+
+      // Date range filter
+      if (startDate || endDate) {
+        query.paymentDate = {};
+        if (startDate) query.paymentDate.$gte = new Date(startDate);
+        if (endDate) query.paymentDate.$lte = new Date(endDate);
+      }
+
+      // Search functionality
+      if (search) {
+        query.$or = [
+          { paymentNumber: { $regex: search, $options: 'i' } },
+          { referenceNumber: { $regex: search, $options: 'i' } },
+          { chequeNumber: { $regex: search, $options: 'i' } },
+        ];
+      }
+
+      const total = await SupplierPayment.countDocuments(query);
+
+      const payments = await SupplierPayment.find(query)
+        .populate('supplierId', 'supplierCode companyName')
+        .populate('paymentAccountId', 'code name')
+        .populate('voucherId', 'voucherNumber')
+        .sort({ paymentDate: -1, paymentNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+      logger.info('Supplier payments listed', {
+        count: payments.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        payments,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (error) {
+      logger.error('Error listing supplier payments', error);
+
+      return errorResponse(
+        'Failed to fetch supplier payments',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/supplier-payments
+ * Create a draft payment
+ * Body: { supplierId, paymentDate, paymentMethod, paymentAccountId,
+ *         allocations: [{ purchaseInvoiceId, amount }], currency, exchangeRate,
+ *         applyWithholding, ... }
+ * Advances: { paymentType: 'advance', amount, purchaseOrderId, advanceAccountId } -
+ * held as an asset and applied to the supplier's invoices once they are posted
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+
+      // Validate supplier exists
+      const supplier = await Supplier.findOne({
+        _id: body.supplierId,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      });
+
+      if (!supplier) {
+        return errorResponse('Supplier not found', 404);
+      }
+
+      // Money must leave a cash or bank account
+      const paymentAccount = body.paymentAccountId
+        ? await Account.findOne({
+            _id: body.paymentAccountId,
+            organizationId: request.user.organizationId,
+            type: 'asset',
+            isGroup: false,
+            isDeleted: false,
+          })
+        : null;
+
+      if (!paymentAccount) {
+        return errorResponse('Cash or bank account not found', 400);
+      }
+
+      const isAdvance = body.paymentType === 'advance';
+
+      if (isAdvance && !(parseFloat(body.amount) > 0)) {
+        return errorResponse('Advance amount must be greater than 0', 400);
+      }
+
+      // Advances are held in the supplier advance asset account
+      const advanceAccount = isAdvance
+        ? await SupplierPayment.findAdvanceAccount(request.user.organizationId, body.advanceAccountId)
+        : null;
+
+      if (isAdvance && !advanceAccount) {
+        return errorResponse('Supplier advance account not found. Please set up chart of accounts.', 400);
+      }
+
+      // Currency and exchange rate (defaults to the rate in effect on the payment date)
+      try {
+        Object.assign(
+          body,
+          await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+            currency: body.currency,
+            exchangeRate: body.exchangeRate,
+            date: body.paymentDate || new Date(),
+          })
+        );
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      const payment = new SupplierPayment({
+        supplierId: supplier._id,
+        paymentType: isAdvance ? 'advance' : 'invoice',
+        purchaseOrderId: isAdvance ? body.purchaseOrderId || undefined : undefined,
+        amount: isAdvance ? body.amount : 0,
+        paymentDate: body.paymentDate,
+        paymentMethod: body.paymentMethod,
+        currency: body.currency,
+        exchangeRate: body.exchangeRate,
+        chequeNumber: body.chequeNumber,
+        chequeDate: body.chequeDate,
+        referenceNumber: body.referenceNumber,
+        notes: body.notes,
+        allocations: isAdvance ? [] : body.allocations || [],
+        applyWithholding: body.applyWithholding !== false,
+        paymentAccountId: paymentAccount._id,
+        payableAccountId: body.payableAccountId || undefined,
+        advanceAccountId: advanceAccount?._id,
+        organizationId: request.user.organizationId,
+        createdBy: request.user._id,
+      });
+
+      // Check the invoices or order and work out the tax to withhold
+      try {
+        const invoices = await payment.loadAllocatedInvoices();
+        const purchaseOrder = await payment.loadPurchaseOrder();
+        await payment.calculateWithholding(supplier, invoices, purchaseOrder);
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      payment.paymentNumber = await SupplierPayment.generatePaymentNumber(
+        request.user.organizationId,
+        payment.paymentDate ? new Date(payment.paymentDate).getFullYear().toString() : undefined
+      );
+
+      await payment.save();
+
+      await payment.populate('supplierId', 'supplierCode companyName');
+      await payment.populate('paymentAccountId', 'code name');
+
+      logger.info('Supplier payment created', {
+        paymentId: payment._id,
+        paymentNumber: payment.paymentNumber,
+        amount: payment.amount,
+        userId: request.user._id,
+      });
+
+      return successResponse({ payment }, 'Payment created successfully', 201);
+    } catch (error) {
+      logger.error('Error creating supplier payment', error);
+
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return errorResponse('Validation failed', 400, { errors });
+      }
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return errorResponse('Payment number already exists', 400);
+      }
+
+      return errorResponse(
+        'Failed to create payment',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -6,6 +6,7 @@
 import connectDB from '@/lib/mongodb';
 import Voucher from '@/models/Voucher';
 import LedgerEntry from '@/models/LedgerEntry';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -44,14 +45,27 @@ export async function POST(request, { params }) {
         return errorResponse('Cannot post a void voucher', 400);
       }
 
+      // Check fiscal period is open
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        voucher.voucherDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        return errorResponse(periodCheck.message, 403);
+      }
+
       logger.info('Posting voucher', {
         voucherId: voucher._id,
         voucherNumber: voucher.voucherNumber,
+        periodOverride: periodCheck.overridden,
         userId: request.user._id,
       });
 
       // Post voucher
-      await voucher.post(request.user._id);
+      await voucher.post(request.user._id, { canOverrideLock });
 
       // Create ledger entries
       const ledgerEntries = await LedgerEntry.createFromVoucher(voucher, request.user._id);
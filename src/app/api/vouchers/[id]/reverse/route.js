@@ -0,0 +1,160 @@
+/**
+ * Reverse Voucher API
+ * Posts a linked mirror-image voucher instead of voiding the original,
+ * so both postings stay in the ledger
+ */
+
+import connectDB from '@/lib/mongodb';
+import Voucher from '@/models/Voucher';
+import LedgerEntry from '@/models/LedgerEntry';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+/**
+ * POST /api/vouchers/[id]/reverse
+ * Reverse a posted voucher. Body: { reason: string, reversalDate?: date (defaults to today) }
+ */
+export async function POST(request, { params }) {
+  return withAuth(request, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        await session.abortTransaction();
+        return errorResponse('Invalid voucher ID', 400);
+      }
+
+      const body = await request.json().catch(() => ({}));
+      const { reason } = body;
+      const reversalDate = body.reversalDate ? new Date(body.reversalDate) : new Date();
+
+      // Validation
+      if (!reason || reason.trim().length < 5) {
+        await session.abortTransaction();
+        return validationError({
+          reason: 'Reversal reason must be at least 5 characters',
+        });
+      }
+
+      if (isNaN(reversalDate.getTime())) {
+        await session.abortTransaction();
+        return validationError({
+          reversalDate: 'Invalid reversal date',
+        });
+      }
+
+      const voucher = await Voucher.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+        isDeleted: false,
+      }).session(session);
+
+      if (!voucher) {
+        await session.abortTransaction();
+        return errorResponse('Voucher not found', 404);
+      }
+
+      if (voucher.status !== 'posted') {
+        await session.abortTransaction();
+        return errorResponse('Only posted vouchers can be reversed', 400);
+      }
+
+      if (voucher.reversedBy) {
+        await session.abortTransaction();
+        return errorResponse('Voucher is already reversed', 400);
+      }
+
+      if (voucher.reversalOf) {
+        await session.abortTransaction();
+        return errorResponse('Cannot reverse a reversing voucher', 400);
+      }
+
+      if (voucher.referenceType === 'closing') {
+        await session.abortTransaction();
+        return errorResponse('Closing vouchers cannot be reversed. Reopen the fiscal year instead.', 400);
+      }
+
+      // The reversal is posted in its own period; the original period is left untouched
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        reversalDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        await session.abortTransaction();
+        return errorResponse(periodCheck.message, 403);
+      }
+
+      logger.info('Reversing voucher', {
+        voucherId: voucher._id,
+        voucherNumber: voucher.voucherNumber,
+        reversalDate,
+        reason,
+        periodOverride: periodCheck.overridden,
+        userId: request.user._id,
+      });
+
+      // Create and post the mirror-image voucher. Reversal, ledger entries and
+      // the link on the original commit together; a concurrent reversal of the
+      // same voucher fails with a write conflict on the original.
+      const reversal = await voucher.createReversal(request.user._id, {
+        reason: reason.trim(),
+        reversalDate,
+      });
+
+      await reversal.save({ session });
+      await reversal.post(request.user._id, { canOverrideLock });
+      await LedgerEntry.createFromVoucher(reversal, request.user._id, session);
+
+      // Link the original to its reversal
+      voucher.reversedBy = reversal._id;
+      voucher.reversedAt = new Date();
+      voucher.reversalReason = reason.trim();
+      voucher.updatedBy = request.user._id;
+      await voucher.save({ session });
+
+      await session.commitTransaction();
+
+      // Populate entries
+      await voucher.populate('entries.accountId', 'code name type');
+      await reversal.populate('entries.accountId', 'code name type');
+
+      logger.success('Voucher reversed successfully', {
+        voucherId: voucher._id,
+        voucherNumber: voucher.voucherNumber,
+        reversalId: reversal._id,
+        reversalNumber: reversal.voucherNumber,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        {
+          voucher,
+          reversal,
+        },
+        `Voucher reversed by ${reversal.voucherNumber}`,
+        201
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error reversing voucher', error);
+
+      return errorResponse(
+        'Failed to reverse voucher',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
@@ -8,6 +8,7 @@ import Voucher from '@/models/Voucher';
 import LedgerEntry from '@/models/LedgerEntry';
 import Account from '@/models/Account';
 import Organization from '@/models/Organization';
+import ExchangeRate from '@/models/ExchangeRate';
 import { successResponse, errorResponse } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -36,6 +37,8 @@ export async function GET(request, { params }) {
         .populate('createdBy', 'name email')
         .populate('postedBy', 'name email')
         .populate('voidedBy', 'name email')
+        .populate('reversedBy', 'voucherNumber voucherDate status')
+        .populate('reversalOf', 'voucherNumber voucherDate status')
         .populate({
           path: 'entries.accountId',
           select: 'code name type category normalBalance',
@@ -119,6 +122,8 @@ export async function PUT(request, { params }) {
         referenceType,
         tags,
         notes,
+        currency,
+        exchangeRate,
       } = body;
 
       logger.info('Updating voucher', {
@@ -135,8 +140,39 @@ export async function PUT(request, { params }) {
         voucher.fiscalPeriod = `${voucher.fiscalYear}-${String(date.getMonth() + 1).padStart(2, '0')}`;
       }
 
+      // Re-resolve the exchange rate when the currency changes or a rate is given
+      const currencyChanged = currency !== undefined && String(currency).toUpperCase() !== voucher.currency;
+      if (currencyChanged && !entries) {
+        return errorResponse('Entries are required when changing the voucher currency', 400);
+      }
+
+      if (currencyChanged || exchangeRate !== undefined) {
+        try {
+          Object.assign(
+            voucher,
+            await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+              currency: currency || voucher.currency,
+              exchangeRate,
+              date: voucher.voucherDate,
+            })
+          );
+        } catch (error) {
+          return errorResponse(error.message, 400);
+        }
+      }
+
+      const isForeignCurrency =
+        voucher.currency !== ExchangeRate.getBaseCurrency(request.user.organizationId);
+
       if (narration) voucher.narration = narration.trim();
-      if (entries) voucher.entries = entries;
+      if (entries) {
+        voucher.entries = entries.map((entry) => ({
+          ...entry,
+          amount: isForeignCurrency ? (entry.foreignAmount || 0) * voucher.exchangeRate : entry.amount,
+          foreignAmount: isForeignCurrency ? entry.foreignAmount : undefined,
+        }));
+      }
+      voucher.applyExchangeRate();
       if (referenceNumber !== undefined) voucher.referenceNumber = referenceNumber;
       if (referenceType) voucher.referenceType = referenceType;
       if (tags) voucher.tags = tags;
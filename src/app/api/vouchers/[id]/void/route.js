@@ -6,6 +6,7 @@
 import connectDB from '@/lib/mongodb';
 import Voucher from '@/models/Voucher';
 import LedgerEntry from '@/models/LedgerEntry';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
 import { successResponse, errorResponse, validationError } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -54,10 +55,27 @@ export async function POST(request, { params }) {
         return errorResponse('Cannot void a draft voucher. Delete it instead.', 400);
       }
 
+      if (voucher.reversedBy || voucher.reversalOf) {
+        return errorResponse('Cannot void a voucher that is part of a reversal', 400);
+      }
+
+      // Voiding rewrites the voucher's own period, so it must not be closed
+      const canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+      const periodCheck = await FiscalPeriod.checkPostingAllowed(
+        request.user.organizationId,
+        voucher.voucherDate,
+        { canOverride: canOverrideLock }
+      );
+
+      if (!periodCheck.allowed) {
+        return errorResponse(periodCheck.message, 403);
+      }
+
       logger.info('Voiding voucher', {
         voucherId: voucher._id,
         voucherNumber: voucher.voucherNumber,
         reason,
+        periodOverride: periodCheck.overridden,
         userId: request.user._id,
       });
 
@@ -65,7 +83,7 @@ export async function POST(request, { params }) {
       await LedgerEntry.voidEntriesForVoucher(voucher._id, request.user._id, reason.trim());
 
       // Void voucher
-      await voucher.void(request.user._id, reason.trim());
+      await voucher.void(request.user._id, reason.trim(), { canOverrideLock });
 
       // Populate entries
       await voucher.populate('entries.accountId', 'code name type');
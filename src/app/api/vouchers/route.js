@@ -8,6 +8,8 @@ import Voucher from '@/models/Voucher';
 import LedgerEntry from '@/models/LedgerEntry';
 import Account from '@/models/Account';
 import Organization from '@/models/Organization';
+import ExchangeRate from '@/models/ExchangeRate';
+import FiscalPeriod, { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
 import { successResponse, errorResponse, validationError } from '@/utils/response';
 import logger from '@/utils/logger';
 import { withAuth } from '@/middleware/auth';
@@ -160,6 +162,8 @@ export async function POST(request) {
         tags,
         notes,
         autoPost,
+        currency,
+        exchangeRate,
       } = body;
 
       logger.info('Creating new voucher', {
@@ -193,6 +197,21 @@ export async function POST(request) {
         return validationError(errors);
       }
 
+      // Currency and exchange rate; foreign-currency entries are entered as foreignAmount
+      let currencyInfo;
+      try {
+        currencyInfo = await ExchangeRate.resolveDocumentRate(request.user.organizationId, {
+          currency,
+          exchangeRate,
+          date: voucherDate,
+        });
+      } catch (error) {
+        return errorResponse(error.message, 400);
+      }
+
+      const isForeignCurrency =
+        currencyInfo.currency !== ExchangeRate.getBaseCurrency(request.user.organizationId);
+
       // Validate entries
       const entryErrors = [];
       entries.forEach((entry, index) => {
@@ -202,7 +221,8 @@ export async function POST(request) {
         if (!entry.type || !['debit', 'credit'].includes(entry.type)) {
           entryErrors.push(`Entry ${index + 1}: Type must be debit or credit`);
         }
-        if (!entry.amount || entry.amount <= 0) {
+        const amount = isForeignCurrency ? entry.foreignAmount : entry.amount;
+        if (!amount || amount <= 0) {
           entryErrors.push(`Entry ${index + 1}: Amount must be greater than 0`);
         }
       });
@@ -211,6 +231,21 @@ export async function POST(request) {
         return errorResponse('Invalid entries', 400, { entryErrors });
       }
 
+      // Auto-posting requires the voucher's fiscal period to be open
+      let canOverrideLock = false;
+      if (autoPost) {
+        canOverrideLock = await request.user.hasPermission(PERIOD_OVERRIDE_PERMISSION);
+        const periodCheck = await FiscalPeriod.checkPostingAllowed(
+          request.user.organizationId,
+          voucherDate,
+          { canOverride: canOverrideLock }
+        );
+
+        if (!periodCheck.allowed) {
+          return errorResponse(periodCheck.message, 403);
+        }
+      }
+
       // Get fiscal year and period from voucher date
       const date = new Date(voucherDate);
       const fiscalYear = date.getFullYear().toString();
@@ -232,16 +267,23 @@ export async function POST(request) {
         fiscalYear,
         fiscalPeriod,
         narration: narration.trim(),
-        entries,
+        entries: entries.map((entry) => ({
+          ...entry,
+          amount: isForeignCurrency ? entry.foreignAmount * currencyInfo.exchangeRate : entry.amount,
+          foreignAmount: isForeignCurrency ? entry.foreignAmount : undefined,
+        })),
         referenceNumber,
         referenceType,
         tags,
         notes,
+        ...currencyInfo,
         status: 'draft',
         createdBy: request.user._id,
         updatedBy: request.user._id,
       });
 
+      voucher.applyExchangeRate();
+
       // Validate double-entry
       const validation = voucher.validateDoubleEntry();
       if (!validation.isValid) {
@@ -257,7 +299,7 @@ export async function POST(request) {
 
       // Auto-post if requested
       if (autoPost) {
-        await voucher.post(request.user._id);
+        await voucher.post(request.user._id, { canOverrideLock });
 
         // Create ledger entries
         await LedgerEntry.createFromVoucher(voucher, request.user._id);
@@ -0,0 +1,154 @@
+/**
+ * Withholding Tax Certificate API
+ * Returns the data for a supplier's certificate of tax deducted in a period
+ * (rendered to PDF on the client)
+ */
+
+import connectDB from '@/lib/mongodb';
+import SupplierPayment from '@/models/SupplierPayment';
+import Supplier from '@/models/Supplier';
+import ExchangeRate from '@/models/ExchangeRate';
+import FiscalPeriod from '@/models/FiscalPeriod';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/withholding-tax/certificate?supplierId=xxx&month=2024-01
+ * GET /api/withholding-tax/certificate?supplierId=xxx&startDate=xxx&endDate=xxx&taxType=income_tax
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const supplierId = searchParams.get('supplierId');
+      const month = searchParams.get('month');
+      const taxType = searchParams.get('taxType');
+      let startDate = searchParams.get('startDate');
+      let endDate = searchParams.get('endDate');
+
+      if (month) {
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+          return errorResponse('Month must be in format YYYY-MM', 400);
+        }
+        ({ startDate, endDate } = FiscalPeriod.getPeriodRange(month));
+      } else if (endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        // Include the whole end day
+        endDate = new Date(`${endDate}T23:59:59.999`);
+      }
+
+      if (!startDate || !endDate || isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+        return errorResponse('A month or start and end date is required', 400);
+      }
+
+      const organization = request.user.organizationId;
+
+      const supplier = await Supplier.findOne({
+        _id: supplierId,
+        organizationId: organization._id,
+        isDeleted: false,
+      }).lean();
+
+      if (!supplier) {
+        return errorResponse('Supplier not found', 404);
+      }
+
+      const lines = await SupplierPayment.getWithholdingLines(organization._id, {
+        startDate,
+        endDate,
+        supplierId: supplier._id,
+        taxType,
+      });
+
+      if (lines.length === 0) {
+        return errorResponse('No tax was withheld from this supplier in the period', 404);
+      }
+
+      // Totals per tax type, section and rate
+      const sectionMap = new Map();
+      for (const line of lines) {
+        const key = `${line.taxType}|${line.section}|${line.rate}`;
+        const section = sectionMap.get(key) || {
+          taxType: line.taxType,
+          section: line.section,
+          rate: line.rate,
+          baseAmount: 0,
+          amount: 0,
+        };
+        section.baseAmount += line.baseAmount;
+        section.amount += line.amount;
+        sectionMap.set(key, section);
+      }
+
+      const sections = [...sectionMap.values()].map((section) => ({
+        ...section,
+        baseAmount: parseFloat(section.baseAmount.toFixed(2)),
+        amount: parseFloat(section.amount.toFixed(2)),
+      }));
+
+      const sumOf = (type) =>
+        parseFloat(
+          sections
+            .filter((section) => section.taxType === type)
+            .reduce((sum, section) => sum + section.amount, 0)
+            .toFixed(2)
+        );
+
+      const incomeTax = sumOf('income_tax');
+      const salesTax = sumOf('sales_tax');
+
+      const address = organization.address || {};
+
+      logger.info('Withholding tax certificate generated', {
+        supplierId: supplier._id,
+        startDate,
+        endDate,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        certificate: {
+          organization: {
+            name: organization.name,
+            ntn: organization.ntn,
+            strn: organization.strn,
+            address: [address.street, address.area, address.city, address.province].filter(Boolean).join(', '),
+          },
+          supplier: {
+            supplierCode: supplier.supplierCode,
+            companyName: supplier.companyName,
+            ntn: supplier.ntn,
+            strn: supplier.strn,
+            filerStatus: supplier.filerStatus || 'filer',
+            address: [supplier.address?.street, supplier.address?.city, supplier.address?.state]
+              .filter(Boolean)
+              .join(', '),
+          },
+          period: {
+            startDate: new Date(startDate),
+            endDate: new Date(endDate),
+          },
+          currency: ExchangeRate.getBaseCurrency(organization),
+          lines,
+          sections,
+          totals: {
+            incomeTax,
+            salesTax,
+            total: parseFloat((incomeTax + salesTax).toFixed(2)),
+          },
+          issuedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      logger.error('Error generating withholding tax certificate', error);
+
+      return errorResponse(
+        'Failed to generate withholding tax certificate',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
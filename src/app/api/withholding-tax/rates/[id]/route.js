@@ -0,0 +1,128 @@
+/**
+ * Withholding Tax Rate API
+ * Update or delete a single rate. Posted payments keep the rate they were
+ * posted with, so changes only affect payments posted afterwards.
+ */
+
+import connectDB from '@/lib/mongodb';
+import WithholdingTaxRate from '@/models/WithholdingTaxRate';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+import mongoose from 'mongoose';
+
+/**
+ * PUT /api/withholding-tax/rates/[id]
+ * Body: { section, rate, liabilityAccountId, description, isActive }
+ */
+export async function PUT(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid withholding tax rate ID', 400);
+      }
+
+      const rate = await WithholdingTaxRate.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+      });
+
+      if (!rate) {
+        return errorResponse('Withholding tax rate not found', 404);
+      }
+
+      const body = await request.json();
+
+      if (body.liabilityAccountId) {
+        const account = await WithholdingTaxRate.findLiabilityAccount(
+          request.user.organizationId,
+          rate.taxType,
+          body.liabilityAccountId
+        );
+
+        if (!account) {
+          return validationError({ liabilityAccountId: 'Liability account not found' });
+        }
+      }
+
+      if (body.section !== undefined) rate.section = body.section;
+      if (body.rate !== undefined) rate.rate = body.rate;
+      if (body.liabilityAccountId !== undefined) rate.liabilityAccountId = body.liabilityAccountId || undefined;
+      if (body.description !== undefined) rate.description = body.description;
+      if (body.isActive !== undefined) rate.isActive = body.isActive;
+      rate.updatedBy = request.user._id;
+
+      await rate.save();
+
+      logger.info('Withholding tax rate updated', {
+        rateId: rate._id,
+        rate: rate.rate,
+        userId: request.user._id,
+      });
+
+      return successResponse({ rate }, 'Withholding tax rate updated successfully');
+    } catch (error) {
+      logger.error('Error updating withholding tax rate', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return validationError(errors);
+      }
+
+      return errorResponse(
+        'Failed to update withholding tax rate',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * DELETE /api/withholding-tax/rates/[id]
+ */
+export async function DELETE(request, { params }) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { id } = params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return errorResponse('Invalid withholding tax rate ID', 400);
+      }
+
+      const rate = await WithholdingTaxRate.findOneAndDelete({
+        _id: id,
+        organizationId: request.user.organizationId,
+      });
+
+      if (!rate) {
+        return errorResponse('Withholding tax rate not found', 404);
+      }
+
+      logger.info('Withholding tax rate deleted', {
+        rateId: rate._id,
+        taxType: rate.taxType,
+        userId: request.user._id,
+      });
+
+      return successResponse(null, 'Withholding tax rate deleted successfully');
+    } catch (error) {
+      logger.error('Error deleting withholding tax rate', error);
+
+      return errorResponse(
+        'Failed to delete withholding tax rate',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
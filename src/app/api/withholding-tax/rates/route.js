@@ -0,0 +1,111 @@
+/**
+ * Withholding Tax Rates API
+ * Lists and adds the WHT rates deducted from supplier payments
+ */
+
+import connectDB from '@/lib/mongodb';
+import WithholdingTaxRate from '@/models/WithholdingTaxRate';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/withholding-tax/rates?taxType=income_tax&includeInactive=true
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const taxType = searchParams.get('taxType');
+      const includeInactive = searchParams.get('includeInactive') === 'true';
+
+      const query = { organizationId: request.user.organizationId };
+      if (taxType) query.taxType = taxType;
+      if (!includeInactive) query.isActive = true;
+
+      const rates = await WithholdingTaxRate.find(query)
+        .populate('liabilityAccountId', 'code name')
+        .sort({ taxType: 1, supplierCategory: 1, filerStatus: 1 })
+        .lean();
+
+      return successResponse({ rates });
+    } catch (error) {
+      logger.error('Error fetching withholding tax rates', error);
+
+      return errorResponse(
+        'Failed to fetch withholding tax rates',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/withholding-tax/rates
+ * Body: { taxType, section, supplierCategory, filerStatus, rate, liabilityAccountId, description }
+ */
+export async function POST(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const body = await request.json();
+
+      if (body.liabilityAccountId) {
+        const account = await WithholdingTaxRate.findLiabilityAccount(
+          request.user.organizationId,
+          body.taxType,
+          body.liabilityAccountId
+        );
+
+        if (!account) {
+          return validationError({ liabilityAccountId: 'Liability account not found' });
+        }
+      }
+
+      const rate = await WithholdingTaxRate.create({
+        taxType: body.taxType,
+        section: body.section,
+        supplierCategory: body.supplierCategory,
+        filerStatus: body.filerStatus,
+        rate: body.rate,
+        liabilityAccountId: body.liabilityAccountId || undefined,
+        description: body.description,
+        organizationId: request.user.organizationId,
+        createdBy: request.user._id,
+      });
+
+      logger.success('Withholding tax rate added', {
+        rateId: rate._id,
+        taxType: rate.taxType,
+        section: rate.section,
+        userId: request.user._id,
+      });
+
+      return successResponse({ rate }, 'Withholding tax rate added successfully', 201);
+    } catch (error) {
+      logger.error('Error adding withholding tax rate', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        for (const field in error.errors) {
+          errors[field] = error.errors[field].message;
+        }
+        return validationError(errors);
+      }
+
+      if (error.code === 11000) {
+        return errorResponse('A rate for this tax type, category and filer status already exists', 409);
+      }
+
+      return errorResponse(
+        'Failed to add withholding tax rate',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
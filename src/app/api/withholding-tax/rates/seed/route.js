@@ -0,0 +1,54 @@
+/**
+ * Seed Withholding Tax Rates API
+ * Seeds the default section 153 and sales tax withholding rates
+ */
+
+import connectDB from '@/lib/mongodb';
+import WithholdingTaxRate from '@/models/WithholdingTaxRate';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAdmin } from '@/middleware/auth';
+
+/**
+ * POST /api/withholding-tax/rates/seed
+ * Only admins can seed rates, and only when none exist
+ */
+export async function POST(request) {
+  return withAdmin(request, async (request) => {
+    try {
+      await connectDB();
+
+      const organizationId = request.user.organizationId;
+
+      const ratesCreated = await WithholdingTaxRate.seedDefaultRates(organizationId, request.user._id);
+
+      if (ratesCreated === 0) {
+        return errorResponse('Withholding tax rates already exist', 409);
+      }
+
+      const rates = await WithholdingTaxRate.find({ organizationId })
+        .sort({ taxType: 1, supplierCategory: 1, filerStatus: 1 })
+        .lean();
+
+      logger.success('Withholding tax rates seeded successfully', {
+        organizationId,
+        ratesCreated,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { ratesCreated, rates },
+        'Withholding tax rates seeded successfully',
+        201
+      );
+    } catch (error) {
+      logger.error('Error seeding withholding tax rates', error);
+
+      return errorResponse(
+        'Failed to seed withholding tax rates',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * Reopen Fiscal Year API
+ * Voids the closing voucher and reopens the periods closed by the year-end closing
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import FiscalYearClosing from '@/models/FiscalYearClosing';
+import { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse, validationError } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withPermission } from '@/middleware/auth';
+
+/**
+ * POST /api/year-end-closing/[id]/reopen
+ * Reopen a closed fiscal year. Body: { reason: string }
+ */
+export async function POST(request, { params }) {
+  return withPermission(request, PERIOD_OVERRIDE_PERMISSION, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const { id } = params;
+
+      const body = await request.json().catch(() => ({}));
+      const reason = body.reason?.trim();
+
+      // Validation
+      if (!reason || reason.length < 5) {
+        await session.abortTransaction();
+        return validationError({
+          reason: 'Reopen reason must be at least 5 characters',
+        });
+      }
+
+      const closing = await FiscalYearClosing.findOne({
+        _id: id,
+        organizationId: request.user.organizationId,
+      }).session(session);
+
+      if (!closing) {
+        await session.abortTransaction();
+        return errorResponse('Year-end closing not found', 404);
+      }
+
+      // Period reopens, voided entries and voucher, and the status commit together
+      try {
+        await closing.reopen(request.user._id, reason, { canOverrideLock: true, session });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      await session.commitTransaction();
+
+      logger.info('Fiscal year reopened', {
+        fiscalYear: closing.fiscalYear,
+        reason,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { closing },
+        `Fiscal year ${closing.fiscalYear} reopened successfully`
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error reopening fiscal year', error);
+
+      return errorResponse(
+        'Failed to reopen fiscal year',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * Opening Balances API
+ * Balances brought forward into a fiscal year by the closing of the year before it
+ */
+
+import connectDB from '@/lib/mongodb';
+import FiscalYearClosing from '@/models/FiscalYearClosing';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * GET /api/year-end-closing/opening-balances?date=xxx
+ * Opening balances of the fiscal year containing ?date (default today), each
+ * compared with the ledger as at the previous year end
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const date = searchParams.get('date') ? new Date(searchParams.get('date')) : new Date();
+
+      if (isNaN(date.getTime())) {
+        return errorResponse('Invalid date', 400);
+      }
+
+      const organization = request.user.organizationId;
+      const fiscalYear = organization.getFiscalYear(date);
+
+      const closing = await FiscalYearClosing.findForOpeningYear(organization, date);
+
+      if (!closing) {
+        return errorResponse(
+          `The fiscal year before ${fiscalYear.label} has not been closed`,
+          404
+        );
+      }
+
+      const openingBalances = await closing.getOpeningBalances();
+      const differences = openingBalances.filter((item) => Math.abs(item.difference) >= 0.01);
+
+      logger.info('Opening balances fetched', {
+        fiscalYear: fiscalYear.label,
+        closingId: closing._id,
+        count: openingBalances.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        fiscalYear,
+        closing: {
+          _id: closing._id,
+          fiscalYear: closing.fiscalYear,
+          endDate: closing.endDate,
+          closedAt: closing.closedAt,
+        },
+        openingBalances,
+        matchesLedger: differences.length === 0,
+        differences,
+      });
+    } catch (error) {
+      logger.error('Error fetching opening balances', error);
+
+      return errorResponse(
+        'Failed to fetch opening balances',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
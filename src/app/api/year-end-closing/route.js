@@ -0,0 +1,166 @@
+/**
+ * Year-End Closing API
+ * Closes a fiscal year into retained earnings and lists past closings
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/lib/mongodb';
+import FiscalYearClosing from '@/models/FiscalYearClosing';
+import { PERIOD_OVERRIDE_PERMISSION } from '@/models/FiscalPeriod';
+import { successResponse, errorResponse } from '@/utils/response';
+import logger from '@/utils/logger';
+import { withAuth, withPermission } from '@/middleware/auth';
+
+/**
+ * GET /api/year-end-closing
+ * List closings and preview the closing for the fiscal year containing ?date (default today)
+ */
+export async function GET(request) {
+  return withAuth(request, async (request) => {
+    try {
+      await connectDB();
+
+      const { searchParams } = new URL(request.url);
+      const date = searchParams.get('date') ? new Date(searchParams.get('date')) : new Date();
+
+      if (isNaN(date.getTime())) {
+        return errorResponse('Invalid date', 400);
+      }
+
+      const organization = request.user.organizationId;
+      const fiscalYear = organization.getFiscalYear(date);
+
+      const closings = await FiscalYearClosing.find({ organizationId: organization._id })
+        .populate('voucherId', 'voucherNumber voucherDate status')
+        .populate('retainedEarningsAccountId', 'code name')
+        .populate('closedBy', 'name email')
+        .populate('reopenedBy', 'name email')
+        .sort({ endDate: -1, createdAt: -1 })
+        .lean();
+
+      const existing = closings.find(
+        (closing) => closing.fiscalYear === fiscalYear.label && closing.status === 'closed'
+      );
+
+      // Preview of the closing voucher for a year that is still open
+      let preview = null;
+      if (!existing) {
+        const retainedEarningsAccount = await FiscalYearClosing.findRetainedEarningsAccount(
+          organization._id,
+          searchParams.get('retainedEarningsAccountId')
+        );
+
+        if (retainedEarningsAccount) {
+          const plan = await FiscalYearClosing.buildClosingPlan(
+            organization._id,
+            fiscalYear,
+            retainedEarningsAccount
+          );
+
+          preview = {
+            retainedEarningsAccount: {
+              _id: retainedEarningsAccount._id,
+              code: retainedEarningsAccount.code,
+              name: retainedEarningsAccount.name,
+            },
+            ...plan,
+          };
+        }
+      }
+
+      logger.info('Year-end closings fetched', {
+        fiscalYear: fiscalYear.label,
+        count: closings.length,
+        userId: request.user._id,
+      });
+
+      return successResponse({
+        fiscalYear,
+        isClosed: !!existing,
+        closing: existing || null,
+        preview,
+        closings,
+      });
+    } catch (error) {
+      logger.error('Error fetching year-end closings', error);
+
+      return errorResponse(
+        'Failed to fetch year-end closings',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    }
+  });
+}
+
+/**
+ * POST /api/year-end-closing
+ * Close the fiscal year containing `date`
+ * Body: { date, retainedEarningsAccountId?, notes? }
+ */
+export async function POST(request) {
+  return withPermission(request, PERIOD_OVERRIDE_PERMISSION, async (request) => {
+    const session = await connectDB().then(() => mongoose.startSession());
+
+    try {
+      await session.startTransaction();
+
+      const body = await request.json().catch(() => ({}));
+      const date = body.date ? new Date(body.date) : null;
+
+      if (!date || isNaN(date.getTime())) {
+        await session.abortTransaction();
+        return errorResponse('A date within the fiscal year to close is required', 400);
+      }
+
+      const organization = request.user.organizationId;
+      const fiscalYear = organization.getFiscalYear(date);
+
+      if (fiscalYear.endDate > new Date()) {
+        await session.abortTransaction();
+        return errorResponse(`Fiscal year ${fiscalYear.label} has not ended yet`, 400);
+      }
+
+      // Voucher, ledger entries, period closes and the closing record commit together
+      let closing;
+      try {
+        closing = await FiscalYearClosing.closeYear(organization, date, {
+          userId: request.user._id,
+          retainedEarningsAccountId: body.retainedEarningsAccountId || null,
+          canOverrideLock: true,
+          notes: body.notes,
+          session,
+        });
+      } catch (error) {
+        await session.abortTransaction();
+        return errorResponse(error.message, 400);
+      }
+
+      await session.commitTransaction();
+
+      logger.success('Fiscal year closed', {
+        fiscalYear: closing.fiscalYear,
+        voucherId: closing.voucherId,
+        netProfit: closing.netProfit,
+        userId: request.user._id,
+      });
+
+      return successResponse(
+        { closing },
+        `Fiscal year ${closing.fiscalYear} closed successfully`,
+        201
+      );
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Error closing fiscal year', error);
+
+      return errorResponse(
+        'Failed to close fiscal year',
+        500,
+        process.env.NODE_ENV === 'development' ? { error: error.message } : null
+      );
+    } finally {
+      session.endSession();
+    }
+  });
+}
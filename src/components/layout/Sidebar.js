@@ -18,6 +18,7 @@ export default function Sidebar({ isOpen, onClose }) {
   const [expandedSections, setExpandedSections] = useState({
     sales: true,
     procurement: true,
+    inventory: true,
     accounting: true,
   });
 
@@ -45,6 +46,8 @@ export default function Sidebar({ isOpen, onClose }) {
       items: [
         { name: 'Quick Sale (POS)', href: '/admin/sales', icon: '🛒' },
         { name: 'Customers', href: '/admin/customers', icon: '👥' },
+        { name: 'Quotations', href: '/admin/quotations', icon: '📝' },
+        { name: 'Sales Orders', href: '/admin/sales-orders', icon: '📋' },
         { name: 'Sales Invoices', href: '/admin/invoices', icon: '📄' },
       ],
     },
@@ -59,6 +62,15 @@ export default function Sidebar({ isOpen, onClose }) {
         { name: 'Purchase Invoices', href: '/admin/purchase-invoices', icon: '🧾' },
       ],
     },
+    {
+      name: 'Inventory',
+      key: 'inventory',
+      icon: '🏷️',
+      items: [
+        { name: 'Products', href: '/admin/products', icon: '📦' },
+        { name: 'Stock Management', href: '/admin/stock-management', icon: '🏬' },
+      ],
+    },
     {
       name: 'Accounting',
       key: 'accounting',
@@ -0,0 +1,187 @@
+'use client';
+
+import { Document, Page, Text, View, StyleSheet } from '@react-pdf/renderer';
+import { format } from 'date-fns';
+import { documentStyles, formatMoney } from './styles';
+
+/**
+ * Statement of account for a customer or supplier
+ * Takes the data returned by GET /api/customers/[id]/statement or
+ * GET /api/suppliers/[id]/statement
+ */
+
+const styles = StyleSheet.create({
+  ...documentStyles,
+  // Columns
+  colDate: { width: '12%' },
+  colDescription: { width: '20%' },
+  colNumber: { width: '17%' },
+  colDue: { width: '12%' },
+  colDebit: { width: '13%', textAlign: 'right' },
+  colCredit: { width: '13%', textAlign: 'right' },
+  colBalance: { width: '13%', textAlign: 'right' },
+  // Aging
+  agingTable: {
+    marginTop: 20,
+    flexDirection: 'row',
+    border: '1 solid #D1D5DB',
+  },
+  agingCell: {
+    flex: 1,
+    padding: 6,
+    borderRight: '1 solid #D1D5DB',
+    textAlign: 'center',
+  },
+  agingLabel: {
+    fontSize: 8,
+    color: '#6B7280',
+    marginBottom: 2,
+  },
+});
+
+const PARTY_LABELS = {
+  customer: {
+    title: 'Customer',
+    code: 'customerCode',
+    debit: 'Total Invoiced',
+    credit: 'Total Received',
+    balance: 'Balance Due',
+  },
+  supplier: {
+    title: 'Supplier',
+    code: 'supplierCode',
+    debit: 'Total Paid',
+    credit: 'Total Billed',
+    balance: 'Balance Payable',
+  },
+};
+
+const amount = (value) =>
+  value ? Number(value).toLocaleString('en-PK', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '';
+
+export default function StatementPDF({ statement, party = 'customer' }) {
+  const { organization, period, currency, lines, totals, aging } = statement;
+  const account = statement[party];
+  const labels = PARTY_LABELS[party];
+
+  return (
+    <Document>
+      <Page size="A4" style={styles.page}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.companyName}>{organization.name}</Text>
+          {organization.address ? <Text style={styles.companyDetails}>{organization.address}</Text> : null}
+          <Text style={styles.companyDetails}>
+            {[organization.phone && `Phone: ${organization.phone}`, organization.email && `Email: ${organization.email}`]
+              .filter(Boolean)
+              .join(' | ')}
+          </Text>
+          <Text style={styles.companyDetails}>
+            NTN: {organization.ntn || '-'} | STRN: {organization.strn || '-'}
+          </Text>
+        </View>
+
+        {/* Title */}
+        <Text style={styles.documentTitle}>STATEMENT OF ACCOUNT</Text>
+        <Text style={styles.documentSubtitle}>
+          {format(new Date(period.startDate), 'dd MMM yyyy')} - {format(new Date(period.endDate), 'dd MMM yyyy')}
+        </Text>
+
+        {/* Customer / Supplier */}
+        <View style={styles.infoSection}>
+          <View style={styles.infoBox}>
+            <Text style={styles.infoLabel}>{labels.title}:</Text>
+            <Text style={styles.infoValue}>{account.name}</Text>
+            {account.address ? <Text style={styles.companyDetails}>{account.address}</Text> : null}
+            {account.ntn ? <Text style={styles.companyDetails}>NTN: {account.ntn}</Text> : null}
+          </View>
+          <View style={styles.infoBox}>
+            <Text style={styles.infoLabel}>{labels.title} Code:</Text>
+            <Text style={styles.infoValue}>{account[labels.code]}</Text>
+
+            <Text style={styles.infoLabel}>Credit Terms:</Text>
+            <Text style={styles.infoValue}>{account.creditDays || 0} days</Text>
+
+            <Text style={styles.infoLabel}>{labels.balance}:</Text>
+            <Text style={styles.infoValue}>{formatMoney(statement.closingBalance, currency)}</Text>
+          </View>
+        </View>
+
+        {/* Transactions */}
+        <View style={styles.table}>
+          <View style={styles.tableHeader} fixed>
+            <Text style={styles.colDate}>Date</Text>
+            <Text style={styles.colDescription}>Description</Text>
+            <Text style={styles.colNumber}>Number</Text>
+            <Text style={styles.colDue}>Due Date</Text>
+            <Text style={styles.colDebit}>Debit</Text>
+            <Text style={styles.colCredit}>Credit</Text>
+            <Text style={styles.colBalance}>Balance</Text>
+          </View>
+
+          <View style={styles.tableRow}>
+            <Text style={styles.colDate}>{format(new Date(period.startDate), 'dd/MM/yyyy')}</Text>
+            <Text style={styles.colDescription}>Opening Balance</Text>
+            <Text style={styles.colNumber}></Text>
+            <Text style={styles.colDue}></Text>
+            <Text style={styles.colDebit}></Text>
+            <Text style={styles.colCredit}></Text>
+            <Text style={styles.colBalance}>{amount(statement.openingBalance) || '0.00'}</Text>
+          </View>
+
+          {lines.map((line, index) => (
+            <View key={index} style={styles.tableRow} wrap={false}>
+              <Text style={styles.colDate}>{format(new Date(line.date), 'dd/MM/yyyy')}</Text>
+              <Text style={styles.colDescription}>{line.description}</Text>
+              <Text style={styles.colNumber}>{line.number}</Text>
+              <Text style={styles.colDue}>{line.dueDate ? format(new Date(line.dueDate), 'dd/MM/yyyy') : ''}</Text>
+              <Text style={styles.colDebit}>{amount(line.debit)}</Text>
+              <Text style={styles.colCredit}>{amount(line.credit)}</Text>
+              <Text style={styles.colBalance}>{amount(line.balance) || '0.00'}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Totals */}
+        <View style={styles.totalsSection}>
+          <View style={styles.totalRow}>
+            <Text>{labels.debit}:</Text>
+            <Text>{formatMoney(totals.debit, currency)}</Text>
+          </View>
+          <View style={styles.totalRow}>
+            <Text>{labels.credit}:</Text>
+            <Text>{formatMoney(totals.credit, currency)}</Text>
+          </View>
+          <View style={styles.grandTotal}>
+            <Text>{labels.balance}:</Text>
+            <Text>{formatMoney(statement.closingBalance, currency)}</Text>
+          </View>
+        </View>
+
+        {/* Aging */}
+        {aging && (
+          <View style={styles.agingTable} wrap={false}>
+            {Object.entries(aging.buckets).map(([bucket, value]) => (
+              <View key={bucket} style={styles.agingCell}>
+                <Text style={styles.agingLabel}>{bucket} days</Text>
+                <Text>{amount(value) || '0.00'}</Text>
+              </View>
+            ))}
+            <View style={styles.agingCell}>
+              <Text style={styles.agingLabel}>Overdue</Text>
+              <Text>{amount(aging.overdue) || '0.00'}</Text>
+            </View>
+          </View>
+        )}
+
+        {/* Footer */}
+        <View style={styles.footer} fixed>
+          <Text style={styles.footerText}>
+            Please report any discrepancy within 15 days of receiving this statement.
+          </Text>
+          <Text style={styles.footerText}>This is a computer-generated statement and does not require a signature.</Text>
+        </View>
+      </Page>
+    </Document>
+  );
+}
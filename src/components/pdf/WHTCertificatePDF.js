@@ -0,0 +1,148 @@
+'use client';
+
+import { Document, Page, Text, View, StyleSheet } from '@react-pdf/renderer';
+import { format } from 'date-fns';
+import { documentStyles, formatMoney } from './styles';
+
+/**
+ * Withholding tax certificate (certificate of collection/deduction of tax)
+ * Takes the `certificate` returned by GET /api/withholding-tax/certificate
+ */
+
+const styles = StyleSheet.create({
+  ...documentStyles,
+  // Columns
+  colDate: { width: '14%' },
+  colPayment: { width: '18%' },
+  colInvoice: { width: '18%' },
+  colSection: { width: '16%' },
+  colRate: { width: '8%', textAlign: 'right' },
+  colBase: { width: '13%', textAlign: 'right' },
+  colTax: { width: '13%', textAlign: 'right' },
+  // Signature
+  signature: {
+    marginTop: 50,
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  signatureLine: {
+    width: '40%',
+    borderTop: '1 solid #111827',
+    paddingTop: 4,
+    textAlign: 'center',
+    fontSize: 9,
+  },
+});
+
+const TAX_LABELS = {
+  income_tax: 'Income Tax',
+  sales_tax: 'Sales Tax',
+};
+
+export default function WHTCertificatePDF({ certificate }) {
+  const { organization, supplier, period, currency, lines, totals } = certificate;
+
+  return (
+    <Document>
+      <Page size="A4" style={styles.page}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.companyName}>{organization.name}</Text>
+          {organization.address ? <Text style={styles.companyDetails}>{organization.address}</Text> : null}
+          <Text style={styles.companyDetails}>
+            NTN: {organization.ntn || '-'} | STRN: {organization.strn || '-'}
+          </Text>
+        </View>
+
+        {/* Title */}
+        <Text style={styles.documentTitle}>CERTIFICATE OF DEDUCTION OF TAX</Text>
+        <Text style={styles.documentSubtitle}>
+          Income Tax Ordinance, 2001 (section 153) / Sales Tax Withholding Rules
+        </Text>
+
+        {/* Supplier and period */}
+        <View style={styles.infoSection}>
+          <View style={styles.infoBox}>
+            <Text style={styles.infoLabel}>Tax Deducted From:</Text>
+            <Text style={styles.infoValue}>{supplier.companyName}</Text>
+            {supplier.address ? <Text style={styles.companyDetails}>{supplier.address}</Text> : null}
+            <Text style={styles.companyDetails}>
+              NTN: {supplier.ntn || '-'} | STRN: {supplier.strn || '-'}
+            </Text>
+            <Text style={styles.companyDetails}>
+              Status: {supplier.filerStatus === 'non_filer' ? 'Non-filer' : 'Filer (ATL)'}
+            </Text>
+          </View>
+          <View style={styles.infoBox}>
+            <Text style={styles.infoLabel}>Period:</Text>
+            <Text style={styles.infoValue}>
+              {format(new Date(period.startDate), 'dd MMM yyyy')} - {format(new Date(period.endDate), 'dd MMM yyyy')}
+            </Text>
+
+            <Text style={styles.infoLabel}>Supplier Code:</Text>
+            <Text style={styles.infoValue}>{supplier.supplierCode}</Text>
+
+            <Text style={styles.infoLabel}>Issued On:</Text>
+            <Text style={styles.infoValue}>{format(new Date(certificate.issuedAt), 'dd MMM yyyy')}</Text>
+          </View>
+        </View>
+
+        {/* Deductions */}
+        <Text style={styles.sectionTitle}>Details of Tax Deducted</Text>
+        <View style={styles.table}>
+          <View style={styles.tableHeader}>
+            <Text style={styles.colDate}>Date</Text>
+            <Text style={styles.colPayment}>Payment #</Text>
+            <Text style={styles.colInvoice}>Invoice #</Text>
+            <Text style={styles.colSection}>Tax / Section</Text>
+            <Text style={styles.colRate}>Rate</Text>
+            <Text style={styles.colBase}>Taxable</Text>
+            <Text style={styles.colTax}>Tax</Text>
+          </View>
+
+          {lines.map((line, index) => (
+            <View key={index} style={styles.tableRow} wrap={false}>
+              <Text style={styles.colDate}>{format(new Date(line.paymentDate), 'dd/MM/yyyy')}</Text>
+              <Text style={styles.colPayment}>{line.paymentNumber}</Text>
+              <Text style={styles.colInvoice}>{line.invoiceNumber}</Text>
+              <Text style={styles.colSection}>
+                {TAX_LABELS[line.taxType]} {line.section}
+              </Text>
+              <Text style={styles.colRate}>{line.rate}%</Text>
+              <Text style={styles.colBase}>{Number(line.baseAmount).toLocaleString('en-PK')}</Text>
+              <Text style={styles.colTax}>{Number(line.amount).toLocaleString('en-PK')}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Totals */}
+        <View style={styles.totalsSection}>
+          <View style={styles.totalRow}>
+            <Text>Income Tax Deducted:</Text>
+            <Text>{formatMoney(totals.incomeTax, currency)}</Text>
+          </View>
+          <View style={styles.totalRow}>
+            <Text>Sales Tax Withheld:</Text>
+            <Text>{formatMoney(totals.salesTax, currency)}</Text>
+          </View>
+          <View style={styles.grandTotal}>
+            <Text>Total Tax Deducted:</Text>
+            <Text>{formatMoney(totals.total, currency)}</Text>
+          </View>
+        </View>
+
+        <View style={styles.signature}>
+          <Text style={styles.signatureLine}>Authorized Signatory</Text>
+        </View>
+
+        {/* Footer */}
+        <View style={styles.footer} fixed>
+          <Text style={styles.footerText}>
+            Certified that the above tax has been deducted and will be deposited in the Government treasury.
+          </Text>
+          <Text style={styles.footerText}>This is a computer-generated certificate.</Text>
+        </View>
+      </Page>
+    </Document>
+  );
+}
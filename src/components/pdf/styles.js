@@ -0,0 +1,130 @@
+/**
+ * Shared styles for printable documents (certificates, statements)
+ * Each document spreads these into its own StyleSheet with its columns
+ */
+export const documentStyles = {
+  page: {
+    padding: 30,
+    fontSize: 10,
+    fontFamily: 'Helvetica',
+  },
+  // Header
+  header: {
+    marginBottom: 20,
+    borderBottom: '2 solid #3B82F6',
+    paddingBottom: 10,
+  },
+  companyName: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1E40AF',
+    marginBottom: 5,
+  },
+  companyDetails: {
+    fontSize: 9,
+    color: '#6B7280',
+    marginBottom: 2,
+  },
+  // Title
+  documentTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginTop: 10,
+    color: '#111827',
+  },
+  documentSubtitle: {
+    fontSize: 9,
+    textAlign: 'center',
+    color: '#6B7280',
+    marginBottom: 15,
+  },
+  // Info Section
+  infoSection: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+  infoBox: {
+    width: '48%',
+  },
+  infoLabel: {
+    fontSize: 8,
+    color: '#6B7280',
+    marginBottom: 2,
+  },
+  infoValue: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    marginTop: 10,
+    marginBottom: 4,
+  },
+  // Table
+  table: {
+    marginTop: 5,
+  },
+  tableHeader: {
+    flexDirection: 'row',
+    backgroundColor: '#F3F4F6',
+    borderBottom: '1 solid #D1D5DB',
+    paddingVertical: 6,
+    paddingHorizontal: 5,
+    fontWeight: 'bold',
+    fontSize: 9,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    borderBottom: '1 solid #E5E7EB',
+    paddingVertical: 6,
+    paddingHorizontal: 5,
+    fontSize: 9,
+  },
+  // Totals
+  totalsSection: {
+    marginTop: 10,
+    alignItems: 'flex-end',
+  },
+  totalRow: {
+    flexDirection: 'row',
+    width: '45%',
+    justifyContent: 'space-between',
+    paddingVertical: 5,
+    borderTop: '1 solid #E5E7EB',
+  },
+  grandTotal: {
+    flexDirection: 'row',
+    width: '45%',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderTop: '2 solid #3B82F6',
+    fontWeight: 'bold',
+    fontSize: 12,
+    marginTop: 5,
+  },
+  // Footer
+  footer: {
+    position: 'absolute',
+    bottom: 30,
+    left: 30,
+    right: 30,
+    borderTop: '1 solid #E5E7EB',
+    paddingTop: 10,
+    fontSize: 8,
+    color: '#6B7280',
+  },
+  footerText: {
+    textAlign: 'center',
+    marginBottom: 3,
+  },
+};
+
+export const formatMoney = (value, currency) =>
+  `${currency} ${Number(value || 0).toLocaleString('en-PK', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
@@ -0,0 +1,283 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { AccountSelect } from '@/components/ui/SearchableSelect';
+import { HSCodeSearch } from '@/components/fbr/HSCodeSearch';
+import { UOMSelect } from '@/components/fbr/FBRDropdowns';
+import { useFBRUOMs } from '@/hooks/useFBR';
+
+const accountOption = (account) =>
+  account?._id ? { value: account._id, label: `${account.code} - ${account.name}` } : null;
+
+/**
+ * Product form shared by the new and edit product pages
+ * @param {Object} props
+ * @param {Object} [props.product] - Product to edit, with populated accounts
+ * @param {Function} props.onSubmit - receives the product payload
+ * @param {Object} [props.errors] - Field errors returned by the API
+ */
+export default function ProductForm({ product, onSubmit, isPending, errors = {}, submitLabel, cancelHref }) {
+  const { data: uoms } = useFBRUOMs();
+
+  const [formData, setFormData] = useState({
+    sku: product?.sku || '',
+    name: product?.name || '',
+    description: product?.description || '',
+    productType: product?.productType || 'goods',
+    category: product?.category || '',
+    hsCode: product?.hsCode || '',
+    unit: product?.unit || 'pcs',
+    fbrUomId: product?.fbrUomId || null,
+    saleRate: product?.saleRate ?? 0,
+    purchaseRate: product?.purchaseRate ?? 0,
+    taxRate: product?.taxRate ?? 18,
+    notes: product?.notes || '',
+    isActive: product?.isActive ?? true,
+  });
+
+  const [accounts, setAccounts] = useState({
+    revenueAccountId: accountOption(product?.revenueAccountId),
+    cogsAccountId: accountOption(product?.cogsAccountId),
+    inventoryAccountId: accountOption(product?.inventoryAccountId),
+  });
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    onSubmit({
+      sku: formData.sku || undefined,
+      name: formData.name,
+      description: formData.description || undefined,
+      productType: formData.productType,
+      category: formData.category || undefined,
+      hsCode: formData.hsCode || undefined,
+      unit: formData.unit || 'pcs',
+      fbrUomId: formData.fbrUomId || undefined,
+      fbrUom: uoms?.find((uom) => uom.uoM_ID === formData.fbrUomId)?.description,
+      saleRate: parseFloat(formData.saleRate) || 0,
+      purchaseRate: parseFloat(formData.purchaseRate) || 0,
+      taxRate: parseFloat(formData.taxRate) || 0,
+      revenueAccountId: accounts.revenueAccountId?.value || null,
+      cogsAccountId: accounts.cogsAccountId?.value || null,
+      inventoryAccountId: accounts.inventoryAccountId?.value || null,
+      notes: formData.notes || undefined,
+      isActive: formData.isActive,
+    });
+  };
+
+  const inputClass =
+    'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  const fieldError = (name) => errors[name] && <p className="mt-1 text-sm text-red-600">{errors[name]}</p>;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Basic Information */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Basic Information</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">SKU</label>
+            <input
+              type="text"
+              name="sku"
+              value={formData.sku}
+              onChange={handleChange}
+              maxLength={50}
+              placeholder="Generated if left blank"
+              className={`${inputClass} uppercase`}
+            />
+            {fieldError('sku')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Name <span className="text-red-500">*</span>
+            </label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              maxLength={200}
+              className={inputClass}
+            />
+            {fieldError('name')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+            <select name="productType" value={formData.productType} onChange={handleChange} className={inputClass}>
+              <option value="goods">Goods</option>
+              <option value="service">Service</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Category</label>
+            <input type="text" name="category" value={formData.category} onChange={handleChange} className={inputClass} />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <textarea
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              rows={2}
+              maxLength={1000}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* FBR Classification */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">FBR Classification</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">HS Code</label>
+            <HSCodeSearch
+              value={formData.hsCode}
+              onChange={(hsCode) => setFormData((prev) => ({ ...prev, hsCode }))}
+            />
+            {fieldError('hsCode')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">FBR Unit of Measure</label>
+            <UOMSelect
+              value={formData.fbrUomId}
+              onChange={(fbrUomId) => setFormData((prev) => ({ ...prev, fbrUomId }))}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Unit on Documents</label>
+            <input type="text" name="unit" value={formData.unit} onChange={handleChange} className={inputClass} />
+          </div>
+        </div>
+      </div>
+
+      {/* Pricing */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Rates</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Sale Rate</label>
+            <input
+              type="number"
+              name="saleRate"
+              step="0.01"
+              min="0"
+              value={formData.saleRate}
+              onChange={handleChange}
+              className={inputClass}
+            />
+            {fieldError('saleRate')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Purchase Rate</label>
+            <input
+              type="number"
+              name="purchaseRate"
+              step="0.01"
+              min="0"
+              value={formData.purchaseRate}
+              onChange={handleChange}
+              className={inputClass}
+            />
+            {fieldError('purchaseRate')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Sales Tax %</label>
+            <input
+              type="number"
+              name="taxRate"
+              step="0.01"
+              min="0"
+              max="100"
+              value={formData.taxRate}
+              onChange={handleChange}
+              className={inputClass}
+            />
+            {fieldError('taxRate')}
+          </div>
+        </div>
+      </div>
+
+      {/* Accounts */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-1">Default Accounts</h2>
+        <p className="text-sm text-gray-600 mb-4">Leave blank to use the organization defaults.</p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {[
+            ['revenueAccountId', 'Revenue'],
+            ['cogsAccountId', 'Cost of Goods Sold'],
+            ['inventoryAccountId', 'Inventory'],
+          ].map(([name, label]) => (
+            <div key={name}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+              <AccountSelect
+                value={accounts[name]}
+                onChange={(option) => setAccounts((prev) => ({ ...prev, [name]: option }))}
+              />
+              {accounts[name] && (
+                <button
+                  type="button"
+                  onClick={() => setAccounts((prev) => ({ ...prev, [name]: null }))}
+                  className="mt-1 text-xs text-gray-500 hover:text-gray-700"
+                >
+                  Clear
+                </button>
+              )}
+              {fieldError(name)}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Additional Information */}
+      <div className="bg-white rounded-lg shadow p-6 space-y-4">
+        <textarea
+          name="notes"
+          value={formData.notes}
+          onChange={handleChange}
+          rows={3}
+          maxLength={1000}
+          placeholder="Notes"
+          className={inputClass}
+        />
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            name="isActive"
+            checked={formData.isActive}
+            onChange={handleChange}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <label className="ml-2 text-sm text-gray-700">Active</label>
+        </div>
+      </div>
+
+      {/* Form Actions */}
+      <div className="flex items-center justify-end gap-4">
+        <Link
+          href={cancelHref}
+          className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </Link>
+        <button
+          type="submit"
+          disabled={isPending}
+          className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          {isPending ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,401 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { CustomerSelect } from '@/components/ui/SearchableSelect';
+
+const emptyItem = () => ({ description: '', quantity: 1, unit: 'pcs', rate: 0, taxRate: 18, discountRate: 0 });
+
+/**
+ * Customer, dates, line items and charges form shared by quotations and sales orders
+ * @param {Object} props
+ * @param {Object} props.dateFields - { primary: { name, label }, secondary: { name, label, required } }
+ * @param {Function} props.onSubmit - receives the document payload
+ */
+export default function SalesDocumentForm({ dateFields, onSubmit, isPending, error, submitLabel, cancelHref }) {
+  const [customerOption, setCustomerOption] = useState(null);
+
+  const [formData, setFormData] = useState({
+    customerId: '',
+    [dateFields.primary.name]: new Date().toISOString().split('T')[0],
+    [dateFields.secondary.name]: '',
+    referenceNumber: '',
+    currency: 'PKR',
+    shippingCharges: 0,
+    otherCharges: 0,
+    notes: '',
+    terms: '',
+  });
+
+  const [items, setItems] = useState([emptyItem()]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleItemChange = (index, field, value) => {
+    const newItems = [...items];
+    newItems[index][field] = value;
+    setItems(newItems);
+  };
+
+  const addItem = () => {
+    setItems([...items, emptyItem()]);
+  };
+
+  const removeItem = (index) => {
+    if (items.length > 1) {
+      setItems(items.filter((_, i) => i !== index));
+    }
+  };
+
+  const calculateTotals = () => {
+    let subtotal = 0;
+    let totalDiscount = 0;
+    let totalTax = 0;
+
+    items.forEach((item) => {
+      const amount = item.quantity * item.rate;
+      const discount = (amount * (item.discountRate || 0)) / 100;
+      const tax = ((amount - discount) * (item.taxRate || 0)) / 100;
+
+      subtotal += amount;
+      totalDiscount += discount;
+      totalTax += tax;
+    });
+
+    const totalAmount =
+      subtotal -
+      totalDiscount +
+      totalTax +
+      parseFloat(formData.shippingCharges || 0) +
+      parseFloat(formData.otherCharges || 0);
+
+    return { subtotal, totalDiscount, totalTax, totalAmount };
+  };
+
+  const totals = calculateTotals();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    onSubmit({
+      ...formData,
+      [dateFields.secondary.name]: formData[dateFields.secondary.name] || undefined,
+      items: items.map((item) => ({
+        ...item,
+        quantity: parseFloat(item.quantity),
+        rate: parseFloat(item.rate),
+        taxRate: parseFloat(item.taxRate || 0),
+        discountRate: parseFloat(item.discountRate || 0),
+      })),
+      shippingCharges: parseFloat(formData.shippingCharges || 0),
+      otherCharges: parseFloat(formData.otherCharges || 0),
+      currency: formData.currency.toUpperCase(),
+    });
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-PK', {
+      style: 'currency',
+      currency: /^[A-Za-z]{3}$/.test(formData.currency) ? formData.currency.toUpperCase() : 'PKR',
+      minimumFractionDigits: 0,
+    }).format(amount);
+  };
+
+  return (
+    <>
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800 font-medium">{error.message}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Details */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Customer *</label>
+              <CustomerSelect
+                value={customerOption}
+                onChange={(selectedOption) => {
+                  setCustomerOption(selectedOption);
+                  setFormData((prev) => ({
+                    ...prev,
+                    customerId: selectedOption?.value || '',
+                  }));
+                }}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{dateFields.primary.label} *</label>
+              <input
+                type="date"
+                name={dateFields.primary.name}
+                value={formData[dateFields.primary.name]}
+                onChange={handleChange}
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {dateFields.secondary.label}
+                {dateFields.secondary.required && ' *'}
+              </label>
+              <input
+                type="date"
+                name={dateFields.secondary.name}
+                value={formData[dateFields.secondary.name]}
+                onChange={handleChange}
+                required={dateFields.secondary.required}
+                min={formData[dateFields.primary.name]}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reference #</label>
+              <input
+                type="text"
+                name="referenceNumber"
+                value={formData.referenceNumber}
+                onChange={handleChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Currency</label>
+              <input
+                type="text"
+                name="currency"
+                value={formData.currency}
+                onChange={handleChange}
+                maxLength={3}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg uppercase"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Items */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Line Items</h2>
+            <button
+              type="button"
+              onClick={addItem}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+            >
+              + Add Item
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Description *</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Qty *</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Unit</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Rate *</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Disc %</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Tax %</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500">Amount</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {items.map((item, index) => {
+                  const amount = item.quantity * item.rate;
+                  const discount = (amount * (item.discountRate || 0)) / 100;
+                  const tax = ((amount - discount) * (item.taxRate || 0)) / 100;
+
+                  return (
+                    <tr key={index}>
+                      <td className="px-4 py-2">
+                        <input
+                          type="text"
+                          value={item.description}
+                          onChange={(e) => handleItemChange(index, 'description', e.target.value)}
+                          required
+                          className="w-full px-2 py-1 border border-gray-300 rounded"
+                          placeholder="Item description"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          value={item.quantity}
+                          onChange={(e) => handleItemChange(index, 'quantity', e.target.value)}
+                          required
+                          min="0.01"
+                          step="0.01"
+                          className="w-20 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="text"
+                          value={item.unit}
+                          onChange={(e) => handleItemChange(index, 'unit', e.target.value)}
+                          className="w-16 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          value={item.rate}
+                          onChange={(e) => handleItemChange(index, 'rate', e.target.value)}
+                          required
+                          min="0"
+                          step="0.01"
+                          className="w-24 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          value={item.discountRate}
+                          onChange={(e) => handleItemChange(index, 'discountRate', e.target.value)}
+                          min="0"
+                          max="100"
+                          step="0.01"
+                          className="w-16 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          value={item.taxRate}
+                          onChange={(e) => handleItemChange(index, 'taxRate', e.target.value)}
+                          min="0"
+                          max="100"
+                          step="0.01"
+                          className="w-16 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-4 py-2 text-right font-medium">
+                        {formatCurrency(amount - discount + tax)}
+                      </td>
+                      <td className="px-4 py-2">
+                        {items.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => removeItem(index)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            ×
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Totals */}
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Shipping Charges</label>
+                <input
+                  type="number"
+                  name="shippingCharges"
+                  value={formData.shippingCharges}
+                  onChange={handleChange}
+                  min="0"
+                  step="0.01"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Other Charges</label>
+                <input
+                  type="number"
+                  name="otherCharges"
+                  value={formData.otherCharges}
+                  onChange={handleChange}
+                  step="0.01"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-600">Subtotal:</span>
+                <span className="font-medium">{formatCurrency(totals.subtotal)}</span>
+              </div>
+              {totals.totalDiscount > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Discount:</span>
+                  <span className="font-medium text-red-600">-{formatCurrency(totals.totalDiscount)}</span>
+                </div>
+              )}
+              {totals.totalTax > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Tax:</span>
+                  <span className="font-medium">{formatCurrency(totals.totalTax)}</span>
+                </div>
+              )}
+              <div className="border-t pt-2 flex justify-between text-lg font-bold">
+                <span>Total Amount:</span>
+                <span className="text-blue-600">{formatCurrency(totals.totalAmount)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="mt-6 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+              <textarea
+                name="notes"
+                value={formData.notes}
+                onChange={handleChange}
+                rows={3}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Terms & Conditions</label>
+              <textarea
+                name="terms"
+                value={formData.terms}
+                onChange={handleChange}
+                rows={3}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center justify-end gap-4">
+          <Link
+            href={cancelHref}
+            className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50"
+          >
+            Cancel
+          </Link>
+          <button
+            type="submit"
+            disabled={isPending}
+            className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300"
+          >
+            {isPending ? 'Saving...' : submitLabel}
+          </button>
+        </div>
+      </form>
+    </>
+  );
+}
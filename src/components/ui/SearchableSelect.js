@@ -254,3 +254,62 @@ export function SupplierSelect({ value, onChange, error, className }) {
     />
   );
 }
+
+/**
+ * Option for a product (a product ID or a populated product) as used by ProductSelect
+ */
+export function productOption(product) {
+  if (!product?._id) return null;
+  return {
+    value: product._id,
+    label: `${product.sku} - ${product.name}`,
+    product,
+  };
+}
+
+/**
+ * Product Select Component
+ * For picking an item master product on document lines
+ */
+export function ProductSelect({ value, onChange, error, className, productType, placeholder }) {
+  const loadProducts = async (inputValue) => {
+    try {
+      const token = localStorage.getItem('token');
+      const params = new URLSearchParams({
+        limit: '50',
+        search: inputValue || '',
+        isActive: 'true',
+      });
+
+      if (productType) {
+        params.append('productType', productType);
+      }
+
+      const response = await fetch(`/api/products?${params.toString()}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        return data.data.products.map(productOption);
+      }
+
+      return [];
+    } catch (err) {
+      console.error('Error loading products:', err);
+      return [];
+    }
+  };
+
+  return (
+    <SearchableSelect
+      value={value}
+      onChange={onChange}
+      loadOptions={loadProducts}
+      placeholder={placeholder || 'Search products by SKU, name or HS code...'}
+      error={error}
+      className={className}
+    />
+  );
+}
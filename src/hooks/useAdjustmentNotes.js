@@ -0,0 +1,157 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch credit and debit notes with filters
+ */
+export function useAdjustmentNotes(filters = {}) {
+  return useQuery({
+    queryKey: ['adjustment-notes', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/adjustment-notes?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load notes');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Fetch a customer's posted invoices (credit notes also apply to paid ones)
+ */
+export function usePostedInvoices(customerId) {
+  return useQuery({
+    queryKey: ['invoices', 'posted', customerId],
+    queryFn: async () => {
+      const params = new URLSearchParams({ customerId, limit: '200' });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/invoices?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load invoices');
+      }
+
+      return data.data.invoices
+        .filter((invoice) => invoice.isPosted && invoice.status !== 'cancelled')
+        .sort((a, b) => new Date(b.invoiceDate) - new Date(a.invoiceDate));
+    },
+    enabled: !!customerId,
+  });
+}
+
+/**
+ * Create note mutation
+ */
+export function useCreateAdjustmentNote() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (noteData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/adjustment-notes', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(noteData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to create note');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['adjustment-notes'] });
+    },
+  });
+}
+
+/**
+ * Post note mutation
+ */
+export function usePostAdjustmentNote() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (noteId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/adjustment-notes/${noteId}/post`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to post note');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['adjustment-notes'] });
+      queryClient.invalidateQueries({ queryKey: ['invoices'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+    },
+  });
+}
+
+/**
+ * Delete draft note mutation
+ */
+export function useDeleteAdjustmentNote() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (noteId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/adjustment-notes/${noteId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete note');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['adjustment-notes'] });
+    },
+  });
+}
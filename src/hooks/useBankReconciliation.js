@@ -0,0 +1,243 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch bank accounts (chart of accounts entries marked as bank accounts)
+ */
+export function useBankAccounts() {
+  return useQuery({
+    queryKey: ['accounts', 'bank'],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/accounts?isBankAccount=true&isActive=true', {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load bank accounts');
+      }
+
+      return data.data.accounts;
+    },
+  });
+}
+
+/**
+ * Fetch imported statements for a bank account
+ */
+export function useBankStatements(accountId) {
+  return useQuery({
+    queryKey: ['bank-statements', accountId],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/bank-reconciliation/statements?accountId=${accountId}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load bank statements');
+      }
+
+      return data.data;
+    },
+    enabled: !!accountId,
+  });
+}
+
+/**
+ * Fetch a statement with its lines and unmatched book entries
+ */
+export function useBankStatement(statementId) {
+  return useQuery({
+    queryKey: ['bank-statements', 'detail', statementId],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/bank-reconciliation/statements/${statementId}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load bank statement');
+      }
+
+      return data.data;
+    },
+    enabled: !!statementId,
+  });
+}
+
+/**
+ * Fetch the reconciliation report for a bank account
+ */
+export function useBankReconciliationReport({ accountId, asOfDate, statementBalance }) {
+  return useQuery({
+    queryKey: ['bank-reconciliation-report', accountId, asOfDate, statementBalance],
+    queryFn: async () => {
+      const params = new URLSearchParams({ accountId });
+      if (asOfDate) params.append('asOfDate', asOfDate);
+      if (statementBalance !== '' && statementBalance !== undefined && statementBalance !== null) {
+        params.append('statementBalance', statementBalance);
+      }
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/bank-reconciliation/report?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load reconciliation report');
+      }
+
+      return data.data;
+    },
+    enabled: !!accountId,
+  });
+}
+
+/**
+ * Import statement mutation
+ */
+export function useImportBankStatement() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (statementData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/bank-reconciliation/statements', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(statementData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        const details = data.errors?.errors?.slice(0, 3).join(', ');
+        throw new Error(details ? `${data.message}: ${details}` : data.message || 'Failed to import statement');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['bank-statements'] });
+      queryClient.invalidateQueries({ queryKey: ['bank-reconciliation-report'] });
+    },
+  });
+}
+
+/**
+ * Auto-match statement mutation
+ */
+export function useAutoMatchStatement() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ statementId, dateWindowDays }) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/bank-reconciliation/statements/${statementId}/auto-match`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ dateWindowDays }),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to auto-match statement');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['bank-statements'] });
+      queryClient.invalidateQueries({ queryKey: ['bank-reconciliation-report'] });
+    },
+  });
+}
+
+/**
+ * Match / unmatch / ignore statement line mutation
+ */
+export function useMatchStatementLine() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ statementId, lineId, action, ledgerEntryIds }) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/bank-reconciliation/statements/${statementId}/match`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ lineId, action, ledgerEntryIds }),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update statement line');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['bank-statements'] });
+      queryClient.invalidateQueries({ queryKey: ['bank-reconciliation-report'] });
+    },
+  });
+}
+
+/**
+ * Delete statement mutation
+ */
+export function useDeleteBankStatement() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (statementId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/bank-reconciliation/statements/${statementId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete statement');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['bank-statements'] });
+      queryClient.invalidateQueries({ queryKey: ['bank-reconciliation-report'] });
+    },
+  });
+}
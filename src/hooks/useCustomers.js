@@ -62,6 +62,64 @@ export function useCustomer(customerId) {
   });
 }
 
+/**
+ * Fetch a customer's statement of account for a period
+ */
+export function useCustomerStatement(customerId, { startDate, endDate }) {
+  return useQuery({
+    queryKey: ['customers', customerId, 'statement', startDate, endDate],
+    queryFn: async () => {
+      const params = new URLSearchParams({ startDate, endDate });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/customers/${customerId}/statement?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load customer statement');
+      }
+
+      return data.data;
+    },
+    enabled: !!customerId && !!startDate && !!endDate,
+  });
+}
+
+/**
+ * Fetch the receivables aging report
+ */
+export function useArAging(filters = {}) {
+  return useQuery({
+    queryKey: ['ar-aging', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/reports/ar-aging?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load receivables aging');
+      }
+
+      return data.data;
+    },
+  });
+}
+
 /**
  * Create customer mutation
  */
@@ -0,0 +1,156 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch exchange rates with the latest rate per currency
+ */
+export function useExchangeRates(filters = {}) {
+  return useQuery({
+    queryKey: ['exchange-rates', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/exchange-rates?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load exchange rates');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Add exchange rate mutation
+ */
+export function useCreateExchangeRate() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (rateData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/exchange-rates', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(rateData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        const details = data.errors && Object.values(data.errors).join(', ');
+        throw new Error(details || data.message || 'Failed to add exchange rate');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['exchange-rates'] });
+      queryClient.invalidateQueries({ queryKey: ['fx-revaluation'] });
+    },
+  });
+}
+
+/**
+ * Delete exchange rate mutation
+ */
+export function useDeleteExchangeRate() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (id) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/exchange-rates/${id}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete exchange rate');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['exchange-rates'] });
+      queryClient.invalidateQueries({ queryKey: ['fx-revaluation'] });
+    },
+  });
+}
+
+/**
+ * Preview FX revaluation as at a date, with past revaluations
+ */
+export function useFxRevaluation(asOfDate) {
+  return useQuery({
+    queryKey: ['fx-revaluation', asOfDate],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/fx-revaluation?asOfDate=${asOfDate}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load FX revaluation');
+      }
+
+      return data.data;
+    },
+    enabled: !!asOfDate,
+  });
+}
+
+/**
+ * Post FX revaluation mutation
+ */
+export function usePostFxRevaluation() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (revaluationData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/fx-revaluation', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(revaluationData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to post FX revaluation');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['fx-revaluation'] });
+    },
+  });
+}
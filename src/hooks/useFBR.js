@@ -22,6 +22,7 @@ import {
   validateRegistration,
   findProvinceByCode,
   findDocumentTypeById,
+  findDebitNoteType,
   searchHSCode,
   findUOMById,
 } from '@/services/fbr-service';
@@ -269,6 +270,19 @@ export function useFBRFindDocumentType(id, enabled = true) {
   });
 }
 
+/**
+ * Hook to find the Debit Note document type (used for credit and debit notes)
+ */
+export function useFBRDebitNoteType() {
+  return useQuery({
+    queryKey: ['fbr', 'debitNoteType'],
+    queryFn: findDebitNoteType,
+    staleTime: 24 * 60 * 60 * 1000,
+    gcTime: 24 * 60 * 60 * 1000,
+    retry: 2,
+  });
+}
+
 /**
  * Hook to search HS codes
  * @param {string} code - HS code to search
@@ -92,6 +92,9 @@ export function useCreateInvoice() {
     onSuccess: () => {
       // Invalidate all invoice queries to refetch
       queryClient.invalidateQueries({ queryKey: ['invoices'] });
+      // Source quotation or sales order changes with the invoice
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+      queryClient.invalidateQueries({ queryKey: ['salesOrders'] });
     },
   });
 }
@@ -133,24 +136,31 @@ export function useUpdateInvoice() {
 
 /**
  * Post invoice mutation
+ * Pass creditOverrideReason to approve posting past the customer's credit check;
+ * a failed check is thrown with its details on error.creditCheck
  */
 export function usePostInvoice() {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async (invoiceId) => {
+    mutationFn: async ({ invoiceId, creditOverrideReason, applyAdvances }) => {
       const token = localStorage.getItem('token');
       const response = await fetch(`/api/invoices/${invoiceId}/post`, {
         method: 'POST',
         headers: {
+          'Content-Type': 'application/json',
           Authorization: `Bearer ${token}`,
         },
+        body: JSON.stringify({ creditOverrideReason, applyAdvances }),
       });
 
       const data = await response.json();
 
       if (!data.success) {
-        throw new Error(data.message || 'Failed to post invoice');
+        const error = new Error(data.message || 'Failed to post invoice');
+        error.creditCheck = data.errors?.creditCheck;
+        error.canOverride = data.errors?.canOverride;
+        throw error;
       }
 
       return data;
@@ -158,6 +168,68 @@ export function usePostInvoice() {
     onSuccess: () => {
       // Invalidate all invoice queries to refetch
       queryClient.invalidateQueries({ queryKey: ['invoices'] });
+      queryClient.invalidateQueries({ queryKey: ['receipts'] });
+    },
+  });
+}
+
+/**
+ * Fetch customer credit available to and applied to an invoice
+ */
+export function useInvoiceAdvances(invoiceId) {
+  return useQuery({
+    queryKey: ['invoices', invoiceId, 'advances'],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/invoices/${invoiceId}/advances`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load advances');
+      }
+
+      return data.data;
+    },
+    enabled: !!invoiceId,
+  });
+}
+
+/**
+ * Apply customer advances and on-account credit to a posted invoice
+ * (one receipt when receiptId is given, otherwise all available credit)
+ */
+export function useApplyInvoiceAdvances() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ invoiceId, receiptId, amount }) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/invoices/${invoiceId}/advances`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ receiptId, amount }),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to apply customer credit');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['invoices'] });
+      queryClient.invalidateQueries({ queryKey: ['receipts'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
     },
   });
 }
@@ -189,6 +261,101 @@ export function useDeleteInvoice() {
     onSuccess: () => {
       // Invalidate all invoice queries to refetch
       queryClient.invalidateQueries({ queryKey: ['invoices'] });
+      // Source quotation or sales order changes with the invoice
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+      queryClient.invalidateQueries({ queryKey: ['salesOrders'] });
+    },
+  });
+}
+
+/**
+ * Fetch payment reminder settings and log
+ */
+export function usePaymentReminders(filters = {}) {
+  return useQuery({
+    queryKey: ['invoices', 'reminders', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/invoices/reminders?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load reminders');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Update payment reminder settings mutation
+ */
+export function useUpdateReminderSettings() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (settings) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/invoices/reminders', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(settings),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update reminder settings');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['invoices', 'reminders'] });
+    },
+  });
+}
+
+/**
+ * Run overdue flagging and reminders now mutation
+ */
+export function useRunPaymentReminders() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/invoices/reminders/run', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to run reminders');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['invoices'] });
     },
   });
 }
@@ -0,0 +1,250 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch products with pagination and filters
+ */
+export function useProducts({ page = 1, search = '', filterActive = 'all', filterType = 'all' }) {
+  return useQuery({
+    queryKey: ['products', page, search, filterActive, filterType],
+    queryFn: async () => {
+      const params = new URLSearchParams({
+        page: page.toString(),
+        limit: '20',
+      });
+
+      if (search) params.append('search', search);
+      if (filterActive !== 'all') params.append('isActive', filterActive);
+      if (filterType !== 'all') params.append('productType', filterType);
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/products?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load products');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Fetch single product by ID
+ */
+export function useProduct(productId) {
+  return useQuery({
+    queryKey: ['products', productId],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/products/${productId}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load product');
+      }
+
+      return data.data;
+    },
+    enabled: !!productId,
+  });
+}
+
+/**
+ * Create product mutation
+ */
+export function useCreateProduct() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (productData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/products', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(productData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        const error = new Error(data.message || 'Failed to create product');
+        error.errors = data.errors?.errors;
+        throw error;
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+    },
+  });
+}
+
+/**
+ * Update product mutation
+ */
+export function useUpdateProduct() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ productId, productData }) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/products/${productId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(productData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        const error = new Error(data.message || 'Failed to update product');
+        error.errors = data.errors?.errors;
+        throw error;
+      }
+
+      return data;
+    },
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      queryClient.invalidateQueries({ queryKey: ['products', variables.productId] });
+    },
+  });
+}
+
+/**
+ * Delete product mutation
+ */
+export function useDeleteProduct() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (productId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/products/${productId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete product');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+    },
+  });
+}
+
+/**
+ * Fetch inventory valuation as at a date
+ */
+export function useInventoryValuation(filters = {}) {
+  return useQuery({
+    queryKey: ['inventory-valuation', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/reports/inventory-valuation?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load inventory valuation');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Fetch the organization's costing method
+ */
+export function useCostingMethod() {
+  return useQuery({
+    queryKey: ['costing-method'],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/stocks/costing', {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load costing method');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Update costing method mutation
+ */
+export function useUpdateCostingMethod() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (costingMethod) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/stocks/costing', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ costingMethod }),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update costing method');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['costing-method'] });
+      queryClient.invalidateQueries({ queryKey: ['inventory-valuation'] });
+    },
+  });
+}
@@ -0,0 +1,216 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch quotations with pagination and filters
+ */
+export function useQuotations({ page = 1, search = '', status = '', customerId = '' }) {
+  return useQuery({
+    queryKey: ['quotations', page, search, status, customerId],
+    queryFn: async () => {
+      const params = new URLSearchParams({
+        page: page.toString(),
+        limit: '50',
+      });
+
+      if (search) params.append('search', search);
+      if (status) params.append('status', status);
+      if (customerId) params.append('customerId', customerId);
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/quotations?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load quotations');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Fetch single quotation by ID
+ */
+export function useQuotation(quotationId) {
+  return useQuery({
+    queryKey: ['quotations', quotationId],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/quotations/${quotationId}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load quotation');
+      }
+
+      return data.data;
+    },
+    enabled: !!quotationId,
+  });
+}
+
+/**
+ * Create quotation mutation
+ */
+export function useCreateQuotation() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (quotationData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/quotations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(quotationData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to create quotation');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+    },
+  });
+}
+
+/**
+ * Mark quotation as sent mutation
+ */
+export function useSendQuotation() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (quotationId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/quotations/${quotationId}/send`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to send quotation');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+    },
+  });
+}
+
+/**
+ * Accept quotation mutation
+ */
+export function useAcceptQuotation() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (quotationId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/quotations/${quotationId}/accept`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to accept quotation');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+    },
+  });
+}
+
+/**
+ * Convert quotation to sales order mutation
+ */
+export function useConvertQuotation() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (quotationId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/quotations/${quotationId}/convert`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to convert quotation');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+      queryClient.invalidateQueries({ queryKey: ['salesOrders'] });
+    },
+  });
+}
+
+/**
+ * Delete quotation mutation
+ */
+export function useDeleteQuotation() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (quotationId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/quotations/${quotationId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete quotation');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+    },
+  });
+}
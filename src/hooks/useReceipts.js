@@ -0,0 +1,157 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch customer receipts with filters
+ */
+export function useReceipts(filters = {}) {
+  return useQuery({
+    queryKey: ['receipts', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/receipts?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load receipts');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Fetch a customer's posted invoices that still have a balance
+ */
+export function useOpenInvoices(customerId) {
+  return useQuery({
+    queryKey: ['invoices', 'open', customerId],
+    queryFn: async () => {
+      const params = new URLSearchParams({ customerId, limit: '200' });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/invoices?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load invoices');
+      }
+
+      return data.data.invoices
+        .filter((invoice) => invoice.isPosted && invoice.status !== 'cancelled' && invoice.balanceAmount > 0.005)
+        .sort((a, b) => new Date(a.invoiceDate) - new Date(b.invoiceDate));
+    },
+    enabled: !!customerId,
+  });
+}
+
+/**
+ * Create receipt mutation
+ */
+export function useCreateReceipt() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (receiptData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/receipts', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(receiptData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to create receipt');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['receipts'] });
+    },
+  });
+}
+
+/**
+ * Post receipt mutation
+ */
+export function usePostReceipt() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (receiptId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/receipts/${receiptId}/post`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to post receipt');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['receipts'] });
+      queryClient.invalidateQueries({ queryKey: ['invoices'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+    },
+  });
+}
+
+/**
+ * Delete draft receipt mutation
+ */
+export function useDeleteReceipt() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (receiptId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/receipts/${receiptId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete receipt');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['receipts'] });
+    },
+  });
+}
@@ -0,0 +1,162 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch recurring voucher templates with upcoming runs
+ */
+export function useRecurringVouchers({ isActive = 'all' } = {}) {
+  return useQuery({
+    queryKey: ['recurring-vouchers', isActive],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+
+      const params = new URLSearchParams();
+      if (isActive !== 'all') {
+        params.append('isActive', isActive);
+      }
+
+      const response = await fetch(`/api/recurring-vouchers?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load recurring vouchers');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Create recurring voucher mutation
+ */
+export function useCreateRecurringVoucher() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (recurringVoucherData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/recurring-vouchers', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(recurringVoucherData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        const details = data.errors ? Object.values(data.errors).flat().join(', ') : '';
+        throw new Error(details || data.message || 'Failed to create recurring voucher');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['recurring-vouchers'] });
+    },
+  });
+}
+
+/**
+ * Update recurring voucher mutation
+ */
+export function useUpdateRecurringVoucher() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ recurringVoucherId, recurringVoucherData }) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/recurring-vouchers/${recurringVoucherId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(recurringVoucherData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to update recurring voucher');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['recurring-vouchers'] });
+    },
+  });
+}
+
+/**
+ * Delete recurring voucher mutation
+ */
+export function useDeleteRecurringVoucher() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (recurringVoucherId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/recurring-vouchers/${recurringVoucherId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete recurring voucher');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['recurring-vouchers'] });
+    },
+  });
+}
+
+/**
+ * Generate due recurring vouchers mutation (all templates, or one when an ID is given)
+ */
+export function useGenerateRecurringVouchers() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ recurringVoucherId, asOfDate } = {}) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/recurring-vouchers/generate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ recurringVoucherId, asOfDate }),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to generate recurring vouchers');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['recurring-vouchers'] });
+      queryClient.invalidateQueries({ queryKey: ['vouchers'] });
+    },
+  });
+}
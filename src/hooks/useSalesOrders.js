@@ -0,0 +1,187 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch sales orders with pagination and filters
+ */
+export function useSalesOrders({ page = 1, search = '', status = '', customerId = '' }) {
+  return useQuery({
+    queryKey: ['salesOrders', page, search, status, customerId],
+    queryFn: async () => {
+      const params = new URLSearchParams({
+        page: page.toString(),
+        limit: '50',
+      });
+
+      if (search) params.append('search', search);
+      if (status) params.append('status', status);
+      if (customerId) params.append('customerId', customerId);
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/sales-orders?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load sales orders');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Fetch single sales order by ID
+ */
+export function useSalesOrder(salesOrderId) {
+  return useQuery({
+    queryKey: ['salesOrders', salesOrderId],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/sales-orders/${salesOrderId}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load sales order');
+      }
+
+      return data.data;
+    },
+    enabled: !!salesOrderId,
+  });
+}
+
+/**
+ * Create sales order mutation
+ */
+export function useCreateSalesOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (salesOrderData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/sales-orders', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(salesOrderData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to create sales order');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['salesOrders'] });
+    },
+  });
+}
+
+/**
+ * Confirm sales order mutation
+ */
+export function useConfirmSalesOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (salesOrderId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/sales-orders/${salesOrderId}/confirm`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to confirm sales order');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['salesOrders'] });
+    },
+  });
+}
+
+/**
+ * Cancel sales order mutation
+ */
+export function useCancelSalesOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (salesOrderId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/sales-orders/${salesOrderId}/cancel`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to cancel sales order');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['salesOrders'] });
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+    },
+  });
+}
+
+/**
+ * Delete sales order mutation
+ */
+export function useDeleteSalesOrder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (salesOrderId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/sales-orders/${salesOrderId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete sales order');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['salesOrders'] });
+      queryClient.invalidateQueries({ queryKey: ['quotations'] });
+    },
+  });
+}
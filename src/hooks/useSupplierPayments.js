@@ -0,0 +1,188 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch supplier payments with filters
+ */
+export function useSupplierPayments(filters = {}) {
+  return useQuery({
+    queryKey: ['supplier-payments', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/supplier-payments?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load supplier payments');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Fetch a supplier's posted purchase invoices that still have a balance
+ */
+export function useOpenPurchaseInvoices(supplierId) {
+  return useQuery({
+    queryKey: ['purchase-invoices', 'open', supplierId],
+    queryFn: async () => {
+      const params = new URLSearchParams({ supplierId, status: 'posted', limit: '200' });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/purchase-invoices?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load purchase invoices');
+      }
+
+      return data.data.purchaseInvoices
+        .filter((invoice) => invoice.balanceAmount > 0.005)
+        .sort((a, b) => new Date(a.invoiceDate) - new Date(b.invoiceDate));
+    },
+    enabled: !!supplierId,
+  });
+}
+
+/**
+ * Fetch the payment run proposal: open invoices due by a date
+ */
+export function usePaymentProposal(filters = {}) {
+  return useQuery({
+    queryKey: ['supplier-payments', 'proposal', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/supplier-payments/proposal?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load payment proposal');
+      }
+
+      return data.data;
+    },
+  });
+}
+
+/**
+ * Create supplier payment mutation
+ */
+export function useCreateSupplierPayment() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (paymentData) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/supplier-payments', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(paymentData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        const details = data.errors?.errors && Object.values(data.errors.errors).join(', ');
+        throw new Error(details || data.message || 'Failed to create payment');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['supplier-payments'] });
+    },
+  });
+}
+
+/**
+ * Post supplier payment mutation
+ */
+export function usePostSupplierPayment() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (paymentId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/supplier-payments/${paymentId}/post`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to post payment');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['supplier-payments'] });
+      queryClient.invalidateQueries({ queryKey: ['purchase-invoices'] });
+      queryClient.invalidateQueries({ queryKey: ['suppliers'] });
+    },
+  });
+}
+
+/**
+ * Delete draft supplier payment mutation
+ */
+export function useDeleteSupplierPayment() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (paymentId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/supplier-payments/${paymentId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete payment');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['supplier-payments'] });
+    },
+  });
+}
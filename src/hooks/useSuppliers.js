@@ -63,6 +63,64 @@ export function useSupplier(supplierId) {
   });
 }
 
+/**
+ * Fetch a supplier's statement of account for a period
+ */
+export function useSupplierStatement(supplierId, { startDate, endDate }) {
+  return useQuery({
+    queryKey: ['suppliers', supplierId, 'statement', startDate, endDate],
+    queryFn: async () => {
+      const params = new URLSearchParams({ startDate, endDate });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/suppliers/${supplierId}/statement?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load supplier statement');
+      }
+
+      return data.data;
+    },
+    enabled: !!supplierId && !!startDate && !!endDate,
+  });
+}
+
+/**
+ * Fetch the payables aging report
+ */
+export function useApAging(filters = {}) {
+  return useQuery({
+    queryKey: ['ap-aging', filters],
+    queryFn: async () => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/reports/ap-aging?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load payables aging');
+      }
+
+      return data.data;
+    },
+  });
+}
+
 /**
  * Create supplier mutation
  */
@@ -186,3 +186,35 @@ export function usePostVoucher() {
     },
   });
 }
+
+/**
+ * Reverse voucher mutation (posts a linked mirror-image voucher)
+ */
+export function useReverseVoucher() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ voucherId, reason, reversalDate }) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/vouchers/${voucherId}/reverse`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ reason, reversalDate }),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to reverse voucher');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['vouchers'] });
+    },
+  });
+}
@@ -0,0 +1,180 @@
+'use client';
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+
+/**
+ * Fetch withholding tax rates
+ */
+export function useWithholdingTaxRates(includeInactive = false) {
+  return useQuery({
+    queryKey: ['withholding-tax-rates', includeInactive],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(
+        `/api/withholding-tax/rates${includeInactive ? '?includeInactive=true' : ''}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load withholding tax rates');
+      }
+
+      return data.data.rates;
+    },
+  });
+}
+
+/**
+ * Save (create or update) withholding tax rate mutation
+ */
+export function useSaveWithholdingTaxRate() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, ...rateData }) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(id ? `/api/withholding-tax/rates/${id}` : '/api/withholding-tax/rates', {
+        method: id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(rateData),
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        const details = data.errors && Object.values(data.errors).join(', ');
+        throw new Error(details || data.message || 'Failed to save withholding tax rate');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['withholding-tax-rates'] });
+    },
+  });
+}
+
+/**
+ * Delete withholding tax rate mutation
+ */
+export function useDeleteWithholdingTaxRate() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (rateId) => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/withholding-tax/rates/${rateId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to delete withholding tax rate');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['withholding-tax-rates'] });
+    },
+  });
+}
+
+/**
+ * Seed default withholding tax rates mutation
+ */
+export function useSeedWithholdingTaxRates() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/withholding-tax/rates/seed', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to seed withholding tax rates');
+      }
+
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['withholding-tax-rates'] });
+    },
+  });
+}
+
+/**
+ * Fetch the monthly withholding tax summary
+ */
+export function useWithholdingTaxSummary(month) {
+  return useQuery({
+    queryKey: ['wht-summary', month],
+    queryFn: async () => {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/reports/wht-summary?month=${month}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load withholding tax summary');
+      }
+
+      return data.data;
+    },
+    enabled: !!month,
+  });
+}
+
+/**
+ * Fetch a supplier's withholding tax certificate data on demand
+ * Variables: { supplierId, month } or { supplierId, startDate, endDate }
+ */
+export function useWithholdingTaxCertificate() {
+  return useMutation({
+    mutationFn: async (filters) => {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const token = localStorage.getItem('token');
+      const response = await fetch(`/api/withholding-tax/certificate?${params.toString()}`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to load withholding tax certificate');
+      }
+
+      return data.data.certificate;
+    },
+  });
+}
@@ -5,6 +5,12 @@
 
 import mongoose from 'mongoose';
 
+// Default chart of accounts codes the reports rely on: cash in hand and petty
+// cash (bank accounts are flagged with isBankAccount), and accumulated
+// depreciation
+export const CASH_ACCOUNT_CODES = ['1101', '1103'];
+export const ACCUMULATED_DEPRECIATION_CODE = '1410';
+
 const accountSchema = new mongoose.Schema(
   {
     // Account Identification
@@ -238,9 +244,10 @@ accountSchema.virtual('hasChildren').get(function () {
   return this.isGroup;
 });
 
-// Pre-save middleware to set normal balance based on type
-accountSchema.pre('save', function (next) {
-  if (this.isNew || this.isModified('type')) {
+// Pre-validate middleware to set normal balance based on type. A normal
+// balance given for a new account is kept, e.g. credit for a contra asset.
+accountSchema.pre('validate', function (next) {
+  if (this.isNew ? !this.normalBalance : this.isModified('type')) {
     // Set normal balance based on account type
     switch (this.type) {
       case 'asset':
@@ -416,6 +423,14 @@ accountSchema.statics.seedDefaultCOA = async function (organizationId) {
       isSystemAccount: true,
       parentCode: '1100',
     },
+    {
+      code: '1250',
+      name: 'Supplier Advances',
+      type: 'asset',
+      category: 'current_asset',
+      isSystemAccount: true,
+      parentCode: '1100',
+    },
     {
       code: '1300',
       name: 'Inventory',
@@ -475,6 +490,15 @@ accountSchema.statics.seedDefaultCOA = async function (organizationId) {
       isSystemAccount: true,
       parentCode: '1400',
     },
+    {
+      code: ACCUMULATED_DEPRECIATION_CODE,
+      name: 'Accumulated Depreciation',
+      type: 'asset',
+      category: 'fixed_asset',
+      normalBalance: 'credit', // Contra asset
+      isSystemAccount: true,
+      parentCode: '1400',
+    },
 
     // LIABILITIES (2000-2999)
     {
@@ -531,6 +555,40 @@ accountSchema.statics.seedDefaultCOA = async function (organizationId) {
       isSystemAccount: true,
       parentCode: '2100',
     },
+    {
+      code: '2105',
+      name: 'Income Tax Withheld Payable',
+      type: 'liability',
+      category: 'current_liability',
+      isTaxAccount: true,
+      isSystemAccount: true,
+      parentCode: '2100',
+    },
+    {
+      code: '2106',
+      name: 'Sales Tax Withheld Payable',
+      type: 'liability',
+      category: 'current_liability',
+      isTaxAccount: true,
+      isSystemAccount: true,
+      parentCode: '2100',
+    },
+    {
+      code: '2107',
+      name: 'Customer Advances',
+      type: 'liability',
+      category: 'current_liability',
+      isSystemAccount: true,
+      parentCode: '2100',
+    },
+    {
+      code: '2108',
+      name: 'Goods Received Not Invoiced',
+      type: 'liability',
+      category: 'current_liability',
+      isSystemAccount: true,
+      parentCode: '2100',
+    },
 
     // Long-term Liabilities (2400-2699)
     {
@@ -627,6 +685,14 @@ accountSchema.statics.seedDefaultCOA = async function (organizationId) {
       isSystemAccount: true,
       parentCode: '4100',
     },
+    {
+      code: '4102',
+      name: 'Exchange Gain',
+      type: 'revenue',
+      category: 'other_revenue',
+      isSystemAccount: true,
+      parentCode: '4100',
+    },
 
     // EXPENSES (5000-5999)
     {
@@ -664,6 +730,22 @@ accountSchema.statics.seedDefaultCOA = async function (organizationId) {
       isSystemAccount: true,
       parentCode: '5100',
     },
+    {
+      code: '5103',
+      name: 'Cost of Sales - Inventory',
+      type: 'expense',
+      category: 'cost_of_goods_sold',
+      isSystemAccount: true,
+      parentCode: '5100',
+    },
+    {
+      code: '5104',
+      name: 'Inventory Adjustments',
+      type: 'expense',
+      category: 'cost_of_goods_sold',
+      isSystemAccount: true,
+      parentCode: '5100',
+    },
 
     // Operating Expenses (5200-5799)
     {
@@ -766,6 +848,14 @@ accountSchema.statics.seedDefaultCOA = async function (organizationId) {
       isSystemAccount: true,
       parentCode: '5800',
     },
+    {
+      code: '5803',
+      name: 'Exchange Loss',
+      type: 'expense',
+      category: 'financial_expense',
+      isSystemAccount: true,
+      parentCode: '5800',
+    },
   ];
 
   // First pass: Create all accounts without parent references
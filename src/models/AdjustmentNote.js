@@ -0,0 +1,479 @@
+/**
+ * Adjustment Note Model
+ * Credit notes (returns, price reductions) and debit notes (additional
+ * charges) raised against lines of a posted sales invoice.
+ */
+
+import mongoose from 'mongoose';
+import SalesInvoice from './SalesInvoice';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+const NOTE_PREFIXES = {
+  credit_note: 'CN',
+  debit_note: 'DN',
+};
+
+// Note line, referencing the invoice line it adjusts
+const noteItemSchema = new Schema(
+  {
+    invoiceItemId: {
+      type: ObjectId,
+      required: [true, 'Invoice line is required'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+    },
+
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [0.01, 'Quantity must be greater than 0'],
+    },
+
+    unit: {
+      type: String,
+      trim: true,
+    },
+
+    // Returns use the invoiced rate; adjustments use the change per unit
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate cannot be negative'],
+    },
+
+    // Copied from the invoice line
+    discountRate: {
+      type: Number,
+      default: 0,
+    },
+
+    taxRate: {
+      type: Number,
+      default: 0,
+    },
+
+    // Amount after discount, before tax
+    amount: {
+      type: Number,
+      default: 0,
+    },
+
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    netAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: true }
+);
+
+const adjustmentNoteSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Note identification
+    noteNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    noteType: {
+      type: String,
+      required: [true, 'Note type is required'],
+      enum: {
+        values: ['credit_note', 'debit_note'],
+        message: '{VALUE} is not a valid note type',
+      },
+    },
+
+    noteDate: {
+      type: Date,
+      required: [true, 'Note date is required'],
+      default: Date.now,
+    },
+
+    // Original invoice
+    invoiceId: {
+      type: ObjectId,
+      ref: 'SalesInvoice',
+      required: [true, 'Invoice is required'],
+      index: true,
+    },
+
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    customerId: {
+      type: ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer is required'],
+      index: true,
+    },
+
+    reason: {
+      type: String,
+      enum: ['return', 'price_adjustment', 'discount', 'damaged', 'other'],
+      default: 'return',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Lines
+    items: [noteItemSchema],
+
+    // Amounts (in the invoice currency)
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+
+    totalTax: {
+      type: Number,
+      default: 0,
+    },
+
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Currency and rate follow the original invoice
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'PKR',
+    },
+
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Exchange rate must be greater than 0'],
+    },
+
+    baseTotalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Set on posting: part of a credit note that reduced the invoice balance,
+    // and the rest left with the customer as on-account credit
+    appliedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    unappliedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // FBR reporting: document type from the FBR reference data and the
+    // number of the invoice being adjusted
+    fbrDocumentTypeId: {
+      type: Number,
+    },
+
+    fbrDocumentType: {
+      type: String,
+      trim: true,
+    },
+
+    fbrInvoiceRefNo: {
+      type: String,
+      trim: true,
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ['draft', 'posted', 'cancelled'],
+      default: 'draft',
+      index: true,
+    },
+
+    // Accounting integration
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+    },
+
+    // Posted status
+    isPosted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    postedAt: {
+      type: Date,
+    },
+
+    postedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Fiscal tracking
+    fiscalYear: {
+      type: String,
+    },
+
+    fiscalPeriod: {
+      type: String,
+    },
+
+    // Soft delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    deletedAt: {
+      type: Date,
+    },
+
+    deletedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Audit fields
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+adjustmentNoteSchema.index({ organizationId: 1, noteNumber: 1 }, { unique: true });
+adjustmentNoteSchema.index({ organizationId: 1, customerId: 1, noteDate: -1 });
+
+// Static method to generate note number (CN-2025-0001 / DN-2025-0001)
+adjustmentNoteSchema.statics.generateNoteNumber = async function (organizationId, noteType, fiscalYear) {
+  const year = fiscalYear || new Date().getFullYear().toString();
+  const prefix = `${NOTE_PREFIXES[noteType]}-${year}-`;
+
+  const lastNote = await this.findOne({
+    organizationId,
+    noteNumber: new RegExp(`^${prefix}`),
+  })
+    .setOptions({ includeDeleted: true })
+    .sort({ noteNumber: -1 })
+    .select('noteNumber')
+    .lean();
+
+  if (!lastNote) {
+    return `${prefix}0001`;
+  }
+
+  const lastNumber = parseInt(lastNote.noteNumber.split('-')[2]);
+  const newNumber = lastNumber + 1;
+  return `${prefix}${newNumber.toString().padStart(4, '0')}`;
+};
+
+// Method to calculate line and note totals
+adjustmentNoteSchema.methods.calculateTotals = function () {
+  this.items.forEach((item) => {
+    const gross = item.quantity * item.rate;
+    item.amount = parseFloat((gross - (gross * (item.discountRate || 0)) / 100).toFixed(2));
+    item.taxAmount = parseFloat(((item.amount * (item.taxRate || 0)) / 100).toFixed(2));
+    item.netAmount = parseFloat((item.amount + item.taxAmount).toFixed(2));
+  });
+
+  this.subtotal = parseFloat(this.items.reduce((sum, item) => sum + item.amount, 0).toFixed(2));
+  this.totalTax = parseFloat(this.items.reduce((sum, item) => sum + item.taxAmount, 0).toFixed(2));
+  this.totalAmount = parseFloat((this.subtotal + this.totalTax).toFixed(2));
+  this.baseTotalAmount = parseFloat((this.totalAmount * (this.exchangeRate || 1)).toFixed(2));
+};
+
+/**
+ * Method to load and check the original invoice
+ * The invoice must be posted, each line may appear once, and quantities may
+ * not exceed the invoiced quantity (less earlier returns for a return). Line
+ * details, currency and rate are copied from the invoice, and credit notes
+ * may not exceed the invoice value less earlier credit notes.
+ * @returns {Promise<SalesInvoice>}
+ */
+adjustmentNoteSchema.methods.loadInvoice = async function (session = null) {
+  const invoice = await SalesInvoice.findOne({
+    _id: this.invoiceId,
+    organizationId: this.organizationId,
+  }).session(session);
+
+  if (!invoice) {
+    throw new Error('Invoice not found');
+  }
+
+  if (!invoice.isPosted || invoice.status === 'cancelled') {
+    throw new Error(`Invoice ${invoice.invoiceNumber} is not posted`);
+  }
+
+  if (this.items.length === 0) {
+    throw new Error('Select at least one invoice line');
+  }
+
+  const lineIds = this.items.map((item) => item.invoiceItemId.toString());
+  if (new Set(lineIds).size !== lineIds.length) {
+    throw new Error('An invoice line can only be selected once per note');
+  }
+
+  const isCreditNote = this.noteType === 'credit_note';
+
+  // Earlier posted credit notes: value credited and quantities returned per line
+  const returnedByLine = new Map();
+  let previousCredits = 0;
+
+  if (isCreditNote) {
+    const previousNotes = await this.constructor
+      .find({
+        organizationId: this.organizationId,
+        invoiceId: invoice._id,
+        noteType: 'credit_note',
+        status: 'posted',
+        _id: { $ne: this._id },
+      })
+      .select('reason items totalAmount')
+      .session(session)
+      .lean();
+
+    for (const note of previousNotes) {
+      previousCredits += note.totalAmount;
+      if (note.reason !== 'return') continue;
+
+      for (const item of note.items) {
+        const key = item.invoiceItemId.toString();
+        returnedByLine.set(key, (returnedByLine.get(key) || 0) + item.quantity);
+      }
+    }
+  }
+
+  for (const item of this.items) {
+    const line = invoice.items.id(item.invoiceItemId);
+
+    if (!line) {
+      throw new Error(`Line not found on invoice ${invoice.invoiceNumber}`);
+    }
+
+    const isReturn = isCreditNote && this.reason === 'return';
+    const available = line.quantity - (isReturn ? returnedByLine.get(line._id.toString()) || 0 : 0);
+
+    if (item.quantity > available + 0.0001) {
+      throw new Error(
+        isReturn
+          ? `Return quantity for "${line.description}" exceeds the ${available} ${line.unit} not yet returned`
+          : `Quantity for "${line.description}" exceeds the ${line.quantity} ${line.unit} invoiced`
+      );
+    }
+
+    item.description = line.description;
+    item.unit = line.unit;
+    item.discountRate = line.discountRate;
+    item.taxRate = line.taxRate;
+    if (isReturn || item.rate === undefined || item.rate === null) {
+      item.rate = line.rate;
+    }
+  }
+
+  this.invoiceNumber = invoice.invoiceNumber;
+  this.customerId = invoice.customerId;
+  this.currency = invoice.currency;
+  this.exchangeRate = invoice.exchangeRate;
+  this.fbrInvoiceRefNo = this.fbrInvoiceRefNo || invoice.invoiceNumber;
+
+  this.calculateTotals();
+
+  if (isCreditNote) {
+    const creditable = parseFloat((invoice.totalAmount + invoice.debitedAmount - previousCredits).toFixed(2));
+
+    if (this.totalAmount > creditable) {
+      throw new Error(
+        `Credit note of ${this.totalAmount.toFixed(2)} exceeds the ${creditable.toFixed(2)} ` +
+          `not yet credited on invoice ${invoice.invoiceNumber}`
+      );
+    }
+  }
+
+  return invoice;
+};
+
+// Pre-save hook to calculate totals
+adjustmentNoteSchema.pre('save', function (next) {
+  this.calculateTotals();
+
+  // Set fiscal period
+  if (this.noteDate) {
+    const date = new Date(this.noteDate);
+    this.fiscalYear = date.getFullYear().toString();
+    this.fiscalPeriod = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  next();
+});
+
+// Method to mark note as posted
+adjustmentNoteSchema.methods.post = async function (userId) {
+  if (this.isPosted) {
+    throw new Error('Note is already posted');
+  }
+
+  if (this.status === 'cancelled') {
+    throw new Error('Cannot post cancelled note');
+  }
+
+  this.isPosted = true;
+  this.postedAt = new Date();
+  this.postedBy = userId;
+  this.status = 'posted';
+
+  return await this.save();
+};
+
+// Query middleware to exclude soft-deleted records
+adjustmentNoteSchema.pre(/^find/, function (next) {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ isDeleted: false });
+  }
+  next();
+});
+
+const AdjustmentNote =
+  mongoose.models.AdjustmentNote || mongoose.model('AdjustmentNote', adjustmentNoteSchema);
+
+export default AdjustmentNote;
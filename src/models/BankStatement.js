@@ -0,0 +1,630 @@
+/**
+ * Bank Statement Model
+ * Imported bank statement lines matched against the ledger entries of a bank
+ * account, and the reconciliation report built from them
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+import LedgerEntry from './LedgerEntry';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Days either side of the statement date searched when auto-matching
+const DEFAULT_MATCH_WINDOW_DAYS = 7;
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+// Statement line (withdrawal/deposit from the bank's point of view)
+const statementLineSchema = new Schema({
+  date: {
+    type: Date,
+    required: true,
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+
+  // Cheque / instrument / transaction reference
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'],
+  },
+
+  withdrawal: {
+    type: Number,
+    default: 0,
+    set: (val) => parseFloat(val.toFixed(2)),
+  },
+
+  deposit: {
+    type: Number,
+    default: 0,
+    set: (val) => parseFloat(val.toFixed(2)),
+  },
+
+  // Running balance printed on the statement
+  balance: {
+    type: Number,
+  },
+
+  rowNumber: Number,
+
+  // Identifies the same line across imports of overlapping statements
+  fingerprint: {
+    type: String,
+    index: true,
+  },
+
+  status: {
+    type: String,
+    enum: ['unmatched', 'matched', 'ignored'],
+    default: 'unmatched',
+  },
+
+  ledgerEntryIds: [
+    {
+      type: ObjectId,
+      ref: 'LedgerEntry',
+    },
+  ],
+
+  matchType: {
+    type: String,
+    enum: ['auto', 'manual'],
+  },
+
+  matchedAt: Date,
+
+  matchedBy: {
+    type: ObjectId,
+    ref: 'User',
+  },
+});
+
+// Main Bank Statement Schema
+const bankStatementSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Bank account in the chart of accounts
+    accountId: {
+      type: ObjectId,
+      ref: 'Account',
+      required: [true, 'Bank account is required'],
+    },
+
+    fileName: {
+      type: String,
+      trim: true,
+    },
+
+    // Column mapping preset used for the import (e.g. "hbl")
+    preset: {
+      type: String,
+      trim: true,
+    },
+
+    periodStart: {
+      type: Date,
+    },
+
+    // Statement end date
+    statementDate: {
+      type: Date,
+      required: true,
+    },
+
+    openingBalance: {
+      type: Number,
+      default: 0,
+      set: (val) => parseFloat(val.toFixed(2)),
+    },
+
+    // Balance as per bank at statementDate
+    closingBalance: {
+      type: Number,
+      default: 0,
+      set: (val) => parseFloat(val.toFixed(2)),
+    },
+
+    lines: [statementLineSchema],
+
+    status: {
+      type: String,
+      enum: ['in_progress', 'reconciled'],
+      default: 'in_progress',
+    },
+
+    reconciledAt: Date,
+
+    reconciledBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    importedBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+bankStatementSchema.index({ organizationId: 1, accountId: 1, statementDate: -1 });
+
+// Method to summarize matching progress
+bankStatementSchema.methods.getSummary = function () {
+  const count = (status) => this.lines.filter((line) => line.status === status).length;
+
+  return {
+    lines: this.lines.length,
+    matched: count('matched'),
+    unmatched: count('unmatched'),
+    ignored: count('ignored'),
+    totalWithdrawals: round(this.lines.reduce((sum, line) => sum + line.withdrawal, 0)),
+    totalDeposits: round(this.lines.reduce((sum, line) => sum + line.deposit, 0)),
+  };
+};
+
+// Ledger entry type matching a statement line (bank deposit = book debit)
+const ledgerTypeFor = (line) => (line.deposit > 0 ? 'debit' : 'credit');
+const lineAmount = (line) => (line.deposit > 0 ? line.deposit : line.withdrawal);
+
+/**
+ * Method to auto-match unmatched lines to uncleared ledger entries
+ * An entry matches on type and exact amount within the date window; a
+ * cheque/reference number found in the entry wins, otherwise the nearest date.
+ * @param {ObjectId} userId
+ * @param {object} options - { dateWindowDays }
+ * @returns {Promise<number>} Lines matched
+ */
+bankStatementSchema.methods.autoMatch = async function (
+  userId,
+  { dateWindowDays = DEFAULT_MATCH_WINDOW_DAYS } = {}
+) {
+  const unmatched = this.lines.filter((line) => line.status === 'unmatched');
+  if (unmatched.length === 0) return 0;
+
+  const windowMs = dateWindowDays * 24 * 60 * 60 * 1000;
+  const dates = unmatched.map((line) => line.date.getTime());
+
+  const candidates = await LedgerEntry.find({
+    organizationId: this.organizationId,
+    accountId: this.accountId,
+    status: 'active',
+    bankStatementLineId: null,
+    entryDate: {
+      $gte: new Date(Math.min(...dates) - windowMs),
+      $lte: new Date(Math.max(...dates) + windowMs),
+    },
+  })
+    .select('type amount entryDate voucherNumber referenceNumber description narration')
+    .lean();
+
+  const used = new Set();
+  let matched = 0;
+
+  for (const line of unmatched) {
+    const type = ledgerTypeFor(line);
+    const amount = lineAmount(line);
+    const reference = (line.reference || '').trim().toLowerCase();
+
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const entry of candidates) {
+      const key = entry._id.toString();
+      if (used.has(key) || entry.type !== type) continue;
+      if (Math.abs(entry.amount - amount) >= 0.01) continue;
+
+      const dayGap = Math.abs(entry.entryDate - line.date) / (24 * 60 * 60 * 1000);
+      if (dayGap > dateWindowDays) continue;
+
+      const haystack = [entry.voucherNumber, entry.referenceNumber, entry.description, entry.narration]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      const referenceHit = reference.length >= 3 && haystack.includes(reference);
+
+      const score = (referenceHit ? 1000 : 0) - dayGap;
+      if (score > bestScore) {
+        best = entry;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      used.add(best._id.toString());
+      await this.applyMatch(line, [best._id], userId, 'auto');
+      matched++;
+    }
+  }
+
+  await this.save();
+  return matched;
+};
+
+// Method to link a line to ledger entries (caller saves the statement)
+bankStatementSchema.methods.applyMatch = async function (line, ledgerEntryIds, userId, matchType) {
+  line.status = 'matched';
+  line.ledgerEntryIds = ledgerEntryIds;
+  line.matchType = matchType;
+  line.matchedAt = new Date();
+  line.matchedBy = userId;
+
+  await LedgerEntry.updateMany(
+    { _id: { $in: ledgerEntryIds } },
+    { $set: { bankStatementId: this._id, bankStatementLineId: line._id, clearedDate: line.date } }
+  );
+};
+
+/**
+ * Method to manually match a line to one or more ledger entries
+ * The entries must belong to the bank account, be uncleared, and net to the line amount.
+ */
+bankStatementSchema.methods.matchLine = async function (lineId, ledgerEntryIds, userId) {
+  const line = this.lines.id(lineId);
+  if (!line) {
+    throw new Error('Statement line not found');
+  }
+
+  if (line.status === 'matched') {
+    throw new Error('Statement line is already matched');
+  }
+
+  if (!Array.isArray(ledgerEntryIds) || ledgerEntryIds.length === 0) {
+    throw new Error('Select at least one ledger entry');
+  }
+
+  const entries = await LedgerEntry.find({
+    _id: { $in: ledgerEntryIds },
+    organizationId: this.organizationId,
+    accountId: this.accountId,
+    status: 'active',
+  });
+
+  if (entries.length !== ledgerEntryIds.length) {
+    throw new Error('Ledger entries must be active entries of this bank account');
+  }
+
+  if (entries.some((entry) => entry.bankStatementLineId)) {
+    throw new Error('One or more ledger entries are already matched to a statement line');
+  }
+
+  // Book debits are deposits, book credits are withdrawals
+  const net = entries.reduce(
+    (sum, entry) => sum + (entry.type === 'debit' ? entry.amount : -entry.amount),
+    0
+  );
+  const expected = line.deposit > 0 ? line.deposit : -line.withdrawal;
+
+  if (Math.abs(net - expected) >= 0.01) {
+    throw new Error(
+      `Selected entries total ${round(Math.abs(net)).toFixed(2)} but the statement line is ${Math.abs(expected).toFixed(2)}`
+    );
+  }
+
+  await this.applyMatch(line, entries.map((entry) => entry._id), userId, 'manual');
+  return await this.save();
+};
+
+// Method to undo a match or an ignore
+bankStatementSchema.methods.unmatchLine = async function (lineId) {
+  const line = this.lines.id(lineId);
+  if (!line) {
+    throw new Error('Statement line not found');
+  }
+
+  if (line.ledgerEntryIds.length > 0) {
+    await LedgerEntry.updateMany(
+      { _id: { $in: line.ledgerEntryIds }, bankStatementLineId: line._id },
+      { $unset: { bankStatementId: 1, bankStatementLineId: 1, clearedDate: 1 } }
+    );
+  }
+
+  line.status = 'unmatched';
+  line.ledgerEntryIds = [];
+  line.matchType = undefined;
+  line.matchedAt = undefined;
+  line.matchedBy = undefined;
+
+  return await this.save();
+};
+
+// Method to exclude a line from matching (e.g. duplicated or already booked elsewhere)
+bankStatementSchema.methods.ignoreLine = async function (lineId, userId) {
+  const line = this.lines.id(lineId);
+  if (!line) {
+    throw new Error('Statement line not found');
+  }
+
+  if (line.status === 'matched') {
+    throw new Error('Unmatch the line before ignoring it');
+  }
+
+  line.status = 'ignored';
+  line.matchedAt = new Date();
+  line.matchedBy = userId;
+
+  return await this.save();
+};
+
+// Static method to fingerprint a line for duplicate detection
+bankStatementSchema.statics.fingerprintLine = function (accountId, line) {
+  return [
+    accountId.toString(),
+    new Date(line.date).toISOString().slice(0, 10),
+    round(line.withdrawal).toFixed(2),
+    round(line.deposit).toFixed(2),
+    (line.reference || '').trim().toLowerCase(),
+    line.balance !== null && line.balance !== undefined ? round(line.balance).toFixed(2) : '',
+    (line.description || '').trim().toLowerCase().slice(0, 100),
+  ].join('|');
+};
+
+/**
+ * Static method to import parsed statement lines
+ * Lines already imported for the account are skipped. Opening/closing balances
+ * default to the running balance column when not supplied.
+ * @param {ObjectId} organizationId
+ * @param {ObjectId} accountId - Bank account
+ * @param {Array} lines - From parseBankStatement
+ * @param {object} options - { fileName, preset, openingBalance, closingBalance, statementDate, notes, userId }
+ * @returns {Promise<{statement: BankStatement, duplicates: number}>}
+ */
+bankStatementSchema.statics.importStatement = async function (
+  organizationId,
+  accountId,
+  lines,
+  { fileName, preset, openingBalance, closingBalance, statementDate, notes, userId } = {}
+) {
+  const account = await Account.findOne({
+    _id: accountId,
+    organizationId,
+    isDeleted: false,
+  });
+
+  if (!account) {
+    throw new Error('Bank account not found');
+  }
+
+  if (!account.isBankAccount) {
+    throw new Error(`${account.code} - ${account.name} is not marked as a bank account`);
+  }
+
+  const fingerprinted = lines.map((line) => ({
+    ...line,
+    fingerprint: this.fingerprintLine(account._id, line),
+  }));
+
+  const existing = await this.find({
+    organizationId,
+    accountId: account._id,
+    'lines.fingerprint': { $in: fingerprinted.map((line) => line.fingerprint) },
+  }).select('lines.fingerprint');
+
+  const seen = new Set(existing.flatMap((statement) => statement.lines.map((line) => line.fingerprint)));
+  const newLines = fingerprinted.filter((line) => !seen.has(line.fingerprint));
+
+  if (newLines.length === 0) {
+    throw new Error('No new statement lines to import (all lines were imported before)');
+  }
+
+  // Running balances follow file order, which may be newest first
+  const inFileOrder = [...fingerprinted];
+  const chronological =
+    inFileOrder.length > 1 && inFileOrder[0].date > inFileOrder[inFileOrder.length - 1].date
+      ? inFileOrder.reverse()
+      : inFileOrder;
+  const first = chronological[0];
+  const last = chronological[chronological.length - 1];
+
+  const hasBalance = (value) => value !== undefined && value !== null && value !== '';
+
+  const opening = hasBalance(openingBalance)
+    ? parseFloat(openingBalance)
+    : hasBalance(first.balance)
+      ? first.balance - first.deposit + first.withdrawal
+      : 0;
+
+  const closing = hasBalance(closingBalance)
+    ? parseFloat(closingBalance)
+    : hasBalance(last.balance)
+      ? last.balance
+      : opening + chronological.reduce((sum, line) => sum + line.deposit - line.withdrawal, 0);
+
+  newLines.sort((a, b) => a.date - b.date);
+
+  const statement = await this.create({
+    organizationId,
+    accountId: account._id,
+    fileName,
+    preset,
+    periodStart: first.date,
+    statementDate: statementDate ? new Date(statementDate) : last.date,
+    openingBalance: opening,
+    closingBalance: closing,
+    lines: newLines,
+    notes,
+    importedBy: userId,
+  });
+
+  return { statement, duplicates: fingerprinted.length - newLines.length };
+};
+
+/**
+ * Static method to build the bank reconciliation report for a bank account
+ *
+ *   Balance per bank statement
+ *   + Deposits in transit (book debits not yet on a statement)
+ *   - Uncleared cheques (book credits not yet on a statement)
+ *   = Adjusted bank balance
+ *
+ *   Balance per books
+ *   + Bank credits not in books / - Bank debits not in books (unmatched statement lines)
+ *   = Adjusted book balance
+ *
+ * @param {ObjectId} organizationId
+ * @param {ObjectId} accountId
+ * @param {object} options - { asOfDate, statementBalance }; statementBalance defaults to
+ *   the closing balance of the latest statement ending on or before asOfDate
+ */
+bankStatementSchema.statics.getReconciliationReport = async function (
+  organizationId,
+  accountId,
+  { asOfDate = new Date(), statementBalance = null } = {}
+) {
+  const account = await Account.findOne({ _id: accountId, organizationId, isDeleted: false });
+
+  if (!account) {
+    throw new Error('Bank account not found');
+  }
+
+  const endDate = new Date(asOfDate);
+  endDate.setHours(23, 59, 59, 999);
+
+  // Book balance (debit-positive) as at the date
+  const totals = (
+    await LedgerEntry.getTotalsByAccount(organizationId, { endDate, accountIds: [account._id] })
+  ).get(account._id.toString()) || { debit: 0, credit: 0 };
+  const opening = account.normalBalance === 'debit'
+    ? account.openingBalance || 0
+    : -(account.openingBalance || 0);
+  const bookBalance = round(opening + totals.debit - totals.credit);
+
+  // Book entries not cleared by the bank as at the date
+  const uncleared = await LedgerEntry.find({
+    organizationId,
+    accountId: account._id,
+    status: 'active',
+    entryDate: { $lte: endDate },
+    $or: [{ clearedDate: null }, { clearedDate: { $gt: endDate } }],
+  })
+    .select('entryDate voucherId voucherNumber type amount description narration referenceNumber')
+    .sort({ entryDate: 1 })
+    .lean();
+
+  const depositsInTransit = uncleared.filter((entry) => entry.type === 'debit');
+  const unclearedCheques = uncleared.filter((entry) => entry.type === 'credit');
+
+  // Statement balance and unrecorded bank items
+  const statements = await this.find({
+    organizationId,
+    accountId: account._id,
+    periodStart: { $lte: endDate },
+  }).sort({ statementDate: 1 });
+
+  const latestStatement = [...statements].reverse().find((statement) => statement.statementDate <= endDate);
+
+  const unrecorded = statements
+    .flatMap((statement) =>
+      statement.lines
+        .filter((line) => line.status === 'unmatched' && line.date <= endDate)
+        .map((line) => ({
+          statementId: statement._id,
+          lineId: line._id,
+          date: line.date,
+          description: line.description,
+          reference: line.reference,
+          withdrawal: line.withdrawal,
+          deposit: line.deposit,
+        }))
+    )
+    .sort((a, b) => a.date - b.date);
+
+  const sum = (items, field) => round(items.reduce((total, item) => total + item[field], 0));
+
+  const totalDepositsInTransit = sum(depositsInTransit, 'amount');
+  const totalUnclearedCheques = sum(unclearedCheques, 'amount');
+  const unrecordedDeposits = sum(unrecorded, 'deposit');
+  const unrecordedWithdrawals = sum(unrecorded, 'withdrawal');
+
+  const bankBalance =
+    statementBalance !== null && statementBalance !== undefined && statementBalance !== ''
+      ? round(parseFloat(statementBalance))
+      : latestStatement
+        ? latestStatement.closingBalance
+        : null;
+
+  const adjustedBankBalance =
+    bankBalance === null ? null : round(bankBalance + totalDepositsInTransit - totalUnclearedCheques);
+  const adjustedBookBalance = round(bookBalance + unrecordedDeposits - unrecordedWithdrawals);
+  const difference = adjustedBankBalance === null ? null : round(adjustedBankBalance - adjustedBookBalance);
+
+  return {
+    account: {
+      _id: account._id,
+      code: account.code,
+      name: account.name,
+      bankDetails: account.bankDetails,
+    },
+    asOfDate: endDate,
+    statement: latestStatement
+      ? {
+          _id: latestStatement._id,
+          statementDate: latestStatement.statementDate,
+          closingBalance: latestStatement.closingBalance,
+          ...latestStatement.getSummary(),
+        }
+      : null,
+    statementBalance: bankBalance,
+    depositsInTransit: { items: depositsInTransit, total: totalDepositsInTransit },
+    unclearedCheques: { items: unclearedCheques, total: totalUnclearedCheques },
+    adjustedBankBalance,
+    bookBalance,
+    unrecorded: {
+      items: unrecorded,
+      deposits: unrecordedDeposits,
+      withdrawals: unrecordedWithdrawals,
+    },
+    adjustedBookBalance,
+    difference,
+    isReconciled: difference !== null && Math.abs(difference) < 0.01,
+  };
+};
+
+// A statement is reconciled once no line is left unmatched
+bankStatementSchema.pre('save', function (next) {
+  const isComplete = this.lines.length > 0 && this.lines.every((line) => line.status !== 'unmatched');
+
+  if (isComplete && this.status !== 'reconciled') {
+    this.status = 'reconciled';
+    this.reconciledAt = new Date();
+    // Whoever resolved the last open line
+    const [lastResolved] = [...this.lines].sort((a, b) => (b.matchedAt || 0) - (a.matchedAt || 0));
+    this.reconciledBy = lastResolved.matchedBy;
+  } else if (!isComplete && this.status === 'reconciled') {
+    this.status = 'in_progress';
+    this.reconciledAt = undefined;
+    this.reconciledBy = undefined;
+  }
+
+  next();
+});
+
+const BankStatement =
+  mongoose.models.BankStatement || mongoose.model('BankStatement', bankStatementSchema);
+
+export default BankStatement;
@@ -4,10 +4,30 @@
  */
 
 import mongoose from 'mongoose';
+import SalesInvoice from './SalesInvoice';
+import CustomerReceipt from './CustomerReceipt';
+import AdjustmentNote from './AdjustmentNote';
+import { AGING_BUCKETS, bucketFor, daysBetween, emptyBuckets, settlementsAsAt } from '@/utils/aging';
 
 const { Schema } = mongoose;
 const { ObjectId } = Schema.Types;
 
+// Permission that lets a user post an invoice failing the credit check
+export const CREDIT_OVERRIDE_PERMISSION = 'invoices.approve';
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Base-currency receivable a posted receipt cleared: allocations at the
+// invoices' carrying rates, the unallocated rest at the receipt rate
+const receiptCredit = (receipt) =>
+  round(
+    receipt.allocations.reduce(
+      (sum, allocation) => sum + (allocation.baseAmount ?? allocation.amount * receipt.exchangeRate),
+      0
+    ) +
+      (receipt.unallocatedAmount || 0) * receipt.exchangeRate
+  );
+
 const customerSchema = new Schema(
   {
     // Organization reference
@@ -212,6 +232,12 @@ const customerSchema = new Schema(
       default: 'cash',
     },
 
+    // Opted out of payment reminder emails
+    reminderOptOut: {
+      type: Boolean,
+      default: false,
+    },
+
     // Customer Category/Type
     customerType: {
       type: String,
@@ -306,6 +332,11 @@ customerSchema.virtual('shippingFullAddress').get(function () {
   return parts.join(', ');
 });
 
+// Virtual for the amount the customer owes (negative when in credit)
+customerSchema.virtual('outstandingBalance').get(function () {
+  return this.balanceType === 'credit' ? -this.currentBalance : this.currentBalance;
+});
+
 // Static method to generate customer code
 customerSchema.statics.generateCustomerCode = async function (organizationId) {
   const lastCustomer = await this.findOne({ organizationId })
@@ -341,10 +372,398 @@ customerSchema.methods.updateBalance = async function (amount, type = 'debit') {
   return await this.save();
 };
 
-// Method to check credit limit
+/**
+ * Static method to build the receivables aging as at a date
+ * Invoices posted on or before the date are aged on what was still unpaid at
+ * that date (receipts posted after it are ignored), net of receipt
+ * allocations, advances and on-account credit applied to them, and credit
+ * notes. Amounts are in base currency at each invoice's carrying rate.
+ * @param {Object} options - { asAt, customerId, basis: 'due_date' | 'invoice_date' }
+ */
+customerSchema.statics.getAgingReport = async function (
+  organizationId,
+  { asAt = new Date(), customerId = null, basis = 'due_date' } = {}
+) {
+  const asAtDate = new Date(asAt);
+  const customerFilter = customerId ? { customerId } : {};
+
+  const [customers, invoices, receipts, notes] = await Promise.all([
+    this.find({ organizationId, ...(customerId && { _id: customerId }) })
+      .select('customerCode name companyName creditLimit creditDays openingBalance')
+      .lean(),
+    SalesInvoice.find({
+      organizationId,
+      ...customerFilter,
+      isPosted: true,
+      status: { $ne: 'cancelled' },
+      invoiceDate: { $lte: asAtDate },
+    })
+      .select('customerId invoiceNumber invoiceDate dueDate currency totalAmount exchangeRate revaluationRate')
+      .lean(),
+    CustomerReceipt.find({
+      organizationId,
+      ...customerFilter,
+      isPosted: true,
+      receiptDate: { $lte: asAtDate },
+    })
+      .select('customerId allocations applications unallocatedAmount exchangeRate')
+      .lean(),
+    AdjustmentNote.find({
+      organizationId,
+      ...customerFilter,
+      isPosted: true,
+      noteDate: { $lte: asAtDate },
+    })
+      .select('customerId invoiceId noteType appliedAmount unappliedAmount exchangeRate')
+      .lean(),
+  ]);
+
+  // Paid per invoice and unapplied receipts per customer, as at the date
+  const { paidByInvoice, unappliedByParty: unappliedByCustomer } = settlementsAsAt(receipts, {
+    invoiceIds: new Set(invoices.map((invoice) => invoice._id.toString())),
+    invoiceField: 'invoiceId',
+    partyField: 'customerId',
+    openAmount: (receipt) => receipt.unallocatedAmount,
+  });
+  const addUnapplied = (customerId, amount) => {
+    const key = customerId.toString();
+    unappliedByCustomer.set(key, (unappliedByCustomer.get(key) || 0) + amount);
+  };
+
+  // Credit notes settle the invoice like a payment; debit notes add to it
+  for (const note of notes) {
+    const key = note.invoiceId.toString();
+    const applied = note.noteType === 'credit_note' ? note.appliedAmount : -note.appliedAmount;
+    paidByInvoice.set(key, (paidByInvoice.get(key) || 0) + applied);
+    addUnapplied(note.customerId, (note.unappliedAmount || 0) * note.exchangeRate);
+  }
+
+  const rows = new Map(
+    customers.map((customer) => [
+      customer._id.toString(),
+      {
+        customerId: customer._id,
+        customerCode: customer.customerCode,
+        name: customer.companyName || customer.name,
+        creditLimit: customer.creditLimit,
+        creditDays: customer.creditDays,
+        buckets: emptyBuckets(),
+        opening: customer.openingBalance || 0,
+        unapplied: round(unappliedByCustomer.get(customer._id.toString()) || 0),
+        overdue: 0,
+        total: 0,
+        invoices: [],
+      },
+    ])
+  );
+
+  for (const invoice of invoices) {
+    const row = rows.get(invoice.customerId.toString());
+    if (!row) continue;
+
+    const outstanding = round(invoice.totalAmount - (paidByInvoice.get(invoice._id.toString()) || 0));
+    if (outstanding <= 0) continue;
+
+    const dueDate = invoice.dueDate || invoice.invoiceDate;
+    const ageFrom = basis === 'invoice_date' ? invoice.invoiceDate : dueDate;
+    const days = daysBetween(ageFrom, asAtDate);
+    const daysOverdue = Math.max(0, daysBetween(dueDate, asAtDate));
+    const baseOutstanding = round(outstanding * (invoice.revaluationRate || invoice.exchangeRate || 1));
+    const bucket = bucketFor(days);
+
+    row.buckets[bucket] += baseOutstanding;
+    if (daysOverdue > 0) row.overdue += baseOutstanding;
+
+    row.invoices.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      dueDate,
+      currency: invoice.currency,
+      totalAmount: invoice.totalAmount,
+      outstanding,
+      baseOutstanding,
+      daysOverdue,
+      bucket,
+    });
+  }
+
+  const totals = {
+    buckets: emptyBuckets(),
+    opening: 0,
+    unapplied: 0,
+    overdue: 0,
+    total: 0,
+  };
+
+  const result = [];
+
+  for (const row of rows.values()) {
+    AGING_BUCKETS.forEach((bucket) => {
+      row.buckets[bucket] = round(row.buckets[bucket]);
+      totals.buckets[bucket] += row.buckets[bucket];
+    });
+    row.overdue = round(row.overdue);
+    row.total = round(
+      AGING_BUCKETS.reduce((sum, bucket) => sum + row.buckets[bucket], 0) + row.opening - row.unapplied
+    );
+    row.invoices.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    // Customers with nothing outstanding are left out of the full report
+    if (!customerId && row.invoices.length === 0 && row.opening === 0 && row.unapplied === 0) continue;
+
+    totals.opening += row.opening;
+    totals.unapplied += row.unapplied;
+    totals.overdue += row.overdue;
+    totals.total += row.total;
+    result.push(row);
+  }
+
+  AGING_BUCKETS.forEach((bucket) => {
+    totals.buckets[bucket] = round(totals.buckets[bucket]);
+  });
+  ['opening', 'unapplied', 'overdue', 'total'].forEach((key) => {
+    totals[key] = round(totals[key]);
+  });
+
+  result.sort((a, b) => b.total - a.total);
+
+  return { asAt: asAtDate, basis, buckets: AGING_BUCKETS, customers: result, totals };
+};
+
+/**
+ * Method to build the customer's statement of account for a period
+ * Opening balance, then posted invoices and debit notes (debits), receipts
+ * and credit notes (credits), and advances and on-account credit applied to
+ * invoices (the exchange difference only) in date order with a running
+ * balance, all in base currency.
+ * @param {Object} options - { startDate, endDate }
+ */
+customerSchema.methods.getStatement = async function ({ startDate, endDate }) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const base = { organizationId: this.organizationId, customerId: this._id, isPosted: true };
+
+  const [invoices, receipts, notes] = await Promise.all([
+    SalesInvoice.find({ ...base, status: { $ne: 'cancelled' }, invoiceDate: { $lte: end } })
+      .select('invoiceNumber invoiceDate dueDate referenceNumber currency totalAmount baseTotalAmount exchangeRate')
+      .lean(),
+    CustomerReceipt.find({ ...base, receiptDate: { $lte: end } })
+      .select('receiptNumber receiptDate receiptType paymentMethod referenceNumber chequeNumber currency amount allocations applications unallocatedAmount exchangeRate')
+      .lean(),
+    AdjustmentNote.find({ ...base, noteDate: { $lte: end } })
+      .select('noteNumber noteDate noteType invoiceNumber currency totalAmount baseTotalAmount')
+      .lean(),
+  ]);
+
+  let openingBalance = this.openingBalance || 0;
+  const lines = [];
+
+  for (const invoice of invoices) {
+    const debit = invoice.baseTotalAmount || round(invoice.totalAmount * (invoice.exchangeRate || 1));
+
+    if (invoice.invoiceDate < start) {
+      openingBalance += debit;
+      continue;
+    }
+
+    lines.push({
+      date: invoice.invoiceDate,
+      type: 'invoice',
+      documentId: invoice._id,
+      number: invoice.invoiceNumber,
+      reference: invoice.referenceNumber,
+      dueDate: invoice.dueDate,
+      description: 'Invoice',
+      currency: invoice.currency,
+      documentAmount: invoice.totalAmount,
+      debit,
+      credit: 0,
+    });
+  }
+
+  for (const receipt of receipts) {
+    const credit = receiptCredit(receipt);
+
+    if (receipt.receiptDate < start) {
+      openingBalance -= credit;
+      continue;
+    }
+
+    lines.push({
+      date: receipt.receiptDate,
+      type: 'receipt',
+      documentId: receipt._id,
+      number: receipt.receiptNumber,
+      reference: receipt.chequeNumber || receipt.referenceNumber,
+      description: `Receipt - ${receipt.paymentMethod.replace('_', ' ')}`,
+      currency: receipt.currency,
+      documentAmount: receipt.amount,
+      debit: 0,
+      credit,
+    });
+  }
+
+  // Applying receipt credit moves it from advances or on-account to the
+  // invoice; only the exchange difference between the two rates changes the
+  // balance
+  const invoiceById = new Map(invoices.map((invoice) => [invoice._id.toString(), invoice]));
+
+  for (const receipt of receipts) {
+    for (const application of receipt.applications || []) {
+      const invoice = invoiceById.get(application.invoiceId.toString());
+      if (!invoice) continue;
+
+      const date = new Date(Math.max(new Date(receipt.receiptDate), new Date(invoice.invoiceDate)));
+      const difference = round(
+        (application.baseAmount ?? application.amount * receipt.exchangeRate) - application.amount * receipt.exchangeRate
+      );
+
+      if (date < start) {
+        openingBalance -= difference;
+        continue;
+      }
+
+      lines.push({
+        date,
+        type: 'credit_applied',
+        documentId: receipt._id,
+        applicationId: application._id,
+        number: receipt.receiptNumber,
+        reference: invoice.invoiceNumber,
+        description: `${receipt.receiptType === 'advance' ? 'Advance' : 'Credit'} applied to ${invoice.invoiceNumber}`,
+        currency: receipt.currency,
+        documentAmount: application.amount,
+        debit: Math.max(0, -difference),
+        credit: Math.max(0, difference),
+      });
+    }
+  }
+
+  for (const note of notes) {
+    const isCreditNote = note.noteType === 'credit_note';
+    const amount = note.baseTotalAmount;
+
+    if (note.noteDate < start) {
+      openingBalance += isCreditNote ? -amount : amount;
+      continue;
+    }
+
+    lines.push({
+      date: note.noteDate,
+      type: note.noteType,
+      documentId: note._id,
+      number: note.noteNumber,
+      reference: note.invoiceNumber,
+      description: isCreditNote ? 'Credit Note' : 'Debit Note',
+      currency: note.currency,
+      documentAmount: note.totalAmount,
+      debit: isCreditNote ? 0 : amount,
+      credit: isCreditNote ? amount : 0,
+    });
+  }
+
+  // Invoices and debit notes before receipts and credit notes on the same day
+  const charges = ['invoice', 'debit_note'];
+  lines.sort(
+    (a, b) =>
+      new Date(a.date) - new Date(b.date) || (charges.includes(b.type) ? 1 : 0) - (charges.includes(a.type) ? 1 : 0)
+  );
+
+  let balance = round(openingBalance);
+  for (const line of lines) {
+    balance = round(balance + line.debit - line.credit);
+    line.balance = balance;
+  }
+
+  const totalDebit = round(lines.reduce((sum, line) => sum + line.debit, 0));
+  const totalCredit = round(lines.reduce((sum, line) => sum + line.credit, 0));
+
+  return {
+    period: { startDate: start, endDate: end },
+    openingBalance: round(openingBalance),
+    lines,
+    totals: { debit: totalDebit, credit: totalCredit },
+    closingBalance: balance,
+  };
+};
+
+// Method to check credit limit (a limit of 0 means no limit is set)
 customerSchema.methods.canExtendCredit = function (amount) {
-  if (this.creditLimit === 0) return false;
-  return this.currentBalance + amount <= this.creditLimit;
+  if (!this.creditLimit) return true;
+  return this.outstandingBalance + amount <= this.creditLimit;
+};
+
+/**
+ * Method to run the credit check for a new invoice
+ * Fails when the outstanding balance plus the invoice would exceed the credit
+ * limit, or when posted invoices are unpaid past their due date (the invoice
+ * date plus credit days when no due date is set).
+ * @param {number} amount - Invoice total in base currency
+ * @param {Object} options - { excludeInvoiceId, asAt }
+ * @returns {Promise<{allowed: boolean, violations: string[], outstanding: number, creditLimit: number, available: number|null, overdueAmount: number, overdueInvoices: Array}>}
+ */
+customerSchema.methods.checkCredit = async function (amount, { excludeInvoiceId = null, asAt = new Date() } = {}) {
+  const violations = [];
+  const outstanding = round(this.outstandingBalance);
+
+  if (!this.canExtendCredit(amount)) {
+    violations.push(
+      `Credit limit of ${this.creditLimit.toFixed(2)} exceeded by ${(outstanding + amount - this.creditLimit).toFixed(2)} ` +
+        `(outstanding ${outstanding.toFixed(2)} + invoice ${amount.toFixed(2)})`
+    );
+  }
+
+  const openInvoices = await SalesInvoice.find({
+    organizationId: this.organizationId,
+    customerId: this._id,
+    isPosted: true,
+    status: { $nin: ['paid', 'cancelled'] },
+    balanceAmount: { $gt: 0 },
+    ...(excludeInvoiceId && { _id: { $ne: excludeInvoiceId } }),
+  })
+    .select('invoiceNumber invoiceDate dueDate balanceAmount exchangeRate revaluationRate')
+    .lean();
+
+  const overdueInvoices = [];
+
+  for (const invoice of openInvoices) {
+    let dueDate = invoice.dueDate;
+    if (!dueDate) {
+      dueDate = new Date(invoice.invoiceDate);
+      dueDate.setDate(dueDate.getDate() + (this.creditDays || 0));
+    }
+
+    const daysOverdue = daysBetween(dueDate, asAt);
+    if (daysOverdue <= 0) continue;
+
+    overdueInvoices.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      dueDate,
+      daysOverdue,
+      balanceAmount: round(invoice.balanceAmount * (invoice.revaluationRate || invoice.exchangeRate || 1)),
+    });
+  }
+
+  const overdueAmount = round(overdueInvoices.reduce((sum, invoice) => sum + invoice.balanceAmount, 0));
+
+  if (overdueInvoices.length > 0) {
+    const oldest = Math.max(...overdueInvoices.map((invoice) => invoice.daysOverdue));
+    violations.push(
+      `${overdueInvoices.length} invoice(s) totalling ${overdueAmount.toFixed(2)} overdue, oldest by ${oldest} days`
+    );
+  }
+
+  return {
+    allowed: violations.length === 0,
+    violations,
+    outstanding,
+    creditLimit: this.creditLimit,
+    available: this.creditLimit ? round(this.creditLimit - outstanding) : null,
+    overdueAmount,
+    overdueInvoices: overdueInvoices.sort((a, b) => b.daysOverdue - a.daysOverdue),
+  };
 };
 
 // Pre-save hook
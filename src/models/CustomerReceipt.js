@@ -0,0 +1,603 @@
+/**
+ * Customer Receipt Model
+ * Money received from a customer, allocated across open sales invoices.
+ * Any unallocated amount stays on the customer's account as credit.
+ * Advance receipts are held in a customer advance liability account instead,
+ * and both kinds of credit are applied to later invoices.
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+import SalesInvoice from './SalesInvoice';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Allocation of the receipt to one invoice (amounts in the receipt currency)
+const allocationSchema = new Schema(
+  {
+    invoiceId: {
+      type: ObjectId,
+      ref: 'SalesInvoice',
+      required: [true, 'Invoice is required'],
+    },
+
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Allocated amount is required'],
+      min: [0.01, 'Allocated amount must be greater than 0'],
+      set: (val) => parseFloat(Number(val).toFixed(2)),
+    },
+
+    // Set on posting: rate the invoice balance was carried at, and the
+    // base-currency receivable cleared by this allocation
+    carryingRate: {
+      type: Number,
+    },
+
+    baseAmount: {
+      type: Number,
+    },
+  },
+  { _id: true }
+);
+
+// Credit applied to an invoice posted after the receipt (receipt currency)
+const applicationSchema = new Schema(
+  {
+    invoiceId: {
+      type: ObjectId,
+      ref: 'SalesInvoice',
+      required: [true, 'Invoice is required'],
+    },
+
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Applied amount is required'],
+      min: [0.01, 'Applied amount must be greater than 0'],
+      set: (val) => parseFloat(Number(val).toFixed(2)),
+    },
+
+    // Rate the invoice balance was carried at, and the base-currency
+    // receivable cleared by this application
+    carryingRate: {
+      type: Number,
+    },
+
+    baseAmount: {
+      type: Number,
+    },
+
+    // Clearing voucher
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+    },
+
+    appliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    appliedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  { _id: true }
+);
+
+const customerReceiptSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Receipt identification
+    receiptNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    receiptDate: {
+      type: Date,
+      required: [true, 'Receipt date is required'],
+      default: Date.now,
+    },
+
+    // Customer reference
+    customerId: {
+      type: ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer is required'],
+      index: true,
+    },
+
+    // Payment against invoices, or an advance held until later invoices are posted
+    receiptType: {
+      type: String,
+      enum: ['payment', 'advance'],
+      default: 'payment',
+      index: true,
+    },
+
+    // Payment details
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'bank_transfer', 'cheque', 'credit_card', 'online'],
+      default: 'cash',
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0'],
+      set: (val) => parseFloat(Number(val).toFixed(2)),
+    },
+
+    // Currency (amounts are in the receipt currency)
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'PKR',
+    },
+
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Exchange rate must be greater than 0'],
+    },
+
+    chequeNumber: {
+      type: String,
+      trim: true,
+    },
+
+    chequeDate: {
+      type: Date,
+    },
+
+    bankName: {
+      type: String,
+      trim: true,
+    },
+
+    referenceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    // Allocation
+    allocations: [allocationSchema],
+
+    allocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Unallocated credit later applied to invoices
+    applications: [applicationSchema],
+
+    appliedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Realized exchange gain (+) or loss (-) booked on posting, base currency
+    realizedGainLoss: {
+      type: Number,
+      default: 0,
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ['draft', 'posted', 'cancelled'],
+      default: 'draft',
+      index: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Accounting integration
+    depositAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+      required: [true, 'Cash or bank account is required'],
+    },
+
+    receivableAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    // Customer advance liability (advance receipts)
+    advanceAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+    },
+
+    // Posted status
+    isPosted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    postedAt: {
+      type: Date,
+    },
+
+    postedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Fiscal tracking
+    fiscalYear: {
+      type: String,
+    },
+
+    fiscalPeriod: {
+      type: String,
+    },
+
+    // Soft delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    deletedAt: {
+      type: Date,
+    },
+
+    deletedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Audit fields
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+customerReceiptSchema.index({ organizationId: 1, receiptNumber: 1 }, { unique: true });
+customerReceiptSchema.index({ organizationId: 1, customerId: 1, receiptDate: -1 });
+customerReceiptSchema.index({ 'allocations.invoiceId': 1 });
+customerReceiptSchema.index({ 'applications.invoiceId': 1 });
+
+// Virtual for the credit still available to apply to invoices
+customerReceiptSchema.virtual('availableAmount').get(function () {
+  return parseFloat(((this.unallocatedAmount || 0) - (this.appliedAmount || 0)).toFixed(2));
+});
+
+// Static method to generate receipt number
+customerReceiptSchema.statics.generateReceiptNumber = async function (organizationId, fiscalYear) {
+  const year = fiscalYear || new Date().getFullYear().toString();
+  const prefix = `CR-${year}-`;
+
+  const lastReceipt = await this.findOne({
+    organizationId,
+    receiptNumber: new RegExp(`^${prefix}`),
+  })
+    .setOptions({ includeDeleted: true })
+    .sort({ receiptNumber: -1 })
+    .select('receiptNumber')
+    .lean();
+
+  if (!lastReceipt) {
+    return `${prefix}0001`;
+  }
+
+  const lastNumber = parseInt(lastReceipt.receiptNumber.split('-')[2]);
+  const newNumber = lastNumber + 1;
+  return `${prefix}${newNumber.toString().padStart(4, '0')}`;
+};
+
+/**
+ * Static method to find the receivable control account
+ * (given id, else the first non-group asset account named "receivable")
+ */
+customerReceiptSchema.statics.findReceivableAccount = async function (organizationId, accountId = null) {
+  if (accountId) {
+    return await Account.findOne({
+      _id: accountId,
+      organizationId,
+      type: 'asset',
+      isGroup: false,
+      isDeleted: false,
+    });
+  }
+
+  const candidates = await Account.find({
+    organizationId,
+    type: 'asset',
+    isGroup: false,
+    isActive: true,
+    isDeleted: false,
+    name: /receivable/i,
+  }).sort({ code: 1 });
+
+  return candidates[0] || null;
+};
+
+/**
+ * Static method to find the customer advance liability account
+ * (given id, else the first non-group liability account named for customer advances)
+ */
+customerReceiptSchema.statics.findAdvanceAccount = async function (organizationId, accountId = null) {
+  if (accountId) {
+    return await Account.findOne({
+      _id: accountId,
+      organizationId,
+      type: 'liability',
+      isGroup: false,
+      isDeleted: false,
+    });
+  }
+
+  const candidates = await Account.find({
+    organizationId,
+    type: 'liability',
+    isGroup: false,
+    isActive: true,
+    isDeleted: false,
+    name: /(customer|client).*advance|advance.*(customer|client)/i,
+  }).sort({ code: 1 });
+
+  return candidates[0] || null;
+};
+
+/**
+ * Static method to list the customer's posted receipts with credit left to
+ * apply in the given currency, oldest first
+ */
+customerReceiptSchema.statics.findAvailableCredits = async function (
+  organizationId,
+  customerId,
+  currency,
+  session = null
+) {
+  return await this.find({
+    organizationId,
+    customerId,
+    currency,
+    isPosted: true,
+    $expr: { $gt: [{ $subtract: ['$unallocatedAmount', { $ifNull: ['$appliedAmount', 0] }] }, 0.005] },
+  })
+    .sort({ receiptDate: 1, receiptNumber: 1 })
+    .session(session);
+};
+
+/**
+ * Method to load and check the allocated invoices
+ * Each invoice must belong to the customer, be posted and open, be in the
+ * receipt currency and have a balance covering the allocation.
+ * @returns {Promise<Map<string, SalesInvoice>>} Invoices keyed by id
+ */
+customerReceiptSchema.methods.loadAllocatedInvoices = async function (session = null) {
+  const invoiceIds = this.allocations.map((allocation) => allocation.invoiceId.toString());
+
+  if (new Set(invoiceIds).size !== invoiceIds.length) {
+    throw new Error('An invoice can only be allocated once per receipt');
+  }
+
+  const invoices = await SalesInvoice.find({
+    _id: { $in: invoiceIds },
+    organizationId: this.organizationId,
+  }).session(session);
+
+  const invoiceMap = new Map(invoices.map((invoice) => [invoice._id.toString(), invoice]));
+
+  for (const allocation of this.allocations) {
+    const invoice = invoiceMap.get(allocation.invoiceId.toString());
+
+    if (!invoice) {
+      throw new Error('Allocated invoice not found');
+    }
+
+    if (invoice.customerId.toString() !== this.customerId.toString()) {
+      throw new Error(`Invoice ${invoice.invoiceNumber} belongs to another customer`);
+    }
+
+    if (!invoice.isPosted || invoice.status === 'cancelled') {
+      throw new Error(`Invoice ${invoice.invoiceNumber} is not posted`);
+    }
+
+    if (invoice.currency !== this.currency) {
+      throw new Error(`Invoice ${invoice.invoiceNumber} is in ${invoice.currency}, not ${this.currency}`);
+    }
+
+    if (allocation.amount > parseFloat(invoice.balanceAmount.toFixed(2))) {
+      throw new Error(
+        `Allocation to ${invoice.invoiceNumber} exceeds its balance of ${invoice.balanceAmount.toFixed(2)}`
+      );
+    }
+
+    allocation.invoiceNumber = invoice.invoiceNumber;
+  }
+
+  return invoiceMap;
+};
+
+// Method to allocate the receipt to the customer's open invoices, oldest first
+customerReceiptSchema.methods.autoAllocate = async function () {
+  const openInvoices = await SalesInvoice.find({
+    organizationId: this.organizationId,
+    customerId: this.customerId,
+    currency: this.currency,
+    isPosted: true,
+    status: { $nin: ['cancelled', 'paid'] },
+    balanceAmount: { $gt: 0.005 },
+  })
+    .sort({ invoiceDate: 1, invoiceNumber: 1 })
+    .select('invoiceNumber balanceAmount');
+
+  let remaining = this.amount;
+  this.allocations = [];
+
+  for (const invoice of openInvoices) {
+    if (remaining < 0.01) break;
+
+    const amount = parseFloat(Math.min(remaining, invoice.balanceAmount).toFixed(2));
+    this.allocations.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount,
+    });
+    remaining = parseFloat((remaining - amount).toFixed(2));
+  }
+
+  return this.allocations;
+};
+
+/**
+ * Method to check part of the receipt's credit can be applied to an invoice
+ * posted later: same customer and currency, and the amount within both the
+ * credit available and the invoice balance
+ * @param {SalesInvoice} invoice
+ * @param {number} amount - Receipt currency
+ */
+customerReceiptSchema.methods.checkApplication = function (invoice, amount) {
+  if (!this.isPosted) {
+    throw new Error(`Receipt ${this.receiptNumber} is not posted`);
+  }
+
+  if (invoice.customerId.toString() !== this.customerId.toString()) {
+    throw new Error(`Receipt ${this.receiptNumber} belongs to another customer`);
+  }
+
+  if (!invoice.isPosted || invoice.status === 'cancelled') {
+    throw new Error(`Invoice ${invoice.invoiceNumber} is not posted`);
+  }
+
+  if (invoice.currency !== this.currency) {
+    throw new Error(`Invoice ${invoice.invoiceNumber} is in ${invoice.currency}, not ${this.currency}`);
+  }
+
+  if (!(amount > 0)) {
+    throw new Error('Applied amount must be greater than 0');
+  }
+
+  if (amount > this.availableAmount) {
+    throw new Error(
+      `Receipt ${this.receiptNumber} has only ${this.availableAmount.toFixed(2)} ${this.currency} available`
+    );
+  }
+
+  if (amount > parseFloat(invoice.balanceAmount.toFixed(2))) {
+    throw new Error(`Amount exceeds the balance of ${invoice.invoiceNumber} (${invoice.balanceAmount.toFixed(2)})`);
+  }
+};
+
+// Pre-save hook to calculate allocation totals
+customerReceiptSchema.pre('save', function (next) {
+  if (this.receiptType === 'advance' && this.allocations.length > 0) {
+    return next(new Error('Advance receipts are applied to invoices once the invoices are posted'));
+  }
+
+  this.allocatedAmount = parseFloat(
+    this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0).toFixed(2)
+  );
+  this.unallocatedAmount = parseFloat((this.amount - this.allocatedAmount).toFixed(2));
+
+  if (this.unallocatedAmount < 0) {
+    return next(new Error('Allocated amount cannot exceed the receipt amount'));
+  }
+
+  this.appliedAmount = parseFloat(
+    this.applications.reduce((sum, application) => sum + application.amount, 0).toFixed(2)
+  );
+
+  if (this.appliedAmount > this.unallocatedAmount) {
+    return next(new Error('Applied amount cannot exceed the unallocated amount'));
+  }
+
+  // Set fiscal period
+  if (this.receiptDate) {
+    const date = new Date(this.receiptDate);
+    this.fiscalYear = date.getFullYear().toString();
+    this.fiscalPeriod = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  next();
+});
+
+// Method to mark receipt as posted
+customerReceiptSchema.methods.post = async function (userId) {
+  if (this.isPosted) {
+    throw new Error('Receipt is already posted');
+  }
+
+  if (this.status === 'cancelled') {
+    throw new Error('Cannot post cancelled receipt');
+  }
+
+  this.isPosted = true;
+  this.postedAt = new Date();
+  this.postedBy = userId;
+  this.status = 'posted';
+
+  return await this.save();
+};
+
+// Query middleware to exclude soft-deleted records
+customerReceiptSchema.pre(/^find/, function (next) {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ isDeleted: false });
+  }
+  next();
+});
+
+const CustomerReceipt =
+  mongoose.models.CustomerReceipt || mongoose.model('CustomerReceipt', customerReceiptSchema);
+
+export default CustomerReceipt;
@@ -0,0 +1,154 @@
+/**
+ * Exchange Rate Model
+ * Dated exchange rates per organization, quoted as base-currency units
+ * per one unit of the foreign currency (e.g. 1 USD = 278.50 PKR)
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+const DEFAULT_BASE_CURRENCY = 'PKR';
+
+const exchangeRateSchema = new Schema(
+  {
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // ISO 4217 code of the foreign currency
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    },
+
+    // Base-currency units per one unit of the foreign currency
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be greater than 0'],
+      set: (val) => parseFloat(Number(val).toFixed(6)),
+    },
+
+    // Rate applies from this date until the next dated rate
+    effectiveDate: {
+      type: Date,
+      required: [true, 'Effective date is required'],
+    },
+
+    source: {
+      type: String,
+      enum: ['manual', 'sbp', 'bank'],
+      default: 'manual',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rate per currency per day
+exchangeRateSchema.index({ organizationId: 1, currency: 1, effectiveDate: -1 }, { unique: true });
+
+// Normalize effective date to the start of the day
+exchangeRateSchema.pre('save', function (next) {
+  if (this.isModified('effectiveDate')) {
+    const date = new Date(this.effectiveDate);
+    date.setHours(0, 0, 0, 0);
+    this.effectiveDate = date;
+  }
+  next();
+});
+
+// Static method to get the base currency code of an organization
+exchangeRateSchema.statics.getBaseCurrency = function (organization) {
+  return organization?.settings?.currency?.code || DEFAULT_BASE_CURRENCY;
+};
+
+/**
+ * Static method to find the rate in effect on a date
+ * @returns {Promise<ExchangeRate|null>} Latest rate dated on or before the date
+ */
+exchangeRateSchema.statics.getRate = async function (organizationId, currency, date = new Date()) {
+  const endDate = new Date(date);
+  endDate.setHours(23, 59, 59, 999);
+
+  return await this.findOne({
+    organizationId,
+    currency: String(currency).toUpperCase(),
+    effectiveDate: { $lte: endDate },
+  }).sort({ effectiveDate: -1 });
+};
+
+/**
+ * Static method to resolve the currency and exchange rate of a document
+ * Base-currency documents always carry a rate of 1. For a foreign currency
+ * the given rate is used, otherwise the rate in effect on the document date.
+ * @param {Organization} organization - Populated organization
+ * @param {object} input - { currency, exchangeRate, date }
+ * @returns {Promise<{ currency: string, exchangeRate: number }>}
+ */
+exchangeRateSchema.statics.resolveDocumentRate = async function (
+  organization,
+  { currency, exchangeRate, date = new Date() } = {}
+) {
+  const baseCurrency = this.getBaseCurrency(organization);
+  const code = String(currency || baseCurrency).trim().toUpperCase();
+
+  if (code === baseCurrency) {
+    return { currency: baseCurrency, exchangeRate: 1 };
+  }
+
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new Error('Currency must be a 3-letter ISO code');
+  }
+
+  if (!organization?.subscription?.features?.multiCurrency) {
+    throw new Error('Multi-currency is not enabled for this organization');
+  }
+
+  if (exchangeRate !== undefined && exchangeRate !== null && exchangeRate !== '') {
+    const rate = parseFloat(exchangeRate);
+    if (isNaN(rate) || rate <= 0) {
+      throw new Error('Exchange rate must be greater than 0');
+    }
+    return { currency: code, exchangeRate: parseFloat(rate.toFixed(6)) };
+  }
+
+  const rate = await this.getRate(organization._id, code, date);
+
+  if (!rate) {
+    throw new Error(`No ${code} exchange rate found on or before ${new Date(date).toDateString()}`);
+  }
+
+  return { currency: code, exchangeRate: rate.rate };
+};
+
+const ExchangeRate =
+  mongoose.models.ExchangeRate || mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
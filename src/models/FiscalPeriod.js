@@ -0,0 +1,316 @@
+/**
+ * Fiscal Period Model
+ * Tracks the close/lock status of each accounting month per organization
+ *
+ * Status:
+ * - open:        postings allowed
+ * - soft_closed: postings allowed only for users with the `accounts.manage` override
+ * - locked:      no postings at all (must be reopened first)
+ *
+ * A month with no FiscalPeriod document is treated as open.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Override permission for posting into a soft-closed period and for closing/reopening periods
+export const PERIOD_OVERRIDE_PERMISSION = 'accounts.manage';
+
+// Status history entry
+const periodHistorySchema = new Schema(
+  {
+    action: {
+      type: String,
+      enum: ['close', 'lock', 'reopen'],
+      required: true,
+    },
+
+    fromStatus: {
+      type: String,
+      enum: ['open', 'soft_closed', 'locked'],
+    },
+
+    toStatus: {
+      type: String,
+      enum: ['open', 'soft_closed', 'locked'],
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+
+    performedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    performedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Main Fiscal Period Schema
+const fiscalPeriodSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Period identification (same format as Voucher.fiscalYear / fiscalPeriod)
+    fiscalYear: {
+      type: String,
+      required: true,
+    },
+
+    fiscalPeriod: {
+      type: String, // e.g., "2024-01" for January 2024
+      required: [true, 'Fiscal period is required'],
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Fiscal period must be in format YYYY-MM'],
+    },
+
+    startDate: {
+      type: Date,
+      required: true,
+    },
+
+    endDate: {
+      type: Date,
+      required: true,
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ['open', 'soft_closed', 'locked'],
+      default: 'open',
+      index: true,
+    },
+
+    // Close tracking
+    closedAt: {
+      type: Date,
+    },
+
+    closedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    lockedAt: {
+      type: Date,
+    },
+
+    lockedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Reopen tracking
+    reopenedAt: {
+      type: Date,
+    },
+
+    reopenedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    history: [periodHistorySchema],
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Audit fields
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+fiscalPeriodSchema.index({ organizationId: 1, fiscalPeriod: 1 }, { unique: true });
+fiscalPeriodSchema.index({ organizationId: 1, fiscalYear: 1 });
+
+// Static method to derive fiscal year/period keys from a date
+fiscalPeriodSchema.statics.getPeriodKeys = function (date) {
+  const d = new Date(date);
+  const fiscalYear = d.getFullYear().toString();
+  const fiscalPeriod = `${fiscalYear}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  return { fiscalYear, fiscalPeriod };
+};
+
+// Static method to get start and end dates of a period ("2024-01")
+fiscalPeriodSchema.statics.getPeriodRange = function (fiscalPeriod) {
+  const [year, month] = fiscalPeriod.split('-').map((part) => parseInt(part));
+  const startDate = new Date(year, month - 1, 1);
+  const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+  return { startDate, endDate };
+};
+
+// Static method to find (or build, unsaved) the period document for a period key.
+// With a session the document saves within it.
+fiscalPeriodSchema.statics.findOrInit = async function (organizationId, fiscalPeriod, session = null) {
+  const existing = await this.findOne({ organizationId, fiscalPeriod }).session(session);
+  if (existing) return existing;
+
+  const { startDate, endDate } = this.getPeriodRange(fiscalPeriod);
+
+  const period = new this({
+    organizationId,
+    fiscalYear: fiscalPeriod.split('-')[0],
+    fiscalPeriod,
+    startDate,
+    endDate,
+    status: 'open',
+  });
+  period.$session(session);
+
+  return period;
+};
+
+/**
+ * Static method to check whether a posting dated `date` is allowed
+ * @param {ObjectId} organizationId
+ * @param {Date|string} date - Posting date (voucher/invoice date)
+ * @param {object} options - { canOverride: boolean }
+ * @returns {Promise<{allowed: boolean, status: string, fiscalPeriod: string, overridden: boolean, message?: string}>}
+ */
+fiscalPeriodSchema.statics.checkPostingAllowed = async function (
+  organizationId,
+  date,
+  { canOverride = false } = {}
+) {
+  const { fiscalPeriod } = this.getPeriodKeys(date);
+
+  const period = await this.findOne({ organizationId, fiscalPeriod })
+    .select('status')
+    .lean();
+
+  const status = period?.status || 'open';
+
+  if (status === 'open') {
+    return { allowed: true, status, fiscalPeriod, overridden: false };
+  }
+
+  if (status === 'soft_closed' && canOverride) {
+    return { allowed: true, status, fiscalPeriod, overridden: true };
+  }
+
+  return {
+    allowed: false,
+    status,
+    fiscalPeriod,
+    overridden: false,
+    message:
+      status === 'locked'
+        ? `Fiscal period ${fiscalPeriod} is locked. Reopen the period before posting.`
+        : `Fiscal period ${fiscalPeriod} is closed. Posting requires the '${PERIOD_OVERRIDE_PERMISSION}' permission.`,
+  };
+};
+
+// Static method that throws when a posting into the period of `date` is not allowed
+fiscalPeriodSchema.statics.assertPostingAllowed = async function (organizationId, date, options = {}) {
+  const result = await this.checkPostingAllowed(organizationId, date, options);
+
+  if (!result.allowed) {
+    throw new Error(result.message);
+  }
+
+  return result;
+};
+
+// Method to close period (soft close or hard lock)
+fiscalPeriodSchema.methods.close = async function (userId, { lock = false, reason } = {}) {
+  const targetStatus = lock ? 'locked' : 'soft_closed';
+
+  if (this.status === targetStatus) {
+    throw new Error(`Fiscal period ${this.fiscalPeriod} is already ${lock ? 'locked' : 'closed'}`);
+  }
+
+  if (this.status === 'locked' && !lock) {
+    throw new Error(`Fiscal period ${this.fiscalPeriod} is locked. Reopen it instead.`);
+  }
+
+  this.history.push({
+    action: lock ? 'lock' : 'close',
+    fromStatus: this.status,
+    toStatus: targetStatus,
+    reason,
+    performedBy: userId,
+  });
+
+  if (!this.closedAt || this.status === 'open') {
+    this.closedAt = new Date();
+    this.closedBy = userId;
+  }
+
+  if (lock) {
+    this.lockedAt = new Date();
+    this.lockedBy = userId;
+  }
+
+  this.status = targetStatus;
+  this.updatedBy = userId;
+  if (this.isNew) {
+    this.createdBy = userId;
+  }
+
+  return await this.save();
+};
+
+// Method to reopen period
+fiscalPeriodSchema.methods.reopen = async function (userId, reason) {
+  if (this.status === 'open') {
+    throw new Error(`Fiscal period ${this.fiscalPeriod} is already open`);
+  }
+
+  this.history.push({
+    action: 'reopen',
+    fromStatus: this.status,
+    toStatus: 'open',
+    reason,
+    performedBy: userId,
+  });
+
+  this.status = 'open';
+  this.reopenedAt = new Date();
+  this.reopenedBy = userId;
+  this.updatedBy = userId;
+
+  return await this.save();
+};
+
+// Remove sensitive data from JSON
+fiscalPeriodSchema.methods.toJSON = function () {
+  const period = this.toObject();
+  delete period.__v;
+  return period;
+};
+
+const FiscalPeriod =
+  mongoose.models.FiscalPeriod || mongoose.model('FiscalPeriod', fiscalPeriodSchema);
+
+export default FiscalPeriod;
@@ -0,0 +1,564 @@
+/**
+ * Fiscal Year Closing Model
+ * Year-end close: transfers revenue and expense balances to retained earnings
+ * through a closing JV and snapshots balance-sheet balances as the opening
+ * balances of the next fiscal year
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+import Voucher from './Voucher';
+import LedgerEntry from './LedgerEntry';
+import FiscalPeriod from './FiscalPeriod';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Opening balance carried forward to the next fiscal year
+const openingBalanceSchema = new Schema(
+  {
+    accountId: {
+      type: ObjectId,
+      ref: 'Account',
+      required: true,
+    },
+
+    code: String,
+
+    name: String,
+
+    type: {
+      type: String,
+      enum: ['asset', 'liability', 'equity'],
+    },
+
+    normalBalance: {
+      type: String,
+      enum: ['debit', 'credit'],
+    },
+
+    // Balance in the account's normal direction
+    balance: {
+      type: Number,
+      default: 0,
+      set: (val) => parseFloat(val.toFixed(2)),
+    },
+  },
+  { _id: false }
+);
+
+// Main Fiscal Year Closing Schema
+const fiscalYearClosingSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Fiscal year identification (e.g., "2024-25")
+    fiscalYear: {
+      type: String,
+      required: true,
+    },
+
+    startDate: {
+      type: Date,
+      required: true,
+    },
+
+    endDate: {
+      type: Date,
+      required: true,
+    },
+
+    // Closing voucher
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+      required: true,
+    },
+
+    retainedEarningsAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+      required: true,
+    },
+
+    // Results
+    totalRevenue: {
+      type: Number,
+      default: 0,
+    },
+
+    totalExpense: {
+      type: Number,
+      default: 0,
+    },
+
+    netProfit: {
+      type: Number,
+      default: 0,
+    },
+
+    openingBalances: [openingBalanceSchema],
+
+    // Periods soft-closed by this closing (restored on reopen)
+    closedPeriods: [String],
+
+    // Status
+    status: {
+      type: String,
+      enum: ['closed', 'reopened'],
+      default: 'closed',
+      index: true,
+    },
+
+    closedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    closedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    reopenedAt: {
+      type: Date,
+    },
+
+    reopenedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    reopenReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reopen reason cannot exceed 500 characters'],
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+// Only one active closing per fiscal year
+fiscalYearClosingSchema.index(
+  { organizationId: 1, fiscalYear: 1 },
+  { unique: true, partialFilterExpression: { status: 'closed' } }
+);
+fiscalYearClosingSchema.index({ organizationId: 1, endDate: -1 });
+
+// Signed (debit-positive) balance of an account from its opening balance and entry totals
+const signedBalance = (account, totals = { debit: 0, credit: 0 }) => {
+  const opening = account.openingBalance || 0;
+  const signedOpening = account.normalBalance === 'debit' ? opening : -opening;
+  return signedOpening + totals.debit - totals.credit;
+};
+
+// Static method to find the retained earnings account used for closing
+fiscalYearClosingSchema.statics.findRetainedEarningsAccount = async function (
+  organizationId,
+  accountId = null
+) {
+  if (accountId) {
+    return await Account.findOne({
+      _id: accountId,
+      organizationId,
+      category: 'retained_earnings',
+      isGroup: false,
+      isDeleted: false,
+    });
+  }
+
+  const candidates = await Account.find({
+    organizationId,
+    category: 'retained_earnings',
+    isGroup: false,
+    isActive: true,
+    isDeleted: false,
+  }).sort({ code: 1 });
+
+  // Prefer "Retained Earnings" over "Current Year Earnings"
+  return candidates.find((acc) => /retained/i.test(acc.name)) || candidates[0] || null;
+};
+
+/**
+ * Static method to build the closing JV lines for a fiscal year (nothing is saved)
+ * @param {ObjectId} organizationId
+ * @param {object} fiscalYear - { label, startDate, endDate } from Organization.getFiscalYear
+ * @param {Account} retainedEarningsAccount
+ * @param {ClientSession} session - Optional transaction session
+ */
+fiscalYearClosingSchema.statics.buildClosingPlan = async function (
+  organizationId,
+  fiscalYear,
+  retainedEarningsAccount,
+  session = null
+) {
+  const accounts = await Account.find({
+    organizationId,
+    type: { $in: ['revenue', 'expense'] },
+    isGroup: false,
+    isDeleted: false,
+  })
+    .sort({ code: 1 })
+    .session(session);
+
+  // Revenue/expense balances are cumulative up to year end so that any
+  // earlier unclosed years are swept as well
+  const totalsByAccount = await LedgerEntry.getTotalsByAccount(organizationId, {
+    endDate: fiscalYear.endDate,
+    accountIds: accounts.map((acc) => acc._id),
+    session,
+  });
+
+  const entries = [];
+  let totalRevenue = 0;
+  let totalExpense = 0;
+
+  for (const account of accounts) {
+    const balance = signedBalance(account, totalsByAccount.get(account._id.toString()));
+
+    if (Math.abs(balance) < 0.01) continue;
+
+    if (account.type === 'revenue') {
+      totalRevenue -= balance;
+    } else {
+      totalExpense += balance;
+    }
+
+    // Post the opposite side to bring the account to zero
+    entries.push({
+      accountId: account._id,
+      type: balance > 0 ? 'credit' : 'debit',
+      amount: parseFloat(Math.abs(balance).toFixed(2)),
+      description: `Closing ${account.code} - ${account.name}`,
+    });
+  }
+
+  const netProfit = parseFloat((totalRevenue - totalExpense).toFixed(2));
+
+  if (entries.length > 0 && Math.abs(netProfit) >= 0.01) {
+    entries.push({
+      accountId: retainedEarningsAccount._id,
+      type: netProfit > 0 ? 'credit' : 'debit',
+      amount: Math.abs(netProfit),
+      description: netProfit > 0
+        ? `Net profit for FY ${fiscalYear.label}`
+        : `Net loss for FY ${fiscalYear.label}`,
+    });
+  }
+
+  return {
+    entries,
+    totalRevenue: parseFloat(totalRevenue.toFixed(2)),
+    totalExpense: parseFloat(totalExpense.toFixed(2)),
+    netProfit,
+  };
+};
+
+// Static method to snapshot balance-sheet balances as at a date
+fiscalYearClosingSchema.statics.getBalanceSheetBalances = async function (
+  organizationId,
+  asOfDate,
+  session = null
+) {
+  const accounts = await Account.find({
+    organizationId,
+    type: { $in: ['asset', 'liability', 'equity'] },
+    isGroup: false,
+    isDeleted: false,
+  })
+    .sort({ code: 1 })
+    .session(session);
+
+  const totalsByAccount = await LedgerEntry.getTotalsByAccount(organizationId, {
+    endDate: asOfDate,
+    accountIds: accounts.map((acc) => acc._id),
+    session,
+  });
+
+  return accounts
+    .map((account) => {
+      const signed = signedBalance(account, totalsByAccount.get(account._id.toString()));
+      return {
+        accountId: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        normalBalance: account.normalBalance,
+        balance: account.normalBalance === 'debit' ? signed : -signed,
+      };
+    })
+    .filter((item) => Math.abs(item.balance) >= 0.01);
+};
+
+/**
+ * Static method to close a fiscal year. Pass a session so that the closing
+ * voucher, its ledger entries, the period closes and the closing record are
+ * committed or rolled back together.
+ * @param {Organization} organization - Populated organization document
+ * @param {Date|string} date - Any date within the fiscal year to close
+ * @param {object} options - { userId, retainedEarningsAccountId, canOverrideLock, notes, session }
+ */
+fiscalYearClosingSchema.statics.closeYear = async function (
+  organization,
+  date,
+  { userId, retainedEarningsAccountId = null, canOverrideLock = false, notes, session = null } = {}
+) {
+  const organizationId = organization._id;
+  const fiscalYear = organization.getFiscalYear(date);
+
+  const existing = await this.findOne({
+    organizationId,
+    fiscalYear: fiscalYear.label,
+    status: 'closed',
+  }).session(session);
+
+  if (existing) {
+    throw new Error(`Fiscal year ${fiscalYear.label} is already closed`);
+  }
+
+  const retainedEarningsAccount = await this.findRetainedEarningsAccount(
+    organizationId,
+    retainedEarningsAccountId
+  );
+
+  if (!retainedEarningsAccount) {
+    throw new Error('Retained earnings account not found. Please set up chart of accounts.');
+  }
+
+  const plan = await this.buildClosingPlan(
+    organizationId,
+    fiscalYear,
+    retainedEarningsAccount,
+    session
+  );
+
+  if (plan.entries.length < 2) {
+    throw new Error(`No revenue or expense balances to close for fiscal year ${fiscalYear.label}`);
+  }
+
+  // Closing JV dated on the last day of the fiscal year
+  const { fiscalYear: voucherYear, fiscalPeriod } = FiscalPeriod.getPeriodKeys(fiscalYear.endDate);
+
+  const voucherNumber = await Voucher.generateVoucherNumber(organizationId, 'JV', voucherYear);
+
+  const voucher = new Voucher({
+    voucherNumber,
+    voucherType: 'JV',
+    organizationId,
+    voucherDate: fiscalYear.endDate,
+    fiscalYear: voucherYear,
+    fiscalPeriod,
+    narration: `Year-end closing FY ${fiscalYear.label} - revenue and expenses transferred to retained earnings`,
+    entries: plan.entries,
+    referenceNumber: `FY-${fiscalYear.label}`,
+    referenceType: 'closing',
+    status: 'draft',
+    createdBy: userId,
+    updatedBy: userId,
+  });
+
+  const validation = voucher.validateDoubleEntry();
+  if (!validation.isValid) {
+    throw new Error(`Closing voucher validation failed: ${validation.errors.join(', ')}`);
+  }
+
+  await voucher.save({ session });
+  await voucher.post(userId, { canOverrideLock });
+  await LedgerEntry.createFromVoucher(voucher, userId, session);
+
+  // Carry balance-sheet balances forward (read in the session so that the
+  // closing entries to retained earnings are included)
+  const openingBalances = await this.getBalanceSheetBalances(
+    organizationId,
+    fiscalYear.endDate,
+    session
+  );
+
+  // Soft-close every still-open month of the year
+  const closedPeriods = [];
+  const cursor = new Date(fiscalYear.startDate);
+  while (cursor <= fiscalYear.endDate) {
+    const { fiscalPeriod: periodKey } = FiscalPeriod.getPeriodKeys(cursor);
+    const period = await FiscalPeriod.findOrInit(organizationId, periodKey, session);
+
+    if (period.status === 'open') {
+      await period.close(userId, { reason: `Year-end closing FY ${fiscalYear.label}` });
+      closedPeriods.push(periodKey);
+    }
+
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+
+  const [closing] = await this.create([{
+    organizationId,
+    fiscalYear: fiscalYear.label,
+    startDate: fiscalYear.startDate,
+    endDate: fiscalYear.endDate,
+    voucherId: voucher._id,
+    retainedEarningsAccountId: retainedEarningsAccount._id,
+    totalRevenue: plan.totalRevenue,
+    totalExpense: plan.totalExpense,
+    netProfit: plan.netProfit,
+    openingBalances,
+    closedPeriods,
+    status: 'closed',
+    closedBy: userId,
+    notes,
+  }], { session });
+
+  return closing;
+};
+
+/**
+ * Static method to get the closing that carries balances forward into the
+ * fiscal year containing `date`, i.e. the closing of the year before it
+ * @param {Organization} organization - Populated organization document
+ * @param {Date|string} date - Any date within the fiscal year
+ * @returns {Promise<FiscalYearClosing|null>} - null when that year is not closed
+ */
+fiscalYearClosingSchema.statics.findForOpeningYear = async function (organization, date) {
+  const fiscalYear = organization.getFiscalYear(date);
+  const previousYear = organization.getFiscalYear(new Date(fiscalYear.startDate.getTime() - 1));
+
+  return await this.findOne({
+    organizationId: organization._id,
+    fiscalYear: previousYear.label,
+    status: 'closed',
+  });
+};
+
+/**
+ * Method to get the opening balances carried forward, each with the ledger
+ * balance as at the year end. A difference means entries were posted into the
+ * closed year after it was closed (with the period override).
+ * @returns {Promise<Array>} - [{ accountId, code, name, type, normalBalance,
+ *   balance, ledgerBalance, difference }]
+ */
+fiscalYearClosingSchema.methods.getOpeningBalances = async function () {
+  const ledgerBalances = await this.constructor.getBalanceSheetBalances(
+    this.organizationId,
+    this.endDate
+  );
+  const ledgerByAccount = new Map(
+    ledgerBalances.map((item) => [item.accountId.toString(), item])
+  );
+
+  const openingBalances = this.openingBalances.map((item) => {
+    const ledger = ledgerByAccount.get(item.accountId.toString());
+    ledgerByAccount.delete(item.accountId.toString());
+
+    return {
+      ...item.toObject(),
+      ledgerBalance: ledger ? ledger.balance : 0,
+    };
+  });
+
+  // Accounts with a ledger balance that was nil at closing
+  for (const ledger of ledgerByAccount.values()) {
+    openingBalances.push({ ...ledger, balance: 0, ledgerBalance: ledger.balance });
+  }
+
+  return openingBalances.map((item) => ({
+    ...item,
+    ledgerBalance: parseFloat(item.ledgerBalance.toFixed(2)),
+    difference: parseFloat((item.ledgerBalance - item.balance).toFixed(2)),
+  }));
+};
+
+/**
+ * Method to reopen a closed fiscal year (voids the closing JV). Pass a session
+ * so that the period reopens, the voided entries and voucher, and the closing
+ * status are committed or rolled back together.
+ * @param {ObjectId} userId
+ * @param {string} reason
+ * @param {object} options - { canOverrideLock, session }
+ */
+fiscalYearClosingSchema.methods.reopen = async function (
+  userId,
+  reason,
+  { canOverrideLock = false, session = null } = {}
+) {
+  if (this.status !== 'closed') {
+    throw new Error(`Fiscal year ${this.fiscalYear} is not closed`);
+  }
+
+  // Later years are built on this year's closing
+  const laterClosing = await this.constructor.findOne({
+    organizationId: this.organizationId,
+    status: 'closed',
+    endDate: { $gt: this.endDate },
+  }).session(session);
+
+  if (laterClosing) {
+    throw new Error(`Reopen fiscal year ${laterClosing.fiscalYear} first`);
+  }
+
+  const voucher = await Voucher.findById(this.voucherId).session(session);
+
+  // A hard-locked month cannot be undone from here
+  const { fiscalPeriod: voucherPeriod } = FiscalPeriod.getPeriodKeys(this.endDate);
+  const lockedPeriod = await FiscalPeriod.findOne({
+    organizationId: this.organizationId,
+    fiscalPeriod: { $in: [...this.closedPeriods, voucherPeriod] },
+    status: 'locked',
+  }).session(session);
+
+  if (lockedPeriod) {
+    throw new Error(`Fiscal period ${lockedPeriod.fiscalPeriod} is locked. Reopen the period first.`);
+  }
+
+  // Restore periods closed by the year-end closing
+  for (const periodKey of this.closedPeriods) {
+    const period = await FiscalPeriod.findOne({
+      organizationId: this.organizationId,
+      fiscalPeriod: periodKey,
+      status: 'soft_closed',
+    }).session(session);
+
+    if (period) {
+      await period.reopen(userId, `Fiscal year ${this.fiscalYear} reopened: ${reason}`.slice(0, 500));
+    }
+  }
+
+  // Reverse the closing voucher
+  if (voucher && voucher.status === 'posted') {
+    const voidReason = `Fiscal year ${this.fiscalYear} reopened: ${reason}`.slice(0, 500);
+    await LedgerEntry.voidEntriesForVoucher(voucher._id, userId, voidReason, session);
+    await voucher.void(userId, voidReason, { canOverrideLock });
+  }
+
+  this.status = 'reopened';
+  this.reopenedAt = new Date();
+  this.reopenedBy = userId;
+  this.reopenReason = reason;
+
+  return await this.save({ session });
+};
+
+// Remove sensitive data from JSON
+fiscalYearClosingSchema.methods.toJSON = function () {
+  const closing = this.toObject();
+  delete closing.__v;
+  return closing;
+};
+
+const FiscalYearClosing =
+  mongoose.models.FiscalYearClosing ||
+  mongoose.model('FiscalYearClosing', fiscalYearClosingSchema);
+
+export default FiscalYearClosing;
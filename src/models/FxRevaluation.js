@@ -0,0 +1,477 @@
+/**
+ * FX Revaluation Model
+ * Period-end revaluation of open foreign-currency receivables and payables.
+ * Each run books the unrealized exchange gain/loss since the rate the open
+ * balance was last carried at, through a JV dated on the revaluation date.
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+import Voucher from './Voucher';
+import LedgerEntry from './LedgerEntry';
+import FiscalPeriod from './FiscalPeriod';
+import ExchangeRate from './ExchangeRate';
+import SalesInvoice from './SalesInvoice';
+import PurchaseInvoice from './PurchaseInvoice';
+import Customer from './Customer';
+import Supplier from './Supplier';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+// One open foreign-currency document revalued in a run
+const revaluationLineSchema = new Schema(
+  {
+    documentType: {
+      type: String,
+      enum: ['sales_invoice', 'purchase_invoice'],
+      required: true,
+    },
+
+    documentId: {
+      type: ObjectId,
+      required: true,
+    },
+
+    documentNumber: String,
+
+    partyType: {
+      type: String,
+      enum: ['customer', 'supplier'],
+    },
+
+    partyId: {
+      type: ObjectId,
+    },
+
+    // Receivable / payable control account
+    accountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    currency: String,
+
+    // Open balance in the document currency
+    openAmount: Number,
+
+    previousRate: Number,
+
+    closingRate: Number,
+
+    // Base-currency value of the open balance before and after revaluation
+    carryingAmount: Number,
+
+    revaluedAmount: Number,
+
+    // Positive = gain, negative = loss
+    gainLoss: Number,
+  },
+  { _id: false }
+);
+
+const fxRevaluationSchema = new Schema(
+  {
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    asOfDate: {
+      type: Date,
+      required: true,
+    },
+
+    fiscalYear: String,
+
+    fiscalPeriod: String,
+
+    baseCurrency: String,
+
+    // Closing rates used, keyed by currency
+    rates: {
+      type: Map,
+      of: Number,
+    },
+
+    lines: [revaluationLineSchema],
+
+    totalGain: {
+      type: Number,
+      default: 0,
+    },
+
+    totalLoss: {
+      type: Number,
+      default: 0,
+    },
+
+    netGainLoss: {
+      type: Number,
+      default: 0,
+    },
+
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+      required: true,
+    },
+
+    gainAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    lossAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+fxRevaluationSchema.index({ organizationId: 1, asOfDate: -1 });
+
+// Static method to find the exchange gain and loss accounts
+fxRevaluationSchema.statics.findFxAccounts = async function (
+  organizationId,
+  { gainAccountId = null, lossAccountId = null } = {}
+) {
+  const findAccount = async (accountId, type) => {
+    if (accountId) {
+      return await Account.findOne({
+        _id: accountId,
+        organizationId,
+        type,
+        isGroup: false,
+        isDeleted: false,
+      });
+    }
+
+    const candidates = await Account.find({
+      organizationId,
+      type,
+      isGroup: false,
+      isActive: true,
+      isDeleted: false,
+      name: /exchange/i,
+    }).sort({ code: 1 });
+
+    return candidates[0] || null;
+  };
+
+  return {
+    gainAccount: await findAccount(gainAccountId, 'revenue'),
+    lossAccount: await findAccount(lossAccountId, 'expense'),
+  };
+};
+
+/**
+ * Static method to build the revaluation lines for open foreign-currency
+ * invoices as at a date (nothing is saved)
+ * @param {Organization} organization - Populated organization
+ * @param {Date} asOfDate
+ * @returns {Promise<{ lines, rates, missingRates, totalGain, totalLoss, netGainLoss }>}
+ */
+fxRevaluationSchema.statics.buildRevaluationPlan = async function (organization, asOfDate) {
+  const organizationId = organization._id;
+  const baseCurrency = ExchangeRate.getBaseCurrency(organization);
+
+  const endDate = new Date(asOfDate);
+  endDate.setHours(23, 59, 59, 999);
+
+  const openFilter = {
+    organizationId,
+    isPosted: true,
+    status: { $nin: ['cancelled', 'paid'] },
+    balanceAmount: { $gt: 0.005 },
+    currency: { $nin: [baseCurrency, null] },
+    invoiceDate: { $lte: endDate },
+  };
+
+  const [salesInvoices, purchaseInvoices] = await Promise.all([
+    SalesInvoice.find(openFilter)
+      .select('invoiceNumber customerId receivableAccountId currency exchangeRate revaluationRate balanceAmount')
+      .lean(),
+    PurchaseInvoice.find(openFilter)
+      .select('invoiceNumber supplierId payableAccountId currency exchangeRate revaluationRate balanceAmount')
+      .lean(),
+  ]);
+
+  const documents = [
+    ...salesInvoices.map((doc) => ({
+      doc,
+      documentType: 'sales_invoice',
+      partyType: 'customer',
+      partyId: doc.customerId,
+      accountId: doc.receivableAccountId,
+      sign: 1, // Asset: a higher rate is a gain
+    })),
+    ...purchaseInvoices.map((doc) => ({
+      doc,
+      documentType: 'purchase_invoice',
+      partyType: 'supplier',
+      partyId: doc.supplierId,
+      accountId: doc.payableAccountId,
+      sign: -1, // Liability: a higher rate is a loss
+    })),
+  ];
+
+  // Closing rate per currency
+  const rates = {};
+  const missingRates = [];
+  for (const currency of [...new Set(documents.map(({ doc }) => doc.currency))]) {
+    const rate = await ExchangeRate.getRate(organizationId, currency, endDate);
+    if (rate) {
+      rates[currency] = rate.rate;
+    } else {
+      missingRates.push(currency);
+    }
+  }
+
+  const lines = [];
+  for (const { doc, documentType, partyType, partyId, accountId, sign } of documents) {
+    const closingRate = rates[doc.currency];
+    if (!closingRate || !accountId) continue;
+
+    const previousRate = doc.revaluationRate || doc.exchangeRate;
+    const carryingAmount = round(doc.balanceAmount * previousRate);
+    const revaluedAmount = round(doc.balanceAmount * closingRate);
+    const gainLoss = round(sign * (revaluedAmount - carryingAmount));
+
+    if (gainLoss === 0) continue;
+
+    lines.push({
+      documentType,
+      documentId: doc._id,
+      documentNumber: doc.invoiceNumber,
+      partyType,
+      partyId,
+      accountId,
+      currency: doc.currency,
+      openAmount: round(doc.balanceAmount),
+      previousRate,
+      closingRate,
+      carryingAmount,
+      revaluedAmount,
+      gainLoss,
+    });
+  }
+
+  const totalGain = round(lines.filter((l) => l.gainLoss > 0).reduce((sum, l) => sum + l.gainLoss, 0));
+  const totalLoss = round(lines.filter((l) => l.gainLoss < 0).reduce((sum, l) => sum - l.gainLoss, 0));
+
+  return {
+    baseCurrency,
+    asOfDate: endDate,
+    lines,
+    rates,
+    missingRates,
+    totalGain,
+    totalLoss,
+    netGainLoss: round(totalGain - totalLoss),
+  };
+};
+
+/**
+ * Static method to post a revaluation JV for open foreign-currency balances.
+ * Pass a session so that the voucher, its ledger entries, the revaluation
+ * record, the invoices' carrying rates and the party balances are committed
+ * or rolled back together.
+ * @param {Organization} organization - Populated organization
+ * @param {Date} asOfDate
+ * @param {object} options - { userId, gainAccountId, lossAccountId, canOverrideLock, notes, session }
+ */
+fxRevaluationSchema.statics.revalue = async function (
+  organization,
+  asOfDate,
+  { userId, gainAccountId = null, lossAccountId = null, canOverrideLock = false, notes, session = null } = {}
+) {
+  const organizationId = organization._id;
+
+  const endDate = new Date(asOfDate);
+  endDate.setHours(23, 59, 59, 999);
+
+  const later = await this.findOne({ organizationId, asOfDate: { $gt: endDate } })
+    .sort({ asOfDate: -1 })
+    .session(session)
+    .lean();
+
+  if (later) {
+    throw new Error(`Balances are already revalued as at ${later.asOfDate.toDateString()}`);
+  }
+
+  const plan = await this.buildRevaluationPlan(organization, asOfDate);
+
+  if (plan.missingRates.length > 0) {
+    throw new Error(`Exchange rate missing for ${plan.missingRates.join(', ')} as at the revaluation date`);
+  }
+
+  if (plan.lines.length === 0) {
+    throw new Error('No foreign-currency balances need revaluation');
+  }
+
+  const { gainAccount, lossAccount } = await this.findFxAccounts(organizationId, {
+    gainAccountId,
+    lossAccountId,
+  });
+
+  if (plan.totalGain > 0 && !gainAccount) {
+    throw new Error('Exchange gain account not found. Please set up chart of accounts.');
+  }
+
+  if (plan.totalLoss > 0 && !lossAccount) {
+    throw new Error('Exchange loss account not found. Please set up chart of accounts.');
+  }
+
+  // Receivable/payable lines grouped per control account, party and direction
+  const grouped = new Map();
+  for (const line of plan.lines) {
+    // Receivables rise with a gain, payables rise with a loss
+    const increase = line.partyType === 'customer' ? line.gainLoss > 0 : line.gainLoss < 0;
+    const type = line.partyType === 'customer'
+      ? (increase ? 'debit' : 'credit')
+      : (increase ? 'credit' : 'debit');
+    const key = `${line.accountId}_${line.partyId}_${type}`;
+
+    const entry = grouped.get(key) || {
+      accountId: line.accountId,
+      type,
+      amount: 0,
+      description: [],
+      partyType: line.partyType,
+      partyId: line.partyId,
+    };
+    entry.amount = round(entry.amount + Math.abs(line.gainLoss));
+    entry.description.push(line.documentNumber);
+    grouped.set(key, entry);
+  }
+
+  const entries = [...grouped.values()].map((entry) => ({
+    ...entry,
+    description: `FX revaluation - ${entry.description.join(', ')}`.slice(0, 500),
+  }));
+
+  if (plan.totalGain > 0) {
+    entries.push({
+      accountId: gainAccount._id,
+      type: 'credit',
+      amount: plan.totalGain,
+      description: 'Unrealized exchange gain',
+    });
+  }
+
+  if (plan.totalLoss > 0) {
+    entries.push({
+      accountId: lossAccount._id,
+      type: 'debit',
+      amount: plan.totalLoss,
+      description: 'Unrealized exchange loss',
+    });
+  }
+
+  const voucherDate = plan.asOfDate;
+  const { fiscalYear, fiscalPeriod } = FiscalPeriod.getPeriodKeys(voucherDate);
+  const voucherNumber = await Voucher.generateVoucherNumber(organizationId, 'JV', fiscalYear);
+  const rateText = Object.entries(plan.rates)
+    .map(([currency, rate]) => `${currency} ${rate}`)
+    .join(', ');
+
+  const voucher = new Voucher({
+    voucherNumber,
+    voucherType: 'JV',
+    organizationId,
+    voucherDate,
+    fiscalYear,
+    fiscalPeriod,
+    narration: `FX revaluation of open receivables and payables as at ${voucherDate.toDateString()} (${rateText})`.slice(0, 1000),
+    entries,
+    referenceNumber: `FXR-${fiscalPeriod}`,
+    referenceType: 'revaluation',
+    currency: plan.baseCurrency,
+    status: 'draft',
+    createdBy: userId,
+    updatedBy: userId,
+  });
+
+  const validation = voucher.validateDoubleEntry();
+  if (!validation.isValid) {
+    throw new Error(`Revaluation voucher validation failed: ${validation.errors.join(', ')}`);
+  }
+
+  await voucher.save({ session });
+  await voucher.post(userId, { canOverrideLock });
+  await LedgerEntry.createFromVoucher(voucher, userId, session);
+
+  const [revaluation] = await this.create([{
+    organizationId,
+    asOfDate: plan.asOfDate,
+    fiscalYear,
+    fiscalPeriod,
+    baseCurrency: plan.baseCurrency,
+    rates: plan.rates,
+    lines: plan.lines,
+    totalGain: plan.totalGain,
+    totalLoss: plan.totalLoss,
+    netGainLoss: plan.netGainLoss,
+    voucherId: voucher._id,
+    gainAccountId: gainAccount?._id,
+    lossAccountId: lossAccount?._id,
+    notes,
+    createdBy: userId,
+  }], { session });
+
+  voucher.referenceId = revaluation._id;
+  await voucher.save({ session });
+
+  // Carry open balances at the closing rate from now on
+  const updates = (documentType) =>
+    plan.lines
+      .filter((line) => line.documentType === documentType)
+      .map((line) => ({
+        updateOne: {
+          filter: { _id: line.documentId },
+          update: { $set: { revaluationRate: line.closingRate, lastRevaluedAt: plan.asOfDate } },
+        },
+      }));
+
+  const salesUpdates = updates('sales_invoice');
+  const purchaseUpdates = updates('purchase_invoice');
+  if (salesUpdates.length > 0) await SalesInvoice.bulkWrite(salesUpdates, { session });
+  if (purchaseUpdates.length > 0) await PurchaseInvoice.bulkWrite(purchaseUpdates, { session });
+
+  // Keep cached party balances in step with the ledger
+  for (const entry of entries.filter((e) => e.partyId)) {
+    const Model = entry.partyType === 'customer' ? Customer : Supplier;
+    const party = await Model.findById(entry.partyId).session(session);
+    if (party) {
+      await party.updateBalance(entry.amount, entry.type);
+    }
+  }
+
+  return revaluation;
+};
+
+const FxRevaluation =
+  mongoose.models.FxRevaluation || mongoose.model('FxRevaluation', fxRevaluationSchema);
+
+export default FxRevaluation;
@@ -4,6 +4,7 @@
  */
 
 import mongoose from 'mongoose';
+import Account from './Account';
 
 const { Schema } = mongoose;
 const { ObjectId } = Schema.Types;
@@ -17,6 +18,12 @@ const grnItemSchema = new Schema(
       required: true,
     },
 
+    // Item master reference
+    productId: {
+      type: ObjectId,
+      ref: 'Product',
+    },
+
     description: {
       type: String,
       required: [true, 'Item description is required'],
@@ -48,6 +55,13 @@ const grnItemSchema = new Schema(
       min: [0, 'Rejected quantity cannot be negative'],
     },
 
+    // Accepted quantity billed on posted purchase invoices (cleared from GRNI)
+    invoicedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Invoiced quantity cannot be negative'],
+    },
+
     unit: {
       type: String,
       trim: true,
@@ -146,6 +160,14 @@ const goodsReceiptNoteSchema = new Schema(
       index: true,
     },
 
+    // Warehouse the stock is received into
+    warehouse: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'MAIN',
+    },
+
     // Delivery details
     deliveryNote: {
       type: String,
@@ -233,6 +255,7 @@ const goodsReceiptNoteSchema = new Schema(
       ref: 'Account',
     },
 
+    // Goods Received Not Invoiced clearing account credited on posting
     payableAccountId: {
       type: ObjectId,
       ref: 'Account',
@@ -379,6 +402,35 @@ goodsReceiptNoteSchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * Static method to find the Goods Received Not Invoiced clearing account
+ * (given id, else the first non-group liability account named for it)
+ */
+goodsReceiptNoteSchema.statics.findGrniAccount = async function (organizationId, accountId = null, session = null) {
+  if (accountId) {
+    return await Account.findOne({
+      _id: accountId,
+      organizationId,
+      type: 'liability',
+      isGroup: false,
+      isDeleted: false,
+    }).session(session);
+  }
+
+  const candidates = await Account.find({
+    organizationId,
+    type: 'liability',
+    isGroup: false,
+    isActive: true,
+    isDeleted: false,
+    name: /received not invoiced|grni/i,
+  })
+    .sort({ code: 1 })
+    .session(session);
+
+  return candidates[0] || null;
+};
+
 // Method to complete inspection
 goodsReceiptNoteSchema.methods.completeInspection = async function (userId) {
   if (this.status !== 'draft') {
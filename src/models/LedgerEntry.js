@@ -80,6 +80,22 @@ const ledgerEntrySchema = new mongoose.Schema(
       set: (val) => parseFloat(val.toFixed(2)),
     },
 
+    // Transaction currency (amount above is always in base currency)
+    currency: {
+      type: String,
+      uppercase: true,
+      default: 'PKR',
+    },
+
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
+
+    foreignAmount: {
+      type: Number,
+    },
+
     // Description
     description: {
       type: String,
@@ -99,7 +115,7 @@ const ledgerEntrySchema = new mongoose.Schema(
 
     referenceType: {
       type: String,
-      enum: ['invoice', 'payment', 'receipt', 'purchase', 'manual', 'other'],
+      enum: ['invoice', 'credit_note', 'debit_note', 'payment', 'receipt', 'purchase', 'closing', 'recurring', 'revaluation', 'manual', 'other'],
       default: 'manual',
     },
 
@@ -107,6 +123,16 @@ const ledgerEntrySchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
     },
 
+    // Sub-ledger party (customer/supplier)
+    partyType: {
+      type: String,
+      enum: ['customer', 'supplier'],
+    },
+
+    partyId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
     // Status
     status: {
       type: String,
@@ -129,6 +155,21 @@ const ledgerEntrySchema = new mongoose.Schema(
       maxlength: [500, 'Void reason cannot exceed 500 characters'],
     },
 
+    // Bank Reconciliation (bank accounts only)
+    bankStatementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankStatement',
+    },
+
+    bankStatementLineId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
+    // Date the entry appeared on the bank statement
+    clearedDate: {
+      type: Date,
+    },
+
     // Audit Fields
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -152,15 +193,18 @@ ledgerEntrySchema.index({ organizationId: 1, voucherId: 1 });
 ledgerEntrySchema.index({ organizationId: 1, fiscalYear: 1, fiscalPeriod: 1 });
 ledgerEntrySchema.index({ organizationId: 1, accountId: 1, status: 1 });
 ledgerEntrySchema.index({ voucherNumber: 1 });
+ledgerEntrySchema.index({ organizationId: 1, partyType: 1, partyId: 1 });
+ledgerEntrySchema.index({ organizationId: 1, accountId: 1, clearedDate: 1 });
 
-// Static method to create entries from voucher
-ledgerEntrySchema.statics.createFromVoucher = async function(voucher, userId) {
+// Static method to create entries from voucher (reads and writes in the
+// caller's transaction when a session is given)
+ledgerEntrySchema.statics.createFromVoucher = async function(voucher, userId, session = null) {
   const entries = [];
 
   for (const voucherEntry of voucher.entries) {
     // Get account to determine normal balance
     const Account = mongoose.model('Account');
-    const account = await Account.findById(voucherEntry.accountId);
+    const account = await Account.findById(voucherEntry.accountId).session(session);
 
     if (!account) {
       throw new Error(`Account not found: ${voucherEntry.accountId}`);
@@ -189,7 +233,7 @@ ledgerEntrySchema.statics.createFromVoucher = async function(voucher, userId) {
     }
 
     // Create ledger entry
-    const ledgerEntry = await this.create({
+    const [ledgerEntry] = await this.create([{
       organizationId: voucher.organizationId,
       accountId: voucherEntry.accountId,
       voucherId: voucher._id,
@@ -201,18 +245,23 @@ ledgerEntrySchema.statics.createFromVoucher = async function(voucher, userId) {
       type: voucherEntry.type,
       amount: voucherEntry.amount,
       balance: parseFloat(balance.toFixed(2)),
+      currency: voucher.currency,
+      exchangeRate: voucher.exchangeRate,
+      foreignAmount: voucherEntry.foreignAmount,
       description: voucherEntry.description,
       narration: voucher.narration,
       referenceNumber: voucher.referenceNumber,
       referenceType: voucher.referenceType,
       referenceId: voucher.referenceId,
+      partyType: voucherEntry.partyType,
+      partyId: voucherEntry.partyId,
       status: 'active',
       createdBy: userId,
-    });
+    }], { session });
 
     // Update account balance
     account.currentBalance = parseFloat(balance.toFixed(2));
-    await account.save();
+    await account.save({ session });
 
     // Update voucher entry with ledger entry reference
     voucherEntry.ledgerEntryId = ledgerEntry._id;
@@ -221,19 +270,19 @@ ledgerEntrySchema.statics.createFromVoucher = async function(voucher, userId) {
   }
 
   // Save voucher with updated entry references
-  await voucher.save();
+  await voucher.save({ session });
 
   return entries;
 };
 
 // Static method to void entries for a voucher
-ledgerEntrySchema.statics.voidEntriesForVoucher = async function(voucherId, userId, reason) {
-  const entries = await this.find({ voucherId, status: 'active' });
+ledgerEntrySchema.statics.voidEntriesForVoucher = async function(voucherId, userId, reason, session = null) {
+  const entries = await this.find({ voucherId, status: 'active' }).session(session);
 
   for (const entry of entries) {
     // Reverse the balance changes
     const Account = mongoose.model('Account');
-    const account = await Account.findById(entry.accountId);
+    const account = await Account.findById(entry.accountId).session(session);
 
     if (account) {
       let balance = account.currentBalance || 0;
@@ -254,7 +303,7 @@ ledgerEntrySchema.statics.voidEntriesForVoucher = async function(voucherId, user
       }
 
       account.currentBalance = parseFloat(balance.toFixed(2));
-      await account.save();
+      await account.save({ session });
     }
 
     // Mark entry as void
@@ -262,7 +311,7 @@ ledgerEntrySchema.statics.voidEntriesForVoucher = async function(voucherId, user
     entry.voidedAt = new Date();
     entry.voidedBy = userId;
     entry.voidReason = reason;
-    await entry.save();
+    await entry.save({ session });
   }
 
   return entries;
@@ -294,68 +343,232 @@ ledgerEntrySchema.statics.getAccountLedger = function(
     .sort({ entryDate: 1, createdAt: 1 });
 };
 
-// Static method to get trial balance
-ledgerEntrySchema.statics.getTrialBalance = async function(organizationId, fiscalYear, fiscalPeriod) {
-  const Account = mongoose.model('Account');
+/**
+ * Static method to get debit/credit totals per account from active entries
+ * @param {ObjectId} organizationId
+ * @param {object} options - { startDate, endDate, accountIds, excludeReferenceTypes, session }
+ * @returns {Promise<Map<string, {debit: number, credit: number}>>} keyed by accountId
+ */
+ledgerEntrySchema.statics.getTotalsByAccount = async function (
+  organizationId,
+  { startDate, endDate, accountIds, excludeReferenceTypes, session = null } = {}
+) {
+  const match = {
+    organizationId: new mongoose.Types.ObjectId(String(organizationId._id || organizationId)),
+    status: 'active',
+  };
 
-  // Get all accounts with their balances
-  const accounts = await Account.find({
-    organizationId,
-    isDeleted: false,
-  }).sort({ code: 1 });
+  if (startDate || endDate) {
+    match.entryDate = {};
+    if (startDate) match.entryDate.$gte = new Date(startDate);
+    if (endDate) match.entryDate.$lte = new Date(endDate);
+  }
 
-  const trialBalance = [];
+  if (accountIds) {
+    match.accountId = { $in: accountIds.map((id) => new mongoose.Types.ObjectId(String(id))) };
+  }
+
+  // e.g. ['closing'] so year-end closing entries do not zero out income statement figures
+  if (excludeReferenceTypes && excludeReferenceTypes.length > 0) {
+    match.referenceType = { $nin: excludeReferenceTypes };
+  }
+
+  const totals = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$accountId',
+        debit: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+        credit: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+      },
+    },
+  ]).session(session);
+
+  return new Map(
+    totals.map((t) => [
+      t._id.toString(),
+      {
+        debit: parseFloat(t.debit.toFixed(2)),
+        credit: parseFloat(t.credit.toFixed(2)),
+      },
+    ])
+  );
+};
+
+/**
+ * Static method to get trial balance for a date range (single aggregation)
+ * Opening balance = account opening balance + entries before startDate,
+ * closing balance = opening + period debits/credits. Group accounts carry
+ * the totals of all their descendants (via parentAccountId).
+ * @param {ObjectId} organizationId
+ * @param {object} options - { startDate, endDate }
+ */
+ledgerEntrySchema.statics.getTrialBalance = async function(organizationId, { startDate, endDate } = {}) {
+  const Account = mongoose.model('Account');
+  const orgId = new mongoose.Types.ObjectId(String(organizationId._id || organizationId));
+  const from = startDate ? new Date(startDate) : null;
+  const to = endDate ? new Date(endDate) : null;
+
+  const entryConditions = [
+    { $eq: ['$accountId', '$$accountId'] },
+    { $eq: ['$status', 'active'] },
+  ];
+  if (to) {
+    entryConditions.push({ $lte: ['$entryDate', to] });
+  }
+
+  const isOpening = from ? { $lt: ['$entryDate', from] } : false;
+
+  const accounts = await Account.aggregate([
+    { $match: { organizationId: orgId, isDeleted: false } },
+    {
+      $lookup: {
+        from: this.collection.collectionName,
+        let: { accountId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: entryConditions } } },
+          {
+            $group: {
+              _id: null,
+              openingDebit: {
+                $sum: { $cond: [{ $and: [isOpening, { $eq: ['$type', 'debit'] }] }, '$amount', 0] },
+              },
+              openingCredit: {
+                $sum: { $cond: [{ $and: [isOpening, { $eq: ['$type', 'credit'] }] }, '$amount', 0] },
+              },
+              debit: {
+                $sum: { $cond: [{ $and: [{ $not: [isOpening] }, { $eq: ['$type', 'debit'] }] }, '$amount', 0] },
+              },
+              credit: {
+                $sum: { $cond: [{ $and: [{ $not: [isOpening] }, { $eq: ['$type', 'credit'] }] }, '$amount', 0] },
+              },
+            },
+          },
+        ],
+        as: 'totals',
+      },
+    },
+    {
+      $project: {
+        code: 1,
+        name: 1,
+        type: 1,
+        category: 1,
+        normalBalance: 1,
+        parentAccountId: 1,
+        level: 1,
+        isGroup: 1,
+        openingBalance: 1,
+        totals: { $arrayElemAt: ['$totals', 0] },
+      },
+    },
+    { $sort: { code: 1 } },
+  ]);
 
+  // Signed (debit-positive) figures per account
+  const rows = new Map();
   for (const account of accounts) {
-    // Get sum of debits and credits for this account in the period
-    const entries = await this.find({
-      organizationId,
-      accountId: account._id,
-      fiscalYear,
-      fiscalPeriod,
-      status: 'active',
+    const totals = account.totals || { openingDebit: 0, openingCredit: 0, debit: 0, credit: 0 };
+    const openingBalance = account.openingBalance || 0;
+
+    rows.set(account._id.toString(), {
+      account,
+      opening:
+        (account.normalBalance === 'debit' ? openingBalance : -openingBalance) +
+        totals.openingDebit -
+        totals.openingCredit,
+      debit: totals.debit,
+      credit: totals.credit,
+      hasActivity: openingBalance !== 0 || totals.openingDebit + totals.openingCredit + totals.debit + totals.credit > 0,
     });
+  }
 
-    let debitTotal = 0;
-    let creditTotal = 0;
+  // Roll leaf figures up through every ancestor group
+  const rollup = new Map();
+  for (const row of rows.values()) {
+    if (row.account.isGroup) continue;
+
+    let current = row.account;
+    const visited = new Set();
+    while (current && !visited.has(current._id.toString())) {
+      const key = current._id.toString();
+      visited.add(key);
+
+      const sum = rollup.get(key) || { opening: 0, debit: 0, credit: 0, hasActivity: false };
+      sum.opening += row.opening;
+      sum.debit += row.debit;
+      sum.credit += row.credit;
+      sum.hasActivity = sum.hasActivity || row.hasActivity;
+      rollup.set(key, sum);
+
+      current = current.parentAccountId ? rows.get(current.parentAccountId.toString())?.account : null;
+    }
+  }
 
-    entries.forEach(entry => {
-      if (entry.type === 'debit') {
-        debitTotal += entry.amount;
-      } else {
-        creditTotal += entry.amount;
-      }
-    });
+  const round = (val) => parseFloat(val.toFixed(2));
+  const trialBalance = [];
+  const totals = {
+    openingDebit: 0,
+    openingCredit: 0,
+    periodDebit: 0,
+    periodCredit: 0,
+    debit: 0,
+    credit: 0,
+  };
 
-    // Only include accounts with activity
-    if (debitTotal > 0 || creditTotal > 0 || account.currentBalance !== 0) {
-      trialBalance.push({
-        account: {
-          _id: account._id,
-          code: account.code,
-          name: account.name,
-          type: account.type,
-        },
-        debit: debitTotal,
-        credit: creditTotal,
-        balance: account.currentBalance,
-      });
+  for (const { account } of rows.values()) {
+    const sum = rollup.get(account._id.toString());
+    if (!sum || !sum.hasActivity) continue;
+
+    const closing = sum.opening + sum.debit - sum.credit;
+    const direction = account.normalBalance === 'debit' ? 1 : -1;
+
+    const item = {
+      account: {
+        _id: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        category: account.category,
+        normalBalance: account.normalBalance,
+        parentAccountId: account.parentAccountId,
+        level: account.level,
+        isGroup: account.isGroup,
+      },
+      // Balances in the account's normal direction
+      openingBalance: round(sum.opening * direction),
+      debitTotal: round(sum.debit),
+      creditTotal: round(sum.credit),
+      closingBalance: round(closing * direction),
+      // Debit/credit presentation
+      openingDebit: round(Math.max(sum.opening, 0)),
+      openingCredit: round(Math.max(-sum.opening, 0)),
+      netDebit: round(Math.max(closing, 0)),
+      netCredit: round(Math.max(-closing, 0)),
+    };
+
+    trialBalance.push(item);
+
+    // Grand totals from posting accounts only (groups would double count)
+    if (!account.isGroup) {
+      totals.openingDebit += item.openingDebit;
+      totals.openingCredit += item.openingCredit;
+      totals.periodDebit += item.debitTotal;
+      totals.periodCredit += item.creditTotal;
+      totals.debit += item.netDebit;
+      totals.credit += item.netCredit;
     }
   }
 
-  // Calculate totals
-  const totals = trialBalance.reduce(
-    (acc, item) => ({
-      debit: acc.debit + item.debit,
-      credit: acc.credit + item.credit,
-    }),
-    { debit: 0, credit: 0 }
-  );
+  Object.keys(totals).forEach((key) => {
+    totals[key] = round(totals[key]);
+  });
+  totals.difference = round(totals.debit - totals.credit);
 
   return {
     trialBalance,
     totals,
-    isBalanced: Math.abs(totals.debit - totals.credit) < 0.01,
+    isBalanced: Math.abs(totals.difference) < 0.01,
   };
 };
 
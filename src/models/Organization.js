@@ -4,6 +4,7 @@
  */
 
 import mongoose from 'mongoose';
+import { matchingToleranceDefinition } from '@/utils/matching';
 
 const organizationSchema = new mongoose.Schema(
   {
@@ -171,7 +172,7 @@ const organizationSchema = new mongoose.Schema(
       fiscalYearStart: {
         type: String,
         default: '01-07', // July 1st (Pakistan standard)
-        match: [/^\d{2}-\d{2}$/, 'Format should be MM-DD'],
+        match: [/^\d{2}-\d{2}$/, 'Format should be DD-MM'],
       },
 
       // Currency
@@ -235,6 +236,28 @@ const organizationSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+
+      // Inventory costing: moving weighted average or FIFO layers
+      costingMethod: {
+        type: String,
+        enum: ['weighted_average', 'fifo'],
+        default: 'weighted_average',
+      },
+
+      // Purchase invoice three-way matching tolerances
+      matchingTolerance: matchingToleranceDefinition,
+
+      // Payment reminder emails (days relative to the invoice due date)
+      paymentReminders: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        schedule: {
+          type: [Number],
+          default: [-3, 0, 7, 30],
+        },
+      },
     },
 
     // Status
@@ -325,6 +348,32 @@ organizationSchema.methods.hasFeature = function (featureName) {
   return this.subscription.features[featureName] === true;
 };
 
+// Method to get fiscal year boundaries containing a date
+// settings.fiscalYearStart is DD-MM (default '01-07' = 1st July)
+organizationSchema.methods.getFiscalYear = function (date = new Date()) {
+  const [day, month] = (this.settings?.fiscalYearStart || '01-07')
+    .split('-')
+    .map((part) => parseInt(part));
+
+  const d = new Date(date);
+  let startYear = d.getFullYear();
+  if (d < new Date(startYear, month - 1, day)) {
+    startYear -= 1;
+  }
+
+  const startDate = new Date(startYear, month - 1, day);
+  const endDate = new Date(startYear + 1, month - 1, day);
+  endDate.setTime(endDate.getTime() - 1);
+
+  // Calendar years are labelled "2024", split years "2024-25"
+  const label =
+    day === 1 && month === 1
+      ? `${startYear}`
+      : `${startYear}-${String(startYear + 1).slice(-2)}`;
+
+  return { label, startDate, endDate };
+};
+
 // Method to check user limit
 organizationSchema.methods.canAddUser = function (currentUserCount) {
   return currentUserCount < this.subscription.maxUsers;
@@ -680,6 +680,15 @@ permissionSchema.statics.seedPermissions = async function () {
       category: 'Accounting & Finance',
       displayOrder: 93,
     },
+    {
+      key: 'accounts.manage',
+      name: 'Manage Fiscal Periods',
+      description: 'Close, lock and reopen fiscal periods and post into closed periods',
+      resource: 'accounts',
+      action: 'manage',
+      category: 'Accounting & Finance',
+      displayOrder: 94,
+    },
 
     {
       key: 'journal_entries.view',
@@ -0,0 +1,236 @@
+/**
+ * Product Model
+ * Item master for goods and services sold and purchased, with the FBR
+ * HS code and unit of measure and the default rates and accounts used on
+ * document lines
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Account type each default account must have
+const ACCOUNT_TYPES = {
+  revenueAccountId: { type: 'revenue', label: 'Revenue' },
+  cogsAccountId: { type: 'expense', label: 'Cost of goods sold' },
+  inventoryAccountId: { type: 'asset', label: 'Inventory' },
+};
+
+const productSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Product identification
+    sku: {
+      type: String,
+      required: [true, 'SKU is required'],
+      uppercase: true,
+      trim: true,
+      maxlength: [50, 'SKU cannot exceed 50 characters'],
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Product name is required'],
+      trim: true,
+      minlength: [2, 'Name must be at least 2 characters'],
+      maxlength: [200, 'Name cannot exceed 200 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+
+    // Goods are stocked, services are not
+    productType: {
+      type: String,
+      enum: ['goods', 'service'],
+      default: 'goods',
+    },
+
+    category: {
+      type: String,
+      trim: true,
+    },
+
+    // FBR classification
+    hsCode: {
+      type: String,
+      trim: true,
+      match: [/^[0-9.]*$/, 'HS code can only contain digits and dots'],
+    },
+
+    // Unit printed on document lines
+    unit: {
+      type: String,
+      trim: true,
+      default: 'pcs',
+    },
+
+    // FBR unit of measure (uoM_ID and description from the FBR reference data)
+    fbrUomId: {
+      type: Number,
+    },
+
+    fbrUom: {
+      type: String,
+      trim: true,
+    },
+
+    // FBR sale type description (e.g. "Goods at standard rate (default)")
+    saleType: {
+      type: String,
+      trim: true,
+    },
+
+    // Default rates
+    saleRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Sale rate cannot be negative'],
+    },
+
+    purchaseRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Purchase rate cannot be negative'],
+    },
+
+    taxRate: {
+      type: Number,
+      default: 18,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%'],
+    },
+
+    // Default accounts
+    revenueAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    cogsAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    inventoryAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    // Status
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    // Notes
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Soft delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+
+    deletedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Audit fields
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+productSchema.index({ organizationId: 1, sku: 1 }, { unique: true });
+productSchema.index({ organizationId: 1, name: 1 });
+productSchema.index({ organizationId: 1, hsCode: 1 });
+productSchema.index({ organizationId: 1, isDeleted: 1, isActive: 1 });
+
+// Static method to generate SKU
+productSchema.statics.generateSku = async function (organizationId) {
+  const lastProduct = await this.findOne({ organizationId, sku: /^PRD-\d+$/ })
+    .setOptions({ includeDeleted: true })
+    .sort({ sku: -1 })
+    .select('sku')
+    .lean();
+
+  if (!lastProduct) {
+    return 'PRD-0001';
+  }
+
+  const lastNumber = parseInt(lastProduct.sku.split('-')[1]);
+  const newNumber = lastNumber + 1;
+  return `PRD-${newNumber.toString().padStart(4, '0')}`;
+};
+
+// Default accounts must be leaf accounts of the organization with the right type
+productSchema.pre('validate', async function (next) {
+  for (const [path, { type, label }] of Object.entries(ACCOUNT_TYPES)) {
+    if (!this[path] || !this.isModified(path)) continue;
+
+    const account = await Account.findOne({
+      _id: this[path],
+      organizationId: this.organizationId,
+      isDeleted: false,
+    })
+      .select('type isGroup')
+      .lean();
+
+    if (!account || account.isGroup || account.type !== type) {
+      this.invalidate(path, `${label} account must be a ${type} account that is not a group`);
+    }
+  }
+
+  next();
+});
+
+// Query middleware to exclude soft-deleted records
+productSchema.pre(/^find/, function (next) {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ isDeleted: false });
+  }
+  next();
+});
+
+const Product = mongoose.models.Product || mongoose.model('Product', productSchema);
+
+export default Product;
@@ -4,10 +4,18 @@
  */
 
 import mongoose from 'mongoose';
+import PurchaseOrder from './PurchaseOrder';
+import GoodsReceiptNote from './GoodsReceiptNote';
+import { matchInvoiceLine, resolveTolerance } from '@/utils/matching';
 
 const { Schema } = mongoose;
 const { ObjectId } = Schema.Types;
 
+// Permission that lets a user approve an invoice that failed three-way matching
+export const MATCHING_OVERRIDE_PERMISSION = 'purchase_orders.approve';
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
 // Purchase Invoice Item Schema
 const purchaseInvoiceItemSchema = new Schema(
   {
@@ -20,6 +28,12 @@ const purchaseInvoiceItemSchema = new Schema(
       type: ObjectId,
     },
 
+    // Item master reference
+    productId: {
+      type: ObjectId,
+      ref: 'Product',
+    },
+
     description: {
       type: String,
       required: [true, 'Item description is required'],
@@ -102,6 +116,37 @@ const purchaseInvoiceItemSchema = new Schema(
       default: false,
     },
 
+    taxMatched: {
+      type: Boolean,
+      default: false,
+    },
+
+    totalMatched: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Variances against the PO and GRN (invoice less expected)
+    quantityVariance: {
+      type: Number,
+      default: 0,
+    },
+
+    priceVariance: {
+      type: Number,
+      default: 0,
+    },
+
+    taxVariance: {
+      type: Number,
+      default: 0,
+    },
+
+    amountVariance: {
+      type: Number,
+      default: 0,
+    },
+
     matchingRemarks: {
       type: String,
       trim: true,
@@ -111,6 +156,39 @@ const purchaseInvoiceItemSchema = new Schema(
   { _id: true }
 );
 
+// Matching exception approved when a mismatched invoice was approved
+const matchingOverrideSchema = new Schema(
+  {
+    reason: {
+      type: String,
+      required: [true, 'Approval reason is required'],
+      trim: true,
+      maxlength: [500, 'Approval reason cannot exceed 500 characters'],
+    },
+
+    // Variances at the time of approval
+    quantityVariance: {
+      type: Number,
+    },
+
+    amountVariance: {
+      type: Number,
+    },
+
+    approvedBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    approvedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 // Main Purchase Invoice Schema
 const purchaseInvoiceSchema = new Schema(
   {
@@ -228,6 +306,35 @@ const purchaseInvoiceSchema = new Schema(
       default: 0,
     },
 
+    // Currency (amounts above are in the invoice currency)
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'PKR',
+    },
+
+    // Base-currency units per one unit of the invoice currency
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Exchange rate must be greater than 0'],
+    },
+
+    baseTotalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Rate the open balance is carried at after the last FX revaluation
+    revaluationRate: {
+      type: Number,
+    },
+
+    lastRevaluedAt: {
+      type: Date,
+    },
+
     // Tax details
     taxType: {
       type: String,
@@ -275,6 +382,10 @@ const purchaseInvoiceSchema = new Schema(
       type: Date,
     },
 
+    matchingOverride: {
+      type: matchingOverrideSchema,
+    },
+
     // Approval
     approvedBy: {
       type: ObjectId,
@@ -431,6 +542,9 @@ purchaseInvoiceSchema.pre('save', function (next) {
   // Calculate balance amount
   this.balanceAmount = this.totalAmount - this.paidAmount;
 
+  // Base-currency equivalent at the invoice rate
+  this.baseTotalAmount = parseFloat((this.totalAmount * (this.exchangeRate || 1)).toFixed(2));
+
   // Set fiscal period
   if (this.invoiceDate) {
     const date = new Date(this.invoiceDate);
@@ -441,33 +555,80 @@ purchaseInvoiceSchema.pre('save', function (next) {
   next();
 });
 
-// Method to verify 3-way matching
-purchaseInvoiceSchema.methods.verify3WayMatching = async function () {
+// Method to verify 3-way matching: each line against its GRN line (quantity
+// accepted and not yet invoiced) and PO line (price, tax and total for the
+// invoiced quantity at the PO terms). Lines are found by grnItemId, else
+// poItemId. Tolerance comes from resolveTolerance().
+purchaseInvoiceSchema.methods.verify3WayMatching = async function (tolerance = resolveTolerance()) {
+  const [purchaseOrder, grn] = await Promise.all([
+    PurchaseOrder.findOne({ _id: this.purchaseOrderId, organizationId: this.organizationId }),
+    GoodsReceiptNote.findOne({ _id: this.grnId, organizationId: this.organizationId }),
+  ]);
+
+  if (!purchaseOrder) {
+    throw new Error('Purchase order not found');
+  }
+  if (!grn) {
+    throw new Error('Goods receipt note not found');
+  }
+
   let allMatched = true;
   let totalQuantityVariance = 0;
   let totalAmountVariance = 0;
 
-  this.items.forEach((item) => {
-    // Check quantity matching (Invoice vs GRN)
-    const qtyVariance = item.invoiceQuantity - item.grnQuantity;
-    totalQuantityVariance += Math.abs(qtyVariance);
-
-    if (Math.abs(qtyVariance) <= 0.01) {
-      // Allow small tolerance
-      item.quantityMatched = true;
-    } else {
-      item.quantityMatched = false;
+  const lines = this.items.map((item) => {
+    const grnItem =
+      (item.grnItemId && grn.items.id(item.grnItemId)) ||
+      (item.poItemId && grn.items.find((line) => String(line.poItemId) === String(item.poItemId)));
+    const poItem = purchaseOrder.items.id(item.poItemId || grnItem?.poItemId);
+
+    if (!poItem || !grnItem) {
+      item.quantityMatched = item.priceMatched = item.taxMatched = item.totalMatched = false;
+      item.matchingRemarks = poItem ? 'Not received on the GRN' : 'Not on the purchase order';
       allMatched = false;
+
+      return {
+        itemId: item._id,
+        description: item.description,
+        matched: false,
+        remarks: item.matchingRemarks,
+      };
     }
 
-    // Check price matching would happen at item level
-    // For now, we'll mark as matched if quantity is matched
-    item.priceMatched = item.quantityMatched;
+    item.poQuantity = poItem.quantity;
+    item.grnQuantity = grnItem.acceptedQuantity;
+
+    const checks = matchInvoiceLine(item, poItem, grnItem, tolerance);
+    const { failed } = checks;
+
+    item.quantityVariance = checks.quantity.variance;
+    item.priceVariance = checks.price.variance;
+    item.taxVariance = checks.tax.variance;
+    item.amountVariance = checks.total.variance;
+    item.quantityMatched = checks.quantity.matched;
+    item.priceMatched = checks.price.matched;
+    item.taxMatched = checks.tax.matched;
+    item.totalMatched = checks.total.matched;
+    item.matchingRemarks = failed.length ? `Outside tolerance: ${failed.join(', ')}` : undefined;
+
+    totalQuantityVariance += Math.max(0, checks.quantity.variance);
+    totalAmountVariance += checks.total.variance;
+    if (!checks.matched) allMatched = false;
+
+    return {
+      itemId: item._id,
+      description: item.description,
+      matched: checks.matched,
+      quantity: checks.quantity,
+      price: checks.price,
+      tax: checks.tax,
+      total: checks.total,
+      remarks: item.matchingRemarks,
+    };
   });
 
-  // Calculate amount variance (if PO total is available)
-  // This would compare invoice total vs PO expected amount
-  this.quantityVariance = totalQuantityVariance;
+  this.quantityVariance = round(totalQuantityVariance);
+  this.amountVariance = round(totalAmountVariance);
 
   if (allMatched) {
     this.matchingStatus = 'matched';
@@ -475,15 +636,36 @@ purchaseInvoiceSchema.methods.verify3WayMatching = async function () {
     this.matchingStatus = 'mismatched';
   }
 
-  return allMatched;
+  return {
+    isMatched: allMatched,
+    lines,
+    quantityVariance: this.quantityVariance,
+    amountVariance: this.amountVariance,
+    tolerance,
+  };
 };
 
-// Method to approve invoice
-purchaseInvoiceSchema.methods.approve = async function (userId) {
+// Method to approve invoice; a mismatched invoice needs an approval reason
+// (the caller checks MATCHING_OVERRIDE_PERMISSION)
+purchaseInvoiceSchema.methods.approve = async function (userId, reason) {
   if (this.status !== 'verified') {
     throw new Error('Only verified invoices can be approved');
   }
 
+  if (this.matchingStatus === 'mismatched') {
+    if (!reason) {
+      throw new Error('An approval reason is required for a mismatched invoice');
+    }
+
+    this.matchingOverride = {
+      reason,
+      quantityVariance: this.quantityVariance,
+      amountVariance: this.amountVariance,
+      approvedBy: userId,
+      approvedAt: new Date(),
+    };
+  }
+
   this.status = 'approved';
   this.matchingStatus = 'approved';
   this.approvedBy = userId;
@@ -512,6 +694,35 @@ purchaseInvoiceSchema.methods.post = async function (userId) {
   return await this.save();
 };
 
+// Method to record payment (invoice is marked paid once settled)
+purchaseInvoiceSchema.methods.recordPayment = async function (amount, userId) {
+  if (this.status === 'cancelled') {
+    throw new Error('Cannot record payment for cancelled invoice');
+  }
+
+  if (!this.isPosted) {
+    throw new Error('Invoice must be posted before recording payment');
+  }
+
+  if (amount <= 0) {
+    throw new Error('Payment amount must be greater than 0');
+  }
+
+  const paidAmount = parseFloat((this.paidAmount + amount).toFixed(2));
+
+  if (paidAmount > parseFloat(this.totalAmount.toFixed(2))) {
+    throw new Error('Payment exceeds invoice balance');
+  }
+
+  this.paidAmount = paidAmount;
+  if (paidAmount >= parseFloat(this.totalAmount.toFixed(2))) {
+    this.status = 'paid';
+  }
+  this.updatedBy = userId;
+
+  return await this.save();
+};
+
 // Method to cancel invoice
 purchaseInvoiceSchema.methods.cancel = async function (userId) {
   if (this.isPosted) {
@@ -11,6 +11,12 @@ const { ObjectId } = Schema.Types;
 // Purchase Order Item Schema
 const purchaseOrderItemSchema = new Schema(
   {
+    // Item master reference
+    productId: {
+      type: ObjectId,
+      ref: 'Product',
+    },
+
     description: {
       type: String,
       required: [true, 'Item description is required'],
@@ -475,6 +481,38 @@ purchaseOrderSchema.methods.cancel = async function (userId) {
   return await this.save();
 };
 
+// Method to add a posted GRN's accepted quantities to the received quantities
+// (status follows: partially_received until every line is fully received)
+purchaseOrderSchema.methods.recordReceipt = function (grnItems, userId) {
+  if (this.status === 'cancelled') {
+    throw new Error('Cannot receive goods against a cancelled purchase order');
+  }
+
+  const unknown = grnItems.find((grnItem) => !this.items.id(grnItem.poItemId));
+  if (unknown) {
+    throw new Error(`GRN item "${unknown.description}" is not on purchase order ${this.poNumber}`);
+  }
+
+  grnItems.forEach((grnItem) => {
+    const poItem = this.items.id(grnItem.poItemId);
+    poItem.receivedQuantity += grnItem.acceptedQuantity;
+    poItem.pendingQuantity = Math.max(0, poItem.quantity - poItem.receivedQuantity);
+  });
+
+  const fullyReceived = this.items.every((item) => item.receivedQuantity >= item.quantity);
+  const anyReceived = this.items.some((item) => item.receivedQuantity > 0);
+
+  if (fullyReceived) {
+    this.status = 'received';
+  } else if (anyReceived) {
+    this.status = 'partially_received';
+  }
+
+  this.updatedBy = userId;
+
+  return this;
+};
+
 // Virtual for completion percentage
 purchaseOrderSchema.virtual('completionPercentage').get(function () {
   const totalQuantity = this.items.reduce((sum, item) => sum + item.quantity, 0);
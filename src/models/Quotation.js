@@ -0,0 +1,418 @@
+/**
+ * Quotation Model
+ * Price offers to customers, valid until a date, that convert into a sales
+ * order or directly into a sales invoice
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Quotation Item Schema
+const quotationItemSchema = new Schema(
+  {
+    description: {
+      type: String,
+      required: [true, 'Item description is required'],
+      trim: true,
+    },
+
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [0.01, 'Quantity must be greater than 0'],
+    },
+
+    unit: {
+      type: String,
+      trim: true,
+      default: 'pcs',
+    },
+
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate cannot be negative'],
+    },
+
+    amount: {
+      type: Number,
+      default: 0,
+    },
+
+    productId: {
+      type: ObjectId,
+      ref: 'Product',
+    },
+
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%'],
+    },
+
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    discountRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount rate cannot be negative'],
+      max: [100, 'Discount rate cannot exceed 100%'],
+    },
+
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    netAmount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: true }
+);
+
+// Main Quotation Schema
+const quotationSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Quotation identification
+    quoteNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    quoteDate: {
+      type: Date,
+      required: [true, 'Quotation date is required'],
+      default: Date.now,
+    },
+
+    validUntil: {
+      type: Date,
+      required: [true, 'Validity date is required'],
+    },
+
+    // Customer reference
+    customerId: {
+      type: ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer is required'],
+      index: true,
+    },
+
+    referenceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    // Items
+    items: {
+      type: [quotationItemSchema],
+      validate: {
+        validator: function (items) {
+          return items && items.length > 0;
+        },
+        message: 'Quotation must have at least one item',
+      },
+    },
+
+    // Amounts
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+
+    totalDiscount: {
+      type: Number,
+      default: 0,
+    },
+
+    taxableAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    totalTax: {
+      type: Number,
+      default: 0,
+    },
+
+    shippingCharges: {
+      type: Number,
+      default: 0,
+      min: [0, 'Shipping charges cannot be negative'],
+    },
+
+    otherCharges: {
+      type: Number,
+      default: 0,
+    },
+
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Currency (amounts above are in the quotation currency)
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'PKR',
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ['draft', 'sent', 'accepted', 'expired', 'converted', 'cancelled'],
+      default: 'draft',
+      index: true,
+    },
+
+    sentAt: {
+      type: Date,
+    },
+
+    acceptedAt: {
+      type: Date,
+    },
+
+    // Conversion chain
+    salesOrderId: {
+      type: ObjectId,
+      ref: 'SalesOrder',
+    },
+
+    invoiceId: {
+      type: ObjectId,
+      ref: 'SalesInvoice',
+    },
+
+    convertedAt: {
+      type: Date,
+    },
+
+    // Notes
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    terms: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Terms cannot exceed 2000 characters'],
+    },
+
+    // Soft delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    deletedAt: {
+      type: Date,
+    },
+
+    deletedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Audit fields
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+quotationSchema.index({ organizationId: 1, quoteNumber: 1 }, { unique: true });
+quotationSchema.index({ organizationId: 1, quoteDate: -1 });
+quotationSchema.index({ organizationId: 1, status: 1, validUntil: 1 });
+
+// Virtual for whether the offer has lapsed (end of the validity day)
+quotationSchema.virtual('isExpired').get(function () {
+  if (this.status === 'expired') return true;
+  if (!['draft', 'sent'].includes(this.status) || !this.validUntil) return false;
+
+  const endOfDay = new Date(this.validUntil);
+  endOfDay.setHours(23, 59, 59, 999);
+  return new Date() > endOfDay;
+});
+
+// Static method to generate quotation number
+quotationSchema.statics.generateQuoteNumber = async function (organizationId, fiscalYear) {
+  const year = fiscalYear || new Date().getFullYear().toString();
+  const prefix = `QT-${year}-`;
+
+  const lastQuote = await this.findOne({
+    organizationId,
+    quoteNumber: new RegExp(`^${prefix}`),
+  })
+    .setOptions({ includeDeleted: true })
+    .sort({ quoteNumber: -1 })
+    .select('quoteNumber')
+    .lean();
+
+  if (!lastQuote) {
+    return `${prefix}0001`;
+  }
+
+  const lastNumber = parseInt(lastQuote.quoteNumber.split('-')[2]);
+  const newNumber = lastNumber + 1;
+  return `${prefix}${newNumber.toString().padStart(4, '0')}`;
+};
+
+// Static method to mark draft and sent quotations past their validity date as expired
+quotationSchema.statics.expireLapsed = async function (asOfDate = new Date(), { organizationId = null } = {}) {
+  const startOfDay = new Date(asOfDate);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const query = {
+    status: { $in: ['draft', 'sent'] },
+    validUntil: { $lt: startOfDay },
+    isDeleted: false,
+  };
+
+  if (organizationId) {
+    query.organizationId = organizationId;
+  }
+
+  const result = await this.updateMany(query, { $set: { status: 'expired' } });
+  return result.modifiedCount;
+};
+
+// Pre-save hook to calculate amounts
+quotationSchema.pre('save', function (next) {
+  // Calculate item amounts
+  this.items.forEach((item) => {
+    item.amount = item.quantity * item.rate;
+    item.discountAmount = (item.amount * (item.discountRate || 0)) / 100;
+
+    const amountAfterDiscount = item.amount - item.discountAmount;
+    item.taxAmount = (amountAfterDiscount * (item.taxRate || 0)) / 100;
+    item.netAmount = amountAfterDiscount + item.taxAmount;
+  });
+
+  // Calculate totals
+  this.subtotal = this.items.reduce((sum, item) => sum + item.amount, 0);
+  this.totalDiscount = this.items.reduce((sum, item) => sum + item.discountAmount, 0);
+  this.taxableAmount = this.subtotal - this.totalDiscount;
+  this.totalTax = this.items.reduce((sum, item) => sum + item.taxAmount, 0);
+  this.totalAmount = this.taxableAmount + this.totalTax + this.shippingCharges + this.otherCharges;
+
+  if (this.validUntil && this.quoteDate && new Date(this.validUntil) < new Date(this.quoteDate)) {
+    return next(new Error('Validity date cannot be before the quotation date'));
+  }
+
+  next();
+});
+
+// Method to mark quotation as sent to the customer
+quotationSchema.methods.send = async function (userId) {
+  if (this.status !== 'draft') {
+    throw new Error('Only draft quotations can be sent');
+  }
+
+  this.status = 'sent';
+  this.sentAt = new Date();
+  this.updatedBy = userId;
+
+  return await this.save();
+};
+
+// Method to record the customer's acceptance
+quotationSchema.methods.accept = async function (userId) {
+  if (!['draft', 'sent'].includes(this.status)) {
+    throw new Error('Only draft or sent quotations can be accepted');
+  }
+
+  if (this.isExpired) {
+    throw new Error(`Quotation ${this.quoteNumber} expired on ${this.validUntil.toISOString().split('T')[0]}`);
+  }
+
+  this.status = 'accepted';
+  this.acceptedAt = new Date();
+  this.updatedBy = userId;
+
+  return await this.save();
+};
+
+// Method to check the quotation can be converted for the given customer
+quotationSchema.methods.checkConvertible = function (customerId) {
+  if (this.status !== 'accepted') {
+    throw new Error(`Quotation ${this.quoteNumber} must be accepted before it is converted`);
+  }
+
+  if (customerId && this.customerId.toString() !== customerId.toString()) {
+    throw new Error(`Quotation ${this.quoteNumber} belongs to another customer`);
+  }
+};
+
+/**
+ * Method to link the sales order or invoice the quotation was converted into
+ * @param {Object} target - { salesOrderId } or { invoiceId }
+ */
+quotationSchema.methods.markConverted = function ({ salesOrderId, invoiceId }, userId) {
+  this.checkConvertible();
+
+  if (salesOrderId) this.salesOrderId = salesOrderId;
+  if (invoiceId) this.invoiceId = invoiceId;
+  this.status = 'converted';
+  this.convertedAt = new Date();
+  this.updatedBy = userId;
+};
+
+// Method to undo a conversion when the sales order or invoice is cancelled or deleted
+quotationSchema.methods.reopen = function (userId) {
+  if (this.status !== 'converted') return;
+
+  this.status = 'accepted';
+  this.salesOrderId = undefined;
+  this.invoiceId = undefined;
+  this.convertedAt = undefined;
+  this.updatedBy = userId;
+};
+
+// Query middleware to exclude soft-deleted records
+quotationSchema.pre(/^find/, function (next) {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ isDeleted: false });
+  }
+  next();
+});
+
+const Quotation = mongoose.models.Quotation || mongoose.model('Quotation', quotationSchema);
+
+export default Quotation;
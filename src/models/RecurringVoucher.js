@@ -0,0 +1,601 @@
+/**
+ * Recurring Voucher Model
+ * Templates for vouchers that repeat on a schedule (rent, depreciation,
+ * accruals). A generator creates one voucher per scheduled run and records
+ * the period it was generated for so the same run is never created twice.
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+import Voucher from './Voucher';
+import LedgerEntry from './LedgerEntry';
+import FiscalPeriod from './FiscalPeriod';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Months between runs for each frequency
+export const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12,
+};
+
+// Template line copied into every generated voucher
+const templateEntrySchema = new Schema(
+  {
+    accountId: {
+      type: ObjectId,
+      ref: 'Account',
+      required: [true, 'Account is required'],
+    },
+
+    type: {
+      type: String,
+      enum: ['debit', 'credit'],
+      required: [true, 'Entry type is required'],
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0'],
+      set: (val) => parseFloat(val.toFixed(2)),
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+  },
+  { _id: false }
+);
+
+// One generated run
+const generatedRunSchema = new Schema(
+  {
+    // Period of the run date (e.g., "2024-03")
+    runKey: {
+      type: String,
+      required: true,
+    },
+
+    runDate: {
+      type: Date,
+      required: true,
+    },
+
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+    },
+
+    voucherNumber: String,
+
+    // draft: created but not posted (autoPost off, or posting was refused)
+    status: {
+      type: String,
+      enum: ['draft', 'posted'],
+      default: 'draft',
+    },
+
+    // Why an auto-post run was left as draft
+    message: String,
+
+    generatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    generatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  { _id: false }
+);
+
+// Main Recurring Voucher Schema
+const recurringVoucherSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: [200, 'Template name cannot exceed 200 characters'],
+    },
+
+    voucherType: {
+      type: String,
+      enum: ['JV', 'PV', 'RV', 'CV'],
+      required: [true, 'Voucher type is required'],
+    },
+
+    narration: {
+      type: String,
+      required: [true, 'Narration is required'],
+      trim: true,
+      maxlength: [1000, 'Narration cannot exceed 1000 characters'],
+    },
+
+    entries: {
+      type: [templateEntrySchema],
+      validate: {
+        validator: (entries) => entries.length >= 2,
+        message: 'Template must have at least 2 entries',
+      },
+    },
+
+    // Schedule
+    frequency: {
+      type: String,
+      enum: Object.keys(FREQUENCY_MONTHS),
+      required: [true, 'Frequency is required'],
+      default: 'monthly',
+    },
+
+    // Day of month for each run (clamped to month end, e.g. 31 -> 28 Feb)
+    dayOfMonth: {
+      type: Number,
+      min: [1, 'Day of month must be between 1 and 31'],
+      max: [31, 'Day of month must be between 1 and 31'],
+    },
+
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+
+    // No runs after this date (open-ended when empty)
+    endDate: {
+      type: Date,
+    },
+
+    // Next run not yet generated (null once the schedule is finished)
+    nextRunDate: {
+      type: Date,
+      index: true,
+    },
+
+    // Post generated vouchers immediately instead of leaving drafts
+    autoPost: {
+      type: Boolean,
+      default: false,
+    },
+
+    generatedRuns: [generatedRunSchema],
+
+    lastGeneratedAt: {
+      type: Date,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+recurringVoucherSchema.index({ organizationId: 1, isActive: 1, nextRunDate: 1 });
+recurringVoucherSchema.index({ organizationId: 1, name: 1 });
+
+/**
+ * Static method to validate a create/update payload
+ * @param {ObjectId} organizationId
+ * @param {object} body - Request body
+ * @param {object} options - { partial } skips required checks for fields not sent (updates)
+ * @returns {Promise<object>} Field errors (empty when valid)
+ */
+recurringVoucherSchema.statics.validateInput = async function (
+  organizationId,
+  body,
+  { partial = false } = {}
+) {
+  const errors = {};
+  const has = (field) => !partial || body[field] !== undefined;
+
+  if (has('name') && (!body.name || !body.name.trim())) {
+    errors.name = 'Template name is required';
+  }
+
+  if (has('voucherType') && !['JV', 'PV', 'RV', 'CV'].includes(body.voucherType)) {
+    errors.voucherType = body.voucherType ? 'Invalid voucher type' : 'Voucher type is required';
+  }
+
+  if (has('narration') && (!body.narration || body.narration.trim().length < 5)) {
+    errors.narration = 'Narration must be at least 5 characters';
+  }
+
+  if (has('frequency') && !FREQUENCY_MONTHS[body.frequency]) {
+    errors.frequency = 'Frequency must be monthly, quarterly or yearly';
+  }
+
+  if (has('startDate') && (!body.startDate || isNaN(new Date(body.startDate).getTime()))) {
+    errors.startDate = 'Valid start date is required';
+  }
+
+  if (body.endDate && isNaN(new Date(body.endDate).getTime())) {
+    errors.endDate = 'Invalid end date';
+  }
+
+  if (body.dayOfMonth !== undefined && body.dayOfMonth !== null && body.dayOfMonth !== '') {
+    const day = parseInt(body.dayOfMonth);
+    if (isNaN(day) || day < 1 || day > 31) {
+      errors.dayOfMonth = 'Day of month must be between 1 and 31';
+    }
+  }
+
+  if (has('entries')) {
+    if (!Array.isArray(body.entries) || body.entries.length < 2) {
+      errors.entries = 'Template must have at least 2 entries';
+    } else {
+      const entryErrors = [];
+      body.entries.forEach((entry, index) => {
+        if (!entry.accountId) {
+          entryErrors.push(`Entry ${index + 1}: Account is required`);
+        }
+        if (!entry.type || !['debit', 'credit'].includes(entry.type)) {
+          entryErrors.push(`Entry ${index + 1}: Type must be debit or credit`);
+        }
+        if (!entry.amount || entry.amount <= 0) {
+          entryErrors.push(`Entry ${index + 1}: Amount must be greater than 0`);
+        }
+      });
+
+      if (entryErrors.length === 0) {
+        const accountIds = [...new Set(body.entries.map((entry) => String(entry.accountId)))];
+        const accounts = await Account.find({
+          _id: { $in: accountIds },
+          organizationId,
+          isDeleted: false,
+        }).select('code isGroup');
+
+        if (accounts.length !== accountIds.length) {
+          entryErrors.push('One or more accounts were not found');
+        }
+
+        accounts
+          .filter((account) => account.isGroup)
+          .forEach((account) => {
+            entryErrors.push(`Account ${account.code} is a group account and cannot be posted to`);
+          });
+      }
+
+      if (entryErrors.length > 0) {
+        errors.entries = entryErrors.join('; ');
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Method to check the template lines balance
+recurringVoucherSchema.methods.validateTemplate = function () {
+  const errors = [];
+
+  if (!this.entries || this.entries.length < 2) {
+    errors.push('Template must have at least 2 entries');
+  }
+
+  const totalDebit = this.entries
+    .filter((entry) => entry.type === 'debit')
+    .reduce((sum, entry) => sum + entry.amount, 0);
+  const totalCredit = this.entries
+    .filter((entry) => entry.type === 'credit')
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  if (totalDebit === 0 || totalCredit === 0) {
+    errors.push('Template must have at least one debit and one credit entry');
+  }
+
+  if (Math.abs(totalDebit - totalCredit) > 0.01) {
+    errors.push(
+      `Debit (${totalDebit.toFixed(2)}) and Credit (${totalCredit.toFixed(2)}) must be equal`
+    );
+  }
+
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    errors.push('End date cannot be before start date');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+// Method to get the date of the nth run (0 = first run on or after the start date)
+recurringVoucherSchema.methods.getRunDate = function (index) {
+  const start = new Date(this.startDate);
+  const day = this.dayOfMonth || start.getDate();
+  const months = FREQUENCY_MONTHS[this.frequency] * index;
+
+  // First run falls in the next month when the run day has already passed
+  const offset = day < start.getDate() ? 1 : 0;
+  const year = start.getFullYear();
+  const month = start.getMonth() + offset + months;
+  const lastDay = new Date(year, month + 1, 0).getDate();
+
+  return new Date(year, month, Math.min(day, lastDay));
+};
+
+/**
+ * Method to list scheduled runs between two dates (inclusive)
+ * @param {object} options - { from, to, limit, includeGenerated }
+ * @returns {Array<{runKey, runDate, isGenerated}>}
+ */
+recurringVoucherSchema.methods.getRuns = function ({
+  from = null,
+  to = null,
+  limit = 120,
+  includeGenerated = false,
+} = {}) {
+  const generated = new Set(this.generatedRuns.map((run) => run.runKey));
+  const runs = [];
+
+  for (let index = 0; runs.length < limit; index++) {
+    const runDate = this.getRunDate(index);
+
+    if (to && runDate > to) break;
+    if (this.endDate && runDate > this.endDate) break;
+    if (from && runDate < from) continue;
+
+    const { fiscalPeriod: runKey } = FiscalPeriod.getPeriodKeys(runDate);
+    const isGenerated = generated.has(runKey);
+
+    if (isGenerated && !includeGenerated) continue;
+
+    runs.push({ runKey, runDate, isGenerated });
+  }
+
+  return runs;
+};
+
+// Method to get the next few runs still to be generated
+recurringVoucherSchema.methods.getUpcomingRuns = function (count = 3) {
+  return this.getRuns({ limit: count });
+};
+
+// Method to refresh nextRunDate from the schedule and generated runs
+recurringVoucherSchema.methods.refreshNextRunDate = function () {
+  const [next] = this.getRuns({ limit: 1 });
+  this.nextRunDate = next ? next.runDate : null;
+  return this.nextRunDate;
+};
+
+/**
+ * Method to generate vouchers for every run due up to a date
+ * Runs already generated (or with a voucher already linked to this template
+ * for the same period) are skipped. Each run's voucher is saved, posted and
+ * written to the ledger in its own transaction, so a run is never left posted
+ * without ledger entries.
+ * @param {Date} asOfDate
+ * @param {ObjectId} userId
+ * @param {object} options - { canOverrideLock }
+ * @returns {Promise<Array>} Generated runs
+ */
+recurringVoucherSchema.methods.generateDue = async function (
+  asOfDate,
+  userId,
+  { canOverrideLock = false } = {}
+) {
+  if (!this.isActive || this.isDeleted) {
+    throw new Error('Recurring voucher is not active');
+  }
+
+  const validation = this.validateTemplate();
+  if (!validation.isValid) {
+    throw new Error(`Template validation failed: ${validation.errors.join(', ')}`);
+  }
+
+  const dueRuns = this.getRuns({ to: asOfDate });
+  const generated = [];
+
+  for (const { runKey, runDate } of dueRuns) {
+    const { fiscalYear, fiscalPeriod } = FiscalPeriod.getPeriodKeys(runDate);
+
+    // Guard against a concurrent generator having created this run already
+    const existing = await Voucher.findOne({
+      organizationId: this.organizationId,
+      referenceType: 'recurring',
+      referenceId: this._id,
+      fiscalPeriod,
+      status: { $ne: 'void' },
+      isDeleted: false,
+    }).select('voucherNumber status');
+
+    if (existing) {
+      this.generatedRuns.push({
+        runKey,
+        runDate,
+        voucherId: existing._id,
+        voucherNumber: existing.voucherNumber,
+        status: existing.status === 'posted' ? 'posted' : 'draft',
+        generatedBy: userId,
+      });
+      continue;
+    }
+
+    const voucherNumber = await Voucher.generateVoucherNumber(
+      this.organizationId,
+      this.voucherType,
+      fiscalYear
+    );
+
+    const buildVoucher = () => new Voucher({
+      voucherNumber,
+      voucherType: this.voucherType,
+      organizationId: this.organizationId,
+      voucherDate: runDate,
+      fiscalYear,
+      fiscalPeriod,
+      narration: this.narration,
+      entries: this.entries.map((entry) => ({
+        accountId: entry.accountId,
+        type: entry.type,
+        amount: entry.amount,
+        description: entry.description,
+      })),
+      referenceNumber: this.name.slice(0, 100),
+      referenceType: 'recurring',
+      referenceId: this._id,
+      status: 'draft',
+      createdBy: userId,
+      updatedBy: userId,
+    });
+
+    let voucher = buildVoucher();
+    let postingError = null;
+
+    const session = await mongoose.startSession();
+    try {
+      await session.startTransaction();
+      await voucher.save({ session });
+
+      if (this.autoPost) {
+        try {
+          await voucher.post(userId, { canOverrideLock });
+          await LedgerEntry.createFromVoucher(voucher, userId, session);
+        } catch (error) {
+          postingError = error;
+          throw error;
+        }
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      if (!postingError) throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // A locked period leaves the run as a draft instead of failing the batch
+    if (postingError) {
+      voucher = buildVoucher();
+      await voucher.save();
+    }
+
+    const run = {
+      runKey,
+      runDate,
+      voucherId: voucher._id,
+      voucherNumber: voucher.voucherNumber,
+      status: voucher.status === 'posted' ? 'posted' : 'draft',
+      generatedBy: userId,
+    };
+
+    if (postingError) {
+      run.message = postingError.message;
+    }
+
+    this.generatedRuns.push(run);
+    generated.push(run);
+  }
+
+  this.lastGeneratedAt = new Date();
+  this.refreshNextRunDate();
+  await this.save();
+
+  return generated;
+};
+
+/**
+ * Static method to generate all due runs for active templates
+ * Used by the cron generator; runs are attributed to userId or, when absent,
+ * to the user who created each template.
+ * @param {Date} asOfDate
+ * @param {object} options - { organizationId, userId, canOverrideLock }
+ * @returns {Promise<Array<{recurringVoucherId, name, organizationId, generated, error}>>}
+ */
+recurringVoucherSchema.statics.generateAllDue = async function (
+  asOfDate = new Date(),
+  { organizationId = null, userId = null, canOverrideLock = false } = {}
+) {
+  const query = {
+    isActive: true,
+    isDeleted: false,
+    nextRunDate: { $ne: null, $lte: asOfDate },
+  };
+
+  if (organizationId) {
+    query.organizationId = organizationId;
+  }
+
+  const templates = await this.find(query).sort({ nextRunDate: 1 });
+  const results = [];
+
+  for (const template of templates) {
+    try {
+      const generated = await template.generateDue(asOfDate, userId || template.createdBy, {
+        canOverrideLock,
+      });
+
+      results.push({
+        recurringVoucherId: template._id,
+        name: template.name,
+        organizationId: template.organizationId,
+        generated,
+      });
+    } catch (error) {
+      results.push({
+        recurringVoucherId: template._id,
+        name: template.name,
+        organizationId: template.organizationId,
+        generated: [],
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+};
+
+// Keep nextRunDate in step with the schedule
+recurringVoucherSchema.pre('save', function (next) {
+  if (
+    this.isNew ||
+    this.isModified('startDate') ||
+    this.isModified('endDate') ||
+    this.isModified('frequency') ||
+    this.isModified('dayOfMonth')
+  ) {
+    this.refreshNextRunDate();
+  }
+  next();
+});
+
+const RecurringVoucher =
+  mongoose.models.RecurringVoucher || mongoose.model('RecurringVoucher', recurringVoucherSchema);
+
+export default RecurringVoucher;
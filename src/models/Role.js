@@ -306,6 +306,7 @@ roleSchema.statics.seedSystemRoles = async function () {
         'accounts.create',
         'accounts.edit',
         'accounts.delete',
+        'accounts.manage',
         'journal_entries.view',
         'journal_entries.create',
         'journal_entries.edit',
@@ -41,12 +41,17 @@ const invoiceItemSchema = new Schema(
       min: [0, 'Amount cannot be negative'],
     },
 
-    // Optional product reference for future
+    // Item master reference
     productId: {
       type: ObjectId,
       ref: 'Product',
     },
 
+    // Sales order line this item invoices
+    salesOrderItemId: {
+      type: ObjectId,
+    },
+
     // Tax on this item
     taxRate: {
       type: Number,
@@ -81,6 +86,86 @@ const invoiceItemSchema = new Schema(
   { _id: true }
 );
 
+// Credit-control exception approved when the invoice was posted
+const creditOverrideSchema = new Schema(
+  {
+    reason: {
+      type: String,
+      required: [true, 'Override reason is required'],
+      trim: true,
+      maxlength: [500, 'Override reason cannot exceed 500 characters'],
+    },
+
+    // Credit check failures at the time of posting
+    violations: {
+      type: [String],
+      default: [],
+    },
+
+    outstanding: {
+      type: Number,
+    },
+
+    creditLimit: {
+      type: Number,
+    },
+
+    overdueAmount: {
+      type: Number,
+    },
+
+    approvedBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    approvedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Payment reminder sent (or attempted) for the invoice
+const reminderLogSchema = new Schema(
+  {
+    // Days relative to the due date (-3 = three days before, 7 = a week after)
+    offsetDays: {
+      type: Number,
+      required: true,
+    },
+
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    sentTo: {
+      type: String,
+      trim: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped'],
+      required: true,
+    },
+
+    // Failure or skip reason
+    message: {
+      type: String,
+      trim: true,
+    },
+
+    messageId: {
+      type: String,
+    },
+  },
+  { _id: true }
+);
+
 // Main Sales Invoice Schema
 const salesInvoiceSchema = new Schema(
   {
@@ -119,6 +204,14 @@ const salesInvoiceSchema = new Schema(
       index: true,
     },
 
+    // Warehouse the stock is issued from
+    warehouse: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'MAIN',
+    },
+
     // Invoice items
     items: {
       type: [invoiceItemSchema],
@@ -167,11 +260,53 @@ const salesInvoiceSchema = new Schema(
       min: [0, 'Paid amount cannot be negative'],
     },
 
+    // Applied by posted credit notes (reduces the balance) and debit notes (adds to it)
+    creditedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credited amount cannot be negative'],
+    },
+
+    debitedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Debited amount cannot be negative'],
+    },
+
     balanceAmount: {
       type: Number,
       default: 0,
     },
 
+    // Currency (amounts above are in the invoice currency)
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'PKR',
+    },
+
+    // Base-currency units per one unit of the invoice currency
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Exchange rate must be greater than 0'],
+    },
+
+    baseTotalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Rate the open balance is carried at after the last FX revaluation
+    revaluationRate: {
+      type: Number,
+    },
+
+    lastRevaluedAt: {
+      type: Date,
+    },
+
     // Additional charges
     shippingCharges: {
       type: Number,
@@ -231,6 +366,18 @@ const salesInvoiceSchema = new Schema(
       trim: true,
     },
 
+    // Source documents
+    quotationId: {
+      type: ObjectId,
+      ref: 'Quotation',
+    },
+
+    salesOrderId: {
+      type: ObjectId,
+      ref: 'SalesOrder',
+      index: true,
+    },
+
     // Accounting integration
     voucherId: {
       type: ObjectId,
@@ -268,6 +415,22 @@ const salesInvoiceSchema = new Schema(
       ref: 'User',
     },
 
+    // Set when the invoice was posted past the customer's credit limit or
+    // with overdue invoices outstanding
+    creditOverride: {
+      type: creditOverrideSchema,
+    },
+
+    // Payment reminders
+    overdueAt: {
+      type: Date,
+    },
+
+    reminders: {
+      type: [reminderLogSchema],
+      default: [],
+    },
+
     // Fiscal tracking
     fiscalYear: {
       type: String,
@@ -355,6 +518,54 @@ salesInvoiceSchema.statics.generateInvoiceNumber = async function (organizationI
   return `${prefix}${newNumber.toString().padStart(4, '0')}`;
 };
 
+// Static method to flag posted invoices past their due date as overdue
+salesInvoiceSchema.statics.flagOverdue = async function (asOfDate = new Date(), { organizationId = null } = {}) {
+  const startOfDay = new Date(asOfDate);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const query = {
+    isPosted: true,
+    isDeleted: false,
+    status: { $in: ['posted', 'partially_paid'] },
+    dueDate: { $lt: startOfDay },
+    balanceAmount: { $gt: 0.005 },
+  };
+
+  if (organizationId) {
+    query.organizationId = organizationId;
+  }
+
+  const result = await this.updateMany(query, { $set: { status: 'overdue', overdueAt: asOfDate } });
+  return result.modifiedCount;
+};
+
+/**
+ * Method to pick the reminder due on asOfDate
+ * Only the latest schedule step reached is sent, so a missed run does not send
+ * a burst of reminders. Failed attempts are retried; sent and skipped are not.
+ * @param {number[]} schedule - Days relative to the due date, e.g. [-3, 0, 7, 30]
+ * @returns {number|null} Offset to send, or null when nothing is due
+ */
+salesInvoiceSchema.methods.dueReminderOffset = function (schedule, asOfDate = new Date()) {
+  if (!this.dueDate || parseFloat(this.balanceAmount.toFixed(2)) <= 0) return null;
+
+  const today = new Date(asOfDate);
+  today.setHours(0, 0, 0, 0);
+  const dueDay = new Date(this.dueDate);
+  dueDay.setHours(0, 0, 0, 0);
+
+  const daysFromDue = Math.round((today - dueDay) / (1000 * 60 * 60 * 24));
+  const reached = schedule.filter((offset) => offset <= daysFromDue);
+  if (reached.length === 0) return null;
+
+  const latest = Math.max(...reached);
+  const handled = this.reminders.some(
+    (reminder) => reminder.offsetDays === latest && reminder.status !== 'failed'
+  );
+
+  return handled ? null : latest;
+};
+
 // Pre-save hook to calculate amounts
 salesInvoiceSchema.pre('save', function (next) {
   // Calculate item amounts
@@ -389,20 +600,28 @@ salesInvoiceSchema.pre('save', function (next) {
   this.totalAmount =
     this.taxableAmount + this.totalTax + this.shippingCharges + this.otherCharges;
 
-  // Calculate balance
-  this.balanceAmount = this.totalAmount - this.paidAmount;
+  // Calculate balance (credit and debit notes adjust what the customer owes)
+  this.balanceAmount = this.totalAmount + this.debitedAmount - this.creditedAmount - this.paidAmount;
 
-  // Update payment status
-  if (this.paidAmount === 0) {
-    this.paymentStatus = 'unpaid';
-  } else if (this.paidAmount >= this.totalAmount) {
+  // Base-currency equivalent at the invoice rate
+  this.baseTotalAmount = parseFloat((this.totalAmount * (this.exchangeRate || 1)).toFixed(2));
+
+  // Update payment status (a debit note can reopen a settled invoice; an overdue
+  // invoice stays overdue until settled)
+  const hasSettlements = this.paidAmount > 0 || this.creditedAmount > 0;
+  if (hasSettlements && parseFloat(this.balanceAmount.toFixed(2)) <= 0) {
     this.paymentStatus = 'paid';
-    if (this.status === 'posted' || this.status === 'partially_paid') {
+    if (['posted', 'partially_paid', 'overdue'].includes(this.status)) {
       this.status = 'paid';
     }
+  } else if (this.paidAmount === 0) {
+    this.paymentStatus = 'unpaid';
+    if (this.status === 'paid') {
+      this.status = 'posted';
+    }
   } else {
     this.paymentStatus = 'partially_paid';
-    if (this.status === 'posted') {
+    if (this.status === 'posted' || this.status === 'paid') {
       this.status = 'partially_paid';
     }
   }
@@ -441,6 +660,10 @@ salesInvoiceSchema.methods.cancel = async function (userId) {
     throw new Error('Cannot cancel invoice with payments');
   }
 
+  if (this.creditedAmount > 0 || this.debitedAmount > 0) {
+    throw new Error('Cannot cancel invoice with credit or debit notes');
+  }
+
   this.status = 'cancelled';
   this.updatedBy = userId;
 
@@ -461,16 +684,47 @@ salesInvoiceSchema.methods.recordPayment = async function (amount, userId) {
     throw new Error('Payment amount must be greater than 0');
   }
 
-  if (this.paidAmount + amount > this.totalAmount) {
+  const paidAmount = parseFloat((this.paidAmount + amount).toFixed(2));
+
+  const payable = this.totalAmount + this.debitedAmount - this.creditedAmount;
+  if (paidAmount > parseFloat(payable.toFixed(2))) {
     throw new Error('Payment exceeds invoice balance');
   }
 
-  this.paidAmount += amount;
+  this.paidAmount = paidAmount;
   this.updatedBy = userId;
 
   return await this.save();
 };
 
+/**
+ * Method to apply a posted credit or debit note to the invoice
+ * A credit note reduces the balance at most to zero; any excess stays with the
+ * customer as on-account credit.
+ * @param {string} noteType - 'credit_note' or 'debit_note'
+ * @param {number} amount - Note total in the invoice currency
+ * @returns {Promise<number>} Amount applied to the invoice balance
+ */
+salesInvoiceSchema.methods.applyAdjustment = async function (noteType, amount, userId) {
+  if (!this.isPosted || this.status === 'cancelled') {
+    throw new Error('Invoice must be posted before it can be adjusted');
+  }
+
+  let applied = parseFloat(amount.toFixed(2));
+
+  if (noteType === 'credit_note') {
+    applied = parseFloat(Math.min(applied, Math.max(0, this.balanceAmount)).toFixed(2));
+    this.creditedAmount = parseFloat((this.creditedAmount + applied).toFixed(2));
+  } else {
+    this.debitedAmount = parseFloat((this.debitedAmount + applied).toFixed(2));
+  }
+
+  this.updatedBy = userId;
+  await this.save();
+
+  return applied;
+};
+
 // Query middleware to exclude soft-deleted records
 salesInvoiceSchema.pre(/^find/, function (next) {
   if (!this.getOptions().includeDeleted) {
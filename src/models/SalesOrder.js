@@ -0,0 +1,444 @@
+/**
+ * Sales Order Model
+ * Orders confirmed by customers, invoiced in one or more sales invoices.
+ * Each line tracks how much has been invoiced and how much is still pending.
+ */
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Sales Order Item Schema
+const salesOrderItemSchema = new Schema(
+  {
+    description: {
+      type: String,
+      required: [true, 'Item description is required'],
+      trim: true,
+    },
+
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [0.01, 'Quantity must be greater than 0'],
+    },
+
+    unit: {
+      type: String,
+      trim: true,
+      default: 'pcs',
+    },
+
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate cannot be negative'],
+    },
+
+    amount: {
+      type: Number,
+      default: 0,
+    },
+
+    productId: {
+      type: ObjectId,
+      ref: 'Product',
+    },
+
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%'],
+    },
+
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    discountRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount rate cannot be negative'],
+      max: [100, 'Discount rate cannot exceed 100%'],
+    },
+
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    netAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Invoicing tracking
+    invoicedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Invoiced quantity cannot be negative'],
+    },
+
+    pendingQuantity: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: true }
+);
+
+// Main Sales Order Schema
+const salesOrderSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Order identification
+    orderNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    orderDate: {
+      type: Date,
+      required: [true, 'Order date is required'],
+      default: Date.now,
+    },
+
+    deliveryDate: {
+      type: Date,
+    },
+
+    // Customer reference
+    customerId: {
+      type: ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer is required'],
+      index: true,
+    },
+
+    // Customer's PO or other reference
+    referenceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    // Quotation the order was converted from
+    quotationId: {
+      type: ObjectId,
+      ref: 'Quotation',
+    },
+
+    // Items
+    items: {
+      type: [salesOrderItemSchema],
+      validate: {
+        validator: function (items) {
+          return items && items.length > 0;
+        },
+        message: 'Sales order must have at least one item',
+      },
+    },
+
+    // Amounts
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+
+    totalDiscount: {
+      type: Number,
+      default: 0,
+    },
+
+    taxableAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    totalTax: {
+      type: Number,
+      default: 0,
+    },
+
+    shippingCharges: {
+      type: Number,
+      default: 0,
+      min: [0, 'Shipping charges cannot be negative'],
+    },
+
+    otherCharges: {
+      type: Number,
+      default: 0,
+    },
+
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Currency (amounts above are in the order currency)
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'PKR',
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ['draft', 'confirmed', 'partially_invoiced', 'invoiced', 'cancelled'],
+      default: 'draft',
+      index: true,
+    },
+
+    confirmedAt: {
+      type: Date,
+    },
+
+    confirmedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Invoices raised against the order
+    invoiceIds: [
+      {
+        type: ObjectId,
+        ref: 'SalesInvoice',
+      },
+    ],
+
+    // Notes
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    terms: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Terms cannot exceed 2000 characters'],
+    },
+
+    // Soft delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    deletedAt: {
+      type: Date,
+    },
+
+    deletedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Audit fields
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+salesOrderSchema.index({ organizationId: 1, orderNumber: 1 }, { unique: true });
+salesOrderSchema.index({ organizationId: 1, orderDate: -1 });
+salesOrderSchema.index({ organizationId: 1, status: 1 });
+
+// Static method to generate sales order number
+salesOrderSchema.statics.generateOrderNumber = async function (organizationId, fiscalYear) {
+  const year = fiscalYear || new Date().getFullYear().toString();
+  const prefix = `SO-${year}-`;
+
+  const lastOrder = await this.findOne({
+    organizationId,
+    orderNumber: new RegExp(`^${prefix}`),
+  })
+    .setOptions({ includeDeleted: true })
+    .sort({ orderNumber: -1 })
+    .select('orderNumber')
+    .lean();
+
+  if (!lastOrder) {
+    return `${prefix}0001`;
+  }
+
+  const lastNumber = parseInt(lastOrder.orderNumber.split('-')[2]);
+  const newNumber = lastNumber + 1;
+  return `${prefix}${newNumber.toString().padStart(4, '0')}`;
+};
+
+// Pre-save hook to calculate amounts
+salesOrderSchema.pre('save', function (next) {
+  // Calculate item amounts
+  this.items.forEach((item) => {
+    item.amount = item.quantity * item.rate;
+    item.discountAmount = (item.amount * (item.discountRate || 0)) / 100;
+
+    const amountAfterDiscount = item.amount - item.discountAmount;
+    item.taxAmount = (amountAfterDiscount * (item.taxRate || 0)) / 100;
+    item.netAmount = amountAfterDiscount + item.taxAmount;
+
+    // Calculate pending quantity
+    item.pendingQuantity = item.quantity - item.invoicedQuantity;
+  });
+
+  // Calculate totals
+  this.subtotal = this.items.reduce((sum, item) => sum + item.amount, 0);
+  this.totalDiscount = this.items.reduce((sum, item) => sum + item.discountAmount, 0);
+  this.taxableAmount = this.subtotal - this.totalDiscount;
+  this.totalTax = this.items.reduce((sum, item) => sum + item.taxAmount, 0);
+  this.totalAmount = this.taxableAmount + this.totalTax + this.shippingCharges + this.otherCharges;
+
+  // Update status based on invoiced quantities
+  if (this.status !== 'draft' && this.status !== 'cancelled') {
+    const totalQuantity = this.items.reduce((sum, item) => sum + item.quantity, 0);
+    const totalInvoiced = this.items.reduce((sum, item) => sum + item.invoicedQuantity, 0);
+
+    if (totalInvoiced === 0) {
+      this.status = 'confirmed';
+    } else if (totalInvoiced >= totalQuantity) {
+      this.status = 'invoiced';
+    } else {
+      this.status = 'partially_invoiced';
+    }
+  }
+
+  next();
+});
+
+// Method to confirm sales order
+salesOrderSchema.methods.confirm = async function (userId) {
+  if (this.status !== 'draft') {
+    throw new Error('Only draft sales orders can be confirmed');
+  }
+
+  this.status = 'confirmed';
+  this.confirmedAt = new Date();
+  this.confirmedBy = userId;
+  this.updatedBy = userId;
+
+  return await this.save();
+};
+
+// Method to cancel sales order
+salesOrderSchema.methods.cancel = async function (userId) {
+  if (this.status === 'invoiced' || this.status === 'partially_invoiced') {
+    throw new Error('Cannot cancel sales order with invoiced items');
+  }
+
+  this.status = 'cancelled';
+  this.updatedBy = userId;
+
+  return await this.save();
+};
+
+/**
+ * Method to record the quantities an invoice takes from the order
+ * Invoice lines linked by salesOrderItemId may not exceed the line's pending
+ * quantity; lines without a link (extra charges) are ignored. The order is
+ * not saved.
+ * @param {SalesInvoice} invoice
+ */
+salesOrderSchema.methods.recordInvoiced = function (invoice) {
+  if (this.status === 'draft' || this.status === 'cancelled') {
+    throw new Error(`Sales order ${this.orderNumber} is not confirmed for invoicing`);
+  }
+
+  if (invoice.customerId.toString() !== this.customerId.toString()) {
+    throw new Error(`Sales order ${this.orderNumber} belongs to another customer`);
+  }
+
+  if (invoice.currency !== this.currency) {
+    throw new Error(`Sales order ${this.orderNumber} is in ${this.currency}, not ${invoice.currency}`);
+  }
+
+  for (const item of invoice.items) {
+    if (!item.salesOrderItemId) continue;
+
+    const line = this.items.id(item.salesOrderItemId);
+    if (!line) {
+      throw new Error(`Line not found on sales order ${this.orderNumber}`);
+    }
+
+    const pending = line.quantity - line.invoicedQuantity;
+    if (item.quantity > pending + 0.0001) {
+      throw new Error(
+        `Quantity for "${line.description}" exceeds the ${pending} ${line.unit} pending on ${this.orderNumber}`
+      );
+    }
+
+    line.invoicedQuantity += item.quantity;
+  }
+
+  if (!this.invoiceIds.some((invoiceId) => invoiceId.equals(invoice._id))) {
+    this.invoiceIds.push(invoice._id);
+  }
+};
+
+/**
+ * Method to give back the quantities a draft invoice took from the order
+ * (when the invoice is edited or deleted). The order is not saved.
+ * @param {SalesInvoice} invoice
+ */
+salesOrderSchema.methods.releaseInvoiced = function (invoice) {
+  for (const item of invoice.items) {
+    if (!item.salesOrderItemId) continue;
+
+    const line = this.items.id(item.salesOrderItemId);
+    if (line) {
+      line.invoicedQuantity = Math.max(0, line.invoicedQuantity - item.quantity);
+    }
+  }
+
+  this.invoiceIds = this.invoiceIds.filter((invoiceId) => !invoiceId.equals(invoice._id));
+};
+
+// Virtual for completion percentage
+salesOrderSchema.virtual('completionPercentage').get(function () {
+  const totalQuantity = this.items.reduce((sum, item) => sum + item.quantity, 0);
+  const totalInvoiced = this.items.reduce((sum, item) => sum + item.invoicedQuantity, 0);
+
+  if (totalQuantity === 0) return 0;
+  return Math.round((totalInvoiced / totalQuantity) * 100);
+});
+
+// Query middleware to exclude soft-deleted records
+salesOrderSchema.pre(/^find/, function (next) {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ isDeleted: false });
+  }
+  next();
+});
+
+const SalesOrder = mongoose.models.SalesOrder || mongoose.model('SalesOrder', salesOrderSchema);
+
+export default SalesOrder;
@@ -0,0 +1,230 @@
+/**
+ * Stock Movement Model
+ * Quantity ledger per product and warehouse. Posted GRNs bring stock in,
+ * posted sales invoices and walk-in sales take it out, and manual
+ * adjustments correct it either way. Quantities are signed: positive in,
+ * negative out. On-hand stock is the sum of a product's movements.
+ * Each movement also carries its signed value in base currency, so the
+ * inventory value at any date is the sum of totalCost up to that date.
+ * Outward movements are costed by the organization's costing method
+ * (moving weighted average, or FIFO against the remaining quantity of
+ * inward movements).
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Warehouse used when a document does not name one
+export const DEFAULT_WAREHOUSE = 'MAIN';
+
+const stockMovementSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    productId: {
+      type: ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required'],
+    },
+
+    warehouse: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      default: DEFAULT_WAREHOUSE,
+    },
+
+    movementDate: {
+      type: Date,
+      required: [true, 'Movement date is required'],
+      default: Date.now,
+    },
+
+    // Source of the movement
+    movementType: {
+      type: String,
+      enum: ['grn', 'sales_invoice', 'walk_in_sale', 'adjustment'],
+      required: true,
+    },
+
+    // Signed quantity: positive in, negative out
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      validate: {
+        validator: (value) => value !== 0,
+        message: 'Quantity cannot be zero',
+      },
+    },
+
+    // Cost per unit in base currency (the average cost for outward movements)
+    unitCost: {
+      type: Number,
+      min: [0, 'Unit cost cannot be negative'],
+    },
+
+    // Signed value in base currency: positive in, negative out
+    totalCost: {
+      type: Number,
+      default: 0,
+    },
+
+    // FIFO: quantity of an inward movement not yet issued
+    remainingQuantity: {
+      type: Number,
+      min: 0,
+    },
+
+    // FIFO: inward movements an outward movement was costed from
+    layers: [
+      {
+        _id: false,
+        movementId: { type: ObjectId, ref: 'StockMovement' },
+        quantity: Number,
+        unitCost: Number,
+      },
+    ],
+
+    // Source document
+    referenceId: {
+      type: ObjectId,
+    },
+
+    referenceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    // Reason for manual adjustments
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+
+    // Journal voucher for a valued adjustment
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+    },
+
+    // Audit fields
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+stockMovementSchema.index({ organizationId: 1, productId: 1, warehouse: 1, movementDate: 1 });
+stockMovementSchema.index({ organizationId: 1, movementType: 1, referenceId: 1 });
+stockMovementSchema.index({ organizationId: 1, productId: 1, warehouse: 1, remainingQuantity: 1 });
+
+/**
+ * Static method to get on-hand quantities and values per product and warehouse
+ * @param {ObjectId|Organization} organizationId
+ * @param {Object} [filters] - { productIds, warehouse, asOf }
+ * @param {ClientSession} [session]
+ * @returns {Promise<Array<{productId, warehouse, onHand, value}>>}
+ */
+stockMovementSchema.statics.getBalances = async function (organizationId, filters = {}, session = null) {
+  const match = { organizationId: new mongoose.Types.ObjectId(String(organizationId._id || organizationId)) };
+
+  if (filters.productIds) {
+    match.productId = { $in: filters.productIds.map((id) => new mongoose.Types.ObjectId(String(id))) };
+  }
+
+  if (filters.warehouse) {
+    match.warehouse = filters.warehouse.toUpperCase();
+  }
+
+  if (filters.asOf) {
+    match.movementDate = { $lte: new Date(filters.asOf) };
+  }
+
+  const balances = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { productId: '$productId', warehouse: '$warehouse' },
+        onHand: { $sum: '$quantity' },
+        value: { $sum: '$totalCost' },
+      },
+    },
+    { $sort: { '_id.warehouse': 1 } },
+  ]).session(session);
+
+  return balances.map((balance) => ({
+    productId: balance._id.productId,
+    warehouse: balance._id.warehouse,
+    onHand: parseFloat(balance.onHand.toFixed(4)),
+    value: parseFloat((balance.value || 0).toFixed(2)),
+  }));
+};
+
+/**
+ * Static method to find the accounts stock postings use: the inventory
+ * asset, cost of sales and inventory adjustment accounts (given ids, else the
+ * first matching non-group account by name; cost of sales falls back to any
+ * cost of goods sold account, adjustments to cost of sales)
+ */
+stockMovementSchema.statics.findInventoryAccounts = async function (
+  organizationId,
+  { inventoryAccountId = null, cogsAccountId = null } = {},
+  session = null
+) {
+  const findAccount = async (accountId, type, filter) => {
+    if (accountId) {
+      return await Account.findOne({
+        _id: accountId,
+        organizationId,
+        type,
+        isGroup: false,
+        isDeleted: false,
+      }).session(session);
+    }
+
+    const candidates = await Account.find({
+      organizationId,
+      type,
+      isGroup: false,
+      isActive: true,
+      isDeleted: false,
+      ...filter,
+    })
+      .sort({ code: 1 })
+      .session(session);
+
+    return candidates[0] || null;
+  };
+
+  const cogsAccount =
+    (await findAccount(cogsAccountId, 'expense', { name: /cost of (goods|sales)|cogs/i })) ||
+    (await findAccount(null, 'expense', { category: 'cost_of_goods_sold', name: { $not: /adjustment/i } }));
+
+  return {
+    inventoryAccount: await findAccount(inventoryAccountId, 'asset', { name: /inventory|stock/i }),
+    cogsAccount,
+    adjustmentAccount:
+      (await findAccount(null, 'expense', { name: /(inventory|stock).*adjustment/i })) || cogsAccount,
+  };
+};
+
+const StockMovement = mongoose.models.StockMovement || mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
@@ -4,10 +4,37 @@
  */
 
 import mongoose from 'mongoose';
+import PurchaseInvoice from './PurchaseInvoice';
+import SupplierPayment from './SupplierPayment';
+import { AGING_BUCKETS, bucketFor, daysBetween, emptyBuckets, settlementsAsAt } from '@/utils/aging';
+import { matchingToleranceDefinition } from '@/utils/matching';
 
 const { Schema } = mongoose;
 const { ObjectId } = Schema.Types;
 
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Due date, falling back to the invoice date plus the supplier's credit days
+const invoiceDueDate = (invoice, creditDays = 0) => {
+  if (invoice.dueDate) return invoice.dueDate;
+
+  const dueDate = new Date(invoice.invoiceDate);
+  dueDate.setDate(dueDate.getDate() + (creditDays || 0));
+  return dueDate;
+};
+
+// Base-currency amount a posted payment debits the supplier with (gross of
+// tax withheld): allocations at the invoices' carrying rates, an advance in
+// full at the payment rate
+const paymentDebit = (payment) =>
+  round(
+    payment.allocations.reduce(
+      (sum, allocation) => sum + (allocation.baseAmount ?? allocation.amount * payment.exchangeRate),
+      0
+    ) +
+      (payment.paymentType === 'advance' ? payment.amount * payment.exchangeRate : 0)
+  );
+
 // Address Schema
 const addressSchema = new Schema(
   {
@@ -116,6 +143,19 @@ const supplierSchema = new Schema(
       default: false,
     },
 
+    // Withholding tax (income tax section 153 / sales tax withholding)
+    filerStatus: {
+      type: String,
+      enum: ['filer', 'non_filer'],
+      default: 'filer',
+    },
+
+    // Holds an income tax exemption certificate - no income tax withheld
+    whtExempt: {
+      type: Boolean,
+      default: false,
+    },
+
     // Payment terms
     paymentTerms: {
       type: String,
@@ -135,6 +175,9 @@ const supplierSchema = new Schema(
       min: [0, 'Credit limit cannot be negative'],
     },
 
+    // Three-way matching tolerances (unset limits use the organization's)
+    matchingTolerance: matchingToleranceDefinition,
+
     // Financial tracking
     openingBalance: {
       type: Number,
@@ -284,6 +327,389 @@ supplierSchema.methods.updateBalance = async function (amount, type = 'credit')
   return await this.save();
 };
 
+/**
+ * Static method to build the payables aging as at a date
+ * Invoices posted on or before the date are aged on what was still unpaid at
+ * that date (payments posted after it are ignored), net of payment
+ * allocations and advances applied to them. Advances not yet applied are
+ * deducted from the supplier's total. Amounts are in base currency at each
+ * invoice's carrying rate.
+ * @param {Object} options - { asAt, supplierId, basis: 'due_date' | 'invoice_date' }
+ */
+supplierSchema.statics.getAgingReport = async function (
+  organizationId,
+  { asAt = new Date(), supplierId = null, basis = 'due_date' } = {}
+) {
+  const asAtDate = new Date(asAt);
+  const supplierFilter = supplierId ? { supplierId } : {};
+
+  const [suppliers, invoices, payments] = await Promise.all([
+    this.find({ organizationId, ...(supplierId && { _id: supplierId }) })
+      .select('supplierCode companyName creditLimit creditDays openingBalance')
+      .lean(),
+    PurchaseInvoice.find({
+      organizationId,
+      ...supplierFilter,
+      isPosted: true,
+      status: { $ne: 'cancelled' },
+      invoiceDate: { $lte: asAtDate },
+    })
+      .select('supplierId invoiceNumber invoiceDate dueDate currency totalAmount exchangeRate revaluationRate')
+      .lean(),
+    SupplierPayment.find({
+      organizationId,
+      ...supplierFilter,
+      isPosted: true,
+      paymentDate: { $lte: asAtDate },
+    })
+      .select('supplierId paymentType amount allocations applications exchangeRate')
+      .lean(),
+  ]);
+
+  // Paid per invoice and unapplied advances per supplier, as at the date
+  const { paidByInvoice, unappliedByParty: unappliedBySupplier } = settlementsAsAt(payments, {
+    invoiceIds: new Set(invoices.map((invoice) => invoice._id.toString())),
+    invoiceField: 'purchaseInvoiceId',
+    partyField: 'supplierId',
+    openAmount: (payment) => (payment.paymentType === 'advance' ? payment.amount : 0),
+  });
+
+  const rows = new Map(
+    suppliers.map((supplier) => [
+      supplier._id.toString(),
+      {
+        supplierId: supplier._id,
+        supplierCode: supplier.supplierCode,
+        name: supplier.companyName,
+        creditLimit: supplier.creditLimit,
+        creditDays: supplier.creditDays,
+        buckets: emptyBuckets(),
+        opening: supplier.openingBalance || 0,
+        unapplied: round(unappliedBySupplier.get(supplier._id.toString()) || 0),
+        overdue: 0,
+        total: 0,
+        invoices: [],
+      },
+    ])
+  );
+
+  for (const invoice of invoices) {
+    const row = rows.get(invoice.supplierId.toString());
+    if (!row) continue;
+
+    const outstanding = round(invoice.totalAmount - (paidByInvoice.get(invoice._id.toString()) || 0));
+    if (outstanding <= 0) continue;
+
+    const dueDate = invoiceDueDate(invoice, row.creditDays);
+    const ageFrom = basis === 'invoice_date' ? invoice.invoiceDate : dueDate;
+    const days = daysBetween(ageFrom, asAtDate);
+    const daysOverdue = Math.max(0, daysBetween(dueDate, asAtDate));
+    const baseOutstanding = round(outstanding * (invoice.revaluationRate || invoice.exchangeRate || 1));
+    const bucket = bucketFor(days);
+
+    row.buckets[bucket] += baseOutstanding;
+    if (daysOverdue > 0) row.overdue += baseOutstanding;
+
+    row.invoices.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      dueDate,
+      currency: invoice.currency,
+      totalAmount: invoice.totalAmount,
+      outstanding,
+      baseOutstanding,
+      daysOverdue,
+      bucket,
+    });
+  }
+
+  const totals = { buckets: emptyBuckets(), opening: 0, unapplied: 0, overdue: 0, total: 0 };
+  const result = [];
+
+  for (const row of rows.values()) {
+    AGING_BUCKETS.forEach((bucket) => {
+      row.buckets[bucket] = round(row.buckets[bucket]);
+      totals.buckets[bucket] += row.buckets[bucket];
+    });
+    row.overdue = round(row.overdue);
+    row.total = round(
+      AGING_BUCKETS.reduce((sum, bucket) => sum + row.buckets[bucket], 0) + row.opening - row.unapplied
+    );
+    row.invoices.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    // Suppliers with nothing outstanding are left out of the full report
+    if (!supplierId && row.invoices.length === 0 && row.opening === 0 && row.unapplied === 0) continue;
+
+    totals.opening += row.opening;
+    totals.unapplied += row.unapplied;
+    totals.overdue += row.overdue;
+    totals.total += row.total;
+    result.push(row);
+  }
+
+  AGING_BUCKETS.forEach((bucket) => {
+    totals.buckets[bucket] = round(totals.buckets[bucket]);
+  });
+  ['opening', 'unapplied', 'overdue', 'total'].forEach((key) => {
+    totals[key] = round(totals[key]);
+  });
+
+  result.sort((a, b) => b.total - a.total);
+
+  return { asAt: asAtDate, basis, buckets: AGING_BUCKETS, suppliers: result, totals };
+};
+
+/**
+ * Static method to propose a payment run
+ * Open posted invoices due on or before `dueBy`, ranked by due date (most
+ * overdue first). Amounts already on draft payments are deducted so the
+ * same balance is not proposed twice.
+ * @param {Object} options - { dueBy, supplierId }
+ */
+supplierSchema.statics.getPaymentProposal = async function (
+  organizationId,
+  { dueBy = new Date(), supplierId = null } = {}
+) {
+  const dueByDate = new Date(dueBy);
+  const today = new Date();
+
+  const invoices = await PurchaseInvoice.find({
+    organizationId,
+    ...(supplierId && { supplierId }),
+    isPosted: true,
+    status: 'posted',
+    balanceAmount: { $gt: 0 },
+  })
+    .populate('supplierId', 'supplierCode companyName creditDays bankName accountTitle accountNumber iban')
+    .select('supplierId invoiceNumber invoiceDate dueDate currency totalAmount balanceAmount exchangeRate revaluationRate')
+    .lean();
+
+  const drafts = await SupplierPayment.find({
+    organizationId,
+    status: 'draft',
+    'allocations.purchaseInvoiceId': { $in: invoices.map((invoice) => invoice._id) },
+  })
+    .select('allocations')
+    .lean();
+
+  const scheduledByInvoice = new Map();
+  for (const draft of drafts) {
+    for (const allocation of draft.allocations) {
+      const key = allocation.purchaseInvoiceId.toString();
+      scheduledByInvoice.set(key, (scheduledByInvoice.get(key) || 0) + allocation.amount);
+    }
+  }
+
+  const lines = [];
+  const supplierById = new Map();
+
+  for (const invoice of invoices) {
+    const supplier = invoice.supplierId;
+    if (!supplier) continue;
+
+    const dueDate = invoiceDueDate(invoice, supplier.creditDays);
+    if (new Date(dueDate) > dueByDate) continue;
+
+    const scheduled = round(scheduledByInvoice.get(invoice._id.toString()) || 0);
+    const proposedAmount = round(invoice.balanceAmount - scheduled);
+    if (proposedAmount <= 0) continue;
+
+    supplierById.set(supplier._id.toString(), supplier);
+    lines.push({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      dueDate,
+      daysOverdue: daysBetween(dueDate, today),
+      supplierId: supplier._id,
+      supplierCode: supplier.supplierCode,
+      supplierName: supplier.companyName,
+      currency: invoice.currency,
+      balanceAmount: invoice.balanceAmount,
+      scheduled,
+      proposedAmount,
+      baseProposedAmount: round(proposedAmount * (invoice.revaluationRate || invoice.exchangeRate || 1)),
+    });
+  }
+
+  lines.sort(
+    (a, b) => new Date(a.dueDate) - new Date(b.dueDate) || new Date(a.invoiceDate) - new Date(b.invoiceDate)
+  );
+
+  // One payment per supplier and currency, in order of the earliest due invoice
+  const groups = new Map();
+
+  for (const line of lines) {
+    const key = `${line.supplierId}-${line.currency}`;
+
+    if (!groups.has(key)) {
+      const supplier = supplierById.get(line.supplierId.toString());
+
+      groups.set(key, {
+        supplierId: line.supplierId,
+        supplierCode: line.supplierCode,
+        name: line.supplierName,
+        currency: line.currency,
+        bankName: supplier.bankName,
+        accountTitle: supplier.accountTitle,
+        accountNumber: supplier.accountNumber,
+        iban: supplier.iban,
+        earliestDueDate: line.dueDate,
+        amount: 0,
+        baseAmount: 0,
+        invoices: [],
+      });
+    }
+
+    const group = groups.get(key);
+    group.amount = round(group.amount + line.proposedAmount);
+    group.baseAmount = round(group.baseAmount + line.baseProposedAmount);
+    group.invoices.push(line);
+  }
+
+  const suppliers = [...groups.values()];
+
+  return {
+    dueBy: dueByDate,
+    invoices: lines,
+    suppliers,
+    totals: {
+      invoices: lines.length,
+      suppliers: new Set(lines.map((line) => line.supplierId.toString())).size,
+      overdue: round(
+        lines.filter((line) => line.daysOverdue > 0).reduce((sum, line) => sum + line.baseProposedAmount, 0)
+      ),
+      total: round(lines.reduce((sum, line) => sum + line.baseProposedAmount, 0)),
+    },
+  };
+};
+
+/**
+ * Method to build the supplier's statement of account for a period
+ * Opening balance, then posted purchase invoices (credits), payments and
+ * advances (debits, gross of tax withheld) and advances applied to invoices
+ * (the exchange difference only) in date order with a running balance
+ * payable, all in base currency.
+ * @param {Object} options - { startDate, endDate }
+ */
+supplierSchema.methods.getStatement = async function ({ startDate, endDate }) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const base = { organizationId: this.organizationId, supplierId: this._id, isPosted: true };
+
+  const [invoices, payments] = await Promise.all([
+    PurchaseInvoice.find({ ...base, status: { $ne: 'cancelled' }, invoiceDate: { $lte: end } })
+      .select('invoiceNumber invoiceDate dueDate currency totalAmount baseTotalAmount exchangeRate')
+      .lean(),
+    SupplierPayment.find({ ...base, paymentDate: { $lte: end } })
+      .select('paymentNumber paymentDate paymentType paymentMethod referenceNumber chequeNumber currency amount whtAmount allocations applications exchangeRate')
+      .lean(),
+  ]);
+
+  let openingBalance = this.openingBalance || 0;
+  const lines = [];
+
+  for (const invoice of invoices) {
+    const credit = invoice.baseTotalAmount || round(invoice.totalAmount * (invoice.exchangeRate || 1));
+
+    if (invoice.invoiceDate < start) {
+      openingBalance += credit;
+      continue;
+    }
+
+    lines.push({
+      date: invoice.invoiceDate,
+      type: 'invoice',
+      documentId: invoice._id,
+      number: invoice.invoiceNumber,
+      dueDate: invoiceDueDate(invoice, this.creditDays),
+      description: 'Purchase Invoice',
+      currency: invoice.currency,
+      documentAmount: invoice.totalAmount,
+      debit: 0,
+      credit,
+    });
+  }
+
+  for (const payment of payments) {
+    const debit = paymentDebit(payment);
+
+    if (payment.paymentDate < start) {
+      openingBalance -= debit;
+      continue;
+    }
+
+    lines.push({
+      date: payment.paymentDate,
+      type: 'payment',
+      documentId: payment._id,
+      number: payment.paymentNumber,
+      reference: payment.chequeNumber || payment.referenceNumber,
+      description: `${payment.paymentType === 'advance' ? 'Advance' : 'Payment'} - ${payment.paymentMethod.replace('_', ' ')}${payment.whtAmount ? ' (incl. tax withheld)' : ''}`,
+      currency: payment.currency,
+      documentAmount: payment.amount,
+      debit,
+      credit: 0,
+    });
+  }
+
+  // Applying an advance moves it from advances to the payable; only the
+  // exchange difference between the two rates changes the balance
+  const invoiceById = new Map(invoices.map((invoice) => [invoice._id.toString(), invoice]));
+
+  for (const payment of payments) {
+    for (const application of payment.applications || []) {
+      const invoice = invoiceById.get(application.purchaseInvoiceId.toString());
+      if (!invoice) continue;
+
+      const date = new Date(Math.max(new Date(payment.paymentDate), new Date(invoice.invoiceDate)));
+      const difference = round(
+        (application.baseAmount ?? application.amount * payment.exchangeRate) - application.amount * payment.exchangeRate
+      );
+
+      if (date < start) {
+        openingBalance -= difference;
+        continue;
+      }
+
+      lines.push({
+        date,
+        type: 'advance_applied',
+        documentId: payment._id,
+        applicationId: application._id,
+        number: payment.paymentNumber,
+        reference: invoice.invoiceNumber,
+        description: `Advance applied to ${invoice.invoiceNumber}`,
+        currency: payment.currency,
+        documentAmount: application.amount,
+        debit: Math.max(0, difference),
+        credit: Math.max(0, -difference),
+      });
+    }
+  }
+
+  // Invoices before payments on the same day
+  lines.sort((a, b) => new Date(a.date) - new Date(b.date) || (a.type === 'invoice' ? -1 : 1));
+
+  let balance = round(openingBalance);
+  for (const line of lines) {
+    balance = round(balance + line.credit - line.debit);
+    line.balance = balance;
+  }
+
+  const totalDebit = round(lines.reduce((sum, line) => sum + line.debit, 0));
+  const totalCredit = round(lines.reduce((sum, line) => sum + line.credit, 0));
+
+  return {
+    period: { startDate: start, endDate: end },
+    openingBalance: round(openingBalance),
+    lines,
+    totals: { debit: totalDebit, credit: totalCredit },
+    closingBalance: balance,
+  };
+};
+
 // Virtual for display name
 supplierSchema.virtual('displayName').get(function () {
   return this.companyName;
@@ -0,0 +1,823 @@
+/**
+ * Supplier Payment Model
+ * Payment to a supplier from a cash or bank account, settling one or more
+ * posted purchase invoices. Advance payments (usually against a purchase
+ * order on advance terms) are held in a supplier advance asset account and
+ * applied to the supplier's invoices once they are posted.
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+import PurchaseInvoice from './PurchaseInvoice';
+import PurchaseOrder from './PurchaseOrder';
+import WithholdingTaxRate from './WithholdingTaxRate';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Amount paid against one purchase invoice (in the payment currency)
+const allocationSchema = new Schema(
+  {
+    purchaseInvoiceId: {
+      type: ObjectId,
+      ref: 'PurchaseInvoice',
+      required: [true, 'Purchase invoice is required'],
+    },
+
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than 0'],
+      set: (val) => parseFloat(Number(val).toFixed(2)),
+    },
+
+    // Set on posting: rate the invoice balance was carried at, and the
+    // base-currency payable cleared by this allocation
+    carryingRate: {
+      type: Number,
+    },
+
+    baseAmount: {
+      type: Number,
+    },
+  },
+  { _id: true }
+);
+
+// Tax withheld from the amount paid against one invoice (payment currency)
+const withholdingSchema = new Schema(
+  {
+    taxType: {
+      type: String,
+      enum: ['income_tax', 'sales_tax'],
+      required: true,
+    },
+
+    section: {
+      type: String,
+      trim: true,
+    },
+
+    rate: {
+      type: Number,
+      required: true,
+    },
+
+    purchaseInvoiceId: {
+      type: ObjectId,
+      ref: 'PurchaseInvoice',
+    },
+
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    // Taxable value: the payment excluding sales tax for income tax,
+    // the sales tax share of the payment for sales tax
+    baseAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    amount: {
+      type: Number,
+      default: 0,
+    },
+
+    liabilityAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+  },
+  { _id: false }
+);
+
+// Advance applied to a purchase invoice posted after the payment (payment currency)
+const applicationSchema = new Schema(
+  {
+    purchaseInvoiceId: {
+      type: ObjectId,
+      ref: 'PurchaseInvoice',
+      required: [true, 'Purchase invoice is required'],
+    },
+
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Applied amount is required'],
+      min: [0.01, 'Applied amount must be greater than 0'],
+      set: (val) => parseFloat(Number(val).toFixed(2)),
+    },
+
+    // Rate the invoice balance was carried at, and the base-currency
+    // payable cleared by this application
+    carryingRate: {
+      type: Number,
+    },
+
+    baseAmount: {
+      type: Number,
+    },
+
+    // Clearing voucher
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+    },
+
+    appliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    appliedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  { _id: true }
+);
+
+const supplierPaymentSchema = new Schema(
+  {
+    // Organization reference
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Payment identification
+    paymentNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    paymentDate: {
+      type: Date,
+      required: [true, 'Payment date is required'],
+      default: Date.now,
+    },
+
+    // Supplier reference
+    supplierId: {
+      type: ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Supplier is required'],
+      index: true,
+    },
+
+    // Payment of posted invoices, or an advance applied to invoices posted later
+    paymentType: {
+      type: String,
+      enum: ['invoice', 'advance'],
+      default: 'invoice',
+      index: true,
+    },
+
+    // Purchase order the advance was paid against
+    purchaseOrderId: {
+      type: ObjectId,
+      ref: 'PurchaseOrder',
+    },
+
+    purchaseOrderNumber: {
+      type: String,
+      trim: true,
+    },
+
+    // Payment details
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'bank_transfer', 'cheque', 'online'],
+      default: 'bank_transfer',
+    },
+
+    // Total settled against the invoices (sum of allocations), or the advance paid
+    amount: {
+      type: Number,
+      default: 0,
+      set: (val) => parseFloat(Number(val).toFixed(2)),
+    },
+
+    // Currency (amounts are in the payment currency)
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'PKR',
+    },
+
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Exchange rate must be greater than 0'],
+    },
+
+    chequeNumber: {
+      type: String,
+      trim: true,
+    },
+
+    chequeDate: {
+      type: Date,
+    },
+
+    referenceNumber: {
+      type: String,
+      trim: true,
+    },
+
+    // Invoices paid
+    allocations: {
+      type: [allocationSchema],
+      validate: {
+        validator: function (allocations) {
+          return this.paymentType === 'advance' || (allocations && allocations.length > 0);
+        },
+        message: 'Select at least one purchase invoice to pay',
+      },
+    },
+
+    // Withholding tax deducted from the payment
+    applyWithholding: {
+      type: Boolean,
+      default: true,
+    },
+
+    withholdings: {
+      type: [withholdingSchema],
+      default: [],
+    },
+
+    whtAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Amount actually paid out (amount less tax withheld)
+    netAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Advance later applied to invoices
+    applications: [applicationSchema],
+
+    appliedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Realized exchange gain (+) or loss (-) booked on posting, base currency
+    realizedGainLoss: {
+      type: Number,
+      default: 0,
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ['draft', 'posted', 'cancelled'],
+      default: 'draft',
+      index: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+
+    // Accounting integration
+    paymentAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+      required: [true, 'Cash or bank account is required'],
+    },
+
+    payableAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    // Supplier advance asset (advance payments)
+    advanceAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    voucherId: {
+      type: ObjectId,
+      ref: 'Voucher',
+    },
+
+    // Posted status
+    isPosted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    postedAt: {
+      type: Date,
+    },
+
+    postedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Fiscal tracking
+    fiscalYear: {
+      type: String,
+    },
+
+    fiscalPeriod: {
+      type: String,
+    },
+
+    // Soft delete
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
+    deletedAt: {
+      type: Date,
+    },
+
+    deletedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    // Audit fields
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+supplierPaymentSchema.index({ organizationId: 1, paymentNumber: 1 }, { unique: true });
+supplierPaymentSchema.index({ organizationId: 1, supplierId: 1, paymentDate: -1 });
+supplierPaymentSchema.index({ 'allocations.purchaseInvoiceId': 1 });
+supplierPaymentSchema.index({ organizationId: 1, fiscalPeriod: 1, whtAmount: 1 });
+supplierPaymentSchema.index({ 'applications.purchaseInvoiceId': 1 });
+supplierPaymentSchema.index({ organizationId: 1, purchaseOrderId: 1 });
+
+// Virtual for the advance still available to apply to invoices
+supplierPaymentSchema.virtual('availableAmount').get(function () {
+  if (this.paymentType !== 'advance') return 0;
+  return parseFloat(((this.amount || 0) - (this.appliedAmount || 0)).toFixed(2));
+});
+
+// Static method to generate payment number
+supplierPaymentSchema.statics.generatePaymentNumber = async function (organizationId, fiscalYear) {
+  const year = fiscalYear || new Date().getFullYear().toString();
+  const prefix = `SP-${year}-`;
+
+  const lastPayment = await this.findOne({
+    organizationId,
+    paymentNumber: new RegExp(`^${prefix}`),
+  })
+    .setOptions({ includeDeleted: true })
+    .sort({ paymentNumber: -1 })
+    .select('paymentNumber')
+    .lean();
+
+  if (!lastPayment) {
+    return `${prefix}0001`;
+  }
+
+  const lastNumber = parseInt(lastPayment.paymentNumber.split('-')[2]);
+  const newNumber = lastNumber + 1;
+  return `${prefix}${newNumber.toString().padStart(4, '0')}`;
+};
+
+/**
+ * Static method to find the payable control account
+ * (given id, else the first non-group liability account named "payable")
+ */
+supplierPaymentSchema.statics.findPayableAccount = async function (organizationId, accountId = null) {
+  if (accountId) {
+    return await Account.findOne({
+      _id: accountId,
+      organizationId,
+      type: 'liability',
+      isGroup: false,
+      isDeleted: false,
+    });
+  }
+
+  const candidates = await Account.find({
+    organizationId,
+    type: 'liability',
+    isGroup: false,
+    isActive: true,
+    isDeleted: false,
+    name: /accounts payable/i,
+  }).sort({ code: 1 });
+
+  return candidates[0] || null;
+};
+
+/**
+ * Static method to find the supplier advance asset account
+ * (given id, else the first non-group asset account named for supplier advances)
+ */
+supplierPaymentSchema.statics.findAdvanceAccount = async function (organizationId, accountId = null) {
+  if (accountId) {
+    return await Account.findOne({
+      _id: accountId,
+      organizationId,
+      type: 'asset',
+      isGroup: false,
+      isDeleted: false,
+    });
+  }
+
+  const candidates = await Account.find({
+    organizationId,
+    type: 'asset',
+    isGroup: false,
+    isActive: true,
+    isDeleted: false,
+    name: /(supplier|vendor).*advance|advance.*(supplier|vendor)/i,
+  }).sort({ code: 1 });
+
+  return candidates[0] || null;
+};
+
+/**
+ * Static method to list the supplier's posted advances with an amount left to
+ * apply to an invoice: advances against the invoice's purchase order first,
+ * then advances not tied to an order, oldest first
+ */
+supplierPaymentSchema.statics.findAvailableAdvances = async function (
+  organizationId,
+  supplierId,
+  { currency, purchaseOrderId = null } = {},
+  session = null
+) {
+  const advances = await this.find({
+    organizationId,
+    supplierId,
+    currency,
+    paymentType: 'advance',
+    isPosted: true,
+    purchaseOrderId: { $in: [purchaseOrderId, null] },
+    $expr: { $gt: [{ $subtract: ['$amount', { $ifNull: ['$appliedAmount', 0] }] }, 0.005] },
+  })
+    .sort({ paymentDate: 1, paymentNumber: 1 })
+    .session(session);
+
+  return advances.sort((a, b) => (b.purchaseOrderId ? 1 : 0) - (a.purchaseOrderId ? 1 : 0));
+};
+
+/**
+ * Method to load and check the purchase order an advance is paid against
+ * @returns {Promise<PurchaseOrder|null>}
+ */
+supplierPaymentSchema.methods.loadPurchaseOrder = async function (session = null) {
+  if (!this.purchaseOrderId) {
+    this.purchaseOrderNumber = undefined;
+    return null;
+  }
+
+  const purchaseOrder = await PurchaseOrder.findOne({
+    _id: this.purchaseOrderId,
+    organizationId: this.organizationId,
+  }).session(session);
+
+  if (!purchaseOrder) {
+    throw new Error('Purchase order not found');
+  }
+
+  if (purchaseOrder.supplierId.toString() !== this.supplierId.toString()) {
+    throw new Error(`Purchase order ${purchaseOrder.poNumber} belongs to another supplier`);
+  }
+
+  if (purchaseOrder.status === 'draft' || purchaseOrder.status === 'cancelled') {
+    throw new Error(`Purchase order ${purchaseOrder.poNumber} is ${purchaseOrder.status}`);
+  }
+
+  this.purchaseOrderNumber = purchaseOrder.poNumber;
+  return purchaseOrder;
+};
+
+/**
+ * Method to check part of the advance can be applied to a purchase invoice:
+ * same supplier, purchase order (when the advance has one) and currency, and
+ * the amount within both the advance left and the invoice balance
+ * @param {PurchaseInvoice} invoice
+ * @param {number} amount - Payment currency
+ */
+supplierPaymentSchema.methods.checkApplication = function (invoice, amount) {
+  if (this.paymentType !== 'advance' || !this.isPosted) {
+    throw new Error(`Payment ${this.paymentNumber} is not a posted advance`);
+  }
+
+  if (invoice.supplierId.toString() !== this.supplierId.toString()) {
+    throw new Error(`Payment ${this.paymentNumber} belongs to another supplier`);
+  }
+
+  if (this.purchaseOrderId && invoice.purchaseOrderId?.toString() !== this.purchaseOrderId.toString()) {
+    throw new Error(`Advance ${this.paymentNumber} was paid against purchase order ${this.purchaseOrderNumber}`);
+  }
+
+  if (!invoice.isPosted || invoice.status === 'cancelled') {
+    throw new Error(`Invoice ${invoice.invoiceNumber} is not posted`);
+  }
+
+  if (invoice.currency !== this.currency) {
+    throw new Error(`Invoice ${invoice.invoiceNumber} is in ${invoice.currency}, not ${this.currency}`);
+  }
+
+  if (!(amount > 0)) {
+    throw new Error('Applied amount must be greater than 0');
+  }
+
+  if (amount > this.availableAmount) {
+    throw new Error(
+      `Advance ${this.paymentNumber} has only ${this.availableAmount.toFixed(2)} ${this.currency} left`
+    );
+  }
+
+  if (amount > parseFloat(invoice.balanceAmount.toFixed(2))) {
+    throw new Error(`Amount exceeds the balance of ${invoice.invoiceNumber} (${invoice.balanceAmount.toFixed(2)})`);
+  }
+};
+
+/**
+ * Method to load and check the purchase invoices being paid
+ * Each invoice must belong to the supplier, be posted and unpaid, be in the
+ * payment currency and have a balance covering the amount paid.
+ * @returns {Promise<Map<string, PurchaseInvoice>>} Invoices keyed by id
+ */
+supplierPaymentSchema.methods.loadAllocatedInvoices = async function (session = null) {
+  const invoiceIds = this.allocations.map((allocation) => allocation.purchaseInvoiceId.toString());
+
+  if (new Set(invoiceIds).size !== invoiceIds.length) {
+    throw new Error('A purchase invoice can only be paid once per payment');
+  }
+
+  const invoices = await PurchaseInvoice.find({
+    _id: { $in: invoiceIds },
+    organizationId: this.organizationId,
+  }).session(session);
+
+  const invoiceMap = new Map(invoices.map((invoice) => [invoice._id.toString(), invoice]));
+
+  for (const allocation of this.allocations) {
+    const invoice = invoiceMap.get(allocation.purchaseInvoiceId.toString());
+
+    if (!invoice) {
+      throw new Error('Purchase invoice not found');
+    }
+
+    if (invoice.supplierId.toString() !== this.supplierId.toString()) {
+      throw new Error(`Invoice ${invoice.invoiceNumber} belongs to another supplier`);
+    }
+
+    if (!invoice.isPosted || invoice.status === 'cancelled') {
+      throw new Error(`Invoice ${invoice.invoiceNumber} is not posted`);
+    }
+
+    if (invoice.currency !== this.currency) {
+      throw new Error(`Invoice ${invoice.invoiceNumber} is in ${invoice.currency}, not ${this.currency}`);
+    }
+
+    if (allocation.amount > parseFloat(invoice.balanceAmount.toFixed(2))) {
+      throw new Error(
+        `Payment to ${invoice.invoiceNumber} exceeds its balance of ${invoice.balanceAmount.toFixed(2)}`
+      );
+    }
+
+    allocation.invoiceNumber = invoice.invoiceNumber;
+  }
+
+  return invoiceMap;
+};
+
+/**
+ * Method to work out the tax to withhold from each invoice paid
+ * Income tax is charged on the part of the payment excluding sales tax and
+ * sales tax withholding on the sales tax part, at the rates that apply to the
+ * supplier (see WithholdingTaxRate.findApplicable). Advances are taxed when
+ * paid, split by the purchase order's sales tax share.
+ * @param {Object} supplier - Supplier being paid
+ * @param {Map<string, PurchaseInvoice>} invoiceMap - From loadAllocatedInvoices
+ * @param {PurchaseOrder} purchaseOrder - From loadPurchaseOrder (advances)
+ */
+supplierPaymentSchema.methods.calculateWithholding = async function (supplier, invoiceMap, purchaseOrder = null) {
+  this.withholdings = [];
+
+  if (!this.applyWithholding) {
+    return this.withholdings;
+  }
+
+  const rates = await WithholdingTaxRate.findApplicable(this.organizationId, supplier);
+  const liabilityAccounts = new Map();
+
+  for (const rate of rates) {
+    const account = await WithholdingTaxRate.findLiabilityAccount(
+      this.organizationId,
+      rate.taxType,
+      rate.liabilityAccountId
+    );
+
+    if (!account) {
+      throw new Error(
+        `${rate.taxType === 'sales_tax' ? 'Sales tax' : 'Income tax'} withheld payable account not found. Please set up chart of accounts.`
+      );
+    }
+
+    liabilityAccounts.set(rate._id.toString(), account._id);
+  }
+
+  const taxShareOf = (document) =>
+    document?.totalAmount > 0 ? (document.totalTax || 0) / document.totalAmount : 0;
+
+  const lines =
+    this.paymentType === 'advance'
+      ? [{ amount: this.amount, taxShare: taxShareOf(purchaseOrder), invoiceNumber: purchaseOrder?.poNumber }]
+      : this.allocations.map((allocation) => {
+          const invoice = invoiceMap.get(allocation.purchaseInvoiceId.toString());
+          return {
+            amount: allocation.amount,
+            taxShare: taxShareOf(invoice),
+            purchaseInvoiceId: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+          };
+        });
+
+  for (const line of lines) {
+    for (const rate of rates) {
+      const share = rate.taxType === 'sales_tax' ? line.taxShare : 1 - line.taxShare;
+      const baseAmount = parseFloat((line.amount * share).toFixed(2));
+      const amount = parseFloat(((baseAmount * rate.rate) / 100).toFixed(2));
+
+      if (amount > 0) {
+        this.withholdings.push({
+          taxType: rate.taxType,
+          section: rate.section,
+          rate: rate.rate,
+          purchaseInvoiceId: line.purchaseInvoiceId,
+          invoiceNumber: line.invoiceNumber,
+          baseAmount,
+          amount,
+          liabilityAccountId: liabilityAccounts.get(rate._id.toString()),
+        });
+      }
+    }
+  }
+
+  return this.withholdings;
+};
+
+/**
+ * Static method to list the tax withheld on posted payments in a date range
+ * One line per payment, invoice and tax type, with amounts in base currency
+ * @param {Object} options - { startDate, endDate, supplierId, taxType }
+ */
+supplierPaymentSchema.statics.getWithholdingLines = async function (
+  organizationId,
+  { startDate, endDate, supplierId = null, taxType = null } = {}
+) {
+  const match = {
+    organizationId: new mongoose.Types.ObjectId(organizationId),
+    isPosted: true,
+    isDeleted: false,
+    whtAmount: { $gt: 0 },
+    paymentDate: { $gte: new Date(startDate), $lte: new Date(endDate) },
+  };
+
+  if (supplierId) {
+    match.supplierId = new mongoose.Types.ObjectId(supplierId);
+  }
+
+  const lineMatch = taxType ? [{ $match: { 'withholdings.taxType': taxType } }] : [];
+
+  return await this.aggregate([
+    { $match: match },
+    { $unwind: '$withholdings' },
+    ...lineMatch,
+    {
+      $project: {
+        _id: 0,
+        paymentId: '$_id',
+        paymentNumber: 1,
+        paymentDate: 1,
+        supplierId: 1,
+        currency: 1,
+        exchangeRate: 1,
+        taxType: '$withholdings.taxType',
+        section: '$withholdings.section',
+        rate: '$withholdings.rate',
+        purchaseInvoiceId: '$withholdings.purchaseInvoiceId',
+        invoiceNumber: '$withholdings.invoiceNumber',
+        baseAmount: { $round: [{ $multiply: ['$withholdings.baseAmount', '$exchangeRate'] }, 2] },
+        amount: { $round: [{ $multiply: ['$withholdings.amount', '$exchangeRate'] }, 2] },
+      },
+    },
+    { $sort: { paymentDate: 1, paymentNumber: 1 } },
+  ]);
+};
+
+// Pre-save hook to calculate the payment total
+supplierPaymentSchema.pre('save', function (next) {
+  if (this.paymentType === 'advance') {
+    if (this.allocations.length > 0) {
+      return next(new Error('Advances are applied to purchase invoices once the invoices are posted'));
+    }
+
+    if (!(this.amount >= 0.01)) {
+      return next(new Error('Advance amount must be greater than 0'));
+    }
+  } else {
+    this.amount = parseFloat(
+      this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0).toFixed(2)
+    );
+  }
+
+  this.appliedAmount = parseFloat(
+    this.applications.reduce((sum, application) => sum + application.amount, 0).toFixed(2)
+  );
+
+  if (this.appliedAmount > this.amount) {
+    return next(new Error('Applied amount cannot exceed the advance'));
+  }
+
+  this.whtAmount = parseFloat(
+    this.withholdings.reduce((sum, withholding) => sum + withholding.amount, 0).toFixed(2)
+  );
+  this.netAmount = parseFloat((this.amount - this.whtAmount).toFixed(2));
+
+  // Set fiscal period
+  if (this.paymentDate) {
+    const date = new Date(this.paymentDate);
+    this.fiscalYear = date.getFullYear().toString();
+    this.fiscalPeriod = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  next();
+});
+
+// Method to mark payment as posted
+supplierPaymentSchema.methods.post = async function (userId) {
+  if (this.isPosted) {
+    throw new Error('Payment is already posted');
+  }
+
+  if (this.status === 'cancelled') {
+    throw new Error('Cannot post cancelled payment');
+  }
+
+  this.isPosted = true;
+  this.postedAt = new Date();
+  this.postedBy = userId;
+  this.status = 'posted';
+
+  return await this.save();
+};
+
+// Query middleware to exclude soft-deleted records
+supplierPaymentSchema.pre(/^find/, function (next) {
+  if (!this.getOptions().includeDeleted) {
+    this.where({ isDeleted: false });
+  }
+  next();
+});
+
+const SupplierPayment =
+  mongoose.models.SupplierPayment || mongoose.model('SupplierPayment', supplierPaymentSchema);
+
+export default SupplierPayment;
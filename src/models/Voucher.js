@@ -4,6 +4,7 @@
  */
 
 import mongoose from 'mongoose';
+import FiscalPeriod from './FiscalPeriod';
 
 const voucherEntrySchema = new mongoose.Schema({
   accountId: {
@@ -26,11 +27,28 @@ const voucherEntrySchema = new mongoose.Schema({
     set: (val) => parseFloat(val.toFixed(2)),
   },
 
+  // Amount in the voucher's transaction currency (amount is the base-currency equivalent)
+  foreignAmount: {
+    type: Number,
+    min: [0.01, 'Foreign amount must be greater than 0'],
+    set: (val) => parseFloat(val.toFixed(2)),
+  },
+
   description: {
     type: String,
     maxlength: [500, 'Description cannot exceed 500 characters'],
   },
 
+  // Sub-ledger party (customer/supplier) for receivable and payable lines
+  partyType: {
+    type: String,
+    enum: ['customer', 'supplier'],
+  },
+
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+
   // Reference to ledger entry (will be created after voucher is posted)
   ledgerEntryId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -102,6 +120,20 @@ const voucherSchema = new mongoose.Schema(
       },
     },
 
+    // Transaction currency and its rate to the base currency
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'PKR',
+    },
+
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: [0.000001, 'Exchange rate must be greater than 0'],
+    },
+
     // Totals
     totalDebit: {
       type: Number,
@@ -147,6 +179,28 @@ const voucherSchema = new mongoose.Schema(
       maxlength: [500, 'Void reason cannot exceed 500 characters'],
     },
 
+    // Reversal Information
+    // Set on the original voucher: the mirror-image voucher that reversed it
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Voucher',
+    },
+
+    reversedAt: {
+      type: Date,
+    },
+
+    reversalReason: {
+      type: String,
+      maxlength: [500, 'Reversal reason cannot exceed 500 characters'],
+    },
+
+    // Set on the reversing voucher: the voucher it reverses
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Voucher',
+    },
+
     // Reference
     referenceNumber: {
       type: String,
@@ -155,7 +209,7 @@ const voucherSchema = new mongoose.Schema(
 
     referenceType: {
       type: String,
-      enum: ['invoice', 'payment', 'receipt', 'purchase', 'manual', 'other'],
+      enum: ['invoice', 'credit_note', 'debit_note', 'payment', 'receipt', 'purchase', 'grn', 'closing', 'recurring', 'revaluation', 'stock_adjustment', 'manual', 'other'],
       default: 'manual',
     },
 
@@ -280,10 +334,10 @@ voucherSchema.methods.validateDoubleEntry = function() {
     errors.push('Voucher must have at least one credit entry');
   }
 
-  // Check for duplicate accounts in same entry type
+  // Check for duplicate accounts in same entry type (per sub-ledger party)
   const accountTypeMap = new Map();
   this.entries.forEach(entry => {
-    const key = `${entry.accountId}_${entry.type}`;
+    const key = `${entry.accountId}_${entry.type}_${entry.partyId || ''}`;
     if (accountTypeMap.has(key)) {
       errors.push(`Duplicate account ${entry.accountId} in ${entry.type} entries`);
     }
@@ -296,8 +350,40 @@ voucherSchema.methods.validateDoubleEntry = function() {
   };
 };
 
+// Method to convert foreign-currency entries to base-currency amounts
+// Rounding left over after conversion goes to the largest entry on the short side
+voucherSchema.methods.applyExchangeRate = function() {
+  const rate = this.exchangeRate || 1;
+  const totals = { debit: 0, credit: 0 };
+
+  this.entries.forEach(entry => {
+    if (entry.foreignAmount) {
+      entry.amount = parseFloat((entry.foreignAmount * rate).toFixed(2));
+    }
+    totals[entry.type] += entry.amount;
+  });
+
+  const difference = parseFloat((totals.debit - totals.credit).toFixed(2));
+  const foreignEntries = this.entries.filter(entry => entry.foreignAmount);
+
+  // Only absorb conversion rounding (at most one paisa per converted entry)
+  if (difference !== 0 && Math.abs(difference) <= foreignEntries.length * 0.01) {
+    const shortSide = difference > 0 ? 'credit' : 'debit';
+    const largest = this.entries
+      .filter(entry => entry.type === shortSide)
+      .sort((a, b) => b.amount - a.amount)[0];
+
+    if (largest) {
+      largest.amount = parseFloat((largest.amount + Math.abs(difference)).toFixed(2));
+    }
+  }
+
+  return this;
+};
+
 // Method to post voucher (create ledger entries)
-voucherSchema.methods.post = async function(userId) {
+// options.canOverrideLock: user holds the period override permission (soft-closed periods only)
+voucherSchema.methods.post = async function(userId, { canOverrideLock = false } = {}) {
   if (this.status === 'posted') {
     throw new Error('Voucher is already posted');
   }
@@ -312,6 +398,11 @@ voucherSchema.methods.post = async function(userId) {
     throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
   }
 
+  // Fiscal period must be open (or soft-closed with override)
+  await FiscalPeriod.assertPostingAllowed(this.organizationId, this.voucherDate, {
+    canOverride: canOverrideLock,
+  });
+
   this.status = 'posted';
   this.postedAt = new Date();
   this.postedBy = userId;
@@ -320,7 +411,7 @@ voucherSchema.methods.post = async function(userId) {
 };
 
 // Method to void voucher
-voucherSchema.methods.void = async function(userId, reason) {
+voucherSchema.methods.void = async function(userId, reason, { canOverrideLock = false } = {}) {
   if (this.status === 'void') {
     throw new Error('Voucher is already void');
   }
@@ -329,6 +420,15 @@ voucherSchema.methods.void = async function(userId, reason) {
     throw new Error('Cannot void a draft voucher. Delete it instead.');
   }
 
+  if (this.reversedBy || this.reversalOf) {
+    throw new Error('Cannot void a voucher that is part of a reversal');
+  }
+
+  // Voiding changes the original period's ledger, so that period must be open
+  await FiscalPeriod.assertPostingAllowed(this.organizationId, this.voucherDate, {
+    canOverride: canOverrideLock,
+  });
+
   this.status = 'void';
   this.voidedAt = new Date();
   this.voidedBy = userId;
@@ -337,6 +437,56 @@ voucherSchema.methods.void = async function(userId, reason) {
   return await this.save();
 };
 
+// Method to build (unsaved) the mirror-image voucher that reverses this one
+voucherSchema.methods.createReversal = async function(userId, { reason, reversalDate = new Date() } = {}) {
+  if (this.status !== 'posted') {
+    throw new Error('Only posted vouchers can be reversed');
+  }
+
+  if (this.reversedBy) {
+    throw new Error('Voucher is already reversed');
+  }
+
+  if (this.reversalOf) {
+    throw new Error('Cannot reverse a reversing voucher');
+  }
+
+  const { fiscalYear, fiscalPeriod } = FiscalPeriod.getPeriodKeys(reversalDate);
+  const voucherNumber = await this.constructor.generateVoucherNumber(
+    this.organizationId,
+    this.voucherType,
+    fiscalYear
+  );
+
+  return new this.constructor({
+    voucherNumber,
+    voucherType: this.voucherType,
+    organizationId: this.organizationId,
+    voucherDate: reversalDate,
+    fiscalYear,
+    fiscalPeriod,
+    narration: `Reversal of ${this.voucherNumber}: ${reason}`.slice(0, 1000),
+    entries: this.entries.map((entry) => ({
+      accountId: entry.accountId,
+      type: entry.type === 'debit' ? 'credit' : 'debit',
+      amount: entry.amount,
+      foreignAmount: entry.foreignAmount,
+      description: entry.description,
+      partyType: entry.partyType,
+      partyId: entry.partyId,
+    })),
+    currency: this.currency,
+    exchangeRate: this.exchangeRate,
+    referenceNumber: this.referenceNumber,
+    referenceType: this.referenceType,
+    referenceId: this.referenceId,
+    reversalOf: this._id,
+    status: 'draft',
+    createdBy: userId,
+    updatedBy: userId,
+  });
+};
+
 // Static method to generate voucher number
 voucherSchema.statics.generateVoucherNumber = async function(organizationId, voucherType, fiscalYear) {
   // Format: JV-2024-0001, PV-2024-0001, etc.
@@ -11,6 +11,12 @@ const { ObjectId } = Schema.Types;
 // Sale Item Schema
 const saleItemSchema = new Schema(
   {
+    // Item master reference
+    productId: {
+      type: ObjectId,
+      ref: 'Product',
+    },
+
     description: {
       type: String,
       required: [true, 'Item description is required'],
@@ -116,6 +122,14 @@ const walkInSaleSchema = new Schema(
       lowercase: true,
     },
 
+    // Warehouse the stock is issued from
+    warehouse: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'MAIN',
+    },
+
     // Sale items
     items: {
       type: [saleItemSchema],
@@ -0,0 +1,194 @@
+/**
+ * Withholding Tax Rate Model
+ * Income tax (section 153) and sales tax withholding rates deducted when
+ * paying suppliers, configured per supplier category and filer status
+ */
+
+import mongoose from 'mongoose';
+import Account from './Account';
+
+const { Schema } = mongoose;
+const { ObjectId } = Schema.Types;
+
+// Default rates (Income Tax Ordinance 2001 s.153 / Sales Tax Withholding Rules)
+// Organizations should review these against the current Finance Act
+const DEFAULT_RATES = [
+  { taxType: 'income_tax', section: '153(1)(a)', supplierCategory: 'raw_material', filerStatus: 'filer', rate: 4.5, description: 'Supply of goods - filer' },
+  { taxType: 'income_tax', section: '153(1)(a)', supplierCategory: 'raw_material', filerStatus: 'non_filer', rate: 9, description: 'Supply of goods - non-filer' },
+  { taxType: 'income_tax', section: '153(1)(a)', supplierCategory: 'finished_goods', filerStatus: 'filer', rate: 4.5, description: 'Supply of goods - filer' },
+  { taxType: 'income_tax', section: '153(1)(a)', supplierCategory: 'finished_goods', filerStatus: 'non_filer', rate: 9, description: 'Supply of goods - non-filer' },
+  { taxType: 'income_tax', section: '153(1)(b)', supplierCategory: 'services', filerStatus: 'filer', rate: 8, description: 'Rendering of services - filer' },
+  { taxType: 'income_tax', section: '153(1)(b)', supplierCategory: 'services', filerStatus: 'non_filer', rate: 16, description: 'Rendering of services - non-filer' },
+  { taxType: 'income_tax', section: '153(1)(a)', supplierCategory: 'all', filerStatus: 'filer', rate: 4.5, description: 'Other supplies - filer' },
+  { taxType: 'income_tax', section: '153(1)(a)', supplierCategory: 'all', filerStatus: 'non_filer', rate: 9, description: 'Other supplies - non-filer' },
+  { taxType: 'sales_tax', section: 'Rule 1(3)', supplierCategory: 'all', filerStatus: 'all', rate: 20, description: 'Sales tax withholding - 1/5th of sales tax' },
+];
+
+const withholdingTaxRateSchema = new Schema(
+  {
+    organizationId: {
+      type: ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+
+    // Income tax is withheld on the value excluding sales tax;
+    // sales tax withholding is a share of the sales tax charged
+    taxType: {
+      type: String,
+      enum: ['income_tax', 'sales_tax'],
+      required: [true, 'Tax type is required'],
+    },
+
+    // Law section quoted on certificates and returns, e.g. 153(1)(a)
+    section: {
+      type: String,
+      required: [true, 'Section is required'],
+      trim: true,
+    },
+
+    supplierCategory: {
+      type: String,
+      enum: ['raw_material', 'finished_goods', 'services', 'utilities', 'other', 'all'],
+      default: 'all',
+    },
+
+    filerStatus: {
+      type: String,
+      enum: ['filer', 'non_filer', 'all'],
+      default: 'all',
+    },
+
+    // Percentage of the taxable base
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate cannot be negative'],
+      max: [100, 'Rate cannot exceed 100%'],
+    },
+
+    // Liability account credited with the tax withheld (defaults by tax type)
+    liabilityAccountId: {
+      type: ObjectId,
+      ref: 'Account',
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+
+    updatedBy: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rate per tax type, category and filer status
+withholdingTaxRateSchema.index(
+  { organizationId: 1, taxType: 1, supplierCategory: 1, filerStatus: 1 },
+  { unique: true }
+);
+
+// Static method to seed the default rates for an organization
+withholdingTaxRateSchema.statics.seedDefaultRates = async function (organizationId, userId) {
+  const existing = await this.countDocuments({ organizationId });
+  if (existing > 0) {
+    return 0;
+  }
+
+  const rates = await this.insertMany(
+    DEFAULT_RATES.map((rate) => ({ ...rate, organizationId, createdBy: userId }))
+  );
+
+  return rates.length;
+};
+
+/**
+ * Static method to find the rates that apply to a supplier
+ * For each tax type the most specific active rate wins: category and filer
+ * status, then category, then filer status, then the catch-all rate.
+ * Exempt suppliers have no income tax withheld; sales tax is only withheld
+ * from GST registered suppliers.
+ * @returns {Promise<Array>} At most one rate per tax type
+ */
+withholdingTaxRateSchema.statics.findApplicable = async function (organizationId, supplier) {
+  const rates = await this.find({
+    organizationId,
+    isActive: true,
+    supplierCategory: { $in: [supplier.category, 'all'] },
+    filerStatus: { $in: [supplier.filerStatus || 'filer', 'all'] },
+  });
+
+  const specificity = (rate) =>
+    (rate.supplierCategory !== 'all' ? 2 : 0) + (rate.filerStatus !== 'all' ? 1 : 0);
+
+  const applicable = [];
+
+  for (const taxType of ['income_tax', 'sales_tax']) {
+    if (taxType === 'income_tax' && supplier.whtExempt) continue;
+    if (taxType === 'sales_tax' && !supplier.gstRegistered) continue;
+
+    const [best] = rates
+      .filter((rate) => rate.taxType === taxType)
+      .sort((a, b) => specificity(b) - specificity(a));
+
+    if (best && best.rate > 0) {
+      applicable.push(best);
+    }
+  }
+
+  return applicable;
+};
+
+/**
+ * Static method to find the liability account for a tax type
+ * (given id, else the first non-group liability account named "... tax withheld")
+ */
+withholdingTaxRateSchema.statics.findLiabilityAccount = async function (
+  organizationId,
+  taxType,
+  accountId = null
+) {
+  if (accountId) {
+    return await Account.findOne({
+      _id: accountId,
+      organizationId,
+      type: 'liability',
+      isGroup: false,
+      isDeleted: false,
+    });
+  }
+
+  const candidates = await Account.find({
+    organizationId,
+    type: 'liability',
+    isGroup: false,
+    isActive: true,
+    isDeleted: false,
+    name: taxType === 'sales_tax' ? /sales tax withheld/i : /income tax withheld/i,
+  }).sort({ code: 1 });
+
+  return candidates[0] || null;
+};
+
+const WithholdingTaxRate =
+  mongoose.models.WithholdingTaxRate || mongoose.model('WithholdingTaxRate', withholdingTaxRateSchema);
+
+export default WithholdingTaxRate;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import { describe, expect, it } from 'vitest';
+import Account from '@/models/Account';
+
+const newAccount = (fields) =>
+  new Account({
+    organizationId: new mongoose.Types.ObjectId(),
+    code: '1401',
+    name: 'Furniture',
+    type: 'asset',
+    category: 'fixed_asset',
+    level: 2,
+    ...fields,
+  });
+
+describe('Account normal balance', () => {
+  it('defaults from the account type', async () => {
+    const asset = newAccount();
+    const liability = newAccount({ code: '2101', name: 'Payables', type: 'liability', category: 'current_liability' });
+
+    await asset.validate();
+    await liability.validate();
+
+    expect(asset.normalBalance).toBe('debit');
+    expect(liability.normalBalance).toBe('credit');
+  });
+
+  it('keeps the credit balance given for a contra asset', async () => {
+    const accumulated = newAccount({ code: '1410', name: 'Accumulated Depreciation', normalBalance: 'credit' });
+
+    await accumulated.validate();
+
+    expect(accumulated.normalBalance).toBe('credit');
+  });
+});
@@ -0,0 +1,233 @@
+import mongoose from 'mongoose';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import Customer from '@/models/Customer';
+import SalesInvoice from '@/models/SalesInvoice';
+import CustomerReceipt from '@/models/CustomerReceipt';
+import AdjustmentNote from '@/models/AdjustmentNote';
+
+const organizationId = new mongoose.Types.ObjectId();
+const customerId = new mongoose.Types.ObjectId();
+const invoiceId = new mongoose.Types.ObjectId();
+
+// find() stand-in for the .select().lean() chain the reports use
+const findResult = (rows) => ({
+  select() {
+    return this;
+  },
+  lean: () => Promise.resolve(rows),
+});
+
+const invoice = {
+  _id: invoiceId,
+  customerId,
+  invoiceNumber: 'INV-0001',
+  invoiceDate: new Date(2024, 0, 10),
+  dueDate: new Date(2024, 1, 9),
+  currency: 'PKR',
+  totalAmount: 10000,
+  baseTotalAmount: 10000,
+  exchangeRate: 1,
+};
+
+// Advance received before the invoice, applied to it in full
+const advance = {
+  _id: new mongoose.Types.ObjectId(),
+  customerId,
+  receiptNumber: 'RCP-0001',
+  receiptDate: new Date(2024, 0, 5),
+  receiptType: 'advance',
+  paymentMethod: 'bank_transfer',
+  currency: 'PKR',
+  amount: 15000,
+  allocations: [],
+  unallocatedAmount: 15000,
+  applications: [{ _id: new mongoose.Types.ObjectId(), invoiceId, amount: 10000, baseAmount: 10000 }],
+  exchangeRate: 1,
+};
+
+const mockDocuments = ({ invoices = [invoice], receipts = [advance], notes = [], openingBalance = 0 } = {}) => {
+  vi.spyOn(Customer, 'find').mockReturnValue(
+    findResult([{ _id: customerId, customerCode: 'C-001', name: 'Karachi Traders', openingBalance }])
+  );
+  vi.spyOn(SalesInvoice, 'find').mockReturnValue(findResult(invoices));
+  vi.spyOn(CustomerReceipt, 'find').mockReturnValue(findResult(receipts));
+  vi.spyOn(AdjustmentNote, 'find').mockReturnValue(findResult(notes));
+};
+
+// Posted PKR invoice due on the given date
+const invoiceDue = (invoiceNumber, dueDate, totalAmount, invoiceDate = new Date(2024, 0, 1)) => ({
+  _id: new mongoose.Types.ObjectId(),
+  customerId,
+  invoiceNumber,
+  invoiceDate,
+  dueDate,
+  currency: 'PKR',
+  totalAmount,
+  baseTotalAmount: totalAmount,
+  exchangeRate: 1,
+});
+
+// Posted PKR receipt allocated in full to one invoice
+const receiptFor = (receiptNumber, receiptDate, invoiceId, amount) => ({
+  _id: new mongoose.Types.ObjectId(),
+  customerId,
+  receiptNumber,
+  receiptDate,
+  receiptType: 'payment',
+  paymentMethod: 'cheque',
+  currency: 'PKR',
+  amount,
+  allocations: [{ invoiceId, amount }],
+  unallocatedAmount: 0,
+  applications: [],
+  exchangeRate: 1,
+});
+
+describe('Customer.getAgingReport', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('buckets outstanding invoices by days past due', async () => {
+    const current = invoiceDue('INV-0010', new Date(2024, 5, 20), 1000);
+    mockDocuments({
+      invoices: [
+        current,
+        invoiceDue('INV-0011', new Date(2024, 4, 10), 2000),
+        invoiceDue('INV-0012', new Date(2024, 3, 10), 3000),
+        invoiceDue('INV-0013', new Date(2024, 1, 1), 4000),
+        invoiceDue('INV-0014', new Date(2024, 6, 15), 5000),
+      ],
+      receipts: [receiptFor('RCP-0010', new Date(2024, 5, 25), current._id, 400)],
+      openingBalance: 700,
+    });
+
+    const report = await Customer.getAgingReport(organizationId, { asAt: new Date(2024, 5, 30), customerId });
+    const [row] = report.customers;
+
+    expect(row.buckets).toEqual({ '0-30': 600 + 5000, '31-60': 2000, '61-90': 3000, '90+': 4000 });
+    expect(row.invoices.map((line) => [line.invoiceNumber, line.daysOverdue, line.bucket])).toEqual([
+      ['INV-0013', 150, '90+'],
+      ['INV-0012', 81, '61-90'],
+      ['INV-0011', 51, '31-60'],
+      ['INV-0010', 10, '0-30'],
+      ['INV-0014', 0, '0-30'],
+    ]);
+    // The invoice not yet due is outstanding but not overdue
+    expect(row.overdue).toBe(600 + 2000 + 3000 + 4000);
+    expect(row.total).toBe(700 + 5600 + 2000 + 3000 + 4000);
+    expect(report.totals).toMatchObject({ opening: 700, overdue: row.overdue, total: row.total });
+  });
+
+  it('ages from the invoice date on the invoice date basis', async () => {
+    mockDocuments({
+      invoices: [invoiceDue('INV-0020', new Date(2024, 5, 20), 1000, new Date(2024, 4, 1))],
+      receipts: [],
+    });
+
+    const asAt = new Date(2024, 5, 30);
+    const byDueDate = await Customer.getAgingReport(organizationId, { asAt, customerId });
+    const byInvoiceDate = await Customer.getAgingReport(organizationId, { asAt, customerId, basis: 'invoice_date' });
+
+    expect(byDueDate.customers[0].invoices[0]).toMatchObject({ bucket: '0-30', daysOverdue: 10 });
+    expect(byInvoiceDate.customers[0].invoices[0]).toMatchObject({ bucket: '31-60', daysOverdue: 10 });
+  });
+
+  it('treats an invoice settled from an advance as paid', async () => {
+    mockDocuments();
+
+    const report = await Customer.getAgingReport(organizationId, { asAt: new Date(2024, 5, 30), customerId });
+    const [row] = report.customers;
+
+    expect(row.invoices).toEqual([]);
+    expect(row.overdue).toBe(0);
+    expect(row.unapplied).toBe(5000);
+    expect(row.total).toBe(-5000);
+  });
+
+  it('keeps the advance unapplied before the invoice it settles', async () => {
+    mockDocuments({ invoices: [] });
+
+    const report = await Customer.getAgingReport(organizationId, { asAt: new Date(2024, 0, 8), customerId });
+
+    expect(report.customers[0]).toMatchObject({ unapplied: 15000, total: -15000 });
+  });
+
+  it('ages the part of the invoice the advance did not cover', async () => {
+    mockDocuments({
+      receipts: [{ ...advance, amount: 4000, unallocatedAmount: 4000, applications: [{ invoiceId, amount: 4000 }] }],
+    });
+
+    const report = await Customer.getAgingReport(organizationId, { asAt: new Date(2024, 5, 30), customerId });
+    const [row] = report.customers;
+
+    expect(row.invoices[0]).toMatchObject({ outstanding: 6000, bucket: '90+' });
+    expect(row).toMatchObject({ overdue: 6000, unapplied: 0, total: 6000 });
+  });
+});
+
+describe('Customer#getStatement', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('carries earlier documents into the opening balance and runs the balance in date order', async () => {
+    const earlier = invoiceDue('INV-0030', new Date(2024, 0, 15), 5000, new Date(2023, 11, 15));
+    const current = invoiceDue('INV-0031', new Date(2024, 1, 9), 10000, new Date(2024, 0, 10));
+    mockDocuments({
+      invoices: [current, earlier],
+      receipts: [
+        receiptFor('RCP-0031', new Date(2024, 0, 10), current._id, 3000),
+        receiptFor('RCP-0030', new Date(2023, 11, 20), earlier._id, 2000),
+      ],
+      notes: [
+        {
+          _id: new mongoose.Types.ObjectId(),
+          noteNumber: 'CN-0001',
+          noteDate: new Date(2024, 0, 20),
+          noteType: 'credit_note',
+          invoiceNumber: 'INV-0031',
+          currency: 'PKR',
+          totalAmount: 500,
+          baseTotalAmount: 500,
+        },
+      ],
+    });
+    const customer = new Customer({ organizationId, name: 'Karachi Traders', openingBalance: 1000 });
+    customer._id = customerId;
+
+    const statement = await customer.getStatement({
+      startDate: new Date(2024, 0, 1),
+      endDate: new Date(2024, 0, 31),
+    });
+
+    // 1000 opening + 5000 invoiced - 2000 received before the period
+    expect(statement.openingBalance).toBe(4000);
+    // The invoice comes before the receipt on the same day
+    expect(statement.lines.map((line) => [line.number, line.debit, line.credit, line.balance])).toEqual([
+      ['INV-0031', 10000, 0, 14000],
+      ['RCP-0031', 0, 3000, 11000],
+      ['CN-0001', 0, 500, 10500],
+    ]);
+    expect(statement.totals).toEqual({ debit: 10000, credit: 3500 });
+    expect(statement.closingBalance).toBe(10500);
+  });
+
+  it('credits the advance when received and shows its application', async () => {
+    mockDocuments();
+    const customer = new Customer({ organizationId, name: 'Karachi Traders', openingBalance: 0 });
+    customer._id = customerId;
+
+    const statement = await customer.getStatement({
+      startDate: new Date(2024, 0, 1),
+      endDate: new Date(2024, 0, 31),
+    });
+
+    expect(statement.lines.map((line) => [line.type, line.debit, line.credit, line.balance])).toEqual([
+      ['receipt', 0, 15000, -15000],
+      ['invoice', 10000, 0, -5000],
+      ['credit_applied', 0, 0, -5000],
+    ]);
+    expect(statement.closingBalance).toBe(-5000);
+  });
+});
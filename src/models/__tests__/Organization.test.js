@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import Organization from '@/models/Organization';
+
+const newOrganization = (fiscalYearStart) =>
+  new Organization({ name: 'Acme Traders', ...(fiscalYearStart && { settings: { fiscalYearStart } }) });
+
+const endOfDay = (year, month, day) => new Date(year, month, day, 23, 59, 59, 999);
+
+describe('Organization#getFiscalYear', () => {
+  it('defaults to a July to June year', () => {
+    const organization = newOrganization();
+
+    expect(organization.getFiscalYear(new Date(2024, 9, 15))).toEqual({
+      label: '2024-25',
+      startDate: new Date(2024, 6, 1),
+      endDate: endOfDay(2025, 5, 30),
+    });
+  });
+
+  it('places dates before the start day in the year before', () => {
+    const organization = newOrganization();
+
+    expect(organization.getFiscalYear(endOfDay(2024, 5, 30)).label).toBe('2023-24');
+    expect(organization.getFiscalYear(new Date(2024, 6, 1)).label).toBe('2024-25');
+  });
+
+  it('labels a calendar year with the single year', () => {
+    const organization = newOrganization('01-01');
+
+    expect(organization.getFiscalYear(new Date(2024, 11, 31))).toEqual({
+      label: '2024',
+      startDate: new Date(2024, 0, 1),
+      endDate: endOfDay(2024, 11, 31),
+    });
+  });
+
+  it('starts a year on a day other than the first', () => {
+    const organization = newOrganization('06-04');
+
+    expect(organization.getFiscalYear(new Date(2024, 3, 5))).toEqual({
+      label: '2023-24',
+      startDate: new Date(2023, 3, 6),
+      endDate: endOfDay(2024, 3, 5),
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import { describe, expect, it } from 'vitest';
+import RecurringVoucher from '@/models/RecurringVoucher';
+
+const newTemplate = (fields) =>
+  new RecurringVoucher({
+    organizationId: new mongoose.Types.ObjectId(),
+    name: 'Office rent',
+    voucherType: 'JV',
+    narration: 'Monthly office rent',
+    frequency: 'monthly',
+    startDate: new Date(2024, 0, 1),
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields,
+  });
+
+const runDates = (template, count) => Array.from({ length: count }, (_, index) => template.getRunDate(index));
+
+describe('RecurringVoucher#getRunDate', () => {
+  it('repeats on the start day by default', () => {
+    const template = newTemplate({ startDate: new Date(2024, 10, 15) });
+
+    expect(runDates(template, 3)).toEqual([new Date(2024, 10, 15), new Date(2024, 11, 15), new Date(2025, 0, 15)]);
+  });
+
+  it('runs on the last day of shorter months', () => {
+    const template = newTemplate({ dayOfMonth: 31 });
+
+    expect(runDates(template, 4)).toEqual([
+      new Date(2024, 0, 31),
+      new Date(2024, 1, 29),
+      new Date(2024, 2, 31),
+      new Date(2024, 3, 30),
+    ]);
+  });
+
+  it('starts the next month when the run day has already passed', () => {
+    const template = newTemplate({ startDate: new Date(2024, 0, 20), dayOfMonth: 5 });
+
+    expect(template.getRunDate(0)).toEqual(new Date(2024, 1, 5));
+  });
+
+  it('steps quarterly and yearly schedules by whole months', () => {
+    const quarterly = newTemplate({ frequency: 'quarterly', startDate: new Date(2024, 0, 31) });
+    const yearly = newTemplate({ frequency: 'yearly', startDate: new Date(2024, 1, 29) });
+
+    expect(runDates(quarterly, 3)).toEqual([new Date(2024, 0, 31), new Date(2024, 3, 30), new Date(2024, 6, 31)]);
+    expect(runDates(yearly, 2)).toEqual([new Date(2024, 1, 29), new Date(2025, 1, 28)]);
+  });
+});
+
+describe('RecurringVoucher#getRuns', () => {
+  const generatedJanuary = {
+    generatedRuns: [{ runKey: '2024-01', runDate: new Date(2024, 0, 1), status: 'posted' }],
+  };
+
+  it('lists runs up to the date inclusive, skipping runs already generated', () => {
+    const template = newTemplate(generatedJanuary);
+
+    expect(template.getRuns({ to: new Date(2024, 2, 1) })).toEqual([
+      { runKey: '2024-02', runDate: new Date(2024, 1, 1), isGenerated: false },
+      { runKey: '2024-03', runDate: new Date(2024, 2, 1), isGenerated: false },
+    ]);
+  });
+
+  it('includes generated runs when asked', () => {
+    const template = newTemplate(generatedJanuary);
+
+    const runs = template.getRuns({ to: new Date(2024, 2, 1), includeGenerated: true });
+
+    expect(runs.map((run) => [run.runKey, run.isGenerated])).toEqual([
+      ['2024-01', true],
+      ['2024-02', false],
+      ['2024-03', false],
+    ]);
+  });
+
+  it('stops at the end date', () => {
+    const template = newTemplate({ endDate: new Date(2024, 1, 15) });
+
+    expect(template.getRuns().map((run) => run.runKey)).toEqual(['2024-01', '2024-02']);
+  });
+
+  it('starts from the date given and caps the count', () => {
+    const template = newTemplate();
+
+    expect(template.getRuns({ from: new Date(2024, 4, 2), limit: 2 }).map((run) => run.runKey)).toEqual([
+      '2024-06',
+      '2024-07',
+    ]);
+  });
+});
@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import Supplier from '@/models/Supplier';
+import PurchaseInvoice from '@/models/PurchaseInvoice';
+import SupplierPayment from '@/models/SupplierPayment';
+
+const organizationId = new mongoose.Types.ObjectId();
+const supplierId = new mongoose.Types.ObjectId();
+const invoiceId = new mongoose.Types.ObjectId();
+
+// find() stand-in for the .select().lean() chain the reports use
+const findResult = (rows) => ({
+  select() {
+    return this;
+  },
+  lean: () => Promise.resolve(rows),
+});
+
+const invoice = {
+  _id: invoiceId,
+  supplierId,
+  invoiceNumber: 'PINV-0001',
+  invoiceDate: new Date(2024, 0, 10),
+  dueDate: new Date(2024, 1, 9),
+  currency: 'USD',
+  totalAmount: 1000,
+  baseTotalAmount: 280000,
+  exchangeRate: 280,
+};
+
+// USD advance paid at 278, applied to an invoice carried at 280
+const advance = {
+  _id: new mongoose.Types.ObjectId(),
+  supplierId,
+  paymentNumber: 'PAY-0001',
+  paymentDate: new Date(2024, 0, 5),
+  paymentType: 'advance',
+  paymentMethod: 'bank_transfer',
+  currency: 'USD',
+  amount: 1500,
+  allocations: [],
+  applications: [
+    { _id: new mongoose.Types.ObjectId(), purchaseInvoiceId: invoiceId, amount: 1000, carryingRate: 280, baseAmount: 280000 },
+  ],
+  exchangeRate: 278,
+};
+
+const mockDocuments = ({ invoices = [invoice], payments = [advance], openingBalance = 0, creditDays = 30 } = {}) => {
+  vi.spyOn(Supplier, 'find').mockReturnValue(
+    findResult([{ _id: supplierId, supplierCode: 'S-001', companyName: 'Lahore Mills', openingBalance, creditDays }])
+  );
+  vi.spyOn(PurchaseInvoice, 'find').mockReturnValue(findResult(invoices));
+  vi.spyOn(SupplierPayment, 'find').mockReturnValue(findResult(payments));
+};
+
+// Posted PKR purchase invoice; without a due date it falls due after the credit days
+const purchaseInvoice = (invoiceNumber, invoiceDate, totalAmount, dueDate = undefined) => ({
+  _id: new mongoose.Types.ObjectId(),
+  supplierId,
+  invoiceNumber,
+  invoiceDate,
+  dueDate,
+  currency: 'PKR',
+  totalAmount,
+  baseTotalAmount: totalAmount,
+  exchangeRate: 1,
+});
+
+// Posted PKR payment allocated in full to one invoice
+const paymentFor = (paymentNumber, paymentDate, purchaseInvoiceId, amount, whtAmount = 0) => ({
+  _id: new mongoose.Types.ObjectId(),
+  supplierId,
+  paymentNumber,
+  paymentDate,
+  paymentType: 'invoice',
+  paymentMethod: 'bank_transfer',
+  currency: 'PKR',
+  amount: amount - whtAmount,
+  whtAmount,
+  allocations: [{ purchaseInvoiceId, amount }],
+  applications: [],
+  exchangeRate: 1,
+});
+
+describe('Supplier.getAgingReport', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('buckets outstanding invoices by days past due, falling back to the credit days', async () => {
+    const partlyPaid = purchaseInvoice('PINV-0010', new Date(2024, 4, 1), 1000, new Date(2024, 5, 20));
+    mockDocuments({
+      invoices: [
+        partlyPaid,
+        // Due 30 days after 1 April: 60 days past due on 30 June
+        purchaseInvoice('PINV-0011', new Date(2024, 3, 1), 2000),
+        purchaseInvoice('PINV-0012', new Date(2024, 0, 1), 3000, new Date(2024, 0, 31)),
+        purchaseInvoice('PINV-0013', new Date(2024, 5, 25), 4000, new Date(2024, 6, 25)),
+      ],
+      payments: [paymentFor('PAY-0010', new Date(2024, 5, 1), partlyPaid._id, 250)],
+      openingBalance: 500,
+    });
+
+    const report = await Supplier.getAgingReport(organizationId, { asAt: new Date(2024, 5, 30), supplierId });
+    const [row] = report.suppliers;
+
+    expect(row.buckets).toEqual({ '0-30': 750 + 4000, '31-60': 2000, '61-90': 0, '90+': 3000 });
+    expect(row.invoices.map((line) => [line.invoiceNumber, line.outstanding, line.daysOverdue, line.bucket])).toEqual([
+      ['PINV-0012', 3000, 151, '90+'],
+      ['PINV-0011', 2000, 60, '31-60'],
+      ['PINV-0010', 750, 10, '0-30'],
+      ['PINV-0013', 4000, 0, '0-30'],
+    ]);
+    expect(row.overdue).toBe(750 + 2000 + 3000);
+    expect(row.total).toBe(500 + 4750 + 2000 + 3000);
+  });
+
+  it('values a foreign currency balance at the revaluation rate', async () => {
+    mockDocuments({ invoices: [{ ...invoice, revaluationRate: 285 }], payments: [] });
+
+    const report = await Supplier.getAgingReport(organizationId, { asAt: new Date(2024, 2, 1), supplierId });
+
+    expect(report.suppliers[0].invoices[0]).toMatchObject({ outstanding: 1000, baseOutstanding: 285000 });
+    expect(report.suppliers[0].buckets['0-30']).toBe(285000);
+  });
+
+  it('treats an invoice settled from an advance as paid and deducts the rest of the advance', async () => {
+    mockDocuments();
+
+    const report = await Supplier.getAgingReport(organizationId, { asAt: new Date(2024, 5, 30), supplierId });
+    const [row] = report.suppliers;
+
+    expect(row.invoices).toEqual([]);
+    expect(row.overdue).toBe(0);
+    expect(row.unapplied).toBe(500 * 278);
+    expect(row.total).toBe(-500 * 278);
+    expect(report.totals.unapplied).toBe(500 * 278);
+  });
+
+  it('does not count an application to an invoice after the date', async () => {
+    mockDocuments({ invoices: [] });
+
+    const report = await Supplier.getAgingReport(organizationId, { asAt: new Date(2024, 0, 8), supplierId });
+
+    expect(report.suppliers[0]).toMatchObject({ unapplied: 1500 * 278, total: -1500 * 278 });
+  });
+});
+
+describe('Supplier#getStatement', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('carries earlier documents into the opening balance and runs the balance in date order', async () => {
+    const earlier = purchaseInvoice('PINV-0030', new Date(2023, 11, 10), 8000);
+    const current = purchaseInvoice('PINV-0031', new Date(2024, 0, 12), 20000);
+    mockDocuments({
+      invoices: [current, earlier],
+      payments: [
+        paymentFor('PAY-0031', new Date(2024, 0, 12), current._id, 5000, 500),
+        paymentFor('PAY-0030', new Date(2023, 11, 28), earlier._id, 8000),
+        paymentFor('PAY-0032', new Date(2024, 0, 25), current._id, 6000),
+      ],
+    });
+    const supplier = new Supplier({ organizationId, companyName: 'Lahore Mills', openingBalance: 2500 });
+    supplier._id = supplierId;
+
+    const statement = await supplier.getStatement({
+      startDate: new Date(2024, 0, 1),
+      endDate: new Date(2024, 0, 31),
+    });
+
+    // 2500 opening + 8000 invoiced - 8000 paid before the period
+    expect(statement.openingBalance).toBe(2500);
+    // The invoice comes before the payment on the same day; payments count gross of tax withheld
+    expect(statement.lines.map((line) => [line.number, line.debit, line.credit, line.balance])).toEqual([
+      ['PINV-0031', 0, 20000, 22500],
+      ['PAY-0031', 5000, 0, 17500],
+      ['PAY-0032', 6000, 0, 11500],
+    ]);
+    expect(statement.lines[1].description).toBe('Payment - bank transfer (incl. tax withheld)');
+    expect(statement.closingBalance).toBe(11500);
+  });
+
+  it('debits the advance when paid and the exchange difference when applied', async () => {
+    mockDocuments();
+    const supplier = new Supplier({ organizationId, companyName: 'Lahore Mills', openingBalance: 0 });
+    supplier._id = supplierId;
+
+    const statement = await supplier.getStatement({
+      startDate: new Date(2024, 0, 1),
+      endDate: new Date(2024, 0, 31),
+    });
+
+    expect(statement.lines.map((line) => [line.type, line.debit, line.credit, line.balance])).toEqual([
+      ['payment', 417000, 0, -417000],
+      ['invoice', 0, 280000, -137000],
+      ['advance_applied', 2000, 0, -139000],
+    ]);
+    expect(statement.lines[0].description).toBe('Advance - bank transfer');
+    // Advance left: 500 USD at 278
+    expect(statement.closingBalance).toBe(-139000);
+  });
+});
@@ -86,6 +86,8 @@ export const supplierSchema = z.object({
   ntn: z.string().optional(),
   strn: z.string().optional(),
   gstRegistered: z.boolean().default(false),
+  filerStatus: z.enum(['filer', 'non_filer']).default('filer'),
+  whtExempt: z.boolean().default(false),
 
   // Payment Terms
   paymentTerms: z.string().default('credit'),
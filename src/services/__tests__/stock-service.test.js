@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import StockMovement from '@/models/StockMovement';
+import SalesOrder from '@/models/SalesOrder';
+import SalesInvoice from '@/models/SalesInvoice';
+import { getStockLevels } from '@/services/stock-service';
+
+const organizationId = new mongoose.Types.ObjectId();
+const productId = new mongoose.Types.ObjectId();
+
+// Routes pass request.user.organizationId, which the auth middleware populates
+const organization = { _id: organizationId, name: 'Acme Traders', settings: {} };
+
+// Aggregate stand-in resolving to rows, with the .session() the callers chain
+const aggregateResult = (rows) => {
+  const result = Promise.resolve(rows);
+  result.session = () => result;
+  return result;
+};
+
+describe('getStockLevels', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('accepts a populated organization document', async () => {
+    const balances = vi.spyOn(StockMovement, 'aggregate').mockReturnValue(
+      aggregateResult([{ _id: { productId, warehouse: 'MAIN' }, onHand: 10, value: 1000 }])
+    );
+    const ordered = vi.spyOn(SalesOrder, 'aggregate').mockReturnValue(
+      aggregateResult([{ _id: productId, quantity: 3 }])
+    );
+    const invoiced = vi.spyOn(SalesInvoice, 'aggregate').mockReturnValue(
+      aggregateResult([{ _id: productId, quantity: 2 }])
+    );
+
+    const levels = await getStockLevels(organization, [{ _id: productId }]);
+
+    expect(levels.get(String(productId))).toEqual({
+      onHand: 10,
+      reserved: 5,
+      available: 5,
+      warehouses: [{ warehouse: 'MAIN', onHand: 10 }],
+    });
+
+    for (const aggregate of [balances, ordered, invoiced]) {
+      const [[{ $match }]] = aggregate.mock.calls[0];
+      expect($match.organizationId).toEqual(organizationId);
+    }
+  });
+
+  it('accepts a bare organization id', async () => {
+    vi.spyOn(StockMovement, 'aggregate').mockReturnValue(aggregateResult([]));
+    vi.spyOn(SalesOrder, 'aggregate').mockReturnValue(aggregateResult([]));
+    vi.spyOn(SalesInvoice, 'aggregate').mockReturnValue(aggregateResult([]));
+
+    const levels = await getStockLevels(String(organizationId), [{ _id: productId }]);
+
+    expect(levels.get(String(productId))).toMatchObject({ onHand: 0, reserved: 0, available: 0 });
+  });
+});
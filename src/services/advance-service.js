@@ -0,0 +1,367 @@
+/**
+ * Advance Application Service
+ * Applies customer advances and on-account credit to posted sales invoices,
+ * and supplier advances to posted purchase invoices. Each application posts a
+ * clearing journal voucher:
+ * - Customer: Dr customer advance (or receivable for on-account credit), Cr receivable
+ * - Supplier: Dr payable, Cr supplier advance
+ * Exchange differences between the advance rate and the invoice's carrying
+ * rate are booked to the exchange gain/loss accounts.
+ */
+
+import Voucher from '@/models/Voucher';
+import LedgerEntry from '@/models/LedgerEntry';
+import Customer from '@/models/Customer';
+import Supplier from '@/models/Supplier';
+import CustomerReceipt from '@/models/CustomerReceipt';
+import SupplierPayment from '@/models/SupplierPayment';
+import FxRevaluation from '@/models/FxRevaluation';
+import ExchangeRate from '@/models/ExchangeRate';
+import Organization from '@/models/Organization';
+
+const toBase = (amount, rate) => parseFloat((amount * rate).toFixed(2));
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+// Applications are dated on the later of the advance and the invoice
+function applicationDate(...dates) {
+  return new Date(Math.max(...dates.map((date) => new Date(date).getTime())));
+}
+
+/**
+ * Build, post and ledger the clearing voucher
+ * @param {Object} options - { organizationId, date, narration, debit, credit,
+ *   party, currency, exchangeRate, referenceType, referenceId, userId,
+ *   canOverrideLock, session }. debit and credit are { accountId, amount,
+ *   foreignAmount, description }; party is { partyType, partyId }.
+ * @returns {Promise<{voucher: Voucher, gainLoss: number}>} gainLoss is the
+ *   realized exchange gain (+) or loss (-) in base currency
+ */
+async function postClearingVoucher({
+  organizationId,
+  date,
+  narration,
+  debit,
+  credit,
+  party,
+  currency,
+  exchangeRate,
+  referenceType,
+  referenceId,
+  userId,
+  canOverrideLock,
+  session,
+}) {
+  const organization = await Organization.findById(organizationId).select('settings.currency').session(session);
+  const isForeignCurrency = currency !== ExchangeRate.getBaseCurrency(organization);
+  const fiscalYear = date.getFullYear().toString();
+  const fiscalPeriod = `${fiscalYear}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+  const entries = [debit, credit].map((side, index) => ({
+    accountId: side.accountId,
+    type: index === 0 ? 'debit' : 'credit',
+    amount: side.amount,
+    ...(isForeignCurrency && { foreignAmount: side.foreignAmount }),
+    description: side.description,
+    ...party,
+  }));
+
+  // Realized exchange gain (+) or loss (-) between the two sides
+  const gainLoss = round(debit.amount - credit.amount);
+
+  if (gainLoss !== 0) {
+    const { gainAccount, lossAccount } = await FxRevaluation.findFxAccounts(organizationId);
+    const fxAccount = gainLoss > 0 ? gainAccount : lossAccount;
+
+    if (!fxAccount) {
+      throw new Error(
+        `Exchange ${gainLoss > 0 ? 'gain' : 'loss'} account not found. Please set up chart of accounts.`
+      );
+    }
+
+    entries.push({
+      accountId: fxAccount._id,
+      type: gainLoss > 0 ? 'credit' : 'debit',
+      amount: Math.abs(gainLoss),
+      description: `Realized exchange ${gainLoss > 0 ? 'gain' : 'loss'} - ${narration}`.slice(0, 500),
+    });
+  }
+
+  const voucher = new Voucher({
+    voucherNumber: await Voucher.generateVoucherNumber(organizationId, 'JV', fiscalYear),
+    voucherType: 'JV',
+    voucherDate: date,
+    narration: narration.slice(0, 1000),
+    entries,
+    organizationId,
+    fiscalYear,
+    fiscalPeriod,
+    referenceType,
+    referenceId,
+    currency,
+    exchangeRate,
+    status: 'draft',
+    createdBy: userId,
+  });
+
+  const validation = voucher.validateDoubleEntry();
+  if (!validation.isValid) {
+    throw new Error('Voucher validation failed: ' + validation.errors.join(', '));
+  }
+
+  await voucher.save({ session });
+  await voucher.post(userId, { canOverrideLock });
+  await LedgerEntry.createFromVoucher(voucher, userId, session);
+
+  return { voucher, gainLoss };
+}
+
+/**
+ * Apply credit from a posted customer receipt to a posted sales invoice
+ * @param {Object} options - { receipt, invoice, amount, userId, canOverrideLock, session }
+ * @returns {Promise<Object>} The application with the voucher number
+ */
+export async function applyCustomerCredit({
+  receipt,
+  invoice,
+  amount,
+  userId,
+  canOverrideLock = false,
+  session = null,
+}) {
+  amount = round(amount);
+  receipt.checkApplication(invoice, amount);
+
+  const isAdvance = receipt.receiptType === 'advance';
+  const sourceAccountId = isAdvance
+    ? receipt.advanceAccountId
+    : receipt.receivableAccountId ||
+      (await CustomerReceipt.findReceivableAccount(receipt.organizationId))?._id;
+  const receivableAccountId = invoice.receivableAccountId || sourceAccountId;
+
+  if (!sourceAccountId || !receivableAccountId) {
+    throw new Error(
+      `${isAdvance ? 'Customer advance' : 'Accounts Receivable'} account not found. Please set up chart of accounts.`
+    );
+  }
+
+  const customer = await Customer.findById(receipt.customerId).session(session);
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  const carryingRate = invoice.revaluationRate || invoice.exchangeRate || 1;
+  const narration = `${isAdvance ? 'Advance' : 'On-account credit'} ${receipt.receiptNumber} applied to invoice ${invoice.invoiceNumber} - ${customer.name}`;
+
+  const { voucher, gainLoss } = await postClearingVoucher({
+    organizationId: receipt.organizationId,
+    date: applicationDate(receipt.receiptDate, invoice.invoiceDate),
+    narration,
+    debit: {
+      accountId: sourceAccountId,
+      amount: toBase(amount, receipt.exchangeRate),
+      foreignAmount: amount,
+      description: `${isAdvance ? 'Advance' : 'Credit'} ${receipt.receiptNumber} applied`,
+    },
+    credit: {
+      accountId: receivableAccountId,
+      amount: toBase(amount, carryingRate),
+      foreignAmount: amount,
+      description: `Invoice ${invoice.invoiceNumber} settled from ${receipt.receiptNumber}`,
+    },
+    party: { partyType: 'customer', partyId: customer._id },
+    currency: receipt.currency,
+    exchangeRate: receipt.exchangeRate,
+    referenceType: 'receipt',
+    referenceId: receipt._id,
+    userId,
+    canOverrideLock,
+    session,
+  });
+
+  await invoice.recordPayment(amount, userId);
+
+  receipt.applications.push({
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    amount,
+    carryingRate,
+    baseAmount: toBase(amount, carryingRate),
+    voucherId: voucher._id,
+    appliedBy: userId,
+  });
+  receipt.updatedBy = userId;
+  await receipt.save({ session });
+
+  // Both sides carry the customer, so only the exchange difference moves its balance
+  if (gainLoss !== 0) {
+    await customer.updateBalance(Math.abs(gainLoss), gainLoss > 0 ? 'debit' : 'credit');
+  }
+
+  return {
+    receiptId: receipt._id,
+    receiptNumber: receipt.receiptNumber,
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    amount,
+    voucherId: voucher._id,
+    voucherNumber: voucher.voucherNumber,
+  };
+}
+
+/**
+ * Apply a posted supplier advance to a posted purchase invoice
+ * @param {Object} options - { payment, invoice, amount, userId, canOverrideLock, session }
+ * @returns {Promise<Object>} The application with the voucher number
+ */
+export async function applySupplierAdvance({
+  payment,
+  invoice,
+  amount,
+  userId,
+  canOverrideLock = false,
+  session = null,
+}) {
+  amount = round(amount);
+  payment.checkApplication(invoice, amount);
+
+  const payableAccountId =
+    invoice.payableAccountId || (await SupplierPayment.findPayableAccount(payment.organizationId))?._id;
+
+  if (!payment.advanceAccountId || !payableAccountId) {
+    throw new Error(
+      `${payment.advanceAccountId ? 'Accounts Payable' : 'Supplier advance'} account not found. Please set up chart of accounts.`
+    );
+  }
+
+  const supplier = await Supplier.findById(payment.supplierId).session(session);
+  if (!supplier) {
+    throw new Error('Supplier not found');
+  }
+
+  const carryingRate = invoice.revaluationRate || invoice.exchangeRate || 1;
+
+  const { voucher, gainLoss } = await postClearingVoucher({
+    organizationId: payment.organizationId,
+    date: applicationDate(payment.paymentDate, invoice.invoiceDate),
+    narration: `Advance ${payment.paymentNumber} applied to purchase invoice ${invoice.invoiceNumber} - ${supplier.companyName}`,
+    debit: {
+      accountId: payableAccountId,
+      amount: toBase(amount, carryingRate),
+      foreignAmount: amount,
+      description: `Invoice ${invoice.invoiceNumber} settled from ${payment.paymentNumber}`,
+    },
+    credit: {
+      accountId: payment.advanceAccountId,
+      amount: toBase(amount, payment.exchangeRate),
+      foreignAmount: amount,
+      description: `Advance ${payment.paymentNumber} applied`,
+    },
+    party: { partyType: 'supplier', partyId: supplier._id },
+    currency: payment.currency,
+    exchangeRate: payment.exchangeRate,
+    referenceType: 'payment',
+    referenceId: payment._id,
+    userId,
+    canOverrideLock,
+    session,
+  });
+
+  await invoice.recordPayment(amount, userId);
+
+  payment.applications.push({
+    purchaseInvoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    amount,
+    carryingRate,
+    baseAmount: toBase(amount, carryingRate),
+    voucherId: voucher._id,
+    appliedBy: userId,
+  });
+  payment.updatedBy = userId;
+  await payment.save({ session });
+
+  // Both sides carry the supplier, so only the exchange difference moves its balance
+  if (gainLoss !== 0) {
+    await supplier.updateBalance(Math.abs(gainLoss), gainLoss > 0 ? 'debit' : 'credit');
+  }
+
+  return {
+    paymentId: payment._id,
+    paymentNumber: payment.paymentNumber,
+    purchaseInvoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    amount,
+    voucherId: voucher._id,
+    voucherNumber: voucher.voucherNumber,
+  };
+}
+
+/**
+ * Apply the customer's available credit to an invoice, oldest receipt first,
+ * until the invoice is settled or the credit runs out
+ * @returns {Promise<Array>} Applications made
+ */
+export async function autoApplyCustomerCredits({ invoice, userId, canOverrideLock = false, session = null }) {
+  const receipts = await CustomerReceipt.findAvailableCredits(
+    invoice.organizationId,
+    invoice.customerId,
+    invoice.currency,
+    session
+  );
+
+  const applications = [];
+
+  for (const receipt of receipts) {
+    const amount = round(Math.min(receipt.availableAmount, invoice.balanceAmount));
+    if (amount < 0.01) break;
+
+    applications.push(await applyCustomerCredit({ receipt, invoice, amount, userId, canOverrideLock, session }));
+  }
+
+  return applications;
+}
+
+/**
+ * Apply the supplier's available advances to a purchase invoice, advances
+ * against its purchase order first, until the invoice is settled
+ * @returns {Promise<Array>} Applications made
+ */
+export async function autoApplySupplierAdvances({ invoice, userId, canOverrideLock = false, session = null }) {
+  const payments = await SupplierPayment.findAvailableAdvances(
+    invoice.organizationId,
+    invoice.supplierId,
+    { currency: invoice.currency, purchaseOrderId: invoice.purchaseOrderId },
+    session
+  );
+
+  const applications = [];
+
+  for (const payment of payments) {
+    const amount = round(Math.min(payment.availableAmount, invoice.balanceAmount));
+    if (amount < 0.01) break;
+
+    applications.push(await applySupplierAdvance({ payment, invoice, amount, userId, canOverrideLock, session }));
+  }
+
+  return applications;
+}
+
+/**
+ * Summarize available credit for the response offering it
+ * @param {Array} documents - Receipts or supplier payments with availableAmount
+ */
+export function summarizeAvailable(documents) {
+  return {
+    total: round(documents.reduce((sum, document) => sum + document.availableAmount, 0)),
+    items: documents.map((document) => ({
+      _id: document._id,
+      number: document.receiptNumber || document.paymentNumber,
+      date: document.receiptDate || document.paymentDate,
+      type: document.receiptType || document.paymentType,
+      purchaseOrderNumber: document.purchaseOrderNumber,
+      currency: document.currency,
+      availableAmount: document.availableAmount,
+    })),
+  };
+}
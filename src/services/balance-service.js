@@ -0,0 +1,276 @@
+/**
+ * Balance Recalculation Service
+ * Rebuilds cached balances from the active ledger entries:
+ * - Account.currentBalance
+ * - LedgerEntry.balance (running balance per account)
+ * - Customer / Supplier currentBalance
+ */
+
+import mongoose from 'mongoose';
+import Account from '@/models/Account';
+import LedgerEntry from '@/models/LedgerEntry';
+import Customer from '@/models/Customer';
+import Supplier from '@/models/Supplier';
+import SalesInvoice from '@/models/SalesInvoice';
+import PurchaseInvoice from '@/models/PurchaseInvoice';
+
+// Differences below one paisa are rounding, not drift
+const TOLERANCE = 0.01;
+
+function round(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function toObjectId(organizationId) {
+  return new mongoose.Types.ObjectId(String(organizationId._id || organizationId));
+}
+
+/**
+ * Signed effect of an entry on an account in its normal direction
+ */
+function entryEffect(entry, normalBalance) {
+  return entry.type === normalBalance ? entry.amount : -entry.amount;
+}
+
+/**
+ * Expected account balances and running entry balances
+ */
+async function computeAccountBalances(orgId) {
+  const accounts = await Account.find({ organizationId: orgId })
+    .select('code name normalBalance openingBalance currentBalance')
+    .sort({ code: 1 })
+    .lean();
+
+  const accountMap = new Map(accounts.map((acc) => [acc._id.toString(), acc]));
+  const running = new Map();
+  const entryUpdates = [];
+  let entriesChecked = 0;
+
+  // Running balance in date order, starting from the opening balance
+  const cursor = LedgerEntry.find({ organizationId: orgId, status: 'active' })
+    .select('accountId type amount balance')
+    .sort({ accountId: 1, entryDate: 1, createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const entry of cursor) {
+    const key = entry.accountId.toString();
+    const account = accountMap.get(key);
+    if (!account) continue;
+
+    const balance = round(
+      (running.has(key) ? running.get(key) : account.openingBalance || 0) +
+        entryEffect(entry, account.normalBalance)
+    );
+    running.set(key, balance);
+    entriesChecked++;
+
+    if (Math.abs(balance - (entry.balance || 0)) >= TOLERANCE) {
+      entryUpdates.push({ _id: entry._id, balance });
+    }
+  }
+
+  const items = [];
+  for (const account of accounts) {
+    const key = account._id.toString();
+    const expected = running.has(key) ? running.get(key) : round(account.openingBalance);
+    const stored = round(account.currentBalance);
+
+    if (Math.abs(expected - stored) >= TOLERANCE) {
+      items.push({
+        accountId: account._id,
+        code: account.code,
+        name: account.name,
+        stored,
+        expected,
+        difference: round(expected - stored),
+      });
+    }
+  }
+
+  return {
+    accounts: { checked: accounts.length, drifted: items.length, items },
+    ledgerEntries: { checked: entriesChecked, drifted: entryUpdates.length },
+    entryUpdates,
+  };
+}
+
+/**
+ * Debit/credit totals per party from tagged entries, plus invoice-linked
+ * receivable/payable lines posted before entries carried a party
+ */
+async function getPartyTotals(orgId, partyType) {
+  const totals = new Map();
+  const add = (partyId, type, amount) => {
+    const key = partyId.toString();
+    const current = totals.get(key) || { debit: 0, credit: 0 };
+    current[type] += amount;
+    totals.set(key, current);
+  };
+
+  const tagged = await LedgerEntry.aggregate([
+    { $match: { organizationId: orgId, status: 'active', partyType } },
+    { $group: { _id: { partyId: '$partyId', type: '$type' }, amount: { $sum: '$amount' } } },
+  ]);
+
+  tagged.forEach((row) => add(row._id.partyId, row._id.type, row.amount));
+
+  const legacy =
+    partyType === 'customer'
+      ? { referenceType: 'invoice', Model: SalesInvoice, partyField: 'customerId', accountField: 'receivableAccountId' }
+      : { referenceType: 'purchase', Model: PurchaseInvoice, partyField: 'supplierId', accountField: 'payableAccountId' };
+
+  const untagged = await LedgerEntry.find({
+    organizationId: orgId,
+    status: 'active',
+    referenceType: legacy.referenceType,
+    referenceId: { $ne: null },
+    partyId: null,
+  })
+    .select('accountId referenceId type amount')
+    .lean();
+
+  if (untagged.length > 0) {
+    const documents = await legacy.Model.find({
+      _id: { $in: [...new Set(untagged.map((entry) => entry.referenceId.toString()))] },
+    })
+      .select(`${legacy.partyField} ${legacy.accountField}`)
+      .lean();
+
+    const documentMap = new Map(documents.map((doc) => [doc._id.toString(), doc]));
+
+    for (const entry of untagged) {
+      const doc = documentMap.get(entry.referenceId.toString());
+      if (!doc || !doc[legacy.partyField] || !doc[legacy.accountField]) continue;
+      if (doc[legacy.accountField].toString() !== entry.accountId.toString()) continue;
+
+      add(doc[legacy.partyField], entry.type, entry.amount);
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Expected customer (debit-normal) and supplier (credit-normal) balances
+ */
+async function computePartyBalances(orgId, partyType) {
+  const isCustomer = partyType === 'customer';
+  const Model = isCustomer ? Customer : Supplier;
+  const normalBalance = isCustomer ? 'debit' : 'credit';
+  const otherBalance = isCustomer ? 'credit' : 'debit';
+
+  const parties = await Model.find({ organizationId: orgId })
+    .select(`${isCustomer ? 'customerCode name' : 'supplierCode companyName'} openingBalance currentBalance balanceType`)
+    .lean();
+
+  const totals = await getPartyTotals(orgId, partyType);
+
+  const items = [];
+  for (const party of parties) {
+    const partyTotals = totals.get(party._id.toString()) || { debit: 0, credit: 0 };
+    const expected = round(
+      (party.openingBalance || 0) + partyTotals[normalBalance] - partyTotals[otherBalance]
+    );
+
+    const stored = round(
+      party.balanceType === otherBalance ? -(party.currentBalance || 0) : party.currentBalance
+    );
+
+    if (Math.abs(expected - stored) >= TOLERANCE) {
+      items.push({
+        [isCustomer ? 'customerId' : 'supplierId']: party._id,
+        code: isCustomer ? party.customerCode : party.supplierCode,
+        name: isCustomer ? party.name : party.companyName,
+        stored,
+        expected,
+        difference: round(expected - stored),
+        // Stored as an absolute amount plus balance type
+        currentBalance: Math.abs(expected),
+        balanceType: expected >= 0 ? normalBalance : otherBalance,
+      });
+    }
+  }
+
+  return { checked: parties.length, drifted: items.length, items };
+}
+
+/**
+ * Build a drift report (stored vs recomputed) for an organization
+ * @param {ObjectId} organizationId
+ */
+export async function getBalanceDriftReport(organizationId) {
+  const orgId = toObjectId(organizationId);
+
+  const { accounts, ledgerEntries, entryUpdates } = await computeAccountBalances(orgId);
+  const customers = await computePartyBalances(orgId, 'customer');
+  const suppliers = await computePartyBalances(orgId, 'supplier');
+
+  return {
+    report: {
+      accounts,
+      ledgerEntries,
+      customers,
+      suppliers,
+      hasDrift:
+        accounts.drifted + ledgerEntries.drifted + customers.drifted + suppliers.drifted > 0,
+    },
+    entryUpdates,
+  };
+}
+
+/**
+ * Recalculate all cached balances from the ledger
+ * @param {ObjectId} organizationId
+ * @param {object} options - { dryRun: boolean }
+ * @returns {Promise<{dryRun: boolean, before: object, after: object|null}>}
+ */
+export async function recalculateBalances(organizationId, { dryRun = false } = {}) {
+  const { report: before, entryUpdates } = await getBalanceDriftReport(organizationId);
+
+  if (dryRun || !before.hasDrift) {
+    return { dryRun, before, after: dryRun ? null : before };
+  }
+
+  if (entryUpdates.length > 0) {
+    await LedgerEntry.bulkWrite(
+      entryUpdates.map((entry) => ({
+        updateOne: { filter: { _id: entry._id }, update: { $set: { balance: entry.balance } } },
+      }))
+    );
+  }
+
+  if (before.accounts.items.length > 0) {
+    await Account.bulkWrite(
+      before.accounts.items.map((item) => ({
+        updateOne: { filter: { _id: item.accountId }, update: { $set: { currentBalance: item.expected } } },
+      }))
+    );
+  }
+
+  if (before.customers.items.length > 0) {
+    await Customer.bulkWrite(
+      before.customers.items.map((item) => ({
+        updateOne: {
+          filter: { _id: item.customerId },
+          update: { $set: { currentBalance: item.currentBalance, balanceType: item.balanceType } },
+        },
+      }))
+    );
+  }
+
+  if (before.suppliers.items.length > 0) {
+    await Supplier.bulkWrite(
+      before.suppliers.items.map((item) => ({
+        updateOne: {
+          filter: { _id: item.supplierId },
+          update: { $set: { currentBalance: item.currentBalance, balanceType: item.balanceType } },
+        },
+      }))
+    );
+  }
+
+  const { report: after } = await getBalanceDriftReport(organizationId);
+
+  return { dryRun, before, after };
+}
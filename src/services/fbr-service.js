@@ -190,6 +190,15 @@ export async function findDocumentTypeById(id) {
   return docTypes.find((dt) => dt.docTypeId === id);
 }
 
+/**
+ * Find the Debit Note document type
+ * FBR reports both credit and debit notes against the original invoice under this type
+ */
+export async function findDebitNoteType() {
+  const docTypes = await getDocumentTypes();
+  return docTypes.find((dt) => /debit note/i.test(dt.docDescription));
+}
+
 /**
  * Search HS code
  * @param {string} code - HS code to search
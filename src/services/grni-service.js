@@ -0,0 +1,187 @@
+/**
+ * Goods Received Not Invoiced Service
+ * Accrues goods received on a posted GRN and clears the accrual when the
+ * supplier's invoice is posted:
+ * - GRN: Dr Inventory (or Purchases for lines that do not carry stock),
+ *   Cr GRNI at acceptedQuantity × rate
+ * - Purchase invoice: Dr GRNI at the GRN value of the quantity invoiced; the
+ *   invoice route books the rest of the purchase value to its expense account
+ * GRN values are in base currency.
+ */
+
+import GoodsReceiptNote from '@/models/GoodsReceiptNote';
+import StockMovement from '@/models/StockMovement';
+import Product from '@/models/Product';
+import Account from '@/models/Account';
+import Voucher from '@/models/Voucher';
+import LedgerEntry from '@/models/LedgerEntry';
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Default account for received lines that do not carry stock: the first
+ * expense account named for purchases
+ */
+async function findPurchasesAccount(organizationId, session) {
+  const candidates = await Account.find({
+    organizationId,
+    type: 'expense',
+    isGroup: false,
+    isActive: true,
+    isDeleted: false,
+    name: /purchase/i,
+  })
+    .sort({ code: 1 })
+    .session(session);
+
+  return candidates[0] || null;
+}
+
+/**
+ * Build, post and ledger the GRN voucher, and link it and its accounts to the
+ * GRN. Lines received into stock are debited to the product's inventory
+ * account, the same value the stock ledger records.
+ * @param {Object} options - { grn, stockMovements, userId, canOverrideLock, session }
+ * @returns {Promise<Voucher|null>} null when nothing of value was accepted
+ */
+export async function postGoodsReceiptVoucher({ grn, stockMovements, userId, canOverrideLock = false, session = null }) {
+  const total = round(grn.items.reduce((sum, item) => sum + item.acceptedQuantity * item.rate, 0));
+  if (total === 0) return null;
+
+  const grniAccount = await GoodsReceiptNote.findGrniAccount(grn.organizationId, grn.payableAccountId, session);
+  if (!grniAccount) {
+    throw new Error('Goods Received Not Invoiced account not found. Please set up chart of accounts.');
+  }
+
+  const { inventoryAccount } = await StockMovement.findInventoryAccounts(
+    grn.organizationId,
+    { inventoryAccountId: grn.inventoryAccountId },
+    session
+  );
+
+  const stocked = new Map(stockMovements.map((movement) => [String(movement.productId), movement]));
+  const products = await Product.find({
+    _id: { $in: [...stocked.keys()] },
+    organizationId: grn.organizationId,
+  })
+    .setOptions({ includeDeleted: true })
+    .select('inventoryAccountId')
+    .session(session);
+  const productAccounts = new Map(products.map((product) => [String(product._id), product.inventoryAccountId]));
+
+  const debits = new Map();
+  let purchasesAccount;
+
+  for (const item of grn.items) {
+    const value = round(item.acceptedQuantity * item.rate);
+    if (value === 0) continue;
+
+    let accountId;
+    if (item.productId && stocked.has(String(item.productId))) {
+      accountId = productAccounts.get(String(item.productId)) || inventoryAccount?._id;
+      if (!accountId) {
+        throw new Error('Inventory account not found. Please set up chart of accounts.');
+      }
+    } else {
+      if (purchasesAccount === undefined) {
+        purchasesAccount = await findPurchasesAccount(grn.organizationId, session);
+      }
+      accountId = purchasesAccount?._id || inventoryAccount?._id;
+      if (!accountId) {
+        throw new Error('Purchases account not found. Please set up chart of accounts.');
+      }
+    }
+
+    const key = String(accountId);
+    debits.set(key, { accountId, amount: round((debits.get(key)?.amount || 0) + value) });
+  }
+
+  const entries = [...debits.values()].map((debit) => ({
+    accountId: debit.accountId,
+    type: 'debit',
+    amount: debit.amount,
+    description: `Goods received - GRN ${grn.grnNumber}`,
+  }));
+
+  entries.push({
+    accountId: grniAccount._id,
+    type: 'credit',
+    amount: total,
+    description: `Goods received not invoiced - GRN ${grn.grnNumber}`,
+  });
+
+  const voucher = new Voucher({
+    voucherNumber: await Voucher.generateVoucherNumber(grn.organizationId, 'JV', grn.fiscalYear),
+    voucherType: 'JV',
+    voucherDate: grn.grnDate,
+    narration: `Goods Receipt Note ${grn.grnNumber}`,
+    entries,
+    organizationId: grn.organizationId,
+    fiscalYear: grn.fiscalYear,
+    fiscalPeriod: grn.fiscalPeriod,
+    referenceType: 'grn',
+    referenceId: grn._id,
+    status: 'draft',
+    createdBy: userId,
+  });
+
+  const validation = voucher.validateDoubleEntry();
+  if (!validation.isValid) {
+    throw new Error('Voucher validation failed: ' + validation.errors.join(', '));
+  }
+
+  await voucher.save({ session });
+  await voucher.post(userId, { canOverrideLock });
+  await LedgerEntry.createFromVoucher(voucher, userId, session);
+
+  grn.voucherId = voucher._id;
+  grn.payableAccountId = grniAccount._id;
+  if (inventoryAccount) {
+    grn.inventoryAccountId = inventoryAccount._id;
+  }
+
+  return voucher;
+}
+
+/**
+ * GRNI to clear for a purchase invoice: the GRN value of the invoiced
+ * quantity on each line, up to the accepted quantity not yet invoiced. Lines
+ * are matched to the GRN by grnItemId, else poItemId. The GRN's invoiced
+ * quantities are updated and saved in the session.
+ * @param {Object} options - { purchaseInvoice, session }
+ * @returns {Promise<{grn, accountId, amount}>} amount 0 when the GRN was not
+ *   posted to accounts
+ */
+export async function clearGoodsReceived({ purchaseInvoice, session = null }) {
+  const grn = await GoodsReceiptNote.findOne({
+    _id: purchaseInvoice.grnId,
+    organizationId: purchaseInvoice.organizationId,
+  }).session(session);
+
+  if (!grn || !grn.voucherId || !grn.payableAccountId) {
+    return { grn, accountId: null, amount: 0 };
+  }
+
+  let amount = 0;
+
+  for (const item of purchaseInvoice.items) {
+    const grnItem =
+      (item.grnItemId && grn.items.id(item.grnItemId)) ||
+      (item.poItemId && grn.items.find((line) => String(line.poItemId) === String(item.poItemId)));
+    if (!grnItem) continue;
+
+    const quantity = Math.min(item.invoiceQuantity, grnItem.acceptedQuantity - grnItem.invoicedQuantity);
+    if (quantity <= 0) continue;
+
+    grnItem.invoicedQuantity += quantity;
+    amount += quantity * grnItem.rate;
+  }
+
+  amount = round(amount);
+
+  if (amount > 0) {
+    await grn.save({ session });
+  }
+
+  return { grn, accountId: grn.payableAccountId, amount };
+}
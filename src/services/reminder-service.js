@@ -0,0 +1,131 @@
+/**
+ * Payment Reminder Service
+ * Flags posted invoices past their due date as overdue, expires lapsed
+ * quotations and emails customers the reminders due on each organization's
+ * schedule
+ */
+
+import Organization from '@/models/Organization';
+import Quotation from '@/models/Quotation';
+import SalesInvoice from '@/models/SalesInvoice';
+import { sendInvoiceReminderEmail } from '@/utils/email';
+import logger from '@/utils/logger';
+
+export const DEFAULT_REMINDER_SCHEDULE = [-3, 0, 7, 30];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Remind one organization's customers
+ * @returns {Promise<{sent: number, skipped: number, failed: number}>}
+ */
+async function remindOrganization(organization, schedule, asOfDate) {
+  const counts = { sent: 0, skipped: 0, failed: 0 };
+  const today = startOfDay(asOfDate);
+
+  // Only invoices whose earliest reminder has been reached
+  const latestDueDate = new Date(today.getTime() - Math.min(...schedule) * DAY_MS);
+  latestDueDate.setHours(23, 59, 59, 999);
+
+  const invoices = await SalesInvoice.find({
+    organizationId: organization._id,
+    isPosted: true,
+    isDeleted: false,
+    status: { $in: ['posted', 'partially_paid', 'overdue'] },
+    balanceAmount: { $gt: 0.005 },
+    dueDate: { $lte: latestDueDate },
+  }).populate('customerId', 'name companyName email reminderOptOut');
+
+  for (const invoice of invoices) {
+    const offsetDays = invoice.dueReminderOffset(schedule, asOfDate);
+    if (offsetDays === null) continue;
+
+    const customer = invoice.customerId;
+    const entry = { offsetDays, sentAt: new Date(), sentTo: customer?.email };
+
+    try {
+      if (!customer || customer.reminderOptOut) {
+        entry.status = 'skipped';
+        entry.message = 'Customer opted out of payment reminders';
+      } else if (!customer.email) {
+        entry.status = 'skipped';
+        entry.message = 'Customer has no email address';
+      } else {
+        const result = await sendInvoiceReminderEmail({
+          to: customer.email,
+          customerName: customer.companyName || customer.name,
+          organizationName: organization.name,
+          invoiceNumber: invoice.invoiceNumber,
+          invoiceDate: invoice.invoiceDate,
+          dueDate: invoice.dueDate,
+          currency: invoice.currency,
+          totalAmount: invoice.totalAmount,
+          balanceAmount: invoice.balanceAmount,
+          daysFromDue: Math.round((today - startOfDay(invoice.dueDate)) / DAY_MS),
+        });
+
+        entry.status = result.success ? 'sent' : 'failed';
+        entry.message = result.success ? undefined : result.error;
+        entry.messageId = result.messageId;
+      }
+    } catch (error) {
+      entry.status = 'failed';
+      entry.message = error.message;
+    }
+
+    // Pushed directly so the log does not re-run the invoice's save hooks
+    await SalesInvoice.updateOne({ _id: invoice._id }, { $push: { reminders: entry } });
+    counts[entry.status] += 1;
+  }
+
+  return counts;
+}
+
+/**
+ * Run the overdue and reminder job
+ * @param {Date} asOfDate - Day the job runs for (default today)
+ * @param {Object} options - { organizationId } to limit the run to one organization
+ * @returns {Promise<Array>} Per-organization { organizationId, name, flagged, expired, sent, skipped, failed, error }
+ */
+export async function runPaymentReminders(asOfDate = new Date(), { organizationId = null } = {}) {
+  const query = organizationId ? { _id: organizationId } : { status: 'active' };
+  const organizations = await Organization.find(query).select('name settings.paymentReminders');
+
+  const results = [];
+
+  for (const organization of organizations) {
+    const result = {
+      organizationId: organization._id,
+      name: organization.name,
+      flagged: 0,
+      expired: 0,
+      sent: 0,
+      skipped: 0,
+      failed: 0,
+    };
+
+    try {
+      result.flagged = await SalesInvoice.flagOverdue(asOfDate, { organizationId: organization._id });
+      result.expired = await Quotation.expireLapsed(asOfDate, { organizationId: organization._id });
+
+      const settings = organization.settings?.paymentReminders;
+      if (settings?.enabled !== false) {
+        const schedule = settings?.schedule?.length ? settings.schedule : DEFAULT_REMINDER_SCHEDULE;
+        Object.assign(result, await remindOrganization(organization, schedule, asOfDate));
+      }
+    } catch (error) {
+      logger.error(`Error running payment reminders for ${organization.name}`, error);
+      result.error = error.message;
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
@@ -0,0 +1,545 @@
+/**
+ * Stock Service
+ * Writes the stock ledger from posted documents and manual adjustments, and
+ * reports on-hand, reserved and available quantities. Only lines linked to a
+ * goods product move stock; services and free-text lines are ignored.
+ * - Reserved: pending quantities on confirmed sales orders plus lines on
+ *   draft sales invoices
+ * - Available: on hand less reserved
+ * Outward movements are costed by the organization's costing method, and
+ * adjustments with a value post a journal voucher against inventory.
+ */
+
+import mongoose from 'mongoose';
+import StockMovement, { DEFAULT_WAREHOUSE } from '@/models/StockMovement';
+import Product from '@/models/Product';
+import SalesOrder from '@/models/SalesOrder';
+import SalesInvoice from '@/models/SalesInvoice';
+import Organization from '@/models/Organization';
+import Voucher from '@/models/Voucher';
+import LedgerEntry from '@/models/LedgerEntry';
+import FiscalPeriod from '@/models/FiscalPeriod';
+import ExchangeRate from '@/models/ExchangeRate';
+import { consumeFifoLayers, weightedAverageCost } from '@/utils/costing';
+
+const round = (value) => parseFloat((value || 0).toFixed(4));
+
+const money = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * The organization's inventory costing method
+ * @returns {Promise<'weighted_average'|'fifo'>}
+ */
+export async function getCostingMethod(organizationId, session = null) {
+  const organization = await Organization.findById(organizationId._id || organizationId)
+    .select('settings.costingMethod')
+    .session(session);
+
+  return organization?.settings?.costingMethod || 'weighted_average';
+}
+
+// Movements dated on the document's day count towards it
+function endOfDay(date) {
+  const asOf = new Date(date);
+  asOf.setHours(23, 59, 59, 999);
+  return asOf;
+}
+
+/**
+ * Quantity of products a warehouse can issue on a date: the lower of the
+ * balance on that date and the current balance, so a backdated issue can
+ * neither use later receipts nor take stock already issued since
+ * @returns {Promise<Map<string, number>>} keyed by product id
+ */
+async function getIssuableQuantities(organizationId, { productIds, warehouse, date }, session) {
+  const [asAt, current] = await Promise.all([
+    StockMovement.getBalances(organizationId, { productIds, warehouse, asOf: endOfDay(date) }, session),
+    StockMovement.getBalances(organizationId, { productIds, warehouse }, session),
+  ]);
+  const onDate = new Map(asAt.map((balance) => [String(balance.productId), balance.onHand]));
+
+  return new Map(
+    productIds.map((productId) => {
+      const latest = current.find((balance) => String(balance.productId) === String(productId));
+      return [String(productId), Math.min(onDate.get(String(productId)) || 0, latest?.onHand || 0)];
+    })
+  );
+}
+
+/**
+ * Cost of issuing a quantity of a product from a warehouse on a date, from
+ * the movements up to that date. Weighted average issues at the average cost
+ * on the date; FIFO consumes the oldest remaining inward quantities, and
+ * anything the layers do not cover is costed at the average.
+ * @returns {Promise<{totalCost, unitCost, layers}>} totalCost is positive
+ */
+async function costIssue({ organizationId, productId, warehouse, quantity, date, method, session }) {
+  const asOf = endOfDay(date);
+  const [balance] = await StockMovement.getBalances(
+    organizationId,
+    { productIds: [productId], warehouse, asOf },
+    session
+  );
+  const onHand = balance?.onHand || 0;
+  const value = balance?.value || 0;
+
+  let totalCost;
+  let layers = [];
+
+  if (method === 'fifo') {
+    const inward = await StockMovement.find({
+      organizationId,
+      productId,
+      warehouse,
+      movementDate: { $lte: asOf },
+      remainingQuantity: { $gt: 0 },
+    })
+      .sort({ movementDate: 1, createdAt: 1 })
+      .session(session);
+
+    const averageCost = onHand > 0 ? Math.max(0, value) / onHand : 0;
+    const fifo = consumeFifoLayers(inward, quantity, averageCost);
+
+    for (const layer of fifo.consumed) {
+      const movement = inward.find((candidate) => candidate._id.equals(layer.movementId));
+      movement.remainingQuantity = layer.remainingQuantity;
+      await movement.save({ session });
+    }
+
+    totalCost = fifo.totalCost;
+    layers = fifo.consumed.map(({ movementId, quantity: taken, unitCost }) => ({ movementId, quantity: taken, unitCost }));
+  } else {
+    totalCost = weightedAverageCost({ onHand, value }, quantity);
+  }
+
+  return { totalCost, unitCost: round(totalCost / quantity), layers };
+}
+
+/**
+ * Post the journal voucher for a valued adjustment: Dr inventory, Cr
+ * inventory adjustments for additions, the reverse for removals
+ */
+async function postAdjustmentVoucher({ movement, product, userId, canOverrideLock, session }) {
+  const amount = money(Math.abs(movement.totalCost));
+  if (amount === 0) return null;
+
+  const { inventoryAccount, adjustmentAccount } = await StockMovement.findInventoryAccounts(
+    movement.organizationId,
+    { inventoryAccountId: product.inventoryAccountId },
+    session
+  );
+
+  if (!inventoryAccount) {
+    throw new Error('Inventory account not found. Please set up chart of accounts.');
+  }
+
+  if (!adjustmentAccount) {
+    throw new Error('Inventory adjustment account not found. Please set up chart of accounts.');
+  }
+
+  const organization = await Organization.findById(movement.organizationId).select('settings.currency').session(session);
+  const { fiscalYear, fiscalPeriod } = FiscalPeriod.getPeriodKeys(movement.movementDate);
+  const isAddition = movement.quantity > 0;
+  const description = `Stock adjustment ${product.sku} (${movement.warehouse}) - ${movement.reason}`.slice(0, 500);
+
+  const voucher = new Voucher({
+    voucherNumber: await Voucher.generateVoucherNumber(movement.organizationId, 'JV', fiscalYear),
+    voucherType: 'JV',
+    voucherDate: movement.movementDate,
+    narration: description,
+    entries: [
+      {
+        accountId: isAddition ? inventoryAccount._id : adjustmentAccount._id,
+        type: 'debit',
+        amount,
+        description,
+      },
+      {
+        accountId: isAddition ? adjustmentAccount._id : inventoryAccount._id,
+        type: 'credit',
+        amount,
+        description,
+      },
+    ],
+    organizationId: movement.organizationId,
+    fiscalYear,
+    fiscalPeriod,
+    referenceType: 'stock_adjustment',
+    referenceId: movement._id,
+    currency: ExchangeRate.getBaseCurrency(organization),
+    status: 'draft',
+    createdBy: userId,
+  });
+
+  await voucher.save({ session });
+  await voucher.post(userId, { canOverrideLock });
+  await LedgerEntry.createFromVoucher(voucher, userId, session);
+
+  return voucher;
+}
+
+/**
+ * Goods products referenced by document lines, keyed by id
+ */
+async function findStockedProducts(organizationId, items, session) {
+  const productIds = [...new Set(items.filter((item) => item.productId).map((item) => String(item.productId)))];
+  if (productIds.length === 0) return new Map();
+
+  const products = await Product.find({
+    _id: { $in: productIds },
+    organizationId,
+    productType: 'goods',
+  })
+    .setOptions({ includeDeleted: true })
+    .select('sku name')
+    .session(session);
+
+  return new Map(products.map((product) => [String(product._id), product]));
+}
+
+/**
+ * Record stock received on a posted GRN: one inward movement per accepted
+ * line, valued at the line rate
+ * @returns {Promise<Array<StockMovement>>}
+ */
+export async function recordGoodsReceipt({ grn, userId, session = null }) {
+  const products = await findStockedProducts(grn.organizationId, grn.items, session);
+
+  const movements = grn.items
+    .filter((item) => item.productId && products.has(String(item.productId)) && item.acceptedQuantity > 0)
+    .map((item) => ({
+      organizationId: grn.organizationId,
+      productId: item.productId,
+      warehouse: grn.warehouse || DEFAULT_WAREHOUSE,
+      movementDate: grn.grnDate,
+      movementType: 'grn',
+      quantity: item.acceptedQuantity,
+      unitCost: item.rate,
+      totalCost: money(item.acceptedQuantity * item.rate),
+      remainingQuantity: item.acceptedQuantity,
+      referenceId: grn._id,
+      referenceNumber: grn.grnNumber,
+      createdBy: userId,
+    }));
+
+  if (movements.length === 0) return [];
+
+  return StockMovement.create(movements, { session, ordered: true });
+}
+
+/**
+ * Record stock issued by a posted sales invoice or walk-in sale. Lines for
+ * the same product are combined, and the issue is refused when the
+ * warehouse does not hold enough stock. Each movement is costed by the
+ * organization's costing method.
+ * @param {Object} options - { document, movementType ('sales_invoice' or
+ *   'walk_in_sale'), userId, session }
+ * @returns {Promise<Array<StockMovement>>}
+ */
+export async function recordSaleIssue({ document, movementType, userId, session = null }) {
+  const products = await findStockedProducts(document.organizationId, document.items, session);
+  if (products.size === 0) return [];
+
+  const warehouse = document.warehouse || DEFAULT_WAREHOUSE;
+  const required = new Map();
+
+  for (const item of document.items) {
+    const productId = item.productId && String(item.productId);
+    if (!productId || !products.has(productId)) continue;
+    required.set(productId, (required.get(productId) || 0) + item.quantity);
+  }
+
+  const isInvoice = movementType === 'sales_invoice';
+  const movementDate = isInvoice ? document.invoiceDate : document.saleDate;
+
+  const onHand = await getIssuableQuantities(
+    document.organizationId,
+    { productIds: [...required.keys()], warehouse, date: movementDate },
+    session
+  );
+
+  for (const [productId, quantity] of required) {
+    const available = onHand.get(productId) || 0;
+
+    if (quantity > available + 0.0001) {
+      const product = products.get(productId);
+      throw new Error(
+        `Insufficient stock for ${product.sku} - ${product.name} in ${warehouse}: ${available} on hand, ${quantity} required`
+      );
+    }
+  }
+
+  const method = await getCostingMethod(document.organizationId, session);
+  const movements = [];
+
+  for (const [productId, quantity] of required) {
+    const cost = await costIssue({
+      organizationId: document.organizationId,
+      productId,
+      warehouse,
+      quantity,
+      date: movementDate,
+      method,
+      session,
+    });
+
+    movements.push({
+      organizationId: document.organizationId,
+      productId,
+      warehouse,
+      movementDate,
+      movementType,
+      quantity: -round(quantity),
+      unitCost: cost.unitCost,
+      totalCost: -cost.totalCost,
+      layers: cost.layers,
+      referenceId: document._id,
+      referenceNumber: isInvoice ? document.invoiceNumber : document.receiptNumber,
+      createdBy: userId,
+    });
+  }
+
+  return StockMovement.create(movements, { session, ordered: true });
+}
+
+/**
+ * Voucher lines relieving inventory for a sale's stock movements: Dr cost of
+ * goods sold, Cr inventory, using each product's accounts or else the
+ * organization's defaults. Amounts are in base currency.
+ * @param {Object} options - { organizationId, movements, reference, session }
+ * @returns {Promise<Array>} Voucher entries, empty when nothing was costed
+ */
+export async function buildCostOfSalesEntries({ organizationId, movements, reference, session = null }) {
+  const costed = movements.filter((movement) => movement.totalCost < 0);
+  if (costed.length === 0) return [];
+
+  const products = await Product.find({
+    _id: { $in: costed.map((movement) => movement.productId) },
+    organizationId,
+  })
+    .setOptions({ includeDeleted: true })
+    .select('cogsAccountId inventoryAccountId')
+    .session(session);
+  const productAccounts = new Map(products.map((product) => [String(product._id), product]));
+
+  const defaults = await StockMovement.findInventoryAccounts(organizationId, {}, session);
+  const totals = new Map();
+
+  const add = (type, accountId, amount) => {
+    const key = `${type}_${accountId}`;
+    const line = totals.get(key) || { accountId, type, amount: 0 };
+    line.amount += amount;
+    totals.set(key, line);
+  };
+
+  for (const movement of costed) {
+    const product = productAccounts.get(String(movement.productId));
+    const cogsAccountId = product?.cogsAccountId || defaults.cogsAccount?._id;
+    const inventoryAccountId = product?.inventoryAccountId || defaults.inventoryAccount?._id;
+
+    if (!cogsAccountId) {
+      throw new Error('Cost of Goods Sold account not found. Please set up chart of accounts.');
+    }
+
+    if (!inventoryAccountId) {
+      throw new Error('Inventory account not found. Please set up chart of accounts.');
+    }
+
+    add('debit', cogsAccountId, -movement.totalCost);
+    add('credit', inventoryAccountId, -movement.totalCost);
+  }
+
+  return [...totals.values()].map((line) => ({
+    accountId: line.accountId,
+    type: line.type,
+    amount: money(line.amount),
+    description: `${line.type === 'debit' ? 'Cost of goods sold' : 'Inventory issued'} - ${reference}`,
+  }));
+}
+
+/**
+ * Record a manual stock adjustment. Adjustments may not take a warehouse
+ * below zero. Additions are valued at the unit cost given (else the
+ * purchase rate) and removals by the costing method; a valued adjustment
+ * posts a journal voucher against the inventory adjustments account.
+ * @param {Object} options - { organizationId, product, warehouse, quantity
+ *   (signed), unitCost, reason, date, userId, canOverrideLock, session }
+ * @returns {Promise<StockMovement>}
+ */
+export async function recordAdjustment({
+  organizationId,
+  product,
+  warehouse = DEFAULT_WAREHOUSE,
+  quantity,
+  unitCost,
+  reason,
+  date = new Date(),
+  userId,
+  canOverrideLock = false,
+  session = null,
+}) {
+  if (product.productType !== 'goods') {
+    throw new Error(`${product.name} is a service and does not carry stock`);
+  }
+
+  if (!quantity || Math.abs(quantity) < 0.0001) {
+    throw new Error('Adjustment quantity cannot be zero');
+  }
+
+  if (!reason?.trim()) {
+    throw new Error('Give a reason for the stock adjustment');
+  }
+
+  warehouse = warehouse.toUpperCase();
+
+  let cost;
+
+  if (quantity < 0) {
+    const issuable = await getIssuableQuantities(organizationId, { productIds: [product._id], warehouse, date }, session);
+    const onHand = issuable.get(String(product._id)) || 0;
+
+    if (onHand + quantity < -0.0001) {
+      throw new Error(`Cannot remove ${-quantity} of ${product.sku}: only ${onHand} on hand in ${warehouse}`);
+    }
+
+    const issue = await costIssue({
+      organizationId,
+      productId: product._id,
+      warehouse,
+      quantity: -quantity,
+      date,
+      method: await getCostingMethod(organizationId, session),
+      session,
+    });
+    cost = { unitCost: issue.unitCost, totalCost: -issue.totalCost, layers: issue.layers };
+  } else {
+    const addedCost = unitCost ?? product.purchaseRate ?? 0;
+    cost = { unitCost: addedCost, totalCost: money(quantity * addedCost), remainingQuantity: round(quantity) };
+  }
+
+  const [movement] = await StockMovement.create(
+    [
+      {
+        organizationId,
+        productId: product._id,
+        warehouse,
+        movementDate: date,
+        movementType: 'adjustment',
+        quantity: round(quantity),
+        ...cost,
+        reason: reason.trim(),
+        createdBy: userId,
+      },
+    ],
+    { session }
+  );
+
+  const voucher = await postAdjustmentVoucher({ movement, product, userId, canOverrideLock, session });
+
+  if (voucher) {
+    movement.voucherId = voucher._id;
+    await movement.save({ session });
+  }
+
+  return movement;
+}
+
+/**
+ * Quantities reserved per product: pending lines on confirmed sales orders
+ * and lines on draft sales invoices
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function getReservedQuantities(organizationId, productIds = null) {
+  const orgId = new mongoose.Types.ObjectId(String(organizationId._id || organizationId));
+  const productMatch = productIds
+    ? { 'items.productId': { $in: productIds.map((id) => new mongoose.Types.ObjectId(String(id))) } }
+    : { 'items.productId': { $ne: null } };
+
+  const [ordered, invoiced] = await Promise.all([
+    SalesOrder.aggregate([
+      { $match: { organizationId: orgId, isDeleted: false, status: { $in: ['confirmed', 'partially_invoiced'] } } },
+      { $unwind: '$items' },
+      { $match: productMatch },
+      {
+        $group: {
+          _id: '$items.productId',
+          quantity: { $sum: { $subtract: ['$items.quantity', '$items.invoicedQuantity'] } },
+        },
+      },
+    ]),
+    SalesInvoice.aggregate([
+      { $match: { organizationId: orgId, isDeleted: false, isPosted: false, status: 'draft' } },
+      { $unwind: '$items' },
+      { $match: productMatch },
+      { $group: { _id: '$items.productId', quantity: { $sum: '$items.quantity' } } },
+    ]),
+  ]);
+
+  const reserved = new Map();
+  for (const row of [...ordered, ...invoiced]) {
+    const key = String(row._id);
+    reserved.set(key, round((reserved.get(key) || 0) + Math.max(0, row.quantity)));
+  }
+
+  return reserved;
+}
+
+/**
+ * On-hand, reserved and available quantities for products, with the
+ * on-hand split by warehouse. Reservations are not tied to a warehouse, so
+ * with a warehouse filter available is that warehouse's stock less all
+ * reservations.
+ * @param {string} organizationId
+ * @param {Array} products - Product documents or lean objects
+ * @param {Object} [filters] - { warehouse, asOf }
+ * @returns {Promise<Map<string, {onHand, reserved, available, warehouses}>>}
+ */
+export async function getStockLevels(organizationId, products, filters = {}) {
+  const productIds = products.map((product) => product._id);
+
+  const [balances, reserved] = await Promise.all([
+    StockMovement.getBalances(organizationId, { productIds, ...filters }),
+    getReservedQuantities(organizationId, productIds),
+  ]);
+
+  const levels = new Map(
+    productIds.map((id) => [String(id), { onHand: 0, reserved: reserved.get(String(id)) || 0, warehouses: [] }])
+  );
+
+  for (const balance of balances) {
+    const level = levels.get(String(balance.productId));
+    level.onHand = round(level.onHand + balance.onHand);
+    level.warehouses.push({ warehouse: balance.warehouse, onHand: balance.onHand });
+  }
+
+  for (const level of levels.values()) {
+    level.available = round(level.onHand - level.reserved);
+  }
+
+  return levels;
+}
+
+/**
+ * Stock row as served by /api/stocks: the product's FBR fields under the
+ * names the stock screens use, with its stock levels
+ */
+export function toStockRow(product, level) {
+  return {
+    _id: product._id,
+    sku: product.sku,
+    stockName: product.name,
+    hsCode: product.hsCode,
+    description: product.description,
+    saleType: product.saleType,
+    uoM: product.fbrUom || product.unit,
+    unit: product.unit,
+    rate: product.saleRate,
+    purchaseRate: product.purchaseRate,
+    isActive: product.isActive,
+    quantity: level.onHand,
+    onHand: level.onHand,
+    reserved: level.reserved,
+    available: level.available,
+    warehouses: level.warehouses,
+  };
+}
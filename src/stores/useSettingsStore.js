@@ -24,7 +24,7 @@ export const useSettingsStore = create(
         ntn: '',
         strn: '',
         currency: 'PKR',
-        fiscalYearStart: '01-01', // MM-DD
+        fiscalYearStart: '01-07', // DD-MM
         taxRate: 17, // GST %
       },
       selectedFiscalYear: null,
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { AGING_BUCKETS, bucketFor, daysBetween, emptyBuckets } from '@/utils/aging';
+
+describe('daysBetween', () => {
+  it('counts whole days between two dates', () => {
+    expect(daysBetween(new Date(2024, 0, 1), new Date(2024, 0, 31))).toBe(30);
+    expect(daysBetween('2024-02-01T00:00:00Z', '2024-03-01T00:00:00Z')).toBe(29);
+  });
+
+  it('drops a part day', () => {
+    expect(daysBetween(new Date(2024, 0, 1, 18), new Date(2024, 0, 3, 6))).toBe(1);
+  });
+
+  it('is negative when the end date is earlier', () => {
+    expect(daysBetween(new Date(2024, 0, 15), new Date(2024, 0, 10))).toBe(-5);
+  });
+});
+
+describe('bucketFor', () => {
+  it('puts each boundary day in the lower bucket', () => {
+    expect([0, 30, 31, 60, 61, 90, 91, 400].map(bucketFor)).toEqual([
+      '0-30',
+      '0-30',
+      '31-60',
+      '31-60',
+      '61-90',
+      '61-90',
+      '90+',
+      '90+',
+    ]);
+  });
+
+  it('treats invoices not yet due as current', () => {
+    expect(bucketFor(-15)).toBe('0-30');
+  });
+});
+
+describe('emptyBuckets', () => {
+  it('zeroes every bucket in order', () => {
+    const buckets = emptyBuckets();
+
+    expect(Object.keys(buckets)).toEqual(AGING_BUCKETS);
+    expect(Object.values(buckets)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('returns a new object each time', () => {
+    const first = emptyBuckets();
+    first['90+'] = 100;
+
+    expect(emptyBuckets()['90+']).toBe(0);
+  });
+});
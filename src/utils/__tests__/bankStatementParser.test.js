@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import {
+  BANK_STATEMENT_PRESETS,
+  parseAmount,
+  parseBankStatement,
+  parseCSV,
+  parseStatementDate,
+} from '@/utils/bankStatementParser';
+
+const ymd = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('parseStatementDate', () => {
+  it('parses the mapped four-digit year format', () => {
+    expect(ymd(parseStatementDate('05/01/2024', 'dd/MM/yyyy'))).toEqual([2024, 1, 5]);
+  });
+
+  it('reads a two-digit year as this century, not the year 24', () => {
+    expect(ymd(parseStatementDate('05/01/24', 'dd/MM/yyyy'))).toEqual([2024, 1, 5]);
+    expect(ymd(parseStatementDate('05-01-24', 'dd-MM-yyyy'))).toEqual([2024, 1, 5]);
+  });
+
+  it('parses two-digit years with month names', () => {
+    expect(ymd(parseStatementDate('05-Jan-24', 'dd-MMM-yy'))).toEqual([2024, 1, 5]);
+    expect(ymd(parseStatementDate('05-Jan-24', 'dd-MMM-yyyy'))).toEqual([2024, 1, 5]);
+  });
+
+  it('falls back to common formats when the mapped one does not match', () => {
+    expect(ymd(parseStatementDate('2024-03-31', 'dd/MM/yyyy'))).toEqual([2024, 3, 31]);
+    expect(ymd(parseStatementDate('31 Mar 2024'))).toEqual([2024, 3, 31]);
+  });
+
+  it('returns null for empty or unparseable values', () => {
+    expect(parseStatementDate('', 'dd/MM/yyyy')).toBeNull();
+    expect(parseStatementDate('Closing Balance', 'dd/MM/yyyy')).toBeNull();
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads separators, currency and Dr/parentheses as negative', () => {
+    expect(parseAmount('1,250.00')).toBe(1250);
+    expect(parseAmount('Rs. 1,000')).toBe(1000);
+    expect(parseAmount('(500.00)')).toBe(-500);
+    expect(parseAmount('500.00 Dr')).toBe(-500);
+    expect(parseAmount('-75.5')).toBe(-75.5);
+  });
+
+  it('returns null for blanks', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('-')).toBeNull();
+    expect(parseAmount(undefined)).toBeNull();
+  });
+});
+
+describe('parseCSV', () => {
+  it('handles quoted cells, escaped quotes, CRLF and blank lines', () => {
+    const rows = parseCSV('﻿a,"b, c","say ""hi"""\r\n\r\n1,2,3\n');
+    expect(rows).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['1', '2', '3'],
+    ]);
+  });
+});
+
+describe('parseBankStatement', () => {
+  it('parses debit and credit columns after a preamble', () => {
+    const csv = [
+      'Account Statement,,,,,',
+      'Date,Description,Reference,Debit,Credit,Balance',
+      '01/02/2024,Opening deposit,,,"10,000.00","10,000.00"',
+      '03/02/24,Cheque 1001,1001,2500.00,,7500.00',
+      ',Closing Balance,,,,7500.00',
+    ].join('\n');
+
+    const { lines, errors } = parseBankStatement(csv, BANK_STATEMENT_PRESETS.generic);
+
+    expect(errors).toEqual([]);
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ rowNumber: 3, deposit: 10000, withdrawal: 0, balance: 10000 });
+    expect(lines[1]).toMatchObject({ reference: '1001', withdrawal: 2500, deposit: 0, balance: 7500 });
+    expect(ymd(lines[1].date)).toEqual([2024, 2, 3]);
+  });
+
+  it('splits a signed amount column into withdrawals and deposits', () => {
+    const csv = [
+      'Value Date,Description,Reference No,Amount,Running Balance',
+      '05-Jan-24,Salary,,50000,50000',
+      '06-Jan-24,ATM,,(2000),48000',
+    ].join('\n');
+
+    const { lines, errors } = parseBankStatement(csv, BANK_STATEMENT_PRESETS.alfalah);
+
+    expect(errors).toEqual([]);
+    expect(lines.map((line) => [line.deposit, line.withdrawal])).toEqual([
+      [50000, 0],
+      [0, 2000],
+    ]);
+  });
+
+  it('reports rows without an amount and missing columns', () => {
+    const csv = 'Date,Description,Debit,Credit\n01/02/2024,Nothing,,';
+    expect(parseBankStatement(csv, BANK_STATEMENT_PRESETS.generic).errors).toEqual(['Row 2: no amount']);
+
+    const missing = parseBankStatement('Date,Description\n01/02/2024,x', BANK_STATEMENT_PRESETS.generic);
+    expect(missing.errors).toEqual(['Map either an amount column or both debit and credit columns']);
+  });
+});
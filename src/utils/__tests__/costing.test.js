@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { consumeFifoLayers, weightedAverageCost } from '@/utils/costing';
+
+describe('weightedAverageCost', () => {
+  it('issues at the average cost of the balance', () => {
+    // 10 @ 100 + 30 @ 120 = 40 units worth 4600
+    expect(weightedAverageCost({ onHand: 40, value: 4600 }, 10)).toBe(1150);
+  });
+
+  it('gives the last units whatever value is left', () => {
+    expect(weightedAverageCost({ onHand: 3, value: 100 }, 3)).toBe(100);
+    expect(weightedAverageCost({ onHand: 3, value: 100 }, 1)).toBe(33.33);
+  });
+
+  it('never issues a negative value', () => {
+    expect(weightedAverageCost({ onHand: 5, value: -10 }, 2)).toBe(0);
+  });
+});
+
+describe('consumeFifoLayers', () => {
+  const layers = [
+    { _id: 'grn-1', quantity: 10, totalCost: 1000, remainingQuantity: 4 },
+    { _id: 'grn-2', quantity: 30, totalCost: 3600, remainingQuantity: 30 },
+  ];
+
+  it('consumes the oldest remaining quantities first', () => {
+    const result = consumeFifoLayers(layers, 10);
+
+    expect(result.totalCost).toBe(4 * 100 + 6 * 120);
+    expect(result.consumed).toEqual([
+      { movementId: 'grn-1', quantity: 4, unitCost: 100, remainingQuantity: 0 },
+      { movementId: 'grn-2', quantity: 6, unitCost: 120, remainingQuantity: 24 },
+    ]);
+  });
+
+  it('stops once the issue is covered', () => {
+    const result = consumeFifoLayers(layers, 3);
+
+    expect(result.totalCost).toBe(300);
+    expect(result.consumed).toHaveLength(1);
+    expect(result.consumed[0].remainingQuantity).toBe(1);
+  });
+
+  it('costs any quantity the layers do not cover at the fallback cost', () => {
+    const result = consumeFifoLayers(layers, 36, 110);
+
+    expect(result.totalCost).toBe(400 + 3600 + 2 * 110);
+  });
+
+  it('skips exhausted layers', () => {
+    const result = consumeFifoLayers([{ ...layers[0], remainingQuantity: 0 }, layers[1]], 5);
+
+    expect(result.consumed.map((layer) => layer.movementId)).toEqual(['grn-2']);
+    expect(result.totalCost).toBe(600);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_MATCHING_TOLERANCE,
+  matchInvoiceLine,
+  resolveTolerance,
+  withinTolerance,
+} from '@/utils/matching';
+
+const poItem = { rate: 200, discountRate: 0, taxRate: 18 };
+
+// Invoice line priced like the pre-save hook: amount, tax on the taxable amount, net
+function invoiceLine(invoiceQuantity, rate, taxRate = 18) {
+  const amount = invoiceQuantity * rate;
+  const taxAmount = (amount * taxRate) / 100;
+  return { invoiceQuantity, rate, taxAmount, netAmount: amount + taxAmount };
+}
+
+describe('resolveTolerance', () => {
+  it('uses the defaults when nothing is set', () => {
+    expect(resolveTolerance()).toEqual(DEFAULT_MATCHING_TOLERANCE);
+  });
+
+  it('lets each layer override single limits, ignoring unset ones', () => {
+    const tolerance = resolveTolerance(
+      { price: { percent: 2 }, total: { absolute: 10 } },
+      { price: { absolute: null }, total: { absolute: 5 } }
+    );
+
+    expect(tolerance.price).toEqual({ absolute: 0.01, percent: 2 });
+    expect(tolerance.total).toEqual({ absolute: 5, percent: 0 });
+    expect(tolerance.quantity).toEqual(DEFAULT_MATCHING_TOLERANCE.quantity);
+  });
+});
+
+describe('withinTolerance', () => {
+  it('passes within the absolute or the percentage limit', () => {
+    const limit = { absolute: 1, percent: 2 };
+
+    expect(withinTolerance(1, 10, limit)).toBe(true);
+    expect(withinTolerance(-4, 200, limit)).toBe(true);
+    expect(withinTolerance(4.01, 200, limit)).toBe(false);
+  });
+});
+
+describe('matchInvoiceLine', () => {
+  it('matches an invoice at the PO terms for the GRN quantity', () => {
+    const result = matchInvoiceLine(invoiceLine(50, 200), poItem, { acceptedQuantity: 50, invoicedQuantity: 0 });
+
+    expect(result.matched).toBe(true);
+    expect(result.total).toMatchObject({ expected: 11800, variance: 0 });
+  });
+
+  it('matches split invoices against the quantity not yet invoiced', () => {
+    const grnItem = { acceptedQuantity: 100, invoicedQuantity: 60 };
+
+    expect(matchInvoiceLine(invoiceLine(40, 200), poItem, grnItem).matched).toBe(true);
+    expect(matchInvoiceLine(invoiceLine(25, 200), poItem, grnItem).matched).toBe(true);
+
+    const over = matchInvoiceLine(invoiceLine(45, 200), poItem, grnItem);
+    expect(over.matched).toBe(false);
+    expect(over.failed).toEqual(['quantity']);
+    expect(over.quantity).toMatchObject({ expected: 40, actual: 45, variance: 5 });
+  });
+
+  it('flags price, tax and total variances at the invoiced quantity', () => {
+    const result = matchInvoiceLine(invoiceLine(50, 210), poItem, { acceptedQuantity: 50, invoicedQuantity: 0 });
+
+    expect(result.failed).toEqual(['price', 'tax', 'total']);
+    expect(result.price.variance).toBe(10);
+    expect(result.tax).toMatchObject({ expected: 1800, actual: 1890, variance: 90 });
+    expect(result.total).toMatchObject({ expected: 11800, actual: 12390, variance: 590 });
+  });
+
+  it('checks tax at the PO tax rate and discount', () => {
+    const discounted = { rate: 200, discountRate: 10, taxRate: 18 };
+    const amount = 10 * 200 * 0.9;
+    const line = { invoiceQuantity: 10, rate: 200, taxAmount: amount * 0.17, netAmount: amount * 1.17 };
+
+    const result = matchInvoiceLine(line, discounted, { acceptedQuantity: 10, invoicedQuantity: 0 });
+
+    expect(result.tax).toMatchObject({ expected: 324, variance: -18, matched: false });
+    expect(result.price.matched).toBe(true);
+  });
+
+  it('accepts variances within the tolerance given', () => {
+    const tolerance = resolveTolerance({ price: { percent: 5 }, tax: { percent: 5 }, total: { percent: 5 } });
+    const result = matchInvoiceLine(invoiceLine(50, 210), poItem, { acceptedQuantity: 50 }, tolerance);
+
+    expect(result.matched).toBe(true);
+  });
+});
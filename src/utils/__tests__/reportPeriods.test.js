@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { getComparisonPeriods } from '@/utils/reportPeriods';
+
+const endOfDay = (year, month, day) => new Date(year, month, day, 23, 59, 59, 999);
+
+describe('getComparisonPeriods', () => {
+  it('compares a month with the whole month before, not the same number of days', () => {
+    const { previous, lastYear } = getComparisonPeriods(new Date(2024, 1, 1), endOfDay(2024, 1, 29));
+
+    expect(previous).toEqual({ startDate: new Date(2024, 0, 1), endDate: endOfDay(2024, 0, 31) });
+    // Leap-year February against a 28-day February
+    expect(lastYear).toEqual({ startDate: new Date(2023, 1, 1), endDate: endOfDay(2023, 1, 28) });
+  });
+
+  it('compares January with December of the year before', () => {
+    const { previous } = getComparisonPeriods(new Date(2024, 0, 1), endOfDay(2024, 0, 31));
+
+    expect(previous).toEqual({ startDate: new Date(2023, 11, 1), endDate: endOfDay(2023, 11, 31) });
+  });
+
+  it('compares a quarter with the three months before', () => {
+    const { previous, lastYear } = getComparisonPeriods(new Date(2024, 3, 1), endOfDay(2024, 5, 30));
+
+    expect(previous).toEqual({ startDate: new Date(2024, 0, 1), endDate: endOfDay(2024, 2, 31) });
+    expect(lastYear).toEqual({ startDate: new Date(2023, 3, 1), endDate: endOfDay(2023, 5, 30) });
+  });
+
+  it('compares a part-month range with the same number of days just before it', () => {
+    const { previous, lastYear } = getComparisonPeriods(new Date(2024, 0, 10), endOfDay(2024, 0, 19));
+
+    expect(previous).toEqual({ startDate: new Date(2023, 11, 31), endDate: endOfDay(2024, 0, 9) });
+    expect(lastYear).toEqual({ startDate: new Date(2023, 0, 10), endDate: endOfDay(2023, 0, 19) });
+  });
+});
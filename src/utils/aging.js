@@ -0,0 +1,82 @@
+/**
+ * Aging Utilities
+ * Shared bucketing for receivables and payables aging
+ */
+
+// Aging buckets (days past due, or since the invoice date)
+export const AGING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days from one date to another (negative if `to` is earlier)
+ * @param {Date|string} from - Start date
+ * @param {Date|string} to - End date
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  return Math.floor((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+/**
+ * Aging bucket for a number of days
+ * @param {number} days - Days past due (or since the invoice date)
+ * @returns {string} - One of AGING_BUCKETS
+ */
+export function bucketFor(days) {
+  if (days <= 30) return '0-30';
+  if (days <= 60) return '31-60';
+  if (days <= 90) return '61-90';
+  return '90+';
+}
+
+/**
+ * Object with every aging bucket set to zero
+ * @returns {object}
+ */
+export function emptyBuckets() {
+  return Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket, 0]));
+}
+
+/**
+ * Amounts settled per invoice and left unapplied per party, from the posted
+ * receipts or payments dated up to the report date. Allocations settle their
+ * invoices; advance and on-account applications settle only invoices in the
+ * report (an application is dated no earlier than its invoice).
+ * @param {Array} documents - Receipts or payments { allocations, applications, exchangeRate }
+ * @param {object} options - { invoiceIds: Set of invoice id strings in the
+ *   report, invoiceField: 'invoiceId' | 'purchaseInvoiceId', partyField:
+ *   'customerId' | 'supplierId', openAmount: (document) => amount available
+ *   to apply }
+ * @returns {object} - { paidByInvoice, unappliedByParty } Maps keyed by id
+ *   string; unapplied amounts are in base currency at the document rate
+ */
+export function settlementsAsAt(documents, { invoiceIds, invoiceField, partyField, openAmount }) {
+  const paidByInvoice = new Map();
+  const unappliedByParty = new Map();
+
+  const addPaid = (invoiceId, amount) => {
+    const key = invoiceId.toString();
+    paidByInvoice.set(key, (paidByInvoice.get(key) || 0) + amount);
+  };
+
+  for (const document of documents) {
+    for (const allocation of document.allocations || []) {
+      addPaid(allocation[invoiceField], allocation.amount);
+    }
+
+    let unapplied = openAmount(document) || 0;
+
+    for (const application of document.applications || []) {
+      if (!invoiceIds.has(application[invoiceField].toString())) continue;
+
+      addPaid(application[invoiceField], application.amount);
+      unapplied -= application.amount;
+    }
+
+    const key = document[partyField].toString();
+    unappliedByParty.set(key, (unappliedByParty.get(key) || 0) + unapplied * (document.exchangeRate || 1));
+  }
+
+  return { paidByInvoice, unappliedByParty };
+}
@@ -0,0 +1,280 @@
+/**
+ * Bank Statement Parser
+ * Parses CSV bank statement exports into normalized lines using a column mapping
+ */
+
+import { parse as parseDateWithFormat, isValid } from 'date-fns';
+
+/**
+ * Column mappings for common Pakistani bank CSV exports
+ * Columns are matched by header name (case-insensitive) or zero-based index.
+ * Use either separate debit/credit columns or a single signed amount column.
+ */
+export const BANK_STATEMENT_PRESETS = {
+  generic: {
+    label: 'Generic (Date, Description, Reference, Debit, Credit, Balance)',
+    date: 'Date',
+    description: 'Description',
+    reference: 'Reference',
+    debit: 'Debit',
+    credit: 'Credit',
+    balance: 'Balance',
+    dateFormat: 'dd/MM/yyyy',
+  },
+  hbl: {
+    label: 'HBL',
+    date: 'Transaction Date',
+    description: 'Description',
+    reference: 'Cheque No',
+    debit: 'Withdrawal',
+    credit: 'Deposit',
+    balance: 'Balance',
+    dateFormat: 'dd/MM/yyyy',
+  },
+  mcb: {
+    label: 'MCB Bank',
+    date: 'Post Date',
+    description: 'Narration',
+    reference: 'Cheque/Ref No',
+    debit: 'Debit',
+    credit: 'Credit',
+    balance: 'Balance',
+    dateFormat: 'dd-MMM-yyyy',
+  },
+  ubl: {
+    label: 'UBL',
+    date: 'Txn Date',
+    description: 'Particulars',
+    reference: 'Instrument No',
+    debit: 'Debit',
+    credit: 'Credit',
+    balance: 'Available Balance',
+    dateFormat: 'dd-MM-yyyy',
+  },
+  meezan: {
+    label: 'Meezan Bank',
+    date: 'Date',
+    description: 'Transaction Details',
+    reference: 'Cheque #',
+    debit: 'Debit',
+    credit: 'Credit',
+    balance: 'Balance',
+    dateFormat: 'dd/MM/yyyy',
+  },
+  alfalah: {
+    label: 'Bank Alfalah',
+    date: 'Value Date',
+    description: 'Description',
+    reference: 'Reference No',
+    amount: 'Amount',
+    balance: 'Running Balance',
+    dateFormat: 'dd-MMM-yy',
+  },
+};
+
+// Formats tried when the mapped format does not parse a value
+const FALLBACK_DATE_FORMATS = [
+  'dd/MM/yyyy',
+  'dd-MM-yyyy',
+  'dd-MMM-yyyy',
+  'dd MMM yyyy',
+  'dd-MMM-yy',
+  'yyyy-MM-dd',
+  'dd/MM/yy',
+  'dd-MM-yy',
+];
+
+/**
+ * Split CSV text into rows of cells (handles quoted cells, escaped quotes and CRLF)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((value) => value !== ''));
+}
+
+/**
+ * Parse an amount such as "1,250.00", "(500.00)", "500.00 Dr" or "Rs. 1,000"
+ * @returns {number|null} Signed amount (Dr/parentheses negative) or null when empty
+ */
+export function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+
+  let text = String(value).trim();
+  if (!text || text === '-') return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bdr\.?$/i.test(text)) {
+    sign = -1;
+  }
+
+  text = text.replace(/(rs\.?|pkr|cr\.?|dr\.?)/gi, '').replace(/[,\s]/g, '');
+  if (text.startsWith('-')) {
+    sign = -sign;
+    text = text.slice(1);
+  }
+
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : parseFloat((sign * amount).toFixed(2));
+}
+
+/**
+ * Parse a statement date with the mapped format, falling back to common formats
+ * @returns {Date|null}
+ */
+export function parseStatementDate(value, dateFormat) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  const formats = dateFormat ? [dateFormat, ...FALLBACK_DATE_FORMATS] : FALLBACK_DATE_FORMATS;
+
+  // A four-digit year format also reads "24" as the year 24, so implausible
+  // years fall through to the two-digit year formats
+  for (const format of formats) {
+    const date = parseDateWithFormat(text, format, new Date());
+    if (isValid(date) && date.getFullYear() >= 1900) return date;
+  }
+
+  return null;
+}
+
+// Resolve a mapped column (header name or index) to an index in the header row
+function resolveColumn(headers, column) {
+  if (column === undefined || column === null || column === '') return -1;
+
+  if (typeof column === 'number' || /^\d+$/.test(String(column))) {
+    return parseInt(column);
+  }
+
+  const wanted = String(column).trim().toLowerCase();
+  return headers.findIndex((header) => header.trim().toLowerCase() === wanted);
+}
+
+/**
+ * Parse a CSV bank statement into normalized lines
+ * Debit (withdrawal) and credit (deposit) follow the bank's point of view.
+ * @param {string} text - CSV content
+ * @param {object} mapping - Column mapping (see BANK_STATEMENT_PRESETS), plus optional headerRow
+ * @returns {{ lines: Array, errors: string[], columns: string[] }}
+ */
+export function parseBankStatement(text, mapping) {
+  const rows = parseCSV(text || '');
+  const errors = [];
+
+  // Header row: given explicitly, or the first row containing the date column name
+  let headerRow = mapping.headerRow !== undefined ? parseInt(mapping.headerRow) : -1;
+  if (headerRow < 0) {
+    const dateHeader = String(mapping.date || '').trim().toLowerCase();
+    headerRow = rows.findIndex((cells) =>
+      cells.some((cell) => cell.trim().toLowerCase() === dateHeader)
+    );
+  }
+
+  if (headerRow < 0 || !rows[headerRow]) {
+    return { lines: [], errors: [`Header row with column "${mapping.date}" not found`], columns: [] };
+  }
+
+  const headers = rows[headerRow];
+  const columns = {};
+  ['date', 'description', 'reference', 'debit', 'credit', 'amount', 'balance'].forEach((field) => {
+    columns[field] = resolveColumn(headers, mapping[field]);
+  });
+
+  if (columns.date < 0) {
+    errors.push(`Date column "${mapping.date}" not found`);
+  }
+  if (columns.amount < 0 && (columns.debit < 0 || columns.credit < 0)) {
+    errors.push('Map either an amount column or both debit and credit columns');
+  }
+  if (errors.length > 0) {
+    return { lines: [], errors, columns: headers };
+  }
+
+  const lines = [];
+
+  rows.slice(headerRow + 1).forEach((cells, offset) => {
+    const rowNumber = headerRow + offset + 2;
+    const cell = (field) => (columns[field] >= 0 ? cells[columns[field]] : undefined);
+
+    const date = parseStatementDate(cell('date'), mapping.dateFormat);
+    if (!date) {
+      // Footer rows (totals, closing balance) have no date
+      if (cell('date')) errors.push(`Row ${rowNumber}: invalid date "${cell('date')}"`);
+      return;
+    }
+
+    let withdrawal = 0;
+    let deposit = 0;
+
+    if (columns.amount >= 0) {
+      const amount = parseAmount(cell('amount')) || 0;
+      withdrawal = amount < 0 ? -amount : 0;
+      deposit = amount > 0 ? amount : 0;
+    } else {
+      withdrawal = Math.abs(parseAmount(cell('debit')) || 0);
+      deposit = Math.abs(parseAmount(cell('credit')) || 0);
+    }
+
+    if (withdrawal === 0 && deposit === 0) {
+      errors.push(`Row ${rowNumber}: no amount`);
+      return;
+    }
+
+    lines.push({
+      rowNumber,
+      date,
+      description: (cell('description') || '').slice(0, 500),
+      reference: (cell('reference') || '').slice(0, 100),
+      withdrawal,
+      deposit,
+      balance: parseAmount(cell('balance')),
+    });
+  });
+
+  return { lines, errors, columns: headers };
+}
@@ -0,0 +1,60 @@
+/**
+ * Inventory Costing Utilities
+ * Weighted average and FIFO cost of stock issues
+ */
+
+const round = (value) => parseFloat((value || 0).toFixed(4));
+
+const money = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Weighted average cost of issuing a quantity from a balance. The last units
+ * on hand take whatever value is left.
+ * @param {object} balance - { onHand, value }
+ * @param {number} quantity - Quantity issued (positive)
+ * @returns {number} - Total cost, positive
+ */
+export function weightedAverageCost({ onHand = 0, value = 0 }, quantity) {
+  const stockValue = Math.max(0, value);
+  if (quantity >= onHand - 0.0001) return money(stockValue);
+
+  return money((quantity * stockValue) / onHand);
+}
+
+/**
+ * FIFO cost of issuing a quantity from inward layers, oldest first. Anything
+ * the layers do not cover is costed at the fallback unit cost.
+ * @param {Array} layers - Inward movements { _id, quantity, totalCost,
+ *   remainingQuantity } in date order
+ * @param {number} quantity - Quantity issued (positive)
+ * @param {number} fallbackUnitCost - Cost of any quantity not in the layers
+ * @returns {object} - { totalCost, consumed: [{ movementId, quantity, unitCost,
+ *   remainingQuantity }] } where remainingQuantity is what the layer has left
+ */
+export function consumeFifoLayers(layers, quantity, fallbackUnitCost = 0) {
+  let outstanding = quantity;
+  let totalCost = 0;
+  const consumed = [];
+
+  for (const layer of layers) {
+    if (outstanding < 0.0001) break;
+
+    const taken = Math.min(outstanding, layer.remainingQuantity);
+    if (taken <= 0) continue;
+
+    const unitCost = layer.quantity ? layer.totalCost / layer.quantity : 0;
+
+    totalCost += taken * unitCost;
+    consumed.push({
+      movementId: layer._id,
+      quantity: round(taken),
+      unitCost: round(unitCost),
+      remainingQuantity: round(layer.remainingQuantity - taken),
+    });
+    outstanding = round(outstanding - taken);
+  }
+
+  totalCost += Math.max(0, outstanding) * fallbackUnitCost;
+
+  return { totalCost: money(totalCost), consumed };
+}
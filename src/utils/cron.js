@@ -0,0 +1,26 @@
+/**
+ * Scheduler Utility
+ * Recognizes calls from the job scheduler (cron), which authenticate with
+ * "Authorization: Bearer <CRON_SECRET>" instead of a user token
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Check whether a request carries the scheduler secret
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function isCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  const header = request.headers.get('authorization') || '';
+
+  if (!secret || !header.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const provided = Buffer.from(header.slice(7));
+  const expected = Buffer.from(secret);
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
@@ -687,6 +687,146 @@ ${EMAIL_CONFIG.replyTo}
   return await sendEmail({ to, subject, text, html });
 }
 
+/**
+ * Send Invoice Payment Reminder Email
+ * @param {object} options - Email options
+ * @param {number} options.daysFromDue - Negative before the due date, 0 on it, positive when overdue
+ * @returns {Promise<object>}
+ */
+export async function sendInvoiceReminderEmail({
+  to,
+  customerName,
+  organizationName,
+  invoiceNumber,
+  invoiceDate,
+  dueDate,
+  currency,
+  totalAmount,
+  balanceAmount,
+  daysFromDue,
+}) {
+  const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+  const formatAmount = (amount) =>
+    `${currency} ${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  let headline;
+  if (daysFromDue < 0) {
+    headline = `Payment due in ${-daysFromDue} day${daysFromDue === -1 ? '' : 's'}`;
+  } else if (daysFromDue === 0) {
+    headline = 'Payment due today';
+  } else {
+    headline = `Payment overdue by ${daysFromDue} day${daysFromDue === 1 ? '' : 's'}`;
+  }
+
+  const subject = `${headline} - Invoice ${invoiceNumber} - ${organizationName}`;
+
+  const text = `
+Dear ${customerName},
+
+${headline} for invoice ${invoiceNumber}.
+
+Invoice Number: ${invoiceNumber}
+Invoice Date: ${formatDate(invoiceDate)}
+Due Date: ${formatDate(dueDate)}
+Invoice Total: ${formatAmount(totalAmount)}
+Balance Due: ${formatAmount(balanceAmount)}
+
+${
+  daysFromDue > 0
+    ? 'Please arrange payment at your earliest convenience.'
+    : 'Please arrange payment by the due date.'
+} If you have already paid, please ignore this reminder.
+
+---
+${organizationName}
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 600px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    .header {
+      background: ${daysFromDue > 0 ? 'linear-gradient(135deg, #eb3349 0%, #f45c43 100%)' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'};
+      color: white;
+      padding: 30px;
+      text-align: center;
+      border-radius: 10px 10px 0 0;
+    }
+    .content {
+      background: #f9f9f9;
+      padding: 30px;
+      border-radius: 0 0 10px 10px;
+    }
+    .details {
+      width: 100%;
+      border-collapse: collapse;
+      margin: 20px 0;
+    }
+    .details td {
+      padding: 8px;
+      border-bottom: 1px solid #ddd;
+    }
+    .balance {
+      font-weight: bold;
+      font-size: 18px;
+    }
+    .footer {
+      margin-top: 30px;
+      padding-top: 20px;
+      border-top: 1px solid #ddd;
+      font-size: 12px;
+      color: #666;
+      text-align: center;
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>${headline}</h1>
+    <p>${organizationName}</p>
+  </div>
+
+  <div class="content">
+    <p>Dear <strong>${customerName}</strong>,</p>
+
+    <p>This is a reminder about invoice <strong>${invoiceNumber}</strong>.</p>
+
+    <table class="details">
+      <tr><td>Invoice Number</td><td>${invoiceNumber}</td></tr>
+      <tr><td>Invoice Date</td><td>${formatDate(invoiceDate)}</td></tr>
+      <tr><td>Due Date</td><td>${formatDate(dueDate)}</td></tr>
+      <tr><td>Invoice Total</td><td>${formatAmount(totalAmount)}</td></tr>
+      <tr><td>Balance Due</td><td class="balance">${formatAmount(balanceAmount)}</td></tr>
+    </table>
+
+    <p>
+      ${daysFromDue > 0 ? 'Please arrange payment at your earliest convenience.' : 'Please arrange payment by the due date.'}
+      If you have already paid, please ignore this reminder.
+    </p>
+  </div>
+
+  <div class="footer">
+    <p><strong>${organizationName}</strong></p>
+    <p style="font-size: 11px; color: #999;">
+      This is an automated reminder. To stop receiving payment reminders, please contact us.
+    </p>
+  </div>
+</body>
+</html>
+  `.trim();
+
+  return await sendEmail({ to, subject, text, html });
+}
+
 /**
  * Configuration Guide
  *
@@ -89,8 +89,12 @@ export const exportTrialBalance = (trialBalanceData, filters = {}) => {
   summaryData.push(
     [''],
     ['Summary'],
-    ['Total Debits:', formatCurrencyForExcel(trialBalanceData.totals.debit)],
-    ['Total Credits:', formatCurrencyForExcel(trialBalanceData.totals.credit)],
+    ['Opening Debits:', formatCurrencyForExcel(trialBalanceData.totals.openingDebit)],
+    ['Opening Credits:', formatCurrencyForExcel(trialBalanceData.totals.openingCredit)],
+    ['Period Debits:', formatCurrencyForExcel(trialBalanceData.totals.periodDebit)],
+    ['Period Credits:', formatCurrencyForExcel(trialBalanceData.totals.periodCredit)],
+    ['Closing Debits:', formatCurrencyForExcel(trialBalanceData.totals.debit)],
+    ['Closing Credits:', formatCurrencyForExcel(trialBalanceData.totals.credit)],
     ['Difference:', formatCurrencyForExcel(trialBalanceData.totals.difference)],
     ['Status:', trialBalanceData.isBalanced ? 'BALANCED' : 'NOT BALANCED'],
     [''],
@@ -106,14 +110,19 @@ export const exportTrialBalance = (trialBalanceData, filters = {}) => {
   const detailedData = [
     ['Trial Balance - Detailed View'],
     [''],
-    ['Account Code', 'Account Name', 'Account Type', 'Debit', 'Credit'],
+    ['Account Code', 'Account Name', 'Account Type', 'Opening Debit', 'Opening Credit', 'Period Debits', 'Period Credits', 'Closing Debit', 'Closing Credit'],
   ];
 
+  // Group accounts are indented by level and carry the totals of their children
   trialBalanceData.trialBalance.forEach(item => {
     detailedData.push([
       item.account.code,
-      item.account.name,
-      item.account.type,
+      `${'  '.repeat((item.account.level || 1) - 1)}${item.account.name}`,
+      item.account.isGroup ? `${item.account.type} (group)` : item.account.type,
+      formatCurrencyForExcel(item.openingDebit),
+      formatCurrencyForExcel(item.openingCredit),
+      formatCurrencyForExcel(item.debitTotal),
+      formatCurrencyForExcel(item.creditTotal),
       formatCurrencyForExcel(item.netDebit),
       formatCurrencyForExcel(item.netCredit),
     ]);
@@ -122,13 +131,23 @@ export const exportTrialBalance = (trialBalanceData, filters = {}) => {
   // Add totals row
   detailedData.push(
     [''],
-    ['', 'GRAND TOTAL', '', formatCurrencyForExcel(trialBalanceData.totals.debit), formatCurrencyForExcel(trialBalanceData.totals.credit)],
+    [
+      '',
+      'GRAND TOTAL',
+      '',
+      formatCurrencyForExcel(trialBalanceData.totals.openingDebit),
+      formatCurrencyForExcel(trialBalanceData.totals.openingCredit),
+      formatCurrencyForExcel(trialBalanceData.totals.periodDebit),
+      formatCurrencyForExcel(trialBalanceData.totals.periodCredit),
+      formatCurrencyForExcel(trialBalanceData.totals.debit),
+      formatCurrencyForExcel(trialBalanceData.totals.credit),
+    ],
   );
 
   sheets.push({
     name: 'Trial Balance',
     data: detailedData,
-    columnWidths: [15, 35, 15, 18, 18],
+    columnWidths: [15, 35, 18, 16, 16, 16, 16, 16, 16],
   });
 
   // Grouped by Type Sheet (if available)
@@ -154,9 +173,11 @@ export const exportTrialBalance = (trialBalanceData, filters = {}) => {
       groupedData.push(
         [''],
         [typeLabels[type]],
-        ['Account Code', 'Account Name', 'Debit', 'Credit'],
+        ['Account Code', 'Account Name', 'Opening Balance', 'Period Debits', 'Period Credits', 'Closing Debit', 'Closing Credit'],
       );
 
+      let groupPeriodDebit = 0;
+      let groupPeriodCredit = 0;
       let groupDebitTotal = 0;
       let groupCreditTotal = 0;
 
@@ -164,9 +185,14 @@ export const exportTrialBalance = (trialBalanceData, filters = {}) => {
         groupedData.push([
           item.account.code,
           item.account.name,
+          formatCurrencyForExcel(item.openingBalance),
+          formatCurrencyForExcel(item.debitTotal),
+          formatCurrencyForExcel(item.creditTotal),
           formatCurrencyForExcel(item.netDebit),
           formatCurrencyForExcel(item.netCredit),
         ]);
+        groupPeriodDebit += item.debitTotal;
+        groupPeriodCredit += item.creditTotal;
         groupDebitTotal += item.netDebit;
         groupCreditTotal += item.netCredit;
       });
@@ -174,6 +200,9 @@ export const exportTrialBalance = (trialBalanceData, filters = {}) => {
       groupedData.push([
         '',
         `Total ${typeLabels[type]}`,
+        '',
+        formatCurrencyForExcel(groupPeriodDebit),
+        formatCurrencyForExcel(groupPeriodCredit),
         formatCurrencyForExcel(groupDebitTotal),
         formatCurrencyForExcel(groupCreditTotal),
       ]);
@@ -182,7 +211,7 @@ export const exportTrialBalance = (trialBalanceData, filters = {}) => {
     sheets.push({
       name: 'Grouped by Type',
       data: groupedData,
-      columnWidths: [15, 35, 18, 18],
+      columnWidths: [15, 35, 16, 16, 16, 16, 16],
     });
   }
 
@@ -191,6 +220,80 @@ export const exportTrialBalance = (trialBalanceData, filters = {}) => {
   downloadWorkbook(workbook, filename);
 };
 
+/**
+ * Export Profit & Loss statement to Excel
+ * @param {Object} profitLossData - Profit & loss data from API
+ * @param {Object} filters - Applied filters
+ */
+export const exportProfitLoss = (profitLossData, filters = {}) => {
+  if (!profitLossData) return;
+
+  const { periods, sections, summary } = profitLossData;
+  const periodLabel = (period) =>
+    `${formatDateForExcel(period.startDate)} - ${formatDateForExcel(period.endDate)}`;
+  const percent = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+
+  const amountColumns = (amounts) => [
+    formatCurrencyForExcel(amounts.current),
+    formatCurrencyForExcel(amounts.previous),
+    formatCurrencyForExcel(amounts.previousChange),
+    percent(amounts.previousChangePercent),
+    formatCurrencyForExcel(amounts.lastYear),
+    formatCurrencyForExcel(amounts.lastYearChange),
+    percent(amounts.lastYearChangePercent),
+  ];
+
+  const data = [
+    ['Profit & Loss Statement'],
+    ['DigiInvoice ERP'],
+    [''],
+    ['Generated On:', new Date().toLocaleString('en-PK')],
+    ['Current Period:', periodLabel(periods.current)],
+    ['Previous Period:', periodLabel(periods.previous)],
+    ['Same Period Last Year:', periodLabel(periods.lastYear)],
+  ];
+
+  if (filters.startDate) data.push(['Start Date:', filters.startDate]);
+  if (filters.endDate) data.push(['End Date:', filters.endDate]);
+
+  data.push(
+    [''],
+    ['Account Code', 'Account Name', 'Current', 'Previous Period', 'Change', 'Change %', 'Last Year', 'Change', 'Change %'],
+  );
+
+  // Subtotal rows follow the section they close
+  const subtotals = {
+    costOfSales: ['GROSS PROFIT', summary.grossProfit],
+    operatingExpenses: ['OPERATING PROFIT', summary.operatingProfit],
+    otherExpenses: ['NET PROFIT', summary.netProfit],
+  };
+
+  sections.forEach(section => {
+    data.push([''], [section.title]);
+
+    section.accounts.forEach(account => {
+      data.push([account.code, account.name, ...amountColumns(account.amounts)]);
+    });
+
+    data.push(['', `Total ${section.title}`, ...amountColumns(section.total)]);
+
+    if (subtotals[section.key]) {
+      const [label, amounts] = subtotals[section.key];
+      data.push([''], ['', label, ...amountColumns(amounts)]);
+    }
+  });
+
+  const sheets = [{
+    name: 'Profit & Loss',
+    data,
+    columnWidths: [15, 35, 16, 16, 14, 10, 16, 14, 10],
+  }];
+
+  const workbook = createWorkbook(sheets);
+  const filename = `Profit_Loss_${new Date().toISOString().split('T')[0]}`;
+  downloadWorkbook(workbook, filename);
+};
+
 /**
  * Export Account Ledger to Excel
  * @param {Object} ledgerData - Ledger data from API
@@ -266,6 +369,398 @@ export const exportLedger = (ledgerData, filters = {}) => {
   downloadWorkbook(workbook, filename);
 };
 
+/**
+ * Export Withholding Tax Summary to Excel
+ * @param {Object} summaryData - WHT summary data from API
+ */
+export const exportWhtSummary = (summaryData) => {
+  if (!summaryData) return;
+
+  const taxLabel = (taxType) => (taxType === 'sales_tax' ? 'Sales Tax' : 'Income Tax');
+
+  const summarySheet = [
+    ['Withholding Tax Summary'],
+    ['DigiInvoice ERP'],
+    [''],
+    ['Generated On:', new Date().toLocaleString('en-PK')],
+    ['Month:', summaryData.month],
+    [''],
+    ['Tax', 'Section', 'Rate %', 'Suppliers', 'Payments', 'Taxable Amount', 'Tax Withheld'],
+  ];
+
+  summaryData.summary.forEach(row => {
+    summarySheet.push([
+      taxLabel(row.taxType),
+      row.section,
+      row.rate,
+      row.suppliers,
+      row.payments,
+      formatCurrencyForExcel(row.baseAmount),
+      formatCurrencyForExcel(row.amount),
+    ]);
+  });
+
+  summarySheet.push(
+    [''],
+    ['Total Income Tax:', '', '', '', '', '', formatCurrencyForExcel(summaryData.totals.incomeTax)],
+    ['Total Sales Tax:', '', '', '', '', '', formatCurrencyForExcel(summaryData.totals.salesTax)],
+    ['TOTAL:', '', '', '', '', '', formatCurrencyForExcel(summaryData.totals.total)],
+  );
+
+  const detailSheet = [
+    ['Withholding Tax - Supplier Detail'],
+    ['Month:', summaryData.month],
+    [''],
+    ['Supplier Code', 'Supplier', 'NTN', 'STRN', 'Status', 'Tax', 'Section', 'Rate %', 'Payments', 'Taxable Amount', 'Tax Withheld'],
+  ];
+
+  summaryData.details.forEach(row => {
+    detailSheet.push([
+      row.supplierCode || '-',
+      row.companyName || '-',
+      row.ntn || '-',
+      row.strn || '-',
+      row.filerStatus === 'non_filer' ? 'Non-filer' : 'Filer',
+      taxLabel(row.taxType),
+      row.section,
+      row.rate,
+      row.payments.join(', '),
+      formatCurrencyForExcel(row.baseAmount),
+      formatCurrencyForExcel(row.amount),
+    ]);
+  });
+
+  const sheets = [
+    {
+      name: 'Summary',
+      data: summarySheet,
+      columnWidths: [18, 14, 8, 10, 10, 16, 16],
+    },
+    {
+      name: 'Supplier Detail',
+      data: detailSheet,
+      columnWidths: [14, 30, 12, 18, 10, 12, 12, 8, 30, 16, 16],
+    },
+  ];
+
+  const workbook = createWorkbook(sheets);
+  downloadWorkbook(workbook, `WHT_Summary_${summaryData.month}`);
+};
+
+/**
+ * Export Receivables Aging to Excel
+ * @param {Object} agingData - AR aging data from API
+ */
+export const exportArAging = (agingData) => {
+  if (!agingData) return;
+
+  const { buckets, customers, totals } = agingData;
+
+  const summaryData = [
+    ['Accounts Receivable Aging'],
+    ['DigiInvoice ERP'],
+    [''],
+    ['Generated On:', new Date().toLocaleString('en-PK')],
+    ['As At:', formatDateForExcel(agingData.asAt)],
+    ['Aged By:', agingData.basis === 'invoice_date' ? 'Invoice date' : 'Due date'],
+    [''],
+    ['Customer Code', 'Customer', 'Credit Days', ...buckets, 'Opening', 'Unapplied', 'Total', 'Overdue'],
+  ];
+
+  customers.forEach(row => {
+    summaryData.push([
+      row.customerCode,
+      row.name,
+      row.creditDays,
+      ...buckets.map(bucket => formatCurrencyForExcel(row.buckets[bucket])),
+      formatCurrencyForExcel(row.opening),
+      formatCurrencyForExcel(-row.unapplied),
+      formatCurrencyForExcel(row.total),
+      formatCurrencyForExcel(row.overdue),
+    ]);
+  });
+
+  summaryData.push(
+    [''],
+    [
+      'TOTAL',
+      '',
+      '',
+      ...buckets.map(bucket => formatCurrencyForExcel(totals.buckets[bucket])),
+      formatCurrencyForExcel(totals.opening),
+      formatCurrencyForExcel(-totals.unapplied),
+      formatCurrencyForExcel(totals.total),
+      formatCurrencyForExcel(totals.overdue),
+    ],
+  );
+
+  const invoiceData = [
+    ['Accounts Receivable Aging - Invoices'],
+    ['As At:', formatDateForExcel(agingData.asAt)],
+    [''],
+    ['Customer', 'Invoice Number', 'Invoice Date', 'Due Date', 'Days Overdue', 'Bucket', 'Currency', 'Outstanding', 'Outstanding (Base)'],
+  ];
+
+  customers.forEach(row => {
+    row.invoices.forEach(invoice => {
+      invoiceData.push([
+        row.name,
+        invoice.invoiceNumber,
+        formatDateForExcel(invoice.invoiceDate),
+        formatDateForExcel(invoice.dueDate),
+        invoice.daysOverdue,
+        invoice.bucket,
+        invoice.currency,
+        formatCurrencyForExcel(invoice.outstanding),
+        formatCurrencyForExcel(invoice.baseOutstanding),
+      ]);
+    });
+  });
+
+  const sheets = [
+    {
+      name: 'Aging Summary',
+      data: summaryData,
+      columnWidths: [15, 30, 12, 15, 15, 15, 15, 15, 15, 15, 15],
+    },
+    {
+      name: 'Invoices',
+      data: invoiceData,
+      columnWidths: [30, 18, 12, 12, 12, 10, 10, 15, 18],
+    },
+  ];
+
+  const workbook = createWorkbook(sheets);
+  const filename = `AR_Aging_${new Date(agingData.asAt).toISOString().split('T')[0]}`;
+  downloadWorkbook(workbook, filename);
+};
+
+// Statement of account rows shared by customer and supplier statements
+const buildStatementData = (statementData, partyLabel, party) => {
+  const { period, lines, totals, aging } = statementData;
+
+  const data = [
+    ['Statement of Account'],
+    [statementData.organization?.name || 'DigiInvoice ERP'],
+    [''],
+    [`${partyLabel}:`, `${party.code} - ${party.name}`],
+    ['Period:', `${formatDateForExcel(period.startDate)} - ${formatDateForExcel(period.endDate)}`],
+    ['Currency:', statementData.currency],
+    [''],
+    ['Date', 'Type', 'Number', 'Reference', 'Due Date', 'Debit', 'Credit', 'Balance'],
+    ['', 'Opening Balance', '', '', '', '', '', formatCurrencyForExcel(statementData.openingBalance)],
+  ];
+
+  lines.forEach(line => {
+    data.push([
+      formatDateForExcel(line.date),
+      line.description,
+      line.number,
+      line.reference || '',
+      line.dueDate ? formatDateForExcel(line.dueDate) : '',
+      line.debit ? formatCurrencyForExcel(line.debit) : '',
+      line.credit ? formatCurrencyForExcel(line.credit) : '',
+      formatCurrencyForExcel(line.balance),
+    ]);
+  });
+
+  data.push(
+    [''],
+    ['', 'Totals', '', '', '', formatCurrencyForExcel(totals.debit), formatCurrencyForExcel(totals.credit), ''],
+    ['', 'Closing Balance', '', '', '', '', '', formatCurrencyForExcel(statementData.closingBalance)],
+  );
+
+  if (aging) {
+    data.push(
+      [''],
+      ['Aging at Period End'],
+      [...Object.keys(aging.buckets), 'Total'],
+      [...Object.values(aging.buckets).map(amount => formatCurrencyForExcel(amount)), formatCurrencyForExcel(aging.total)],
+    );
+  }
+
+  return data;
+};
+
+/**
+ * Export Customer Statement of Account to Excel
+ * @param {Object} statementData - Customer statement data from API
+ */
+export const exportCustomerStatement = (statementData) => {
+  if (!statementData) return;
+
+  const { customer, period } = statementData;
+
+  const sheets = [{
+    name: 'Statement',
+    data: buildStatementData(statementData, 'Customer', { code: customer.customerCode, name: customer.name }),
+    columnWidths: [12, 22, 18, 18, 12, 15, 15, 15],
+  }];
+
+  const workbook = createWorkbook(sheets);
+  const filename = `Statement_${customer.customerCode}_${new Date(period.endDate).toISOString().split('T')[0]}`;
+  downloadWorkbook(workbook, filename);
+};
+
+/**
+ * Export Accounts Payable Aging to Excel
+ * @param {Object} agingData - AP aging data from API
+ */
+export const exportApAging = (agingData) => {
+  if (!agingData) return;
+
+  const { buckets, suppliers, totals } = agingData;
+
+  const summaryData = [
+    ['Accounts Payable Aging'],
+    ['DigiInvoice ERP'],
+    [''],
+    ['Generated On:', new Date().toLocaleString('en-PK')],
+    ['As At:', formatDateForExcel(agingData.asAt)],
+    ['Aged By:', agingData.basis === 'invoice_date' ? 'Invoice date' : 'Due date'],
+    [''],
+    ['Supplier Code', 'Supplier', 'Credit Days', ...buckets, 'Opening', 'Total', 'Overdue'],
+  ];
+
+  suppliers.forEach(row => {
+    summaryData.push([
+      row.supplierCode,
+      row.name,
+      row.creditDays,
+      ...buckets.map(bucket => formatCurrencyForExcel(row.buckets[bucket])),
+      formatCurrencyForExcel(row.opening),
+      formatCurrencyForExcel(row.total),
+      formatCurrencyForExcel(row.overdue),
+    ]);
+  });
+
+  summaryData.push(
+    [''],
+    [
+      'TOTAL',
+      '',
+      '',
+      ...buckets.map(bucket => formatCurrencyForExcel(totals.buckets[bucket])),
+      formatCurrencyForExcel(totals.opening),
+      formatCurrencyForExcel(totals.total),
+      formatCurrencyForExcel(totals.overdue),
+    ],
+  );
+
+  const invoiceData = [
+    ['Accounts Payable Aging - Invoices'],
+    ['As At:', formatDateForExcel(agingData.asAt)],
+    [''],
+    ['Supplier', 'Invoice Number', 'Invoice Date', 'Due Date', 'Days Overdue', 'Bucket', 'Currency', 'Outstanding', 'Outstanding (Base)'],
+  ];
+
+  suppliers.forEach(row => {
+    row.invoices.forEach(invoice => {
+      invoiceData.push([
+        row.name,
+        invoice.invoiceNumber,
+        formatDateForExcel(invoice.invoiceDate),
+        formatDateForExcel(invoice.dueDate),
+        invoice.daysOverdue,
+        invoice.bucket,
+        invoice.currency,
+        formatCurrencyForExcel(invoice.outstanding),
+        formatCurrencyForExcel(invoice.baseOutstanding),
+      ]);
+    });
+  });
+
+  const sheets = [
+    {
+      name: 'Aging Summary',
+      data: summaryData,
+      columnWidths: [15, 30, 12, 15, 15, 15, 15, 15, 15, 15],
+    },
+    {
+      name: 'Invoices',
+      data: invoiceData,
+      columnWidths: [30, 18, 12, 12, 12, 10, 10, 15, 18],
+    },
+  ];
+
+  const workbook = createWorkbook(sheets);
+  const filename = `AP_Aging_${new Date(agingData.asAt).toISOString().split('T')[0]}`;
+  downloadWorkbook(workbook, filename);
+};
+
+/**
+ * Export Supplier Statement of Account to Excel
+ * @param {Object} statementData - Supplier statement data from API
+ */
+export const exportSupplierStatement = (statementData) => {
+  if (!statementData) return;
+
+  const { supplier, period } = statementData;
+
+  const sheets = [{
+    name: 'Statement',
+    data: buildStatementData(statementData, 'Supplier', { code: supplier.supplierCode, name: supplier.name }),
+    columnWidths: [12, 30, 18, 18, 12, 15, 15, 15],
+  }];
+
+  const workbook = createWorkbook(sheets);
+  const filename = `Statement_${supplier.supplierCode}_${new Date(period.endDate).toISOString().split('T')[0]}`;
+  downloadWorkbook(workbook, filename);
+};
+
+/**
+ * Export Payment Run Proposal to Excel
+ * @param {Object} proposalData - Payment proposal data from API
+ */
+export const exportPaymentProposal = (proposalData) => {
+  if (!proposalData) return;
+
+  const { suppliers, totals } = proposalData;
+
+  const data = [
+    ['Payment Run Proposal'],
+    ['DigiInvoice ERP'],
+    [''],
+    ['Generated On:', new Date().toLocaleString('en-PK')],
+    ['Due By:', formatDateForExcel(proposalData.dueBy)],
+    [''],
+    ['Supplier', 'Bank', 'Account Number / IBAN', 'Invoice Number', 'Due Date', 'Days Overdue', 'Currency', 'Balance', 'On Draft Payments', 'Proposed', 'Proposed (Base)'],
+  ];
+
+  suppliers.forEach(group => {
+    group.invoices.forEach(invoice => {
+      data.push([
+        `${group.supplierCode} - ${group.name}`,
+        group.bankName || '',
+        group.iban || group.accountNumber || '',
+        invoice.invoiceNumber,
+        formatDateForExcel(invoice.dueDate),
+        invoice.daysOverdue,
+        invoice.currency,
+        formatCurrencyForExcel(invoice.balanceAmount),
+        formatCurrencyForExcel(invoice.scheduled),
+        formatCurrencyForExcel(invoice.proposedAmount),
+        formatCurrencyForExcel(invoice.baseProposedAmount),
+      ]);
+    });
+  });
+
+  data.push(
+    [''],
+    ['TOTAL', '', '', `${totals.invoices} invoice(s)`, '', '', '', '', '', '', formatCurrencyForExcel(totals.total)],
+  );
+
+  const sheets = [{
+    name: 'Payment Run',
+    data,
+    columnWidths: [30, 15, 26, 18, 12, 12, 10, 15, 15, 15, 15],
+  }];
+
+  const workbook = createWorkbook(sheets);
+  const filename = `Payment_Run_${new Date(proposalData.dueBy).toISOString().split('T')[0]}`;
+  downloadWorkbook(workbook, filename);
+};
+
 /**
  * Export Chart of Accounts to Excel
  * @param {Array} accounts - Array of account objects
@@ -569,7 +1064,14 @@ export const exportGenericData = (data, columns, sheetName, filename) => {
 
 export default {
   exportTrialBalance,
+  exportProfitLoss,
   exportLedger,
+  exportWhtSummary,
+  exportArAging,
+  exportCustomerStatement,
+  exportApAging,
+  exportSupplierStatement,
+  exportPaymentProposal,
   exportChartOfAccounts,
   exportSalesReport,
   exportPurchaseReport,
@@ -0,0 +1,112 @@
+/**
+ * Three-Way Matching Utilities
+ * Tolerances for matching purchase invoices to purchase orders and GRNs
+ */
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+// Checks made on each invoice line
+export const MATCHING_CHECKS = ['quantity', 'price', 'tax', 'total'];
+
+// A variance passes when within the absolute amount or the percentage of the
+// expected figure. Quantities are in units, the rest in invoice currency.
+export const DEFAULT_MATCHING_TOLERANCE = {
+  quantity: { absolute: 0.01, percent: 0 },
+  price: { absolute: 0.01, percent: 0 },
+  tax: { absolute: 1, percent: 0 },
+  total: { absolute: 1, percent: 0 },
+};
+
+const toleranceLimit = {
+  absolute: { type: Number, min: [0, 'Tolerance cannot be negative'] },
+  percent: { type: Number, min: [0, 'Tolerance cannot be negative'], max: [100, 'Tolerance cannot exceed 100%'] },
+};
+
+// Schema definition for tolerance settings on the organization and supplier;
+// limits left unset fall back to the organization, then the defaults
+export const matchingToleranceDefinition = Object.fromEntries(
+  MATCHING_CHECKS.map((check) => [check, { ...toleranceLimit }])
+);
+
+/**
+ * Effective tolerance: the defaults overridden by each settings layer in turn
+ * @param {...object} layers - Tolerance settings, e.g. organization then supplier
+ * @returns {object} - { quantity, price, tax, total } each { absolute, percent }
+ */
+export function resolveTolerance(...layers) {
+  return Object.fromEntries(
+    MATCHING_CHECKS.map((check) => {
+      const limit = { ...DEFAULT_MATCHING_TOLERANCE[check] };
+
+      for (const layer of layers) {
+        const override = layer?.[check];
+        if (override?.absolute != null) limit.absolute = override.absolute;
+        if (override?.percent != null) limit.percent = override.percent;
+      }
+
+      return [check, limit];
+    })
+  );
+}
+
+/**
+ * Whether a variance is within tolerance
+ * @param {number} variance - Actual less expected
+ * @param {number} expected - Expected figure the percentage applies to
+ * @param {object} limit - { absolute, percent }
+ * @returns {boolean}
+ */
+export function withinTolerance(variance, expected, limit) {
+  const size = Math.abs(variance);
+  return size <= limit.absolute + 1e-9 || size <= (Math.abs(expected) * limit.percent) / 100 + 1e-9;
+}
+
+/**
+ * Match an invoice line to its PO and GRN lines. The quantity is compared with
+ * the GRN quantity accepted and not yet invoiced (invoicing less, as in a split
+ * invoice, matches); price, tax and total with the invoiced quantity at the PO
+ * rate, discount and tax rate.
+ * @param {object} item - Invoice line { invoiceQuantity, rate, taxAmount, netAmount }
+ * @param {object} poItem - PO line { rate, discountRate, taxRate }
+ * @param {object} grnItem - GRN line { acceptedQuantity, invoicedQuantity }
+ * @param {object} tolerance - From resolveTolerance()
+ * @returns {object} - { matched, failed, quantity, price, tax, total }, each
+ *   check { expected, actual, variance, matched }
+ */
+export function matchInvoiceLine(item, poItem, grnItem, tolerance = resolveTolerance()) {
+  const taxable = item.invoiceQuantity * poItem.rate * (1 - (poItem.discountRate || 0) / 100);
+  const expected = {
+    quantity: grnItem.acceptedQuantity - (grnItem.invoicedQuantity || 0),
+    price: poItem.rate,
+    tax: (taxable * (poItem.taxRate || 0)) / 100,
+    total: taxable * (1 + (poItem.taxRate || 0) / 100),
+  };
+  const actual = {
+    quantity: item.invoiceQuantity,
+    price: item.rate,
+    tax: item.taxAmount || 0,
+    total: item.netAmount,
+  };
+
+  const result = { matched: true, failed: [] };
+
+  for (const check of MATCHING_CHECKS) {
+    const variance = round(actual[check] - expected[check]);
+    const matched =
+      (check === 'quantity' && variance <= 0) || withinTolerance(variance, expected[check], tolerance[check]);
+
+    result[check] = {
+      expected: round(expected[check]),
+      actual: actual[check],
+      variance,
+      matched,
+    };
+
+    if (!matched) {
+      result.matched = false;
+      result.failed.push(check);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,23 @@
+/**
+ * PDF Export Utility
+ * Renders @react-pdf/renderer documents (see src/components/pdf) and downloads them
+ */
+
+import { pdf } from '@react-pdf/renderer';
+
+/**
+ * Render a PDF document element and download it
+ * @param {JSX.Element} document - <Document> element to render
+ * @param {string} filename - Output filename (without extension)
+ */
+export const downloadPDF = async (document, filename) => {
+  const blob = await pdf(document).toBlob();
+  const url = URL.createObjectURL(blob);
+
+  const link = window.document.createElement('a');
+  link.href = url;
+  link.download = `${filename}.pdf`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,51 @@
+/**
+ * Report Period Utilities
+ * Comparison periods for the financial statements
+ */
+
+const isMonthEnd = (date) => date.getDate() === new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+/**
+ * Previous period of the same length and the same period one year earlier.
+ * Whole-month ranges compare against whole months (e.g. Feb vs Jan, not 28 vs 31 days).
+ * @param {Date} startDate - Start of the current period
+ * @param {Date} endDate - End of the current period
+ * @returns {object} - { previous, lastYear }, each { startDate, endDate }
+ */
+export function getComparisonPeriods(startDate, endDate) {
+  const wholeMonths = startDate.getDate() === 1 && isMonthEnd(endDate);
+
+  let previous;
+  let lastYear;
+
+  if (wholeMonths) {
+    const months =
+      (endDate.getFullYear() - startDate.getFullYear()) * 12 + endDate.getMonth() - startDate.getMonth() + 1;
+
+    previous = {
+      startDate: new Date(startDate.getFullYear(), startDate.getMonth() - months, 1),
+      endDate: new Date(startDate.getFullYear(), startDate.getMonth(), 0, 23, 59, 59, 999),
+    };
+    lastYear = {
+      startDate: new Date(startDate.getFullYear() - 1, startDate.getMonth(), 1),
+      endDate: new Date(endDate.getFullYear() - 1, endDate.getMonth() + 1, 0, 23, 59, 59, 999),
+    };
+  } else {
+    const length = endDate.getTime() - startDate.getTime();
+    const previousEnd = new Date(startDate.getTime() - 1);
+
+    previous = {
+      startDate: new Date(previousEnd.getTime() - length),
+      endDate: previousEnd,
+    };
+
+    lastYear = {
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+    };
+    lastYear.startDate.setFullYear(startDate.getFullYear() - 1);
+    lastYear.endDate.setFullYear(endDate.getFullYear() - 1);
+  }
+
+  return { previous, lastYear };
+}